@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 
 const { Command } = require('commander');
-const { Logger } = require('../lib/utils/logger');
+const { Logger, LOG_LEVELS } = require('../lib/utils/logger');
 const { ErrorHandler } = require('../lib/utils/errors');
+const { setActiveEnvironment } = require('../lib/utils/environment');
+const { setCredentialOptions } = require('../lib/aws/credential-provider');
 
 // Import command classes
 const InitCommand = require('../lib/commands/init');
@@ -10,27 +12,67 @@ const { NewCommand } = require('../lib/commands/new');
 const { GitSetupCommand } = require('../lib/commands/git-setup');
 const { PushDeployCommand } = require('../lib/commands/push-deploy');
 const { UpCommand } = require('../lib/commands/up');
+const { PlanCommand } = require('../lib/commands/plan');
+const { ImportCommand } = require('../lib/commands/import');
 const { StatusCommand } = require('../lib/commands/status');
 const { ValidateCommand } = require('../lib/commands/validate');
 const { DownCommand } = require('../lib/commands/down');
 const { deployCommand } = require('../lib/commands/deploy');
-const { sslCommand, sslStatusCommand } = require('../lib/commands/ssl');
+const { sslCommand, sslStatusCommand, sslWatchCommand } = require('../lib/commands/ssl');
 const { appDeployCommand, appStatusCommand, appRestartCommand, appStopCommand } = require('../lib/commands/app');
 const { EnhancedStatusCommand } = require('../lib/commands/enhanced-status');
-const { monitorSetupCommand, monitorStatusCommand, monitorLogsCommand } = require('../lib/commands/monitor');
+const { monitorSetupCommand, monitorStatusCommand, monitorLogsCommand, monitorTestAlertCommand, monitorReportCommand } = require('../lib/commands/monitor');
 const { domainConfigureCommand, domainVerifyCommand, domainStatusCommand, domainSubdomainCommand, domainWaitCommand } = require('../lib/commands/domain');
-const { dnsUpdate, dnsStatus, dnsSync, dnsVerify } = require('../lib/commands/dns');
+const { dnsUpdate, dnsStatus, dnsSync, dnsVerify, dnsExport, dnsImport, dnsDiff } = require('../lib/commands/dns');
 const { securitySetup, securityStatus, securityAudit, sshKeySetup, securityReset } = require('../lib/commands/security');
 const { firewallStatus, fail2banStatus } = require('../lib/commands/firewall');
 const { EmergencyRecoveryCommand } = require('../lib/commands/emergency-recovery');
 const { ResumeCommand } = require('../lib/commands/resume');
+const { RollbackCommand } = require('../lib/commands/rollback');
+const { statePull, statePush, stateUnlock } = require('../lib/commands/state');
+const { configMigrate } = require('../lib/commands/config');
+const { envSet, envGet, envList, envUnset, envImport } = require('../lib/commands/env');
+const { credentialsRotate, credentialsStatus, credentialsUnlock, credentialsLock, credentialsPassphrase } = require('../lib/commands/credentials');
+const { backup, restore } = require('../lib/commands/backup');
 
 const program = new Command();
 
 program
   .name('focal-deploy')
   .description('Complete AWS deployment automation with wizard-based setup')
-  .version('2.0.0');
+  .version('2.0.0')
+  .option('--env <name>', 'Target a named environment (staging, production, ...) defined under "environments"')
+  .option('--output <format>', 'Output format: text, or json for a single result document on stdout and JSON log lines on stderr', 'text')
+  .option('--log-level <level>', `Minimum log level: ${LOG_LEVELS.join(', ')}`)
+  .option('--profile <name>', 'AWS profile from ~/.aws/config (including SSO profiles) instead of the configured keys')
+  .option('--role-arn <arn>', 'IAM role to assume with the AWS credentials')
+  .option('--mfa-serial <arn>', 'MFA device for --role-arn; the code is prompted for (or read from FOCAL_DEPLOY_MFA_CODE)');
+
+// Apply output settings, select the environment and the AWS credential source before any command loads configuration or state
+program.hook('preAction', (thisCommand, actionCommand) => {
+  try {
+    const names = [];
+    for (let command = actionCommand; command.parent; command = command.parent) {
+      names.unshift(command.name());
+    }
+    const { output, logLevel } = program.opts();
+    Logger.configure({ output, level: logLevel, command: names.join(' ') });
+    setActiveEnvironment(program.opts().env || process.env.FOCAL_DEPLOY_ENV);
+    const { profile, roleArn, mfaSerial } = program.opts();
+    setCredentialOptions({ profile, roleArn, mfaSerial });
+  } catch (error) {
+    ErrorHandler.handle(error);
+    process.exit(1);
+  }
+});
+
+/**
+ * With --output json, commands skip their human-readable report (as with
+ * their own --json flag) and the CLI prints the returned result document
+ */
+function withOutput(options) {
+  return Logger.isJSON() ? { ...options, json: true } : options;
+}
 
 // Initialize command
 program
@@ -63,6 +105,8 @@ program
   .option('--no-github', 'Local Git only, skip GitHub integration')
   .option('--git-user <name>', 'Git user name for commits')
   .option('--git-email <email>', 'Git user email for commits')
+  .option('--answers <file>', 'Run without prompts, feeding every step from an answers file (YAML)')
+  .option('--export-answers <file>', 'Write the answers of this run to a file for later --answers runs')
   .action(async (projectName, options) => {
     try {
       const newCommand = new NewCommand();
@@ -112,6 +156,7 @@ program
   .command('up')
   .description('Deploy your application to AWS')
   .option('--dry-run', 'Simulate deployment without creating AWS resources')
+  .option('--plan <file>', 'Apply a plan saved with "focal-deploy plan --out"')
   .action(async (options) => {
     try {
       const upCommand = new UpCommand();
@@ -122,6 +167,41 @@ program
     }
   });
 
+// Plan command
+program
+  .command('plan')
+  .description('Show the changes "up" would make to match the configuration')
+  .option('--out <file>', 'Save the plan so "up --plan <file>" applies exactly these changes')
+  .option('--json', 'Output the plan in JSON format')
+  .action(async (options) => {
+    try {
+      const planCommand = new PlanCommand();
+      Logger.printResult(await planCommand.execute(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Import command
+program
+  .command('import')
+  .description('Manage an existing EC2 instance (and its security group and bucket) with focal-deploy')
+  .requiredOption('--instance-id <id>', 'EC2 instance to import')
+  .option('--security-group <id>', 'Security group to import (defaults to the only one attached to the instance)')
+  .option('--bucket <name>', 'S3 bucket to import')
+  .option('--key-file <path>', 'Private key for the instance\'s key pair (used for OS detection and later SSH commands)')
+  .option('--force', 'Replace an instance already recorded in the state')
+  .action(async (options) => {
+    try {
+      const importCommand = new ImportCommand();
+      await importCommand.execute(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
 // Status command
 program
   .command('status')
@@ -131,7 +211,7 @@ program
   .action(async (options) => {
     try {
       const statusCommand = new StatusCommand();
-      await statusCommand.execute(options);
+      Logger.printResult(await statusCommand.execute(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -147,7 +227,7 @@ program
   .action(async (options) => {
     try {
       const enhancedStatusCommand = new EnhancedStatusCommand();
-      await enhancedStatusCommand.execute(options);
+      Logger.printResult(await enhancedStatusCommand.execute(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -162,10 +242,249 @@ program
   .option('--fix', 'Attempt to fix validation issues')
   .option('--aws', 'Validate AWS resources (requires credentials)')
   .option('--repair', 'Repair invalid state files')
+  .option('--schema', 'Check focal-deploy.yml and .focal-deploy/config.json against the configuration schema')
   .action(async (options) => {
     try {
       const validateCommand = new ValidateCommand();
-      await validateCommand.execute(options);
+      Logger.printResult(await validateCommand.execute(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Configuration file commands
+const configCommand = program
+  .command('config')
+  .description('Manage focal-deploy.yml and .focal-deploy/config.json');
+
+configCommand
+  .command('migrate')
+  .description('Upgrade configuration files to the current configVersion')
+  .option('--dry-run', 'Show the changes without writing the files')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await configMigrate(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Application environment variables (kept in the secrets backend, never in the project configuration)
+const envCommand = program
+  .command('env')
+  .description('Manage application environment variables stored in SSM Parameter Store or the local vault');
+
+envCommand
+  .command('set')
+  .description('Store a variable (the value is read from stdin or prompted for when omitted)')
+  .argument('<name>', 'Variable name, e.g. DATABASE_URL')
+  .argument('[value]', 'Value (omit it to keep the value out of the shell history)')
+  .option('--backend <backend>', 'Secrets backend (vault, ssm)')
+  .action(async (name, value, options) => {
+    try {
+      Logger.printResult(await envSet(name, value, options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+envCommand
+  .command('get')
+  .description('Print the value of a variable')
+  .argument('<name>', 'Variable name')
+  .option('--backend <backend>', 'Secrets backend (vault, ssm)')
+  .action(async (name, options) => {
+    try {
+      Logger.printResult(await envGet(name, withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+envCommand
+  .command('list')
+  .description('List the stored variables of the current environment')
+  .option('--reveal', 'Show the values as well as the names')
+  .option('--backend <backend>', 'Secrets backend (vault, ssm)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await envList(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+envCommand
+  .command('unset')
+  .description('Delete a variable')
+  .argument('<name>', 'Variable name')
+  .option('--backend <backend>', 'Secrets backend (vault, ssm)')
+  .action(async (name, options) => {
+    try {
+      Logger.printResult(await envUnset(name, options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+envCommand
+  .command('import')
+  .description('Move variables set in focal-deploy.yml or .focal-deploy/config.json into the secrets backend')
+  .option('--overwrite', 'Replace values that are already stored')
+  .option('--backend <backend>', 'Secrets backend (vault, ssm)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await envImport(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Stored credential commands (~/.focal-deploy credentials files)
+const credentialsCommand = program
+  .command('credentials')
+  .description('Check the age of stored credentials and rotate them');
+
+credentialsCommand
+  .command('status')
+  .description('List stored credentials and warn about those older than the policy age')
+  .option('--max-age <days>', 'Policy age in days (default: 90)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await credentialsStatus(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+credentialsCommand
+  .command('rotate')
+  .description('Replace the AWS access key, GitHub token or DNS credentials and update every project that uses them')
+  .option('--service <service>', 'Only rotate one service (aws, github, dns)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await credentialsRotate(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+credentialsCommand
+  .command('passphrase')
+  .description('Protect the credentials encryption key with a master passphrase, or change it')
+  .option('--remove', 'Remove the passphrase and store the key unprotected')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await credentialsPassphrase(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+credentialsCommand
+  .command('unlock')
+  .description('Unlock passphrase-protected credentials for this session (passphrase prompted for or read from FOCAL_DEPLOY_PASSPHRASE)')
+  .option('--timeout <minutes>', 'Minutes until the session locks again (default: 15)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await credentialsUnlock(options));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+credentialsCommand
+  .command('lock')
+  .description('Lock passphrase-protected credentials before the session expires')
+  .action(async () => {
+    try {
+      Logger.printResult(await credentialsLock());
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Server backups (archives in the project S3 bucket)
+program
+  .command('backup')
+  .description('Back up the app directory, .env, nginx sites, certificates and databases to the project bucket')
+  .option('--list', 'List the stored backups instead of taking one')
+  .option('--schedule <schedule>', 'Install a backup timer on the server: hourly, daily, weekly, or off to remove it')
+  .option('--bucket <name>', 'Bucket to use instead of the project bucket')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await backup(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('restore')
+  .description('Restore a backup on the server (e.g. a fresh instance created by "up") and restart the application')
+  .argument('<backup>', 'Backup name from "backup --list", or latest')
+  .option('--bucket <name>', 'Bucket to restore from instead of the project bucket')
+  .option('-y, --yes', 'Restore without asking for confirmation')
+  .action(async (name, options) => {
+    try {
+      Logger.printResult(await restore(name, withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+// Remote state commands (state backend configured in focal-deploy.yml)
+const stateCommand = program
+  .command('state')
+  .description('Synchronize deployment state with the remote state backend');
+
+stateCommand
+  .command('pull')
+  .description('Download the remote state for the current environment')
+  .action(async () => {
+    try {
+      await statePull();
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+stateCommand
+  .command('push')
+  .description('Upload the local state to the remote backend')
+  .option('--force', 'Overwrite the remote state even if it changed since the last pull')
+  .action(async (options) => {
+    try {
+      await statePush(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+stateCommand
+  .command('unlock')
+  .description('Remove a state lock left behind by an interrupted command')
+  .argument('[lock-id]', 'ID of the lock to remove (shown in the "locked" error)')
+  .option('--yes', 'Do not ask for confirmation')
+  .action(async (lockId, options) => {
+    try {
+      await stateUnlock(lockId, options);
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -219,6 +538,7 @@ program
   .option('--skip-dns-check', 'Skip DNS validation before SSL setup (not recommended)')
   .option('--domains <domains>', 'Comma-separated list of domains for SSL certificate')
   .option('--email <email>', 'Email address for Let\'s Encrypt registration')
+  .option('--acme-client <client>', 'Issue with certbot on the server or the built-in ACME client (certbot|builtin)')
   .action(async (options) => {
     try {
       await sslCommand(options);
@@ -234,7 +554,23 @@ program
   .option('--json', 'Output status in JSON format')
   .action(async (options) => {
     try {
-      await sslStatusCommand(options);
+      Logger.printResult(await sslStatusCommand(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ssl-watch')
+  .description('Watch certificate expiry, chain and OCSP status for all domains and send alerts')
+  .option('--once', 'Check once and exit')
+  .option('--interval <minutes>', 'Minutes between checks', '60')
+  .option('--thresholds <days>', 'Alert thresholds in days, comma separated (default: 30,14,3)')
+  .option('--json', 'Output results in JSON format')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await sslWatchCommand(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -261,7 +597,7 @@ program
   .option('--json', 'Output status in JSON format')
   .action(async (options) => {
     try {
-      await appStatusCommand(options);
+      Logger.printResult(await appStatusCommand(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -294,6 +630,21 @@ program
     }
   });
 
+program
+  .command('rollback')
+  .description('Roll back the application to a previous release')
+  .option('--to <release>', 'Release to roll back to (defaults to the previous release)')
+  .option('--dry-run', 'Show which release would be activated without making changes')
+  .action(async (options) => {
+    try {
+      const rollbackCommand = new RollbackCommand();
+      await rollbackCommand.execute(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
 // Monitoring commands
 program
   .command('monitor-setup')
@@ -322,8 +673,13 @@ program
 
 program
   .command('monitor-logs')
-  .description('Fetch application logs')
+  .description('Fetch application logs, or follow app, nginx, fail2ban and health-check logs live')
   .option('--lines <number>', 'Number of log lines to fetch', '100')
+  .option('-f, --follow', 'Keep streaming new lines (reconnects after connection drops)')
+  .option('--grep <pattern>', 'Only show lines matching a regular expression (case-insensitive)')
+  .option('--since <duration>', 'Only show lines from the last duration, e.g. 30m, 2h, 1d')
+  .option('--level <level>', 'Minimum level: debug, info, notice, warning, error')
+  .option('--source <sources>', 'Comma-separated sources: app, nginx-access, nginx-error, fail2ban, health')
   .action(async (options) => {
     try {
       await monitorLogsCommand(options);
@@ -333,6 +689,34 @@ program
     }
   });
 
+program
+  .command('monitor-test-alert')
+  .description('Send a test alert to every configured channel (webhook, Slack, email)')
+  .option('--local', 'Send from this machine instead of the server')
+  .action(async (options) => {
+    try {
+      await monitorTestAlertCommand(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('monitor-report')
+  .description('Summarize metrics history: min/avg/p95, uptime and incidents')
+  .option('--since <duration>', 'Time window, e.g. 30m, 24h, 7d', '24h')
+  .option('--json', 'Output the report in JSON format')
+  .option('--csv <file>', 'Export the samples as CSV (use - for stdout)')
+  .action(async (options) => {
+    try {
+      Logger.printResult(await monitorReportCommand(withOutput(options)));
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
 // Domain configuration commands
 program
   .command('domain-configure')
@@ -422,9 +806,10 @@ program
   .command('dns-status')
   .description('Check current DNS record status for all configured domains')
   .option('--target-ip <ip>', 'Specify target IP to discover additional A records')
+  .option('--json', 'Output status in JSON format')
   .action(async (options) => {
     try {
-      await dnsStatus(options);
+      Logger.printResult(await dnsStatus(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -458,6 +843,56 @@ program
     }
   });
 
+program
+  .command('dns-export')
+  .description('Export DNS zones as BIND zone files or YAML')
+  .option('--domain <domain>', 'Export the zone serving this domain only')
+  .option('--format <format>', 'Output format (bind, yaml)', 'bind')
+  .option('--out-dir <dir>', 'Directory for exported zones', '.focal-deploy/dns-exports')
+  .action(async (options) => {
+    try {
+      await dnsExport(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('dns-import')
+  .description('Apply a BIND or YAML zone file to the DNS provider')
+  .argument('<file>', 'Zone file to import')
+  .option('--format <format>', 'Zone file format (bind, yaml); detected from the extension by default')
+  .option('--zone <zone>', 'Zone to import into when the file does not name one')
+  .option('--prune', 'Delete live records that are not in the file')
+  .option('--dry-run', 'Show the change plan without applying it')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .action(async (file, options) => {
+    try {
+      await dnsImport(file, options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('dns-diff')
+  .description('Compare DNS records in .focal-deploy/config.json with the live zones')
+  .option('--target-ip <ip>', 'IP the configured domains should point to')
+  .option('--target-ipv6 <ip>', 'IPv6 address for AAAA records when dual-stack is enabled')
+  .option('--prune', 'Also plan deletion of live records that are not configured')
+  .option('--apply', 'Apply the plan after showing it')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .action(async (options) => {
+    try {
+      await dnsDiff(options);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      process.exit(1);
+    }
+  });
+
 // Security commands
 program
   .command('security-setup')
@@ -492,9 +927,10 @@ program
   .command('security-audit')
   .description('Perform comprehensive security audit and vulnerability assessment')
   .option('--detailed', 'Show detailed vulnerability information')
+  .option('--json', 'Output the audit report in JSON format')
   .action(async (options) => {
     try {
-      await securityAudit(options);
+      Logger.printResult(await securityAudit(withOutput(options)));
     } catch (error) {
       ErrorHandler.handle(error);
       process.exit(1);
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const forge = require('node-forge');
+
+const LETS_ENCRYPT_DIRECTORY = 'https://acme-v02.api.letsencrypt.org/directory';
+const LETS_ENCRYPT_STAGING_DIRECTORY = 'https://acme-staging-v02.api.letsencrypt.org/directory';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Error returned by the ACME server as an RFC 7807 problem document
+ */
+class ACMEError extends Error {
+  constructor(problem = {}, status = null) {
+    super(problem.detail || problem.type || `ACME request failed with status ${status}`);
+    this.name = 'ACMEError';
+    this.type = problem.type || null;
+    this.status = status;
+    this.subproblems = problem.subproblems || [];
+  }
+}
+
+/**
+ * Minimal ACME v2 (RFC 8555) client: accounts, orders, challenges, finalize
+ * and download. Requests are signed with an ES256 account key; certificate
+ * keys are RSA 2048 with a CSR built by node-forge.
+ */
+class ACMEClient {
+  /**
+   * @param {Object} options - { directoryUrl, accountKey (PEM), accountUrl?, pollInterval?, pollTimeout? }
+   */
+  constructor(options = {}) {
+    this.directoryUrl = options.directoryUrl || LETS_ENCRYPT_DIRECTORY;
+    this.accountKey = crypto.createPrivateKey(options.accountKey || ACMEClient.generateAccountKey());
+    this.accountUrl = options.accountUrl || null;
+    this.pollInterval = options.pollInterval ?? 2000;
+    this.pollTimeout = options.pollTimeout ?? 300000;
+    this.directory = null;
+    this.nonce = null;
+    this.http = axios.create({ validateStatus: () => true, maxRedirects: 0 });
+  }
+
+  static generateAccountKey() {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return privateKey.export({ type: 'pkcs8', format: 'pem' });
+  }
+
+  /**
+   * Generate a certificate key and a CSR for the domains (first domain is the common name)
+   * @returns {{privateKey: string, csr: string}} PEM private key and base64url DER CSR
+   */
+  static createCSR(domains) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    const csr = forge.pki.createCertificationRequest();
+    csr.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+    if (domains[0].length <= 64) {
+      csr.setSubject([{ name: 'commonName', value: domains[0] }]);
+    }
+    csr.setAttributes([{
+      name: 'extensionRequest',
+      extensions: [{ name: 'subjectAltName', altNames: domains.map(domain => ({ type: 2, value: domain })) }]
+    }]);
+    csr.sign(forge.pki.privateKeyFromPem(privateKeyPem), forge.md.sha256.create());
+
+    const der = forge.asn1.toDer(forge.pki.certificationRequestToAsn1(csr)).getBytes();
+    return { privateKey: privateKeyPem, csr: base64url(Buffer.from(der, 'binary')) };
+  }
+
+  /**
+   * Split a PEM chain into the leaf certificate and the issuer chain
+   */
+  static splitChain(fullchain) {
+    const blocks = fullchain.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    if (blocks.length === 0) {
+      throw new Error('ACME server returned no certificate');
+    }
+    return {
+      certificate: `${blocks[0]}\n`,
+      chain: blocks.slice(1).map(block => `${block}\n`).join(''),
+      fullchain: blocks.map(block => `${block}\n`).join('')
+    };
+  }
+
+  get jwk() {
+    const { crv, kty, x, y } = this.accountKey.export({ format: 'jwk' });
+    return { crv, kty, x, y };
+  }
+
+  /**
+   * RFC 7638 thumbprint of the account key, part of every key authorization
+   */
+  get thumbprint() {
+    return base64url(crypto.createHash('sha256').update(JSON.stringify(this.jwk)).digest());
+  }
+
+  keyAuthorization(token) {
+    return `${token}.${this.thumbprint}`;
+  }
+
+  /**
+   * TXT record value for a dns-01 challenge
+   */
+  dnsChallengeValue(token) {
+    return base64url(crypto.createHash('sha256').update(this.keyAuthorization(token)).digest());
+  }
+
+  async getDirectory() {
+    if (!this.directory) {
+      const response = await this.http.get(this.directoryUrl);
+      if (response.status !== 200 || !response.data?.newNonce) {
+        throw new Error(`Could not read the ACME directory at ${this.directoryUrl} (HTTP ${response.status})`);
+      }
+      this.directory = response.data;
+    }
+    return this.directory;
+  }
+
+  async getNonce() {
+    if (this.nonce) {
+      const nonce = this.nonce;
+      this.nonce = null;
+      return nonce;
+    }
+
+    const { newNonce } = await this.getDirectory();
+    const response = await this.http.head(newNonce);
+    const nonce = response.headers['replay-nonce'];
+    if (!nonce) {
+      throw new Error('ACME server did not return a nonce');
+    }
+    return nonce;
+  }
+
+  sign(url, payload, nonce) {
+    const header = { alg: 'ES256', nonce, url };
+    if (this.accountUrl) {
+      header.kid = this.accountUrl;
+    } else {
+      header.jwk = this.jwk;
+    }
+
+    const protectedHeader = base64url(JSON.stringify(header));
+    const encodedPayload = payload === null ? '' : base64url(JSON.stringify(payload));
+    const signature = crypto.sign('sha256', Buffer.from(`${protectedHeader}.${encodedPayload}`), {
+      key: this.accountKey,
+      dsaEncoding: 'ieee-p1363'
+    });
+
+    return { protected: protectedHeader, payload: encodedPayload, signature: base64url(signature) };
+  }
+
+  /**
+   * Signed POST; a null payload is a POST-as-GET. Retries once on badNonce.
+   */
+  async request(url, payload = null, { accept, retried = false } = {}) {
+    const body = this.sign(url, payload, await this.getNonce());
+    const response = await this.http.post(url, body, {
+      headers: { 'Content-Type': 'application/jose+json', ...(accept ? { Accept: accept } : {}) },
+      responseType: accept ? 'text' : 'json'
+    });
+
+    if (response.headers['replay-nonce']) {
+      this.nonce = response.headers['replay-nonce'];
+    }
+
+    if (response.status >= 400) {
+      const problem = typeof response.data === 'string' ? safeParse(response.data) : response.data;
+      if (problem?.type === 'urn:ietf:params:acme:error:badNonce' && !retried) {
+        return this.request(url, payload, { accept, retried: true });
+      }
+      throw new ACMEError(problem || {}, response.status);
+    }
+
+    return response;
+  }
+
+  /**
+   * Create the account, or find the existing one for this key
+   * @returns {string} Account URL
+   */
+  async register(email) {
+    const { newAccount, meta } = await this.getDirectory();
+    const payload = { termsOfServiceAgreed: true };
+    if (email) {
+      payload.contact = [`mailto:${email}`];
+    }
+    if (meta?.externalAccountRequired) {
+      throw new Error('This ACME server requires external account binding, which is not supported');
+    }
+
+    // newAccount is always signed with the JWK; the server answers with the existing account for a known key
+    this.accountUrl = null;
+    const response = await this.request(newAccount, payload);
+    this.accountUrl = response.headers.location;
+    return this.accountUrl;
+  }
+
+  /**
+   * @returns {Object} Order with its URL in `url`
+   */
+  async createOrder(domains) {
+    const { newOrder } = await this.getDirectory();
+    const response = await this.request(newOrder, {
+      identifiers: domains.map(domain => ({ type: 'dns', value: domain }))
+    });
+    return { ...response.data, url: response.headers.location };
+  }
+
+  async getAuthorization(url) {
+    const response = await this.request(url);
+    return { ...response.data, url };
+  }
+
+  /**
+   * Tell the server the challenge response is in place
+   */
+  async completeChallenge(challenge) {
+    const response = await this.request(challenge.url, {});
+    return response.data;
+  }
+
+  /**
+   * Poll an authorization or order until it leaves the pending/processing states
+   */
+  async waitForStatus(url, expected = 'valid') {
+    const deadline = Date.now() + this.pollTimeout;
+
+    while (true) {
+      const resource = (await this.request(url)).data;
+      if (resource.status === expected) {
+        return resource;
+      }
+      if (!['pending', 'processing', 'ready'].includes(resource.status)) {
+        const failed = (resource.challenges || []).find(challenge => challenge.error);
+        const reason = failed ? `${failed.type}: ${failed.error.detail}` : resource.error?.detail;
+        throw new Error(`ACME ${resource.identifier ? `authorization for ${resource.identifier.value}` : 'order'} is ${resource.status}${reason ? ` (${reason})` : ''}`);
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${url} to become ${expected}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Submit the CSR and wait for the certificate to be issued
+   * @returns {Object} Valid order with its certificate URL
+   */
+  async finalize(order, csr) {
+    await this.request(order.finalize, { csr });
+    return this.waitForStatus(order.url, 'valid');
+  }
+
+  async downloadCertificate(url) {
+    const response = await this.request(url, null, { accept: 'application/pem-certificate-chain' });
+    return response.data;
+  }
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ACMEClient,
+  ACMEError,
+  LETS_ENCRYPT_DIRECTORY,
+  LETS_ENCRYPT_STAGING_DIRECTORY
+};
@@ -0,0 +1,348 @@
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * One source of AWS credentials for every manager and SDK client
+ *
+ * Sources, first match wins:
+ *   1. A named profile (--profile, aws.profile) from ~/.aws/config and
+ *      ~/.aws/credentials, including SSO profiles and profiles with role_arn
+ *   2. Access keys in the configuration (aws.accessKeyId/secretAccessKey,
+ *      optionally aws.sessionToken)
+ *   3. The SDK default chain (AWS_* environment variables, AWS_PROFILE,
+ *      instance and container roles)
+ * With --role-arn (or aws.roleArn) the source's credentials are used to
+ * assume that role; --mfa-serial (or aws.mfaSerial) prompts for an MFA code.
+ *
+ * Providers are cached per source so MFA codes are asked for once per run and
+ * temporary credentials are reused until shortly before they expire.
+ */
+
+// Fields of the aws configuration section that select the credentials
+const AWS_CREDENTIAL_FIELDS = [
+  'accessKeyId',
+  'secretAccessKey',
+  'sessionToken',
+  'profile',
+  'roleArn',
+  'mfaSerial',
+  'roleSessionName',
+  'externalId',
+  'durationSeconds'
+];
+
+// Error codes for a credential source that could not provide credentials
+const CREDENTIAL_SOURCE_ERRORS = [
+  'AWS_SSO_LOGIN_REQUIRED',
+  'AWS_PROFILE_NOT_FOUND',
+  'AWS_MFA_REQUIRED',
+  'AWS_ASSUME_ROLE_FAILED',
+  'AWS_CREDENTIALS_UNAVAILABLE'
+];
+
+// Temporary credentials are refreshed this long before they expire
+const EXPIRATION_WINDOW_MS = 5 * 60 * 1000;
+
+let cliOptions = {};
+const providers = new Map();
+
+/**
+ * Credential options from the global CLI flags; they take precedence over the configuration
+ * @param {Object} options
+ * @param {string} options.profile - --profile
+ * @param {string} options.roleArn - --role-arn
+ * @param {string} options.mfaSerial - --mfa-serial
+ */
+function setCredentialOptions(options = {}) {
+  cliOptions = {};
+  for (const key of ['profile', 'roleArn', 'mfaSerial']) {
+    if (options[key]) {
+      cliOptions[key] = options[key];
+    }
+  }
+  providers.clear();
+}
+
+/**
+ * The credential source for an aws configuration section, with the CLI flags applied
+ */
+function resolveCredentialSettings(awsConfig = {}) {
+  const settings = {
+    region: awsConfig.region || 'us-east-1',
+    profile: cliOptions.profile || awsConfig.profile,
+    roleArn: cliOptions.roleArn || awsConfig.roleArn,
+    mfaSerial: cliOptions.mfaSerial || awsConfig.mfaSerial,
+    roleSessionName: awsConfig.roleSessionName,
+    externalId: awsConfig.externalId,
+    durationSeconds: awsConfig.durationSeconds
+  };
+
+  if (!settings.profile && awsConfig.accessKeyId && awsConfig.secretAccessKey) {
+    settings.accessKeyId = awsConfig.accessKeyId.trim();
+    settings.secretAccessKey = awsConfig.secretAccessKey.trim();
+    settings.sessionToken = awsConfig.sessionToken;
+  }
+
+  settings.source = settings.profile ? 'profile' : settings.accessKeyId ? 'keys' : 'default';
+  return settings;
+}
+
+/**
+ * Whether credentials can be found without the keys in the configuration
+ * (a profile, an assumed role or the SDK environment variables)
+ */
+function hasCredentialSource(awsConfig = {}) {
+  const settings = resolveCredentialSettings(awsConfig);
+  return settings.source !== 'default' || Boolean(settings.roleArn) ||
+    Boolean(process.env.AWS_PROFILE) || Boolean(process.env.AWS_ACCESS_KEY_ID);
+}
+
+/**
+ * Human-readable description of where the credentials come from
+ */
+function describeCredentialSource(awsConfig = {}) {
+  const settings = resolveCredentialSettings(awsConfig);
+  let description;
+  if (settings.source === 'profile') {
+    description = `profile "${settings.profile}"`;
+  } else if (settings.source === 'keys') {
+    description = `access key ${maskAccessKey(settings.accessKeyId)}`;
+  } else {
+    description = process.env.AWS_PROFILE ? `profile "${process.env.AWS_PROFILE}" (AWS_PROFILE)` : 'the AWS SDK default chain';
+  }
+  return settings.roleArn ? `role ${settings.roleArn} assumed with ${description}` : description;
+}
+
+/**
+ * Credential provider for the SDK clients' `credentials` option
+ * @param {Object} awsConfig - The aws configuration section
+ * @returns {Function} Async provider returning { accessKeyId, secretAccessKey, sessionToken, expiration }
+ */
+function getAWSCredentials(awsConfig = {}) {
+  const settings = resolveCredentialSettings(awsConfig);
+  const cacheKey = JSON.stringify(settings);
+
+  if (!providers.has(cacheKey)) {
+    providers.set(cacheKey, memoize(() => loadCredentials(settings)));
+  }
+  return providers.get(cacheKey);
+}
+
+/**
+ * The identity STS reports for the credentials
+ * @returns {Promise<{arn: string, account: string, userId: string, source: string}>}
+ */
+async function getCallerIdentity(awsConfig = {}) {
+  const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+  const settings = resolveCredentialSettings(awsConfig);
+  const stsClient = new STSClient({ region: settings.region, credentials: getAWSCredentials(awsConfig) });
+
+  try {
+    const identity = await stsClient.send(new GetCallerIdentityCommand({}));
+    return {
+      arn: identity.Arn,
+      account: identity.Account,
+      userId: identity.UserId,
+      source: describeCredentialSource(awsConfig)
+    };
+  } catch (error) {
+    throw toCredentialError(error, settings);
+  }
+}
+
+function memoize(load) {
+  let credentials = null;
+  let pending = null;
+
+  return async () => {
+    if (credentials && !isExpiring(credentials)) {
+      return credentials;
+    }
+    if (!pending) {
+      pending = load()
+        .then(result => {
+          credentials = result;
+          return result;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+}
+
+function isExpiring(credentials) {
+  return credentials.expiration && new Date(credentials.expiration).getTime() - Date.now() < EXPIRATION_WINDOW_MS;
+}
+
+async function loadCredentials(settings) {
+  try {
+    const baseCredentials = await loadBaseCredentials(settings);
+    return settings.roleArn ? await assumeRole(settings, baseCredentials) : baseCredentials;
+  } catch (error) {
+    throw toCredentialError(error, settings);
+  }
+}
+
+async function loadBaseCredentials(settings) {
+  if (settings.source === 'profile') {
+    const { fromIni } = require('@aws-sdk/credential-provider-ini');
+    return await fromIni({
+      profile: settings.profile,
+      mfaCodeProvider: promptForMFACode,
+      clientConfig: { region: settings.region }
+    })();
+  }
+
+  if (settings.source === 'keys') {
+    return {
+      accessKeyId: settings.accessKeyId,
+      secretAccessKey: settings.secretAccessKey,
+      ...(settings.sessionToken ? { sessionToken: settings.sessionToken } : {})
+    };
+  }
+
+  const { defaultProvider } = require('@aws-sdk/credential-provider-node');
+  return await defaultProvider({
+    mfaCodeProvider: promptForMFACode,
+    clientConfig: { region: settings.region }
+  })();
+}
+
+async function assumeRole(settings, baseCredentials) {
+  const { STSClient, AssumeRoleCommand } = require('@aws-sdk/client-sts');
+  const stsClient = new STSClient({ region: settings.region, credentials: baseCredentials });
+
+  const params = {
+    RoleArn: settings.roleArn,
+    RoleSessionName: settings.roleSessionName || `focal-deploy-${Date.now()}`
+  };
+  if (settings.externalId) {
+    params.ExternalId = settings.externalId;
+  }
+  if (settings.durationSeconds) {
+    params.DurationSeconds = Number(settings.durationSeconds);
+  }
+  if (settings.mfaSerial) {
+    params.SerialNumber = settings.mfaSerial;
+    params.TokenCode = await promptForMFACode(settings.mfaSerial);
+  }
+
+  const { Credentials } = await stsClient.send(new AssumeRoleCommand(params));
+  return {
+    accessKeyId: Credentials.AccessKeyId,
+    secretAccessKey: Credentials.SecretAccessKey,
+    sessionToken: Credentials.SessionToken,
+    expiration: Credentials.Expiration
+  };
+}
+
+/**
+ * MFA code from FOCAL_DEPLOY_MFA_CODE, otherwise asked for on the terminal.
+ * The prompt is written to stderr so --output json stays parseable.
+ */
+async function promptForMFACode(mfaSerial) {
+  if (process.env.FOCAL_DEPLOY_MFA_CODE) {
+    return process.env.FOCAL_DEPLOY_MFA_CODE.trim();
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new FocalDeployError(
+      `An MFA code is required for ${mfaSerial}.`,
+      'Set FOCAL_DEPLOY_MFA_CODE to the current code when running without a terminal.',
+      'AWS_MFA_REQUIRED'
+    );
+  }
+
+  const inquirer = require('inquirer');
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const { code } = await prompt([
+    {
+      type: 'input',
+      name: 'code',
+      message: `MFA code for ${mfaSerial}:`,
+      validate: (input) => /^\d{6}$/.test(input.trim()) || 'Enter the 6-digit code from your MFA device'
+    }
+  ]);
+  return code.trim();
+}
+
+function toCredentialError(error, settings) {
+  if (error instanceof FocalDeployError) {
+    return error;
+  }
+
+  const message = error.message || String(error);
+  const profile = settings.profile || process.env.AWS_PROFILE || 'default';
+
+  if (/sso (session|token)|sso login/i.test(message)) {
+    return new FocalDeployError(
+      `The AWS SSO session for profile "${profile}" has expired or was never started.`,
+      `Run "aws sso login --profile ${profile}" and try again.`,
+      'AWS_SSO_LOGIN_REQUIRED'
+    );
+  }
+
+  if (/Could not resolve credentials using profile|Profile .* (was not found|could not be found)/.test(message)) {
+    return new FocalDeployError(
+      `AWS profile "${profile}" was not found.`,
+      '',
+      'AWS_PROFILE_NOT_FOUND',
+      [
+        'Check the profile name in ~/.aws/config and ~/.aws/credentials',
+        'Run "aws configure --profile <name>" or "aws configure sso" to create it'
+      ]
+    );
+  }
+
+  if (settings.roleArn && (error.name === 'AccessDenied' || /AssumeRole|MultiFactorAuthentication/.test(message))) {
+    return new FocalDeployError(
+      `Could not assume role ${settings.roleArn}: ${message}`,
+      '',
+      'AWS_ASSUME_ROLE_FAILED',
+      [
+        'Check that the role trust policy allows your identity to assume it',
+        'Pass --mfa-serial when the trust policy requires MFA',
+        'Check the external ID when the role requires one'
+      ]
+    );
+  }
+
+  if (error.name === 'CredentialsProviderError') {
+    return new FocalDeployError(
+      `No AWS credentials found: ${message}`,
+      '',
+      'AWS_CREDENTIALS_UNAVAILABLE',
+      [
+        'Pass --profile <name> to use a profile from ~/.aws/config',
+        'Set aws.accessKeyId and aws.secretAccessKey in the configuration',
+        'Run "focal-deploy new <project-name>" to set up credentials'
+      ]
+    );
+  }
+
+  return error;
+}
+
+/**
+ * Whether an error comes from the credential source (SSO login, profile, MFA,
+ * assume-role) rather than from the AWS call, so it can be shown as is
+ */
+function isCredentialSourceError(error) {
+  return error instanceof FocalDeployError && CREDENTIAL_SOURCE_ERRORS.includes(error.code);
+}
+
+function maskAccessKey(accessKeyId) {
+  return accessKeyId.length > 8 ? `${accessKeyId.slice(0, 4)}…${accessKeyId.slice(-4)}` : '****';
+}
+
+module.exports = {
+  AWS_CREDENTIAL_FIELDS,
+  setCredentialOptions,
+  resolveCredentialSettings,
+  hasCredentialSource,
+  describeCredentialSource,
+  getAWSCredentials,
+  getCallerIdentity,
+  isCredentialSourceError
+};
@@ -9,9 +9,14 @@ const {
   ReleaseAddressCommand,
   CreateTagsCommand,
   DescribeImagesCommand,
-  ModifyInstanceAttributeCommand
+  DescribeSubnetsCommand,
+  ModifyInstanceAttributeCommand,
+  StopInstancesCommand,
+  StartInstancesCommand
 } = require('@aws-sdk/client-ec2');
 const { ErrorHandler } = require('../utils/errors');
+const { isDualStackEnabled } = require('../utils/ipv6');
+const { getResourcePrefix, getEnvironmentTag } = require('../utils/environment');
 const IAMManager = require('./iam');
 
 class EC2Manager {
@@ -90,14 +95,18 @@ class EC2Manager {
     try {
       const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
       const imageId = await this.getLatestAMI(operatingSystem);
+
+      // Dual-stack instances need a subnet with an IPv6 CIDR block
+      const ipv6Subnet = isDualStackEnabled(config) ? await this.findIPv6Subnet() : null;
       
       // Create SSM role and instance profile for emergency access
       console.log('🔐 Setting up emergency access (SSM Session Manager)...');
       // Ensure project name is valid for SSM role creation
       const projectName = config.project?.name || config.projectName || 'focal-deploy-project';
+      const resourcePrefix = getResourcePrefix(config);
       
       try {
-        const ssmRole = await this.iamManager.createSSMRole(projectName);
+        const ssmRole = await this.iamManager.createSSMRole(resourcePrefix);
         
         // Wait for IAM role to be fully propagated (AWS eventual consistency)
         if (!ssmRole.existed) {
@@ -116,40 +125,41 @@ class EC2Manager {
         const userData = this.generateUserData(config);
         
         const runInstancesCommand = new RunInstancesCommand({
-        ImageId: imageId,
-        InstanceType: config.aws.instanceType || 't3.small',
-        MinCount: 1,
-        MaxCount: 1,
-        KeyName: config.aws.keyPairName,
-        SecurityGroupIds: [config.aws.securityGroupId],
-        UserData: Buffer.from(userData).toString('base64'),
-        IamInstanceProfile: {
-          Name: ssmRole.instanceProfileName
-        },
-        BlockDeviceMappings: [
-          {
-            DeviceName: '/dev/sda1',
-            Ebs: {
-              VolumeSize: config.aws.volumeSize || 20,
-              VolumeType: 'gp3',
-              DeleteOnTermination: true
+          ...(ipv6Subnet ? { SubnetId: ipv6Subnet.subnetId, Ipv6AddressCount: 1 } : {}),
+          ImageId: imageId,
+          InstanceType: config.aws.instanceType || 't3.small',
+          MinCount: 1,
+          MaxCount: 1,
+          KeyName: config.aws.keyPairName,
+          SecurityGroupIds: [config.aws.securityGroupId],
+          UserData: Buffer.from(userData).toString('base64'),
+          IamInstanceProfile: {
+            Name: ssmRole.instanceProfileName
+          },
+          BlockDeviceMappings: [
+            {
+              DeviceName: '/dev/sda1',
+              Ebs: {
+                VolumeSize: config.aws.volumeSize || 20,
+                VolumeType: 'gp3',
+                DeleteOnTermination: true
+              }
             }
-          }
-        ],
-        TagSpecifications: [
-          {
-            ResourceType: 'instance',
-            Tags: [
-              { Key: 'Name', Value: `${projectName}-server` },
-              { Key: 'Project', Value: projectName },
-              { Key: 'ManagedBy', Value: 'focal-deploy' },
-              { Key: 'Environment', Value: 'production' },
-              { Key: 'SSMEnabled', Value: 'true' },
-              { Key: 'EmergencyAccess', Value: 'enabled' }
-            ]
-          }
-        ]
-      });
+          ],
+          TagSpecifications: [
+            {
+              ResourceType: 'instance',
+              Tags: [
+                { Key: 'Name', Value: `${resourcePrefix}-server` },
+                { Key: 'Project', Value: projectName },
+                { Key: 'ManagedBy', Value: 'focal-deploy' },
+                { Key: 'Environment', Value: getEnvironmentTag(config) },
+                { Key: 'SSMEnabled', Value: 'true' },
+                { Key: 'EmergencyAccess', Value: 'enabled' }
+              ]
+            }
+          ]
+        });
 
       const response = await this.client.send(runInstancesCommand);
       const instance = response.Instances[0];
@@ -168,6 +178,7 @@ class EC2Manager {
         instanceId: instance.InstanceId,
         privateIpAddress: runningInstance.PrivateIpAddress,
         publicIpAddress: elasticIP.PublicIp,
+        ipv6Address: this.getIPv6Address(runningInstance),
         allocationId: elasticIP.AllocationId,
         state: 'running',
         instanceType: instance.InstanceType,
@@ -205,6 +216,36 @@ class EC2Manager {
     }
   }
 
+  /**
+   * Find a default subnet that has an IPv6 CIDR block associated
+   * @returns {Object} { subnetId, availabilityZone, ipv6CidrBlock }
+   */
+  async findIPv6Subnet() {
+    const response = await this.client.send(new DescribeSubnetsCommand({
+      Filters: [{ Name: 'default-for-az', Values: ['true'] }]
+    }));
+
+    for (const subnet of response.Subnets || []) {
+      const association = (subnet.Ipv6CidrBlockAssociationSet || [])
+        .find(block => block.Ipv6CidrBlockState?.State === 'associated');
+      if (association) {
+        return {
+          subnetId: subnet.SubnetId,
+          availabilityZone: subnet.AvailabilityZone,
+          ipv6CidrBlock: association.Ipv6CidrBlock
+        };
+      }
+    }
+
+    throw new Error('IPv6 is enabled but no default subnet has an IPv6 CIDR block. Associate an Amazon-provided IPv6 CIDR with the default VPC, add one to a subnet and route ::/0 to the internet gateway, or set aws.ipv6 to false.');
+  }
+
+  getIPv6Address(instance) {
+    return instance.Ipv6Address ||
+      instance.NetworkInterfaces?.[0]?.Ipv6Addresses?.[0]?.Ipv6Address ||
+      null;
+  }
+
   async allocateElasticIP(instanceId, projectName) {
     try {
       // Allocate Elastic IP
@@ -313,8 +354,12 @@ class EC2Manager {
         instanceId: instance.InstanceId,
         state: instance.State.Name,
         publicIpAddress: instance.PublicIpAddress,
+        ipv6Address: this.getIPv6Address(instance),
         privateIpAddress: instance.PrivateIpAddress,
         instanceType: instance.InstanceType,
+        securityGroupIds: (instance.SecurityGroups || []).map(group => group.GroupId),
+        keyName: instance.KeyName,
+        iamInstanceProfileArn: instance.IamInstanceProfile?.Arn || null,
         launchedAt: instance.LaunchTime
       };
 
@@ -323,6 +368,52 @@ class EC2Manager {
     }
   }
 
+  /**
+   * Change the instance type; the instance is stopped and started again
+   * (the Elastic IP stays associated)
+   */
+  async changeInstanceType(instanceId, instanceType) {
+    try {
+      const { state } = await this.getInstanceInfo(instanceId);
+      const wasRunning = state === 'running' || state === 'pending';
+
+      if (state !== 'stopped') {
+        await this.client.send(new StopInstancesCommand({ InstanceIds: [instanceId] }));
+        await this.waitForInstanceState(instanceId, 'stopped');
+      }
+
+      await this.client.send(new ModifyInstanceAttributeCommand({
+        InstanceId: instanceId,
+        InstanceType: { Value: instanceType }
+      }));
+
+      if (wasRunning) {
+        await this.client.send(new StartInstancesCommand({ InstanceIds: [instanceId] }));
+        await this.waitForInstanceState(instanceId, 'running');
+      }
+
+      return this.getInstanceInfo(instanceId);
+
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * Replace the security groups attached to an instance
+   */
+  async setSecurityGroups(instanceId, securityGroupIds) {
+    try {
+      await this.client.send(new ModifyInstanceAttributeCommand({
+        InstanceId: instanceId,
+        Groups: securityGroupIds
+      }));
+      return true;
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
   async terminateInstance(instanceId) {
     try {
       // Get instance info to find associated Elastic IP
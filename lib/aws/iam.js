@@ -6,9 +6,11 @@ const {
   AddRoleToInstanceProfileCommand,
   GetRoleCommand,
   GetInstanceProfileCommand,
-  ListAttachedRolePoliciesCommand
+  ListAttachedRolePoliciesCommand,
+  PutRolePolicyCommand,
+  DeleteRolePolicyCommand
 } = require('@aws-sdk/client-iam');
-const { ErrorHandler } = require('../utils/errors');
+const { ErrorHandler, FocalDeployError } = require('../utils/errors');
 
 class IAMManager {
   constructor(region, credentials) {
@@ -117,10 +119,7 @@ class IAMManager {
 
       // Attach AWS managed policies for SSM
       console.log(`🔗 Attaching policies to role: ${roleName}`);
-      const policies = [
-        'arn:aws:iam::aws:policy/AmazonSSMManagedInstanceCore',
-        'arn:aws:iam::aws:policy/CloudWatchAgentServerPolicy'
-      ];
+      const policies = IAMManager.SSM_POLICY_ARNS;
 
       for (const policyArn of policies) {
         try {
@@ -253,6 +252,54 @@ class IAMManager {
     }
   }
 
+  /**
+   * Let the instance role upload backups to the project bucket, for the
+   * backup timer on the server. Only objects under backups/ can be written
+   * and read back; nothing can be deleted.
+   */
+  async putBackupPolicy(roleName, bucketName) {
+    const policyDocument = {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Effect: 'Allow',
+          Action: ['s3:PutObject', 's3:GetObject', 's3:AbortMultipartUpload'],
+          Resource: `arn:aws:s3:::${bucketName}/backups/*`
+        }
+      ]
+    };
+
+    try {
+      await this.client.send(new PutRolePolicyCommand({
+        RoleName: roleName,
+        PolicyName: IAMManager.BACKUP_POLICY_NAME,
+        PolicyDocument: JSON.stringify(policyDocument)
+      }));
+    } catch (error) {
+      if (isNoSuchEntity(error)) {
+        throw new FocalDeployError(
+          `The instance role ${roleName} was not found.`,
+          'Scheduled backups upload with the role of instances created by "focal-deploy up". Recreate the instance, or take backups with "focal-deploy backup".',
+          'INSTANCE_ROLE_NOT_FOUND'
+        );
+      }
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  async deleteBackupPolicy(roleName) {
+    try {
+      await this.client.send(new DeleteRolePolicyCommand({
+        RoleName: roleName,
+        PolicyName: IAMManager.BACKUP_POLICY_NAME
+      }));
+    } catch (error) {
+      if (!isNoSuchEntity(error)) {
+        throw ErrorHandler.createAWSError(error);
+      }
+    }
+  }
+
   async getRoleInfo(roleName) {
     try {
       const roleResponse = await this.client.send(new GetRoleCommand({
@@ -278,4 +325,20 @@ class IAMManager {
   }
 }
 
+// AWS managed policies attached to the instance role for SSM access and CloudWatch
+IAMManager.SSM_POLICY_ARNS = [
+  'arn:aws:iam::aws:policy/AmazonSSMManagedInstanceCore',
+  'arn:aws:iam::aws:policy/CloudWatchAgentServerPolicy'
+];
+
+// Inline policy on the instance role used by scheduled backups
+IAMManager.BACKUP_POLICY_NAME = 'focal-deploy-backups';
+
+function isNoSuchEntity(error) {
+  return error.name === 'NoSuchEntity' ||
+    error.name === 'NoSuchEntityException' ||
+    error.Error?.Code === 'NoSuchEntity' ||
+    error.$metadata?.httpStatusCode === 404;
+}
+
 module.exports = IAMManager;
\ No newline at end of file
@@ -0,0 +1,162 @@
+const {
+  Route53Client,
+  ListHostedZonesCommand,
+  ListResourceRecordSetsCommand,
+  ChangeResourceRecordSetsCommand,
+  GetChangeCommand
+} = require('@aws-sdk/client-route-53');
+const { ErrorHandler } = require('../utils/errors');
+
+class Route53Manager {
+  /**
+   * @param {string} region - AWS region (Route53 itself is global)
+   * @param {Object} credentials - Same credentials object EC2Manager/S3Manager receive
+   * @param {Object} clientOptions - Extra Route53Client options (e.g. endpoint for tests)
+   */
+  constructor(region, credentials, clientOptions = {}) {
+    this.region = region || 'us-east-1';
+    this.credentials = credentials;
+    this.client = new Route53Client({
+      region: this.region,
+      credentials: this.credentials,
+      ...clientOptions
+    });
+  }
+
+  async listHostedZones() {
+    try {
+      const zones = [];
+      let marker;
+
+      do {
+        const response = await this.client.send(new ListHostedZonesCommand(marker ? { Marker: marker } : {}));
+        zones.push(...(response.HostedZones || []).map(zone => ({
+          id: zone.Id,
+          name: zone.Name.replace(/\.$/, ''),
+          private: zone.Config?.PrivateZone || false,
+          recordCount: zone.ResourceRecordSetCount
+        })));
+        marker = response.IsTruncated ? response.NextMarker : null;
+      } while (marker);
+
+      return zones;
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * Find the most specific hosted zone for a domain, preferring public zones
+   * @returns {Object|null} { id, name, private } or null when no zone matches
+   */
+  async findRoute53HostedZone(domain, zones = null) {
+    const hostedZones = zones || await this.listHostedZones();
+    const bareDomain = domain.replace(/^\*\./, '').replace(/\.$/, '').toLowerCase();
+
+    const matches = hostedZones
+      .filter(zone => bareDomain === zone.name || bareDomain.endsWith(`.${zone.name}`))
+      .sort((a, b) => (b.name.length - a.name.length) || (a.private - b.private));
+
+    return matches[0] || null;
+  }
+
+  /**
+   * List record sets in a hosted zone
+   * @param {Object} start - Optional { name, type, maxItems } to read a single page from a record set onwards
+   */
+  async listResourceRecordSets(hostedZoneId, start = null) {
+    try {
+      const recordSets = [];
+      let startName = start?.name;
+      let startType = start?.type;
+      let startIdentifier;
+
+      do {
+        const params = { HostedZoneId: hostedZoneId };
+        if (startName) {
+          params.StartRecordName = startName;
+          params.StartRecordType = startType;
+          if (startIdentifier) {
+            params.StartRecordIdentifier = startIdentifier;
+          }
+        }
+        if (start?.maxItems) {
+          params.MaxItems = start.maxItems;
+        }
+
+        const response = await this.client.send(new ListResourceRecordSetsCommand(params));
+        recordSets.push(...(response.ResourceRecordSets || []));
+
+        startName = response.IsTruncated && !start ? response.NextRecordName : null;
+        startType = response.NextRecordType;
+        startIdentifier = response.NextRecordIdentifier;
+      } while (startName);
+
+      return recordSets;
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * Submit a change batch
+   * @param {string} hostedZoneId - Hosted zone ID
+   * @param {Array} changes - [{ Action: 'UPSERT'|'DELETE'|'CREATE', ResourceRecordSet }]
+   * @returns {Object} { id, status, submittedAt }
+   */
+  async changeResourceRecordSets(hostedZoneId, changes, comment = 'Managed by focal-deploy') {
+    try {
+      const response = await this.client.send(new ChangeResourceRecordSetsCommand({
+        HostedZoneId: hostedZoneId,
+        ChangeBatch: {
+          Comment: comment,
+          Changes: changes
+        }
+      }));
+
+      return this.normalizeChangeInfo(response.ChangeInfo);
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  async getChange(changeId) {
+    try {
+      const response = await this.client.send(new GetChangeCommand({ Id: changeId }));
+      return this.normalizeChangeInfo(response.ChangeInfo);
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * Poll GetChange until Route53 reports the change as INSYNC
+   */
+  async waitForChange(changeId, options = {}) {
+    const { timeout = 180000, interval = 5000 } = options;
+    const startTime = Date.now();
+
+    while (true) {
+      const change = await this.getChange(changeId);
+      if (change.status === 'INSYNC') {
+        return change;
+      }
+
+      if (Date.now() - startTime + interval > timeout) {
+        throw new Error(`Route53 change ${changeId} still ${change.status} after ${Math.round(timeout / 1000)}s`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  normalizeChangeInfo(changeInfo = {}) {
+    return {
+      id: changeInfo.Id,
+      status: changeInfo.Status,
+      submittedAt: changeInfo.SubmittedAt
+    };
+  }
+}
+
+module.exports = Route53Manager;
@@ -4,15 +4,26 @@ const {
   DeleteBucketCommand,
   HeadBucketCommand,
   PutBucketVersioningCommand,
+  GetBucketVersioningCommand,
+  GetBucketPolicyCommand,
   PutBucketEncryptionCommand,
   PutBucketTaggingCommand,
   PutObjectCommand,
   GetObjectCommand,
   DeleteObjectCommand,
   ListObjectsV2Command,
-  PutBucketPolicyCommand
+  PutBucketPolicyCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand
 } = require('@aws-sdk/client-s3');
-const { ErrorHandler } = require('../utils/errors');
+const { ErrorHandler, FocalDeployError } = require('../utils/errors');
+const { getResourcePrefix, getEnvironmentTag } = require('../utils/environment');
+
+const BACKUP_RETENTION_RULE = 'focal-deploy-backups';
 
 class S3Manager {
   constructor(region, credentials) {
@@ -27,10 +38,9 @@ class S3Manager {
   async createBucket(config) {
     try {
       // Ensure config structure exists and has required properties
-      const projectName = config.project?.name || config.projectName || 'focal-deploy-project';
       const region = config.aws?.region || this.region || 'us-east-1';
       
-      const bucketName = this.generateBucketName(projectName, region);
+      const bucketName = this.generateBucketName(getResourcePrefix(config), region);
       
       // Check if bucket already exists
       try {
@@ -98,31 +108,14 @@ class S3Manager {
           TagSet: [
             { Key: 'Project', Value: projectName },
             { Key: 'ManagedBy', Value: 'focal-deploy' },
-            { Key: 'Environment', Value: 'production' },
+            { Key: 'Environment', Value: getEnvironmentTag(config) },
             { Key: 'Purpose', Value: 'application-storage' }
           ]
         }
       }));
 
       // Set bucket policy for application access
-      const bucketPolicy = {
-        Version: '2012-10-17',
-        Statement: [
-          {
-            Sid: 'AllowApplicationAccess',
-            Effect: 'Allow',
-            Principal: {
-              AWS: `arn:aws:iam::${await this.getAccountId()}:root`
-            },
-            Action: [
-              's3:GetObject',
-              's3:PutObject',
-              's3:DeleteObject'
-            ],
-            Resource: `arn:aws:s3:::${bucketName}/*`
-          }
-        ]
-      };
+      const bucketPolicy = this.generateBucketPolicy(bucketName, await this.getAccountId());
 
       await this.client.send(new PutBucketPolicyCommand({
         Bucket: bucketName,
@@ -134,6 +127,51 @@ class S3Manager {
     }
   }
 
+  generateBucketPolicy(bucketName, accountId) {
+    return {
+      Version: '2012-10-17',
+      Statement: [
+        {
+          Sid: 'AllowApplicationAccess',
+          Effect: 'Allow',
+          Principal: {
+            AWS: `arn:aws:iam::${accountId}:root`
+          },
+          Action: [
+            's3:GetObject',
+            's3:PutObject',
+            's3:DeleteObject'
+          ],
+          Resource: `arn:aws:s3:::${bucketName}/*`
+        }
+      ]
+    };
+  }
+
+  /**
+   * Current bucket policy as an object, or null when the bucket has none
+   */
+  async getBucketPolicy(bucketName) {
+    try {
+      const response = await this.client.send(new GetBucketPolicyCommand({ Bucket: bucketName }));
+      return JSON.parse(response.Policy);
+    } catch (error) {
+      if (error.name === 'NoSuchBucketPolicy') {
+        return null;
+      }
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  async getBucketVersioning(bucketName) {
+    try {
+      const response = await this.client.send(new GetBucketVersioningCommand({ Bucket: bucketName }));
+      return response.Status || 'Disabled';
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
   async uploadFile(bucketName, key, body, contentType = 'application/octet-stream') {
     try {
       const command = new PutObjectCommand({
@@ -265,7 +303,11 @@ class S3Manager {
     const timestamp = Date.now().toString().slice(-8);
     const regionCode = safeRegion.replace(/-/g, '');
     
-    return `focal-deploy-${sanitizedName}-${regionCode}-${timestamp}`;
+    // Bucket names are limited to 63 characters (project and environment can be long)
+    const maxNameLength = 63 - `focal-deploy--${regionCode}-${timestamp}`.length;
+    const trimmedName = sanitizedName.slice(0, maxNameLength).replace(/-$/, '');
+    
+    return `focal-deploy-${trimmedName}-${regionCode}-${timestamp}`;
   }
 
   async getAccountId() {
@@ -286,42 +328,161 @@ class S3Manager {
     }
   }
 
-  // Backup and restore functionality
-  async createBackup(bucketName, backupName, files) {
+  /**
+   * Upload a stream of unknown length (e.g. an archive piped from the server)
+   * without buffering it whole: parts of partSize bytes go up as a multipart
+   * upload, which is aborted if the stream or an upload fails. Streams
+   * shorter than one part are stored with a single PUT.
+   */
+  async uploadStream(bucketName, key, stream, options = {}) {
+    const partSize = options.partSize || 8 * 1024 * 1024; // S3 minimum is 5 MB
+    const contentType = options.contentType || 'application/octet-stream';
+    const parts = [];
+    let uploadId = null;
+    let pending = [];
+    let pendingBytes = 0;
+    let size = 0;
+
+    const uploadPart = async (body) => {
+      if (!uploadId) {
+        const response = await this.client.send(new CreateMultipartUploadCommand({
+          Bucket: bucketName,
+          Key: key,
+          ContentType: contentType,
+          Metadata: options.metadata,
+          ServerSideEncryption: 'AES256'
+        }));
+        uploadId = response.UploadId;
+      }
+      const PartNumber = parts.length + 1;
+      const response = await this.client.send(new UploadPartCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber,
+        Body: body
+      }));
+      parts.push({ ETag: response.ETag, PartNumber });
+    };
+
     try {
-      const backupKey = `backups/${backupName}`;
-      const backupData = {
-        timestamp: new Date().toISOString(),
-        files: files,
-        version: '1.0'
-      };
+      for await (const chunk of stream) {
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+        size += chunk.length;
+
+        while (pendingBytes >= partSize) {
+          const buffer = Buffer.concat(pending);
+          pending = [buffer.subarray(partSize)];
+          pendingBytes = buffer.length - partSize;
+          await uploadPart(buffer.subarray(0, partSize));
+        }
+      }
 
-      await this.uploadFile(
-        bucketName, 
-        `${backupKey}/manifest.json`, 
-        JSON.stringify(backupData, null, 2),
-        'application/json'
-      );
+      const rest = Buffer.concat(pending);
+      if (!uploadId) {
+        const response = await this.client.send(new PutObjectCommand({
+          Bucket: bucketName,
+          Key: key,
+          Body: rest,
+          ContentType: contentType,
+          Metadata: options.metadata,
+          ServerSideEncryption: 'AES256'
+        }));
+        return { key, size, etag: response.ETag, versionId: response.VersionId };
+      }
 
-      return {
-        backupName,
-        key: backupKey,
-        timestamp: backupData.timestamp,
-        fileCount: files.length
-      };
+      if (rest.length > 0) {
+        await uploadPart(rest);
+      }
+      const response = await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+      return { key, size, etag: response.ETag, versionId: response.VersionId, parts: parts.length };
 
     } catch (error) {
-      throw ErrorHandler.createAWSError(error);
+      if (uploadId) {
+        await this.client.send(new AbortMultipartUploadCommand({ Bucket: bucketName, Key: key, UploadId: uploadId })).catch(() => {});
+      }
+      throw error instanceof FocalDeployError ? error : ErrorHandler.createAWSError(error);
     }
   }
 
+  // Backup and restore functionality
+  // Each backup is backups/<name>/archive.tar.gz plus a manifest.json
+  // describing it; the manifest is written last, so listed backups are complete.
+
+  /**
+   * Upload a backup archive and its manifest
+   * @param {string} bucketName - Project bucket
+   * @param {string} backupName - Backup name (sortable timestamp)
+   * @param {Stream} archive - tar.gz stream
+   * @param {Object} manifest - Paths, databases and services in the archive
+   */
+  async createBackup(bucketName, backupName, archive, manifest = {}) {
+    const backupKey = `backups/${backupName}`;
+    const upload = await this.uploadStream(bucketName, `${backupKey}/archive.tar.gz`, archive, {
+      contentType: 'application/gzip'
+    });
+
+    const backupData = {
+      version: '2.0',
+      name: backupName,
+      timestamp: new Date().toISOString(),
+      ...manifest,
+      archive: { key: upload.key, size: upload.size }
+    };
+
+    await this.uploadFile(
+      bucketName,
+      `${backupKey}/manifest.json`,
+      JSON.stringify(backupData, null, 2),
+      'application/json'
+    );
+
+    return {
+      backupName,
+      key: backupKey,
+      timestamp: backupData.timestamp,
+      size: upload.size
+    };
+  }
+
+  async getBackup(bucketName, backupName) {
+    const manifest = await this.downloadFile(bucketName, `backups/${backupName}/manifest.json`);
+    return JSON.parse(await this.streamToString(manifest.body));
+  }
+
+  /**
+   * @returns {Promise<Stream>} The backup's tar.gz stream
+   */
+  async downloadBackup(bucketName, backupName) {
+    const archive = await this.downloadFile(bucketName, `backups/${backupName}/archive.tar.gz`);
+    return archive.body;
+  }
+
+  async deleteBackup(bucketName, backupName) {
+    await this.deleteFile(bucketName, `backups/${backupName}/manifest.json`);
+    await this.deleteFile(bucketName, `backups/${backupName}/archive.tar.gz`);
+    return true;
+  }
+
   async listBackups(bucketName) {
     try {
-      const backups = await this.listFiles(bucketName, 'backups/');
-      
-      const manifestFiles = backups.files.filter(file => 
-        file.Key.endsWith('/manifest.json')
-      );
+      const manifestFiles = [];
+      let continuationToken;
+      do {
+        const response = await this.client.send(new ListObjectsV2Command({
+          Bucket: bucketName,
+          Prefix: 'backups/',
+          ContinuationToken: continuationToken
+        }));
+        manifestFiles.push(...(response.Contents || []).filter(file => file.Key.endsWith('/manifest.json')));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
 
       const backupList = [];
       
@@ -333,8 +494,11 @@ class S3Manager {
           backupList.push({
             name: manifest.Key.split('/')[1],
             timestamp: data.timestamp,
-            fileCount: data.files?.length || 0,
-            size: manifest.Size
+            paths: data.paths || data.files || [],
+            databases: (data.databases || []).map(database => `${database.type}:${database.name}`),
+            // Manifests written before archives existed hold file names only
+            size: data.archive?.size ?? null,
+            restorable: Boolean(data.archive)
           });
         } catch (error) {
           // Skip corrupted backup manifests
@@ -349,6 +513,45 @@ class S3Manager {
     }
   }
 
+  /**
+   * Expire backups after a number of days with a lifecycle rule on the
+   * backups/ prefix. Other lifecycle rules of the bucket are kept.
+   */
+  async applyBackupRetention(bucketName, retentionDays) {
+    try {
+      let rules = [];
+      try {
+        const response = await this.client.send(new GetBucketLifecycleConfigurationCommand({ Bucket: bucketName }));
+        rules = response.Rules || [];
+      } catch (error) {
+        if (error.name !== 'NoSuchLifecycleConfiguration') {
+          throw error;
+        }
+      }
+
+      rules = rules.filter(rule => rule.ID !== BACKUP_RETENTION_RULE);
+      rules.push({
+        ID: BACKUP_RETENTION_RULE,
+        Status: 'Enabled',
+        Filter: { Prefix: 'backups/' },
+        Expiration: { Days: retentionDays },
+        // The bucket is versioned, so expired archives would otherwise linger as old versions
+        NoncurrentVersionExpiration: { NoncurrentDays: 1 },
+        AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 }
+      });
+
+      await this.client.send(new PutBucketLifecycleConfigurationCommand({
+        Bucket: bucketName,
+        LifecycleConfiguration: { Rules: rules }
+      }));
+
+      return { rule: BACKUP_RETENTION_RULE, retentionDays };
+
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
   async streamToString(stream) {
     const chunks = [];
     for await (const chunk of stream) {
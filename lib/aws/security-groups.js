@@ -8,6 +8,8 @@ const {
   CreateTagsCommand
 } = require('@aws-sdk/client-ec2');
 const { ErrorHandler } = require('../utils/errors');
+const { isDualStackEnabled } = require('../utils/ipv6');
+const { getResourcePrefix, getEnvironmentTag } = require('../utils/environment');
 
 class SecurityGroupManager {
   constructor(region, credentials) {
@@ -23,7 +25,7 @@ class SecurityGroupManager {
     try {
       const projectName = config.project?.name || config.projectName || 'focal-deploy-project';
       const timestamp = Date.now().toString().slice(-8);
-      const groupName = `${projectName}-sg-${timestamp}`;
+      const groupName = `${getResourcePrefix(config)}-sg-${timestamp}`;
       const description = `Security group for ${projectName} managed by focal-deploy`;
 
       // Check if security group already exists
@@ -55,7 +57,7 @@ class SecurityGroupManager {
           { Key: 'Name', Value: groupName || '' },
           { Key: 'Project', Value: config.project?.name || config.projectName || 'focal-deploy-project' },
           { Key: 'ManagedBy', Value: 'focal-deploy' },
-          { Key: 'Environment', Value: 'production' }
+          { Key: 'Environment', Value: getEnvironmentTag(config) }
         ]
       }));
 
@@ -152,9 +154,38 @@ class SecurityGroupManager {
       });
     }
 
+    // Dual-stack: open the same public ports to ::/0
+    if (isDualStackEnabled(config)) {
+      rules.forEach(rule => {
+        const publicRange = rule.IpRanges.find(range => range.CidrIp === '0.0.0.0/0');
+        if (publicRange) {
+          rule.Ipv6Ranges = [{ CidrIpv6: '::/0', Description: `${publicRange.Description} (IPv6)` }];
+        }
+      });
+    }
+
     return rules;
   }
 
+  /**
+   * Add the IPv6 counterparts of the public rules to an existing group
+   * (used when dual-stack is switched on after the group was created)
+   */
+  async authorizeIPv6Ingress(securityGroupId, config) {
+    const rules = this.generateSecurityGroupRules(config).filter(rule => rule.Ipv6Ranges);
+
+    for (const rule of rules) {
+      await this.addRule(securityGroupId, {
+        IpProtocol: rule.IpProtocol,
+        FromPort: rule.FromPort,
+        ToPort: rule.ToPort,
+        Ipv6Ranges: rule.Ipv6Ranges
+      });
+    }
+
+    return rules.length;
+  }
+
   async findSecurityGroup(groupName) {
     try {
       const response = await this.client.send(new DescribeSecurityGroupsCommand({
@@ -223,13 +254,19 @@ class SecurityGroupManager {
           protocol: rule.IpProtocol,
           fromPort: rule.FromPort,
           toPort: rule.ToPort,
-          sources: rule.IpRanges.map(range => range.CidrIp)
+          sources: [
+            ...rule.IpRanges.map(range => range.CidrIp),
+            ...(rule.Ipv6Ranges || []).map(range => range.CidrIpv6)
+          ]
         })),
         outboundRules: securityGroup.IpPermissionsEgress.map(rule => ({
           protocol: rule.IpProtocol,
           fromPort: rule.FromPort,
           toPort: rule.ToPort,
-          destinations: rule.IpRanges.map(range => range.CidrIp)
+          destinations: [
+            ...rule.IpRanges.map(range => range.CidrIp),
+            ...(rule.Ipv6Ranges || []).map(range => range.CidrIpv6)
+          ]
         }))
       };
 
@@ -305,17 +342,27 @@ class SecurityGroupManager {
     }
   }
 
-  // Helper method to create a rule object
+  // Helper method to create a rule object; IPv6 CIDRs (e.g. ::/0) go into Ipv6Ranges
   createRule(protocol, fromPort, toPort, cidrBlocks, description = '') {
-    return {
+    const ipv6Blocks = cidrBlocks.filter(cidr => cidr.includes(':'));
+    const rule = {
       IpProtocol: protocol,
       FromPort: fromPort,
       ToPort: toPort,
-      IpRanges: cidrBlocks.map(cidr => ({
+      IpRanges: cidrBlocks.filter(cidr => !cidr.includes(':')).map(cidr => ({
         CidrIp: cidr,
         Description: description
       }))
     };
+
+    if (ipv6Blocks.length > 0) {
+      rule.Ipv6Ranges = ipv6Blocks.map(cidr => ({
+        CidrIpv6: cidr,
+        Description: description
+      }));
+    }
+
+    return rule;
   }
 
   // Predefined rule templates
@@ -1,12 +1,10 @@
 const { EC2Client, DescribeRegionsCommand } = require('@aws-sdk/client-ec2');
 const { S3Client, ListBucketsCommand } = require('@aws-sdk/client-s3');
-const { ErrorHandler } = require('../utils/errors');
+const { ErrorHandler, FocalDeployError } = require('../utils/errors');
+const { getAWSCredentials } = require('./credential-provider');
 
 async function validateAWSCredentials(awsConfig) {
-  const credentials = {
-    accessKeyId: awsConfig.accessKeyId,
-    secretAccessKey: awsConfig.secretAccessKey
-  };
+  const credentials = getAWSCredentials(awsConfig);
 
   try {
     // Test EC2 access
@@ -27,15 +25,12 @@ async function validateAWSCredentials(awsConfig) {
 
     return true;
   } catch (error) {
-    throw ErrorHandler.createAWSError(error);
+    throw error instanceof FocalDeployError ? error : ErrorHandler.createAWSError(error);
   }
 }
 
 async function validateAWSPermissions(awsConfig) {
-  const credentials = {
-    accessKeyId: awsConfig.accessKeyId,
-    secretAccessKey: awsConfig.secretAccessKey
-  };
+  const credentials = getAWSCredentials(awsConfig);
 
   const ec2Client = new EC2Client({
     region: awsConfig.region,
@@ -61,7 +56,7 @@ async function validateAWSPermissions(awsConfig) {
     await ec2Client.send(new DescribeRegionsCommand({}));
     return true;
   } catch (error) {
-    throw ErrorHandler.createAWSError(error);
+    throw error instanceof FocalDeployError ? error : ErrorHandler.createAWSError(error);
   }
 }
 
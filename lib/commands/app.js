@@ -2,12 +2,18 @@ const { DeploymentService } = require('../utils/deployment');
 const { SSHService } = require('../utils/ssh');
 const { ConfigLoader } = require('../config/loader');
 const { StateManager } = require('../utils/state');
+const { EnhancedStateManager } = require('../utils/enhanced-state');
+const { RemoteStateManager } = require('../utils/remote-state');
+const { getAWSCredentials } = require('../aws/credential-provider');
+const { ApplicationDeploymentService } = require('../services/application-deployment-service');
 const { logger } = require('../utils/logger');
 const chalk = require('chalk');
 const path = require('path');
 
 async function appDeployCommand(options = {}) {
   const { dryRun = false } = options;
+  let remoteState = null;
+  let stateLock = null;
   
   try {
     logger.info(chalk.blue('🚀 Starting application deployment...'));
@@ -24,6 +30,16 @@ async function appDeployCommand(options = {}) {
       throw new Error('No configuration found. Please run "focal-deploy init" first.');
     }
 
+    // Lock and pull the remote state (if configured)
+    if (!dryRun) {
+      remoteState = await RemoteStateManager.fromProject({
+        credentials: getAWSCredentials(config.aws)
+      });
+      if (remoteState) {
+        stateLock = await remoteState.lock('app-deploy');
+      }
+    }
+
     // Load state
     const stateManager = new StateManager();
     const state = await stateManager.loadState();
@@ -50,19 +66,66 @@ async function appDeployCommand(options = {}) {
 
     logger.info(chalk.blue(`📡 Connecting to EC2 instance: ${instanceHost}`));
 
-    // Deploy the application
-    const deployResult = await deploymentService.deployApplication(instanceHost, config, {
-      dryRun,
-      sshOptions
-    });
+    let blueGreen = config.app?.blueGreen?.enabled === true;
+    if (blueGreen && config.docker?.enabled) {
+      // The container is started by name on the app port, so two colors cannot run side by side
+      logger.warn(chalk.yellow('⚠️  Blue/green deploys are not supported for Docker apps; deploying in place'));
+      blueGreen = false;
+    }
+
+    // Blue/green builds go to their own directory; the serving color keeps its code
+    const release = blueGreen && !dryRun
+      ? await deploymentService.createRelease(instanceHost, config, sshOptions)
+      : null;
+
+    let deployResult;
+    let switchResult = null;
+    try {
+      // Deploy the application
+      deployResult = await deploymentService.deployApplication(instanceHost, config, {
+        dryRun,
+        sshOptions,
+        skipProcessManagement: blueGreen,
+        appDir: release?.releaseDir
+      });
+
+      // Start the new build beside the old one and switch nginx once it is healthy
+      if (blueGreen && deployResult.success) {
+        const applicationService = new ApplicationDeploymentService();
+        const serviceConfig = {
+          ...config,
+          applicationConfig: { ...config.app, port: config.app?.port || 3000 },
+          dnsConfig: { domains: config.domain ? [config.domain] : [] },
+          sslConfig: { enabled: state.ssl?.enabled || false }
+        };
+        const appDir = release?.releaseDir || deploymentService.getAppPaths(config).appDir;
+        const renderUnit = (serviceName, environmentFiles) => deploymentService.generateServiceUnit(config, {
+          serviceName,
+          environmentFiles,
+          workingDirectory: appDir
+        });
+
+        switchResult = await applicationService.switchBlueGreen(instanceHost, serviceConfig, sshOptions, appDir, dryRun, renderUnit);
+      }
+    } catch (error) {
+      if (release) {
+        await deploymentService.removeRelease(instanceHost, config, release.release, sshOptions).catch(() => {});
+      }
+      throw error;
+    }
+
+    if (release) {
+      await deploymentService.pruneReleases(instanceHost, config, sshOptions);
+    }
 
     // Update state with deployment information
     if (!dryRun && deployResult.success) {
       state.deployment = {
         deployed: true,
         deployedAt: new Date().toISOString(),
-        appPort: config.app?.port || 3000,
-        dockerEnabled: config.docker?.enabled || false
+        appPort: switchResult?.port || config.app?.port || 3000,
+        dockerEnabled: config.docker?.enabled || false,
+        ...(switchResult ? { activeColor: switchResult.color } : {})
       };
       
       await stateManager.saveState(state);
@@ -98,6 +161,10 @@ async function appDeployCommand(options = {}) {
     }
     
     throw error;
+  } finally {
+    if (stateLock) {
+      await remoteState.unlock(stateLock);
+    }
   }
 }
 
@@ -118,7 +185,7 @@ async function appStatusCommand(options = {}) {
     if (!config || !state.ec2?.instanceId) {
       const error = 'No deployment found. Please run "focal-deploy up" first.';
       if (json) {
-        console.log(JSON.stringify({ error, deployed: false }, null, 2));
+        logger.json({ error, deployed: false });
         return { error, deployed: false };
       }
       throw new Error(error);
@@ -132,7 +199,7 @@ async function appStatusCommand(options = {}) {
       };
       
       if (json) {
-        console.log(JSON.stringify(result, null, 2));
+        logger.json(result);
         return result;
       }
       
@@ -165,8 +232,15 @@ async function appStatusCommand(options = {}) {
       operatingSystem
     };
 
+    // Blue/green deploys run the active color as its own unit
+    const enhancedState = await new EnhancedStateManager().loadState();
+    const blueGreenState = config.app?.blueGreen?.enabled ? enhancedState.blueGreen : null;
+    const statusConfig = blueGreenState?.activeColor
+      ? { ...config, projectName: `${config.projectName}-${blueGreenState.activeColor}` }
+      : config;
+
     // Get application status
-    const appStatus = await deploymentService.getApplicationStatus(instanceHost, config, sshOptions);
+    const appStatus = await deploymentService.getApplicationStatus(instanceHost, statusConfig, sshOptions);
 
     const appUrl = state.ssl?.enabled 
       ? `https://${config.domain}` 
@@ -179,17 +253,22 @@ async function appStatusCommand(options = {}) {
       status: appStatus.status,
       deployedAt: state.deployment.deployedAt,
       appUrl,
-      dockerEnabled: config.docker?.enabled || false
+      dockerEnabled: config.docker?.enabled || false,
+      activeColor: blueGreenState?.activeColor || null
     };
 
     if (json) {
-      console.log(JSON.stringify(result, null, 2));
+      logger.json(result);
     } else {
       if (appStatus.success && appStatus.active) {
         logger.success(chalk.green('✅ Application is running'));
         
         logger.info(chalk.blue(`🌐 Application URL: ${appUrl}`));
         logger.info(chalk.blue(`📅 Deployed: ${new Date(state.deployment.deployedAt).toLocaleString()}`));
+
+        if (blueGreenState?.activeColor) {
+          logger.info(chalk.blue(`🔵🟢 Active color: ${blueGreenState.activeColor} (port ${blueGreenState.ports?.[blueGreenState.activeColor]})`));
+        }
         
         if (config.docker?.enabled) {
           logger.info(chalk.blue('🐳 Running in Docker container'));
@@ -0,0 +1,223 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const S3Manager = require('../aws/s3');
+const IAMManager = require('../aws/iam');
+const { getAWSCredentials } = require('../aws/credential-provider');
+const { ConfigLoader } = require('../config/loader');
+const { StateManager } = require('../utils/state');
+const { getResourcePrefix } = require('../utils/environment');
+const { BackupService, BACKUP_SCHEDULES, formatSize } = require('../services/backup-service');
+const { ApplicationDeploymentService } = require('../services/application-deployment-service');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * focal-deploy backup: take a backup now, or --list the stored backups,
+ * or --schedule regular backups
+ */
+async function backup(options = {}) {
+  if (options.list) {
+    return await backupList(options);
+  }
+  if (options.schedule) {
+    return await backupSchedule(options.schedule, options);
+  }
+  return await backupCreate(options);
+}
+
+/**
+ * Archive the server into the project bucket and apply the retention rule
+ */
+async function backupCreate(options = {}) {
+  const context = await loadBackupContext(options, { requireHost: true });
+  const service = new BackupService({ s3Manager: context.s3Manager });
+  const { retentionDays } = service.getBackupPlan(context.config);
+
+  try {
+    try {
+      await context.s3Manager.applyBackupRetention(context.bucket, retentionDays);
+    } catch (error) {
+      // The backup itself only needs object access
+      Logger.warn(`Could not set the ${retentionDays}-day retention rule on ${context.bucket}: ${error.message}`);
+    }
+    const result = await service.createBackup(context.host, context.bucket, context.config, context.sshOptions);
+
+    await context.stateManager.updateState('backup', {
+      lastBackup: result.name,
+      lastBackupAt: new Date().toISOString(),
+      bucket: context.bucket
+    });
+
+    if (!options.json) {
+      Logger.info(chalk.gray(`   Kept for ${retentionDays} day(s). Restore it with "focal-deploy restore ${result.name}".`));
+    }
+    return { ...result, bucket: context.bucket, retentionDays };
+  } finally {
+    service.sshService.disconnectAll();
+  }
+}
+
+/**
+ * List the backups in the project bucket, newest first
+ */
+async function backupList(options = {}) {
+  const context = await loadBackupContext(options, { requireHost: false });
+  const backups = await context.s3Manager.listBackups(context.bucket);
+
+  if (!options.json) {
+    Logger.info(chalk.blue(`📦 Backups in ${context.bucket}`));
+    if (backups.length === 0) {
+      Logger.info(chalk.gray('   No backups yet. Take one with "focal-deploy backup".'));
+    }
+    for (const entry of backups) {
+      const databases = entry.databases.length > 0 ? chalk.gray(` + ${entry.databases.join(', ')}`) : '';
+      const line = `${entry.name}  ${entry.timestamp}  ${formatSize(entry.size)}${databases}`;
+      Logger.info(entry.restorable ? `   ${line}` : chalk.gray(`   ${line} (file list only, not restorable)`));
+    }
+  }
+
+  return { bucket: context.bucket, backups };
+}
+
+/**
+ * Restore a backup ("latest" for the newest one) on the project's server,
+ * e.g. on a fresh instance created by "focal-deploy up"
+ */
+async function restore(name, options = {}) {
+  const context = await loadBackupContext(options, { requireHost: true });
+  const service = new BackupService({ s3Manager: context.s3Manager });
+
+  if (name === 'latest') {
+    const latest = (await context.s3Manager.listBackups(context.bucket)).find(entry => entry.restorable);
+    if (!latest) {
+      throw new FocalDeployError(
+        `No backups found in ${context.bucket}.`,
+        'Take one with "focal-deploy backup", or pass --bucket if the backups are in another bucket.',
+        'BACKUP_NOT_FOUND'
+      );
+    }
+    name = latest.name;
+  }
+
+  if (!options.yes) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Restore backup ${name} on ${context.host}? Files and databases in the backup are overwritten.`,
+      default: false
+    }]);
+    if (!confirmed) {
+      Logger.info('Restore cancelled.');
+      return { restored: false, name };
+    }
+  }
+
+  try {
+    const result = await service.restoreBackup(context.host, context.bucket, name, context.sshOptions);
+    return { restored: true, host: context.host, ...result };
+  } finally {
+    service.sshService.disconnectAll();
+  }
+}
+
+/**
+ * Install a systemd timer on the server that backs it up hourly, daily or
+ * weekly into the bucket, or remove it with "off". The instance role gets
+ * write access to the bucket's backups/ prefix for as long as the timer exists.
+ */
+async function backupSchedule(schedule, options = {}) {
+  if (schedule !== 'off' && !BACKUP_SCHEDULES[schedule]) {
+    throw new FocalDeployError(
+      `Invalid --schedule: ${schedule}`,
+      `Use one of: ${[...Object.keys(BACKUP_SCHEDULES), 'off'].join(', ')}`,
+      'INVALID_OPTION'
+    );
+  }
+
+  const context = await loadBackupContext(options, { requireHost: true });
+  const service = new BackupService({ s3Manager: context.s3Manager });
+  const iamManager = new IAMManager(context.config.aws.region, getAWSCredentials(context.config.aws));
+  const roleName = `${getResourcePrefix(context.config)}-ssm-role`;
+  let result;
+
+  try {
+    if (schedule === 'off') {
+      result = await service.removeSchedule(context.host, context.config, context.sshOptions);
+      await iamManager.deleteBackupPolicy(roleName);
+    } else {
+      const { retentionDays } = service.getBackupPlan(context.config);
+      await iamManager.putBackupPolicy(roleName, context.bucket);
+      try {
+        await context.s3Manager.applyBackupRetention(context.bucket, retentionDays);
+      } catch (error) {
+        Logger.warn(`Could not set the ${retentionDays}-day retention rule on ${context.bucket}: ${error.message}`);
+      }
+      result = await service.installSchedule(context.host, context.bucket, context.config, schedule, context.sshOptions);
+    }
+  } finally {
+    service.sshService.disconnectAll();
+  }
+
+  await context.stateManager.updateState('backup', { schedule, scheduleUnit: schedule === 'off' ? null : result.unit });
+
+  if (!options.json) {
+    if (schedule === 'off') {
+      Logger.success(`Scheduled backups removed from ${context.host}`);
+    } else {
+      Logger.success(`Backups scheduled ${schedule} (${result.onCalendar}) on ${context.host}`);
+      Logger.info(chalk.gray(`   Check the runs with "journalctl -u ${result.unit}" on the server.`));
+    }
+  }
+
+  return {
+    schedule,
+    host: context.host,
+    bucket: context.bucket,
+    unit: result.unit,
+    onCalendar: schedule === 'off' ? null : result.onCalendar
+  };
+}
+
+/**
+ * Project configuration, bucket, server and SSH options shared by the commands
+ */
+async function loadBackupContext(options, { requireHost }) {
+  const config = await new ConfigLoader().loadProjectConfig({ requireCredentials: true });
+  const stateManager = new StateManager();
+  const state = await stateManager.loadState();
+  const resources = state.resources || {};
+
+  const bucket = options.bucket || resources.s3Bucket?.bucketName || config.aws?.s3BucketName;
+  if (!bucket) {
+    throw new FocalDeployError(
+      'No S3 bucket found for this project.',
+      'Run "focal-deploy up" to create the project bucket, or pass --bucket <name>.',
+      'BACKUP_BUCKET_NOT_FOUND'
+    );
+  }
+
+  const host = resources.ec2Instance?.publicIpAddress;
+  if (requireHost && !host) {
+    throw new FocalDeployError(
+      'No EC2 instance found in deployment state.',
+      'Run "focal-deploy up" to create an instance first.',
+      'INSTANCE_NOT_FOUND'
+    );
+  }
+
+  const sshOptions = new ApplicationDeploymentService().buildSSHOptions({
+    ...config,
+    sshOptions: resources.sshKey?.privateKeyPath ? { privateKeyPath: resources.sshKey.privateKeyPath } : {}
+  });
+
+  return {
+    config,
+    stateManager,
+    bucket,
+    host,
+    sshOptions,
+    s3Manager: new S3Manager(config.aws.region, getAWSCredentials(config.aws))
+  };
+}
+
+module.exports = { backup, backupCreate, backupList, backupSchedule, restore };
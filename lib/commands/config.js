@@ -0,0 +1,74 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigLoader } = require('../config/loader');
+const { CONFIG_VERSION, validateConfigSchema, formatSchemaError } = require('../config/schema');
+const { migrateConfig } = require('../config/migrations');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * Upgrade focal-deploy.yml and .focal-deploy/config.json to the current
+ * configVersion. The previous file is kept as <file>.v<version>.bak.
+ */
+async function configMigrate(options = {}) {
+  const configLoader = new ConfigLoader();
+  const files = await configLoader.readConfigFiles();
+
+  if (files.length === 0) {
+    throw new FocalDeployError(
+      'No configuration file found.',
+      'Run "focal-deploy new <project-name>" or "focal-deploy init" to create one.',
+      'CONFIG_NOT_FOUND'
+    );
+  }
+
+  const results = [];
+  for (const file of files) {
+    const name = path.relative(process.cwd(), file.path);
+    const { config, fromVersion, toVersion, changes } = migrateConfig(file.config, file.format);
+
+    if (fromVersion === toVersion) {
+      Logger.success(`${name} is already at configVersion ${toVersion}`);
+      results.push({ file: name, fromVersion, toVersion, changes: [], written: false });
+      continue;
+    }
+
+    Logger.info(chalk.blue(`🔄 ${name}: configVersion ${fromVersion} → ${toVersion}`));
+    for (const change of changes) {
+      Logger.info(chalk.gray(`   • ${change}`));
+    }
+
+    const errors = validateConfigSchema(config, file.format);
+    if (errors.length > 0) {
+      Logger.warn(`${name} still has ${errors.length} schema problem(s) to fix by hand:`);
+      for (const error of errors) {
+        Logger.warn(`   ${formatSchemaError(error)}`);
+      }
+    }
+
+    let backup = null;
+    if (options.dryRun) {
+      Logger.info(chalk.yellow('   Dry run: nothing written'));
+    } else {
+      backup = `${file.path}.v${fromVersion}.bak`;
+      await fs.copy(file.path, backup);
+      await configLoader.writeConfigFile(file, config);
+      Logger.success(`${name} migrated (previous version saved to ${path.relative(process.cwd(), backup)})`);
+    }
+
+    results.push({
+      file: name,
+      fromVersion,
+      toVersion,
+      changes,
+      schemaErrors: errors.map(formatSchemaError),
+      written: !options.dryRun,
+      backup: backup && path.relative(process.cwd(), backup)
+    });
+  }
+
+  return { configVersion: CONFIG_VERSION, files: results };
+}
+
+module.exports = { configMigrate };
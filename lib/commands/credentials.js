@@ -0,0 +1,201 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { ConfigLoader } = require('../config/loader');
+const { CredentialRotator, DEFAULT_MAX_AGE_DAYS, ROTATABLE_SERVICES, getCredentialsStatus } = require('../utils/credential-rotation');
+const {
+  NEW_PASSPHRASE_ENV,
+  DEFAULT_SESSION_MINUTES,
+  getKeyStatus,
+  unlockSession,
+  lockSession,
+  setPassphrase,
+  removePassphrase
+} = require('../utils/credential-key');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * Rotate stored credentials: AWS access keys, the GitHub token and DNS
+ * provider credentials. Without --service every stored service is rotated.
+ */
+async function credentialsRotate(options = {}) {
+  const services = options.service ? [options.service] : ROTATABLE_SERVICES;
+  if (!services.every(service => ROTATABLE_SERVICES.includes(service))) {
+    throw new FocalDeployError(
+      `Unknown service: ${options.service}`,
+      `Use one of: ${ROTATABLE_SERVICES.join(', ')}`,
+      'CREDENTIALS_SERVICE_UNKNOWN'
+    );
+  }
+
+  const rotator = options.rotator || createRotator();
+  const results = [];
+
+  for (const service of services) {
+    Logger.info(chalk.blue(`\n🔄 Rotating ${service} credentials...`));
+    try {
+      if (service === 'aws') {
+        const { aws, configFiles } = await loadAWSSettings();
+        results.push(await rotator.rotateAWS(aws, { configFiles }));
+      } else if (service === 'github') {
+        results.push(await rotator.rotateGitHub());
+      } else {
+        results.push(await rotator.rotateDNS());
+      }
+    } catch (error) {
+      // Rotating everything skips services that have nothing stored or are managed elsewhere
+      if (!options.service && ['CREDENTIALS_NOT_FOUND', 'AWS_ROTATION_UNSUPPORTED'].includes(error.code)) {
+        Logger.info(chalk.gray(`   ${error.message}`));
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  for (const result of results) {
+    const files = result.updated || result.providers.flatMap(provider => provider.updated);
+    Logger.success(`${result.service} credentials rotated (${files.length} file(s) updated)`);
+  }
+
+  return { rotated: results };
+}
+
+/**
+ * List stored credentials and warn about those older than the policy age
+ */
+async function credentialsStatus(options = {}) {
+  const maxAgeDays = options.maxAge !== undefined ? parseInt(options.maxAge, 10) : DEFAULT_MAX_AGE_DAYS;
+  if (!Number.isInteger(maxAgeDays) || maxAgeDays < 1) {
+    throw new FocalDeployError(
+      `Invalid --max-age: ${options.maxAge}`,
+      'Pass the policy age as a number of days, e.g. --max-age 90',
+      'INVALID_OPTION'
+    );
+  }
+
+  const credentials = await getCredentialsStatus(maxAgeDays);
+  const expired = credentials.filter(entry => entry.expired);
+  const key = await getKeyStatus();
+
+  if (!options.json) {
+    Logger.info(chalk.blue(`🔑 Stored credentials (rotate every ${maxAgeDays} days)`));
+    if (!key.passphrase) {
+      Logger.info(chalk.gray('   Encryption key not protected by a passphrase ("focal-deploy credentials passphrase" to add one)'));
+    } else {
+      Logger.info(chalk.gray(`   Passphrase protected, ${key.unlockedUntil ? `unlocked until ${key.unlockedUntil}` : 'locked'}`));
+    }
+    if (credentials.length === 0) {
+      Logger.info(chalk.gray('   No credentials stored in ~/.focal-deploy'));
+    }
+
+    let project;
+    for (const entry of credentials) {
+      if (entry.project !== project) {
+        project = entry.project;
+        Logger.info(chalk.white(`\n   ${project || 'Shared (all projects)'}`));
+      }
+      const age = entry.ageDays === null ? 'unknown age' : `${entry.ageDays} day(s) old`;
+      const line = `${entry.service.padEnd(16)} ${age}`;
+      Logger.info(entry.expired ? chalk.yellow(`   ⚠️  ${line}`) : chalk.green(`   ✅ ${line}`));
+    }
+
+    if (expired.length > 0) {
+      const services = [...new Set(expired.map(entry => entry.service.startsWith('dns-') ? 'dns' : entry.service))];
+      Logger.warn(`${expired.length} credential(s) are older than ${maxAgeDays} days. Run ${services.map(service => `"focal-deploy credentials rotate --service ${service}"`).join(' and ')}.`);
+    }
+  }
+
+  return { maxAgeDays, credentials, expired: expired.length, key };
+}
+
+/**
+ * Unlock the passphrase-protected key for a while (default 15 minutes). The
+ * passphrase is prompted for, or read from FOCAL_DEPLOY_PASSPHRASE.
+ */
+async function credentialsUnlock(options = {}) {
+  const minutes = options.timeout !== undefined ? parseInt(options.timeout, 10) : DEFAULT_SESSION_MINUTES;
+  if (!Number.isInteger(minutes) || minutes < 1) {
+    throw new FocalDeployError(
+      `Invalid --timeout: ${options.timeout}`,
+      'Pass the number of minutes, e.g. --timeout 60',
+      'INVALID_OPTION'
+    );
+  }
+
+  const { expiresAt } = await unlockSession({ minutes });
+  Logger.success(`Credentials unlocked until ${expiresAt}`);
+  return { unlocked: true, expiresAt };
+}
+
+/**
+ * Forget the unlocked key before the session expires
+ */
+async function credentialsLock() {
+  const wasUnlocked = await lockSession();
+  Logger.success(wasUnlocked ? 'Credentials locked' : 'Credentials were not unlocked');
+  return { locked: true, wasUnlocked };
+}
+
+/**
+ * Set or change the master passphrase, or remove it with --remove
+ */
+async function credentialsPassphrase(options = {}) {
+  if (options.remove) {
+    await removePassphrase();
+    Logger.success('Passphrase removed; the encryption key is stored unprotected again');
+    return { passphrase: false };
+  }
+
+  await setPassphrase(await readNewPassphrase());
+  Logger.success('Passphrase set. Run "focal-deploy credentials unlock" to avoid entering it for every command.');
+  return { passphrase: true };
+}
+
+async function readNewPassphrase() {
+  if (process.env[NEW_PASSPHRASE_ENV]) {
+    return process.env[NEW_PASSPHRASE_ENV];
+  }
+  if (!process.stdin.isTTY) {
+    throw new FocalDeployError(
+      'A new passphrase is needed.',
+      `Run the command in a terminal, or set ${NEW_PASSPHRASE_ENV}.`,
+      'CREDENTIALS_PASSPHRASE_REQUIRED'
+    );
+  }
+
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const { passphrase } = await prompt([
+    { type: 'password', name: 'passphrase', message: 'New passphrase:', mask: '*' },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat the passphrase:',
+      mask: '*',
+      validate: (input, answers) => input === answers.passphrase || 'The passphrases do not match'
+    }
+  ]);
+  return passphrase;
+}
+
+function createRotator() {
+  // The collector needs the system keychain module, so it is only loaded here
+  const CredentialCollector = require('../wizard/credential-collector');
+  return new CredentialRotator({ collector: new CredentialCollector() });
+}
+
+/**
+ * AWS settings of the current project (or the shared stored keys outside a
+ * project) and the configuration files that may contain the keys
+ */
+async function loadAWSSettings() {
+  const loader = new ConfigLoader();
+  if (await loader.exists() || await loader.wizardConfigExists()) {
+    const config = await loader.loadProjectConfig();
+    return { aws: config.aws, configFiles: await loader.readConfigFiles() };
+  }
+
+  const CredentialManager = require('../utils/credentials');
+  return { aws: await new CredentialManager().loadCredentials(), configFiles: [] };
+}
+
+module.exports = { credentialsRotate, credentialsStatus, credentialsUnlock, credentialsLock, credentialsPassphrase };
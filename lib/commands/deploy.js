@@ -1,90 +1,16 @@
 const { ConfigLoader } = require('../config/loader');
 const { validateAWSCredentials } = require('../aws/validator');
 const { ECRService } = require('../aws/ecr');
+const { getAWSCredentials } = require('../aws/credential-provider');
 const { DockerService } = require('../utils/docker');
 const { StateManager } = require('../utils/state');
 const { CostEstimator } = require('../utils/cost');
 const { logger } = require('../utils/logger');
-const { FocalDeployError } = require('../utils/errors');
 const chalk = require('chalk');
-const ora = require('ora');
-const path = require('path');
-const fs = require('fs-extra');
 
 // Helper function to load configuration (wizard or legacy)
 async function loadConfiguration() {
-  try {
-    // Check for wizard-generated configuration first
-    const wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
-    if (await fs.pathExists(wizardConfigPath)) {
-      return await loadWizardConfiguration(wizardConfigPath);
-    }
-
-    // Fall back to legacy configuration
-    const configLoader = new ConfigLoader();
-    if (!configLoader.exists()) {
-      throw new FocalDeployError(
-        'No configuration file found. Please run "focal-deploy new <project-name>" to create a new project with wizard setup.',
-        'Run "focal-deploy new <project-name>" to create a new project with complete setup wizard.'
-      );
-    }
-    
-    return await configLoader.load();
-  } catch (error) {
-    throw error;
-  }
-}
-
-async function loadWizardConfiguration(configPath) {
-  try {
-    const configContent = await fs.readFile(configPath, 'utf8');
-    const wizardConfig = JSON.parse(configContent);
-
-    // Transform wizard config to deployment config format
-    const deployConfig = {
-      project: {
-        name: wizardConfig.projectName,
-        type: wizardConfig.application?.type || 'nodejs-web',
-        port: wizardConfig.application?.port || 3000,
-        healthCheck: wizardConfig.application?.healthCheckPath || '/health'
-      },
-      aws: {
-        region: wizardConfig.infrastructure?.region || 'us-east-1',
-        accessKeyId: wizardConfig.credentials?.aws?.accessKeyId,
-        secretAccessKey: wizardConfig.credentials?.aws?.secretAccessKey,
-        instanceType: wizardConfig.infrastructure?.instanceType || 't3.micro',
-        keyPairName: wizardConfig.infrastructure?.keyPairName,
-        // Include operating system from wizard configuration
-        operatingSystem: wizardConfig.infrastructure?.operatingSystem || 'ubuntu'
-      },
-      application: {
-        useDocker: wizardConfig.application?.useDocker || true,
-        nodeVersion: wizardConfig.application?.nodeVersion || '20',
-        packageManager: wizardConfig.application?.packageManager || 'npm'
-      },
-      domains: wizardConfig.domains || { enabled: false },
-      git: wizardConfig.repository || { enabled: false },
-      security: wizardConfig.security || {},
-      environment: wizardConfig.environment || {}
-    };
-
-    // Load AWS credentials from secure storage if not in config
-    const CredentialManager = require('../utils/credentials');
-    const credentialManager = new CredentialManager(deployConfig.project.name);
-    if (!deployConfig.aws.accessKeyId || !deployConfig.aws.secretAccessKey) {
-      const storedCredentials = await credentialManager.loadCredentials();
-      if (storedCredentials) {
-        deployConfig.aws = { ...deployConfig.aws, ...storedCredentials };
-      }
-    }
-
-    return deployConfig;
-  } catch (error) {
-    throw new FocalDeployError(
-      `Failed to load wizard configuration: ${error.message}`,
-      'Check if the .focal-deploy/config.json file is valid JSON format.'
-    );
-  }
+  return await new ConfigLoader().loadProjectConfig();
 }
 
 async function deployCommand(options = {}) {
@@ -93,7 +19,7 @@ async function deployCommand(options = {}) {
 
   try {
     // Load configuration
-    spinner = ora('Loading configuration...').start();
+    spinner = logger.spinner('Loading configuration...').start();
     const config = await loadConfiguration();
     
     if (!config) {
@@ -123,7 +49,7 @@ async function deployCommand(options = {}) {
 
     // Validate AWS credentials
     if (!dryRun) {
-      spinner = ora('Validating AWS credentials...').start();
+      spinner = logger.spinner('Validating AWS credentials...').start();
       const isValid = await validateAWSCredentials(config.aws);
       
       if (!isValid) {
@@ -137,11 +63,11 @@ async function deployCommand(options = {}) {
     }
 
     // Initialize services
-    const ecrService = new ECRService(config.aws, config.aws.region);
+    const ecrService = new ECRService(getAWSCredentials(config.aws), config.aws.region);
     const dockerService = new DockerService();
 
     // Check for Dockerfile
-    spinner = ora('Checking for Dockerfile...').start();
+    spinner = logger.spinner('Checking for Dockerfile...').start();
     const projectPath = process.cwd();
     const dockerfilePath = await dockerService.detectDockerfile(projectPath);
     
@@ -169,25 +95,25 @@ async function deployCommand(options = {}) {
     }
 
     // Create ECR repository
-    spinner = ora('Creating ECR repository...').start();
+    spinner = logger.spinner('Creating ECR repository...').start();
     const repositoryResult = await ecrService.createRepository(repositoryName, dryRun);
     const repositoryUri = repositoryResult.repository.repositoryUri;
     spinner.succeed(`ECR repository ready: ${repositoryName}`);
 
     // Get ECR authorization token
-    spinner = ora('Getting ECR authorization...').start();
+    spinner = logger.spinner('Getting ECR authorization...').start();
     const authResult = await ecrService.getAuthorizationToken(dryRun);
     const authToken = authResult.authorizationData[0].authorizationToken;
     const registryUrl = authResult.authorizationData[0].proxyEndpoint;
     spinner.succeed('ECR authorization obtained');
 
     // Login to ECR
-    spinner = ora('Logging in to ECR...').start();
+    spinner = logger.spinner('Logging in to ECR...').start();
     await dockerService.loginToECR(authToken, registryUrl, dryRun);
     spinner.succeed('Logged in to ECR');
 
     // Build Docker image
-    spinner = ora('Building Docker image...').start();
+    spinner = logger.spinner('Building Docker image...').start();
     const buildResult = await dockerService.buildImage(
       dockerfilePath,
       imageName,
@@ -198,12 +124,12 @@ async function deployCommand(options = {}) {
 
     // Tag image for ECR
     const ecrImageName = `${repositoryUri}:latest`;
-    spinner = ora('Tagging image for ECR...').start();
+    spinner = logger.spinner('Tagging image for ECR...').start();
     await dockerService.tagImage(buildResult.imageName, ecrImageName, dryRun);
     spinner.succeed(`Image tagged for ECR: ${ecrImageName}`);
 
     // Push image to ECR
-    spinner = ora('Pushing image to ECR...').start();
+    spinner = logger.spinner('Pushing image to ECR...').start();
     await dockerService.pushImage(ecrImageName, dryRun);
     spinner.succeed('Image pushed to ECR');
 
@@ -1,9 +1,19 @@
+const path = require('path');
+const fs = require('fs-extra');
+const inquirer = require('inquirer');
 const { DNSManager } = require('../utils/dns-manager');
 const { ConfigLoader } = require('../config/loader');
+const { StateManager } = require('../utils/state');
 const { Logger } = require('../utils/logger');
+const { ZONE_FORMATS, detectZoneFormat, serializeZone, parseZone } = require('../dns/zone-file');
+const { isDualStackEnabled } = require('../utils/ipv6');
 const EC2Manager = require('../aws/ec2');
+const { getAWSCredentials } = require('../aws/credential-provider');
 const chalk = require('chalk');
 
+const DNS_EXPORT_DIR = path.join('.focal-deploy', 'dns-exports');
+const DNS_BACKUP_DIR = path.join('.focal-deploy', 'dns-backups');
+
 /**
  * Update DNS records for all configured domains
  */
@@ -20,18 +30,15 @@ async function dnsUpdate(options = {}) {
       throw new Error('Configuration not found. Please run focal-deploy init first.');
     }
 
-    // Check if DigitalOcean DNS provider is configured
-    if (!config.ssl?.dnsProvider?.credentials?.token) {
-      throw new Error('DigitalOcean API token not configured. Please check your focal-deploy.yml configuration.');
+    // Check if a DNS provider is configured
+    if (!config.ssl?.dnsProvider) {
+      throw new Error('DNS provider not configured. Please add ssl.dnsProvider to your focal-deploy.yml configuration.');
     }
 
     // Get current EC2 instance IP
     Logger.info(chalk.blue('📡 Getting current EC2 instance information...'));
     
-    const credentials = {
-      accessKeyId: config.aws.accessKeyId,
-      secretAccessKey: config.aws.secretAccessKey
-    };
+    const credentials = getAWSCredentials(config.aws);
     const ec2Manager = new EC2Manager(config.aws.region, credentials);
     const instanceInfo = await ec2Manager.getInstanceInfo(config.aws.instanceId);
     
@@ -42,11 +49,18 @@ async function dnsUpdate(options = {}) {
     const targetIP = instanceInfo.publicIpAddress;
     Logger.info(chalk.green(`✅ Current EC2 instance IP: ${targetIP}`));
 
+    const ipv6Address = isDualStackEnabled(config) ? instanceInfo.ipv6Address : null;
+    if (isDualStackEnabled(config) && !ipv6Address) {
+      Logger.warning(chalk.yellow('⚠️  IPv6 is enabled but the instance has no IPv6 address; only A records will be updated'));
+    } else if (ipv6Address) {
+      Logger.info(chalk.green(`✅ Current EC2 instance IPv6: ${ipv6Address}`));
+    }
+
     // Initialize DNS manager
     const dnsManager = new DNSManager(config);
 
     // Update all domain records
-    const result = await dnsManager.updateAllDomains(targetIP, { dryRun });
+    const result = await dnsManager.updateAllDomains(targetIP, { dryRun, ipv6Address });
 
     if (result.success) {
       Logger.success(chalk.green(`✅ DNS update completed successfully`));
@@ -64,7 +78,8 @@ async function dnsUpdate(options = {}) {
             'dry_run': '🔍'
           }[domainResult.action] || '✅';
           
-          console.log(`${actionIcon} ${domainResult.domain} -> ${domainResult.targetIP}`);
+          const recordType = domainResult.recordType === 'AAAA' ? ' (AAAA)' : '';
+          console.log(`${actionIcon} ${domainResult.domain}${recordType} -> ${domainResult.targetIP}`);
           
           if (domainResult.action === 'updated' && domainResult.previousIP) {
             console.log(chalk.gray(`   Previous: ${domainResult.previousIP}`));
@@ -106,9 +121,9 @@ async function dnsStatus(options = {}) {
       throw new Error('Configuration not found. Please run focal-deploy init first.');
     }
 
-    // Check if DigitalOcean DNS provider is configured
-    if (!config.ssl?.dnsProvider?.credentials?.token) {
-      throw new Error('DigitalOcean API token not configured. Please check your focal-deploy.yml configuration.');
+    // Check if a DNS provider is configured
+    if (!config.ssl?.dnsProvider) {
+      throw new Error('DNS provider not configured. Please add ssl.dnsProvider to your focal-deploy.yml configuration.');
     }
 
     // Get target IP - either from command line option or EC2 instance
@@ -117,10 +132,7 @@ async function dnsStatus(options = {}) {
     if (!targetIP) {
       // Get current EC2 instance IP (optional for status check)
       try {
-        const credentials = {
-          accessKeyId: config.aws.accessKeyId,
-          secretAccessKey: config.aws.secretAccessKey
-        };
+        const credentials = getAWSCredentials(config.aws);
         const ec2Manager = new EC2Manager(config.aws.region, credentials);
         const instanceInfo = await ec2Manager.getInstanceInfo(config.aws.instanceId);
         targetIP = instanceInfo?.publicIpAddress;
@@ -142,6 +154,12 @@ async function dnsStatus(options = {}) {
 
     // Get DNS status
     const status = await dnsManager.getDNSStatus(targetIP);
+    const result = { targetIP: targetIP || null, ...status };
+
+    if (options.json) {
+      Logger.json(result);
+      return result;
+    }
 
     // Display results
     console.log(chalk.blue('\n📊 DNS Status Report:'));
@@ -149,7 +167,7 @@ async function dnsStatus(options = {}) {
     
     if (status.domains.length === 0) {
       console.log(chalk.yellow('⚠️  No domains found'));
-      return;
+      return result;
     }
 
     // Separate configured and discovered domains
@@ -260,9 +278,11 @@ async function dnsStatus(options = {}) {
       console.log(chalk.blue('   Run "focal-deploy dns-update" to fix mismatched records'));
     }
 
+    return result;
+
   } catch (error) {
     Logger.error(chalk.red(`❌ DNS status check failed: ${error.message}`));
-    process.exit(1);
+    throw error;
   }
 }
 
@@ -295,10 +315,7 @@ async function dnsVerify(options = {}) {
     }
 
     // Get current EC2 instance IP
-    const credentials = {
-      accessKeyId: config.aws.accessKeyId,
-      secretAccessKey: config.aws.secretAccessKey
-    };
+    const credentials = getAWSCredentials(config.aws);
     const ec2Manager = new EC2Manager(config.aws.region, credentials);
     const instanceInfo = await ec2Manager.getInstanceInfo(config.aws.instanceId);
     
@@ -309,6 +326,12 @@ async function dnsVerify(options = {}) {
     const targetIP = instanceInfo.publicIpAddress;
     Logger.info(chalk.green(`✅ Target IP: ${targetIP}`));
 
+    // Dual-stack deployments must resolve over IPv6 as well
+    const ipv6Address = isDualStackEnabled(config) ? instanceInfo.ipv6Address : null;
+    if (ipv6Address) {
+      Logger.info(chalk.green(`✅ Target IPv6: ${ipv6Address}`));
+    }
+
     // Initialize DNS manager
     const dnsManager = new DNSManager(config);
 
@@ -330,6 +353,11 @@ async function dnsVerify(options = {}) {
       
       const result = await dnsManager.verifyDNSPropagation(domainName, targetIP, { timeout });
       results.push({ domain: domainName, ...result });
+
+      if (ipv6Address) {
+        const ipv6Result = await dnsManager.verifyDNSPropagation(domainName, ipv6Address, { timeout });
+        results.push({ domain: domainName, ...ipv6Result });
+      }
       
       if (!result.success && !result.timeout) {
         // Continue with other domains even if one fails
@@ -349,7 +377,7 @@ async function dnsVerify(options = {}) {
         chalk.green(`✅ Verified (${result.elapsed}s)`) : 
         chalk.red(`❌ Failed${result.timeout ? ' (timeout)' : ''}`);
       
-      console.log(`${result.domain.padEnd(30)} ${status}`);
+      console.log(`${result.domain.padEnd(30)} ${(result.recordType || 'A').padEnd(6)} ${status}`);
     });
     
     console.log(chalk.gray('─'.repeat(60)));
@@ -369,9 +397,266 @@ async function dnsVerify(options = {}) {
   }
 }
 
+/**
+ * Export DNS zones as BIND zone files or YAML
+ */
+async function dnsExport(options = {}) {
+  const { domain = null, format = 'bind' } = options;
+
+  try {
+    if (!ZONE_FORMATS.includes(format)) {
+      throw new Error(`Unsupported format "${format}". Use one of: ${ZONE_FORMATS.join(', ')}`);
+    }
+
+    const config = await loadDNSConfiguration();
+    const dnsManager = new DNSManager(config);
+    const outputDir = path.resolve(options.outDir || DNS_EXPORT_DIR);
+
+    const zones = domain
+      ? [(await dnsManager.resolveDomain(domain)).rootDomain]
+      : (await dnsManager.getAllDomains()).map(zone => zone.name);
+
+    if (zones.length === 0) {
+      Logger.warning(chalk.yellow('⚠️  No zones found in the DNS provider account'));
+      return;
+    }
+
+    Logger.info(chalk.blue(`📤 Exporting ${zones.length} zone(s) from ${dnsManager.provider.displayName}...`));
+    await fs.ensureDir(outputDir);
+
+    for (const zoneName of zones) {
+      const snapshot = await dnsManager.exportZone(zoneName);
+      const file = path.join(outputDir, `${zoneName}.${format === 'yaml' ? 'yml' : 'zone'}`);
+      await fs.writeFile(file, serializeZone(snapshot, format));
+      console.log(`${chalk.green('✅')} ${zoneName.padEnd(30)} ${String(snapshot.records.length).padStart(4)} records -> ${path.relative(process.cwd(), file)}`);
+    }
+
+    console.log(chalk.blue('\n💡 Re-apply an export with "focal-deploy dns-import <file>"'));
+
+  } catch (error) {
+    Logger.error(chalk.red(`❌ DNS export failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Apply a BIND or YAML zone file to the DNS provider
+ */
+async function dnsImport(file, options = {}) {
+  const { prune = false, dryRun = false, yes = false } = options;
+
+  try {
+    const filePath = path.resolve(file);
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Zone file not found: ${file}`);
+    }
+
+    const format = options.format || detectZoneFormat(filePath);
+    const zone = parseZone(await fs.readFile(filePath, 'utf8'), format, options.zone);
+    const zoneName = options.zone || zone.zone;
+
+    const config = await loadDNSConfiguration();
+    const dnsManager = new DNSManager(config);
+
+    Logger.info(chalk.blue(`📥 Comparing ${path.basename(filePath)} with ${zoneName} on ${dnsManager.provider.displayName}...`));
+    const plan = await dnsManager.planZoneChanges(zoneName, zone.records, { prune });
+
+    await applyPlans(dnsManager, [plan], { dryRun, yes });
+
+  } catch (error) {
+    Logger.error(chalk.red(`❌ DNS import failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Compare the records described in .focal-deploy/config.json with the live zones
+ */
+async function dnsDiff(options = {}) {
+  const { prune = false, apply = false, yes = false } = options;
+
+  try {
+    const config = await loadDNSConfiguration();
+    const dnsManager = new DNSManager(config);
+    const targetIP = options.targetIp || await findTargetIP(config);
+    const ipv6Address = isDualStackEnabled(config) ? (options.targetIpv6 || await findTargetIP(config, 'ipv6Address')) : null;
+
+    const desired = desiredRecordsFromConfig(config, targetIP, ipv6Address);
+    if (desired.length === 0) {
+      Logger.warning(chalk.yellow('⚠️  No domains or records configured in .focal-deploy/config.json'));
+      return;
+    }
+
+    if (targetIP) {
+      Logger.info(chalk.green(`✅ Target IP: ${targetIP}`));
+    } else {
+      Logger.warning(chalk.yellow('⚠️  Instance IP unknown, comparing explicit records only (use --target-ip)'));
+    }
+
+    // Group desired records by the zone that serves them
+    const zones = {};
+    for (const record of desired) {
+      const { rootDomain, recordName } = await dnsManager.resolveDomain(record.domain);
+      zones[rootDomain] = zones[rootDomain] || [];
+      zones[rootDomain].push({ ...record, name: recordName });
+    }
+
+    const plans = [];
+    for (const [zoneName, records] of Object.entries(zones)) {
+      plans.push(await dnsManager.planZoneChanges(zoneName, records, { prune }));
+    }
+
+    await applyPlans(dnsManager, plans, { dryRun: !apply, yes });
+
+  } catch (error) {
+    Logger.error(chalk.red(`❌ DNS diff failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Load the DNS provider from focal-deploy.yml (ssl.dnsProvider) or the
+ * wizard's .focal-deploy/config.json (dnsConfig)
+ */
+async function loadDNSConfiguration() {
+  const configLoader = new ConfigLoader();
+  const wizardConfig = await configLoader.wizardConfigExists() ? await configLoader.loadWizardConfig() : {};
+  const yamlConfig = await configLoader.exists() ? await configLoader.load() : {};
+
+  const config = {
+    ...wizardConfig,
+    ...yamlConfig,
+    aws: { ...wizardConfig.aws, ...yamlConfig.aws },
+    dnsConfig: wizardConfig.dnsConfig
+  };
+
+  const wizardProvider = config.dnsConfig?.enabled !== false && config.dnsConfig?.provider !== 'manual';
+  if (!config.ssl?.dnsProvider && !(config.dnsConfig?.provider && wizardProvider)) {
+    throw new Error('DNS provider not configured. Add ssl.dnsProvider to focal-deploy.yml or enable DNS automation in the setup wizard.');
+  }
+
+  return config;
+}
+
+/**
+ * Instance IP from config.json, falling back to the deployment state
+ * @param {string} field - 'publicIpAddress' or 'ipv6Address'
+ */
+async function findTargetIP(config, field = 'publicIpAddress') {
+  if (config.infrastructure?.ec2Instance?.[field]) {
+    return config.infrastructure.ec2Instance[field];
+  }
+
+  const resources = await new StateManager().getResources();
+  return resources.ec2Instance?.[field] || null;
+}
+
+/**
+ * Desired records: an A record (and AAAA when dual-stack) per configured domain plus any
+ * explicit dnsConfig.records entries ({ name, type, data, ttl?, priority? } with a full domain name)
+ */
+function desiredRecordsFromConfig(config, targetIP, ipv6Address = null) {
+  const dnsConfig = config.dnsConfig || {};
+  const domains = new Set(dnsConfig.domains || config.ssl?.domains || []);
+  if (domains.size === 0 && dnsConfig.primaryDomain) {
+    domains.add(dnsConfig.primaryDomain);
+    (dnsConfig.subdomains || []).forEach(sub => domains.add(`${sub}.${dnsConfig.primaryDomain}`));
+  }
+
+  const records = targetIP
+    ? [...domains].map(domain => ({ domain, type: 'A', data: targetIP, ttl: 300 }))
+    : [];
+
+  if (ipv6Address) {
+    records.push(...[...domains].map(domain => ({ domain, type: 'AAAA', data: ipv6Address, ttl: 300 })));
+  }
+
+  for (const record of dnsConfig.records || []) {
+    records.push({
+      domain: record.name,
+      type: String(record.type).toUpperCase(),
+      data: String(record.data),
+      ttl: record.ttl || 3600,
+      ...(record.priority !== undefined ? { priority: record.priority } : {})
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Show plans, confirm, back up the affected zones and apply
+ */
+async function applyPlans(dnsManager, plans, options = {}) {
+  const { dryRun = false, yes = false } = options;
+  plans.forEach(displayZonePlan);
+
+  const changed = plans.filter(plan => plan.create.length + plan.update.length + plan.delete.length > 0);
+  if (changed.length === 0) {
+    Logger.success(chalk.green('✅ Live DNS records match the desired records'));
+    return;
+  }
+
+  if (dryRun) {
+    console.log(chalk.yellow('\n🔍 Dry run: no changes were made'));
+    return;
+  }
+
+  if (!yes) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Apply these changes to ${changed.length} zone(s)?`,
+      default: false
+    }]);
+    if (!confirmed) {
+      Logger.info('DNS changes cancelled');
+      return;
+    }
+  }
+
+  await dnsManager.backupZones(changed.map(plan => plan.zone), path.resolve(DNS_BACKUP_DIR));
+
+  let failed = 0;
+  for (const plan of changed) {
+    const result = await dnsManager.applyZonePlan(plan);
+    failed += result.summary.failed;
+    console.log(chalk.blue(`${plan.zone}: ${result.summary.created} created, ${result.summary.updated} updated, ${result.summary.deleted} deleted, ${result.summary.failed} failed`));
+  }
+
+  if (failed > 0) {
+    throw new Error(`${failed} DNS change(s) failed; a backup of the previous zone is in ${DNS_BACKUP_DIR}`);
+  }
+  Logger.success(chalk.green('✅ DNS changes applied'));
+}
+
+function displayZonePlan(plan) {
+  const describe = record => {
+    const priority = record.priority !== undefined ? `${record.priority} ` : '';
+    return `${record.name.padEnd(24)} ${record.type.padEnd(6)} ${priority}${record.data}`;
+  };
+
+  console.log(chalk.blue(`\n📋 ${plan.zone}`));
+  console.log(chalk.gray('─'.repeat(80)));
+
+  plan.create.forEach(record => console.log(chalk.green(`+ ${describe(record)} (ttl ${record.ttl})`)));
+  plan.update.forEach(({ record, changes }) => {
+    const next = { ...record, ...changes, priority: changes.priority ?? record.priority };
+    console.log(chalk.yellow(`~ ${describe(record)} (ttl ${record.ttl})`));
+    console.log(chalk.yellow(`  ${'→'.padEnd(24)} ${record.type.padEnd(6)} ${next.priority !== undefined ? `${next.priority} ` : ''}${next.data} (ttl ${next.ttl})`));
+  });
+  plan.delete.forEach(record => console.log(chalk.red(`- ${describe(record)} (ttl ${record.ttl})`)));
+
+  console.log(chalk.gray('─'.repeat(80)));
+  console.log(chalk.blue(`Create: ${plan.create.length}, Update: ${plan.update.length}, Delete: ${plan.delete.length}, Unchanged: ${plan.unchanged.length}`));
+}
+
 module.exports = {
   dnsUpdate,
   dnsStatus,
   dnsSync,
-  dnsVerify
+  dnsVerify,
+  dnsExport,
+  dnsImport,
+  dnsDiff
 };
\ No newline at end of file
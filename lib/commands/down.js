@@ -8,11 +8,12 @@ const EC2Manager = require('../aws/ec2');
 const S3Manager = require('../aws/s3');
 const SecurityGroupManager = require('../aws/security-groups');
 const SSHKeyManager = require('../aws/ssh-keys');
+const { getAWSCredentials, hasCredentialSource } = require('../aws/credential-provider');
 const { DNSManager } = require('../utils/dns-manager');
 const { GitHubCleanupService } = require('../utils/github-cleanup');
 const { GitHubRepoTracker } = require('../utils/github-repo-tracker');
 const { InstanceTracker } = require('../utils/instance-tracker');
-const fs = require('fs-extra');
+const { RemoteStateManager } = require('../utils/remote-state');
 const path = require('path');
 
 class DownCommand {
@@ -25,9 +26,18 @@ class DownCommand {
   }
 
   async execute(options = {}) {
+    let remoteState = null;
+    let stateLock = null;
+
     try {
       Logger.section('🗑️  Resource Cleanup');
       
+      // Lock and pull the remote state (if configured) before reading it
+      remoteState = await RemoteStateManager.fromProject();
+      if (remoteState) {
+        stateLock = await remoteState.lock('down');
+      }
+      
       // Load state file to see what resources exist
       const state = await this.loadState();
       if (!state || !state.resources) {
@@ -51,35 +61,19 @@ class DownCommand {
       const config = await this.loadConfiguration();
       
       // Validate AWS credentials before proceeding
-      if (!config.aws || !config.aws.accessKeyId || !config.aws.secretAccessKey) {
+      if (!config.aws || !hasCredentialSource(config.aws)) {
         throw new FocalDeployError(
           'AWS credentials not found or invalid.',
           [
             'Ensure your AWS credentials are properly configured',
-            'Run "focal-deploy new <project-name>" to set up credentials',
-            'Check if your credentials file exists and is readable'
-          ]
-        );
-      }
-
-      // Validate credential format
-      if (typeof config.aws.accessKeyId !== 'string' || config.aws.accessKeyId.trim() === '' ||
-          typeof config.aws.secretAccessKey !== 'string' || config.aws.secretAccessKey.trim() === '') {
-        throw new FocalDeployError(
-          'AWS credentials are empty or invalid format.',
-          [
-            'Access Key ID and Secret Access Key must be non-empty strings',
-            'Check your credential configuration for any formatting issues',
-            'Re-run credential setup if necessary'
+            'Pass --profile <name> to use a profile from ~/.aws/config',
+            'Run "focal-deploy new <project-name>" to set up credentials'
           ]
         );
       }
       
-      // Initialize AWS managers with validated credentials
-      const credentials = {
-        accessKeyId: config.aws.accessKeyId.trim(),
-        secretAccessKey: config.aws.secretAccessKey.trim()
-      };
+      // Initialize AWS managers with the project's credential source
+      const credentials = getAWSCredentials(config.aws);
       
       const region = config.aws.region || 'us-east-1';
       
@@ -131,6 +125,10 @@ class DownCommand {
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
+    } finally {
+      if (stateLock) {
+        await remoteState.unlock(stateLock);
+      }
     }
   }
 
@@ -143,86 +141,7 @@ class DownCommand {
   }
 
   async loadConfiguration() {
-    try {
-      // Check for wizard-generated configuration first
-      const wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
-      if (await fs.pathExists(wizardConfigPath)) {
-        return await this.loadWizardConfiguration(wizardConfigPath);
-      }
-
-      // Fall back to legacy configuration
-      if (!this.configLoader.exists()) {
-        throw new FocalDeployError(
-          'No configuration file found. Please run "focal-deploy new <project-name>" to create a new project with wizard setup.',
-          'Run "focal-deploy new <project-name>" to create a new project with complete setup wizard.'
-        );
-      }
-      
-      return await this.configLoader.load();
-    } catch (error) {
-      throw error;
-    }
-  }
-
-  async loadWizardConfiguration(configPath) {
-    try {
-      const configContent = await fs.readFile(configPath, 'utf8');
-      const wizardConfig = JSON.parse(configContent);
-
-      // Transform wizard config to deployment config format
-       const deployConfig = {
-         project: {
-           name: wizardConfig.project?.name || wizardConfig.projectName,
-          type: wizardConfig.application?.type || 'nodejs-web',
-          port: wizardConfig.application?.port || 3000,
-          healthCheck: wizardConfig.application?.healthCheckPath || '/health'
-        },
-        aws: {
-          region: wizardConfig.aws?.region || wizardConfig.infrastructure?.region || 'us-east-1',
-          accessKeyId: wizardConfig.aws?.accessKeyId || wizardConfig.credentials?.aws?.accessKeyId,
-          secretAccessKey: wizardConfig.aws?.secretAccessKey || wizardConfig.credentials?.aws?.secretAccessKey,
-          instanceType: wizardConfig.infrastructure?.instanceType || 't3.micro',
-          keyPairName: wizardConfig.infrastructure?.keyPairName,
-          // Include operating system from wizard configuration
-          operatingSystem: wizardConfig.infrastructure?.operatingSystem || 'ubuntu'
-        },
-        application: {
-          useDocker: wizardConfig.application?.useDocker || true,
-          nodeVersion: wizardConfig.application?.nodeVersion || '20',
-          packageManager: wizardConfig.application?.packageManager || 'npm'
-        },
-        domains: wizardConfig.domains || { enabled: false },
-        git: wizardConfig.repository || { enabled: false },
-        security: wizardConfig.security || {},
-        environment: wizardConfig.environment || {}
-      };
-
-      // Load AWS credentials from secure storage if not in config
-      const CredentialManager = require('../utils/credentials');
-      const credentialManager = new CredentialManager(deployConfig.project.name);
-      if (!deployConfig.aws.accessKeyId || !deployConfig.aws.secretAccessKey) {
-        const storedCredentials = await credentialManager.loadCredentials();
-        if (storedCredentials) {
-          deployConfig.aws = { ...deployConfig.aws, ...storedCredentials };
-        } else {
-          throw new FocalDeployError(
-            'AWS credentials not found in configuration or secure storage.',
-            [
-              'Run "focal-deploy new <project-name>" to set up credentials',
-              'Ensure your credentials are properly saved',
-              'Check if the credential file exists and is readable'
-            ]
-          );
-        }
-      }
-
-      return deployConfig;
-    } catch (error) {
-      throw new FocalDeployError(
-        `Failed to load wizard configuration: ${error.message}`,
-        'Check if the .focal-deploy/config.json file is valid JSON format.'
-      );
-    }
+    return await this.configLoader.loadProjectConfig({ requireCredentials: true });
   }
 
   async showResourcesForDeletion(state) {
@@ -231,14 +150,14 @@ class DownCommand {
 
     const resources = state.resources;
 
-    if (resources.ec2Instance) {
+    if (resources.ec2Instance && !resources.ec2Instance.imported) {
       Logger.result('EC2 Instance', `${resources.ec2Instance.instanceId} (${resources.ec2Instance.publicIpAddress})`);
       if (resources.ec2Instance.allocationId) {
         Logger.result('Elastic IP', resources.ec2Instance.allocationId);
       }
     }
 
-    if (resources.s3Bucket) {
+    if (resources.s3Bucket && !resources.s3Bucket.imported) {
       Logger.result('S3 Bucket', resources.s3Bucket.bucketName);
     }
 
@@ -250,6 +169,12 @@ class DownCommand {
       Logger.result('SSH Key Pair', resources.sshKey.keyPairName);
     }
 
+    const imported = ['ec2Instance', 's3Bucket', 'securityGroup', 'sshKey'].filter(type => resources[type]?.imported);
+    if (imported.length > 0) {
+      console.log('');
+      Logger.info(`Imported resources are kept and only removed from the state: ${imported.join(', ')}`);
+    }
+
     console.log('');
     Logger.warning('⚠️  This action cannot be undone!');
     Logger.warning('⚠️  All data in S3 bucket will be lost!');
@@ -291,17 +216,17 @@ class DownCommand {
     const resources = state.resources;
 
     // 0. Clean up DNS records if configured
-    if (resources.ec2Instance && config.ssl && config.ssl.dnsProvider && config.ssl.dnsProvider.type === 'digitalocean') {
-      await this.cleanupDNSRecords(config, resources.ec2Instance.publicIpAddress);
+    if (resources.ec2Instance && !resources.ec2Instance.imported && config.ssl?.dnsProvider) {
+      await this.cleanupDNSRecords(config, resources.ec2Instance.publicIpAddress, resources.ec2Instance.ipv6Address);
     }
 
-    // 1. Delete EC2 Instance (and Elastic IP)
-    if (resources.ec2Instance) {
+    // 1. Delete EC2 Instance (and Elastic IP), unless it was imported
+    if (resources.ec2Instance && !resources.ec2Instance.imported) {
       await this.deleteEC2Instance(resources.ec2Instance, managers.ec2Manager);
     }
 
-    // 2. Delete S3 Bucket
-    if (resources.s3Bucket) {
+    // 2. Delete S3 Bucket, unless it was imported
+    if (resources.s3Bucket && !resources.s3Bucket.imported) {
       await this.deleteS3Bucket(resources.s3Bucket, managers.s3Manager);
     }
 
@@ -457,25 +382,34 @@ class DownCommand {
     }
   }
 
-  async cleanupDNSRecords(config, publicIpAddress) {
+  async cleanupDNSRecords(config, publicIpAddress, ipv6Address = null) {
     try {
       Logger.step('Cleaning up DNS records...');
       
       const dnsManager = new DNSManager(config);
-      const result = await dnsManager.verifyAllDomains(publicIpAddress);
+      const result = await dnsManager.removeRecordsPointingToIP(publicIpAddress, {
+        backupDir: path.join(process.cwd(), '.focal-deploy', 'dns-backups'),
+        ipv6Address
+      });
+
+      if (result.backups.length > 0) {
+        Logger.info(`DNS zones backed up to ${path.dirname(result.backups[0].file)} (restore with "focal-deploy dns-import <file>")`);
+      }
       
-      if (result.summary.pointing_to_instance > 0) {
-        Logger.warning(`${result.summary.pointing_to_instance} DNS record(s) still point to this instance`);
+      if (result.summary.total === 0) {
+        Logger.success('No DNS records point to this instance');
+      } else if (result.summary.failed > 0) {
+        Logger.warning(`${result.summary.failed} DNS record(s) could not be deleted and still point to this instance`);
         Logger.info('You may want to update these records manually after deletion');
         
         // List domains that still point to this instance
         result.results.forEach(domainResult => {
-          if (domainResult.success && domainResult.pointsToInstance) {
+          if (!domainResult.success) {
             Logger.info(`  - ${domainResult.domain} (${domainResult.currentIP})`);
           }
         });
       } else {
-        Logger.success('No DNS records point to this instance');
+        Logger.success(`Deleted ${result.summary.deleted} DNS record(s) pointing to this instance`);
       }
       
     } catch (error) {
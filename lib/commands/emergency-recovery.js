@@ -3,6 +3,7 @@ const { FocalDeployError } = require('../utils/errors');
 const { ConfigLoader } = require('../config/loader');
 const { StateManager } = require('../utils/state');
 const { EC2Client, ModifyInstanceAttributeCommand } = require('@aws-sdk/client-ec2');
+const { getAWSCredentials } = require('../aws/credential-provider');
 
 class EmergencyRecoveryCommand {
   constructor() {
@@ -40,10 +41,7 @@ class EmergencyRecoveryCommand {
       // Create EC2 client
       const ec2Client = new EC2Client({
         region: config.aws.region,
-        credentials: {
-          accessKeyId: config.aws.accessKeyId,
-          secretAccessKey: config.aws.secretAccessKey
-        }
+        credentials: getAWSCredentials(config.aws)
       });
 
       // Generate emergency recovery user data script
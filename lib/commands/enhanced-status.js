@@ -7,8 +7,6 @@ const { SSLCertificateService } = require('../services/ssl-certificate-service')
 const { SecurityHardeningService } = require('../services/security-hardening-service');
 const { DNSManagementService } = require('../services/dns-management-service');
 const { ApplicationDeploymentService } = require('../services/application-deployment-service');
-const fs = require('fs-extra');
-const path = require('path');
 const chalk = require('chalk');
 
 /**
@@ -44,7 +42,7 @@ class EnhancedStatusCommand {
       const statusData = await this.gatherComprehensiveStatus(config, deploymentState, enhancedState);
       
       if (json) {
-        console.log(JSON.stringify(statusData, null, 2));
+        Logger.json(statusData);
         return statusData;
       }
       
@@ -74,10 +72,8 @@ class EnhancedStatusCommand {
   async loadConfiguration() {
     try {
       // Check for wizard-generated configuration first
-      const wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
-      if (await fs.pathExists(wizardConfigPath)) {
-        const configContent = await fs.readFile(wizardConfigPath, 'utf8');
-        return JSON.parse(configContent);
+      if (await this.configLoader.wizardConfigExists()) {
+        return await this.configLoader.loadWizardConfig();
       }
 
       // Fall back to legacy configuration
@@ -0,0 +1,167 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const path = require('path');
+const { ConfigLoader } = require('../config/loader');
+const { createSecretsBackend, findConfigVariables, validateSecretName } = require('../secrets');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * Store an application environment variable in the secrets backend.
+ * Without a value it is read from stdin (when piped) or asked for.
+ */
+async function envSet(name, value, options = {}) {
+  validateSecretName(name);
+  const { config, backend } = await loadBackend(options);
+
+  if (value === undefined) {
+    value = await readValue(name);
+  }
+
+  await backend.set(name, value);
+  Logger.success(`${name} saved to ${backend.describe()}`);
+
+  if (Object.prototype.hasOwnProperty.call({ ...config.environment, ...config.app?.environment }, name)) {
+    Logger.warn(`${name} is also set in the project configuration, and deploys refuse to run until it is removed. Run "focal-deploy env import" to move the variables there to ${backend.describe()}.`);
+  }
+
+  return { name, backend: backend.constructor.backendName, scope: backend.scope };
+}
+
+/**
+ * Print the value of an environment variable
+ */
+async function envGet(name, options = {}) {
+  validateSecretName(name);
+  const { backend } = await loadBackend(options);
+
+  const value = await backend.get(name);
+  if (value === null) {
+    throw notFound(name, backend);
+  }
+
+  if (!options.json) {
+    console.log(value);
+  }
+  return { name, value, backend: backend.constructor.backendName, scope: backend.scope };
+}
+
+/**
+ * List the stored environment variables (names only unless --reveal)
+ */
+async function envList(options = {}) {
+  const { backend } = await loadBackend(options);
+  const secrets = await backend.list({ withValues: Boolean(options.reveal) });
+
+  if (!options.json) {
+    Logger.info(chalk.blue(`🔐 ${backend.describe()}`));
+    if (secrets.length === 0) {
+      Logger.info(chalk.gray('   No environment variables stored. Add one with "focal-deploy env set <NAME>".'));
+    }
+    for (const secret of secrets) {
+      const updated = secret.updatedAt ? chalk.gray(` (updated ${secret.updatedAt})`) : '';
+      Logger.info(options.reveal ? `   ${secret.name}=${secret.value}${updated}` : `   ${secret.name}${updated}`);
+    }
+  }
+
+  return { backend: backend.constructor.backendName, scope: backend.scope, variables: secrets };
+}
+
+/**
+ * Delete an environment variable from the secrets backend
+ */
+async function envUnset(name, options = {}) {
+  validateSecretName(name);
+  const { backend } = await loadBackend(options);
+
+  if (!await backend.unset(name)) {
+    throw notFound(name, backend);
+  }
+
+  Logger.success(`${name} removed from ${backend.describe()}`);
+  return { name, backend: backend.constructor.backendName, scope: backend.scope };
+}
+
+/**
+ * Move the variables still set in focal-deploy.yml or .focal-deploy/config.json
+ * into the secrets backend (each environment's into its own scope) and remove
+ * them from the files. Values already stored are kept unless --overwrite.
+ */
+async function envImport(options = {}) {
+  const configLoader = new ConfigLoader();
+  const config = await configLoader.loadProjectConfig();
+  const imported = [];
+  const skipped = [];
+
+  for (const file of await configLoader.readConfigFiles()) {
+    const name = path.relative(process.cwd(), file.path);
+    const found = findConfigVariables(file.config, file.format);
+    if (found.length === 0) {
+      continue;
+    }
+
+    for (const { scope, path: variablePath, variables } of found) {
+      const backend = createSecretsBackend(config, { backend: options.backend, scope });
+      for (const [variable, value] of Object.entries(variables)) {
+        validateSecretName(variable);
+        if (!options.overwrite && await backend.get(variable) !== null) {
+          skipped.push({ name: variable, scope, from: `${name}: ${variablePath}` });
+          Logger.warn(`${variable} is already stored in ${backend.describe()}; kept the stored value (--overwrite to replace it)`);
+          continue;
+        }
+        await backend.set(variable, String(value));
+        imported.push({ name: variable, scope, from: `${name}: ${variablePath}` });
+        Logger.info(chalk.gray(`   ${variable} → ${backend.describe()}`));
+      }
+
+      const keys = variablePath.split('.');
+      const parent = keys.slice(0, -1).reduce((value, key) => value[key], file.config);
+      delete parent[keys[keys.length - 1]];
+    }
+
+    await configLoader.writeConfigFile(file, file.config);
+    Logger.success(`Variables removed from ${name}`);
+  }
+
+  if (imported.length === 0 && skipped.length === 0) {
+    Logger.success('No environment variables left in the project configuration');
+  }
+  return { imported, skipped };
+}
+
+async function loadBackend(options) {
+  const config = await new ConfigLoader().loadProjectConfig();
+  return { config, backend: createSecretsBackend(config, { backend: options.backend }) };
+}
+
+async function readValue(name) {
+  if (!process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    // A single trailing newline comes from echo or a file, not from the value
+    return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+  }
+
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const { value } = await prompt([
+    {
+      type: 'password',
+      name: 'value',
+      message: `Value for ${name}:`,
+      mask: '*'
+    }
+  ]);
+  return value;
+}
+
+function notFound(name, backend) {
+  return new FocalDeployError(
+    `${name} is not set in ${backend.describe()}`,
+    'Run "focal-deploy env list" to see the stored variables, or pass --env for another environment.',
+    'SECRET_NOT_FOUND'
+  );
+}
+
+module.exports = { envSet, envGet, envList, envUnset, envImport };
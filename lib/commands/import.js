@@ -0,0 +1,267 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { UpCommand } = require('./up');
+const { StateManager } = require('../utils/state');
+const { EnhancedStateManager } = require('../utils/enhanced-state');
+const { RemoteStateManager } = require('../utils/remote-state');
+const { getAWSCredentials } = require('../aws/credential-provider');
+const OSDetector = require('../utils/os-detector');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+
+/**
+ * Bring an EC2 instance (and optionally its security group and S3 bucket)
+ * that focal-deploy did not create under focal-deploy management.
+ *
+ * Imported resources are recorded with `imported: true`; "focal-deploy down"
+ * leaves them in place.
+ */
+class ImportCommand {
+  constructor() {
+    this.upCommand = new UpCommand();
+    this.stateManager = new StateManager();
+    this.enhancedStateManager = new EnhancedStateManager();
+  }
+
+  async execute(options = {}) {
+    Logger.header('📥 Importing Existing Resources');
+
+    const config = await this.upCommand.loadConfiguration();
+    await this.upCommand.validateCredentials(config);
+
+    const remoteState = await RemoteStateManager.fromProject({
+      credentials: getAWSCredentials(config.aws)
+    });
+    const stateLock = remoteState ? await remoteState.lock('import') : null;
+
+    try {
+      const existingState = await this.stateManager.loadState();
+      const trackedInstanceId = existingState.resources?.ec2Instance?.instanceId;
+      if (trackedInstanceId && trackedInstanceId !== options.instanceId && !options.force) {
+        throw new FocalDeployError(
+          `This project already manages instance ${trackedInstanceId}`,
+          'Import into another environment with --env <name>, or use --force to replace it in the state (the instance itself is not changed).'
+        );
+      }
+
+      const managers = this.upCommand.initializeManagers(config);
+      const resources = await this.describeResources(config, managers, options);
+
+      Logger.step('Detecting operating system...');
+      const instance = resources.ec2Instance;
+      instance.operatingSystem = await this.createOSDetector(config).detectOperatingSystem(
+        instance.instanceId,
+        instance.publicIpAddress,
+        { privateKeyPath: resources.sshKey?.privateKeyPath }
+      );
+
+      const timestamp = new Date().toISOString();
+      await this.stateManager.saveState({
+        ...existingState,
+        projectName: config.project.name,
+        region: config.aws.region,
+        status: 'completed',
+        timestamp,
+        importedAt: timestamp,
+        // Re-importing the same instance keeps whatever else the state records (DNS records, ...)
+        resources: trackedInstanceId === instance.instanceId ? { ...existingState.resources, ...resources } : resources,
+        ec2: { instanceId: instance.instanceId, publicIp: instance.publicIpAddress }
+      });
+
+      const enhancedState = await this.enhancedStateManager.loadState();
+      await this.enhancedStateManager.saveState({
+        ...enhancedState,
+        projectName: config.project.name,
+        timestamp,
+        lastUpdated: timestamp,
+        config: { ...enhancedState.config, region: config.aws.region },
+        resources: { ...enhancedState.resources, ...resources }
+      });
+
+      config.aws.operatingSystem = instance.operatingSystem;
+      if (resources.sshKey) {
+        config.aws.keyPairName = resources.sshKey.keyPairName;
+      }
+      await this.upCommand.updateConfiguration(config, resources);
+
+      this.displayResults(resources);
+      return resources;
+
+    } finally {
+      if (stateLock) {
+        await remoteState.unlock(stateLock);
+      }
+    }
+  }
+
+  /**
+   * Describe the requested resources in AWS and convert them to state entries.
+   * Entries carry both field spellings used across the state files
+   * (publicIpAddress/publicIp, bucketName/name, securityGroupId/id, keyPairName/name).
+   */
+  async describeResources(config, managers, options) {
+    const { ec2Manager, securityGroupManager, s3Manager } = managers;
+    const resources = {};
+
+    Logger.step(`Describing instance ${options.instanceId}...`);
+    let instance;
+    try {
+      instance = await ec2Manager.getInstanceInfo(options.instanceId);
+    } catch (error) {
+      if (![error.message, error.suggestion].some(value => typeof value === 'string' && /not found|NotFound/i.test(value))) {
+        throw error;
+      }
+      throw new FocalDeployError(
+        `Instance ${options.instanceId} was not found in ${config.aws.region}`,
+        'Check the instance ID and the configured AWS region.'
+      );
+    }
+
+    if (instance.state === 'terminated' || instance.state === 'shutting-down') {
+      throw new FocalDeployError(`Instance ${instance.instanceId} is ${instance.state}`, 'Only running or stopped instances can be imported.');
+    }
+    if (!instance.publicIpAddress) {
+      throw new FocalDeployError(
+        `Instance ${instance.instanceId} has no public IP address`,
+        'Start the instance or associate an Elastic IP with it, then run the import again.'
+      );
+    }
+
+    resources.ec2Instance = {
+      instanceId: instance.instanceId,
+      publicIpAddress: instance.publicIpAddress,
+      publicIp: instance.publicIpAddress,
+      ipv6Address: instance.ipv6Address || null,
+      privateIpAddress: instance.privateIpAddress,
+      instanceType: instance.instanceType,
+      state: instance.state,
+      imported: true
+    };
+    Logger.success(`Instance ${instance.instanceId} (${instance.instanceType}, ${instance.state}) at ${instance.publicIpAddress}`);
+
+    const securityGroupId = this.selectSecurityGroup(instance, options.securityGroup);
+    if (securityGroupId) {
+      const securityGroup = await securityGroupManager.getSecurityGroupInfo(securityGroupId);
+      resources.securityGroup = {
+        securityGroupId: securityGroup.groupId,
+        id: securityGroup.groupId,
+        groupName: securityGroup.groupName,
+        existed: true,
+        imported: true
+      };
+      resources.ec2Instance.securityGroupId = securityGroup.groupId;
+      const ports = [...new Set(securityGroup.inboundRules.map(rule => rule.fromPort).filter(port => port !== undefined))];
+      Logger.success(`Security group ${securityGroup.groupId} (${securityGroup.groupName}), inbound ports: ${ports.join(', ') || 'none'}`);
+    }
+
+    if (options.bucket) {
+      if (!await s3Manager.bucketExists(options.bucket)) {
+        throw new FocalDeployError(`S3 bucket ${options.bucket} was not found`, 'Check the bucket name and that your credentials can access it.');
+      }
+      resources.s3Bucket = {
+        bucketName: options.bucket,
+        name: options.bucket,
+        region: config.aws.region,
+        existed: true,
+        imported: true
+      };
+      Logger.success(`S3 bucket ${options.bucket}`);
+    }
+
+    if (instance.keyName) {
+      const privateKeyPath = await this.findPrivateKey(instance.keyName, options.keyFile);
+      resources.sshKey = {
+        keyPairName: instance.keyName,
+        name: instance.keyName,
+        privateKeyPath,
+        existed: true,
+        imported: true
+      };
+      if (privateKeyPath) {
+        Logger.success(`Key pair ${instance.keyName} (${privateKeyPath})`);
+      } else {
+        Logger.warning(`Key pair ${instance.keyName}: private key not found, pass --key-file <path> so SSH-based commands can connect`);
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Use the requested security group, or the only one attached to the instance
+   */
+  selectSecurityGroup(instance, requested) {
+    const attached = instance.securityGroupIds || [];
+
+    if (requested) {
+      if (!attached.includes(requested)) {
+        throw new FocalDeployError(
+          `Security group ${requested} is not attached to ${instance.instanceId}`,
+          `Attached security groups: ${attached.join(', ') || 'none'}`
+        );
+      }
+      return requested;
+    }
+
+    if (attached.length === 1) {
+      return attached[0];
+    }
+    if (attached.length > 1) {
+      Logger.warning(`Instance has several security groups (${attached.join(', ')}); pass --security-group to import one of them`);
+    }
+    return null;
+  }
+
+  async findPrivateKey(keyName, keyFile) {
+    if (keyFile) {
+      const resolved = path.resolve(keyFile);
+      if (!await fs.pathExists(resolved)) {
+        throw new FocalDeployError(`Private key file not found: ${resolved}`, 'Pass the path to the key pair\'s .pem file with --key-file.');
+      }
+      return resolved;
+    }
+
+    const candidates = [
+      path.join(os.homedir(), '.ssh', `${keyName}.pem`),
+      path.join(os.homedir(), '.ssh', keyName),
+      path.join(process.cwd(), '.focal-deploy', `${keyName}.pem`)
+    ];
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  createOSDetector(config) {
+    return new OSDetector(config);
+  }
+
+  displayResults(resources) {
+    Logger.header('📥 Import Summary');
+
+    Logger.result('EC2 Instance', `${resources.ec2Instance.instanceId} (${resources.ec2Instance.publicIpAddress})`);
+    Logger.result('Operating System', resources.ec2Instance.operatingSystem);
+    if (resources.securityGroup) {
+      Logger.result('Security Group', resources.securityGroup.securityGroupId);
+    }
+    if (resources.s3Bucket) {
+      Logger.result('S3 Bucket', resources.s3Bucket.bucketName);
+    }
+    if (resources.sshKey) {
+      Logger.result('SSH Key Pair', resources.sshKey.keyPairName);
+    }
+
+    console.log('');
+    Logger.info(chalk.gray('Imported resources are kept by "focal-deploy down".'));
+    Logger.info('Next steps:');
+    Logger.info('  focal-deploy status           # check the imported resources');
+    Logger.info('  focal-deploy security-setup   # harden the server');
+    Logger.info('  focal-deploy app-deploy       # deploy your application');
+  }
+}
+
+module.exports = { ImportCommand };
@@ -225,8 +225,10 @@ class InitCommand {
           email: '',
           autoRenew: true
         },
+        health: {
+          endpoint: '/health'
+        },
         monitoring: {
-          healthCheckUrl: '/health',
           healthCheckInterval: 30
         }
       };
@@ -2,6 +2,12 @@ const { MonitoringService } = require('../utils/monitoring');
 const { SSHService } = require('../utils/ssh');
 const { ConfigLoader } = require('../config/loader');
 const { StateManager } = require('../utils/state');
+const { EnhancedStateManager } = require('../utils/enhanced-state');
+const { SSLWatchService } = require('../utils/ssl-watch');
+const { AlertDispatcher, buildAlertConfig } = require('../monitoring/alert-dispatcher');
+const { parseDuration, parseSamples, summarize, toCSV } = require('../monitoring/metrics');
+const { LogStream } = require('../monitoring/log-stream');
+const fs = require('fs-extra');
 const { logger } = require('../utils/logger');
 const chalk = require('chalk');
 const path = require('path');
@@ -54,8 +60,9 @@ async function monitorSetupCommand(options = {}) {
 
     logger.info(chalk.blue(`📡 Connecting to EC2 instance: ${instanceHost}`));
 
-    // Setup health checks
-    await monitoringService.setupHealthChecks(instanceHost, config, { dryRun, sshOptions });
+    // Setup health checks, with certificate expiry checks for the SSL domains
+    const sslDomains = await SSLWatchService.collectDomains(new EnhancedStateManager());
+    await monitoringService.setupHealthChecks(instanceHost, config, { dryRun, sshOptions, sslDomains });
 
     // Setup log rotation
     await monitoringService.setupLogRotation(instanceHost, config, { dryRun, sshOptions });
@@ -83,6 +90,9 @@ async function monitorSetupCommand(options = {}) {
       logger.success(chalk.green('\n✅ Monitoring and health checks configured successfully!'));
       logger.info(chalk.blue('🔍 Health checks will run every 5 minutes'));
       logger.info(chalk.blue('📋 Logs will be rotated daily and kept for 30 days'));
+      if (sslDomains.length > 0) {
+        logger.info(chalk.blue('🔒 SSL certificates will be checked daily'));
+      }
       logger.info(chalk.yellow('💡 Use "focal-deploy monitor status" to check health status'));
     }
 
@@ -184,10 +194,13 @@ async function monitorStatusCommand(options = {}) {
 }
 
 async function monitorLogsCommand(options = {}) {
-  const { lines = 50, dryRun = false } = options;
+  const { lines = 50, dryRun = false, follow = false, grep, since, level, source } = options;
+  const streaming = follow || grep || since || level || source;
   
   try {
-    logger.info(chalk.blue(`📋 Fetching application logs (last ${lines} lines)...`));
+    if (!streaming) {
+      logger.info(chalk.blue(`📋 Fetching application logs (last ${lines} lines)...`));
+    }
 
     // Load configuration and state
     const configLoader = new ConfigLoader();
@@ -217,6 +230,10 @@ async function monitorLogsCommand(options = {}) {
       operatingSystem
     };
 
+    if (streaming) {
+      return await streamLogs(instanceHost, config, sshOptions, options);
+    }
+
     // Get application logs
     const logsResult = await monitoringService.getApplicationLogs(instanceHost, config, { 
       lines, 
@@ -247,8 +264,234 @@ async function monitorLogsCommand(options = {}) {
   }
 }
 
+const SOURCE_COLORS = {
+  app: chalk.cyan,
+  'nginx-access': chalk.green,
+  'nginx-error': chalk.magenta,
+  fail2ban: chalk.yellow,
+  health: chalk.blue
+};
+const LEVEL_COLORS = { error: chalk.red, warning: chalk.yellow, notice: chalk.white, info: text => text, debug: chalk.gray };
+
+function formatLogEntry(entry) {
+  const tag = (SOURCE_COLORS[entry.source] || chalk.white)(`[${entry.source}]`.padEnd(14));
+  const time = entry.time ? chalk.gray(`${new Date(entry.time).toLocaleString()} `) : '';
+  return `${tag} ${time}${LEVEL_COLORS[entry.level](entry.message)}`;
+}
+
+/**
+ * Multi-source logs with filters; with --follow the channel stays open until Ctrl+C
+ */
+async function streamLogs(host, config, sshOptions, options) {
+  const { lines = 50, follow = false, grep, since, level, source } = options;
+  const logStream = new LogStream(new SSHService(), config, {
+    sources: source ? source.split(',').map(name => name.trim()).filter(Boolean) : [],
+    grep,
+    since: since ? new Date(Date.now() - parseDuration(since)) : null,
+    level,
+    lines: parseInt(lines, 10)
+  });
+  const sourceNames = logStream.sources.map(definition => definition.name).join(', ');
+  let count = 0;
+  const print = entry => {
+    count++;
+    console.log(formatLogEntry(entry));
+  };
+
+  try {
+    if (!follow) {
+      logger.info(chalk.blue(`📋 Fetching logs from ${sourceNames}...`));
+      await logStream.fetch(host, sshOptions, print);
+      logger.info(chalk.gray(`\n${count} matching line(s)`));
+      return { success: true, lines: count };
+    }
+
+    logger.info(chalk.blue(`📡 Following logs from ${sourceNames} (Ctrl+C to stop)...`));
+    const stop = () => logStream.stop();
+    process.once('SIGINT', stop);
+
+    try {
+      await logStream.follow(host, sshOptions, print, (status, details) => {
+        if (status === 'connected' && details.resumed) {
+          logger.success(chalk.green('🔌 Reconnected, resuming from the last line'));
+        } else if (status === 'error') {
+          logger.warn(chalk.yellow(`⚠️  Log stream failed: ${details.error.message}`));
+        } else if (status === 'reconnecting') {
+          logger.warn(chalk.yellow(`⚠️  Connection lost, reconnecting in ${details.delay / 1000}s (attempt ${details.attempt})...`));
+        }
+      });
+    } finally {
+      process.removeListener('SIGINT', stop);
+    }
+
+    logger.info(chalk.gray(`\n📋 Stopped following logs (${count} line(s) shown)`));
+    return { success: true, lines: count };
+  } finally {
+    logStream.sshService.disconnectAll();
+  }
+}
+
+async function monitorTestAlertCommand(options = {}) {
+  const { local = false } = options;
+
+  try {
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.load();
+
+    if (!config) {
+      throw new Error('No configuration found. Please run "focal-deploy init" first.');
+    }
+
+    let report;
+    if (local) {
+      // Routing from focal-deploy.yml, delivered from this machine
+      logger.info(chalk.blue('📣 Sending a test alert from this machine...'));
+      const dispatcher = new AlertDispatcher(buildAlertConfig(config));
+      const results = await dispatcher.deliver({ key: 'test', severity: 'info', message: `Test alert from ${dispatcher.hostname}` });
+      report = { channels: dispatcher.channels().map(channel => channel.name), results };
+    } else {
+      const stateManager = new StateManager();
+      const state = await stateManager.loadState();
+
+      if (!state.ec2?.instanceId) {
+        throw new Error('No EC2 instance found. Please run "focal-deploy up" first, or use --local.');
+      }
+
+      const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
+      const sshOptions = {
+        privateKeyPath: path.join(process.cwd(), '.focal-deploy', `${config.projectName}-key.pem`),
+        username: operatingSystem === 'debian' ? 'admin' : 'ubuntu',
+        operatingSystem
+      };
+
+      logger.info(chalk.blue(`📣 Sending a test alert from ${state.ec2.publicIp}...`));
+      report = await new MonitoringService().sendTestAlert(state.ec2.publicIp, config, { sshOptions });
+    }
+
+    if (report.results.length === 0) {
+      throw new Error('No alert channels configured. Set alerts.webhook, alerts.slack or alerts.email with alerts.smtp in focal-deploy.yml.');
+    }
+
+    logger.info(chalk.blue('\n📋 Alert delivery:'));
+    for (const result of report.results) {
+      if (result.ok) {
+        logger.info(chalk.green(`   ✅ ${result.channel}: ${result.target}`));
+      } else {
+        logger.info(chalk.red(`   ❌ ${result.channel}: ${result.target} (${result.error})`));
+      }
+    }
+
+    const failed = report.results.filter(result => !result.ok);
+    if (failed.length > 0) {
+      throw new Error(`Test alert could not be delivered to ${failed.map(result => result.channel).join(', ')}`);
+    }
+
+    logger.success(chalk.green('\n✅ Test alert delivered to every channel'));
+    return { success: true, ...report };
+
+  } catch (error) {
+    logger.error(chalk.red(`❌ Test alert failed: ${error.message}`));
+    throw error;
+  }
+}
+
+async function monitorReportCommand(options = {}) {
+  const { since = '24h', json = false, csv } = options;
+
+  try {
+    const window = parseDuration(since);
+
+    const configLoader = new ConfigLoader();
+    const config = await configLoader.load();
+    const stateManager = new StateManager();
+    const state = await stateManager.loadState();
+
+    if (!config || !state.ec2?.instanceId) {
+      throw new Error('No deployment found. Please run "focal-deploy up" first.');
+    }
+
+    if (!state.monitoring?.enabled) {
+      throw new Error('Monitoring is not configured for this deployment. Run "focal-deploy monitor-setup" first.');
+    }
+
+    const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
+    const sshOptions = {
+      privateKeyPath: path.join(process.cwd(), '.focal-deploy', `${config.projectName}-key.pem`),
+      username: operatingSystem === 'debian' ? 'admin' : 'ubuntu',
+      operatingSystem
+    };
+
+    if (!json) {
+      logger.info(chalk.blue(`📈 Fetching metrics for the last ${since}...`));
+    }
+
+    const until = new Date();
+    const sinceDate = new Date(until.getTime() - window);
+    const content = await new MonitoringService().getMetrics(state.ec2.publicIp, config, { since: sinceDate, sshOptions });
+    const samples = parseSamples(content).filter(sample => sample.time >= sinceDate && sample.time <= until);
+    const report = summarize(samples, { since: sinceDate, until });
+
+    if (csv) {
+      if (csv === '-') {
+        process.stdout.write(toCSV(samples));
+      } else {
+        await fs.writeFile(csv, toCSV(samples));
+        if (!json) {
+          logger.success(chalk.green(`✅ ${samples.length} sample(s) written to ${csv}`));
+        }
+      }
+    }
+
+    if (json) {
+      logger.json(report);
+    } else if (csv !== '-') {
+      displayReport(report, config.projectName);
+    }
+
+    return report;
+
+  } catch (error) {
+    logger.error(chalk.red(`❌ Failed to build the monitoring report: ${error.message}`));
+    throw error;
+  }
+}
+
+function displayReport(report, projectName) {
+  logger.info(chalk.blue(`\n📊 Monitoring report for ${projectName}`));
+  logger.info(chalk.gray(`   ${new Date(report.since).toLocaleString()} - ${new Date(report.until).toLocaleString()} (${report.samples} samples)`));
+
+  if (report.samples === 0) {
+    logger.info(chalk.yellow('⚠️  No samples in this window. The health check records one every 5 minutes after "focal-deploy monitor-setup".'));
+    return;
+  }
+
+  const rows = [['CPU', 'cpu', '%'], ['Memory', 'memory', '%'], ['Disk', 'disk', '%'], ['Response time', 'responseTime', ' ms']];
+  logger.info(chalk.blue(`\n   ${'Metric'.padEnd(15)}${'Min'.padStart(10)}${'Avg'.padStart(10)}${'P95'.padStart(10)}${'Max'.padStart(10)}`));
+  for (const [label, key, unit] of rows) {
+    const values = report.metrics[key];
+    const cells = values ? ['min', 'avg', 'p95', 'max'].map(stat => `${values[stat]}${unit}`.padStart(10)).join('') : 'no data'.padStart(10);
+    logger.info(`   ${label.padEnd(15)}${cells}`);
+  }
+
+  const uptimeColor = report.uptime.percent >= 99.9 ? chalk.green : report.uptime.percent >= 99 ? chalk.yellow : chalk.red;
+  logger.info(`\n   Uptime: ${uptimeColor(`${report.uptime.percent}%`)} (${report.uptime.healthySamples}/${report.uptime.totalSamples} healthy checks)`);
+
+  if (report.incidents.length === 0) {
+    logger.info(chalk.green('   ✅ No incidents'));
+    return;
+  }
+
+  logger.info(chalk.red(`   🚨 ${report.incidents.length} incident(s):`));
+  for (const incident of report.incidents) {
+    const end = incident.ongoing ? 'ongoing' : new Date(incident.end).toLocaleString();
+    logger.info(chalk.red(`      ${new Date(incident.start).toLocaleString()} - ${end}: ${incident.reason} (${incident.durationMinutes} min)`));
+  }
+}
+
 module.exports = {
   monitorSetupCommand,
   monitorStatusCommand,
-  monitorLogsCommand
+  monitorLogsCommand,
+  monitorTestAlertCommand,
+  monitorReportCommand
 };
\ No newline at end of file
@@ -5,6 +5,8 @@ const inquirer = require('inquirer');
 const { Logger } = require('../utils/logger');
 const { GitHubRepoTracker } = require('../utils/github-repo-tracker');
 const { WizardManager } = require('../wizard/wizard-manager');
+const AnswersFile = require('../wizard/answers-file');
+const { FocalDeployError } = require('../utils/errors');
 
 class NewCommand {
   constructor() {
@@ -14,11 +16,26 @@ class NewCommand {
 
   async execute(projectName, options) {
     try {
+      if (options.answers && options.resume) {
+        throw new FocalDeployError('--answers cannot be combined with --resume', 'Run again with the same answers file instead', 'ANSWERS_INVALID');
+      }
+
       // Handle resume mode without project name
       if (options.resume && !projectName) {
         return await this.handleResumeFromCurrentDirectory(options);
       }
 
+      // Answers are loaded and validated before anything is created or prompted
+      let answers = null;
+      if (options.answers) {
+        answers = await AnswersFile.load(options.answers);
+        const validated = await AnswersFile.validate(answers, projectName);
+        projectName = validated.projectName;
+        for (const warning of validated.warnings) {
+          this.logger.warn(warning);
+        }
+      }
+
       // Validate project name
       this.validateProjectName(projectName);
 
@@ -29,7 +46,11 @@ class NewCommand {
       await this.handleDirectoryConflicts(targetPath, options);
 
       // Initialize and run the wizard
-      const wizard = new WizardManager(projectName, targetPath, options);
+      const { answers: answersFile, ...wizardOptions } = options;
+      const wizard = new WizardManager(projectName, targetPath, wizardOptions);
+      if (answers) {
+        wizard.useAnswers(answers);
+      }
       
       // Check if we should resume from a previous session
       if (options.resume) {
@@ -143,7 +164,7 @@ class NewCommand {
       const isEmpty = (await fs.readdir(targetPath)).length === 0;
       
       if (!isEmpty && !options.force) {
-        if (options.quiet) {
+        if (options.quiet || options.answers) {
           throw new Error(`Directory ${targetPath} already exists and is not empty`);
         }
 
@@ -0,0 +1,59 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { UpCommand } = require('./up');
+const { StateManager } = require('../utils/state');
+const { DeploymentPlanner } = require('../utils/deployment-planner');
+const { RemoteStateManager } = require('../utils/remote-state');
+const { getAWSCredentials } = require('../aws/credential-provider');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Show what "focal-deploy up" would change, without changing anything.
+ * With --out the plan is saved so "focal-deploy up --plan <file>" applies exactly that.
+ */
+class PlanCommand {
+  constructor() {
+    this.upCommand = new UpCommand();
+    this.stateManager = new StateManager();
+  }
+
+  async execute(options = {}) {
+    const config = await this.upCommand.loadConfiguration();
+    await this.upCommand.validateCredentials(config);
+
+    // Plan against the shared state when a remote backend is configured
+    const remoteState = await RemoteStateManager.fromProject({
+      credentials: getAWSCredentials(config.aws)
+    });
+    if (remoteState) {
+      await remoteState.pull();
+    }
+
+    const managers = this.upCommand.initializeManagers(config);
+    const state = await this.stateManager.loadState();
+
+    if (!options.json) {
+      Logger.step('Comparing configuration with live AWS resources...');
+    }
+    const plan = await new DeploymentPlanner(config, managers).createPlan(state || {});
+
+    if (options.json) {
+      Logger.json(plan);
+    } else {
+      DeploymentPlanner.display(plan, Logger);
+    }
+
+    if (options.out) {
+      const outPath = path.resolve(options.out);
+      await fs.writeJson(outPath, plan, { spaces: 2 });
+      if (!options.json) {
+        Logger.success(`Plan saved to ${path.relative(process.cwd(), outPath)}`);
+        Logger.info(`Apply it with: focal-deploy up --plan ${options.out}`);
+      }
+    }
+
+    return plan;
+  }
+}
+
+module.exports = { PlanCommand };
@@ -0,0 +1,83 @@
+const chalk = require('chalk');
+const { Logger } = require('../utils/logger');
+const { FocalDeployError } = require('../utils/errors');
+const { StateManager } = require('../utils/state');
+const { ConfigLoader } = require('../config/loader');
+const { ApplicationDeploymentService } = require('../services/application-deployment-service');
+
+/**
+ * Rollback Command
+ * Flips the current release symlink back to a previous release and restarts the application
+ */
+class RollbackCommand {
+  constructor() {
+    this.configLoader = new ConfigLoader();
+    this.stateManager = new StateManager();
+    this.applicationService = new ApplicationDeploymentService();
+  }
+
+  async execute(options = {}) {
+    const { to, dryRun = false } = options;
+
+    Logger.info(chalk.blue('⏪ Starting application rollback...'));
+
+    const config = await this.loadConfiguration();
+    const host = config.infrastructure?.ec2Instance?.publicIpAddress;
+
+    if (!host) {
+      throw new FocalDeployError(
+        'No EC2 instance found in configuration',
+        'Run "focal-deploy up" to create an instance first'
+      );
+    }
+
+    const sshOptions = this.applicationService.buildSSHOptions(config);
+
+    try {
+      const result = await this.applicationService.rollbackRelease(host, config, sshOptions, { to, dryRun });
+
+      if (!result.skipped && !dryRun) {
+        Logger.info(chalk.gray(`Previous release: ${result.from || 'none'}`));
+        Logger.info(chalk.gray(`Current release: ${result.release}`));
+      }
+
+      return result;
+    } catch (error) {
+      throw new FocalDeployError(
+        `Rollback failed: ${error.message}`,
+        'Check available releases on the server under ~/releases or pass --to <release>'
+      );
+    } finally {
+      this.applicationService.sshService.disconnectAll();
+    }
+  }
+
+  /**
+   * Load the project configuration (with the active environment applied)
+   * and merge in instance details from deployment state
+   */
+  async loadConfiguration() {
+    const config = await this.configLoader.loadProjectConfig();
+    const state = await this.stateManager.loadState();
+    const ec2Instance = state.resources?.ec2Instance;
+    const publicIpAddress = ec2Instance?.publicIpAddress || config.aws?.publicIpAddress;
+
+    return {
+      ...config,
+      projectName: config.projectName || config.project?.name,
+      infrastructure: {
+        ...config.infrastructure,
+        ec2Instance: {
+          ...config.infrastructure?.ec2Instance,
+          ...(publicIpAddress ? { publicIpAddress } : {})
+        }
+      },
+      sshOptions: {
+        ...config.sshOptions,
+        ...(state.resources?.sshKey?.privateKeyPath ? { privateKeyPath: state.resources.sshKey.privateKeyPath } : {})
+      }
+    };
+  }
+}
+
+module.exports = { RollbackCommand };
@@ -4,6 +4,7 @@ const { SecuritySetupState } = require('../utils/security-setup-state');
 const { StateManager } = require('../utils/state');
 const { SSHConnection } = require('../utils/ssh');
 const EC2Manager = require('../aws/ec2');
+const { getAWSCredentials } = require('../aws/credential-provider');
 const { ConfigLoader } = require('../config/loader');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
@@ -132,10 +133,7 @@ class SecurityCommands {
       }
 
       const deployConfig = await configLoader.load();
-      const credentials = {
-        accessKeyId: deployConfig.aws.accessKeyId,
-        secretAccessKey: deployConfig.aws.secretAccessKey
-      };
+      const credentials = getAWSCredentials(deployConfig.aws);
 
       // Display current security status
       await this.displayCurrentSecurityStatus(instanceId);
@@ -461,10 +459,7 @@ class SecurityCommands {
               this.logger.info('🔧 Updating AWS security group to allow SSH port ' + config.sshPort + '...');
               
               const deployConfig = await configLoader.load();
-              const credentials = {
-                accessKeyId: deployConfig.aws.accessKeyId,
-                secretAccessKey: deployConfig.aws.secretAccessKey
-              };
+              const credentials = getAWSCredentials(deployConfig.aws);
               const SecurityGroupManager = require('../aws/security-groups');
               const securityGroupManager = new SecurityGroupManager(deployConfig.aws.region, credentials);
               
@@ -532,10 +527,7 @@ class SecurityCommands {
           this.logger.info('🔧 Updating AWS security group to allow SSH port ' + config.sshPort + '...');
           
           const deployConfig = await configLoader.load();
-          const credentials = {
-            accessKeyId: deployConfig.aws.accessKeyId,
-            secretAccessKey: deployConfig.aws.secretAccessKey
-          };
+          const credentials = getAWSCredentials(deployConfig.aws);
           const SecurityGroupManager = require('../aws/security-groups');
           const securityGroupManager = new SecurityGroupManager(deployConfig.aws.region, credentials);
           
@@ -612,10 +604,7 @@ class SecurityCommands {
           
           // Get security group ID and AWS credentials for port 22 removal
           const deployConfig = await configLoader.load();
-          const credentials = {
-            accessKeyId: deployConfig.aws.accessKeyId,
-            secretAccessKey: deployConfig.aws.secretAccessKey
-          };
+          const credentials = getAWSCredentials(deployConfig.aws);
           const stateManager = new (require('../utils/state')).StateManager();
           const state = await stateManager.loadState();
           const securityGroupId = state.resources?.ec2Instance?.securityGroupId;
@@ -816,7 +805,11 @@ class SecurityCommands {
       
       const auditResults = await this.securityManager.performSecurityAudit(instanceId, publicIp);
       
-      this.displayAuditResults(auditResults);
+      if (options.json) {
+        this.logger.json(auditResults);
+      } else {
+        this.displayAuditResults(auditResults);
+      }
       
       // Save audit results
       const auditPath = path.join(process.cwd(), '.focal-deploy', 'security-audit.json');
@@ -824,9 +817,10 @@ class SecurityCommands {
       await fs.writeJson(auditPath, auditResults, { spaces: 2 });
       
       this.logger.info(`📄 Detailed audit report saved to: ${auditPath}`);
+      return auditResults;
 
     } catch (error) {
-      this.logger.error('Security audit failed:', error.message);
+      this.logger.error(`Security audit failed: ${error.message}`);
       throw error;
     }
   }
@@ -1080,10 +1074,7 @@ class SecurityCommands {
       
       const ssmClient = new SSMClient({
         region: config.aws.region,
-        credentials: {
-          accessKeyId: config.aws.accessKeyId,
-          secretAccessKey: config.aws.secretAccessKey
-        }
+        credentials: getAWSCredentials(config.aws)
       });
 
       // SSH reset commands - more aggressive in emergency mode
@@ -1205,10 +1196,7 @@ class SecurityCommands {
       
       const ec2ConnectClient = new EC2InstanceConnectClient({
         region: config.aws.region,
-        credentials: {
-          accessKeyId: config.aws.accessKeyId,
-          secretAccessKey: config.aws.secretAccessKey
-        }
+        credentials: getAWSCredentials(config.aws)
       });
 
       // Generate a temporary key pair for EC2 Instance Connect
@@ -1267,10 +1255,7 @@ class SecurityCommands {
       
       const ec2Client = new EC2Client({
         region: config.aws.region,
-        credentials: {
-          accessKeyId: config.aws.accessKeyId,
-          secretAccessKey: config.aws.secretAccessKey
-        }
+        credentials: getAWSCredentials(config.aws)
       });
 
       const command = new DescribeInstancesCommand({ InstanceIds: [instanceId] });
@@ -1327,10 +1312,7 @@ class SecurityCommands {
       const config = await configLoader.load();
       const SecurityGroupManager = require('../aws/security-groups');
       
-      const securityGroupManager = new SecurityGroupManager(config.aws.region, {
-        accessKeyId: config.aws.accessKeyId,
-        secretAccessKey: config.aws.secretAccessKey
-      });
+      const securityGroupManager = new SecurityGroupManager(config.aws.region, getAWSCredentials(config.aws));
 
       // Get security group ID from state
       const state = await this.stateManager.loadState();
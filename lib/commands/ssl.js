@@ -3,10 +3,14 @@ const { EnhancedSSLService } = require('../utils/enhanced-ssl');
 const { SSHService } = require('../utils/ssh');
 const { DNSService } = require('../utils/dns');
 const { ConfigLoader } = require('../config/loader');
+const { isDualStackEnabled } = require('../utils/ipv6');
 const { StateManager } = require('../utils/state');
 const { EnhancedStateManager } = require('../utils/enhanced-state');
 const { DomainDetectionService } = require('../utils/domain-detection');
 const { ChallengeMethodService } = require('../utils/challenge-method');
+const { DNSRenewalHookService } = require('../utils/dns-renewal-hooks');
+const { ACMESSLService } = require('../utils/acme-ssl');
+const { SSLWatchService } = require('../utils/ssl-watch');
 const { logger } = require('../utils/logger');
 const chalk = require('chalk');
 const path = require('path');
@@ -23,7 +27,8 @@ async function sslCommand(options = {}) {
     skipDnsValidation = false,
     skipCertGeneration = false,
     skipNginxConfig = false,
-    skipRenewalSetup = false
+    skipRenewalSetup = false,
+    acmeClient
   } = options;
   
   try {
@@ -41,6 +46,14 @@ async function sslCommand(options = {}) {
       throw new Error('No configuration found. Please run "focal-deploy init" first.');
     }
 
+    if (acmeClient) {
+      if (!['certbot', 'builtin'].includes(acmeClient)) {
+        throw new Error(`Unknown ACME client "${acmeClient}" (expected certbot or builtin)`);
+      }
+      config.ssl = { ...config.ssl, client: acmeClient };
+    }
+    const builtinClient = ACMESSLService.isEnabled(config);
+
     // Load state with the same state manager used by deployment
     const stateManager = new StateManager();
     const state = await stateManager.loadState();
@@ -196,8 +209,8 @@ async function sslCommand(options = {}) {
       await sslService.installNginx(instanceHost, sshOptions, dryRun);
     }
 
-    // Install Certbot if not already installed (unless skipped)
-    if (!skipCertGeneration) {
+    // Install Certbot if not already installed (unless skipped or using the built-in client)
+    if (!skipCertGeneration && !builtinClient) {
       await sslService.installCertbot(instanceHost, sshOptions, dryRun);
     }
 
@@ -218,10 +231,16 @@ async function sslCommand(options = {}) {
     } else {
       // Use existing certificate path for primary domain
       const primaryDomain = detectionResult.allDomains[0];
+      const paths = builtinClient
+        ? ACMESSLService.certificatePaths(primaryDomain)
+        : {
+          certificatePath: `/etc/letsencrypt/live/${primaryDomain}/fullchain.pem`,
+          privateKeyPath: `/etc/letsencrypt/live/${primaryDomain}/privkey.pem`
+        };
       certificateResult = {
         success: true,
-        certificatePath: `/etc/letsencrypt/live/${primaryDomain}/fullchain.pem`,
-        privateKeyPath: `/etc/letsencrypt/live/${primaryDomain}/privkey.pem`,
+        certificatePath: paths.certificatePath,
+        privateKeyPath: paths.privateKeyPath,
         domains: detectionResult.allDomains
       };
     }
@@ -236,12 +255,15 @@ async function sslCommand(options = {}) {
         certificateResult.certificatePath,
         certificateResult.privateKeyPath,
         sshOptions,
-        dryRun
+        dryRun,
+        { dualStack: isDualStackEnabled(config) }
       );
     }
 
-    // Setup SSL certificate auto-renewal (unless skipped)
-    if (!skipRenewalSetup) {
+    // Setup SSL certificate auto-renewal (unless skipped); certbot's timer does not know built-in certificates
+    if (builtinClient) {
+      logger.info(chalk.blue('🔄 Certificates from the built-in ACME client renew by running "focal-deploy ssl" again'));
+    } else if (!skipRenewalSetup) {
       await sslService.setupSSLRenewal(instanceHost, sshOptions, dryRun, config);
     }
 
@@ -254,12 +276,21 @@ async function sslCommand(options = {}) {
         certificatePath: certificateResult.certificatePath,
         privateKeyPath: certificateResult.privateKeyPath,
         setupDate: new Date().toISOString(),
+        client: builtinClient ? 'builtin' : 'certbot',
         challengeMethods: domainConfigs.reduce((acc, config) => {
           acc[config.domain] = config.challengeMethod;
           return acc;
         }, {}),
         version: '2.0' // Mark as enhanced SSL
       });
+
+      // Per-domain records are what ssl-watch and the server-side expiry check walk
+      for (const domainConfig of domainConfigs) {
+        await enhancedStateManager.addDomainConfig(domainConfig.domain, {
+          challengeMethod: domainConfig.challengeMethod,
+          certificatePath: certificateResult.certificatePath
+        });
+      }
     }
 
     // Disconnect SSH
@@ -276,7 +307,9 @@ async function sslCommand(options = {}) {
         logger.info(chalk.blue(`   https://${domain}`));
       });
       // Check if DNS provider is configured for automatic renewal
-      if (config?.ssl?.dnsProvider) {
+      if (builtinClient) {
+        logger.info(chalk.green('🔒 SSL certificate is active (issued by the built-in ACME client)'));
+      } else if (config?.ssl?.dnsProvider) {
         const { DNSProviderService } = require('../utils/dns-provider');
         const dnsProviderService = new DNSProviderService();
         const providerCheck = dnsProviderService.isProviderConfigured(config);
@@ -355,7 +388,7 @@ async function sslStatusCommand(options = {}) {
     if (!config || !state.resources?.ec2Instance?.instanceId) {
       const error = 'No deployment found. Please run "focal-deploy up" first.';
       if (json) {
-        console.log(JSON.stringify({ error, sslEnabled: false }, null, 2));
+        logger.json({ error, sslEnabled: false });
         return { error, sslEnabled: false };
       }
       throw new Error(error);
@@ -370,7 +403,7 @@ async function sslStatusCommand(options = {}) {
       };
       
       if (json) {
-        console.log(JSON.stringify(result, null, 2));
+        logger.json(result);
         return result;
       }
       
@@ -420,7 +453,8 @@ async function sslStatusCommand(options = {}) {
         instanceHost, 
         sslStatus.domains, 
         sshOptions,
-        dryRun
+        dryRun,
+        sslStatus.certificatePath
       );
     } else {
       // Legacy single domain check
@@ -439,6 +473,16 @@ async function sslStatusCommand(options = {}) {
       };
     }
 
+    // Renewal schedule and DNS-01 hook health
+    let renewal = null;
+    if (!dryRun) {
+      try {
+        renewal = await new DNSRenewalHookService(sshService).getStatus(instanceHost, sshOptions);
+      } catch (error) {
+        renewal = { error: error.message };
+      }
+    }
+
     const result = {
       success: certificateStatus.success,
       sslEnabled: sslStatus.enabled,
@@ -447,11 +491,12 @@ async function sslStatusCommand(options = {}) {
       domainStatuses: certificateStatus.domains,
       challengeMethods: sslStatus.challengeMethods,
       setupDate: sslStatus.setupDate,
-      lastUpdated: sslStatus.lastUpdated
+      lastUpdated: sslStatus.lastUpdated,
+      renewal
     };
 
     if (json) {
-      console.log(JSON.stringify(result, null, 2));
+      logger.json(result);
     } else {
       if (certificateStatus.success) {
         logger.success(chalk.green('✅ SSL certificate status:'));
@@ -475,6 +520,10 @@ async function sslStatusCommand(options = {}) {
           logger.error(chalk.red(`Error: ${certificateStatus.error}`));
         }
       }
+
+      if (renewal) {
+        displayRenewalStatus(renewal);
+      }
     }
 
     // Disconnect SSH
@@ -488,7 +537,162 @@ async function sslStatusCommand(options = {}) {
   }
 }
 
+/**
+ * Print the renewal section of "ssl-status"
+ */
+function displayRenewalStatus(renewal) {
+  logger.info(chalk.blue('\n🔄 Certificate renewal:'));
+
+  if (renewal.error) {
+    logger.warn(chalk.yellow(`   ⚠️  Could not read renewal status: ${renewal.error}`));
+    return;
+  }
+
+  logger.info(renewal.timerActive
+    ? chalk.green('   ✅ Certbot renewal timer is active')
+    : chalk.yellow('   ⚠️  Certbot renewal timer is not active'));
+
+  renewal.certificates.forEach(cert => {
+    const nextRenewal = cert.renewalDue || !cert.nextRenewal
+      ? cert.nextRenewal || 'unknown'
+      : new Date(cert.nextRenewal).toLocaleDateString();
+    const method = cert.usesHooks ? 'DNS-01 via renewal hooks' : cert.challenge || 'unknown';
+    const icon = cert.automatic ? chalk.green('✅') : chalk.yellow('⚠️ ');
+
+    logger.info(`   ${icon} ${cert.name} (${method})`);
+    logger.info(chalk.blue(`      📅 Next renewal: ${nextRenewal}`));
+    if (!cert.automatic) {
+      logger.warn(chalk.yellow('      ⚠️  Manual DNS-01 certificate: configure ssl.dnsProvider and run "focal-deploy ssl" to renew it automatically'));
+    }
+  });
+
+  const { hooks } = renewal;
+  if (!hooks.installed) {
+    return;
+  }
+
+  logger.info(chalk.blue(`   🪝 DNS-01 renewal hooks: ${hooks.provider || 'unknown provider'}`));
+  if (hooks.credentials) {
+    logger.info(hooks.credentials.valid
+      ? chalk.green('      ✅ Provider credentials valid')
+      : chalk.red(`      ❌ Provider credentials rejected: ${hooks.credentials.error}`));
+  }
+  if (hooks.lastRun) {
+    const lastRun = `${hooks.lastRun.phase} ${hooks.lastRun.domain || ''} at ${new Date(hooks.lastRun.at).toLocaleString()}`;
+    logger.info(hooks.lastRun.success
+      ? chalk.green(`      ✅ Last run: ${lastRun}`)
+      : chalk.red(`      ❌ Last run failed: ${lastRun}: ${hooks.lastRun.error}`));
+  } else {
+    logger.info(chalk.gray('      Not run by certbot yet'));
+  }
+  if (hooks.lastSuccess && hooks.lastRun && !hooks.lastRun.success) {
+    logger.info(chalk.gray(`      Last success: ${new Date(hooks.lastSuccess.at).toLocaleString()}`));
+  }
+}
+
+async function sslWatchCommand(options = {}) {
+  const { once = false, json = false, interval = '60', thresholds } = options;
+
+  const configLoader = new ConfigLoader();
+  const config = await configLoader.load();
+
+  if (!config) {
+    throw new Error('No configuration found. Please run "focal-deploy init" first.');
+  }
+
+  if (thresholds) {
+    const values = String(thresholds).split(',').map(value => parseInt(value.trim(), 10));
+    if (values.some(value => !Number.isInteger(value) || value <= 0)) {
+      throw new Error(`Invalid thresholds "${thresholds}" (expected days, e.g. 30,14,3)`);
+    }
+    config.alerts = { ...config.alerts, sslThresholds: values };
+  }
+
+  const intervalMinutes = parseInt(interval, 10);
+  if (!once && (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0)) {
+    throw new Error(`Invalid interval "${interval}" (expected minutes)`);
+  }
+
+  const enhancedStateManager = new EnhancedStateManager();
+  const domains = await SSLWatchService.collectDomains(enhancedStateManager);
+  if (domains.length === 0) {
+    throw new Error('No SSL domains found. Please run "focal-deploy ssl" first.');
+  }
+
+  const watchService = new SSLWatchService(config);
+
+  const runCheck = async () => {
+    const evaluations = await watchService.checkAll(domains);
+    const { alerts, history } = SSLWatchService.selectAlerts(evaluations, await watchService.loadHistory());
+    await watchService.saveHistory(history);
+
+    if (json) {
+      logger.json({ checkedAt: new Date().toISOString(), thresholds: watchService.thresholds, domains: evaluations, alerts: alerts.map(alert => alert.domain) });
+    } else {
+      displayWatchResults(evaluations);
+    }
+    await watchService.sendAlerts(alerts);
+    return { evaluations, alerts };
+  };
+
+  if (!json) {
+    logger.info(chalk.blue(`🔒 Watching ${domains.length} domain(s); alerts at ${watchService.thresholds.join('/')} days`));
+    if (config.alerts?.email) {
+      logger.info(chalk.gray(`   E-mail alerts to ${config.alerts.email} are sent by the server-side check ("focal-deploy monitor-setup")`));
+    }
+  }
+
+  const result = await runCheck();
+  if (once) {
+    return result;
+  }
+
+  if (!json) {
+    logger.info(chalk.gray(`   Checking again every ${intervalMinutes} minute(s); press Ctrl+C to stop`));
+  }
+  return new Promise(resolve => {
+    let timer = null;
+    let stopped = false;
+    // Each check is scheduled when the previous one finishes, so slow checks never overlap
+    const scheduleCheck = () => {
+      timer = setTimeout(async () => {
+        try {
+          await runCheck();
+        } catch (error) {
+          logger.error(chalk.red(`❌ SSL check failed: ${error.message}`));
+        }
+        if (!stopped) {
+          scheduleCheck();
+        }
+      }, intervalMinutes * 60 * 1000);
+    };
+    scheduleCheck();
+    process.once('SIGINT', () => {
+      stopped = true;
+      clearTimeout(timer);
+      resolve(result);
+    });
+  });
+}
+
+function displayWatchResults(evaluations) {
+  const icons = { ok: '✅', warning: '⚠️ ', critical: '🚨', expired: '❌', error: '❌' };
+  const colors = { ok: chalk.green, warning: chalk.yellow, critical: chalk.red, expired: chalk.red, error: chalk.red };
+
+  logger.info(chalk.blue(`\n📋 Certificate check (${new Date().toLocaleString()}):`));
+  for (const evaluation of evaluations) {
+    const color = colors[evaluation.level];
+    const remaining = evaluation.daysRemaining === null ? 'unreachable' : `${evaluation.daysRemaining} day(s) left`;
+    logger.info(color(`   ${icons[evaluation.level]} ${evaluation.domain}: ${remaining}`));
+    if (evaluation.ocsp?.stapled && evaluation.ocsp.status === 'good') {
+      logger.info(chalk.gray('      OCSP staple: good'));
+    }
+    evaluation.problems.forEach(problem => logger.info(color(`      ${problem}`)));
+  }
+}
+
 module.exports = {
   sslCommand,
-  sslStatusCommand
+  sslStatusCommand,
+  sslWatchCommand
 };
\ No newline at end of file
@@ -0,0 +1,98 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const path = require('path');
+const { RemoteStateManager } = require('../utils/remote-state');
+const { Logger } = require('../utils/logger');
+const { ErrorHandler } = require('../utils/errors');
+
+/**
+ * Download the remote state for the active environment
+ */
+async function statePull() {
+  const remoteState = await loadRemoteState();
+
+  Logger.info(chalk.blue(`⬇️  Pulling state from ${remoteState.describe()}...`));
+  const results = await remoteState.pull();
+  displayTransfer(results);
+}
+
+/**
+ * Upload the local state for the active environment under the state lock
+ */
+async function statePush(options = {}) {
+  const remoteState = await loadRemoteState();
+
+  await remoteState.ensureBucket();
+  const lock = await remoteState.acquireLock('state push');
+  try {
+    Logger.info(chalk.blue(`⬆️  Pushing state to ${remoteState.describe()}...`));
+    const results = await remoteState.push({ force: options.force });
+    displayTransfer(results);
+  } finally {
+    await remoteState.releaseLock(lock);
+  }
+}
+
+/**
+ * Remove a lock left behind by a crashed or interrupted command
+ */
+async function stateUnlock(lockId, options = {}) {
+  const remoteState = await loadRemoteState();
+
+  const lock = await remoteState.getLock();
+  if (!lock) {
+    Logger.success(chalk.green(`✅ Remote state ${remoteState.describe()} is not locked`));
+    return;
+  }
+
+  Logger.info(chalk.yellow(`🔒 Locked by ${lock.who} (${lock.operation}) since ${lock.createdAt}`));
+  Logger.info(chalk.gray(`   Lock ID: ${lock.id}`));
+
+  if (!lockId && !options.yes) {
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: 'Remove this lock? Only do this if the command holding it is no longer running.',
+      default: false
+    }]);
+    if (!confirmed) {
+      Logger.info('Unlock cancelled.');
+      return;
+    }
+  }
+
+  await remoteState.forceUnlock(lockId || lock.id);
+  Logger.success(chalk.green('✅ Remote state unlocked'));
+}
+
+async function loadRemoteState() {
+  const remoteState = await RemoteStateManager.fromProject();
+  if (!remoteState) {
+    throw ErrorHandler.createConfigError(
+      'No remote state backend is configured',
+      ['Add a "state" section with backend: s3 and a bucket to focal-deploy.yml']
+    );
+  }
+  return remoteState;
+}
+
+function displayTransfer(results) {
+  const icons = { pulled: '⬇️ ', pushed: '⬆️ ', deleted: '🗑️ ', unchanged: '✓ ', missing: '– ', skipped: '– ' };
+
+  for (const result of results) {
+    const file = path.relative(process.cwd(), result.path);
+    const version = result.versionId ? chalk.gray(` (version ${result.versionId})`) : '';
+    Logger.info(`  ${icons[result.status] || ''} ${result.name} → ${file}: ${result.status}${version}`);
+    if (result.backupPath) {
+      Logger.info(chalk.gray(`     Previous local copy: ${path.relative(process.cwd(), result.backupPath)}`));
+    }
+  }
+
+  Logger.success(chalk.green('✅ State synchronized'));
+}
+
+module.exports = {
+  statePull,
+  statePush,
+  stateUnlock
+};
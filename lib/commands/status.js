@@ -2,9 +2,11 @@ const { ConfigLoader } = require('../config/loader');
 const EC2Manager = require('../aws/ec2');
 const S3Manager = require('../aws/s3');
 const SecurityGroupManager = require('../aws/security-groups');
+const { getAWSCredentials } = require('../aws/credential-provider');
 const { Logger } = require('../utils/logger');
 const { ErrorHandler, FocalDeployError } = require('../utils/errors');
 const { StateManager } = require('../utils/state');
+const { applyEnvironment } = require('../utils/environment');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -14,7 +16,8 @@ class StatusCommand {
     this.stateManager = new StateManager();
   }
 
-  async execute() {
+  async execute(options = {}) {
+    const { json = false } = options;
     const spinner = Logger.spinner('Checking deployment status...');
     
     try {
@@ -33,99 +36,40 @@ class StatusCommand {
       const resourceStatus = await this.checkResourceStatus(managers, config, deploymentState);
       
       spinner.succeed('Status check completed');
+
+      const result = {
+        project: config.project?.name || config.projectName,
+        region: config.aws.region,
+        overall: resourceStatus.overall,
+        deployment: deploymentState ? {
+          status: deploymentState.status || null,
+          startedAt: deploymentState.startedAt || null,
+          completedAt: deploymentState.completedAt || null
+        } : null,
+        resources: {
+          ec2Instance: resourceStatus.ec2Instance,
+          s3Bucket: resourceStatus.s3Bucket,
+          securityGroup: resourceStatus.securityGroup
+        }
+      };
+
+      if (json) {
+        Logger.json(result);
+        return result;
+      }
       
       // Display status
       this.displayStatus(config, deploymentState, resourceStatus);
+      return result;
       
     } catch (error) {
       spinner.fail('Status check failed');
-      
-      if (error instanceof FocalDeployError) {
-        Logger.error(error.message);
-        if (error.suggestion) {
-          Logger.info(`💡 ${error.suggestion}`);
-        }
-      } else {
-        Logger.error('An unexpected error occurred while checking status');
-        Logger.error(error.message);
-      }
-      
-      process.exit(1);
-    }
-  }
-
-  async loadConfiguration() {
-    try {
-      // Check for wizard-generated configuration first
-      const wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
-      if (await fs.pathExists(wizardConfigPath)) {
-        return await this.loadWizardConfiguration(wizardConfigPath);
-      }
-
-      // Fall back to legacy configuration
-      if (!this.configLoader.exists()) {
-        throw new FocalDeployError(
-          'No configuration file found. Please run "focal-deploy new <project-name>" to create a new project with wizard setup.',
-          'Run "focal-deploy new <project-name>" to create a new project with complete setup wizard.'
-        );
-      }
-      
-      return await this.configLoader.load();
-    } catch (error) {
       throw error;
     }
   }
 
-  async loadWizardConfiguration(configPath) {
-    try {
-      const configContent = await fs.readFile(configPath, 'utf8');
-      const wizardConfig = JSON.parse(configContent);
-
-      // Transform wizard config to deployment config format
-      const deployConfig = {
-        project: {
-          name: wizardConfig.project?.name || wizardConfig.projectName,
-          type: wizardConfig.application?.type || 'nodejs-web',
-          port: wizardConfig.application?.port || 3000,
-          healthCheck: wizardConfig.application?.healthCheckPath || '/health'
-        },
-        aws: {
-          region: wizardConfig.infrastructure?.region || 'us-east-1',
-          accessKeyId: wizardConfig.credentials?.aws?.accessKeyId,
-          secretAccessKey: wizardConfig.credentials?.aws?.secretAccessKey,
-          instanceType: wizardConfig.infrastructure?.instanceType || 't3.micro',
-          keyPairName: wizardConfig.infrastructure?.keyPairName,
-          // Include operating system from wizard configuration
-          operatingSystem: wizardConfig.infrastructure?.operatingSystem || 'ubuntu'
-        },
-        application: {
-          useDocker: wizardConfig.application?.useDocker || true,
-          nodeVersion: wizardConfig.application?.nodeVersion || '20',
-          packageManager: wizardConfig.application?.packageManager || 'npm'
-        },
-        domains: wizardConfig.domains || { enabled: false },
-        git: wizardConfig.repository || { enabled: false },
-        security: wizardConfig.security || {},
-        environment: wizardConfig.environment || {}
-      };
-
-      // Load AWS credentials from secure storage if not in config
-      const CredentialManager = require('../utils/credentials');
-      const credentialManager = new CredentialManager(deployConfig.project.name);
-      if (!deployConfig.aws.accessKeyId || !deployConfig.aws.secretAccessKey) {
-        const storedCredentials = await credentialManager.loadCredentials();
-        if (storedCredentials) {
-          deployConfig.aws = { ...deployConfig.aws, ...storedCredentials };
-        }
-      }
-
-      return deployConfig;
-    } catch (error) {
-      throw new FocalDeployError(
-        `Failed to load wizard configuration: ${error.message}`,
-        'Check if the .focal-deploy/config.json file is valid JSON format.'
-      );
-    }
+  async loadConfiguration() {
+    return await this.configLoader.loadProjectConfig();
   }
 
   async loadDeploymentState() {
@@ -137,10 +81,7 @@ class StatusCommand {
   }
 
   initializeManagers(config) {
-    const credentials = {
-      accessKeyId: config.aws.accessKeyId,
-      secretAccessKey: config.aws.secretAccessKey
-    };
+    const credentials = getAWSCredentials(config.aws);
 
     return {
       ec2Manager: new EC2Manager(config.aws.region, credentials),
@@ -406,7 +347,7 @@ class StatusCommand {
     Logger.section('Deployment Phases');
     
     try {
-      const wizardConfig = JSON.parse(fs.readFileSync(wizardConfigPath, 'utf8'));
+      const wizardConfig = applyEnvironment(JSON.parse(fs.readFileSync(wizardConfigPath, 'utf8')));
       
       // Infrastructure Phase
       const hasInfrastructure = wizardConfig.infrastructure?.ec2Instance?.instanceId;
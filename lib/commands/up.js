@@ -4,23 +4,33 @@ const EC2Manager = require('../aws/ec2');
 const S3Manager = require('../aws/s3');
 const SecurityGroupManager = require('../aws/security-groups');
 const SSHKeyManager = require('../aws/ssh-keys');
+const IAMManager = require('../aws/iam');
+const { getAWSCredentials, isCredentialSourceError } = require('../aws/credential-provider');
 const { Logger } = require('../utils/logger');
 const { ErrorHandler, FocalDeployError } = require('../utils/errors');
 const { StateManager } = require('../utils/state');
-const CredentialManager = require('../utils/credentials');
+const { RemoteStateManager } = require('../utils/remote-state');
+const { DeploymentPlanner, PLAN_VERSION } = require('../utils/deployment-planner');
 const { DNSManager } = require('../utils/dns-manager');
+const { isDualStackEnabled } = require('../utils/ipv6');
+const { getResourcePrefix } = require('../utils/environment');
 const fs = require('fs-extra');
 const path = require('path');
 
 class UpCommand {
   constructor() {
     this.configLoader = new ConfigLoader();
-    this.credentialManager = new CredentialManager();
     this.stateManager = new StateManager();
   }
 
   async execute(options = {}) {
+    if (options.plan) {
+      return this.applyPlan(options);
+    }
+
     const spinner = Logger.spinner('Starting deployment...');
+    let remoteState = null;
+    let stateLock = null;
     
     try {
       // Check for dry-run mode
@@ -43,6 +53,17 @@ class UpCommand {
         await this.showCostWarningAndConfirm(config);
       }
       
+      // Lock the remote state (if configured) so two people can't deploy at once
+      if (!options.dryRun) {
+        remoteState = await RemoteStateManager.fromProject({
+          credentials: getAWSCredentials(config.aws)
+        });
+        if (remoteState) {
+          spinner.text = 'Locking remote state...';
+          stateLock = await remoteState.lock('up');
+        }
+      }
+      
       // Initialize AWS managers
       const managers = this.initializeManagers(config);
       
@@ -97,9 +118,9 @@ class UpCommand {
       }
       
       // Step 5: Update DNS Records (if configured)
-      if (config.ssl?.dnsProvider?.credentials?.token && config.ssl?.domains?.length > 0) {
+      if (config.ssl?.dnsProvider && config.ssl?.domains?.length > 0) {
         spinner.text = 'Updating DNS records...';
-        const dnsResult = await this.updateDNSRecords(config, ec2Result.publicIpAddress, options.dryRun);
+        const dnsResult = await this.updateDNSRecords(config, ec2Result.publicIpAddress, options.dryRun, ec2Result.ipv6Address);
         deploymentState.resources.dnsRecords = dnsResult;
         if (!options.dryRun) {
           await this.saveDeploymentState(deploymentState);
@@ -118,6 +139,13 @@ class UpCommand {
         await this.updateConfiguration(config, deploymentState.resources);
       }
       
+      if (stateLock) {
+        // Cleared first, so a failed push is not retried by the catch below
+        const lock = stateLock;
+        stateLock = null;
+        await remoteState.unlock(lock);
+      }
+      
       if (options.dryRun) {
         spinner.succeed('🧪 Dry run completed successfully!');
         Logger.info('No AWS resources were created. This was a simulation.');
@@ -138,6 +166,10 @@ class UpCommand {
     } catch (error) {
       spinner.fail('Deployment failed');
       
+      if (stateLock) {
+        await remoteState.unlock(stateLock);
+      }
+      
       if (error instanceof FocalDeployError) {
         Logger.error(error.message);
         if (error.suggestion) {
@@ -157,110 +189,209 @@ class UpCommand {
     }
   }
 
-  async loadConfiguration() {
+  /**
+   * Apply a plan written by "focal-deploy plan --out" exactly as it was reviewed.
+   * The plan is recomputed first and refused if the configuration or the live
+   * infrastructure changed in the meantime.
+   */
+  async applyPlan(options = {}) {
+    let remoteState = null;
+    let stateLock = null;
+
     try {
-      // Check for wizard-generated configuration first
-      const wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
-      if (await fs.pathExists(wizardConfigPath)) {
-        return await this.loadWizardConfiguration(wizardConfigPath);
+      const planPath = path.resolve(options.plan);
+      if (!await fs.pathExists(planPath)) {
+        throw new FocalDeployError(`Plan file not found: ${planPath}`, 'Run "focal-deploy plan --out plan.json" to create one.');
+      }
+      const plan = await fs.readJson(planPath);
+      if (plan.version !== PLAN_VERSION || !Array.isArray(plan.actions)) {
+        throw new FocalDeployError(`Unsupported plan file: ${planPath}`, 'Create a new plan with "focal-deploy plan --out plan.json".');
       }
 
-      // Fall back to legacy configuration
-      if (!this.configLoader.exists()) {
+      const config = await this.loadConfiguration();
+      await this.validateCredentials(config);
+
+      if (plan.project !== config.project.name || (plan.environment || null) !== (config.environmentName || null) || plan.region !== config.aws.region) {
         throw new FocalDeployError(
-          'No configuration file found. Please run "focal-deploy new <project-name>" to create a new project with wizard setup.',
-          'Run "focal-deploy new <project-name>" to create a new project with complete setup wizard.'
+          `Plan was created for ${plan.project}${plan.environment ? ` (${plan.environment})` : ''} in ${plan.region}`,
+          'Run "focal-deploy plan" for this project and environment, or pass the matching --env.'
         );
       }
-      
-      const config = await this.configLoader.load();
-      
-      // Try to load stored credentials if not in config
-      if (!config.aws || !config.aws.accessKeyId || !config.aws.secretAccessKey) {
-        const storedCredentials = await this.credentialManager.loadCredentials();
-        if (storedCredentials) {
-          config.aws = { ...config.aws, ...storedCredentials };
+
+      remoteState = await RemoteStateManager.fromProject({
+        credentials: getAWSCredentials(config.aws)
+      });
+      if (remoteState) {
+        stateLock = await remoteState.lock('up --plan');
+      }
+
+      const managers = this.initializeManagers(config);
+      const existingState = await this.loadExistingState();
+      const deploymentState = {
+        projectName: config.project.name,
+        region: config.aws.region,
+        startedAt: new Date().toISOString(),
+        status: 'in-progress',
+        resources: existingState?.resources || {}
+      };
+
+      Logger.step('Checking that the plan is still current...');
+      const currentPlan = await new DeploymentPlanner(config, managers).createPlan(deploymentState);
+      if (DeploymentPlanner.fingerprint(currentPlan) !== DeploymentPlanner.fingerprint(plan)) {
+        DeploymentPlanner.display(currentPlan, Logger);
+        throw new FocalDeployError(
+          'The saved plan is stale: the configuration or the live infrastructure changed since it was created.',
+          'Review the current plan above and run "focal-deploy plan --out <file>" again.',
+          'PLAN_STALE'
+        );
+      }
+
+      const pending = plan.actions.filter(action => action.action !== 'no-op');
+      if (pending.length === 0) {
+        Logger.success('Infrastructure already matches the configuration. Nothing to apply.');
+      }
+
+      for (const action of pending) {
+        Logger.step(`${action.action} ${action.resource}${action.id ? ` ${action.id}` : ''}: ${action.reasons.join('; ')}`);
+        try {
+          await this.applyPlanAction(action, config, managers, deploymentState.resources);
+        } catch (error) {
+          // Later actions may depend on this one, so stop here and keep what was applied
+          deploymentState.status = 'failed';
+          deploymentState.failedAction = `${action.action} ${action.resource}`;
+          deploymentState.error = error.message;
+          await this.saveDeploymentState(deploymentState);
+          throw error;
         }
+        await this.saveDeploymentState(deploymentState);
       }
 
-      return config;
-    } catch (error) {
-      throw ErrorHandler.createConfigError(error);
+      deploymentState.status = 'completed';
+      deploymentState.completedAt = new Date().toISOString();
+      await this.saveDeploymentState(deploymentState);
+      if (pending.length > 0) {
+        await this.updateConfiguration(config, deploymentState.resources);
+        Logger.success(`Plan applied: ${plan.summary.create} created, ${plan.summary.update} updated, ${plan.summary.delete} deleted`);
+        this.displayResults(deploymentState.resources, false, config);
+      }
+
+      return deploymentState.resources;
+
+    } finally {
+      if (stateLock) {
+        await remoteState.unlock(stateLock);
+      }
     }
   }
 
-  async loadWizardConfiguration(configPath) {
-    try {
-      const configContent = await fs.readFile(configPath, 'utf8');
-      const wizardConfig = JSON.parse(configContent);
-
-      // Transform wizard config to deployment config format
-      const deployConfig = {
-        project: {
-          name: wizardConfig.project?.name || wizardConfig.projectName,
-          type: wizardConfig.application?.type || 'nodejs-web',
-          port: wizardConfig.application?.port || 3000,
-          healthCheck: wizardConfig.application?.healthCheckPath || '/health'
-        },
-        aws: {
-          region: wizardConfig.infrastructure?.region || 'us-east-1',
-          accessKeyId: wizardConfig.credentials?.aws?.accessKeyId,
-          secretAccessKey: wizardConfig.credentials?.aws?.secretAccessKey,
-          instanceType: wizardConfig.infrastructure?.instanceType || 't3.micro',
-          keyPairName: wizardConfig.infrastructure?.keyPairName,
-          // Include operating system from wizard configuration
-          operatingSystem: wizardConfig.infrastructure?.operatingSystem || 'ubuntu'
-        },
-        application: {
-          useDocker: wizardConfig.application?.useDocker || true,
-          nodeVersion: wizardConfig.application?.nodeVersion || '20',
-          packageManager: wizardConfig.application?.packageManager || 'npm'
-        },
-        domains: wizardConfig.domains || { enabled: false },
-        git: wizardConfig.repository || { enabled: false },
-        security: wizardConfig.security || {},
-        environment: wizardConfig.environment || {}
-      };
+  async applyPlanAction(action, config, managers, resources) {
+    const { ec2Manager, s3Manager, securityGroupManager, sshKeyManager, iamManager } = managers;
+
+    switch (`${action.resource}:${action.action}`) {
+      case 'sshKey:create':
+        resources.sshKey = await this.createSSHKeyPair(sshKeyManager, config, null);
+        break;
 
-      // Load AWS credentials from secure storage if not in config
-      if (!deployConfig.aws.accessKeyId || !deployConfig.aws.secretAccessKey) {
-        const storedCredentials = await this.credentialManager.loadCredentials();
-        if (storedCredentials) {
-          deployConfig.aws = { ...deployConfig.aws, ...storedCredentials };
+      case 'securityGroup:create':
+        resources.securityGroup = await this.createSecurityGroup(securityGroupManager, config, null);
+        config.aws.securityGroupId = resources.securityGroup.securityGroupId;
+        break;
+
+      case 'securityGroupRule:create':
+      case 'securityGroupRule:delete': {
+        const { rule } = action;
+        const ipPermission = securityGroupManager.createRule(rule.protocol, rule.fromPort, rule.toPort, [rule.cidr], rule.description);
+        if (action.action === 'create') {
+          await securityGroupManager.addRule(action.securityGroupId, ipPermission);
+        } else {
+          await securityGroupManager.removeRule(action.securityGroupId, ipPermission);
         }
+        break;
       }
 
-      return deployConfig;
-    } catch (error) {
-      throw new FocalDeployError(
-        `Failed to load wizard configuration: ${error.message}`,
-        'Check if the .focal-deploy/config.json file is valid JSON format.'
-      );
+      case 's3Bucket:create':
+        resources.s3Bucket = await this.createS3Bucket(s3Manager, config, null);
+        config.aws.s3BucketName = resources.s3Bucket.bucketName;
+        break;
+
+      case 's3Bucket:update':
+        await s3Manager.configureBucket(action.id, config);
+        break;
+
+      case 'iamRole:create':
+      case 'iamRole:update':
+        await iamManager.createSSMRole(getResourcePrefix(config));
+        break;
+
+      case 'ec2Instance:create':
+        config.aws.securityGroupId = resources.securityGroup?.securityGroupId || config.aws.securityGroupId;
+        resources.ec2Instance = await this.createEC2Instance(ec2Manager, config, null);
+        break;
+
+      case 'ec2Instance:update': {
+        const { changes } = action;
+        if (changes.securityGroups) {
+          const securityGroupIds = Array.isArray(changes.securityGroups.to)
+            ? changes.securityGroups.to
+            : [resources.securityGroup.securityGroupId];
+          await ec2Manager.setSecurityGroups(action.id, securityGroupIds);
+        }
+        if (changes.instanceType) {
+          Logger.info(`Changing instance type to ${changes.instanceType.to} (the instance restarts)...`);
+          const previousIp = resources.ec2Instance?.publicIpAddress;
+          const instanceInfo = await ec2Manager.changeInstanceType(action.id, changes.instanceType.to);
+          resources.ec2Instance = { ...resources.ec2Instance, instanceType: instanceInfo.instanceType, publicIpAddress: instanceInfo.publicIpAddress };
+          if (previousIp && instanceInfo.publicIpAddress !== previousIp && !config.ssl?.dnsProvider) {
+            Logger.warning(`The public IP changed from ${previousIp} to ${instanceInfo.publicIpAddress}; point your DNS records at the new address.`);
+          }
+        }
+        break;
+      }
+
+      case 'dnsRecords:update':
+        resources.dnsRecords = await this.updateDNSRecords(
+          config,
+          resources.ec2Instance.publicIpAddress,
+          false,
+          resources.ec2Instance.ipv6Address
+        );
+        break;
+
+      default:
+        throw new FocalDeployError(
+          `Unknown plan action: ${action.action} ${action.resource}`,
+          'The plan may come from a newer focal-deploy version; create it again with this version.'
+        );
     }
   }
 
+  async loadConfiguration() {
+    return await this.configLoader.loadProjectConfig();
+  }
+
   async validateCredentials(config) {
     try {
       await validateAWSCredentials(config.aws);
     } catch (error) {
+      if (isCredentialSourceError(error)) {
+        throw error;
+      }
       throw new FocalDeployError(
         'AWS credentials validation failed. Please check your credentials.',
-        'Verify your AWS Access Key ID and Secret Access Key in the configuration file, or run "focal-deploy init" to reconfigure.'
+        'Verify your AWS Access Key ID and Secret Access Key or --profile, or run "focal-deploy init" to reconfigure.'
       );
     }
   }
 
   initializeManagers(config) {
-    const credentials = {
-      accessKeyId: config.aws.accessKeyId,
-      secretAccessKey: config.aws.secretAccessKey
-    };
+    const credentials = getAWSCredentials(config.aws);
 
     return {
       ec2Manager: new EC2Manager(config.aws.region, credentials),
       s3Manager: new S3Manager(config.aws.region, credentials),
       securityGroupManager: new SecurityGroupManager(config.aws.region, credentials),
-      sshKeyManager: new SSHKeyManager(config.aws.region, credentials)
+      sshKeyManager: new SSHKeyManager(config.aws.region, credentials),
+      iamManager: new IAMManager(config.aws.region, credentials)
     };
   }
 
@@ -321,7 +452,7 @@ class UpCommand {
         Logger.info('🧪 [DRY RUN] Would create security group with HTTP, HTTPS, and SSH access');
         return {
           securityGroupId: `sg-${Math.random().toString(36).substr(2, 9)}`,
-          securityGroupName: `${config.project.name}-sg`,
+          securityGroupName: `${getResourcePrefix(config)}-sg`,
           existed: false
         };
       }
@@ -332,6 +463,10 @@ class UpCommand {
           const sgInfo = await securityGroupManager.getSecurityGroupInfo(existingResource.securityGroupId);
           if (sgInfo) {
             Logger.info(`Security group already exists: ${existingResource.securityGroupId}`);
+            if (isDualStackEnabled(config)) {
+              await securityGroupManager.authorizeIPv6Ingress(existingResource.securityGroupId, config);
+              Logger.info('IPv6 ingress rules (::/0) ensured for public ports');
+            }
             return existingResource;
           }
         } catch (error) {
@@ -352,7 +487,7 @@ class UpCommand {
                              config.infrastructure?.sshPort || 
                              2847;
         
-        Logger.info(`Configured ports: ${customSSHPort} (SSH), 80 (HTTP), 443 (HTTPS)`);
+        Logger.info(`Configured ports: ${customSSHPort} (SSH), 80 (HTTP), 443 (HTTPS)${isDualStackEnabled(config) ? ' on IPv4 and IPv6' : ''}`);
       }
       
       return result;
@@ -372,7 +507,7 @@ class UpCommand {
       if (dryRun) {
         Logger.info('🧪 [DRY RUN] Would create S3 bucket with versioning and encryption');
         return {
-          bucketName: `${config.project.name}-${config.aws.region}-${Date.now()}`,
+          bucketName: `${getResourcePrefix(config)}-${config.aws.region}-${Date.now()}`,
           region: config.aws.region,
           existed: false
         };
@@ -458,6 +593,9 @@ class UpCommand {
       
       Logger.success(`EC2 instance created: ${result.instanceId}`);
       Logger.info(`Public IP: ${result.publicIpAddress}`);
+      if (result.ipv6Address) {
+        Logger.info(`IPv6: ${result.ipv6Address}`);
+      }
       Logger.info(`Instance Type: ${result.instanceType}`);
       
       // Show Git integration status if configured
@@ -585,6 +723,9 @@ class UpCommand {
     if (resources.ec2Instance) {
       Logger.result('EC2 Instance', resources.ec2Instance.instanceId);
       Logger.info(`  Public IP: ${resources.ec2Instance.publicIpAddress}`);
+      if (resources.ec2Instance.ipv6Address) {
+        Logger.info(`  IPv6: ${resources.ec2Instance.ipv6Address}`);
+      }
       Logger.info(`  Instance Type: ${resources.ec2Instance.instanceType}`);
       Logger.info(`  Status: ${resources.ec2Instance.state}`);
     }
@@ -635,7 +776,7 @@ class UpCommand {
     }
   }
 
-  async updateDNSRecords(config, publicIpAddress, dryRun = false) {
+  async updateDNSRecords(config, publicIpAddress, dryRun = false, ipv6Address = null) {
     try {
       Logger.step('Updating DNS records...');
       
@@ -650,7 +791,10 @@ class UpCommand {
       }
       
       const dnsManager = new DNSManager(config);
-      const result = await dnsManager.updateAllDomains(publicIpAddress, { dryRun });
+      const result = await dnsManager.updateAllDomains(publicIpAddress, {
+        dryRun,
+        ipv6Address: isDualStackEnabled(config) ? ipv6Address : null
+      });
       
       if (result.success) {
         Logger.success(`DNS records updated for ${result.summary.successful} domain(s)`);
@@ -665,7 +809,8 @@ class UpCommand {
         success: result.success,
         summary: result.summary,
         results: result.results,
-        targetIP: publicIpAddress
+        targetIP: publicIpAddress,
+        targetIPv6: ipv6Address
       };
       
     } catch (error) {
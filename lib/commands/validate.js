@@ -1,8 +1,12 @@
 const { ConfigLoader } = require('../config/loader');
 const { validateAWSCredentials, validateAWSPermissions } = require('../aws/validator');
+const { getCallerIdentity, hasCredentialSource, isCredentialSourceError } = require('../aws/credential-provider');
 const { Logger } = require('../utils/logger');
 const { ErrorHandler, FocalDeployError } = require('../utils/errors');
 const { StateValidator } = require('../utils/state-validator');
+const { CONFIG_VERSION, validateConfigSchema, formatSchemaError } = require('../config/schema');
+const { migrateConfig } = require('../config/migrations');
+const path = require('path');
 
 class ValidateCommand {
   constructor() {
@@ -11,9 +15,14 @@ class ValidateCommand {
   }
 
   async execute(options = {}) {
+    if (options.schema) {
+      return await this.validateSchema();
+    }
+
     Logger.header('🔍 Validating Configuration');
     
     let hasErrors = false;
+    let identity = null;
     
     try {
       // Step 1: Check configuration file
@@ -23,8 +32,11 @@ class ValidateCommand {
       
       // Step 2: Validate AWS credentials
       Logger.step('Validating AWS credentials...');
-      await this.validateCredentials(config);
+      identity = await this.validateCredentials(config);
       Logger.success('AWS credentials are valid');
+      Logger.info(`   Identity: ${identity.arn}`);
+      Logger.info(`   Account:  ${identity.account}`);
+      Logger.info(`   Source:   ${identity.source}`);
       
       // Step 3: Check AWS permissions
       Logger.step('Checking AWS permissions...');
@@ -61,6 +73,7 @@ class ValidateCommand {
         if (error.suggestion) {
           Logger.info(`💡 ${error.suggestion}`);
         }
+        (error.suggestions || []).forEach(suggestion => Logger.info(`  • ${suggestion}`));
       } else {
         Logger.error('An unexpected error occurred during validation');
         Logger.error(error.message);
@@ -72,6 +85,60 @@ class ValidateCommand {
       Logger.info('Please fix the issues above and run validation again.');
       process.exit(1);
     }
+
+    return { valid: true, identity };
+  }
+
+  /**
+   * Check focal-deploy.yml and .focal-deploy/config.json against the JSON Schema
+   * of the current configVersion and list every problem with its path
+   */
+  async validateSchema() {
+    Logger.header('🔍 Validating Configuration Schema');
+
+    const files = await this.configLoader.readConfigFiles();
+    if (files.length === 0) {
+      throw new FocalDeployError(
+        'No configuration file found.',
+        'Run "focal-deploy new <project-name>" or "focal-deploy init" to create one.',
+        'CONFIG_NOT_FOUND'
+      );
+    }
+
+    const results = [];
+    for (const file of files) {
+      const name = path.relative(process.cwd(), file.path);
+      Logger.step(`Checking ${name}...`);
+
+      let errors;
+      let fromVersion;
+      try {
+        const migration = migrateConfig(file.config, file.format);
+        fromVersion = migration.fromVersion;
+        errors = validateConfigSchema(migration.config, file.format).map(formatSchemaError);
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (fromVersion !== undefined && fromVersion < CONFIG_VERSION) {
+        Logger.warning(`${name} uses configVersion ${fromVersion}; it was checked as upgraded to ${CONFIG_VERSION}. Run "focal-deploy config migrate" to save the upgrade.`);
+      }
+      if (errors.length > 0) {
+        Logger.error(`${name} has ${errors.length} schema problem(s):`);
+        errors.forEach(error => Logger.info(`  • ${error}`));
+      } else {
+        Logger.success(`${name} matches the configVersion ${CONFIG_VERSION} schema`);
+      }
+
+      results.push({ file: name, configVersion: fromVersion, valid: errors.length === 0, errors });
+    }
+
+    if (results.some(result => !result.valid)) {
+      Logger.header('❌ Validation failed');
+      process.exit(1);
+    }
+
+    return { configVersion: CONFIG_VERSION, files: results };
   }
 
   async validateConfiguration() {
@@ -102,10 +169,14 @@ class ValidateCommand {
     const requiredFields = [
       { path: 'project.name', name: 'Project name' },
       { path: 'aws.region', name: 'AWS region' },
-      { path: 'aws.accessKeyId', name: 'AWS Access Key ID' },
-      { path: 'aws.secretAccessKey', name: 'AWS Secret Access Key' },
       { path: 'aws.keyPairName', name: 'SSH key pair name' }
     ];
+    if (!hasCredentialSource(config.aws)) {
+      requiredFields.push(
+        { path: 'aws.accessKeyId', name: 'AWS Access Key ID' },
+        { path: 'aws.secretAccessKey', name: 'AWS Secret Access Key' }
+      );
+    }
 
     const missingFields = [];
     
@@ -128,13 +199,23 @@ class ValidateCommand {
     return path.split('.').reduce((current, key) => current && current[key], obj);
   }
 
+  /**
+   * Resolve the credentials (keys, profile, SSO or assumed role), ask STS who
+   * they belong to and check EC2 and S3 access
+   * @returns {Promise<Object>} The STS identity and the credential source
+   */
   async validateCredentials(config) {
     try {
+      const identity = await getCallerIdentity(config.aws);
       await validateAWSCredentials(config.aws);
+      return identity;
     } catch (error) {
+      if (isCredentialSourceError(error)) {
+        throw error;
+      }
       throw new FocalDeployError(
         'AWS credentials are invalid or cannot be verified.',
-        'Check your AWS Access Key ID and Secret Access Key. Make sure they are correct and active.'
+        'Check your AWS Access Key ID and Secret Access Key or --profile. Make sure they are correct and active.'
       );
     }
   }
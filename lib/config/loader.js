@@ -1,11 +1,16 @@
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
-const { ErrorHandler } = require('../utils/errors');
+const { ErrorHandler, FocalDeployError } = require('../utils/errors');
+const { applyEnvironment, extractEnvironmentOverrides } = require('../utils/environment');
+const { CONFIG_VERSION, CONFIG_FORMATS, validateConfigSchema, formatSchemaError } = require('./schema');
+const { migrateConfig } = require('./migrations');
+const { AWS_CREDENTIAL_FIELDS, hasCredentialSource } = require('../aws/credential-provider');
 
 class ConfigLoader {
   constructor() {
     this.configPath = path.join(process.cwd(), 'focal-deploy.yml');
+    this.wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
   }
 
   async load() {
@@ -35,7 +40,7 @@ class ConfigLoader {
         );
       }
 
-      return this.validateConfig(config);
+      return this.validateConfig(applyEnvironment(this.checkSchema(config, 'yaml')));
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw ErrorHandler.createConfigError(
@@ -50,9 +55,198 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * Upgrade an older configVersion in memory and check the result against the
+   * schema, so every command sees the current shape or an error with exact paths
+   * @param {Object} config - Parsed configuration file
+   * @param {string} format - 'yaml' (focal-deploy.yml) or 'json' (.focal-deploy/config.json)
+   * @returns {Object} Configuration of the current configVersion
+   */
+  checkSchema(config, format) {
+    const { config: migrated } = migrateConfig(config, format);
+    const errors = validateConfigSchema(migrated, format);
+
+    if (errors.length > 0) {
+      throw new FocalDeployError(
+        `${CONFIG_FORMATS[format].file} does not match the configuration schema (${errors.length} problem(s))`,
+        '',
+        'CONFIG_SCHEMA_INVALID',
+        [
+          ...errors.map(formatSchemaError),
+          'Run "focal-deploy validate --schema" after fixing the file'
+        ]
+      );
+    }
+
+    return migrated;
+  }
+
+  /**
+   * focal-deploy.yml and .focal-deploy/config.json as written, before migration and schema checks
+   * @returns {Array<{format: string, path: string, config: Object}>} The files that exist
+   */
+  async readConfigFiles() {
+    const files = [];
+    if (await this.exists()) {
+      files.push({ format: 'yaml', path: this.configPath, config: yaml.load(await fs.readFile(this.configPath, 'utf8')) || {} });
+    }
+    if (await this.wizardConfigExists()) {
+      files.push({ format: 'json', path: this.wizardConfigPath, config: await fs.readJson(this.wizardConfigPath) });
+    }
+    return files;
+  }
+
+  /**
+   * Write a file returned by readConfigFiles() back in its own format
+   */
+  async writeConfigFile(file, config) {
+    if (file.format === 'yaml') {
+      await fs.writeFile(file.path, yaml.dump(config, { indent: 2, lineWidth: -1 }), 'utf8');
+    } else {
+      await fs.writeJson(file.path, config, { spaces: 2 });
+    }
+  }
+
+  async wizardConfigExists() {
+    return await fs.pathExists(this.wizardConfigPath);
+  }
+
+  /**
+   * Load .focal-deploy/config.json written by the setup wizard, with the active environment applied
+   */
+  async loadWizardConfig() {
+    let wizardConfig;
+    try {
+      wizardConfig = JSON.parse(await fs.readFile(this.wizardConfigPath, 'utf8'));
+    } catch (error) {
+      throw new FocalDeployError(
+        `Failed to load wizard configuration: ${error.message}`,
+        'Check if the .focal-deploy/config.json file is valid JSON format.',
+        'CONFIG_ERROR'
+      );
+    }
+
+    return applyEnvironment(this.checkSchema(wizardConfig, 'json'));
+  }
+
+  /**
+   * Load the project configuration for deployment commands: the wizard's
+   * .focal-deploy/config.json when present, otherwise focal-deploy.yml.
+   * Without keys, a profile or a role to assume, AWS credentials are taken
+   * from secure storage.
+   * @param {Object} options
+   * @param {boolean} options.requireCredentials - Fail when no AWS credentials are found
+   * @returns {Object} Deployment configuration
+   */
+  async loadProjectConfig(options = {}) {
+    let config;
+
+    if (await this.wizardConfigExists()) {
+      config = this.toDeployConfig(await this.loadWizardConfig());
+    } else if (await this.exists()) {
+      config = await this.load();
+    } else {
+      throw new FocalDeployError(
+        'No configuration file found. Please run "focal-deploy new <project-name>" to create a new project with wizard setup.',
+        'Run "focal-deploy new <project-name>" to create a new project with complete setup wizard.',
+        'CONFIG_NOT_FOUND'
+      );
+    }
+
+    if (!hasCredentialSource(config.aws)) {
+      const storedCredentials = await this.loadStoredCredentials(config.project.name);
+      if (storedCredentials) {
+        config.aws = {
+          ...config.aws,
+          accessKeyId: storedCredentials.accessKeyId,
+          secretAccessKey: storedCredentials.secretAccessKey,
+          region: config.aws.region || storedCredentials.region
+        };
+      } else if (options.requireCredentials) {
+        throw new FocalDeployError(
+          'AWS credentials not found in configuration or secure storage.',
+          '',
+          'CREDENTIALS_NOT_FOUND',
+          [
+            'Run "focal-deploy new <project-name>" to set up credentials',
+            'Pass --profile <name> to use a profile from ~/.aws/config',
+            'Ensure your credentials are properly saved',
+            'Check if the credential file exists and is readable'
+          ]
+        );
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Project credentials first, then the credentials shared by all projects
+   */
+  async loadStoredCredentials(projectName) {
+    const CredentialManager = require('../utils/credentials');
+    const candidates = projectName ? [new CredentialManager(projectName), new CredentialManager()] : [new CredentialManager()];
+
+    for (const credentialManager of candidates) {
+      const storedCredentials = await credentialManager.loadCredentials();
+      if (storedCredentials?.accessKeyId && storedCredentials?.secretAccessKey) {
+        return storedCredentials;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map the wizard configuration to the deployment configuration format
+   */
+  toDeployConfig(wizardConfig) {
+    const deployConfig = {
+      project: {
+        name: wizardConfig.project?.name || wizardConfig.projectName,
+        type: wizardConfig.application?.type || 'nodejs-web',
+        port: wizardConfig.application?.port || 3000,
+        healthCheck: wizardConfig.application?.healthCheckPath || '/health'
+      },
+      aws: {
+        region: wizardConfig.aws?.region || 'us-east-1',
+        accessKeyId: wizardConfig.aws?.accessKeyId,
+        secretAccessKey: wizardConfig.aws?.secretAccessKey,
+        ...pickCredentialSettings(wizardConfig.aws),
+        instanceType: wizardConfig.infrastructure?.instanceType || 't3.micro',
+        keyPairName: wizardConfig.infrastructure?.keyPairName,
+        // Include operating system from wizard configuration
+        operatingSystem: wizardConfig.infrastructure?.operatingSystem || 'ubuntu',
+        ipv6: wizardConfig.infrastructure?.ipv6 === true
+      },
+      application: {
+        useDocker: wizardConfig.application?.useDocker || true,
+        nodeVersion: wizardConfig.application?.nodeVersion || '20',
+        packageManager: wizardConfig.application?.packageManager || 'npm'
+      },
+      domains: wizardConfig.domains || { enabled: false },
+      git: wizardConfig.repository || { enabled: false },
+      security: wizardConfig.security || {},
+      environment: wizardConfig.environment || {}
+    };
+
+    if (wizardConfig.secrets) {
+      deployConfig.secrets = wizardConfig.secrets;
+    }
+
+    if (wizardConfig.backup) {
+      deployConfig.backup = wizardConfig.backup;
+    }
+
+    if (wizardConfig.environmentName) {
+      deployConfig.environmentName = wizardConfig.environmentName;
+    }
+
+    return deployConfig;
+  }
+
   async save(config) {
     try {
-      const yamlContent = yaml.dump(config, {
+      const yamlContent = yaml.dump(await this.toFileConfig({ configVersion: CONFIG_VERSION, ...config }), {
         indent: 2,
         lineWidth: -1
       });
@@ -71,13 +265,39 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * When an environment is active, only the values that differ from the
+   * shared configuration are written, under environments.<name>
+   */
+  async toFileConfig(config) {
+    if (!config.environmentName) {
+      return config;
+    }
+
+    const fileConfig = await fs.pathExists(this.configPath)
+      ? yaml.load(await fs.readFile(this.configPath, 'utf8')) || {}
+      : {};
+    const { environments = {}, ...base } = fileConfig;
+
+    return {
+      ...base,
+      environments: {
+        ...environments,
+        [config.environmentName]: extractEnvironmentOverrides(base, config)
+      }
+    };
+  }
+
   validateConfig(config) {
     const required = {
       'project.name': config.project?.name,
-      'aws.region': config.aws?.region,
-      'aws.accessKeyId': config.aws?.accessKeyId,
-      'aws.secretAccessKey': config.aws?.secretAccessKey
+      'aws.region': config.aws?.region
     };
+    // Keys are only needed when no profile, role or SDK environment provides credentials
+    if (!hasCredentialSource(config.aws)) {
+      required['aws.accessKeyId'] = config.aws?.accessKeyId;
+      required['aws.secretAccessKey'] = config.aws?.secretAccessKey;
+    }
 
     for (const [field, value] of Object.entries(required)) {
       if (!value) {
@@ -160,7 +380,7 @@ class ConfigLoader {
         );
       }
 
-      return this.validateConfig(config);
+      return this.validateConfig(applyEnvironment(this.checkSchema(config, 'yaml')));
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw ErrorHandler.createConfigError(
@@ -180,4 +400,15 @@ class ConfigLoader {
   }
 }
 
+// Profile, role and session settings of the aws section, without the keys
+function pickCredentialSettings(awsConfig = {}) {
+  const settings = {};
+  for (const field of AWS_CREDENTIAL_FIELDS) {
+    if (field !== 'accessKeyId' && field !== 'secretAccessKey' && awsConfig[field] !== undefined) {
+      settings[field] = awsConfig[field];
+    }
+  }
+  return settings;
+}
+
 module.exports = { ConfigLoader };
\ No newline at end of file
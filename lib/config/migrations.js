@@ -0,0 +1,123 @@
+const { FocalDeployError } = require('../utils/errors');
+const { CONFIG_VERSION } = require('./schema');
+
+/**
+ * Upgrades between configVersions. Each step changes a configuration of
+ * version "from" into version "to" and describes every change it made.
+ * Files written before configVersion existed are version 1.
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    yaml(config, changes) {
+      for (const [scope, settings] of settingsScopes(config)) {
+        const healthCheckUrl = settings.monitoring?.healthCheckUrl;
+        if (healthCheckUrl === undefined) {
+          continue;
+        }
+        if (settings.health?.endpoint === undefined) {
+          settings.health = { ...settings.health, endpoint: healthCheckUrl };
+        }
+        delete settings.monitoring.healthCheckUrl;
+        if (Object.keys(settings.monitoring).length === 0) {
+          delete settings.monitoring;
+        }
+        changes.push(`${scope}monitoring.healthCheckUrl moved to ${scope}health.endpoint`);
+      }
+    },
+    json(config, changes) {
+      for (const [scope, settings] of settingsScopes(config)) {
+        const credentials = settings.credentials?.aws;
+        if (credentials) {
+          for (const key of ['accessKeyId', 'secretAccessKey', 'region']) {
+            if (credentials[key] !== undefined && settings.aws?.[key] === undefined) {
+              settings.aws = { ...settings.aws, [key]: credentials[key] };
+              changes.push(`${scope}credentials.aws.${key} moved to ${scope}aws.${key}`);
+            }
+          }
+          delete settings.credentials.aws;
+          if (Object.keys(settings.credentials).length === 0) {
+            delete settings.credentials;
+          }
+        }
+
+        if (settings.infrastructure?.region !== undefined) {
+          if (settings.aws?.region === undefined) {
+            settings.aws = { ...settings.aws, region: settings.infrastructure.region };
+          }
+          delete settings.infrastructure.region;
+          changes.push(`${scope}infrastructure.region moved to ${scope}aws.region`);
+        }
+      }
+
+      if (config.projectName && !config.project?.name) {
+        config.project = { ...config.project, name: config.projectName };
+        changes.push('projectName copied to project.name');
+      }
+    }
+  }
+];
+
+/**
+ * The shared settings and each environment's overrides, with their path prefix
+ */
+function settingsScopes(config) {
+  const scopes = [['', config]];
+  for (const [name, overrides] of Object.entries(config.environments || {})) {
+    if (overrides && typeof overrides === 'object') {
+      scopes.push([`environments.${name}.`, overrides]);
+    }
+  }
+  return scopes;
+}
+
+/**
+ * configVersion of a configuration (1 when it predates versioning)
+ */
+function getConfigVersion(config) {
+  return config.configVersion === undefined ? 1 : config.configVersion;
+}
+
+/**
+ * Upgrade a configuration to CONFIG_VERSION. The input is not modified.
+ * @param {Object} config - Parsed focal-deploy.yml or config.json
+ * @param {string} format - 'yaml' or 'json'
+ * @returns {Object} { config, fromVersion, toVersion, changes }
+ */
+function migrateConfig(config, format) {
+  const fromVersion = getConfigVersion(config);
+
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new FocalDeployError(
+      `Invalid configVersion ${JSON.stringify(fromVersion)}`,
+      `Set configVersion to ${CONFIG_VERSION}, or remove it and run "focal-deploy config migrate"`,
+      'CONFIG_VERSION_INVALID'
+    );
+  }
+  if (fromVersion > CONFIG_VERSION) {
+    throw new FocalDeployError(
+      `Configuration version ${fromVersion} is newer than this focal-deploy supports (${CONFIG_VERSION})`,
+      'Upgrade focal-deploy to use this configuration',
+      'CONFIG_VERSION_UNSUPPORTED'
+    );
+  }
+
+  let migrated = JSON.parse(JSON.stringify(config));
+  const changes = [];
+  for (let version = fromVersion; version < CONFIG_VERSION; version++) {
+    const migration = MIGRATIONS.find(step => step.from === version);
+    migration[format](migrated, changes);
+    const { configVersion, ...rest } = migrated;
+    migrated = { configVersion: migration.to, ...rest };
+    changes.push(`configVersion set to ${migration.to}`);
+  }
+
+  return { config: migrated, fromVersion, toVersion: CONFIG_VERSION, changes };
+}
+
+module.exports = {
+  MIGRATIONS,
+  getConfigVersion,
+  migrateConfig
+};
@@ -0,0 +1,169 @@
+const CONFIG_VERSION = 2;
+
+// Schemas of the current configVersion, one per configuration format
+const CONFIG_FORMATS = {
+  yaml: {
+    file: 'focal-deploy.yml',
+    schema: require('./schemas/focal-deploy.v2.schema.json')
+  },
+  json: {
+    file: '.focal-deploy/config.json',
+    schema: require('./schemas/config.v2.schema.json')
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema (draft-07 subset used by the
+ * focal-deploy schemas: $ref, allOf, type, const, enum, required, properties,
+ * propertyNames, additionalProperties, items, pattern and length/range limits)
+ * @param {Object} schema - Root schema
+ * @param {*} value - Value to check
+ * @returns {Array<{path: string, message: string}>} Errors with the exact path of each value
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, schema, '', errors);
+  return errors;
+}
+
+/**
+ * Validate a configuration in one of the CONFIG_FORMATS
+ */
+function validateConfigSchema(config, format) {
+  return validateSchema(CONFIG_FORMATS[format].schema, config);
+}
+
+function check(schema, value, root, location, errors) {
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, root, location, errors);
+  }
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) {
+      check(part, value, root, location, errors);
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path: location, message: `must be ${types.map(describeType).join(' or ')} (found ${typeOf(value)})` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: location, message: `must be ${JSON.stringify(schema.const)} (found ${JSON.stringify(value)})` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: location, message: `must be one of ${schema.enum.join(', ')} (found ${JSON.stringify(value)})` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: location, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: location, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: location, message: `"${value}" does not match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: location, message: `must be at least ${schema.minimum} (found ${value})` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: location, message: `must be at most ${schema.maximum} (found ${value})` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => check(schema.items, item, root, `${location}[${index}]`, errors));
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(location, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = childPath(location, key);
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        errors.push({ path: itemPath, message: `name does not match ${schema.propertyNames.pattern}` });
+      }
+      if (schema.properties && schema.properties[key]) {
+        check(schema.properties[key], item, root, itemPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: itemPath, message: 'is not a known setting' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        check(schema.additionalProperties, item, root, itemPath, errors);
+      }
+    }
+  }
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  const resolved = ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+  if (!resolved) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return resolved;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+function describeType(type) {
+  return { object: 'a mapping', array: 'a list', integer: 'an integer', null: 'null' }[type] || `a ${type}`;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (Number.isInteger(value)) return 'an integer';
+  return isPlainObject(value) ? 'a mapping' : `a ${typeof value}`;
+}
+
+function childPath(location, key) {
+  const segment = /^[A-Za-z_$][\w$-]*$/.test(key) ? key : JSON.stringify(key);
+  if (!location) {
+    return segment;
+  }
+  return segment.startsWith('"') ? `${location}[${segment}]` : `${location}.${segment}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * "aws.region: must be ..." for CLI output
+ */
+function formatSchemaError(error) {
+  return `${error.path || '(root)'}: ${error.message}`;
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  CONFIG_FORMATS,
+  validateSchema,
+  validateConfigSchema,
+  formatSchemaError
+};
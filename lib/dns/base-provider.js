@@ -0,0 +1,168 @@
+/**
+ * Base DNS Provider Adapter
+ * Every DNS provider (built-in or third-party) implements this contract so the
+ * DNS manager, commands and cleanup code never need to know which API they talk to.
+ *
+ * Records are normalized to:
+ *   { id, name, type, data, ttl, priority? }
+ * where `name` is relative to the zone ('@' for the apex, '*' for wildcard, 'www', ...),
+ * `id` is whatever the provider needs to find the record again and `priority`
+ * is set for MX/SRV records when the provider keeps it separate from `data`.
+ */
+class DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    this.credentials = credentials;
+    this.options = options;
+    this.zoneCache = null;
+  }
+
+  /**
+   * Provider key used in configuration (e.g. 'digitalocean')
+   */
+  static get providerName() {
+    return 'base';
+  }
+
+  /**
+   * Human readable provider name
+   */
+  static get displayName() {
+    return 'DNS Provider';
+  }
+
+  /**
+   * Credential fields that must be present in configuration
+   */
+  static get requiredCredentials() {
+    return [];
+  }
+
+  get displayName() {
+    return this.constructor.displayName;
+  }
+
+  /**
+   * Check that the credentials work
+   * @returns {Object} { valid, error? }
+   */
+  async verifyCredentials() {
+    throw this.notImplemented('verifyCredentials');
+  }
+
+  /**
+   * List DNS zones managed by the account
+   * @returns {Array} [{ id, name }]
+   */
+  async listZones() {
+    throw this.notImplemented('listZones');
+  }
+
+  /**
+   * List records in a zone
+   * @param {string} zoneName - Zone name (e.g. example.com)
+   * @returns {Array} Normalized records
+   */
+  async listRecords(zoneName) {
+    throw this.notImplemented('listRecords');
+  }
+
+  /**
+   * Create a record in a zone
+   * @param {string} zoneName - Zone name
+   * @param {Object} record - { name, type, data, ttl, priority? }
+   * @returns {Object} Normalized record
+   */
+  async createRecord(zoneName, record) {
+    throw this.notImplemented('createRecord');
+  }
+
+  /**
+   * Update an existing record
+   * @param {string} zoneName - Zone name
+   * @param {Object} record - Existing normalized record
+   * @param {Object} changes - { data, ttl }
+   * @returns {Object} Normalized record
+   */
+  async updateRecord(zoneName, record, changes) {
+    throw this.notImplemented('updateRecord');
+  }
+
+  /**
+   * Delete an existing record
+   * @param {string} zoneName - Zone name
+   * @param {Object} record - Existing normalized record
+   */
+  async deleteRecord(zoneName, record) {
+    throw this.notImplemented('deleteRecord');
+  }
+
+  /**
+   * Get a zone by name, using a per-instance cache
+   */
+  async getZone(zoneName) {
+    if (!this.zoneCache) {
+      this.zoneCache = await this.listZones();
+    }
+
+    const zone = this.zoneCache.find(z => z.name === zoneName);
+    if (!zone) {
+      throw new Error(`Zone ${zoneName} not found in ${this.displayName}`);
+    }
+    return zone;
+  }
+
+  /**
+   * Find the most specific zone that contains a domain
+   * @returns {Object|null} Zone or null when the account doesn't manage the domain
+   */
+  async findZoneForDomain(domain) {
+    if (!this.zoneCache) {
+      this.zoneCache = await this.listZones();
+    }
+
+    const bareDomain = domain.replace(/^\*\./, '');
+    let bestMatch = null;
+
+    for (const zone of this.zoneCache) {
+      const matches = bareDomain === zone.name || bareDomain.endsWith(`.${zone.name}`);
+      if (matches && (!bestMatch || zone.name.length > bestMatch.name.length)) {
+        bestMatch = zone;
+      }
+    }
+
+    return bestMatch;
+  }
+
+  /**
+   * Convert a fully qualified name to a zone-relative name
+   */
+  toRelativeName(fqdn, zoneName) {
+    const name = fqdn.replace(/\.$/, '');
+    if (name === zoneName) {
+      return '@';
+    }
+    if (name.endsWith(`.${zoneName}`)) {
+      return name.slice(0, -(zoneName.length + 1));
+    }
+    return name;
+  }
+
+  /**
+   * Convert a zone-relative name to a fully qualified name
+   */
+  toFqdn(name, zoneName) {
+    if (!name || name === '@') {
+      return zoneName;
+    }
+    if (name === zoneName || name.endsWith(`.${zoneName}`)) {
+      return name;
+    }
+    return `${name}.${zoneName}`;
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.displayName} adapter does not implement ${method}()`);
+  }
+}
+
+module.exports = { DNSProviderAdapter };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Certbot manual DNS-01 hook
+ * Runs on the server, next to a copy of the project's DNS provider adapter
+ * (see lib/utils/dns-renewal-hooks.js), so certificates renew with no human:
+ *
+ *   certbot-hook.js auth     create _acme-challenge TXT record (--manual-auth-hook)
+ *   certbot-hook.js cleanup  remove it again (--manual-cleanup-hook)
+ *   certbot-hook.js check    verify the provider credentials
+ *
+ * Certbot passes the challenge in CERTBOT_DOMAIN and CERTBOT_VALIDATION.
+ * Only Node built-ins are used here; the adapter brings its own dependencies.
+ * The built-in ACME client (lib/acme) reuses auth/cleanup locally.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns').promises;
+
+const HOOK_DIR = __dirname;
+const CONFIG_FILE = path.join(HOOK_DIR, 'config.json');
+const STATUS_FILE = path.join(HOOK_DIR, 'hook-status.json');
+
+// Progress goes to certbot's log; callers in the CLI pass their own logger
+const consoleLog = { info: message => console.log(message), warn: message => console.warn(message) };
+
+function loadConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+}
+
+function createProvider(config) {
+  const exported = require(path.join(HOOK_DIR, config.adapter));
+  const Adapter = typeof exported === 'function'
+    ? exported
+    : exported.default || Object.values(exported).find(value => typeof value === 'function');
+
+  return new Adapter(config.provider.credentials || {}, config.provider.options || {});
+}
+
+async function findChallengeRecord(provider, domain) {
+  const zone = await provider.findZoneForDomain(domain);
+  if (!zone) {
+    throw new Error(`No zone for ${domain} in ${provider.displayName}`);
+  }
+
+  const fqdn = `_acme-challenge.${domain.replace(/^\*\./, '')}`;
+  return { zone, fqdn, name: provider.toRelativeName(fqdn, zone.name) };
+}
+
+function sameTXT(data, value) {
+  return String(data).replace(/^"|"$/g, '') === value;
+}
+
+async function auth(provider, config, domain, validation, log = consoleLog) {
+  const { zone, fqdn, name } = await findChallengeRecord(provider, domain);
+
+  const existing = await provider.listRecords(zone.name);
+  if (!existing.some(record => record.type === 'TXT' && record.name === name && sameTXT(record.data, validation))) {
+    await provider.createRecord(zone.name, { name, type: 'TXT', data: validation, ttl: config.ttl || 60 });
+  }
+  log.info(`Created TXT ${fqdn} in ${provider.displayName}`);
+
+  await waitForPropagation(fqdn, zone.name, validation, config.propagation || {}, log);
+}
+
+async function cleanup(provider, domain, validation, log = consoleLog) {
+  const { zone, fqdn, name } = await findChallengeRecord(provider, domain);
+
+  const records = await provider.listRecords(zone.name);
+  const challenges = records.filter(record => record.type === 'TXT' && record.name === name && sameTXT(record.data, validation));
+  for (const record of challenges) {
+    await provider.deleteRecord(zone.name, record);
+  }
+  log.info(`Removed ${challenges.length} TXT record(s) ${fqdn} from ${provider.displayName}`);
+}
+
+/**
+ * Wait until the zone's authoritative name servers answer with the new value
+ */
+async function waitForPropagation(fqdn, zoneName, value, { timeout = 300, interval = 10 }, log = consoleLog) {
+  if (!timeout) {
+    return;
+  }
+
+  const resolver = new dns.Resolver();
+  try {
+    const nameServers = await dns.resolveNs(zoneName);
+    const addresses = (await Promise.all(nameServers.map(host => dns.resolve4(host).catch(() => [])))).flat();
+    if (addresses.length > 0) {
+      resolver.setServers(addresses);
+    }
+  } catch (error) {
+    // Fall back to the system resolver
+  }
+
+  const deadline = Date.now() + timeout * 1000;
+  while (Date.now() < deadline) {
+    try {
+      const answers = await resolver.resolveTxt(fqdn);
+      if (answers.some(chunks => chunks.join('') === value)) {
+        log.info(`TXT ${fqdn} is visible`);
+        return;
+      }
+    } catch (error) {
+      // Not there yet
+    }
+    await new Promise(resolve => setTimeout(resolve, interval * 1000));
+  }
+
+  log.warn(`TXT ${fqdn} not visible after ${timeout}s, continuing anyway`);
+}
+
+function recordRun(entry) {
+  let status = {};
+  try {
+    status = JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+  } catch (error) {
+    // First run
+  }
+
+  status.lastRun = entry;
+  if (entry.success) {
+    status.lastSuccess = entry;
+  } else {
+    status.lastFailure = entry;
+  }
+  fs.writeFileSync(STATUS_FILE, JSON.stringify(status, null, 2), { mode: 0o600 });
+}
+
+async function main() {
+  const phase = process.argv[2];
+  const domain = process.env.CERTBOT_DOMAIN;
+  const validation = process.env.CERTBOT_VALIDATION;
+  const entry = { phase, domain: domain || null, at: new Date().toISOString(), success: false };
+
+  try {
+    const config = loadConfig();
+    const provider = createProvider(config);
+
+    if (phase === 'check') {
+      const result = await provider.verifyCredentials();
+      console.log(JSON.stringify({ provider: config.provider.name, ...result }));
+      entry.success = result.valid;
+      if (!result.valid) {
+        entry.error = result.error;
+        process.exitCode = 1;
+      }
+    } else if (phase === 'auth' || phase === 'cleanup') {
+      if (!domain || !validation) {
+        throw new Error('CERTBOT_DOMAIN and CERTBOT_VALIDATION must be set (run this script from certbot)');
+      }
+      if (phase === 'auth') {
+        await auth(provider, config, domain, validation);
+      } else {
+        await cleanup(provider, domain, validation);
+      }
+      entry.success = true;
+    } else {
+      throw new Error(`Unknown phase "${phase}" (expected auth, cleanup or check)`);
+    }
+  } catch (error) {
+    entry.error = error.message;
+    console.error(`focal-deploy DNS hook (${phase}) failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+
+  // Credential checks are on demand (install, ssl-status); only record what certbot ran
+  if (phase === 'check') {
+    return;
+  }
+
+  try {
+    recordRun(entry);
+  } catch (error) {
+    console.error(`Could not write ${STATUS_FILE}: ${error.message}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { auth, cleanup, waitForPropagation };
@@ -0,0 +1,109 @@
+const path = require('path');
+const { DNSProviderAdapter } = require('./base-provider');
+const { DigitalOceanDNSProvider } = require('./providers/digitalocean');
+const { CloudflareDNSProvider } = require('./providers/cloudflare');
+const { Route53DNSProvider } = require('./providers/route53');
+const { GoDaddyDNSProvider } = require('./providers/godaddy');
+const { NamecheapDNSProvider } = require('./providers/namecheap');
+
+const REQUIRED_METHODS = ['verifyCredentials', 'listZones', 'listRecords', 'createRecord', 'updateRecord', 'deleteRecord'];
+
+const providers = new Map();
+
+/**
+ * Register a DNS provider adapter class under its providerName
+ */
+function registerDNSProvider(Adapter, name = Adapter.providerName) {
+  validateAdapter(Adapter, name);
+  providers.set(name, Adapter);
+  return Adapter;
+}
+
+/**
+ * Names of all registered providers
+ */
+function getDNSProviderNames() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Get the adapter class for a provider configuration
+ * @param {Object} providerConfig - { name|type, module?, credentials }
+ */
+function getDNSProviderClass(providerConfig = {}) {
+  const name = providerConfig.name || providerConfig.type;
+
+  // Third-party adapters are loaded from a local module path
+  if (providerConfig.module) {
+    return loadDNSProviderModule(providerConfig.module, name);
+  }
+
+  if (!name) {
+    throw new Error('DNS provider name not specified');
+  }
+
+  const Adapter = providers.get(name);
+  if (!Adapter) {
+    throw new Error(`Unsupported DNS provider: ${name}. Supported providers: ${getDNSProviderNames().join(', ')}`);
+  }
+
+  return Adapter;
+}
+
+/**
+ * Create a DNS provider adapter from configuration
+ * @param {Object} providerConfig - { name|type, module?, credentials, options? }
+ * @returns {DNSProviderAdapter} Adapter instance
+ */
+function createDNSProvider(providerConfig = {}) {
+  const Adapter = getDNSProviderClass(providerConfig);
+  return new Adapter(providerConfig.credentials || {}, providerConfig.options || {});
+}
+
+/**
+ * Load a third-party adapter from a path relative to the project directory
+ */
+function loadDNSProviderModule(modulePath, name) {
+  const resolvedPath = path.resolve(process.cwd(), modulePath);
+
+  let exported;
+  try {
+    exported = require(resolvedPath);
+  } catch (error) {
+    throw new Error(`Failed to load DNS provider module ${modulePath}: ${error.message}`);
+  }
+
+  // Accept `module.exports = Adapter`, `{ default: Adapter }` or a single named export
+  const Adapter = typeof exported === 'function'
+    ? exported
+    : exported.default || Object.values(exported).find(value => typeof value === 'function');
+
+  validateAdapter(Adapter, name || modulePath);
+  return Adapter;
+}
+
+function validateAdapter(Adapter, name) {
+  if (typeof Adapter !== 'function') {
+    throw new Error(`DNS provider ${name} must export an adapter class`);
+  }
+
+  // The base class defines every method to throw, so each must be overridden
+  const missing = REQUIRED_METHODS.filter(method =>
+    typeof Adapter.prototype[method] !== 'function' || Adapter.prototype[method] === DNSProviderAdapter.prototype[method]
+  );
+  if (missing.length > 0) {
+    throw new Error(`DNS provider ${name} is missing required methods: ${missing.join(', ')}`);
+  }
+}
+
+// Built-in providers
+[DigitalOceanDNSProvider, CloudflareDNSProvider, Route53DNSProvider, GoDaddyDNSProvider, NamecheapDNSProvider]
+  .forEach(Adapter => registerDNSProvider(Adapter));
+
+module.exports = {
+  DNSProviderAdapter,
+  registerDNSProvider,
+  getDNSProviderNames,
+  getDNSProviderClass,
+  createDNSProvider
+};
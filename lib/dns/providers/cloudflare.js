@@ -0,0 +1,140 @@
+const axios = require('axios');
+const { DNSProviderAdapter } = require('../base-provider');
+
+/**
+ * Cloudflare DNS adapter
+ * Cloudflare addresses zones and records by ID and returns fully qualified record names
+ */
+class CloudflareDNSProvider extends DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+
+    if (!credentials.apiToken) {
+      throw new Error('Cloudflare API token not found in configuration');
+    }
+
+    this.client = axios.create({
+      baseURL: options.baseURL || 'https://api.cloudflare.com/client/v4',
+      headers: {
+        'Authorization': `Bearer ${credentials.apiToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  static get providerName() {
+    return 'cloudflare';
+  }
+
+  static get displayName() {
+    return 'Cloudflare';
+  }
+
+  static get requiredCredentials() {
+    return ['apiToken'];
+  }
+
+  async verifyCredentials() {
+    try {
+      const response = await this.client.get('/user/tokens/verify');
+      return { valid: response.data.success === true, status: response.data.result?.status };
+    } catch (error) {
+      return { valid: false, error: this.describeError(error) };
+    }
+  }
+
+  async listZones() {
+    try {
+      const zones = await this.getAllPages('/zones');
+      return zones.map(zone => ({ id: zone.id, name: zone.name }));
+    } catch (error) {
+      throw new Error(`Failed to get zones: ${this.describeError(error)}`);
+    }
+  }
+
+  async listRecords(zoneName) {
+    const zone = await this.getZone(zoneName);
+
+    try {
+      const records = await this.getAllPages(`/zones/${zone.id}/dns_records`);
+      return records.map(record => this.normalizeRecord(record, zoneName));
+    } catch (error) {
+      throw new Error(`Failed to get DNS records: ${this.describeError(error)}`);
+    }
+  }
+
+  async createRecord(zoneName, record) {
+    const zone = await this.getZone(zoneName);
+
+    try {
+      const response = await this.client.post(`/zones/${zone.id}/dns_records`, {
+        type: record.type,
+        name: this.toFqdn(record.name, zoneName),
+        content: record.data,
+        ttl: record.ttl || 300,
+        ...(record.priority !== undefined ? { priority: record.priority } : {})
+      });
+      return this.normalizeRecord(response.data.result, zoneName);
+    } catch (error) {
+      throw new Error(`Failed to create DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    const zone = await this.getZone(zoneName);
+
+    try {
+      const response = await this.client.put(`/zones/${zone.id}/dns_records/${record.id}`, {
+        type: record.type,
+        name: this.toFqdn(record.name, zoneName),
+        content: changes.data,
+        ttl: changes.ttl || record.ttl || 300
+      });
+      return this.normalizeRecord(response.data.result, zoneName);
+    } catch (error) {
+      throw new Error(`Failed to update DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async deleteRecord(zoneName, record) {
+    const zone = await this.getZone(zoneName);
+
+    try {
+      await this.client.delete(`/zones/${zone.id}/dns_records/${record.id}`);
+    } catch (error) {
+      throw new Error(`Failed to delete DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async getAllPages(url) {
+    const results = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.client.get(url, { params: { page, per_page: 100 } });
+      results.push(...(response.data.result || []));
+      totalPages = response.data.result_info?.total_pages || 1;
+      page++;
+    } while (page <= totalPages);
+
+    return results;
+  }
+
+  normalizeRecord(record, zoneName) {
+    return {
+      id: record.id,
+      name: this.toRelativeName(record.name, zoneName),
+      type: record.type,
+      data: record.content,
+      ttl: record.ttl,
+      ...(record.priority !== undefined ? { priority: record.priority } : {})
+    };
+  }
+
+  describeError(error) {
+    return error.response?.data?.errors?.[0]?.message || error.message;
+  }
+}
+
+module.exports = { CloudflareDNSProvider };
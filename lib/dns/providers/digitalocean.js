@@ -0,0 +1,118 @@
+const axios = require('axios');
+const { DNSProviderAdapter } = require('../base-provider');
+
+/**
+ * DigitalOcean DNS adapter
+ * Records already use zone-relative names, so they map almost 1:1
+ */
+class DigitalOceanDNSProvider extends DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+
+    if (!credentials.token) {
+      throw new Error('DigitalOcean API token not found in configuration');
+    }
+
+    this.client = axios.create({
+      baseURL: options.baseURL || 'https://api.digitalocean.com/v2',
+      headers: {
+        'Authorization': `Bearer ${credentials.token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  static get providerName() {
+    return 'digitalocean';
+  }
+
+  static get displayName() {
+    return 'DigitalOcean';
+  }
+
+  static get requiredCredentials() {
+    return ['token'];
+  }
+
+  async verifyCredentials() {
+    try {
+      const response = await this.client.get('/account');
+      return { valid: true, account: response.data.account?.email };
+    } catch (error) {
+      return { valid: false, error: this.describeError(error) };
+    }
+  }
+
+  async listZones() {
+    try {
+      const response = await this.client.get('/domains', { params: { per_page: 200 } });
+      return (response.data.domains || []).map(domain => ({ id: domain.name, name: domain.name }));
+    } catch (error) {
+      throw new Error(`Failed to get domains: ${this.describeError(error)}`);
+    }
+  }
+
+  async listRecords(zoneName) {
+    try {
+      const response = await this.client.get(`/domains/${zoneName}/records`, { params: { per_page: 200 } });
+      return (response.data.domain_records || []).map(record => this.normalizeRecord(record));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Domain ${zoneName} not found in DigitalOcean DNS`);
+      }
+      throw new Error(`Failed to get DNS records: ${this.describeError(error)}`);
+    }
+  }
+
+  async createRecord(zoneName, record) {
+    try {
+      const response = await this.client.post(`/domains/${zoneName}/records`, {
+        type: record.type,
+        name: record.name,
+        data: record.data,
+        ttl: record.ttl || 3600,
+        ...(record.priority !== undefined ? { priority: record.priority } : {})
+      });
+      return this.normalizeRecord(response.data.domain_record);
+    } catch (error) {
+      throw new Error(`Failed to create DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    try {
+      const response = await this.client.put(`/domains/${zoneName}/records/${record.id}`, {
+        data: changes.data,
+        ttl: changes.ttl || record.ttl || 3600
+      });
+      return this.normalizeRecord(response.data.domain_record);
+    } catch (error) {
+      throw new Error(`Failed to update DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async deleteRecord(zoneName, record) {
+    try {
+      await this.client.delete(`/domains/${zoneName}/records/${record.id}`);
+    } catch (error) {
+      throw new Error(`Failed to delete DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  normalizeRecord(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      type: record.type,
+      data: record.data,
+      ttl: record.ttl,
+      ...(record.priority !== null && record.priority !== undefined ? { priority: record.priority } : {})
+    };
+  }
+
+  describeError(error) {
+    return error.response?.data?.message || error.message;
+  }
+}
+
+module.exports = { DigitalOceanDNSProvider };
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { DNSProviderAdapter } = require('../base-provider');
+
+/**
+ * GoDaddy DNS adapter
+ * GoDaddy has no record IDs; records are addressed by type and name
+ */
+class GoDaddyDNSProvider extends DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+
+    if (!credentials.apiKey || !credentials.apiSecret) {
+      throw new Error('GoDaddy API key and secret not found in configuration');
+    }
+
+    this.client = axios.create({
+      baseURL: options.baseURL || 'https://api.godaddy.com/v1',
+      headers: {
+        'Authorization': `sso-key ${credentials.apiKey}:${credentials.apiSecret}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  static get providerName() {
+    return 'godaddy';
+  }
+
+  static get displayName() {
+    return 'GoDaddy';
+  }
+
+  static get requiredCredentials() {
+    return ['apiKey', 'apiSecret'];
+  }
+
+  async verifyCredentials() {
+    try {
+      await this.client.get('/domains', { params: { limit: 1 } });
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: this.describeError(error) };
+    }
+  }
+
+  async listZones() {
+    try {
+      const response = await this.client.get('/domains', { params: { statuses: 'ACTIVE' } });
+      return (response.data || []).map(domain => ({ id: domain.domain, name: domain.domain }));
+    } catch (error) {
+      throw new Error(`Failed to get domains: ${this.describeError(error)}`);
+    }
+  }
+
+  async listRecords(zoneName) {
+    try {
+      const response = await this.client.get(`/domains/${zoneName}/records`);
+      return (response.data || []).map(record => this.normalizeRecord(record));
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new Error(`Domain ${zoneName} not found in GoDaddy DNS`);
+      }
+      throw new Error(`Failed to get DNS records: ${this.describeError(error)}`);
+    }
+  }
+
+  async createRecord(zoneName, record) {
+    const newRecord = {
+      type: record.type,
+      name: record.name,
+      data: record.data,
+      ttl: Math.max(record.ttl || 600, 600),
+      ...(record.priority !== undefined ? { priority: record.priority } : {})
+    };
+
+    try {
+      await this.client.patch(`/domains/${zoneName}/records`, [newRecord]);
+      return this.normalizeRecord(newRecord);
+    } catch (error) {
+      throw new Error(`Failed to create DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    // GoDaddy's minimum TTL is 600 seconds
+    const ttl = Math.max(changes.ttl || record.ttl || 600, 600);
+
+    try {
+      await this.client.put(
+        `/domains/${zoneName}/records/${record.type}/${encodeURIComponent(record.name)}`,
+        [{ data: changes.data, ttl }]
+      );
+      return this.normalizeRecord({ type: record.type, name: record.name, data: changes.data, ttl });
+    } catch (error) {
+      throw new Error(`Failed to update DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  async deleteRecord(zoneName, record) {
+    try {
+      await this.client.delete(`/domains/${zoneName}/records/${record.type}/${encodeURIComponent(record.name)}`);
+    } catch (error) {
+      throw new Error(`Failed to delete DNS record: ${this.describeError(error)}`);
+    }
+  }
+
+  normalizeRecord(record) {
+    return {
+      id: `${record.type}/${record.name}`,
+      name: record.name,
+      type: record.type,
+      data: record.data,
+      ttl: record.ttl,
+      ...(record.priority !== undefined ? { priority: record.priority } : {})
+    };
+  }
+
+  describeError(error) {
+    return error.response?.data?.message || error.message;
+  }
+}
+
+module.exports = { GoDaddyDNSProvider };
@@ -0,0 +1,275 @@
+const axios = require('axios');
+const { DNSProviderAdapter } = require('../base-provider');
+
+const PRODUCTION_URL = 'https://api.namecheap.com/xml.response';
+const SANDBOX_URL = 'https://api.sandbox.namecheap.com/xml.response';
+
+/**
+ * Namecheap DNS adapter
+ * The XML API has no per-record endpoints: setHosts replaces the whole host list
+ * of a domain, so every write is a read-modify-write of the current hosts.
+ * Calls are only accepted from the whitelisted client IP.
+ */
+class NamecheapDNSProvider extends DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+
+    if (!credentials.username || !credentials.apiKey) {
+      throw new Error('Namecheap username and API key not found in configuration');
+    }
+    if (!credentials.clientIp) {
+      throw new Error('Namecheap client IP not found in configuration (the IP whitelisted for API access)');
+    }
+
+    this.client = axios.create({
+      baseURL: options.baseURL || (options.sandbox ? SANDBOX_URL : PRODUCTION_URL),
+      timeout: 30000
+    });
+  }
+
+  static get providerName() {
+    return 'namecheap';
+  }
+
+  static get displayName() {
+    return 'Namecheap';
+  }
+
+  static get requiredCredentials() {
+    return ['username', 'apiKey', 'clientIp'];
+  }
+
+  async verifyCredentials() {
+    try {
+      const xml = await this.request('namecheap.domains.getList', { PageSize: 10 });
+      return { valid: true, domains: Number(this.getElementText(xml, 'TotalItems')) || 0 };
+    } catch (error) {
+      return { valid: false, error: error.message, code: error.code };
+    }
+  }
+
+  async listZones() {
+    const zones = [];
+    let page = 1;
+    let totalItems = 0;
+
+    do {
+      const xml = await this.request('namecheap.domains.getList', { Page: page, PageSize: 100 });
+      const domains = this.getElements(xml, 'Domain');
+
+      // Domains on external nameservers can't be managed through the API
+      zones.push(...domains
+        .filter(domain => domain.IsOurDNS !== 'false')
+        .map(domain => ({ id: domain.ID, name: domain.Name.toLowerCase() })));
+
+      totalItems = Number(this.getElementText(xml, 'TotalItems')) || 0;
+      if (domains.length === 0) {
+        break;
+      }
+      page++;
+    } while ((page - 1) * 100 < totalItems);
+
+    return zones;
+  }
+
+  async listRecords(zoneName) {
+    const { hosts } = await this.getHosts(zoneName);
+    return hosts;
+  }
+
+  async createRecord(zoneName, record) {
+    const { hosts, emailType } = await this.getHosts(zoneName);
+    const newRecord = {
+      name: record.name,
+      type: record.type,
+      data: record.data,
+      ttl: this.normalizeTTL(record.ttl),
+      priority: record.priority
+    };
+
+    await this.setHosts(zoneName, [...hosts, newRecord], emailType);
+    return await this.findStoredRecord(zoneName, newRecord);
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    const { hosts, emailType } = await this.getHosts(zoneName);
+    const existing = this.matchHost(hosts, record);
+    if (!existing) {
+      throw new Error(`DNS record ${record.type} ${record.name} not found in ${zoneName}`);
+    }
+
+    existing.data = changes.data;
+    existing.ttl = this.normalizeTTL(changes.ttl || existing.ttl);
+
+    await this.setHosts(zoneName, hosts, emailType);
+    return await this.findStoredRecord(zoneName, existing);
+  }
+
+  async deleteRecord(zoneName, record) {
+    const { hosts, emailType } = await this.getHosts(zoneName);
+    const existing = this.matchHost(hosts, record);
+    if (!existing) {
+      throw new Error(`DNS record ${record.type} ${record.name} not found in ${zoneName}`);
+    }
+
+    await this.setHosts(zoneName, hosts.filter(host => host !== existing), emailType);
+  }
+
+  async getHosts(zoneName) {
+    const xml = await this.request('namecheap.domains.dns.getHosts', this.splitDomain(zoneName));
+    const result = this.getElements(xml, 'DomainDNSGetHostsResult')[0] || {};
+
+    if (result.IsUsingOurDNS === 'false') {
+      throw new Error(`Domain ${zoneName} does not use Namecheap DNS`);
+    }
+
+    return {
+      hosts: this.getElements(xml, 'host').map(host => this.normalizeHost(host)),
+      emailType: result.EmailType
+    };
+  }
+
+  async setHosts(zoneName, hosts, emailType) {
+    const params = this.splitDomain(zoneName);
+
+    hosts.forEach((host, index) => {
+      const n = index + 1;
+      params[`HostName${n}`] = host.name;
+      params[`RecordType${n}`] = host.type;
+      params[`Address${n}`] = host.data;
+      params[`TTL${n}`] = host.ttl;
+      if (host.type === 'MX') {
+        params[`MXPref${n}`] = host.priority || 10;
+      }
+    });
+
+    // Without EmailType=MX Namecheap silently drops MX hosts
+    const hasMX = hosts.some(host => host.type === 'MX');
+    params.EmailType = hasMX ? 'MX' : (emailType && emailType !== 'MX' ? emailType : 'NONE');
+
+    const xml = await this.request('namecheap.domains.dns.setHosts', params, 'POST');
+    const result = this.getElements(xml, 'DomainDNSSetHostsResult')[0];
+    if (result && result.IsSuccess !== 'true') {
+      throw new Error(`Namecheap rejected the host update for ${zoneName}`);
+    }
+  }
+
+  /**
+   * Host IDs change on every setHosts, so the stored record is looked up again
+   */
+  async findStoredRecord(zoneName, record) {
+    const { hosts } = await this.getHosts(zoneName);
+    return this.matchHost(hosts, { ...record, id: null }) || this.normalizeHost({
+      Name: record.name, Type: record.type, Address: record.data, TTL: record.ttl, MXPref: record.priority
+    });
+  }
+
+  /**
+   * Match on content first: a stale HostId may belong to a different host after setHosts
+   */
+  matchHost(hosts, record) {
+    return hosts.find(host =>
+      host.name === record.name &&
+      host.type === record.type &&
+      host.data === record.data
+    ) || (record.id && hosts.find(host => host.id === record.id && host.type === record.type));
+  }
+
+  /**
+   * Call the XML API and return the response body, throwing on Status="ERROR"
+   */
+  async request(command, params = {}, method = 'GET') {
+    const query = {
+      ApiUser: this.credentials.apiUser || this.credentials.username,
+      ApiKey: this.credentials.apiKey,
+      UserName: this.credentials.username,
+      ClientIp: this.credentials.clientIp,
+      Command: command,
+      ...params
+    };
+
+    let response;
+    try {
+      response = method === 'POST'
+        ? await this.client.post('', new URLSearchParams(query).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        })
+        : await this.client.get('', { params: query });
+    } catch (error) {
+      throw new Error(`Namecheap API request ${command} failed: ${error.message}`);
+    }
+
+    const xml = String(response.data);
+    const status = this.getElements(xml, 'ApiResponse')[0]?.Status;
+
+    if (status !== 'OK') {
+      const errorMatch = xml.match(/<Error\b([^>]*)>([\s\S]*?)<\/Error>/i);
+      const error = new Error(errorMatch
+        ? this.decodeEntities(errorMatch[2].trim())
+        : `Unexpected Namecheap API response to ${command}`);
+      error.code = errorMatch ? this.parseAttributes(errorMatch[1]).Number : undefined;
+      throw error;
+    }
+
+    return xml;
+  }
+
+  /**
+   * Namecheap expects SLD and TLD separately (example + co.uk)
+   */
+  splitDomain(zoneName) {
+    const [sld, ...tld] = zoneName.split('.');
+    return { SLD: sld, TLD: tld.join('.') };
+  }
+
+  normalizeTTL(ttl) {
+    // Namecheap accepts 60-60000 seconds and defaults to 1800
+    return Math.min(Math.max(ttl || 1800, 60), 60000);
+  }
+
+  normalizeHost(host) {
+    const record = {
+      id: host.HostId,
+      name: host.Name,
+      type: host.Type,
+      data: host.Address,
+      ttl: Number(host.TTL) || 1800
+    };
+    if (host.Type === 'MX') {
+      record.priority = Number(host.MXPref) || 10;
+    }
+    return record;
+  }
+
+  /**
+   * Attributes of every (self-closing or open) element with the given tag name
+   */
+  getElements(xml, tagName) {
+    const pattern = new RegExp(`<${tagName}\\b([^>]*?)\\/?>`, 'gi');
+    return Array.from(xml.matchAll(pattern), match => this.parseAttributes(match[1]));
+  }
+
+  getElementText(xml, tagName) {
+    const match = xml.match(new RegExp(`<${tagName}>([^<]*)</${tagName}>`, 'i'));
+    return match ? this.decodeEntities(match[1].trim()) : null;
+  }
+
+  parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[match[1]] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+  }
+
+  decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = { NamecheapDNSProvider };
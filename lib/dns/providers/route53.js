@@ -0,0 +1,219 @@
+const { DNSProviderAdapter } = require('../base-provider');
+const Route53Manager = require('../../aws/route53');
+const { getAWSCredentials } = require('../../aws/credential-provider');
+
+/**
+ * AWS Route53 DNS adapter
+ * Route53 works on record sets (name + type) rather than single records,
+ * so each value of a record set is exposed as one normalized record and
+ * writes rewrite the whole set with the other values kept.
+ * Writes are UPSERT/DELETE change batches; by default each one waits for
+ * GetChange to report INSYNC before returning.
+ */
+class Route53DNSProvider extends DNSProviderAdapter {
+  constructor(credentials = {}, options = {}) {
+    super(credentials, options);
+
+    // Keys or a profile/role from the provider config; without them the SDK's default chain (env, profile, instance role) is used
+    this.route53 = new Route53Manager(
+      credentials.region || 'us-east-1',
+      getAWSCredentials(credentials),
+      options.endpoint ? { endpoint: options.endpoint } : {}
+    );
+
+    this.waitForSync = options.waitForSync !== false;
+    this.syncOptions = {
+      timeout: options.syncTimeout,
+      interval: options.syncInterval
+    };
+  }
+
+  static get providerName() {
+    return 'route53';
+  }
+
+  static get displayName() {
+    return 'AWS Route53';
+  }
+
+  static get requiredCredentials() {
+    // Falls back to the deployment's AWS credentials
+    return [];
+  }
+
+  async verifyCredentials() {
+    try {
+      const zones = await this.route53.listHostedZones();
+      return { valid: true, zones: zones.length };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Public hosted zones only: private zones can share a name with the public
+   * one and never serve the records that point at the instance
+   */
+  async listZones() {
+    const zones = await this.route53.listHostedZones();
+    return zones.filter(zone => !zone.private);
+  }
+
+  /**
+   * Find the most specific hosted zone that matches a domain
+   */
+  async findHostedZone(domain) {
+    if (!this.zoneCache) {
+      this.zoneCache = await this.listZones();
+    }
+    return await this.route53.findRoute53HostedZone(domain, this.zoneCache);
+  }
+
+  async findZoneForDomain(domain) {
+    return await this.findHostedZone(domain);
+  }
+
+  async listRecords(zoneName) {
+    const zone = await this.getZone(zoneName);
+    const recordSets = await this.route53.listResourceRecordSets(zone.id);
+    return recordSets.flatMap(recordSet => this.normalizeRecordSet(recordSet, zoneName));
+  }
+
+  async createRecord(zoneName, record) {
+    const value = this.toRecordValue(record.type, record.data, record.priority);
+    const recordSet = await this.getRecordSet(zoneName, record.name, record.type);
+    const values = recordSet ? [...new Set([...recordSet.values, value])] : [value];
+
+    return await this.changeRecordSet(zoneName, 'UPSERT', {
+      name: record.name,
+      type: record.type,
+      values,
+      ttl: record.ttl || recordSet?.ttl || 300
+    }, value);
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    const value = this.toRecordValue(record.type, changes.data, changes.priority);
+    const recordSet = await this.getRecordSet(zoneName, record.name, record.type);
+    const values = recordSet?.values.includes(record.data)
+      ? [...new Set(recordSet.values.map(existing => (existing === record.data ? value : existing)))]
+      : [value];
+
+    return await this.changeRecordSet(zoneName, 'UPSERT', {
+      name: record.name,
+      type: record.type,
+      values,
+      ttl: changes.ttl || record.ttl || 300
+    }, value);
+  }
+
+  async deleteRecord(zoneName, record) {
+    if (record.alias) {
+      throw new Error(`Cannot delete alias record ${record.name} through focal-deploy`);
+    }
+
+    const recordSet = await this.getRecordSet(zoneName, record.name, record.type);
+    if (!recordSet) {
+      return;
+    }
+
+    // Other values in the same record set stay in place
+    const remaining = recordSet.values.filter(value => value !== record.data);
+    await this.changeRecordSet(zoneName, remaining.length > 0 ? 'UPSERT' : 'DELETE', {
+      name: record.name,
+      type: record.type,
+      values: remaining.length > 0 ? remaining : recordSet.values,
+      ttl: recordSet.ttl
+    });
+  }
+
+  /**
+   * Current values of a record set, or null when it doesn't exist
+   */
+  async getRecordSet(zoneName, name, type) {
+    const zone = await this.getZone(zoneName);
+    const fqdn = this.toFqdn(name, zoneName);
+    const recordSets = await this.route53.listResourceRecordSets(zone.id, { name: fqdn, type, maxItems: 1 });
+    const recordSet = recordSets.find(set => set.Type === type && this.unescapeName(set.Name) === fqdn.toLowerCase());
+
+    return recordSet && !recordSet.AliasTarget
+      ? { values: (recordSet.ResourceRecords || []).map(record => record.Value), ttl: recordSet.TTL }
+      : null;
+  }
+
+  async changeRecordSet(zoneName, action, { name, type, values, ttl }, value = values[0]) {
+    const zone = await this.getZone(zoneName);
+    const fqdn = this.toFqdn(name, zoneName);
+
+    let change = await this.route53.changeResourceRecordSets(zone.id, [{
+      Action: action,
+      ResourceRecordSet: {
+        Name: fqdn,
+        Type: type,
+        TTL: ttl,
+        ResourceRecords: values.map(recordValue => ({ Value: recordValue }))
+      }
+    }], `focal-deploy ${action} ${type} ${fqdn}`);
+
+    if (this.waitForSync && change.status !== 'INSYNC') {
+      change = await this.route53.waitForChange(change.id, this.syncOptions);
+    }
+
+    return {
+      id: `${type}:${fqdn}:${value}`,
+      name,
+      type,
+      data: value,
+      ttl,
+      changeId: change.id,
+      changeStatus: change.status
+    };
+  }
+
+  /**
+   * Route53 keeps MX/SRV priority inside the value and needs TXT values quoted
+   */
+  toRecordValue(type, data, priority) {
+    if (type === 'TXT' && !/^".*"$/.test(data)) {
+      return `"${String(data).replace(/(["\\])/g, '\\$1')}"`;
+    }
+    if ((type === 'MX' || type === 'SRV') && priority !== undefined && priority !== null && !/^\d+\s/.test(data)) {
+      return `${priority} ${data}`;
+    }
+    return data;
+  }
+
+  /**
+   * One normalized record per value; alias record sets stay a single record
+   */
+  normalizeRecordSet(recordSet, zoneName) {
+    const fqdn = this.unescapeName(recordSet.Name);
+    const name = this.toRelativeName(fqdn, zoneName);
+
+    if (recordSet.AliasTarget) {
+      return [{
+        id: `${recordSet.Type}:${fqdn}`,
+        name,
+        type: recordSet.Type,
+        data: recordSet.AliasTarget.DNSName,
+        ttl: recordSet.TTL,
+        alias: true
+      }];
+    }
+
+    return (recordSet.ResourceRecords || []).map(record => ({
+      id: `${recordSet.Type}:${fqdn}:${record.Value}`,
+      name,
+      type: recordSet.Type,
+      data: record.Value,
+      ttl: recordSet.TTL
+    }));
+  }
+
+  unescapeName(name) {
+    // Route53 escapes '*' as \052 in record names
+    return name.replace(/\\052/g, '*').replace(/\.$/, '').toLowerCase();
+  }
+}
+
+module.exports = { Route53DNSProvider };
@@ -0,0 +1,328 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const { normalizeAddress } = require('../utils/ipv6');
+
+/**
+ * Provider-agnostic zone snapshots
+ * Zones are written as BIND zone files or YAML and read back into normalized
+ * records ({ name, type, data, ttl, priority? }) that any adapter can apply.
+ */
+
+const ZONE_FORMATS = ['bind', 'yaml'];
+
+// Record types whose data is a hostname
+const HOSTNAME_TYPES = ['CNAME', 'NS', 'MX', 'PTR'];
+
+/**
+ * Pick a format from a file extension
+ */
+function detectZoneFormat(filePath, fallback = 'bind') {
+  const extension = path.extname(filePath || '').toLowerCase();
+  if (extension === '.yml' || extension === '.yaml') {
+    return 'yaml';
+  }
+  if (['.zone', '.db', '.bind', '.txt'].includes(extension)) {
+    return 'bind';
+  }
+  return fallback;
+}
+
+/**
+ * Serialize a zone snapshot
+ * @param {Object} snapshot - { zone, provider, exportedAt, records }
+ * @param {string} format - 'bind' or 'yaml'
+ */
+function serializeZone(snapshot, format = 'bind') {
+  assertFormat(format);
+  const records = sortRecords(snapshot.records || []);
+
+  if (format === 'yaml') {
+    return yaml.dump({
+      zone: snapshot.zone,
+      provider: snapshot.provider,
+      exportedAt: snapshot.exportedAt,
+      records: records.map(record => ({
+        name: record.name,
+        type: record.type,
+        data: record.data,
+        ttl: record.ttl,
+        ...(record.priority !== undefined && record.priority !== null ? { priority: record.priority } : {})
+      }))
+    }, { lineWidth: -1 });
+  }
+
+  const defaultTtl = mostCommonTtl(records);
+  const nameWidth = Math.max(8, ...records.map(record => record.name.length)) + 2;
+  const lines = [
+    `; ${snapshot.zone} exported by focal-deploy`,
+    ...(snapshot.provider ? [`; provider: ${snapshot.provider}`] : []),
+    ...(snapshot.exportedAt ? [`; exported: ${snapshot.exportedAt}`] : []),
+    `$ORIGIN ${snapshot.zone}.`,
+    `$TTL ${defaultTtl}`,
+    ''
+  ];
+
+  for (const record of records) {
+    lines.push(`${record.name.padEnd(nameWidth)}${String(record.ttl || defaultTtl).padEnd(8)}IN  ${record.type.padEnd(7)}${toRdata(record)}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Parse a zone snapshot
+ * @param {string} content - File content
+ * @param {string} format - 'bind' or 'yaml'
+ * @param {string} zoneName - Zone to assume when the file doesn't name one
+ * @returns {Object} { zone, provider?, records }
+ */
+function parseZone(content, format = 'bind', zoneName = null) {
+  assertFormat(format);
+  return format === 'yaml' ? parseYamlZone(content, zoneName) : parseBindZone(content, zoneName);
+}
+
+function parseYamlZone(content, zoneName) {
+  const document = yaml.load(content) || {};
+  const zone = stripDot(document.zone || zoneName || '');
+  if (!zone) {
+    throw new Error('Zone file does not name a zone; pass the zone explicitly');
+  }
+
+  const records = (document.records || []).map((record, index) => {
+    if (!record.type || record.data === undefined || record.data === null) {
+      throw new Error(`Record ${index + 1} in ${zone} needs a type and data`);
+    }
+    return {
+      name: record.name === undefined || record.name === '' ? '@' : relativeName(String(record.name), zone),
+      type: String(record.type).toUpperCase(),
+      data: String(record.data),
+      ttl: Number(record.ttl) || 3600,
+      ...(record.priority !== undefined ? { priority: Number(record.priority) } : {})
+    };
+  });
+
+  return { zone, provider: document.provider, records };
+}
+
+function parseBindZone(content, zoneName) {
+  let origin = zoneName ? stripDot(zoneName) : null;
+  let defaultTtl = 3600;
+  let previousName = '@';
+  const records = [];
+
+  for (const entry of joinParentheses(content)) {
+    const line = stripComment(entry);
+    if (!line.trim()) {
+      continue;
+    }
+
+    if (/^\$ORIGIN\s+/i.test(line)) {
+      origin = stripDot(line.trim().split(/\s+/)[1]);
+      continue;
+    }
+    if (/^\$TTL\s+/i.test(line)) {
+      defaultTtl = Number(line.trim().split(/\s+/)[1]) || defaultTtl;
+      continue;
+    }
+    if (/^\$/.test(line)) {
+      throw new Error(`Unsupported zone file directive: ${line.trim().split(/\s+/)[0]}`);
+    }
+    if (!origin) {
+      throw new Error('Zone file has no $ORIGIN; pass the zone explicitly');
+    }
+
+    const tokens = tokenize(line);
+    // A leading blank repeats the previous owner name
+    const name = /^\s/.test(line) ? previousName : relativeName(tokens.shift(), origin);
+    let ttl = defaultTtl;
+
+    // TTL and class may appear in either order
+    while (tokens.length > 0 && (/^\d+$/.test(tokens[0]) || /^(IN|CH|HS)$/i.test(tokens[0]))) {
+      const token = tokens.shift();
+      if (/^\d+$/.test(token)) {
+        ttl = Number(token);
+      }
+    }
+
+    const type = (tokens.shift() || '').toUpperCase();
+    if (!type) {
+      throw new Error(`Missing record type in zone file line: ${line.trim()}`);
+    }
+    previousName = name;
+
+    if (type === 'SOA') {
+      continue;
+    }
+
+    records.push({ name, type, ttl, ...fromRdata(type, tokens) });
+  }
+
+  return { zone: origin, records };
+}
+
+/**
+ * Render record data as BIND rdata
+ */
+function toRdata(record) {
+  if (record.type === 'TXT') {
+    return splitTxt(unquoteTxt(record.data)).map(chunk => `"${chunk.replace(/(["\\])/g, '\\$1')}"`).join(' ');
+  }
+
+  let data = record.data;
+  if (HOSTNAME_TYPES.includes(record.type)) {
+    data = absoluteHostname(data);
+  }
+  if (record.type === 'MX' && record.priority !== undefined && record.priority !== null && !/^\d+\s/.test(data)) {
+    return `${record.priority} ${data}`;
+  }
+  return data;
+}
+
+/**
+ * Turn BIND rdata tokens back into record data
+ */
+function fromRdata(type, tokens) {
+  if (type === 'TXT') {
+    return { data: unquoteTxt(tokens.join(' ')) };
+  }
+  if (type === 'MX' && tokens.length === 2 && /^\d+$/.test(tokens[0])) {
+    return { data: tokens[1], priority: Number(tokens[0]) };
+  }
+  return { data: tokens.join(' ') };
+}
+
+/**
+ * Normalized value used to compare records from different providers
+ */
+function comparableData(record) {
+  const type = String(record.type).toUpperCase();
+  let data = String(record.data ?? '');
+
+  if (type === 'TXT') {
+    return unquoteTxt(data);
+  }
+  if (type === 'AAAA') {
+    return normalizeAddress(data);
+  }
+  if (HOSTNAME_TYPES.includes(type) || type === 'SRV') {
+    data = data.toLowerCase().replace(/\.$/, '');
+  }
+  if (type === 'MX' && record.priority !== undefined && record.priority !== null && !/^\d+\s/.test(data)) {
+    data = `${record.priority} ${data}`;
+  }
+  return data;
+}
+
+function absoluteHostname(value) {
+  if (value === '@' || value.endsWith('.') || !value.includes('.')) {
+    return value;
+  }
+  return `${value}.`;
+}
+
+function unquoteTxt(value) {
+  const text = String(value).trim();
+  const quoted = text.match(/"((?:[^"\\]|\\.)*)"/g);
+  if (!quoted) {
+    return text;
+  }
+  return quoted.map(chunk => chunk.slice(1, -1).replace(/\\(["\\])/g, '$1')).join('');
+}
+
+function splitTxt(value) {
+  // A single TXT character-string is limited to 255 bytes
+  const chunks = [];
+  for (let i = 0; i < value.length; i += 255) {
+    chunks.push(value.slice(i, i + 255));
+  }
+  return chunks.length > 0 ? chunks : [''];
+}
+
+function relativeName(name, origin) {
+  if (name === '@') {
+    return '@';
+  }
+  if (!name.endsWith('.')) {
+    return name.toLowerCase();
+  }
+  const fqdn = stripDot(name).toLowerCase();
+  if (fqdn === origin) {
+    return '@';
+  }
+  return fqdn.endsWith(`.${origin}`) ? fqdn.slice(0, -(origin.length + 1)) : fqdn;
+}
+
+function stripDot(value) {
+  return String(value).replace(/\.$/, '').toLowerCase();
+}
+
+function stripComment(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"' && line[i - 1] !== '\\') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ';' && !inQuotes) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Collapse records that span lines with ( ... ) into single entries
+ */
+function joinParentheses(content) {
+  const entries = [];
+  let buffer = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = stripComment(rawLine);
+    if (buffer !== null) {
+      buffer += ` ${line}`;
+      if (line.includes(')')) {
+        entries.push(buffer.replace(/[()]/g, ' '));
+        buffer = null;
+      }
+    } else if (line.includes('(') && !line.includes(')')) {
+      buffer = line;
+    } else {
+      entries.push(line.replace(/[()]/g, ' '));
+    }
+  }
+
+  return entries;
+}
+
+function tokenize(line) {
+  return Array.from(line.trim().matchAll(/"(?:[^"\\]|\\.)*"|\S+/g), match => match[0]);
+}
+
+function sortRecords(records) {
+  const order = name => (name === '@' ? '' : name.split('.').reverse().join('.'));
+  return [...records].sort((a, b) =>
+    order(a.name).localeCompare(order(b.name)) ||
+    a.type.localeCompare(b.type) ||
+    String(a.data).localeCompare(String(b.data))
+  );
+}
+
+function mostCommonTtl(records) {
+  const counts = {};
+  records.forEach(record => { counts[record.ttl] = (counts[record.ttl] || 0) + 1; });
+  const [ttl] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [3600];
+  return Number(ttl) || 3600;
+}
+
+function assertFormat(format) {
+  if (!ZONE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported zone format: ${format}. Supported formats: ${ZONE_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  ZONE_FORMATS,
+  detectZoneFormat,
+  serializeZone,
+  parseZone,
+  comparableData
+};
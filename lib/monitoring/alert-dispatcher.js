@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+
+/**
+ * Alert dispatcher
+ * Runs on the server next to alert-config.json (see MonitoringService.setupBasicAlerting)
+ * and is called by the health check and SSL expiry scripts:
+ *
+ *   alert-dispatcher.js evaluate --cpu 93.1 --memory 40 --disk 71 --service active --http 200
+ *   alert-dispatcher.js send --key ssl:example.com --severity warning --message "..."
+ *   alert-dispatcher.js test     send a test alert to every channel, print JSON results
+ *
+ * Alerts are deduplicated per key and rate limited, with state kept in
+ * alert-state.json. Channels: generic webhook, Slack-compatible webhook, SMTP.
+ * Only Node built-ins are used so the file can be copied to the server as is;
+ * the CLI reuses AlertDispatcher for local delivery and monitor-test-alert.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const CONFIG_FILE = path.join(__dirname, 'alert-config.json');
+const STATE_FILE = path.join(__dirname, 'alert-state.json');
+
+const DEFAULT_THRESHOLDS = { cpu: 80, memory: 85, disk: 90 };
+const DEFAULT_DEDUPE_MINUTES = 60;
+const DEFAULT_RATE_LIMIT = { max: 10, minutes: 60 };
+const SEVERITY_RANK = { info: 0, resolved: 0, warning: 1, critical: 2 };
+const EVALUATED_KEYS = ['cpu', 'memory', 'disk', 'service', 'health'];
+const SLACK_COLORS = { critical: 'danger', warning: 'warning', resolved: 'good', info: '#439FE0' };
+
+/**
+ * Turn the alerts section of focal-deploy.yml into an alert-config.json document
+ */
+function buildAlertConfig(config = {}) {
+  const alerts = config.alerts || {};
+  const smtp = alerts.smtp || null;
+
+  return {
+    enabled: alerts.enabled !== false,
+    projectName: config.projectName || config.project?.name || null,
+    thresholds: {
+      cpu: alerts.cpu || DEFAULT_THRESHOLDS.cpu,
+      memory: alerts.memory || DEFAULT_THRESHOLDS.memory,
+      disk: alerts.disk || DEFAULT_THRESHOLDS.disk
+    },
+    notifications: {
+      email: alerts.email || null,
+      webhook: alerts.webhook || null,
+      slack: alerts.slack || null,
+      smtp: smtp && {
+        host: smtp.host,
+        port: smtp.port || (smtp.secure ? 465 : 587),
+        secure: Boolean(smtp.secure),
+        username: smtp.username || null,
+        password: smtp.password || null,
+        from: smtp.from || alerts.email || null,
+        allowInsecureAuth: Boolean(smtp.allowInsecureAuth)
+      }
+    },
+    dedupeMinutes: alerts.dedupeMinutes || DEFAULT_DEDUPE_MINUTES,
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...alerts.rateLimit }
+  };
+}
+
+/**
+ * Compare a health check sample against the thresholds
+ * @param {Object} sample - { cpu, memory, disk, service, http }
+ * @returns {Array} Alerts ({key, severity, message}) for the conditions that fire
+ */
+function evaluate(alertConfig, sample) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...alertConfig.thresholds };
+  const alerts = [];
+
+  for (const resource of ['cpu', 'memory', 'disk']) {
+    const value = parseFloat(sample[resource]);
+    if (Number.isFinite(value) && value > thresholds[resource]) {
+      const label = resource === 'cpu' ? 'CPU' : resource;
+      alerts.push({ key: resource, severity: 'warning', message: `High ${label} usage: ${value}% (threshold ${thresholds[resource]}%)` });
+    }
+  }
+
+  if (sample.service !== undefined && sample.service !== 'active') {
+    alerts.push({ key: 'service', severity: 'critical', message: `Service ${alertConfig.projectName} is not running (${sample.service || 'unknown'})` });
+  }
+  if (sample.http !== undefined && String(sample.http) !== '200') {
+    alerts.push({ key: 'health', severity: 'critical', message: `Health check failed: HTTP ${sample.http === '000' || !sample.http ? 'no response' : sample.http}` });
+  }
+
+  return alerts;
+}
+
+class AlertDispatcher {
+  /**
+   * @param {Object} alertConfig - alert-config.json contents
+   * @param {Object} options - { stateFile (no dedupe or rate limit without one), hostname, now }
+   */
+  constructor(alertConfig, options = {}) {
+    this.config = alertConfig || {};
+    this.stateFile = options.stateFile || null;
+    this.hostname = options.hostname || os.hostname();
+    this.now = options.now || (() => new Date());
+  }
+
+  /**
+   * Configured channels with their targets
+   */
+  channels() {
+    const notifications = this.config.notifications || {};
+    const channels = [];
+    if (notifications.webhook) {
+      channels.push({ name: 'webhook', target: notifications.webhook });
+    }
+    if (notifications.slack) {
+      channels.push({ name: 'slack', target: notifications.slack });
+    }
+    if (notifications.email && notifications.smtp?.host) {
+      channels.push({ name: 'email', target: notifications.email });
+    }
+    return channels;
+  }
+
+  loadState() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) {
+      return { active: {}, sent: [], suppressed: 0 };
+    }
+    try {
+      return { active: {}, sent: [], suppressed: 0, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+    } catch (error) {
+      return { active: {}, sent: [], suppressed: 0 };
+    }
+  }
+
+  saveState(state) {
+    if (this.stateFile) {
+      fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+    }
+  }
+
+  /**
+   * Send the alerts that are new, escalated or due again, and a resolved
+   * notice for previously active keys in `checkedKeys` that no longer fire
+   * @returns {Array} Dispatch results ({alert, status: sent|logged|failed|deduplicated|rate-limited, results})
+   */
+  async dispatch(alerts, checkedKeys = []) {
+    const state = this.loadState();
+    const now = this.now().getTime();
+    const dedupeWindow = (this.config.dedupeMinutes || DEFAULT_DEDUPE_MINUTES) * 60000;
+    const rateLimit = { ...DEFAULT_RATE_LIMIT, ...this.config.rateLimit };
+    const firing = new Set(alerts.map(alert => alert.key));
+    const outcomes = [];
+
+    const resolved = checkedKeys
+      .filter(key => state.active[key] && !firing.has(key))
+      .map(key => ({ key, severity: 'resolved', message: `Resolved: ${state.active[key].message}` }));
+
+    for (const alert of [...alerts, ...resolved]) {
+      const previous = state.active[alert.key];
+      if (alert.severity === 'resolved') {
+        delete state.active[alert.key];
+        if (!previous) {
+          continue;
+        }
+      } else if (previous) {
+        const escalated = SEVERITY_RANK[alert.severity] > SEVERITY_RANK[previous.severity];
+        if (!escalated && now - previous.lastSent < dedupeWindow) {
+          state.active[alert.key] = { ...previous, severity: alert.severity, message: alert.message };
+          outcomes.push({ alert, status: 'deduplicated' });
+          continue;
+        }
+      }
+
+      state.sent = state.sent.filter(timestamp => now - timestamp < rateLimit.minutes * 60000);
+      if (state.sent.length >= rateLimit.max) {
+        state.suppressed++;
+        if (alert.severity !== 'resolved') {
+          state.active[alert.key] = { severity: alert.severity, message: alert.message, since: previous?.since || now, lastSent: previous?.lastSent || 0 };
+        }
+        outcomes.push({ alert, status: 'rate-limited' });
+        continue;
+      }
+
+      const results = await this.deliver(alert, state.suppressed);
+      const delivered = results.length === 0 || results.some(result => result.ok);
+      if (results.length > 0 && delivered) {
+        state.sent.push(now);
+        state.suppressed = 0;
+      }
+      if (alert.severity !== 'resolved') {
+        state.active[alert.key] = {
+          severity: alert.severity,
+          message: alert.message,
+          since: previous?.since || now,
+          lastSent: delivered ? now : previous?.lastSent || 0
+        };
+      }
+      // Without channels the alert only reaches the log
+      outcomes.push({ alert, status: results.length === 0 ? 'logged' : delivered ? 'sent' : 'failed', results });
+    }
+
+    this.saveState(state);
+    return outcomes;
+  }
+
+  /**
+   * Deliver one alert to every channel; failures are reported, not thrown
+   * @returns {Array} [{channel, target, ok, error?}]
+   */
+  async deliver(alert, suppressed = 0) {
+    const results = [];
+    for (const channel of this.channels()) {
+      try {
+        if (channel.name === 'webhook') {
+          await postJSON(channel.target, this.webhookPayload(alert, suppressed));
+        } else if (channel.name === 'slack') {
+          await postJSON(channel.target, this.slackPayload(alert, suppressed));
+        } else {
+          await sendMail(this.config.notifications.smtp, channel.target, this.emailMessage(alert, suppressed));
+        }
+        results.push({ channel: channel.name, target: channel.target, ok: true });
+      } catch (error) {
+        results.push({ channel: channel.name, target: channel.target, ok: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  text(alert, suppressed = 0) {
+    const note = suppressed > 0 ? ` (${suppressed} earlier alert(s) suppressed by the rate limit)` : '';
+    return `[${this.config.projectName || 'focal-deploy'}] ${alert.message}${note}`;
+  }
+
+  webhookPayload(alert, suppressed) {
+    return {
+      text: this.text(alert, suppressed),
+      project: this.config.projectName,
+      host: this.hostname,
+      type: alert.type || 'alert',
+      key: alert.key,
+      severity: alert.severity,
+      message: alert.message,
+      timestamp: this.now().toISOString(),
+      suppressed,
+      ...alert.details
+    };
+  }
+
+  slackPayload(alert, suppressed) {
+    return {
+      text: this.text(alert, suppressed),
+      attachments: [{
+        color: SLACK_COLORS[alert.severity] || SLACK_COLORS.info,
+        fields: [
+          { title: 'Severity', value: alert.severity, short: true },
+          { title: 'Host', value: this.hostname, short: true }
+        ],
+        ts: Math.floor(this.now().getTime() / 1000)
+      }]
+    };
+  }
+
+  emailMessage(alert, suppressed) {
+    return {
+      subject: `[${this.config.projectName || 'focal-deploy'}] ${alert.severity.toUpperCase()}: ${alert.message}`.slice(0, 200),
+      body: [
+        this.text(alert, suppressed),
+        '',
+        `Severity: ${alert.severity}`,
+        `Host: ${this.hostname}`,
+        `Time: ${this.now().toISOString()}`
+      ].join('\n')
+    };
+  }
+}
+
+function postJSON(url, payload, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      timeout
+    }, response => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response.statusCode);
+        } else {
+          reject(new Error(`HTTP ${response.statusCode}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Line-oriented SMTP session: reads multi-line replies and checks reply codes
+ */
+class SMTPSession {
+  constructor(socket, timeout) {
+    this.buffer = '';
+    this.replies = [];
+    this.waiting = null;
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let match;
+    // A reply ends with a line "NNN text"; continuation lines are "NNN-text"
+    while ((match = this.buffer.match(/^((?:\d{3}-[^\n]*\n)*)(\d{3})(?: [^\n]*)?\r?\n/))) {
+      this.buffer = this.buffer.slice(match[0].length);
+      this.replies.push({ code: parseInt(match[2], 10), text: match[0].trim() });
+    }
+    this.flush();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiting) {
+      return;
+    }
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  async expect(codes, line = null) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      const command = line ? line.split(' ')[0] : 'greeting';
+      throw new Error(`SMTP ${command} rejected: ${reply.text}`);
+    }
+    return reply;
+  }
+
+  /**
+   * Upgrade the connection after a successful STARTTLS
+   */
+  async startTLS(servername) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+    const secure = tls.connect({ socket: plain, servername });
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+    });
+    this.attach(secure);
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Send a plain-text mail. Port 465 (smtp.secure) is TLS from the start; otherwise
+ * STARTTLS is used when offered. Credentials are never sent over a plaintext
+ * connection unless smtp.allowInsecureAuth is set.
+ */
+async function sendMail(smtp, to, message, timeout = 15000) {
+  const recipients = String(to).split(',').map(address => address.trim()).filter(Boolean);
+  const from = smtp.from || recipients[0];
+  const connectOptions = { host: smtp.host, port: smtp.port || (smtp.secure ? 465 : 587) };
+  const socket = smtp.secure
+    ? tls.connect({ ...connectOptions, servername: smtp.host })
+    : net.connect(connectOptions);
+  const session = new SMTPSession(socket, timeout);
+  let encrypted = Boolean(smtp.secure);
+
+  try {
+    await session.expect([220]);
+    let ehlo = await session.expect([250], `EHLO ${os.hostname()}`);
+
+    if (!encrypted && /STARTTLS/i.test(ehlo.text)) {
+      await session.expect([220], 'STARTTLS');
+      await session.startTLS(smtp.host);
+      encrypted = true;
+      ehlo = await session.expect([250], `EHLO ${os.hostname()}`);
+    }
+
+    if (smtp.username) {
+      if (!encrypted && !smtp.allowInsecureAuth) {
+        throw new Error(`${smtp.host} does not offer TLS; refusing to send the SMTP password in plaintext`);
+      }
+      const credentials = Buffer.from(`\0${smtp.username}\0${smtp.password || ''}`).toString('base64');
+      await session.expect([235], `AUTH PLAIN ${credentials}`);
+    }
+
+    await session.expect([250], `MAIL FROM:<${from}>`);
+    for (const recipient of recipients) {
+      await session.expect([250, 251], `RCPT TO:<${recipient}>`);
+    }
+    await session.expect([354], 'DATA');
+
+    const body = Buffer.from(message.body).toString('base64').replace(/(.{76})/g, '$1\r\n');
+    const data = [
+      `From: ${from}`,
+      `To: ${recipients.join(', ')}`,
+      `Subject: ${encodeHeader(message.subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${os.hostname()}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+    await session.expect([250], `${data}\r\n.`);
+    await session.expect([221], 'QUIT').catch(() => {});
+  } finally {
+    session.socket.destroy();
+  }
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+function report(outcomes) {
+  for (const { alert, status, results = [] } of outcomes) {
+    const channels = results.map(result => `${result.channel} ${result.ok ? 'ok' : `failed (${result.error})`}`).join(', ');
+    console.log(`[${new Date().toISOString().replace('T', ' ').slice(0, 19)}] ALERT ${alert.severity} ${alert.key}: ${alert.message} -> ${status}${channels ? `: ${channels}` : ''}`);
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+  const alertConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  const dispatcher = new AlertDispatcher(alertConfig, { stateFile: STATE_FILE });
+
+  if (command === 'test') {
+    const results = await dispatcher.deliver({
+      key: 'test',
+      severity: 'info',
+      message: args.message || `Test alert from ${dispatcher.hostname}`
+    });
+    console.log(JSON.stringify({ channels: dispatcher.channels().map(channel => channel.name), results }));
+    return;
+  }
+
+  if (alertConfig.enabled === false) {
+    return;
+  }
+
+  if (command === 'evaluate') {
+    report(await dispatcher.dispatch(evaluate(alertConfig, args), EVALUATED_KEYS));
+  } else if (command === 'send') {
+    if (!args.key || !args.message) {
+      throw new Error('send needs --key and --message');
+    }
+    const severity = args.severity || 'warning';
+    const alert = { key: args.key, severity, message: args.message, type: args.type };
+    report(await dispatcher.dispatch(severity === 'resolved' ? [] : [alert], severity === 'resolved' ? [args.key] : []));
+  } else {
+    throw new Error(`Unknown command "${command}" (expected evaluate, send or test)`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Alert dispatcher: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { AlertDispatcher, buildAlertConfig, evaluate, sendMail, EVALUATED_KEYS };
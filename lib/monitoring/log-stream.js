@@ -0,0 +1,309 @@
+/**
+ * Multi-source log streaming for "focal-deploy monitor-logs".
+ *
+ * One remote script tails every selected source and prefixes each line with
+ * its source name. Lines are parsed here for their level and timestamp, so
+ * the filters behave the same for every source. When following, a dropped
+ * connection is resumed from the last line seen (journald cursor, timestamps
+ * for files) without repeating lines.
+ */
+
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error'];
+const JOURNAL_LEVELS = ['error', 'error', 'error', 'error', 'warning', 'notice', 'info', 'debug'];
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+const RESUME_BACKLOG = 1000;
+const SINCE_BACKLOG = 5000;
+
+/**
+ * Log sources on a focal-deploy server. Timestamps without a zone are server
+ * time, which is UTC on the images focal-deploy launches.
+ */
+function defaultSources(config) {
+  return [
+    { name: 'app', type: 'journald', unit: config.projectName },
+    { name: 'nginx-access', type: 'file', path: '/var/log/nginx/access.log' },
+    { name: 'nginx-error', type: 'file', path: '/var/log/nginx/error.log' },
+    { name: 'fail2ban', type: 'file', path: '/var/log/fail2ban.log' },
+    { name: 'health', type: 'file', path: `/var/log/${config.projectName}/health-check.log` }
+  ];
+}
+
+function utc(year, month, day, hours, minutes, seconds) {
+  return Date.UTC(parseInt(year, 10), month, parseInt(day, 10), parseInt(hours, 10), parseInt(minutes, 10), parseInt(seconds, 10));
+}
+
+/**
+ * Timestamp (ms) of a file log line, or null when it has none
+ */
+function parseTimestamp(source, line) {
+  let match;
+  if (source === 'nginx-access' && (match = line.match(/\[(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})\]/))) {
+    const offset = (match[7] === '-' ? -1 : 1) * (parseInt(match[8], 10) * 60 + parseInt(match[9], 10)) * 60000;
+    return utc(match[3], MONTHS[match[2]], match[1], match[4], match[5], match[6]) - offset;
+  }
+  if ((match = line.match(/^\[?(\d{4})[-/](\d{2})[-/](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/))) {
+    return utc(match[1], parseInt(match[2], 10) - 1, match[3], match[4], match[5], match[6]);
+  }
+  return null;
+}
+
+/**
+ * Level of a file log line from the conventions of each source
+ */
+function detectLevel(source, line) {
+  if (source === 'nginx-access') {
+    const status = line.match(/" (\d{3}) /);
+    if (status) {
+      return status[1] >= '500' ? 'error' : status[1] >= '400' ? 'warning' : 'info';
+    }
+    return 'info';
+  }
+  if (source === 'nginx-error') {
+    const level = line.match(/\[(debug|info|notice|warn|error|crit|alert|emerg)\]/);
+    if (level) {
+      return { warn: 'warning', crit: 'error', alert: 'error', emerg: 'error' }[level[1]] || level[1];
+    }
+  }
+  if (source === 'fail2ban') {
+    const level = line.match(/\s(DEBUG|INFO|NOTICE|WARNING|ERROR|CRITICAL)\s/);
+    if (level) {
+      return level[1] === 'CRITICAL' ? 'error' : level[1].toLowerCase();
+    }
+  }
+  if (/❌|\bALERT\b|\b(error|fatal|critical)\b/i.test(line)) {
+    return 'error';
+  }
+  if (/⚠️|\bwarn(ing)?\b/i.test(line)) {
+    return 'warning';
+  }
+  return 'info';
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+class LogStream {
+  /**
+   * @param {Object} sshService - SSHService (needs streamCommand)
+   * @param {Object} config - Project configuration
+   * @param {Object} options - { sources (names), grep, since (Date), level, lines, sourceDefinitions }
+   */
+  constructor(sshService, config, options = {}) {
+    this.sshService = sshService;
+    const available = options.sourceDefinitions || defaultSources(config);
+    const names = options.sources && options.sources.length > 0 ? options.sources : available.map(source => source.name);
+
+    const unknown = names.filter(name => !available.some(source => source.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown log source(s): ${unknown.join(', ')} (available: ${available.map(source => source.name).join(', ')})`);
+    }
+    if (options.level && !LEVELS.includes(options.level)) {
+      throw new Error(`Unknown level "${options.level}" (expected ${LEVELS.join(', ')})`);
+    }
+
+    this.sources = available.filter(source => names.includes(source.name));
+    this.grep = options.grep ? new RegExp(options.grep, 'i') : null;
+    this.since = options.since || null;
+    this.minLevel = options.level ? LEVELS.indexOf(options.level) : 0;
+    this.lines = options.lines || 10;
+    this.positions = {};
+    this.channel = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Bash script that prints "<source>\t<line>" for every selected source
+   * @param {Object} options - { follow, resume (reconnecting after a drop) }
+   */
+  buildScript({ follow = false, resume = false } = {}) {
+    const commands = this.sources.map(source => {
+      let command;
+      if (source.type === 'journald') {
+        const position = this.positions[source.name];
+        const args = [`-u ${shellQuote(source.unit)}`, '--no-pager', '-o json'];
+        if (resume && position?.cursor) {
+          args.push(`--after-cursor=${shellQuote(position.cursor)}`);
+        } else if (this.since) {
+          args.push(`--since @${Math.floor(this.since.getTime() / 1000)}`, '-n all');
+        } else {
+          args.push(`-n ${this.lines}`);
+        }
+        if (follow) {
+          args.push('-f');
+        }
+        command = `journalctl ${args.join(' ')}`;
+      } else {
+        const backlog = resume ? RESUME_BACKLOG : this.since ? SINCE_BACKLOG : this.lines;
+        command = `tail -n ${backlog}${follow ? ' -F' : ''} ${shellQuote(source.path)} 2>/dev/null`;
+      }
+      return `(${command} | sed -u 's/^/${source.name}\\t/') &`;
+    });
+
+    return ['#!/bin/bash', ...commands, 'wait', ''].join('\n');
+  }
+
+  /**
+   * Remote command: the script runs as root (the logs are not world-readable)
+   */
+  buildCommand(options) {
+    return `sudo bash -s << 'FOCAL_DEPLOY_LOGS'\n${this.buildScript(options)}FOCAL_DEPLOY_LOGS`;
+  }
+
+  /**
+   * Parse a "<source>\t<line>" line into an entry, or null when it is not one
+   * @returns {Object|null} { source, time (ms or null), level, message, raw, cursor? }
+   */
+  parseLine(line) {
+    const tab = line.indexOf('\t');
+    if (tab === -1) {
+      return null;
+    }
+    const name = line.slice(0, tab);
+    const raw = line.slice(tab + 1);
+    const source = this.sources.find(candidate => candidate.name === name);
+    if (!source) {
+      return null;
+    }
+
+    if (source.type === 'journald') {
+      let record;
+      try {
+        record = JSON.parse(raw);
+      } catch (error) {
+        return null;
+      }
+      const message = typeof record.MESSAGE === 'string'
+        ? record.MESSAGE
+        : Array.isArray(record.MESSAGE) ? Buffer.from(record.MESSAGE).toString() : '';
+      return {
+        source: name,
+        time: record.__REALTIME_TIMESTAMP ? Math.floor(parseInt(record.__REALTIME_TIMESTAMP, 10) / 1000) : null,
+        level: JOURNAL_LEVELS[parseInt(record.PRIORITY, 10)] || 'info',
+        message,
+        raw,
+        cursor: record.__CURSOR
+      };
+    }
+
+    // Continuation lines (stack traces) take the time of the line before them
+    const time = parseTimestamp(name, raw) ?? this.positions[name]?.time ?? null;
+    return { source: name, time, level: detectLevel(name, raw), message: raw, raw };
+  }
+
+  /**
+   * Whether the entry is new (not seen before a reconnect); records it as seen
+   */
+  isNew(entry) {
+    const position = this.positions[entry.source] || { time: null, seen: new Set() };
+    this.positions[entry.source] = position;
+
+    if (entry.cursor) {
+      position.cursor = entry.cursor;
+    }
+    if (entry.time === null) {
+      return true;
+    }
+    if (position.time !== null && entry.time < position.time) {
+      return false;
+    }
+    if (entry.time === position.time) {
+      if (position.seen.has(entry.raw)) {
+        return false;
+      }
+    } else {
+      position.time = entry.time;
+      position.seen = new Set();
+    }
+    position.seen.add(entry.raw);
+    return true;
+  }
+
+  matches(entry) {
+    if (this.since && entry.time !== null && entry.time < this.since.getTime()) {
+      return false;
+    }
+    if (LEVELS.indexOf(entry.level) < this.minLevel) {
+      return false;
+    }
+    return !this.grep || this.grep.test(entry.message);
+  }
+
+  /**
+   * Split streamed output into lines and pass matching new entries on
+   */
+  createLineHandler(onEntry) {
+    let buffer = '';
+    return chunk => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        const entry = this.parseLine(line);
+        if (entry && this.isNew(entry) && this.matches(entry)) {
+          onEntry(entry);
+        }
+      }
+    };
+  }
+
+  /**
+   * Print the recent lines of every source once
+   */
+  async fetch(host, sshOptions, onEntry) {
+    const channel = await this.sshService.streamCommand(host, this.buildCommand(), { ...sshOptions, pty: true }, {
+      onData: this.createLineHandler(onEntry)
+    });
+    await channel.done;
+  }
+
+  /**
+   * Follow all sources until stop(); reconnects with backoff after a drop
+   * @param {Function} onStatus - called with ('connected'|'reconnecting'|'error', details)
+   */
+  async follow(host, sshOptions, onEntry, onStatus = () => {}, retryDelay = 2000) {
+    this.stopped = false;
+    let attempt = 0;
+    let resume = false;
+
+    while (!this.stopped) {
+      const started = Date.now();
+      try {
+        this.channel = await this.sshService.streamCommand(host, this.buildCommand({ follow: true, resume }), { ...sshOptions, pty: true }, {
+          onData: this.createLineHandler(onEntry)
+        });
+        onStatus('connected', { resumed: resume });
+        await this.channel.done;
+      } catch (error) {
+        onStatus('error', { error });
+      }
+      this.channel = null;
+      if (this.stopped) {
+        break;
+      }
+
+      // A channel that stayed up for a while starts the backoff over
+      attempt = Date.now() - started > 30000 ? 1 : attempt + 1;
+      const delay = Math.min(retryDelay * 2 ** (attempt - 1), 30000);
+      resume = true;
+      onStatus('reconnecting', { attempt, delay });
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, delay);
+      });
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wake) {
+      this.wake();
+    }
+    if (this.channel) {
+      this.channel.close();
+    }
+  }
+}
+
+module.exports = { LogStream, LEVELS, defaultSources, parseTimestamp, detectLevel };
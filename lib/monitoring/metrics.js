@@ -0,0 +1,155 @@
+/**
+ * Metrics history written by the server-side health check: one JSON sample
+ * per line in /var/log/<project>/metrics.jsonl, rotated by logrotate.
+ *
+ *   {"ts":1767261600,"cpu":12.5,"memory":41.2,"disk":63,"responseTime":18,"status":200,"service":"active"}
+ *
+ * Used by "focal-deploy monitor-report" to summarize a time window.
+ */
+
+const RESOURCES = ['cpu', 'memory', 'disk', 'responseTime'];
+const CSV_COLUMNS = ['timestamp', 'cpu', 'memory', 'disk', 'responseTime', 'status', 'service', 'healthy'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as 30m, 24h, 7d or 2w into milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (!match || parseInt(match[1], 10) === 0) {
+    throw new Error(`Invalid duration "${value}" (expected e.g. 30m, 24h, 7d or 2w)`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse metrics.jsonl content; unreadable lines (e.g. from a crash mid-write) are skipped
+ * @returns {Array} Samples sorted by time, with `time` as a Date
+ */
+function parseSamples(text) {
+  const samples = [];
+  for (const line of String(text).split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if (!Number.isFinite(raw.ts)) {
+      continue;
+    }
+    const status = toNumber(raw.status);
+    samples.push({
+      time: new Date(raw.ts * 1000),
+      cpu: toNumber(raw.cpu),
+      memory: toNumber(raw.memory),
+      disk: toNumber(raw.disk),
+      responseTime: toNumber(raw.responseTime),
+      status,
+      service: raw.service || null,
+      healthy: status === 200 && (!raw.service || raw.service === 'active')
+    });
+  }
+  return samples.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+function failureReason(sample) {
+  if (sample.service && sample.service !== 'active') {
+    return `service ${sample.service}`;
+  }
+  return sample.status ? `HTTP ${sample.status}` : 'no response';
+}
+
+/**
+ * Summarize the samples in [since, until]: min/avg/p95/max per resource,
+ * uptime (share of healthy samples) and incidents (runs of unhealthy samples)
+ */
+function summarize(allSamples, { since, until = new Date() }) {
+  const samples = allSamples.filter(sample => sample.time >= since && sample.time <= until);
+  const metrics = {};
+
+  for (const resource of RESOURCES) {
+    const values = samples.map(sample => sample[resource]).filter(value => value !== null);
+    metrics[resource] = values.length === 0 ? null : {
+      min: round(Math.min(...values)),
+      avg: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      p95: round(percentile(values, 95)),
+      max: round(Math.max(...values))
+    };
+  }
+
+  const incidents = [];
+  let current = null;
+  for (const sample of samples) {
+    if (!sample.healthy && !current) {
+      current = { start: sample.time.toISOString(), end: null, reason: failureReason(sample), samples: 0 };
+      incidents.push(current);
+    }
+    if (!sample.healthy) {
+      current.samples++;
+    } else if (current) {
+      current.end = sample.time.toISOString();
+      current = null;
+    }
+  }
+  for (const incident of incidents) {
+    const end = incident.end ? new Date(incident.end) : until;
+    incident.durationMinutes = Math.round((end - new Date(incident.start)) / 60000);
+    incident.ongoing = incident.end === null;
+  }
+
+  const healthy = samples.filter(sample => sample.healthy).length;
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    samples: samples.length,
+    firstSample: samples[0]?.time.toISOString() || null,
+    lastSample: samples[samples.length - 1]?.time.toISOString() || null,
+    metrics,
+    uptime: {
+      percent: samples.length === 0 ? null : Math.round((healthy / samples.length) * 10000) / 100,
+      healthySamples: healthy,
+      totalSamples: samples.length
+    },
+    incidents
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Samples as CSV, one row per sample
+ */
+function toCSV(samples) {
+  const rows = samples.map(sample => CSV_COLUMNS.map(column =>
+    csvValue(column === 'timestamp' ? sample.time.toISOString() : sample[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = { parseDuration, parseSamples, percentile, summarize, toCSV };
@@ -0,0 +1,120 @@
+const {
+  SSMClient,
+  PutParameterCommand,
+  GetParameterCommand,
+  GetParametersByPathCommand,
+  DeleteParameterCommand
+} = require('@aws-sdk/client-ssm');
+const { SecretsBackend } = require('../base-backend');
+const { getAWSCredentials } = require('../../aws/credential-provider');
+
+/**
+ * AWS Systems Manager Parameter Store backend
+ * Each secret is a SecureString parameter named
+ * <prefix>/<project>/<scope>/<NAME>, encrypted with the account's default
+ * SSM key or secrets.kmsKeyId.
+ */
+class SSMSecretsBackend extends SecretsBackend {
+  /**
+   * @param {Object} options - { project, scope, config, aws } where aws is the aws configuration section
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const aws = options.aws || {};
+    this.prefix = (this.config.prefix || '/focal-deploy').replace(/\/+$/, '');
+    this.kmsKeyId = this.config.kmsKeyId;
+    this.client = new SSMClient({
+      region: this.config.region || aws.region || 'us-east-1',
+      credentials: getAWSCredentials(aws),
+      ...(this.config.endpoint ? { endpoint: this.config.endpoint } : {})
+    });
+  }
+
+  static get backendName() {
+    return 'ssm';
+  }
+
+  static get displayName() {
+    return 'SSM Parameter Store';
+  }
+
+  describe() {
+    return `${this.displayName} (${this.path()})`;
+  }
+
+  path() {
+    return `${this.prefix}/${this.project}/${this.scope}`;
+  }
+
+  parameterName(name) {
+    return `${this.path()}/${name}`;
+  }
+
+  async set(name, value) {
+    await this.client.send(new PutParameterCommand({
+      Name: this.parameterName(name),
+      Value: value,
+      Type: 'SecureString',
+      Overwrite: true,
+      ...(this.kmsKeyId ? { KeyId: this.kmsKeyId } : {})
+    }));
+  }
+
+  async get(name) {
+    try {
+      const { Parameter } = await this.client.send(new GetParameterCommand({
+        Name: this.parameterName(name),
+        WithDecryption: true
+      }));
+      return Parameter.Value;
+    } catch (error) {
+      if (error.name === 'ParameterNotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list(options = {}) {
+    const secrets = [];
+    let nextToken;
+
+    do {
+      const response = await this.client.send(new GetParametersByPathCommand({
+        Path: this.path(),
+        Recursive: false,
+        WithDecryption: Boolean(options.withValues),
+        NextToken: nextToken
+      }));
+
+      for (const parameter of response.Parameters || []) {
+        const secret = {
+          name: parameter.Name.slice(this.path().length + 1),
+          updatedAt: parameter.LastModifiedDate ? new Date(parameter.LastModifiedDate).toISOString() : null
+        };
+        if (options.withValues) {
+          secret.value = parameter.Value;
+        }
+        secrets.push(secret);
+      }
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    return secrets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async unset(name) {
+    try {
+      await this.client.send(new DeleteParameterCommand({ Name: this.parameterName(name) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'ParameterNotFound') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { SSMSecretsBackend };
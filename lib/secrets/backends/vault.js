@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { SecretsBackend } = require('../base-backend');
+
+const VAULT_VERSION = 1;
+
+/**
+ * Local encrypted vault backend
+ * Secrets are kept in ~/.focal-deploy/secrets/<project>.json, readable only
+ * by the owner, with every value encrypted by the same key as the stored
+ * AWS credentials. Names and timestamps stay readable so "env list" does not
+ * need to decrypt anything.
+ */
+class VaultSecretsBackend extends SecretsBackend {
+  constructor(options = {}) {
+    super(options);
+
+    this.vaultDir = this.config.path
+      ? path.resolve(this.config.path)
+      : path.join(os.homedir(), '.focal-deploy', 'secrets');
+    this.vaultFile = path.join(this.vaultDir, `${this.project}.json`);
+    this.credentialManager = null;
+  }
+
+  static get backendName() {
+    return 'vault';
+  }
+
+  static get displayName() {
+    return 'Local vault';
+  }
+
+  describe() {
+    return `${this.displayName} (${this.vaultFile}, ${this.scope})`;
+  }
+
+  /**
+   * Encryption is delegated to CredentialManager, unlocked on first use
+   * because that may need the master passphrase
+   */
+  async cipher() {
+    if (!this.credentialManager) {
+      const CredentialManager = require('../../utils/credentials');
+      this.credentialManager = await new CredentialManager(this.project).unlock();
+    }
+    return this.credentialManager;
+  }
+
+  /**
+   * Decrypt the values of the current scope, re-encrypting values written
+   * with the earlier encryption format
+   */
+  async decryptScope(vault) {
+    const secrets = vault.scopes[this.scope] || {};
+    // Nothing to decrypt: do not create a key or ask for the passphrase
+    if (Object.keys(secrets).length === 0) {
+      return {};
+    }
+    const cipher = await this.cipher();
+    const CredentialManager = cipher.constructor;
+    const values = {};
+    let upgraded = false;
+
+    for (const [name, secret] of Object.entries(secrets)) {
+      values[name] = cipher.decrypt(secret.value);
+      if (CredentialManager.isLegacyCiphertext(secret.value)) {
+        secret.value = cipher.encrypt(values[name]);
+        upgraded = true;
+      }
+    }
+    if (upgraded) {
+      await this.writeVault(vault);
+    }
+    return values;
+  }
+
+  async readVault() {
+    if (!await fs.pathExists(this.vaultFile)) {
+      return { version: VAULT_VERSION, project: this.project, scopes: {} };
+    }
+    return await fs.readJson(this.vaultFile);
+  }
+
+  async writeVault(vault) {
+    await fs.ensureDir(this.vaultDir, { mode: 0o700 });
+    await fs.writeFile(this.vaultFile, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    // writeFile keeps the mode of an existing file
+    await fs.chmod(this.vaultFile, 0o600);
+  }
+
+  async set(name, value) {
+    const vault = await this.readVault();
+    vault.scopes[this.scope] = vault.scopes[this.scope] || {};
+    vault.scopes[this.scope][name] = {
+      value: (await this.cipher()).encrypt(value),
+      updatedAt: new Date().toISOString()
+    };
+    await this.writeVault(vault);
+  }
+
+  async get(name) {
+    const vault = await this.readVault();
+    if (!vault.scopes[this.scope]?.[name]) {
+      return null;
+    }
+    return (await this.decryptScope(vault))[name];
+  }
+
+  async list(options = {}) {
+    const vault = await this.readVault();
+    const values = options.withValues ? await this.decryptScope(vault) : {};
+    return Object.entries(vault.scopes[this.scope] || {})
+      .map(([name, secret]) => ({
+        name,
+        updatedAt: secret.updatedAt,
+        ...(options.withValues ? { value: values[name] } : {})
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async unset(name) {
+    const vault = await this.readVault();
+    if (!vault.scopes[this.scope]?.[name]) {
+      return false;
+    }
+    delete vault.scopes[this.scope][name];
+    if (Object.keys(vault.scopes[this.scope]).length === 0) {
+      delete vault.scopes[this.scope];
+    }
+    await this.writeVault(vault);
+    return true;
+  }
+}
+
+module.exports = { VaultSecretsBackend };
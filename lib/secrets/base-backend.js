@@ -0,0 +1,93 @@
+/**
+ * Base Secrets Backend
+ * Application environment variables that must not be stored in the project
+ * configuration live in a secrets backend. Every backend implements this
+ * contract so the "env" commands and the deployment services never need to
+ * know where the values are kept.
+ *
+ * Secrets belong to a project and a scope: 'default' for values shared by all
+ * environments, or the name of an environment (staging, production, ...).
+ */
+class SecretsBackend {
+  /**
+   * @param {Object} options - { project, scope, config } where config is the `secrets` section
+   */
+  constructor(options = {}) {
+    this.project = options.project;
+    this.scope = options.scope || 'default';
+    this.config = options.config || {};
+  }
+
+  /**
+   * Backend key used in configuration (e.g. 'ssm')
+   */
+  static get backendName() {
+    return 'base';
+  }
+
+  /**
+   * Human readable backend name
+   */
+  static get displayName() {
+    return 'Secrets Backend';
+  }
+
+  get displayName() {
+    return this.constructor.displayName;
+  }
+
+  /**
+   * Where the secrets of this project and scope are kept, for messages
+   */
+  describe() {
+    return `${this.displayName} (${this.project}/${this.scope})`;
+  }
+
+  /**
+   * Create or replace a secret
+   * @param {string} name - Variable name
+   * @param {string} value - Value
+   */
+  async set(name, value) {
+    throw this.notImplemented('set');
+  }
+
+  /**
+   * Value of a secret
+   * @returns {string|null} The value, or null when the secret does not exist
+   */
+  async get(name) {
+    throw this.notImplemented('get');
+  }
+
+  /**
+   * Secrets of this project and scope, sorted by name
+   * @param {Object} options - { withValues }
+   * @returns {Array} [{ name, updatedAt, value? }]
+   */
+  async list(options = {}) {
+    throw this.notImplemented('list');
+  }
+
+  /**
+   * Delete a secret
+   * @returns {boolean} false when the secret did not exist
+   */
+  async unset(name) {
+    throw this.notImplemented('unset');
+  }
+
+  /**
+   * All secrets of this project and scope as { NAME: value }
+   */
+  async getAll() {
+    const secrets = await this.list({ withValues: true });
+    return Object.fromEntries(secrets.map(secret => [secret.name, secret.value]));
+  }
+
+  notImplemented(method) {
+    return new Error(`${this.displayName} does not implement ${method}()`);
+  }
+}
+
+module.exports = { SecretsBackend };
@@ -0,0 +1,164 @@
+const { SecretsBackend } = require('./base-backend');
+const { SSMSecretsBackend } = require('./backends/ssm');
+const { VaultSecretsBackend } = require('./backends/vault');
+const { FocalDeployError } = require('../utils/errors');
+const { getActiveEnvironment } = require('../utils/environment');
+
+const DEFAULT_BACKEND = 'vault';
+const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Where earlier versions kept application variables in each configuration file
+const CONFIG_VARIABLE_PATHS = {
+  yaml: ['environment', 'app.environment'],
+  json: ['applicationConfig.environment']
+};
+
+const backends = new Map();
+
+/**
+ * Register a secrets backend class under its backendName
+ */
+function registerSecretsBackend(Backend, name = Backend.backendName) {
+  backends.set(name, Backend);
+  return Backend;
+}
+
+function getSecretsBackendNames() {
+  return Array.from(backends.keys());
+}
+
+/**
+ * Create the secrets backend of a project from its configuration
+ * @param {Object} config - Project configuration (secrets, aws and project sections)
+ * @param {Object} options - { backend, scope } to override secrets.backend and the active environment
+ * @returns {SecretsBackend} Backend instance
+ */
+function createSecretsBackend(config = {}, options = {}) {
+  const settings = config.secrets || {};
+  const name = options.backend || settings.backend || DEFAULT_BACKEND;
+  const Backend = backends.get(name);
+
+  if (!Backend) {
+    throw new FocalDeployError(
+      `Unsupported secrets backend: ${name}`,
+      `Set secrets.backend to one of: ${getSecretsBackendNames().join(', ')}`,
+      'SECRETS_BACKEND_UNKNOWN'
+    );
+  }
+
+  const project = config.project?.name || config.projectName;
+  if (!project) {
+    throw new FocalDeployError(
+      'Secrets need a project name.',
+      'Run the command in a project directory with focal-deploy.yml or .focal-deploy/config.json.',
+      'CONFIG_NOT_FOUND'
+    );
+  }
+
+  return new Backend({
+    project,
+    scope: options.scope || getActiveEnvironment() || 'default',
+    config: settings,
+    aws: config.aws
+  });
+}
+
+/**
+ * Secrets for a deployment: the shared 'default' scope with the active
+ * environment's secrets on top
+ * @returns {Promise<Object>} { NAME: value }
+ */
+async function loadSecrets(config = {}) {
+  const scopes = ['default'];
+  const environmentName = getActiveEnvironment() || config.environmentName;
+  if (environmentName && environmentName !== 'default') {
+    scopes.push(environmentName);
+  }
+
+  const secrets = {};
+  for (const scope of scopes) {
+    Object.assign(secrets, await createSecretsBackend(config, { scope }).getAll());
+  }
+  return secrets;
+}
+
+/**
+ * Application variables still set in a configuration file, for "env import"
+ * @param {Object} fileConfig - Parsed focal-deploy.yml or .focal-deploy/config.json
+ * @param {string} format - 'yaml' or 'json'
+ * @returns {Array} [{ scope, path, variables }], scope 'default' for the shared settings
+ */
+function findConfigVariables(fileConfig, format) {
+  const sections = [
+    ['default', '', fileConfig],
+    ...Object.entries(fileConfig.environments || {}).map(([name, overrides]) => [name, `environments.${name}.`, overrides || {}])
+  ];
+
+  const found = [];
+  for (const [scope, prefix, section] of sections) {
+    for (const variablePath of CONFIG_VARIABLE_PATHS[format]) {
+      const variables = variablePath.split('.').reduce((value, key) => value?.[key], section);
+      if (variables && typeof variables === 'object' && Object.keys(variables).length > 0) {
+        found.push({ scope, path: `${prefix}${variablePath}`, variables });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Refuse to deploy variables that are still in the project configuration,
+ * so secrets only ever come from the secrets backend
+ * @param {...Object} sections - Variable maps of the loaded configuration
+ */
+function assertNoConfigVariables(...sections) {
+  const names = [...new Set(sections.flatMap(variables => Object.keys(variables || {})))];
+  if (names.length > 0) {
+    throw new FocalDeployError(
+      `Environment variables are still set in the project configuration: ${names.join(', ')}`,
+      'Run "focal-deploy env import" to move them to the secrets backend, then deploy again.',
+      'SECRETS_IN_CONFIG'
+    );
+  }
+}
+
+function validateSecretName(name) {
+  if (!SECRET_NAME_PATTERN.test(name || '')) {
+    throw new FocalDeployError(
+      `Invalid variable name "${name}"`,
+      'Use letters, digits and underscores, starting with a letter or underscore (e.g. DATABASE_URL).',
+      'SECRET_NAME_INVALID'
+    );
+  }
+  return name;
+}
+
+/**
+ * .env file content; values with spaces, quotes or newlines are double-quoted
+ */
+function renderEnvFile(variables) {
+  return Object.entries(variables)
+    .map(([name, value]) => {
+      const text = String(value);
+      if (/^[A-Za-z0-9_./:@+,=-]*$/.test(text)) {
+        return `${name}=${text}`;
+      }
+      return `${name}="${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    })
+    .join('\n') + '\n';
+}
+
+// Built-in backends
+[VaultSecretsBackend, SSMSecretsBackend].forEach(Backend => registerSecretsBackend(Backend));
+
+module.exports = {
+  SecretsBackend,
+  DEFAULT_BACKEND,
+  registerSecretsBackend,
+  getSecretsBackendNames,
+  createSecretsBackend,
+  loadSecrets,
+  findConfigVariables,
+  assertNoConfigVariables,
+  validateSecretName,
+  renderEnvFile
+};
@@ -3,6 +3,10 @@ const { logger } = require('../utils/logger');
 const { DeploymentService } = require('../utils/deployment');
 const { GitIntegration } = require('../utils/git-integration');
 const { SSHService } = require('../utils/ssh');
+const { EnhancedStateManager } = require('../utils/enhanced-state');
+const { isDualStackEnabled, nginxListenDirectives } = require('../utils/ipv6');
+const { generateReleaseId, parseReleaseList } = require('../utils/releases');
+const { loadSecrets, renderEnvFile, assertNoConfigVariables } = require('../secrets');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -15,7 +19,10 @@ class ApplicationDeploymentService {
     this.deploymentService = new DeploymentService();
     this.gitIntegration = new GitIntegration();
     this.sshService = new SSHService();
+    this.stateManager = new EnhancedStateManager();
     this.supportedAppTypes = ['nodejs', 'python', 'static', 'docker'];
+    this.defaultKeepReleases = 5;
+    this.defaultDrainSeconds = 30;
   }
 
   /**
@@ -59,16 +66,39 @@ class ApplicationDeploymentService {
         deploymentResult = await this.deployManualApplication(host, config, sshOptions, dryRun);
       }
 
-      // Configure Nginx for the application
-      const nginxResult = await this.configureNginx(host, config, sshOptions, dryRun);
+      let nginxResult;
+      let processResult;
+      let healthCheck = null;
 
-      // Setup process management and start application
-      const processResult = await this.setupProcessManagement(host, config, sshOptions, dryRun);
+      if (this.isBlueGreenEnabled(config)) {
+        // Start the new color, health check it, then switch the nginx upstream
+        processResult = await this.switchBlueGreen(host, config, sshOptions, this.getServiceAppDir(config, deploymentResult), dryRun);
+        nginxResult = processResult.nginx;
+        healthCheck = processResult.healthCheck || null;
+      } else {
+        // Configure Nginx for the application
+        nginxResult = await this.configureNginx(host, config, sshOptions, dryRun);
 
-      // Verify application is running
-      let healthCheck = null;
-      if (!dryRun) {
-        healthCheck = await this.performHealthCheck(host, config, sshOptions);
+        // Setup process management and start application
+        processResult = await this.setupProcessManagement(host, config, sshOptions, dryRun);
+
+        // Verify application is running
+        if (!dryRun) {
+          healthCheck = await this.performHealthCheck(host, config, sshOptions);
+        }
+      }
+
+      // Record the release so rollback targets come from real history
+      if (!dryRun && deploymentResult?.release) {
+        await this.stateManager.addDeployment({
+          type: 'release',
+          release: deploymentResult.release,
+          releaseDir: deploymentResult.releaseDir,
+          repository: deploymentResult.repository,
+          branch: deploymentResult.branch,
+          color: processResult?.color,
+          healthy: healthCheck?.healthy || false
+        });
       }
 
       logger.success(chalk.green('✅ Application deployment completed successfully'));
@@ -91,7 +121,9 @@ class ApplicationDeploymentService {
   }
 
   /**
-   * Deploy application from Git repository
+   * Deploy application from Git repository into a new release directory.
+   * The `current` symlink is only switched once the release has built, so a
+   * failed build leaves the running release untouched.
    */
   async deployFromGit(host, config, sshOptions, dryRun = false) {
     const { applicationConfig } = config;
@@ -103,36 +135,50 @@ class ApplicationDeploymentService {
 
     logger.info(chalk.blue('📦 Deploying from Git repository...'));
 
-    const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
-    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
-    const appDir = `/home/${defaultUser}/${config.projectName}`;
+    const { releasesDir, deploymentUser } = this.getReleasePaths(config);
+    const release = this.generateReleaseId(await this.listReleases(host, config, sshOptions));
+    const releaseDir = `${releasesDir}/${release}`;
 
     try {
       // Clone repository
-      await this.cloneRepository(host, applicationConfig, appDir, sshOptions);
+      await this.cloneRepository(host, applicationConfig, releaseDir, sshOptions, deploymentUser);
 
       // Install dependencies based on app type
-      await this.installDependencies(host, config, appDir, sshOptions);
+      await this.installDependencies(host, config, releaseDir, sshOptions);
 
       // Build application if needed
-      await this.buildApplication(host, config, appDir, sshOptions);
+      await this.buildApplication(host, config, releaseDir, sshOptions);
 
       // Setup environment variables
-      await this.setupEnvironmentVariables(host, config, appDir, sshOptions);
+      await this.setupEnvironmentVariables(host, config, releaseDir, sshOptions);
 
-      logger.success(chalk.green('✅ Git deployment completed'));
+      // Switch the current symlink and prune old releases
+      await this.activateRelease(host, config, release, sshOptions);
+      await this.pruneReleases(host, config, sshOptions);
+
+      logger.success(chalk.green(`✅ Git deployment completed (release ${release})`));
 
       return {
         success: true,
         source: 'git',
         repository: applicationConfig.repository,
         branch: applicationConfig.branch,
-        appDir,
+        release,
+        releaseDir,
+        appDir: this.getReleasePaths(config).currentLink,
         buildCompleted: true
       };
 
     } catch (error) {
       logger.error(chalk.red(`❌ Git deployment failed: ${error.message}`));
+
+      // Discard the half-built release; the previous release keeps serving
+      try {
+        await this.sshService.executeCommand(host, `rm -rf ${releaseDir}`, sshOptions);
+      } catch (cleanupError) {
+        logger.warn(chalk.yellow(`⚠️  Failed to remove release ${release}: ${cleanupError.message}`));
+      }
+
       throw error;
     }
   }
@@ -140,7 +186,7 @@ class ApplicationDeploymentService {
   /**
    * Clone Git repository to server
    */
-  async cloneRepository(host, applicationConfig, appDir, sshOptions) {
+  async cloneRepository(host, applicationConfig, appDir, sshOptions, owner) {
     logger.info(chalk.blue(`📥 Cloning repository: ${applicationConfig.repository}`));
 
     const { repository, branch = 'main' } = applicationConfig;
@@ -153,13 +199,175 @@ class ApplicationDeploymentService {
     await this.sshService.executeCommand(host, cloneCommand, sshOptions);
 
     // Set proper ownership
-    const operatingSystem = sshOptions.operatingSystem || 'ubuntu';
-    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
-    await this.sshService.executeCommand(host, `sudo chown -R ${defaultUser}:${defaultUser} ${appDir}`, sshOptions);
+    await this.sshService.executeCommand(host, `sudo chown -R ${owner}:${owner} ${appDir}`, sshOptions);
 
     logger.success(chalk.green(`✅ Repository cloned to ${appDir}`));
   }
 
+  /**
+   * Atomically point the current symlink at a release
+   */
+  async activateRelease(host, config, release, sshOptions) {
+    const { releasesDir, currentLink } = this.getReleasePaths(config);
+    const releaseDir = `${releasesDir}/${release}`;
+
+    // ln + mv -T replaces the symlink in a single rename, so there is no
+    // moment where current is missing
+    await this.sshService.executeCommand(
+      host,
+      `test -d ${releaseDir} && ln -sfn ${releaseDir} ${currentLink}.tmp && mv -Tf ${currentLink}.tmp ${currentLink}`,
+      sshOptions
+    );
+
+    logger.success(chalk.green(`✅ Release ${release} is now current`));
+  }
+
+  /**
+   * Remove releases beyond the configured retention, never touching the current one
+   */
+  async pruneReleases(host, config, sshOptions) {
+    const keep = config.applicationConfig?.keepReleases || this.defaultKeepReleases;
+    const current = await this.getCurrentRelease(host, config, sshOptions);
+    const releases = await this.listReleases(host, config, sshOptions);
+
+    const stale = releases.slice(keep).filter(release => release !== current);
+    if (stale.length === 0) {
+      return [];
+    }
+
+    const { releasesDir } = this.getReleasePaths(config);
+    const targets = stale.map(release => `${releasesDir}/${release}`).join(' ');
+    await this.sshService.executeCommand(host, `rm -rf ${targets}`, sshOptions);
+
+    logger.info(chalk.gray(`Pruned ${stale.length} old release(s), keeping last ${keep}`));
+    return stale;
+  }
+
+  /**
+   * List releases on the server, newest first
+   */
+  async listReleases(host, config, sshOptions) {
+    const { releasesDir } = this.getReleasePaths(config);
+    const result = await this.sshService.executeCommand(
+      host,
+      `ls -1 ${releasesDir} 2>/dev/null || true`,
+      sshOptions
+    );
+
+    return parseReleaseList(result.stdout);
+  }
+
+  /**
+   * Get the release the current symlink points at
+   */
+  async getCurrentRelease(host, config, sshOptions) {
+    const { currentLink } = this.getReleasePaths(config);
+    const result = await this.sshService.executeCommand(
+      host,
+      `readlink ${currentLink} 2>/dev/null || true`,
+      sshOptions
+    );
+
+    const target = result.stdout.trim();
+    return target ? path.posix.basename(target) : null;
+  }
+
+  /**
+   * Roll back to a previous release and restart the application service
+   * @param {string} host - Server host
+   * @param {Object} config - Complete wizard configuration
+   * @param {Object} sshOptions - SSH connection options
+   * @param {Object} options - { to: release id, dryRun }
+   * @returns {Object} Rollback result
+   */
+  async rollbackRelease(host, config, sshOptions, options = {}) {
+    const { to, dryRun = false } = options;
+
+    const releases = await this.listReleases(host, config, sshOptions);
+    const current = await this.getCurrentRelease(host, config, sshOptions);
+
+    let target = to;
+    if (target) {
+      if (!releases.includes(target)) {
+        throw new Error(`Release ${target} not found on server. Available releases: ${releases.join(', ') || 'none'}`);
+      }
+    } else {
+      // Previous release from deployment history that still exists on the server
+      const history = await this.stateManager.getDeploymentHistory(Number.MAX_SAFE_INTEGER);
+      const previous = history.find(deployment =>
+        deployment.type === 'release' &&
+        deployment.release &&
+        (!current || deployment.release < current) &&
+        releases.includes(deployment.release)
+      );
+
+      if (!previous) {
+        throw new Error('No previous release found in deployment history to roll back to');
+      }
+      target = previous.release;
+    }
+
+    if (target === current) {
+      logger.info(chalk.yellow(`⚠️  Release ${target} is already current, nothing to roll back`));
+      return { success: true, skipped: true, release: target };
+    }
+
+    if (dryRun) {
+      logger.info(chalk.cyan(`[DRY RUN] Would roll back from ${current || 'none'} to ${target}`));
+      return { success: true, dryRun: true, from: current, release: target };
+    }
+
+    logger.info(chalk.blue(`⏪ Rolling back from ${current || 'none'} to ${target}...`));
+
+    await this.activateRelease(host, config, target, sshOptions);
+
+    let healthCheck;
+    let color;
+
+    if (this.isBlueGreenEnabled(config)) {
+      // Bring the target release up on the idle color and switch traffic to it
+      const { releasesDir } = this.getReleasePaths(config);
+      const switchResult = await this.switchBlueGreen(host, config, sshOptions, `${releasesDir}/${target}`);
+      healthCheck = switchResult.healthCheck;
+      color = switchResult.color;
+    } else {
+      const serviceName = config.projectName;
+      await this.sshService.executeCommand(host, `sudo systemctl restart ${serviceName}`, sshOptions);
+
+      // Wait for service to start
+      await new Promise(resolve => setTimeout(resolve, 3000));
+
+      const statusResult = await this.sshService.executeCommand(
+        host,
+        `sudo systemctl is-active ${serviceName}`,
+        sshOptions
+      );
+
+      if (statusResult.stdout.trim() !== 'active') {
+        throw new Error(`Service failed to start after rollback: ${statusResult.stdout}`);
+      }
+
+      healthCheck = await this.performHealthCheck(host, config, sshOptions);
+    }
+
+    await this.stateManager.addDeployment({
+      type: 'rollback',
+      release: target,
+      rolledBackFrom: current,
+      color,
+      healthy: healthCheck.healthy
+    });
+
+    logger.success(chalk.green(`✅ Rolled back to release ${target}`));
+
+    return {
+      success: true,
+      from: current,
+      release: target,
+      healthCheck
+    };
+  }
+
   /**
    * Install application dependencies
    */
@@ -277,25 +485,18 @@ class ApplicationDeploymentService {
   async setupEnvironmentVariables(host, config, appDir, sshOptions) {
     logger.info(chalk.blue('⚙️  Setting up environment variables...'));
 
+    // Variables only come from the secrets backend, never from the project configuration
     const { applicationConfig } = config;
+    assertNoConfigVariables(applicationConfig.environment);
     const envVars = {
       NODE_ENV: 'production',
       PORT: applicationConfig.port || 3000,
-      ...applicationConfig.environment || {}
+      ...await loadSecrets(config)
     };
 
-    // Create .env file content
-    const envContent = Object.entries(envVars)
-      .map(([key, value]) => `${key}=${value}`)
-      .join('\n');
-
-    // Write environment file
+    // Write environment file over SFTP so the values never appear in a logged command
     const envPath = `${appDir}/.env`;
-    await this.sshService.executeCommand(
-      host,
-      `cat > ${envPath} << 'EOF'\n${envContent}\nEOF`,
-      sshOptions
-    );
+    await this.sshService.writePrivateFile(host, envPath, renderEnvFile(envVars), sshOptions);
 
     logger.success(chalk.green('✅ Environment variables configured'));
   }
@@ -303,7 +504,7 @@ class ApplicationDeploymentService {
   /**
    * Configure Nginx for the application
    */
-  async configureNginx(host, config, sshOptions, dryRun = false) {
+  async configureNginx(host, config, sshOptions, dryRun = false, upstreamPort = null) {
     if (dryRun) {
       logger.info(chalk.cyan('[DRY RUN] Would configure Nginx for application'));
       return { success: true, dryRun: true };
@@ -313,7 +514,12 @@ class ApplicationDeploymentService {
 
     const { applicationConfig, dnsConfig } = config;
     const primaryDomain = dnsConfig?.domains?.[0] || 'localhost';
-    const port = applicationConfig.port || 3000;
+    const port = upstreamPort || applicationConfig.port || 3000;
+
+    // Blue/green sites proxy to a named upstream kept in its own file
+    if (this.isBlueGreenEnabled(config)) {
+      await this.writeNginxUpstream(host, config, port, sshOptions);
+    }
 
     // Generate Nginx configuration
     const nginxConfig = this.generateNginxConfig(primaryDomain, port, config);
@@ -362,10 +568,14 @@ class ApplicationDeploymentService {
   generateNginxConfig(domain, port, config) {
     const { sslConfig } = config;
     const hasSSL = sslConfig?.enabled;
+    const dualStack = isDualStackEnabled(config);
+    const backend = this.isBlueGreenEnabled(config)
+      ? `http://${this.getNginxUpstreamName(config)}`
+      : `http://127.0.0.1:${port}`;
 
     let nginxConfig = `
 server {
-    listen 80;
+${nginxListenDirectives(80, '', dualStack)}
     server_name ${domain};
     
     # Security headers
@@ -383,7 +593,7 @@ server {
 }
 
 server {
-    listen 443 ssl http2;
+${nginxListenDirectives(443, 'ssl http2', dualStack)}
     server_name ${domain};
     
     # SSL Configuration (will be updated by SSL service)
@@ -403,7 +613,7 @@ server {
     nginxConfig += `
     # Application proxy
     location / {
-        proxy_pass http://127.0.0.1:${port};
+        proxy_pass ${backend};
         proxy_http_version 1.1;
         proxy_set_header Upgrade $http_upgrade;
         proxy_set_header Connection 'upgrade';
@@ -421,7 +631,7 @@ server {
     
     # Health check endpoint
     location /health {
-        proxy_pass http://127.0.0.1:${port}/health;
+        proxy_pass ${backend}/health;
         access_log off;
     }
     
@@ -449,15 +659,16 @@ server {
 
     const { applicationConfig } = config;
     const serviceName = config.projectName;
-    const deploymentUser = config.security?.ssh?.deploymentUser || 'deploy';
-    const appDir = `/home/${deploymentUser}/app`;
+    const { deploymentUser, baseDir, currentLink } = this.getReleasePaths(config);
+    const appDir = applicationConfig.deploymentType === 'git' ? currentLink : `${baseDir}/app`;
 
     // Generate systemd service configuration
     const serviceConfig = this.generateSystemdService(
       serviceName, 
       appDir, 
       applicationConfig, 
-      deploymentUser
+      deploymentUser,
+      baseDir
     );
 
     // Write systemd service file
@@ -472,8 +683,8 @@ server {
     await this.sshService.executeCommand(host, 'sudo systemctl daemon-reload', sshOptions);
     await this.sshService.executeCommand(host, `sudo systemctl enable ${serviceName}`, sshOptions);
 
-    // Start the service
-    await this.sshService.executeCommand(host, `sudo systemctl start ${serviceName}`, sshOptions);
+    // Restart so a newly activated release is picked up (starts the service if stopped)
+    await this.sshService.executeCommand(host, `sudo systemctl restart ${serviceName}`, sshOptions);
 
     // Wait for service to start
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -504,7 +715,7 @@ server {
   /**
    * Generate systemd service configuration
    */
-  generateSystemdService(serviceName, appDir, applicationConfig, user) {
+  generateSystemdService(serviceName, appDir, applicationConfig, user, writableDir = appDir, extraEnvironmentFiles = []) {
     const { appType, startCommand } = applicationConfig;
     
     let execStart;
@@ -523,6 +734,10 @@ server {
         execStart = startCommand || '/usr/bin/node index.js';
     }
 
+    const environmentFiles = [`${appDir}/.env`, ...extraEnvironmentFiles]
+      .map(file => `EnvironmentFile=${file}`)
+      .join('\n');
+
     return `
 [Unit]
 Description=${serviceName} Application
@@ -533,7 +748,7 @@ Type=simple
 User=${user}
 WorkingDirectory=${workingDirectory}
 Environment=NODE_ENV=production
-EnvironmentFile=${appDir}/.env
+${environmentFiles}
 ExecStart=${execStart}
 Restart=always
 RestartSec=10
@@ -546,13 +761,186 @@ NoNewPrivileges=true
 PrivateTmp=true
 ProtectSystem=strict
 ProtectHome=true
-ReadWritePaths=${appDir}
+ReadWritePaths=${writableDir}
 
 [Install]
 WantedBy=multi-user.target
 `;
   }
 
+  /**
+   * Blue/green switch: start the idle color on its own port, health check it,
+   * point the nginx upstream at it, then stop the old color after a drain period.
+   * @param {string} host - Server host
+   * @param {Object} config - Complete wizard configuration
+   * @param {Object} sshOptions - SSH connection options
+   * @param {string} appDir - Directory the new color should run from
+   * @param {boolean} dryRun - Dry run mode
+   * @param {Function} renderUnit - (unitName, environmentFiles) => unit file, for callers whose
+   *   single-unit service uses other settings (app-deploy uses DeploymentService's unit)
+   * @returns {Object} Switch result
+   */
+  async switchBlueGreen(host, config, sshOptions, appDir, dryRun = false, renderUnit = null) {
+    const { applicationConfig } = config;
+    const serviceName = config.projectName;
+    const ports = this.getBlueGreenPorts(config);
+    const state = await this.stateManager.loadState();
+    const previousColor = state.blueGreen?.activeColor || null;
+    const color = previousColor === 'green' ? 'blue' : 'green';
+    const unitName = `${serviceName}-${color}`;
+    // Before the first switch the single-unit service is what nginx points at
+    const previousUnit = previousColor ? `${serviceName}-${previousColor}` : serviceName;
+
+    if (dryRun) {
+      logger.info(chalk.cyan(`[DRY RUN] Would start ${unitName} on port ${ports[color]} and switch traffic from ${previousUnit}`));
+      return { success: true, dryRun: true, color };
+    }
+
+    logger.info(chalk.blue(`🔵🟢 Blue/green deploy: starting ${color} on port ${ports[color]}...`));
+
+    const { deploymentUser, baseDir } = this.getReleasePaths(config);
+
+    // Per-color port override, loaded after the release .env so it wins
+    const colorEnvPath = `/etc/focal-deploy/${unitName}.env`;
+    await this.sshService.executeCommand(
+      host,
+      `sudo mkdir -p /etc/focal-deploy && echo "PORT=${ports[color]}" | sudo tee ${colorEnvPath} > /dev/null`,
+      sshOptions
+    );
+
+    // Run the color exactly as the single-unit service it replaces would run
+    const serviceConfig = renderUnit
+      ? renderUnit(unitName, [colorEnvPath])
+      : this.generateSystemdService(
+        unitName,
+        appDir,
+        applicationConfig,
+        deploymentUser,
+        baseDir,
+        [colorEnvPath]
+      );
+
+    const servicePath = `/etc/systemd/system/${unitName}.service`;
+    await this.sshService.executeCommand(
+      host,
+      `sudo tee ${servicePath} > /dev/null << 'EOF'\n${serviceConfig}\nEOF`,
+      sshOptions
+    );
+
+    await this.sshService.executeCommand(host, 'sudo systemctl daemon-reload', sshOptions);
+    await this.sshService.executeCommand(host, `sudo systemctl restart ${unitName}`, sshOptions);
+
+    // Wait for service to start
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    const statusResult = await this.sshService.executeCommand(
+      host,
+      `sudo systemctl is-active ${unitName} || true`,
+      sshOptions
+    );
+    const healthCheck = statusResult.stdout.trim() === 'active'
+      ? await this.performHealthCheck(host, config, sshOptions, ports[color])
+      : { success: false, healthy: false, error: `Service not active: ${statusResult.stdout}` };
+
+    if (!healthCheck.healthy) {
+      // Leave the old color serving traffic
+      await this.sshService.executeCommand(host, `sudo systemctl stop ${unitName} || true`, sshOptions);
+      throw new Error(`New ${color} build failed health check, traffic stays on ${previousUnit}: ${healthCheck.error || `HTTP ${healthCheck.httpCode}`}`);
+    }
+
+    // Switch traffic
+    const nginx = await this.configureNginx(host, config, sshOptions, false, ports[color]);
+    await this.sshService.executeCommand(host, `sudo systemctl enable ${unitName}`, sshOptions);
+
+    await this.stateManager.updateState('blueGreen', {
+      activeColor: color,
+      previousColor,
+      ports,
+      appDir,
+      switchedAt: new Date().toISOString()
+    });
+
+    logger.success(chalk.green(`✅ Traffic switched to ${color} (port ${ports[color]})`));
+
+    // Let in-flight requests finish before stopping the old color
+    const drainSeconds = applicationConfig.blueGreen?.drainSeconds ?? this.defaultDrainSeconds;
+    logger.info(chalk.gray(`Draining ${previousUnit} for ${drainSeconds}s...`));
+    await new Promise(resolve => setTimeout(resolve, drainSeconds * 1000));
+
+    await this.sshService.executeCommand(
+      host,
+      `sudo systemctl stop ${previousUnit} 2>/dev/null || true; sudo systemctl disable ${previousUnit} 2>/dev/null || true`,
+      sshOptions
+    );
+
+    logger.success(chalk.green(`✅ Stopped ${previousUnit}`));
+
+    return {
+      success: true,
+      color,
+      previousColor,
+      serviceName: unitName,
+      port: ports[color],
+      active: true,
+      nginx,
+      healthCheck
+    };
+  }
+
+  /**
+   * Write the nginx upstream that blue/green switches rewrite
+   */
+  async writeNginxUpstream(host, config, port, sshOptions) {
+    const upstreamName = this.getNginxUpstreamName(config);
+    const upstreamConfig = `upstream ${upstreamName} {\n    server 127.0.0.1:${port};\n}`;
+
+    await this.sshService.executeCommand(
+      host,
+      `sudo tee /etc/nginx/conf.d/${upstreamName}.conf > /dev/null << 'EOF'\n${upstreamConfig}\nEOF`,
+      sshOptions
+    );
+  }
+
+  isBlueGreenEnabled(config) {
+    return config.applicationConfig?.blueGreen?.enabled === true;
+  }
+
+  getBlueGreenPorts(config) {
+    const port = Number(config.applicationConfig?.port || 3000);
+    return {
+      blue: port,
+      green: port + 1,
+      ...config.applicationConfig?.blueGreen?.ports || {}
+    };
+  }
+
+  getNginxUpstreamName(config) {
+    return `${config.projectName}_app`;
+  }
+
+  /**
+   * Directory the application service runs from for a given deployment result
+   */
+  getServiceAppDir(config, deploymentResult) {
+    if (deploymentResult?.releaseDir) {
+      return deploymentResult.releaseDir;
+    }
+    return `${this.getReleasePaths(config).baseDir}/app`;
+  }
+
+  /**
+   * Systemd unit currently serving traffic
+   */
+  async getActiveServiceName(config) {
+    if (!this.isBlueGreenEnabled(config)) {
+      return config.projectName;
+    }
+
+    const state = await this.stateManager.loadState();
+    const activeColor = state.blueGreen?.activeColor;
+    return activeColor ? `${config.projectName}-${activeColor}` : config.projectName;
+  }
+
   /**
    * Deploy Docker application
    */
@@ -598,11 +986,11 @@ WantedBy=multi-user.target
   /**
    * Perform health check on deployed application
    */
-  async performHealthCheck(host, config, sshOptions) {
+  async performHealthCheck(host, config, sshOptions, portOverride = null) {
     logger.info(chalk.blue('🏥 Performing health check...'));
 
     const { applicationConfig } = config;
-    const port = applicationConfig.port || 3000;
+    const port = portOverride || applicationConfig.port || 3000;
 
     try {
       // Check if application is responding on the expected port
@@ -659,7 +1047,11 @@ WantedBy=multi-user.target
 
     try {
       const sshOptions = this.buildSSHOptions(config);
-      const serviceName = config.projectName;
+      const serviceName = await this.getActiveServiceName(config);
+      const blueGreen = this.isBlueGreenEnabled(config)
+        ? (await this.stateManager.loadState()).blueGreen
+        : null;
+      const activePort = blueGreen?.activeColor ? blueGreen.ports?.[blueGreen.activeColor] : null;
 
       // Check service status
       const statusResult = await this.sshService.executeCommand(
@@ -673,13 +1065,14 @@ WantedBy=multi-user.target
       // Perform health check if service is active
       let healthCheck = null;
       if (isActive) {
-        healthCheck = await this.performHealthCheck(host, config, sshOptions);
+        healthCheck = await this.performHealthCheck(host, config, sshOptions, activePort);
       }
 
       return {
         enabled: true,
         serviceName,
         active: isActive,
+        activeColor: blueGreen?.activeColor,
         deploymentType: applicationConfig.deploymentType,
         appType: applicationConfig.appType,
         healthCheck,
@@ -722,14 +1115,30 @@ WantedBy=multi-user.target
       return;
     }
 
-    const deploymentUser = config.security?.ssh?.deploymentUser || 'deploy';
-    const appDir = `/home/${deploymentUser}/app`;
+    const { deploymentUser, baseDir, releasesDir } = this.getReleasePaths(config);
+    const appDir = `${baseDir}/app`;
 
-    // Create application directory (should already exist from user creation)
-    await this.sshService.executeCommand(host, `mkdir -p ${appDir}`, sshOptions);
+    // Create application and releases directories (app should already exist from user creation)
+    await this.sshService.executeCommand(host, `mkdir -p ${appDir} ${releasesDir}`, sshOptions);
     
     // Set proper ownership
-    await this.sshService.executeCommand(host, `sudo chown -R ${deploymentUser}:${deploymentUser} ${appDir}`, sshOptions);
+    await this.sshService.executeCommand(host, `sudo chown -R ${deploymentUser}:${deploymentUser} ${appDir} ${releasesDir}`, sshOptions);
+  }
+
+  getReleasePaths(config) {
+    const deploymentUser = config.security?.ssh?.deploymentUser || 'deploy';
+    const baseDir = `/home/${deploymentUser}`;
+
+    return {
+      deploymentUser,
+      baseDir,
+      releasesDir: `${baseDir}/releases`,
+      currentLink: `${baseDir}/current`
+    };
+  }
+
+  generateReleaseId(existingReleases = []) {
+    return generateReleaseId(existingReleases);
   }
 
   buildSSHOptions(config) {
@@ -0,0 +1,452 @@
+const chalk = require('chalk');
+const { logger } = require('../utils/logger');
+const { SSHService } = require('../utils/ssh');
+const { FocalDeployError } = require('../utils/errors');
+const { getResourcePrefix } = require('../utils/environment');
+
+const DUMP_DIR = '/var/backups/focal-deploy';
+const DEFAULT_RETENTION_DAYS = 30;
+const DATABASE_TYPES = ['postgres', 'mysql', 'mongodb'];
+// OnCalendar values of the backup timer (server time, usually UTC)
+const BACKUP_SCHEDULES = {
+  hourly: 'hourly',
+  daily: '*-*-* 03:30:00',
+  weekly: 'Sun *-*-* 03:30:00'
+};
+
+// Dump and restore commands run as root on the server, using the local
+// socket authentication of each database, so no password is ever passed
+const DATABASE_COMMANDS = {
+  postgres: {
+    file: name => `${DUMP_DIR}/postgres-${name}.dump`,
+    dump: (name, file) => `sudo sh -c 'sudo -u postgres pg_dump --format=custom ${name} > ${file}'`,
+    restore: (name, file) => `sudo sh -c 'sudo -u postgres pg_restore --clean --if-exists --create --dbname=postgres < ${file}'`
+  },
+  mysql: {
+    file: name => `${DUMP_DIR}/mysql-${name}.sql`,
+    dump: (name, file) => `sudo sh -c 'mysqldump --single-transaction --routines --databases ${name} > ${file}'`,
+    restore: (name, file) => `sudo sh -c 'mysql < ${file}'`
+  },
+  mongodb: {
+    file: name => `${DUMP_DIR}/mongodb-${name}.archive`,
+    dump: (name, file) => `sudo mongodump --db ${name} --archive=${file} --gzip`,
+    restore: (name, file) => `sudo mongorestore --drop --archive=${file} --gzip`
+  }
+};
+
+/**
+ * Backup Service
+ * Archives the application directory (releases, .env files), nginx sites,
+ * systemd units, /etc/letsencrypt and optional database dumps on the server
+ * and streams the archive over SSH straight into the project bucket, so the
+ * server needs no AWS credentials and no spare disk space for the archive.
+ */
+class BackupService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.s3Manager - S3Manager for the project bucket
+   * @param {Object} options.sshService - SSHService (a fake one in tests)
+   */
+  constructor(options = {}) {
+    this.s3Manager = options.s3Manager;
+    this.sshService = options.sshService || new SSHService();
+  }
+
+  /**
+   * Paths, exclusions and databases to back up, from the "backup" section
+   */
+  getBackupPlan(config) {
+    const backupConfig = config.backup || {};
+    const projectName = config.project?.name || config.projectName;
+    const deploymentUser = config.security?.ssh?.deploymentUser || 'deploy';
+    const baseDir = `/home/${deploymentUser}`;
+
+    const paths = [
+      baseDir,
+      '/etc/nginx/sites-available',
+      '/etc/nginx/sites-enabled',
+      '/etc/nginx/conf.d',
+      `/etc/systemd/system/${projectName}*.service`,
+      '/etc/letsencrypt',
+      ...backupConfig.paths || []
+    ];
+    // Keys of the new server must not be replaced by the old ones on restore
+    const exclude = [`${baseDir}/.ssh`, `${baseDir}/.cache`, `${baseDir}/.npm`, ...backupConfig.exclude || []];
+    const databases = backupConfig.databases || [];
+
+    for (const entry of [...paths, ...exclude]) {
+      if (!/^\/[A-Za-z0-9_.\/*@+-]*$/.test(entry)) {
+        throw invalidConfig(`Invalid backup path: ${entry}`, 'Use absolute paths made of letters, digits and . _ - / * @ +');
+      }
+    }
+    for (const database of databases) {
+      if (!DATABASE_TYPES.includes(database?.type)) {
+        throw invalidConfig(`Invalid database type: ${database?.type}`, `Use one of: ${DATABASE_TYPES.join(', ')}`);
+      }
+      if (!/^[A-Za-z0-9_-]+$/.test(database.name || '')) {
+        throw invalidConfig(`Invalid database name: ${database.name}`, 'Database names may contain letters, digits, _ and -');
+      }
+    }
+
+    const retentionDays = backupConfig.retentionDays ?? DEFAULT_RETENTION_DAYS;
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      throw invalidConfig(`Invalid backup.retentionDays: ${retentionDays}`, 'Set the number of days to keep backups, e.g. 30');
+    }
+
+    return { projectName, paths, exclude, databases, retentionDays };
+  }
+
+  /**
+   * Dump the databases, stream the archive to the bucket and record it with a manifest
+   * @returns {Object} { name, key, size, paths, databases, services }
+   */
+  async createBackup(host, bucketName, config, sshOptions, options = {}) {
+    const plan = this.getBackupPlan(config);
+    const name = options.name || generateBackupName();
+
+    try {
+      if (plan.databases.length > 0) {
+        await this.dumpDatabases(host, plan.databases, sshOptions);
+      }
+      const services = await this.listActiveServices(host, plan.projectName, sshOptions);
+
+      const tarCommand = this.getArchiveCommand(plan);
+
+      logger.info(chalk.blue(`📦 Streaming backup ${name} to s3://${bucketName}/backups/${name}/...`));
+      const { channel, done } = await this.sshService.pipeCommand(host, tarCommand, sshOptions);
+
+      let backup;
+      try {
+        backup = await this.s3Manager.createBackup(bucketName, name, channel, {
+          project: plan.projectName,
+          environment: config.environmentName || null,
+          host,
+          paths: plan.paths,
+          exclude: plan.exclude,
+          databases: plan.databases,
+          services
+        });
+      } catch (error) {
+        channel.close();
+        throw error;
+      }
+
+      // tar exits with 1 when a file changed while it was read; the archive is still usable
+      const result = await done;
+      if (result.code !== 0 && result.code !== 1) {
+        await this.s3Manager.deleteBackup(bucketName, name);
+        throw new FocalDeployError(
+          `Creating the archive on ${host} failed (exit code ${result.code ?? result.signal}): ${result.stderr}`,
+          'Check the paths in the "backup" section and that the deployment user can run sudo.',
+          'BACKUP_FAILED'
+        );
+      }
+
+      logger.success(chalk.green(`✅ Backup ${name} stored (${formatSize(backup.size)})`));
+      return {
+        name,
+        key: backup.key,
+        size: backup.size,
+        paths: plan.paths,
+        databases: plan.databases.map(database => `${database.type}:${database.name}`),
+        services
+      };
+    } finally {
+      if (plan.databases.length > 0) {
+        await this.sshService.executeCommand(host, `sudo rm -rf ${DUMP_DIR}`, sshOptions).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * tar command writing the archive of a backup plan to stdout
+   */
+  getArchiveCommand(plan) {
+    const sources = plan.databases.length > 0 ? [...plan.paths, DUMP_DIR] : plan.paths;
+    const excludes = plan.exclude.map(entry => `--exclude=${entry}`).join(' ');
+    // Missing paths (no certificates yet, no database) are skipped rather than failing the backup
+    return `sudo tar --create --gzip --file - --ignore-failed-read --warning=no-file-changed ${excludes} ${sources.join(' ')}`;
+  }
+
+  async dumpDatabases(host, databases, sshOptions) {
+    await this.sshService.executeCommand(host, `sudo mkdir -p ${DUMP_DIR} && sudo chmod 700 ${DUMP_DIR}`, sshOptions);
+
+    for (const database of databases) {
+      const commands = DATABASE_COMMANDS[database.type];
+      logger.info(chalk.blue(`🗄️  Dumping ${database.type} database ${database.name}...`));
+      try {
+        await this.sshService.executeCommand(host, commands.dump(database.name, commands.file(database.name)), sshOptions);
+      } catch (error) {
+        throw new FocalDeployError(
+          `Dumping ${database.type} database ${database.name} failed: ${error.stderr || error.message}`,
+          'Check that the database exists on the server and its dump tool is installed.',
+          'BACKUP_FAILED'
+        );
+      }
+    }
+  }
+
+  /**
+   * Application units running now (one color with blue/green), restarted after a restore
+   */
+  async listActiveServices(host, projectName, sshOptions) {
+    const result = await this.sshService.executeCommand(
+      host,
+      `systemctl list-units --type=service --state=active --no-legend --plain '${projectName}*.service' | awk '{print $1}'`,
+      { ...sshOptions, logOutput: false }
+    );
+    return result.stdout.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Extract a backup over the server's files, restore its databases and
+   * restart the services that were running when it was taken
+   */
+  async restoreBackup(host, bucketName, name, sshOptions) {
+    const manifest = await this.getManifest(bucketName, name);
+    if (!manifest.archive) {
+      throw new FocalDeployError(
+        `Backup ${name} has no archive to restore.`,
+        'It was recorded by an earlier version that only stored a list of files. Pick another backup with "focal-deploy backup --list".',
+        'BACKUP_NOT_RESTORABLE'
+      );
+    }
+
+    logger.info(chalk.blue(`📦 Restoring backup ${name} on ${host}...`));
+    const body = await this.s3Manager.downloadBackup(bucketName, name);
+    const { channel, done } = await this.sshService.pipeCommand(
+      host,
+      'sudo tar --extract --gzip --file - --directory / --preserve-permissions --same-owner',
+      sshOptions
+    );
+    body.on('error', () => channel.close());
+    body.pipe(channel);
+
+    const result = await done;
+    if (result.code !== 0) {
+      throw new FocalDeployError(
+        `Extracting backup ${name} on ${host} failed (exit code ${result.code ?? result.signal}): ${result.stderr}`,
+        'The server may be partially restored; run the restore again once the cause is fixed.',
+        'RESTORE_FAILED'
+      );
+    }
+
+    const databases = manifest.databases || [];
+    for (const database of databases) {
+      const commands = DATABASE_COMMANDS[database.type];
+      logger.info(chalk.blue(`🗄️  Restoring ${database.type} database ${database.name}...`));
+      try {
+        await this.sshService.executeCommand(host, commands.restore(database.name, commands.file(database.name)), sshOptions);
+      } catch (error) {
+        throw new FocalDeployError(
+          `Restoring ${database.type} database ${database.name} failed: ${error.stderr || error.message}`,
+          `The dump is still on the server in ${DUMP_DIR}.`,
+          'RESTORE_FAILED'
+        );
+      }
+    }
+    if (databases.length > 0) {
+      await this.sshService.executeCommand(host, `sudo rm -rf ${DUMP_DIR}`, sshOptions);
+    }
+
+    await this.sshService.executeCommand(host, 'sudo systemctl daemon-reload', sshOptions);
+    const services = manifest.services || [];
+    for (const service of services) {
+      await this.sshService.executeCommand(host, `sudo systemctl enable ${service} && sudo systemctl restart ${service}`, sshOptions);
+    }
+    try {
+      await this.sshService.executeCommand(host, 'sudo nginx -t && sudo systemctl reload nginx', sshOptions);
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠️  Nginx was not reloaded: ${error.stderr || error.message}`));
+    }
+
+    logger.success(chalk.green(`✅ Backup ${name} restored`));
+    return {
+      name,
+      timestamp: manifest.timestamp,
+      paths: manifest.paths || [],
+      databases: databases.map(database => `${database.type}:${database.name}`),
+      services
+    };
+  }
+
+  /**
+   * Install a systemd timer on the server that takes backups on its own.
+   * The script uploads with the AWS CLI and the instance role, in the same
+   * layout as createBackup, so "backup --list" and "restore" see its backups.
+   * @returns {Object} { unit, onCalendar, script }
+   */
+  async installSchedule(host, bucketName, config, schedule, sshOptions) {
+    const unit = getScheduleUnitName(config);
+    const scriptPath = `/usr/local/sbin/${unit}`;
+    const script = this.generateScheduledBackupScript(host, bucketName, config);
+
+    logger.info(chalk.blue(`⏰ Installing ${unit}.timer on ${host}...`));
+    await this.sshService.executeCommand(
+      host,
+      'command -v aws > /dev/null || (sudo apt-get update -qq && sudo apt-get install -y -qq awscli) || sudo snap install aws-cli --classic',
+      sshOptions
+    );
+    await this.sshService.executeCommand(
+      host,
+      `sudo tee ${scriptPath} > /dev/null << 'FOCAL_DEPLOY_EOF'\n${script}FOCAL_DEPLOY_EOF\nsudo chmod 700 ${scriptPath}`,
+      sshOptions
+    );
+    await this.sshService.executeCommand(
+      host,
+      `sudo tee /etc/systemd/system/${unit}.service > /dev/null << 'EOF'\n${generateScheduleService(unit, scriptPath, config)}EOF`,
+      sshOptions
+    );
+    await this.sshService.executeCommand(
+      host,
+      `sudo tee /etc/systemd/system/${unit}.timer > /dev/null << 'EOF'\n${generateScheduleTimer(unit, BACKUP_SCHEDULES[schedule])}EOF`,
+      sshOptions
+    );
+    await this.sshService.executeCommand(host, `sudo systemctl daemon-reload && sudo systemctl enable --now ${unit}.timer`, sshOptions);
+
+    return { unit, onCalendar: BACKUP_SCHEDULES[schedule], script: scriptPath };
+  }
+
+  /**
+   * Stop the backup timer and remove its units and script from the server
+   */
+  async removeSchedule(host, config, sshOptions) {
+    const unit = getScheduleUnitName(config);
+    await this.sshService.executeCommand(
+      host,
+      `sudo systemctl disable --now ${unit}.timer 2>/dev/null || true; ` +
+        `sudo rm -f /etc/systemd/system/${unit}.timer /etc/systemd/system/${unit}.service /usr/local/sbin/${unit} && sudo systemctl daemon-reload`,
+      sshOptions
+    );
+    return { unit };
+  }
+
+  /**
+   * Script run as root by the backup timer: dump the databases, stream the
+   * archive to the bucket and write the manifest last. A failed run leaves
+   * no manifest, so it is not listed and its archive expires with the others.
+   */
+  generateScheduledBackupScript(host, bucketName, config) {
+    const plan = this.getBackupPlan(config);
+    const manifest = JSON.stringify({
+      project: plan.projectName,
+      environment: config.environmentName || null,
+      host,
+      paths: plan.paths,
+      exclude: plan.exclude,
+      databases: plan.databases,
+      scheduled: true
+    });
+    const dumps = plan.databases.map(database => {
+      const commands = DATABASE_COMMANDS[database.type];
+      return commands.dump(database.name, commands.file(database.name));
+    });
+
+    return `#!/bin/bash
+# Installed by "focal-deploy backup --schedule"; removed with "--schedule off"
+set -euo pipefail
+
+NAME=$(date -u +%Y%m%d%H%M%S)
+TIMESTAMP=$(date -u +%Y-%m-%dT%H:%M:%SZ)
+KEY="backups/$NAME"
+export AWS_DEFAULT_REGION=${config.aws?.region || 'us-east-1'}
+${dumps.length > 0 ? `
+trap 'rm -rf ${DUMP_DIR}' EXIT
+mkdir -p ${DUMP_DIR} && chmod 700 ${DUMP_DIR}
+${dumps.join('\n')}
+` : ''}
+SERVICES=$(systemctl list-units --type=service --state=active --no-legend --plain '${plan.projectName}*.service' | awk '{print $1}' | sed 's/.*/"&"/' | paste -sd, -)
+
+set +e
+${this.getArchiveCommand(plan)} | aws s3 cp --no-progress --content-type application/gzip - "s3://${bucketName}/$KEY/archive.tar.gz"
+STATUS=("\${PIPESTATUS[@]}")
+set -e
+# tar exits with 1 when a file changed while it was read; the archive is still usable
+if [ "\${STATUS[0]}" -gt 1 ] || [ "\${STATUS[1]}" -ne 0 ]; then
+  echo "Backup $NAME failed (tar exit \${STATUS[0]}, upload exit \${STATUS[1]})" >&2
+  exit 1
+fi
+
+SIZE=$(aws s3api head-object --bucket ${bucketName} --key "$KEY/archive.tar.gz" --query ContentLength --output text)
+aws s3 cp --no-progress --content-type application/json - "s3://${bucketName}/$KEY/manifest.json" << MANIFEST
+{"version":"2.0","name":"$NAME","timestamp":"$TIMESTAMP",${manifest.slice(1, -1)},"services":[$SERVICES],"archive":{"key":"$KEY/archive.tar.gz","size":$SIZE}}
+MANIFEST
+echo "Backup $NAME stored in s3://${bucketName}/$KEY/"
+`;
+  }
+
+  async getManifest(bucketName, name) {
+    try {
+      return await this.s3Manager.getBackup(bucketName, name);
+    } catch (error) {
+      if (error.code === 'NoSuchKey') {
+        throw new FocalDeployError(
+          `Backup ${name} not found in ${bucketName}.`,
+          'Run "focal-deploy backup --list" to see the available backups.',
+          'BACKUP_NOT_FOUND'
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+function generateBackupName() {
+  // Sortable UTC timestamp, e.g. 20250101123045 (as release names)
+  return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Unit name of the backup timer, one per project and environment
+ */
+function getScheduleUnitName(config) {
+  return `focal-deploy-backup-${getResourcePrefix(config)}`;
+}
+
+function generateScheduleService(unit, scriptPath, config) {
+  return `[Unit]
+Description=focal-deploy backup of ${getResourcePrefix(config)}
+Wants=network-online.target
+After=network-online.target
+
+[Service]
+Type=oneshot
+ExecStart=${scriptPath}
+Nice=10
+IOSchedulingClass=idle
+`;
+}
+
+function generateScheduleTimer(unit, onCalendar) {
+  return `[Unit]
+Description=Run ${unit}.service on schedule
+
+[Timer]
+OnCalendar=${onCalendar}
+Persistent=true
+RandomizedDelaySec=300
+
+[Install]
+WantedBy=timers.target
+`;
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return 'unknown size';
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function invalidConfig(message, suggestion) {
+  return new FocalDeployError(message, suggestion, 'BACKUP_CONFIG_INVALID');
+}
+
+module.exports = { BackupService, BACKUP_SCHEDULES, DEFAULT_RETENTION_DAYS, DATABASE_TYPES, formatSize };
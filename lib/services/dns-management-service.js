@@ -2,16 +2,23 @@ const chalk = require('chalk');
 const { logger } = require('../utils/logger');
 const { DNSManager } = require('../utils/dns-manager');
 const { DNSProviderService } = require('../utils/dns-provider');
-const axios = require('axios');
+const { getDNSProviderClass, getDNSProviderNames } = require('../dns');
+const { isDualStackEnabled, addressRecordType, sameAddress } = require('../utils/ipv6');
 
 /**
  * DNS Management Service for Complete Wizard Deployment
- * Handles DNS record updates for multiple providers (DigitalOcean, Cloudflare, Route53)
+ * Handles DNS record updates through the DNS provider adapters in lib/dns
  */
 class DNSManagementService {
   constructor() {
     this.dnsProviderService = new DNSProviderService();
-    this.supportedProviders = ['digitalocean', 'cloudflare', 'route53', 'godaddy', 'namecheap'];
+  }
+
+  /**
+   * Providers with a registered adapter
+   */
+  get supportedProviders() {
+    return getDNSProviderNames();
   }
 
   /**
@@ -23,6 +30,7 @@ class DNSManagementService {
   async setupDNSRecords(config, dryRun = false) {
     const { dnsConfig, infrastructure } = config;
     const targetIP = infrastructure?.ec2Instance?.publicIpAddress;
+    const targetIPv6 = isDualStackEnabled(config) ? infrastructure?.ec2Instance?.ipv6Address : null;
 
     if (!targetIP) {
       throw new Error('EC2 instance IP address not found in configuration');
@@ -53,6 +61,15 @@ class DNSManagementService {
         dryRun
       );
 
+      // Dual-stack: AAAA records for the instance's IPv6 address
+      let ipv6Results = null;
+      if (targetIPv6) {
+        ipv6Results = await this.updateDNSRecords(provider, domains, targetIPv6, dryRun);
+        dnsResults.records.push(...ipv6Results.records);
+      } else if (isDualStackEnabled(config)) {
+        logger.warn(chalk.yellow('⚠️  IPv6 is enabled but the instance has no IPv6 address, skipping AAAA records'));
+      }
+
       // Verify DNS propagation (if not dry run)
       let verificationResults = null;
       if (!dryRun && dnsResults.success) {
@@ -60,6 +77,10 @@ class DNSManagementService {
           domains, 
           targetIP
         );
+
+        if (ipv6Results?.success) {
+          verificationResults.ipv6 = await this.verifyDNSPropagation(domains, targetIPv6);
+        }
       }
 
       logger.success(chalk.green('✅ DNS records setup completed successfully'));
@@ -69,6 +90,7 @@ class DNSManagementService {
         provider: provider.name,
         domains,
         targetIP,
+        targetIPv6,
         records: dnsResults.records,
         verification: verificationResults,
         updatedAt: new Date().toISOString()
@@ -95,26 +117,8 @@ class DNSManagementService {
 
     logger.info(chalk.blue(`📝 Updating DNS records for ${domains.length} domain(s)...`));
 
-    const results = [];
-
     try {
-      switch (provider.name) {
-        case 'digitalocean':
-          return await this.updateDigitalOceanDNS(provider, domains, targetIP);
-        
-        case 'cloudflare':
-          return await this.updateCloudflareDNS(provider, domains, targetIP);
-        
-        case 'route53':
-          return await this.updateRoute53DNS(provider, domains, targetIP);
-        
-        case 'godaddy':
-          return await this.updateGoDaddyDNS(provider, domains, targetIP);
-        
-        default:
-          throw new Error(`Unsupported DNS provider: ${provider.name}`);
-      }
-
+      return await this.updateProviderRecords(provider, domains, targetIP);
     } catch (error) {
       logger.error(chalk.red(`❌ DNS records update failed: ${error.message}`));
       throw error;
@@ -122,302 +126,36 @@ class DNSManagementService {
   }
 
   /**
-   * Update DigitalOcean DNS records
+   * Create or update A records for each domain through the provider adapter
    */
-  async updateDigitalOceanDNS(provider, domains, targetIP) {
-    logger.info(chalk.blue('🌊 Updating DigitalOcean DNS records...'));
-
-    const dnsManager = new DNSManager({
-      ssl: {
-        dnsProvider: {
-          name: 'digitalocean',
-          credentials: provider.credentials
-        }
-      }
-    });
+  async updateProviderRecords(provider, domains, targetIP) {
+    const dnsManager = new DNSManager({ dnsConfig: { provider } });
+    logger.info(chalk.blue(`🌐 Updating ${dnsManager.provider.displayName} DNS records...`));
 
     const results = [];
 
     for (const domain of domains) {
-      try {
-        const result = await dnsManager.updateDomainRecord(domain, targetIP, {
-          dryRun: false,
-          ttl: 300 // 5 minutes for faster propagation
-        });
+      const result = await dnsManager.updateDomainRecord(domain, targetIP, {
+        dryRun: false,
+        ttl: 300 // 5 minutes for faster propagation
+      });
 
+      if (result.success) {
         results.push({
           domain,
           targetIP,
-          status: result.created ? 'created' : 'updated',
+          recordType: result.recordType,
+          status: result.action === 'no_change' ? 'unchanged' : result.action,
           recordId: result.recordId,
-          ttl: result.ttl
-        });
-
-        logger.success(chalk.green(`✅ ${domain} → ${targetIP}`));
-
-      } catch (error) {
-        results.push({
-          domain,
-          targetIP,
-          status: 'error',
-          error: error.message
-        });
-
-        logger.error(chalk.red(`❌ ${domain}: ${error.message}`));
-      }
-    }
-
-    const successCount = results.filter(r => r.status !== 'error').length;
-    logger.info(chalk.cyan(`📊 Updated ${successCount}/${domains.length} DNS records`));
-
-    return {
-      success: successCount > 0,
-      provider: 'digitalocean',
-      records: results,
-      successCount,
-      totalCount: domains.length
-    };
-  }
-
-  /**
-   * Update Cloudflare DNS records
-   */
-  async updateCloudflareDNS(provider, domains, targetIP) {
-    logger.info(chalk.blue('☁️  Updating Cloudflare DNS records...'));
-
-    const { apiToken } = provider.credentials;
-    const client = axios.create({
-      baseURL: 'https://api.cloudflare.com/client/v4',
-      headers: {
-        'Authorization': `Bearer ${apiToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const results = [];
-
-    for (const domain of domains) {
-      try {
-        // Parse domain to get zone and record name
-        const domainParts = this.parseDomainForCloudflare(domain);
-        
-        // Get zone ID
-        const zoneResponse = await client.get(`/zones?name=${domainParts.zoneName}`);
-        const zone = zoneResponse.data.result[0];
-        
-        if (!zone) {
-          throw new Error(`Zone not found for domain: ${domainParts.zoneName}`);
-        }
-
-        // Check for existing record
-        const recordsResponse = await client.get(
-          `/zones/${zone.id}/dns_records?name=${domain}&type=A`
-        );
-        
-        const existingRecord = recordsResponse.data.result[0];
-
-        let result;
-        if (existingRecord) {
-          // Update existing record
-          result = await client.put(
-            `/zones/${zone.id}/dns_records/${existingRecord.id}`,
-            {
-              type: 'A',
-              name: domain,
-              content: targetIP,
-              ttl: 300
-            }
-          );
-          
-          results.push({
-            domain,
-            targetIP,
-            status: 'updated',
-            recordId: existingRecord.id,
-            zoneId: zone.id,
-            ttl: 300
-          });
-        } else {
-          // Create new record
-          result = await client.post(
-            `/zones/${zone.id}/dns_records`,
-            {
-              type: 'A',
-              name: domain,
-              content: targetIP,
-              ttl: 300
-            }
-          );
-          
-          results.push({
-            domain,
-            targetIP,
-            status: 'created',
-            recordId: result.data.result.id,
-            zoneId: zone.id,
-            ttl: 300
-          });
-        }
-
-        logger.success(chalk.green(`✅ ${domain} → ${targetIP}`));
-
-      } catch (error) {
-        results.push({
-          domain,
-          targetIP,
-          status: 'error',
-          error: error.message
-        });
-
-        logger.error(chalk.red(`❌ ${domain}: ${error.message}`));
-      }
-    }
-
-    const successCount = results.filter(r => r.status !== 'error').length;
-    logger.info(chalk.cyan(`📊 Updated ${successCount}/${domains.length} DNS records`));
-
-    return {
-      success: successCount > 0,
-      provider: 'cloudflare',
-      records: results,
-      successCount,
-      totalCount: domains.length
-    };
-  }
-
-  /**
-   * Update Route53 DNS records
-   */
-  async updateRoute53DNS(provider, domains, targetIP) {
-    logger.info(chalk.blue('🚀 Updating Route53 DNS records...'));
-
-    const AWS = require('aws-sdk');
-    const { accessKeyId, secretAccessKey, region } = provider.credentials;
-
-    AWS.config.update({
-      accessKeyId,
-      secretAccessKey,
-      region: region || 'us-east-1'
-    });
-
-    const route53 = new AWS.Route53();
-    const results = [];
-
-    for (const domain of domains) {
-      try {
-        // Find hosted zone for domain
-        const hostedZone = await this.findRoute53HostedZone(route53, domain);
-        
-        if (!hostedZone) {
-          throw new Error(`Hosted zone not found for domain: ${domain}`);
-        }
-
-        // Create change batch
-        const changeBatch = {
-          Changes: [{
-            Action: 'UPSERT',
-            ResourceRecordSet: {
-              Name: domain,
-              Type: 'A',
-              TTL: 300,
-              ResourceRecords: [{ Value: targetIP }]
-            }
-          }]
-        };
-
-        // Submit change
-        const changeResponse = await route53.changeResourceRecordSets({
-          HostedZoneId: hostedZone.Id,
-          ChangeBatch: changeBatch
-        }).promise();
-
-        results.push({
-          domain,
-          targetIP,
-          status: 'updated',
-          changeId: changeResponse.ChangeInfo.Id,
-          hostedZoneId: hostedZone.Id,
-          ttl: 300
-        });
-
-        logger.success(chalk.green(`✅ ${domain} → ${targetIP}`));
-
-      } catch (error) {
-        results.push({
-          domain,
-          targetIP,
-          status: 'error',
-          error: error.message
-        });
-
-        logger.error(chalk.red(`❌ ${domain}: ${error.message}`));
-      }
-    }
-
-    const successCount = results.filter(r => r.status !== 'error').length;
-    logger.info(chalk.cyan(`📊 Updated ${successCount}/${domains.length} DNS records`));
-
-    return {
-      success: successCount > 0,
-      provider: 'route53',
-      records: results,
-      successCount,
-      totalCount: domains.length
-    };
-  }
-
-  /**
-   * Update GoDaddy DNS records
-   */
-  async updateGoDaddyDNS(provider, domains, targetIP) {
-    logger.info(chalk.blue('🏆 Updating GoDaddy DNS records...'));
-
-    const { apiKey, apiSecret } = provider.credentials;
-    const client = axios.create({
-      baseURL: 'https://api.godaddy.com/v1',
-      headers: {
-        'Authorization': `sso-key ${apiKey}:${apiSecret}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    const results = [];
-
-    for (const domain of domains) {
-      try {
-        const domainParts = this.parseDomainForGoDaddy(domain);
-        
-        // Update DNS record
-        const recordData = [{
-          data: targetIP,
-          ttl: 300
-        }];
-
-        await client.put(
-          `/domains/${domainParts.rootDomain}/records/A/${domainParts.recordName}`,
-          recordData
-        );
-
-        results.push({
-          domain,
-          targetIP,
-          status: 'updated',
-          rootDomain: domainParts.rootDomain,
-          recordName: domainParts.recordName,
           ttl: 300
         });
-
-        logger.success(chalk.green(`✅ ${domain} → ${targetIP}`));
-
-      } catch (error) {
+      } else {
         results.push({
           domain,
           targetIP,
           status: 'error',
-          error: error.message
+          error: result.error
         });
-
-        logger.error(chalk.red(`❌ ${domain}: ${error.message}`));
       }
     }
 
@@ -426,7 +164,7 @@ class DNSManagementService {
 
     return {
       success: successCount > 0,
-      provider: 'godaddy',
+      provider: provider.name,
       records: results,
       successCount,
       totalCount: domains.length
@@ -437,9 +175,11 @@ class DNSManagementService {
    * Verify DNS propagation
    */
   async verifyDNSPropagation(domains, expectedIP, maxWaitTime = 300000) {
-    logger.info(chalk.blue('🔍 Verifying DNS propagation...'));
+    const recordType = addressRecordType(expectedIP);
+    logger.info(chalk.blue(`🔍 Verifying DNS propagation (${recordType})...`));
 
     const dns = require('dns').promises;
+    const resolve = recordType === 'AAAA' ? dns.resolve6 : dns.resolve4;
     const results = [];
     const startTime = Date.now();
 
@@ -450,11 +190,12 @@ class DNSManagementService {
 
       while (!resolved && attempts < maxAttempts && (Date.now() - startTime) < maxWaitTime) {
         try {
-          const addresses = await dns.resolve4(domain);
+          const addresses = await resolve(domain);
           
-          if (addresses.includes(expectedIP)) {
+          if (addresses.some(address => sameAddress(address, expectedIP))) {
             results.push({
               domain,
+              recordType,
               status: 'resolved',
               resolvedIP: addresses[0],
               attempts: attempts + 1,
@@ -584,89 +325,27 @@ class DNSManagementService {
       return { valid: false, error: 'DNS provider name is required' };
     }
 
-    if (!this.supportedProviders.includes(provider.name)) {
-      return { 
-        valid: false, 
-        error: `Unsupported DNS provider: ${provider.name}. Supported: ${this.supportedProviders.join(', ')}` 
-      };
+    let Adapter;
+    try {
+      Adapter = getDNSProviderClass(provider);
+    } catch (error) {
+      return { valid: false, error: error.message };
     }
 
     if (!provider.credentials) {
       return { valid: false, error: 'DNS provider credentials are required' };
     }
 
-    // Provider-specific validation
-    switch (provider.name) {
-      case 'digitalocean':
-        if (!provider.credentials.token) {
-          return { valid: false, error: 'DigitalOcean API token is required' };
-        }
-        break;
-      
-      case 'cloudflare':
-        if (!provider.credentials.apiToken) {
-          return { valid: false, error: 'Cloudflare API token is required' };
-        }
-        break;
-      
-      case 'route53':
-        if (!provider.credentials.accessKeyId || !provider.credentials.secretAccessKey) {
-          return { valid: false, error: 'Route53 AWS credentials are required' };
-        }
-        break;
-      
-      case 'godaddy':
-        if (!provider.credentials.apiKey || !provider.credentials.apiSecret) {
-          return { valid: false, error: 'GoDaddy API key and secret are required' };
-        }
-        break;
+    const missingCredentials = (Adapter.requiredCredentials || []).filter(field => !provider.credentials[field]);
+    if (missingCredentials.length > 0) {
+      return {
+        valid: false,
+        error: `${Adapter.displayName || provider.name} credentials missing: ${missingCredentials.join(', ')}`
+      };
     }
 
     return { valid: true };
   }
-
-  /**
-   * Helper methods for domain parsing
-   */
-  parseDomainForCloudflare(domain) {
-    const parts = domain.split('.');
-    if (parts.length <= 2) {
-      return { zoneName: domain, recordName: domain };
-    }
-    
-    const zoneName = parts.slice(-2).join('.');
-    return { zoneName, recordName: domain };
-  }
-
-  parseDomainForGoDaddy(domain) {
-    const parts = domain.split('.');
-    if (parts.length <= 2) {
-      return { rootDomain: domain, recordName: '@' };
-    }
-    
-    const rootDomain = parts.slice(-2).join('.');
-    const recordName = parts.slice(0, -2).join('.');
-    return { rootDomain, recordName };
-  }
-
-  async findRoute53HostedZone(route53, domain) {
-    const zones = await route53.listHostedZones().promise();
-    
-    // Find the most specific zone that matches the domain
-    let bestMatch = null;
-    let bestMatchLength = 0;
-    
-    for (const zone of zones.HostedZones) {
-      const zoneName = zone.Name.replace(/\.$/, ''); // Remove trailing dot
-      
-      if (domain.endsWith(zoneName) && zoneName.length > bestMatchLength) {
-        bestMatch = zone;
-        bestMatchLength = zoneName.length;
-      }
-    }
-    
-    return bestMatch;
-  }
 }
 
 module.exports = { DNSManagementService };
\ No newline at end of file
@@ -3,6 +3,7 @@ const { logger } = require('../utils/logger');
 const { SSLService } = require('../utils/ssl');
 const { EnhancedSSLService } = require('../utils/enhanced-ssl');
 const { DNSProviderService } = require('../utils/dns-provider');
+const { isDualStackEnabled } = require('../utils/ipv6');
 
 /**
  * SSL Certificate Management Service for Complete Wizard Deployment
@@ -59,7 +60,8 @@ class SSLCertificateService {
         applicationConfig, 
         certificateResult, 
         sshOptions, 
-        dryRun
+        dryRun,
+        { dualStack: isDualStackEnabled(config) }
       );
 
       // Step 4: Setup automatic renewal
@@ -199,7 +201,7 @@ class SSLCertificateService {
   /**
    * Configure Nginx with SSL certificates
    */
-  async configureNginxSSL(host, sslConfig, applicationConfig, certificateResult, sshOptions = {}, dryRun = false) {
+  async configureNginxSSL(host, sslConfig, applicationConfig, certificateResult, sshOptions = {}, dryRun = false, options = {}) {
     if (dryRun) {
       logger.info(chalk.cyan('[DRY RUN] Would configure Nginx with SSL'));
       return { success: true };
@@ -221,7 +223,8 @@ class SSLCertificateService {
           certificatePath, 
           privateKeyPath, 
           sshOptions, 
-          dryRun
+          dryRun,
+          options
         );
       } else {
         // Multi-domain configuration
@@ -230,7 +233,8 @@ class SSLCertificateService {
           domainConfigs, 
           appPort, 
           certificatePath, 
-          privateKeyPath
+          privateKeyPath,
+          options
         );
 
         // Write and apply multi-domain configuration
@@ -0,0 +1,303 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { logger } = require('./logger');
+const { DNSManager } = require('./dns-manager');
+const { DNSRenewalHookService } = require('./dns-renewal-hooks');
+const { isDualStackEnabled, nginxListenDirectives } = require('./ipv6');
+const { auth: createChallengeRecord, cleanup: removeChallengeRecord } = require('../dns/certbot-hook');
+const { ACMEClient, LETS_ENCRYPT_DIRECTORY, LETS_ENCRYPT_STAGING_DIRECTORY } = require('../acme/client');
+
+const ACME_WEBROOT = '/var/www/focal-deploy-acme';
+const CHALLENGE_DIR = `${ACME_WEBROOT}/.well-known/acme-challenge`;
+const CERT_ROOT = '/etc/ssl/focal-deploy';
+const TEMP_NGINX_CONF = '/etc/nginx/conf.d/focal-deploy-acme.conf';
+const STAGING_DIR = '.focal-deploy-acme';
+// Kept out of the project (where it could be committed), like the other secrets
+const ACCOUNT_FILE = 'acme-accounts.json';
+const LEGACY_ACCOUNT_FILE = path.join('.focal-deploy', 'acme-accounts.json');
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const dnsLog = {
+  info: message => logger.info(chalk.gray(`   ${message}`)),
+  warn: message => logger.warn(chalk.yellow(`⚠️  ${message}`))
+};
+
+/**
+ * Certificate issuance with the built-in ACME client instead of certbot on the server.
+ *
+ * HTTP-01 responses are pushed to a webroot that nginx serves, DNS-01 records
+ * are created through the configured DNS provider adapter, and the issued
+ * PEMs are uploaded to /etc/ssl/focal-deploy/<domain>/. Enabled with
+ * `ssl.client: builtin` (or `focal-deploy ssl --acme-client builtin`).
+ */
+class ACMESSLService {
+  constructor(sshService) {
+    this.sshService = sshService;
+  }
+
+  static isEnabled(config) {
+    return config?.ssl?.client === 'builtin';
+  }
+
+  /**
+   * ACME directory: ssl.acmeDirectory, Let's Encrypt staging with ssl.staging, otherwise Let's Encrypt
+   */
+  static directoryUrl(config) {
+    if (config?.ssl?.acmeDirectory) {
+      return config.ssl.acmeDirectory;
+    }
+    return config?.ssl?.staging ? LETS_ENCRYPT_STAGING_DIRECTORY : LETS_ENCRYPT_DIRECTORY;
+  }
+
+  static certificatePaths(primaryDomain) {
+    const directory = `${CERT_ROOT}/${primaryDomain.replace('*.', 'wildcard.')}`;
+    return {
+      directory,
+      certificatePath: `${directory}/fullchain.pem`,
+      privateKeyPath: `${directory}/privkey.pem`
+    };
+  }
+
+  /**
+   * Issue a SAN certificate for the domains and install it on the server
+   * @param {Array} domainConfigs - Array of {domain, challengeMethod} objects
+   * @returns {Object} Certificate generation result
+   */
+  async issueCertificate(host, domainConfigs, email, sshOptions = {}, config = null, dryRun = false) {
+    const domains = domainConfigs.map(domainConfig => domainConfig.domain);
+    const paths = ACMESSLService.certificatePaths(domains[0]);
+    const directoryUrl = ACMESSLService.directoryUrl(config);
+
+    if (dryRun) {
+      logger.info(chalk.cyan(`[DRY RUN] Would request a certificate for ${domains.join(', ')} from ${directoryUrl}`));
+      return { success: true, method: 'acme', ...paths, domains };
+    }
+
+    logger.info(chalk.blue(`🔐 Requesting certificate for ${domains.join(', ')} with the built-in ACME client...`));
+    logger.info(chalk.gray(`   Directory: ${directoryUrl}`));
+
+    const client = await this.createClient(directoryUrl, email);
+    const order = await client.createOrder(domains);
+    const challenges = await this.selectChallenges(client, order, domainConfigs);
+    const cleanup = { http: [], dns: [], nginx: false };
+
+    try {
+      await this.prepareHTTPChallenges(host, challenges.filter(item => item.type === 'http-01'), client, sshOptions, config, cleanup);
+      await this.prepareDNSChallenges(challenges.filter(item => item.type === 'dns-01'), client, config, cleanup);
+
+      for (const item of challenges) {
+        await client.completeChallenge(item.challenge);
+      }
+      for (const item of challenges) {
+        await client.waitForStatus(item.authorization.url, 'valid');
+        logger.success(chalk.green(`✅ ${item.domain} validated (${item.type.toUpperCase()})`));
+      }
+    } finally {
+      await this.cleanupChallenges(host, sshOptions, config, cleanup);
+    }
+
+    logger.info(chalk.blue('📜 Finalizing order...'));
+    const { privateKey, csr } = ACMEClient.createCSR(domains);
+    const finalized = await client.finalize(order, csr);
+    const pem = await client.downloadCertificate(finalized.certificate);
+
+    await this.uploadCertificate(host, paths.directory, { ...ACMEClient.splitChain(pem), privateKey }, sshOptions);
+    logger.success(chalk.green(`✅ Certificate installed in ${paths.directory}`));
+
+    return {
+      success: true,
+      method: 'acme',
+      ...paths,
+      domains,
+      challengeMethod: challenges.some(item => item.type === 'dns-01') ? 'dns-01' : 'http-01'
+    };
+  }
+
+  /**
+   * ACME client with the account for this directory, registering it on first use
+   */
+  async createClient(directoryUrl, email) {
+    const accountFile = path.join(os.homedir(), '.focal-deploy', ACCOUNT_FILE);
+    const legacyFile = path.join(process.cwd(), LEGACY_ACCOUNT_FILE);
+    const accounts = await fs.pathExists(accountFile) ? await fs.readJson(accountFile) : {};
+    // Accounts saved in the project by earlier versions move to the home directory
+    const legacyAccounts = await fs.pathExists(legacyFile) ? await fs.readJson(legacyFile) : null;
+    if (legacyAccounts) {
+      Object.assign(accounts, { ...legacyAccounts, ...accounts });
+      await saveAccounts(accountFile, accounts);
+      await fs.remove(legacyFile);
+    }
+    const account = accounts[directoryUrl] || {};
+
+    const client = new ACMEClient({ directoryUrl, accountKey: account.key });
+    const accountUrl = await client.register(email);
+
+    if (account.url !== accountUrl || !account.key) {
+      accounts[directoryUrl] = { key: client.accountKey.export({ type: 'pkcs8', format: 'pem' }), url: accountUrl, email };
+      await saveAccounts(accountFile, accounts);
+      logger.info(chalk.gray(`   ACME account: ${accountUrl}`));
+    }
+    return client;
+  }
+
+  /**
+   * Pick the challenge for each pending authorization: DNS-01 for wildcards
+   * and domains configured for it, HTTP-01 otherwise
+   */
+  async selectChallenges(client, order, domainConfigs) {
+    const methods = Object.fromEntries(domainConfigs.map(domainConfig => [domainConfig.domain, domainConfig.challengeMethod]));
+    const selected = [];
+
+    for (const url of order.authorizations) {
+      const authorization = await client.getAuthorization(url);
+      if (authorization.status === 'valid') {
+        continue;
+      }
+
+      const domain = authorization.wildcard ? `*.${authorization.identifier.value}` : authorization.identifier.value;
+      const type = authorization.wildcard || methods[domain] === 'dns-01' ? 'dns-01' : 'http-01';
+      const challenge = authorization.challenges.find(candidate => candidate.type === type);
+      if (!challenge) {
+        throw new Error(`The ACME server offered no ${type} challenge for ${domain}`);
+      }
+      if (!TOKEN_PATTERN.test(challenge.token)) {
+        throw new Error(`Unexpected challenge token for ${domain}`);
+      }
+
+      selected.push({ domain, type, authorization, challenge });
+    }
+
+    return selected;
+  }
+
+  /**
+   * Write the key authorizations to the webroot. Sites configured by
+   * "focal-deploy ssl" already serve it; before the first certificate a
+   * temporary nginx server block answers the challenges.
+   */
+  async prepareHTTPChallenges(host, challenges, client, sshOptions, config, cleanup) {
+    if (challenges.length === 0) {
+      return;
+    }
+
+    await this.sshService.executeCommand(host, `sudo install -d -m 755 ${CHALLENGE_DIR}`, sshOptions);
+    for (const { challenge } of challenges) {
+      await this.sshService.executeCommand(
+        host,
+        `printf '%s' '${client.keyAuthorization(challenge.token)}' | sudo tee ${CHALLENGE_DIR}/${challenge.token} > /dev/null && sudo chmod 644 ${CHALLENGE_DIR}/${challenge.token}`,
+        sshOptions
+      );
+      cleanup.http.push(challenge.token);
+    }
+
+    const served = await this.sshService.executeCommand(
+      host,
+      `sudo grep -rqs '${ACME_WEBROOT}' /etc/nginx/sites-enabled/ && echo yes || echo no`,
+      sshOptions
+    );
+    if (served.stdout.trim() !== 'yes') {
+      const serverNames = challenges.map(item => item.domain).join(' ');
+      const serverBlock = [
+        '# Temporary: ACME HTTP-01 challenges for focal-deploy',
+        'server {',
+        nginxListenDirectives(80, '', isDualStackEnabled(config || {})),
+        `    server_name ${serverNames};`,
+        '',
+        '    location /.well-known/acme-challenge/ {',
+        `        root ${ACME_WEBROOT};`,
+        '    }',
+        '',
+        '    location / {',
+        '        return 404;',
+        '    }',
+        '}'
+      ].join('\n');
+
+      await this.sshService.executeCommand(host, `sudo tee ${TEMP_NGINX_CONF} > /dev/null << 'EOF'\n${serverBlock}\nEOF`, sshOptions);
+      cleanup.nginx = true;
+      await this.sshService.executeCommand(host, 'sudo nginx -t && sudo systemctl reload nginx', sshOptions);
+    }
+  }
+
+  /**
+   * Create the _acme-challenge TXT records through the DNS provider and wait until they are visible
+   */
+  async prepareDNSChallenges(challenges, client, config, cleanup) {
+    if (challenges.length === 0) {
+      return;
+    }
+
+    let dnsManager;
+    try {
+      dnsManager = this.createDNSManager(config);
+    } catch (error) {
+      throw new Error(`DNS-01 challenges need a DNS provider (ssl.dnsProvider in focal-deploy.yml): ${error.message}`);
+    }
+
+    const propagation = DNSRenewalHookService.propagationSettings(dnsManager.providerConfig || {});
+    for (const { domain, challenge } of challenges) {
+      const value = client.dnsChallengeValue(challenge.token);
+      cleanup.dns.push({ provider: dnsManager.provider, domain, value });
+      await createChallengeRecord(dnsManager.provider, { propagation }, domain, value, dnsLog);
+    }
+  }
+
+  async cleanupChallenges(host, sshOptions, config, cleanup) {
+    for (const { provider, domain, value } of cleanup.dns) {
+      try {
+        await removeChallengeRecord(provider, domain, value, dnsLog);
+      } catch (error) {
+        logger.warn(chalk.yellow(`⚠️  Could not remove the challenge record for ${domain}: ${error.message}`));
+      }
+    }
+
+    try {
+      if (cleanup.http.length > 0) {
+        await this.sshService.executeCommand(host, `sudo rm -f ${cleanup.http.map(token => `${CHALLENGE_DIR}/${token}`).join(' ')}`, sshOptions);
+      }
+      if (cleanup.nginx) {
+        await this.sshService.executeCommand(host, `sudo rm -f ${TEMP_NGINX_CONF} && sudo systemctl reload nginx`, sshOptions);
+      }
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠️  Could not clean up HTTP-01 challenge files: ${error.message}`));
+    }
+  }
+
+  /**
+   * Upload the PEMs over SFTP to a private staging directory, then move them into place as root
+   */
+  async uploadCertificate(host, directory, pems, sshOptions) {
+    const files = {
+      'fullchain.pem': { content: pems.fullchain, mode: '644' },
+      'cert.pem': { content: pems.certificate, mode: '644' },
+      'chain.pem': { content: pems.chain, mode: '644' },
+      'privkey.pem': { content: pems.privateKey, mode: '600' }
+    };
+
+    await this.sshService.executeCommand(host, `rm -rf ~/${STAGING_DIR} && install -d -m 700 ~/${STAGING_DIR}`, sshOptions);
+    for (const [name, file] of Object.entries(files)) {
+      await this.sshService.writeFile(host, `${STAGING_DIR}/${name}`, file.content, sshOptions);
+    }
+
+    await this.sshService.executeCommand(host, [
+      `sudo install -d -m 755 -o root -g root ${directory}`,
+      ...Object.entries(files).map(([name, file]) => `sudo install -m ${file.mode} -o root -g root ~/${STAGING_DIR}/${name} ${directory}/${name}`),
+      `rm -rf ~/${STAGING_DIR}`
+    ].join(' && '), sshOptions);
+  }
+
+  createDNSManager(config) {
+    return new DNSManager(config);
+  }
+}
+
+async function saveAccounts(accountFile, accounts) {
+  await fs.ensureDir(path.dirname(accountFile), { mode: 0o700 });
+  await fs.writeJson(accountFile, accounts, { spaces: 2, mode: 0o600 });
+  // The mode option only applies when the file is created
+  await fs.chmod(accountFile, 0o600);
+}
+
+module.exports = { ACMESSLService, ACME_WEBROOT, CERT_ROOT };
@@ -2,6 +2,7 @@ const { Logger } = require('./logger');
 const OSDetector = require('./os-detector');
 const fs = require('fs-extra');
 const path = require('path');
+const { getStateFilePath } = require('./environment');
 
 class ConfigValidator {
   constructor(config) {
@@ -288,7 +289,7 @@ class ConfigValidator {
    * @param {object} updates - State updates to apply
    */
   async updateDeploymentState(updates) {
-    const stateFilePath = path.join(process.cwd(), '.focal-deploy-state.json');
+    const stateFilePath = getStateFilePath();
     
     if (await fs.pathExists(stateFilePath)) {
       const state = await fs.readJson(stateFilePath);
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const inquirer = require('inquirer');
+const { FocalDeployError } = require('./errors');
+
+const PASSPHRASE_ENV = 'FOCAL_DEPLOY_PASSPHRASE';
+const NEW_PASSPHRASE_ENV = 'FOCAL_DEPLOY_NEW_PASSPHRASE';
+const KEY_FILE_VERSION = 2;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const DEFAULT_SESSION_MINUTES = 15;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Credential encryption key
+ * Stored credentials are encrypted with a random 256-bit data key kept in
+ * ~/.focal-deploy/.key. Without a master passphrase the file holds the key
+ * itself (hex, as in earlier versions); with one it holds the key encrypted
+ * with AES-256-GCM under a scrypt-derived key, so changing the passphrase
+ * never re-encrypts the credentials.
+ *
+ * A protected key is unlocked from, in order: the session cache written by
+ * "credentials unlock", FOCAL_DEPLOY_PASSPHRASE, or a prompt.
+ */
+
+function getKeyFile() {
+  return path.join(os.homedir(), '.focal-deploy', '.key');
+}
+
+/**
+ * Session cache in the per-user runtime directory (tmpfs on most systems)
+ */
+function getSessionFile() {
+  const user = typeof process.getuid === 'function' ? process.getuid() : os.userInfo().username;
+  return path.join(process.env.XDG_RUNTIME_DIR || os.tmpdir(), `focal-deploy-${user}`, 'session.json');
+}
+
+/**
+ * @returns {Object|null} { protected: false, key } or { protected: true, wrapped, fingerprint }
+ */
+async function readKeyFile() {
+  const keyFile = getKeyFile();
+  if (!await fs.pathExists(keyFile)) {
+    return null;
+  }
+
+  const content = (await fs.readFile(keyFile, 'utf8')).trim();
+  if (/^[0-9a-f]{64}$/i.test(content)) {
+    return { protected: false, key: Buffer.from(content, 'hex') };
+  }
+
+  let wrapped;
+  try {
+    wrapped = JSON.parse(content);
+  } catch (error) {
+    wrapped = null;
+  }
+  if (wrapped?.version !== KEY_FILE_VERSION || !wrapped.kdf || !wrapped.key) {
+    throw new FocalDeployError(
+      `The credential key file ${keyFile} is not readable.`,
+      'Restore it from a backup, or remove it and the files under ~/.focal-deploy/projects and run the setup wizard again.',
+      'CREDENTIALS_KEY_INVALID'
+    );
+  }
+  return { protected: true, wrapped, fingerprint: crypto.createHash('sha256').update(content).digest('hex') };
+}
+
+async function writeKeyFile(content) {
+  const keyFile = getKeyFile();
+  await fs.ensureDir(path.dirname(keyFile));
+  await fs.writeFile(keyFile, content, { mode: 0o600 }); // Readable only by owner
+  await fs.chmod(keyFile, 0o600);
+}
+
+/**
+ * The data key, created on first use
+ * @param {Object} options - { prompt } inquirer-style prompt for the passphrase
+ * @returns {Promise<Buffer>} 32-byte key
+ */
+async function loadEncryptionKey(options = {}) {
+  const keyFile = await readKeyFile();
+
+  if (!keyFile) {
+    const key = crypto.randomBytes(32);
+    await writeKeyFile(key.toString('hex'));
+    return key;
+  }
+  if (!keyFile.protected) {
+    return keyFile.key;
+  }
+
+  const session = await readSession(keyFile.fingerprint);
+  if (session) {
+    return session;
+  }
+  return await unwrapKey(keyFile.wrapped, await getPassphrase(options));
+}
+
+async function getPassphrase(options = {}) {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+
+  if (!options.prompt && !process.stdin.isTTY) {
+    throw new FocalDeployError(
+      'Stored credentials are locked with a passphrase.',
+      `Run "focal-deploy credentials unlock" first, or set ${PASSPHRASE_ENV} (e.g. from a CI secret).`,
+      'CREDENTIALS_LOCKED'
+    );
+  }
+
+  const prompt = options.prompt || inquirer.createPromptModule({ output: process.stderr });
+  const { passphrase } = await prompt([
+    { type: 'password', name: 'passphrase', message: 'Credentials passphrase:', mask: '*' }
+  ]);
+  return passphrase;
+}
+
+async function deriveKey(passphrase, kdf) {
+  return await new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'hex'), 32, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }, (error, derived) => (error ? reject(error) : resolve(derived)));
+  });
+}
+
+async function wrapKey(key, passphrase) {
+  const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...SCRYPT_PARAMS };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, kdf), iv);
+  const encrypted = Buffer.concat([cipher.update(key), cipher.final()]);
+
+  return {
+    version: KEY_FILE_VERSION,
+    kdf,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    key: encrypted.toString('hex')
+  };
+}
+
+async function unwrapKey(wrapped, passphrase) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, wrapped.kdf), Buffer.from(wrapped.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(wrapped.tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(wrapped.key, 'hex')), decipher.final()]);
+  } catch (error) {
+    throw new FocalDeployError(
+      'The credentials passphrase is incorrect.',
+      `Check the passphrase (or ${PASSPHRASE_ENV}) and try again.`,
+      'CREDENTIALS_PASSPHRASE_INVALID'
+    );
+  }
+}
+
+async function readSession(fingerprint) {
+  try {
+    const session = await fs.readJson(getSessionFile());
+    if (session.fingerprint === fingerprint && new Date(session.expiresAt) > new Date()) {
+      return Buffer.from(session.key, 'hex');
+    }
+  } catch (error) {
+    // No session
+  }
+  return null;
+}
+
+/**
+ * Whether the key file is protected by a passphrase, and until when it is unlocked
+ */
+async function getKeyStatus() {
+  const keyFile = await readKeyFile();
+  if (!keyFile?.protected) {
+    return { passphrase: false, unlockedUntil: null };
+  }
+
+  let unlockedUntil = null;
+  if (await readSession(keyFile.fingerprint)) {
+    unlockedUntil = (await fs.readJson(getSessionFile())).expiresAt;
+  }
+  return { passphrase: true, unlockedUntil };
+}
+
+/**
+ * Unlock the key for a number of minutes so later commands need no passphrase
+ * @returns {Promise<Object>} { expiresAt }
+ */
+async function unlockSession(options = {}) {
+  const keyFile = await readKeyFile();
+  if (!keyFile?.protected) {
+    throw new FocalDeployError(
+      'Stored credentials are not protected by a passphrase.',
+      'Set one with "focal-deploy credentials passphrase".',
+      'CREDENTIALS_NOT_PROTECTED'
+    );
+  }
+
+  const minutes = options.minutes || DEFAULT_SESSION_MINUTES;
+  const key = await unwrapKey(keyFile.wrapped, await getPassphrase(options));
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+  const sessionFile = getSessionFile();
+  await fs.ensureDir(path.dirname(sessionFile), { mode: 0o700 });
+  await fs.writeFile(sessionFile, JSON.stringify({ fingerprint: keyFile.fingerprint, key: key.toString('hex'), expiresAt }), { mode: 0o600 });
+  await fs.chmod(sessionFile, 0o600);
+
+  return { expiresAt };
+}
+
+/**
+ * Forget the unlocked key
+ * @returns {Promise<boolean>} Whether a session was open
+ */
+async function lockSession() {
+  const sessionFile = getSessionFile();
+  if (!await fs.pathExists(sessionFile)) {
+    return false;
+  }
+  await fs.remove(sessionFile);
+  return true;
+}
+
+/**
+ * Protect the key with a new passphrase (or replace the current one)
+ */
+async function setPassphrase(newPassphrase, options = {}) {
+  if (!newPassphrase || newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new FocalDeployError(
+      `The passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters.`,
+      'Choose a longer passphrase.',
+      'CREDENTIALS_PASSPHRASE_WEAK'
+    );
+  }
+
+  const key = await loadEncryptionKey(options);
+  await writeKeyFile(JSON.stringify(await wrapKey(key, newPassphrase), null, 2));
+  await lockSession();
+}
+
+/**
+ * Store the key without a passphrase again
+ */
+async function removePassphrase(options = {}) {
+  const key = await loadEncryptionKey(options);
+  await writeKeyFile(key.toString('hex'));
+  await lockSession();
+}
+
+module.exports = {
+  PASSPHRASE_ENV,
+  NEW_PASSPHRASE_ENV,
+  DEFAULT_SESSION_MINUTES,
+  MIN_PASSPHRASE_LENGTH,
+  getKeyFile,
+  getSessionFile,
+  getKeyStatus,
+  loadEncryptionKey,
+  unlockSession,
+  lockSession,
+  setPassphrase,
+  removePassphrase
+};
@@ -0,0 +1,344 @@
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const inquirer = require('inquirer');
+const {
+  IAMClient,
+  GetUserCommand,
+  ListAccessKeysCommand,
+  CreateAccessKeyCommand,
+  DeleteAccessKeyCommand
+} = require('@aws-sdk/client-iam');
+const CredentialManager = require('./credentials');
+const { Logger } = require('./logger');
+const { FocalDeployError } = require('./errors');
+
+const DEFAULT_MAX_AGE_DAYS = 90;
+const ROTATABLE_SERVICES = ['aws', 'github', 'dns'];
+
+/**
+ * Credential Rotator
+ * Replaces stored AWS access keys, GitHub tokens and DNS provider
+ * credentials, and updates every credentials file under ~/.focal-deploy that
+ * holds the old value. Validation reuses the setup wizard's checks.
+ */
+class CredentialRotator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.collector - CredentialCollector used to validate and prompt
+   * @param {Function} options.prompt - inquirer-style prompt for new tokens
+   * @param {number} options.validationAttempts - Checks of a new AWS key before giving up
+   * @param {number} options.validationDelayMs - Wait between checks (new IAM keys take a few seconds to work)
+   */
+  constructor(options = {}) {
+    this.collector = options.collector;
+    this.prompt = options.prompt || inquirer.prompt;
+    this.validationAttempts = options.validationAttempts || 6;
+    this.validationDelayMs = options.validationDelayMs ?? 5000;
+  }
+
+  /**
+   * Create a new access key for the IAM user, validate it, store it wherever
+   * the old key was stored and delete the old key
+   * @param {Object} aws - Current aws settings (accessKeyId, secretAccessKey, region)
+   * @param {Object} options - { configFiles } from ConfigLoader.readConfigFiles, updated in place
+   * @returns {Object} { service, userName, oldAccessKeyId, newAccessKeyId, updated }
+   */
+  async rotateAWS(aws, options = {}) {
+    if (!aws?.profile && !aws?.accessKeyId) {
+      throw notStored('AWS access key');
+    }
+    if (!aws.accessKeyId || !aws.secretAccessKey || aws.profile) {
+      throw new FocalDeployError(
+        'Only stored access keys can be rotated; these credentials come from an AWS profile or the default provider chain.',
+        'Rotate profile and SSO credentials with the AWS CLI, or store access keys with "focal-deploy init".',
+        'AWS_ROTATION_UNSUPPORTED'
+      );
+    }
+    if (aws.sessionToken) {
+      throw new FocalDeployError(
+        'Temporary credentials (with a session token) cannot be rotated.',
+        'Rotate the long-term access key the session was created from.',
+        'AWS_ROTATION_UNSUPPORTED'
+      );
+    }
+
+    const region = aws.region || 'us-east-1';
+    const oldKey = { accessKeyId: aws.accessKeyId, secretAccessKey: aws.secretAccessKey };
+    const iam = new IAMClient({ region, credentials: oldKey });
+
+    const { User } = await iam.send(new GetUserCommand({}));
+    const userName = User.UserName;
+    const { AccessKeyMetadata = [] } = await iam.send(new ListAccessKeysCommand({ UserName: userName }));
+    const otherKeys = AccessKeyMetadata.filter(key => key.AccessKeyId !== oldKey.accessKeyId);
+    if (otherKeys.length > 0) {
+      throw new FocalDeployError(
+        `IAM user ${userName} already has a second access key (${maskKey(otherKeys[0].AccessKeyId)}); AWS allows two per user.`,
+        `Delete the unused key in the IAM console or with "aws iam delete-access-key --user-name ${userName} --access-key-id ${otherKeys[0].AccessKeyId}", then try again.`,
+        'AWS_ACCESS_KEY_LIMIT'
+      );
+    }
+
+    Logger.info(`🔑 Creating a new access key for IAM user ${userName}...`);
+    const { AccessKey } = await iam.send(new CreateAccessKeyCommand({ UserName: userName }));
+    const newKey = { accessKeyId: AccessKey.AccessKeyId, secretAccessKey: AccessKey.SecretAccessKey };
+
+    const validation = await this.validateNewAWSKey({ ...newKey, region });
+    if (!validation.valid) {
+      await iam.send(new DeleteAccessKeyCommand({ UserName: userName, AccessKeyId: newKey.accessKeyId }));
+      throw new FocalDeployError(
+        `The new access key did not validate: ${validation.error}`,
+        'The new key was deleted and the current key is unchanged.',
+        'AWS_ROTATION_FAILED',
+        validation.suggestions || []
+      );
+    }
+    Logger.success(`New access key ${maskKey(newKey.accessKeyId)} validated`);
+
+    const updated = await this.storeAWSKey(oldKey.accessKeyId, { ...newKey, region }, options.configFiles || []);
+
+    // Deleting with the new key also proves it has IAM access
+    const newIam = new IAMClient({ region, credentials: newKey });
+    await newIam.send(new DeleteAccessKeyCommand({ UserName: userName, AccessKeyId: oldKey.accessKeyId }));
+    Logger.success(`Old access key ${maskKey(oldKey.accessKeyId)} deleted`);
+
+    return {
+      service: 'aws',
+      userName,
+      oldAccessKeyId: maskKey(oldKey.accessKeyId),
+      newAccessKeyId: maskKey(newKey.accessKeyId),
+      updated
+    };
+  }
+
+  async validateNewAWSKey(credentials) {
+    let validation;
+    for (let attempt = 1; attempt <= this.validationAttempts; attempt++) {
+      validation = await this.collector.validateAWSCredentialsDetailed(credentials);
+      if (validation.valid) {
+        return validation;
+      }
+      if (attempt < this.validationAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.validationDelayMs));
+      }
+    }
+    return validation;
+  }
+
+  /**
+   * Replace the old key in the credentials files, keychain entries and
+   * configuration files that contain it. When no file does (e.g. the key came
+   * from AWS_* variables), the new key is saved to the shared credentials
+   * file so it is not lost.
+   */
+  async storeAWSKey(oldAccessKeyId, newKey, configFiles) {
+    const updated = [];
+    const keychainKeys = new Set(['aws']);
+
+    for (const manager of await CredentialManager.listAll()) {
+      if (manager.projectName) {
+        keychainKeys.add(`aws-${manager.projectName}`);
+      }
+      const stored = await manager.loadCredentials();
+      if (stored?.accessKeyId === oldAccessKeyId) {
+        await manager.saveCredentials({ ...newKey, region: stored.region || newKey.region });
+        updated.push(manager.credentialsFile);
+      }
+    }
+
+    // Keep the system keychain copies used by the setup wizard in sync
+    for (const key of keychainKeys) {
+      const stored = await this.collector.getStoredCredentials(key);
+      if (stored?.accessKeyId === oldAccessKeyId) {
+        await this.collector.storeCredentials(key, {
+          ...stored,
+          accessKeyId: newKey.accessKeyId,
+          secretAccessKey: newKey.secretAccessKey
+        });
+      }
+    }
+
+    for (const file of configFiles) {
+      if (replaceAccessKey(file.config, oldAccessKeyId, newKey)) {
+        if (file.format === 'yaml') {
+          await fs.writeFile(file.path, yaml.dump(file.config, { indent: 2, lineWidth: -1 }), 'utf8');
+        } else {
+          await fs.writeJson(file.path, file.config, { spaces: 2 });
+        }
+        updated.push(file.path);
+      }
+    }
+
+    if (updated.length === 0) {
+      const manager = new CredentialManager();
+      await manager.saveCredentials(newKey);
+      updated.push(manager.credentialsFile);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Ask for a new GitHub token, verify it and store it in every credentials
+   * file (and keychain entry) that held a GitHub token
+   */
+  async rotateGitHub() {
+    const managers = await this.managersWith('github');
+    if (managers.length === 0) {
+      throw notStored('GitHub token');
+    }
+
+    Logger.info('🐙 Create a new token at https://github.com/settings/tokens (repo and admin:public_key scopes).');
+    const { token } = await this.prompt([
+      {
+        type: 'password',
+        name: 'token',
+        message: 'New GitHub Personal Access Token:',
+        mask: '*',
+        validate: (input) => /^(gh[ps]_[A-Za-z0-9_]{36,255}|github_pat_[A-Za-z0-9_]{22,255})$/.test(input || '') || 'Invalid GitHub token format (should start with ghp_, ghs_ or github_pat_)'
+      }
+    ]);
+
+    const validation = await this.collector.validateGitHubCredentialsDetailed({ token });
+    if (!validation.valid) {
+      throw new FocalDeployError(
+        `The new GitHub token did not validate: ${validation.error}`,
+        'The stored token is unchanged.',
+        'GITHUB_TOKEN_INVALID',
+        validation.suggestions || []
+      );
+    }
+    Logger.success(`Authenticated to GitHub as ${validation.user?.login}`);
+
+    const updated = await this.storeServiceCredentials(managers, 'github', { token });
+    Logger.warn('Revoke the previous token at https://github.com/settings/tokens once every machine uses the new one.');
+
+    return { service: 'github', user: validation.user?.login, updated };
+  }
+
+  /**
+   * Ask for new credentials of every DNS provider that has stored
+   * credentials, verify them and update the files that used them
+   */
+  async rotateDNS() {
+    const providers = new Map();
+    for (const manager of await CredentialManager.listAll()) {
+      for (const { service } of await manager.getCredentialsSummary()) {
+        if (service.startsWith('dns-')) {
+          const provider = service.slice('dns-'.length);
+          providers.set(provider, [...(providers.get(provider) || []), manager]);
+        }
+      }
+    }
+    // Route 53 uses the AWS credentials, rotated with --service aws
+    providers.delete('route53');
+
+    if (providers.size === 0) {
+      throw notStored('DNS provider credentials');
+    }
+
+    const results = [];
+    for (const [provider, managers] of providers) {
+      Logger.info(`🌐 New ${provider} credentials`);
+      const credentials = await this.collector.collectProviderSpecificCredentialsWithValidation(provider);
+      const validation = await this.collector.validateDNSCredentialsDetailed(provider, credentials);
+      if (!validation.valid) {
+        throw new FocalDeployError(
+          `The new ${provider} credentials did not validate: ${validation.error}`,
+          `The stored ${provider} credentials are unchanged.`,
+          'DNS_CREDENTIALS_INVALID',
+          validation.suggestions || []
+        );
+      }
+      Logger.success(`${provider} credentials validated`);
+
+      const updated = await this.storeServiceCredentials(managers, `dns-${provider}`, credentials);
+      results.push({ provider, updated });
+    }
+
+    Logger.warn('Revoke the previous API keys in your DNS provider\'s dashboard once every machine uses the new ones.');
+    return { service: 'dns', providers: results };
+  }
+
+  async managersWith(service) {
+    const managers = [];
+    for (const manager of await CredentialManager.listAll()) {
+      if ((await manager.getCredentialsSummary()).some(entry => entry.service === service)) {
+        managers.push(manager);
+      }
+    }
+    return managers;
+  }
+
+  async storeServiceCredentials(managers, service, credentials) {
+    const updated = [];
+    for (const manager of managers) {
+      await manager.saveServiceCredentials(service, credentials);
+      updated.push(manager.credentialsFile);
+
+      // Keep the system keychain copy used by the setup wizard in sync
+      const key = manager.projectName ? `${service}-${manager.projectName}` : service;
+      if (await this.collector.getStoredCredentials(key)) {
+        await this.collector.storeCredentials(key, credentials);
+      }
+    }
+    return updated;
+  }
+}
+
+/**
+ * Stored credentials older than the policy age
+ * @param {number} maxAgeDays - Policy age in days
+ * @returns {Promise<Array>} [{ project, file, service, savedAt, ageDays, expired }]
+ */
+async function getCredentialsStatus(maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const entries = [];
+  for (const manager of await CredentialManager.listAll()) {
+    for (const entry of await manager.getCredentialsSummary()) {
+      entries.push({
+        project: manager.projectName,
+        file: manager.credentialsFile,
+        ...entry,
+        expired: entry.ageDays === null || entry.ageDays > maxAgeDays
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Replace an access key in the aws section of a configuration file and of its environments
+ * @returns {boolean} Whether anything changed
+ */
+function replaceAccessKey(config, oldAccessKeyId, newKey) {
+  const sections = [config?.aws, ...Object.values(config?.environments || {}).map(environment => environment?.aws)];
+  let changed = false;
+
+  for (const aws of sections) {
+    if (aws?.accessKeyId === oldAccessKeyId) {
+      aws.accessKeyId = newKey.accessKeyId;
+      aws.secretAccessKey = newKey.secretAccessKey;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function maskKey(accessKeyId) {
+  return accessKeyId ? `${accessKeyId.slice(0, 4)}…${accessKeyId.slice(-4)}` : accessKeyId;
+}
+
+function notStored(what) {
+  return new FocalDeployError(
+    `No stored ${what} to rotate.`,
+    'Credentials are recorded by the setup wizard ("focal-deploy new"). Run "focal-deploy credentials status" to see what is stored.',
+    'CREDENTIALS_NOT_FOUND'
+  );
+}
+
+module.exports = {
+  CredentialRotator,
+  DEFAULT_MAX_AGE_DAYS,
+  ROTATABLE_SERVICES,
+  getCredentialsStatus,
+  maskKey
+};
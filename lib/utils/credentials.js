@@ -3,6 +3,10 @@ const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 const { Logger } = require('./logger');
+const { FocalDeployError } = require('./errors');
+const { loadEncryptionKey } = require('./credential-key');
+
+const CIPHERTEXT_PREFIX = 'v2:';
 
 class CredentialManager {
   constructor(projectName = null) {
@@ -16,60 +20,124 @@ class CredentialManager {
       this.credentialsFile = path.join(this.credentialsDir, 'credentials.json');
     }
     
-    this.encryptionKey = this.getOrCreateEncryptionKey();
+    // Loaded by unlock(), which may need the master passphrase
+    this.encryptionKey = null;
   }
 
-  getOrCreateEncryptionKey() {
-    const keyFile = path.join(this.credentialsDir, '.key');
-    
-    try {
-      if (fs.existsSync(keyFile)) {
-        return fs.readFileSync(keyFile, 'utf8');
-      }
-    } catch (error) {
-      // Key file doesn't exist or can't be read, create new one
+  /**
+   * Load the encryption key (see credential-key.js). Every method that
+   * encrypts or decrypts calls this first.
+   * @param {Object} options - { prompt } for the passphrase
+   */
+  async unlock(options = {}) {
+    if (!this.encryptionKey) {
+      this.encryptionKey = await loadEncryptionKey(options);
     }
+    return this;
+  }
 
-    // Create new encryption key
-    const key = crypto.randomBytes(32).toString('hex');
-    fs.ensureDirSync(this.credentialsDir);
-    fs.writeFileSync(keyFile, key, { mode: 0o600 }); // Readable only by owner
-    return key;
+  requireKey() {
+    if (!this.encryptionKey) {
+      throw new Error('CredentialManager is locked; call unlock() first');
+    }
+    return this.encryptionKey;
   }
 
+  /**
+   * AES-256-GCM: v2:<iv>:<auth tag>:<ciphertext>
+   */
   encrypt(text) {
-    const algorithm = 'aes-256-cbc';
-    const key = Buffer.from(this.encryptionKey, 'hex');
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return iv.toString('hex') + ':' + encrypted;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.requireKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return `${CIPHERTEXT_PREFIX}${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
   }
 
   decrypt(encryptedText) {
-    const algorithm = 'aes-256-cbc';
-    const key = Buffer.from(this.encryptionKey, 'hex');
-    
-    const parts = encryptedText.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    if (CredentialManager.isLegacyCiphertext(encryptedText)) {
+      return this.decryptLegacy(encryptedText);
+    }
+
+    const [iv, tag, encrypted] = encryptedText.slice(CIPHERTEXT_PREFIX.length).split(':');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.requireKey(), Buffer.from(iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(tag, 'hex'));
+      return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new FocalDeployError(
+        `Stored credentials in ${this.credentialsFile} failed the integrity check.`,
+        'The file was modified or encrypted with another key. Remove it and store the credentials again.',
+        'CREDENTIALS_INTEGRITY'
+      );
+    }
+  }
+
+  /**
+   * AES-256-CBC values written by earlier versions: <iv>:<ciphertext>
+   */
+  decryptLegacy(encryptedText) {
+    const [iv, encrypted] = encryptedText.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', this.requireKey(), Buffer.from(iv, 'hex'));
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
+
     return decrypted;
   }
 
+  static isLegacyCiphertext(value) {
+    return typeof value === 'string' && !value.startsWith(CIPHERTEXT_PREFIX);
+  }
+
+  /**
+   * Re-encrypt CBC values of a credentials file with GCM, in place
+   * @returns {boolean} Whether anything changed
+   */
+  upgradeCiphertexts(data) {
+    let changed = false;
+    const upgrade = (value) => {
+      if (!CredentialManager.isLegacyCiphertext(value)) {
+        return value;
+      }
+      changed = true;
+      return this.encrypt(this.decryptLegacy(value));
+    };
+
+    for (const field of ['accessKeyId', 'secretAccessKey']) {
+      if (data[field]) {
+        data[field] = upgrade(data[field]);
+      }
+    }
+    for (const entry of Object.values(data.services || {})) {
+      entry.data = upgrade(entry.data);
+    }
+    return changed;
+  }
+
+  /**
+   * Read the credentials file, upgrading earlier encryption on the way
+   */
+  async readDecryptable() {
+    const data = await this.readCredentialsFile();
+    if (!data) {
+      return null;
+    }
+
+    await this.unlock();
+    if (this.upgradeCiphertexts(data)) {
+      await this.writeCredentialsFile(data);
+      Logger.debug(`Upgraded the encryption of ${this.credentialsFile}`);
+    }
+    return data;
+  }
+
   async saveCredentials(credentials) {
     try {
-      // Ensure the directory exists (including projects subdirectory if needed)
-      await fs.ensureDir(path.dirname(this.credentialsFile));
-      
+      // GitHub and DNS tokens recorded in the same file are kept
+      const existing = await this.readDecryptable() || {};
+      await this.unlock();
       const encryptedCredentials = {
+        ...existing,
         accessKeyId: this.encrypt(credentials.accessKeyId),
         secretAccessKey: this.encrypt(credentials.secretAccessKey),
         region: credentials.region,
@@ -77,11 +145,7 @@ class CredentialManager {
         projectName: this.projectName
       };
 
-      await fs.writeFile(
-        this.credentialsFile, 
-        JSON.stringify(encryptedCredentials, null, 2),
-        { mode: 0o600 } // Readable only by owner
-      );
+      await this.writeCredentialsFile(encryptedCredentials);
 
       const credentialsPath = this.projectName 
         ? `~/.focal-deploy/projects/${this.projectName}-credentials.json`
@@ -89,6 +153,9 @@ class CredentialManager {
       Logger.info(`AWS credentials saved securely to ${credentialsPath}`);
       return true;
     } catch (error) {
+      if (error instanceof FocalDeployError) {
+        throw error;
+      }
       Logger.error('Failed to save credentials:', error.message);
       return false;
     }
@@ -96,13 +163,11 @@ class CredentialManager {
 
   async loadCredentials() {
     try {
-      if (!await fs.pathExists(this.credentialsFile)) {
+      const encryptedCredentials = await this.readDecryptable();
+      if (!encryptedCredentials?.accessKeyId) {
         return null;
       }
 
-      const encryptedData = await fs.readFile(this.credentialsFile, 'utf8');
-      const encryptedCredentials = JSON.parse(encryptedData);
-
       return {
         accessKeyId: this.decrypt(encryptedCredentials.accessKeyId),
         secretAccessKey: this.decrypt(encryptedCredentials.secretAccessKey),
@@ -110,6 +175,10 @@ class CredentialManager {
         savedAt: encryptedCredentials.savedAt
       };
     } catch (error) {
+      // A locked key or a tampered file must not look like "no credentials"
+      if (error instanceof FocalDeployError) {
+        throw error;
+      }
       Logger.warn('Failed to load saved credentials:', error.message);
       return null;
     }
@@ -149,6 +218,101 @@ class CredentialManager {
       return null;
     }
   }
+
+  /**
+   * Record the credentials of another service (github, dns) next to the AWS keys
+   * @param {string} service - Service name (github, dns-<provider>)
+   * @param {Object} credentials - Token or provider fields, encrypted as a whole
+   */
+  async saveServiceCredentials(service, credentials) {
+    const data = await this.readDecryptable() || { projectName: this.projectName };
+    await this.unlock();
+    data.services = {
+      ...data.services,
+      [service]: {
+        data: this.encrypt(JSON.stringify(credentials)),
+        savedAt: new Date().toISOString()
+      }
+    };
+    await this.writeCredentialsFile(data);
+  }
+
+  /**
+   * @returns {Object|null} The recorded credentials with their savedAt date
+   */
+  async loadServiceCredentials(service) {
+    const entry = (await this.readDecryptable())?.services?.[service];
+    if (!entry) {
+      return null;
+    }
+    return { ...JSON.parse(this.decrypt(entry.data)), savedAt: entry.savedAt };
+  }
+
+  /**
+   * Services stored in this file and when they were saved, without decrypting any secret
+   * @returns {Array} [{ service, savedAt, ageDays }]
+   */
+  async getCredentialsSummary() {
+    const data = await this.readCredentialsFile();
+    if (!data) {
+      return [];
+    }
+
+    const entries = [];
+    if (data.accessKeyId) {
+      entries.push({ service: 'aws', savedAt: data.savedAt });
+    }
+    for (const [service, entry] of Object.entries(data.services || {})) {
+      entries.push({ service, savedAt: entry.savedAt });
+    }
+
+    return entries.map(entry => ({
+      ...entry,
+      ageDays: entry.savedAt ? Math.floor((Date.now() - new Date(entry.savedAt)) / (1000 * 60 * 60 * 24)) : null
+    }));
+  }
+
+  async readCredentialsFile() {
+    if (!await fs.pathExists(this.credentialsFile)) {
+      return null;
+    }
+    return await fs.readJson(this.credentialsFile);
+  }
+
+  async writeCredentialsFile(data) {
+    await fs.ensureDir(path.dirname(this.credentialsFile));
+    await fs.writeFile(
+      this.credentialsFile,
+      JSON.stringify(data, null, 2),
+      { mode: 0o600 } // Readable only by owner
+    );
+  }
+
+  /**
+   * Credential managers for the shared credentials file and every project
+   * file under ~/.focal-deploy/projects that exists
+   */
+  static async listAll() {
+    const managers = [new CredentialManager()];
+    const projectsDir = path.join(os.homedir(), '.focal-deploy', 'projects');
+
+    if (await fs.pathExists(projectsDir)) {
+      for (const file of (await fs.readdir(projectsDir)).sort()) {
+        const match = file.match(/^(.+)-credentials\.json$/);
+        if (match) {
+          managers.push(new CredentialManager(match[1]));
+        }
+      }
+    }
+
+    const existing = [];
+    for (const manager of managers) {
+      if (await manager.hasCredentials()) {
+        existing.push(manager);
+      }
+    }
+    return existing;
+  }
 }
 
 module.exports = CredentialManager;
\ No newline at end of file
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const IAMManager = require('../aws/iam');
+const { getResourcePrefix } = require('./environment');
+
+const PLAN_VERSION = 1;
+
+const ACTION_SYMBOLS = {
+  create: chalk.green('+'),
+  update: chalk.yellow('~'),
+  delete: chalk.red('-'),
+  'no-op': chalk.gray('=')
+};
+
+// Port 22 is opened for the first connection and closed again by SSH hardening,
+// so its presence or absence is never drift
+const BOOTSTRAP_SSH_PORT = 22;
+
+/**
+ * Compares the desired infrastructure (configuration) with what exists in AWS
+ * and produces a create/update/delete/no-op plan, Terraform style.
+ *
+ * Plans are plain JSON so they can be written with `plan --out` and applied
+ * with `up --plan`; `fingerprint()` is used to check that a saved plan still
+ * matches reality before it is applied.
+ */
+class DeploymentPlanner {
+  /**
+   * @param {Object} config - Deployment configuration (project, aws, security, ...)
+   * @param {Object} managers - ec2Manager, s3Manager, securityGroupManager, sshKeyManager, iamManager
+   */
+  constructor(config, managers) {
+    this.config = config;
+    this.managers = managers;
+  }
+
+  /**
+   * Build the plan for the resources recorded in a deployment state
+   * @param {Object} state - Deployment state ({ resources: { sshKey, securityGroup, s3Bucket, ec2Instance } })
+   */
+  async createPlan(state = {}) {
+    const resources = state.resources || {};
+    const actions = [];
+
+    actions.push(await this.planKeyPair(resources.sshKey));
+
+    const securityGroupActions = await this.planSecurityGroup(resources.securityGroup);
+    actions.push(...securityGroupActions);
+    const securityGroupCreated = securityGroupActions.some(action => action.resource === 'securityGroup' && action.action === 'create');
+
+    actions.push(...await this.planBucket(resources.s3Bucket));
+    actions.push(await this.planInstanceRole());
+
+    const instanceActions = await this.planInstance(resources.ec2Instance, resources.securityGroup, securityGroupCreated);
+    actions.push(...instanceActions);
+
+    const instanceCreated = instanceActions.some(action => action.action === 'create');
+    // Stopping the instance to change its type releases its public IP
+    const instanceRestarted = instanceActions.some(action => action.changes?.instanceType);
+    if ((instanceCreated || instanceRestarted) && this.config.ssl?.dnsProvider && this.config.ssl?.domains?.length > 0) {
+      actions.push(this.action('dnsRecords', this.config.ssl.domains.join(','), 'update', [
+        instanceCreated
+          ? `point ${this.config.ssl.domains.join(', ')} at the new instance`
+          : `point ${this.config.ssl.domains.join(', ')} at the new public IP after the restart`
+      ]));
+    }
+
+    return {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      project: this.config.project?.name,
+      environment: this.config.environmentName || null,
+      region: this.config.aws?.region,
+      actions,
+      summary: summarize(actions)
+    };
+  }
+
+  async planKeyPair(existing) {
+    const keyPairName = this.config.aws?.keyPairName;
+    if (!keyPairName) {
+      return this.action('sshKey', null, 'no-op', ['no key pair configured (aws.keyPairName)']);
+    }
+
+    if (await this.managers.sshKeyManager.keyPairExists(keyPairName)) {
+      return this.action('sshKey', keyPairName, 'no-op', [
+        existing?.keyPairName === keyPairName ? 'key pair exists' : 'key pair exists in AWS but not in state'
+      ]);
+    }
+
+    return this.action('sshKey', keyPairName, 'create', [`key pair ${keyPairName} does not exist`]);
+  }
+
+  async planSecurityGroup(existing) {
+    const securityGroupId = existing?.securityGroupId || this.config.aws?.securityGroupId;
+    if (!securityGroupId) {
+      return [this.action('securityGroup', null, 'create', ['no security group in state'])];
+    }
+
+    let live;
+    try {
+      live = await this.managers.securityGroupManager.getSecurityGroupInfo(securityGroupId);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return [this.action('securityGroup', null, 'create', [`security group ${securityGroupId} no longer exists`])];
+      }
+      throw error;
+    }
+
+    const desired = flattenRules(this.managers.securityGroupManager.generateSecurityGroupRules(this.config));
+    const actual = flattenLiveRules(live.inboundRules);
+    const actions = [];
+
+    for (const rule of desired) {
+      if (rule.fromPort === BOOTSTRAP_SSH_PORT || actual.some(candidate => sameRule(candidate, rule))) {
+        continue;
+      }
+      actions.push(this.action('securityGroupRule', `${securityGroupId}/${ruleId(rule)}`, 'create', [
+        `${rule.description || `port ${rule.fromPort}`} rule missing (${rule.cidr})`
+      ], { securityGroupId, rule }));
+    }
+
+    for (const rule of actual) {
+      if (rule.fromPort === BOOTSTRAP_SSH_PORT || desired.some(candidate => sameRule(candidate, rule))) {
+        continue;
+      }
+      actions.push(this.action('securityGroupRule', `${securityGroupId}/${ruleId(rule)}`, 'delete', [
+        `${describePorts(rule)} open to ${rule.cidr} is not in the configuration`
+      ], { securityGroupId, rule }));
+    }
+
+    if (actions.length === 0) {
+      actions.push(this.action('securityGroup', securityGroupId, 'no-op', ['ingress rules match the configuration']));
+    }
+    return actions;
+  }
+
+  async planBucket(existing) {
+    const bucketName = existing?.bucketName || this.config.aws?.s3BucketName;
+    const s3Manager = this.managers.s3Manager;
+
+    if (!bucketName) {
+      return [this.action('s3Bucket', null, 'create', ['no bucket in state'])];
+    }
+    if (!await s3Manager.bucketExists(bucketName)) {
+      return [this.action('s3Bucket', null, 'create', [`bucket ${bucketName} no longer exists`])];
+    }
+
+    const reasons = [];
+    if (await s3Manager.getBucketVersioning(bucketName) !== 'Enabled') {
+      reasons.push('versioning is not enabled');
+    }
+
+    const expectedPolicy = s3Manager.generateBucketPolicy(bucketName, await s3Manager.getAccountId());
+    const livePolicy = await s3Manager.getBucketPolicy(bucketName);
+    if (!livePolicy) {
+      reasons.push('bucket policy missing');
+    } else if (canonicalJSON(livePolicy) !== canonicalJSON(expectedPolicy)) {
+      reasons.push('bucket policy differs');
+    }
+
+    return [reasons.length > 0
+      ? this.action('s3Bucket', bucketName, 'update', reasons)
+      : this.action('s3Bucket', bucketName, 'no-op', ['versioning and bucket policy match'])];
+  }
+
+  async planInstanceRole() {
+    const roleName = `${getResourcePrefix(this.config)}-ssm-role`;
+    const iamManager = this.managers.iamManager;
+
+    if (!await iamManager.getRoleIfExists(roleName)) {
+      return this.action('iamRole', roleName, 'create', [`instance role ${roleName} does not exist`]);
+    }
+
+    const { attachedPolicies } = await iamManager.getRoleInfo(roleName);
+    const missing = IAMManager.SSM_POLICY_ARNS.filter(arn => !attachedPolicies.some(policy => policy.policyArn === arn));
+    if (missing.length > 0) {
+      return this.action('iamRole', roleName, 'update', missing.map(arn => `policy ${arn.split('/').pop()} not attached`));
+    }
+
+    return this.action('iamRole', roleName, 'no-op', ['role and policies exist']);
+  }
+
+  async planInstance(existing, securityGroup, securityGroupCreated) {
+    const instanceId = existing?.instanceId || this.config.aws?.instanceId;
+    const instanceType = this.config.aws?.instanceType || 't3.small';
+
+    if (!instanceId) {
+      return [this.action('ec2Instance', null, 'create', [`no instance in state (${instanceType})`], { instanceType })];
+    }
+
+    let live;
+    try {
+      live = await this.managers.ec2Manager.getInstanceInfo(instanceId);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return [this.action('ec2Instance', null, 'create', [`instance ${instanceId} no longer exists`], { instanceType })];
+      }
+      throw error;
+    }
+
+    if (live.state === 'terminated' || live.state === 'shutting-down') {
+      return [this.action('ec2Instance', null, 'create', [`instance ${instanceId} is ${live.state}`], { instanceType })];
+    }
+
+    const reasons = [];
+    const changes = {};
+
+    if (live.instanceType !== instanceType) {
+      reasons.push(`instance type changed (${live.instanceType} → ${instanceType}); the instance is stopped and restarted`);
+      changes.instanceType = { from: live.instanceType, to: instanceType };
+    }
+
+    const securityGroupId = securityGroup?.securityGroupId || this.config.aws?.securityGroupId;
+    if (securityGroupCreated) {
+      reasons.push('attach the new security group');
+      changes.securityGroups = { from: live.securityGroupIds, to: 'new security group' };
+    } else if (securityGroupId && !live.securityGroupIds?.includes(securityGroupId)) {
+      reasons.push(`security group ${securityGroupId} is not attached`);
+      changes.securityGroups = { from: live.securityGroupIds, to: [securityGroupId] };
+    }
+
+    if (reasons.length > 0) {
+      return [this.action('ec2Instance', instanceId, 'update', reasons, { changes })];
+    }
+
+    const note = live.state === 'running' ? 'instance matches the configuration' : `instance matches the configuration (${live.state})`;
+    return [this.action('ec2Instance', instanceId, 'no-op', [note])];
+  }
+
+  action(resource, id, action, reasons, details = {}) {
+    return { resource, id, action, reasons, ...details };
+  }
+
+  /**
+   * Stable hash of a plan's actions, used to detect stale saved plans
+   */
+  static fingerprint(plan) {
+    return crypto.createHash('sha256').update(canonicalJSON(plan.actions)).digest('hex');
+  }
+
+  static display(plan, logger) {
+    logger.section(`📋 Plan for ${plan.project}${plan.environment ? ` (${plan.environment})` : ''} in ${plan.region}`);
+
+    for (const action of plan.actions) {
+      const label = `${action.resource}${action.id ? ` ${action.id}` : ''}`;
+      const line = `  ${ACTION_SYMBOLS[action.action]} ${action.action === 'no-op' ? chalk.gray(label) : label}`;
+      console.log(`${line}${chalk.gray(` — ${action.reasons.join('; ')}`)}`);
+    }
+
+    const { create, update, delete: remove } = plan.summary;
+    console.log(`\nPlan: ${chalk.green(`${create} to create`)}, ${chalk.yellow(`${update} to update`)}, ${chalk.red(`${remove} to delete`)}.`);
+  }
+}
+
+function summarize(actions) {
+  return actions.reduce((summary, action) => {
+    summary[action.action] = (summary[action.action] || 0) + 1;
+    return summary;
+  }, { create: 0, update: 0, delete: 0, 'no-op': 0 });
+}
+
+/**
+ * One entry per protocol/port range/CIDR so rules can be compared individually
+ */
+function flattenRules(rules) {
+  return rules.flatMap(rule => [
+    ...(rule.IpRanges || []).map(range => ({ protocol: rule.IpProtocol, fromPort: rule.FromPort, toPort: rule.ToPort, cidr: range.CidrIp, description: range.Description })),
+    ...(rule.Ipv6Ranges || []).map(range => ({ protocol: rule.IpProtocol, fromPort: rule.FromPort, toPort: rule.ToPort, cidr: range.CidrIpv6, description: range.Description }))
+  ]);
+}
+
+function flattenLiveRules(rules = []) {
+  return rules.flatMap(rule => rule.sources.map(cidr => ({
+    protocol: rule.protocol,
+    fromPort: rule.fromPort,
+    toPort: rule.toPort,
+    cidr
+  })));
+}
+
+function sameRule(a, b) {
+  return String(a.protocol) === String(b.protocol) && a.fromPort === b.fromPort && a.toPort === b.toPort && a.cidr === b.cidr;
+}
+
+function ruleId(rule) {
+  return `${rule.protocol}:${describePorts(rule).replace('port ', '')}:${rule.cidr}`;
+}
+
+function describePorts(rule) {
+  if (rule.fromPort === undefined) {
+    return 'all ports';
+  }
+  return rule.fromPort === rule.toPort ? `port ${rule.fromPort}` : `ports ${rule.fromPort}-${rule.toPort}`;
+}
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * AWS "not found" errors, also when already wrapped by ErrorHandler.createAWSError
+ */
+function isNotFound(error) {
+  return [error.name, error.code, error.suggestion, error.message]
+    .some(value => typeof value === 'string' && /NotFound|NoSuchEntity|not found/i.test(value));
+}
+
+module.exports = { DeploymentPlanner, PLAN_VERSION };
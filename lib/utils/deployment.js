@@ -1,5 +1,7 @@
 const { SSHService } = require('./ssh');
 const { logger } = require('./logger');
+const { loadSecrets, renderEnvFile, assertNoConfigVariables } = require('../secrets');
+const { generateReleaseId, parseReleaseList } = require('./releases');
 const chalk = require('chalk');
 const path = require('path');
 
@@ -9,7 +11,7 @@ class DeploymentService {
   }
 
   async deployApplication(host, config, options = {}) {
-    const { dryRun = false, sshOptions = {} } = options;
+    const { dryRun = false, sshOptions = {}, skipProcessManagement = false, appDir = null } = options;
     
     if (dryRun) {
       logger.info(chalk.cyan(`[DRY RUN] Would deploy application to ${host}`));
@@ -21,8 +23,7 @@ class DeploymentService {
     try {
       // Create application directory using deployment user
       const deploymentUser = config.security?.ssh?.deploymentUser || 'deploy';
-      const appDir = `/home/${deploymentUser}/app`;
-      await this.sshService.createDirectory(host, appDir, sshOptions);
+      await this.sshService.createDirectory(host, `/home/${deploymentUser}/app`, sshOptions);
 
       // Setup environment variables
       await this.setupEnvironmentVariables(host, config, sshOptions);
@@ -31,14 +32,17 @@ class DeploymentService {
       if (config.docker?.enabled) {
         await this.deployDockerApplication(host, config, sshOptions);
       } else {
-        await this.deployStaticApplication(host, config, sshOptions);
+        await this.deployStaticApplication(host, config, sshOptions, appDir || this.getAppPaths(config).appDir);
       }
 
-      // Setup process management (systemd service)
-      await this.setupProcessManagement(host, config, sshOptions);
+      // Blue/green deploys start their own per-color units
+      if (!skipProcessManagement) {
+        // Setup process management (systemd service)
+        await this.setupProcessManagement(host, config, sshOptions);
 
-      // Start the application
-      await this.startApplication(host, config, sshOptions);
+        // Start the application
+        await this.startApplication(host, config, sshOptions);
+      }
 
       logger.success(chalk.green('✅ Application deployed successfully'));
       return { success: true };
@@ -52,22 +56,19 @@ class DeploymentService {
   async setupEnvironmentVariables(host, config, sshOptions = {}) {
     logger.info(chalk.blue('⚙️  Setting up environment variables...'));
 
+    // Variables only come from the secrets backend, never from the project configuration
+    assertNoConfigVariables(config.environment, config.app?.environment);
     const envVars = {
       NODE_ENV: 'production',
       PORT: config.app?.port || 3000,
-      ...config.environment || {}
+      ...await loadSecrets(config)
     };
 
-    // Create .env file content
-    const envContent = Object.entries(envVars)
-      .map(([key, value]) => `${key}=${value}`)
-      .join('\n');
-
     // Write environment file
     const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
     const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
     const envPath = `/home/${defaultUser}/${config.projectName}/.env`;
-    await this.sshService.writeFile(host, envPath, envContent, sshOptions);
+    await this.sshService.writePrivateFile(host, envPath, renderEnvFile(envVars), sshOptions);
 
     logger.success(chalk.green('✅ Environment variables configured'));
   }
@@ -99,7 +100,6 @@ class DeploymentService {
     const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
     const containerOptions = {
       ports: [`${config.app?.port || 3000}:${config.app?.port || 3000}`],
-      environment: config.environment || {},
       volumes: [`/home/${defaultUser}/${config.projectName}/.env:/app/.env:ro`],
       restart: 'unless-stopped',
       sshOptions
@@ -110,17 +110,12 @@ class DeploymentService {
     logger.success(chalk.green('✅ Docker application deployed'));
   }
 
-  async deployStaticApplication(host, config, sshOptions = {}) {
+  async deployStaticApplication(host, config, sshOptions = {}, appDir = this.getAppPaths(config).appDir) {
     logger.info(chalk.blue('📁 Deploying static application...'));
 
     // Install Node.js if not present
     await this.installNodeJS(host, sshOptions);
 
-    // Create application structure
-    const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
-    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
-    const appDir = `/home/${defaultUser}/${config.projectName}`;
-    
     // This would typically involve uploading application files
     // For now, we'll create a simple placeholder structure
     const packageJson = {
@@ -171,19 +166,73 @@ app.listen(port, () => {
     logger.success(chalk.green('✅ Static application deployed'));
   }
 
-  async setupProcessManagement(host, config, sshOptions = {}) {
-    logger.info(chalk.blue('⚙️  Setting up process management...'));
-
-    const serviceName = config.projectName;
+  /**
+   * Login user the application runs as, its directory (which also holds the
+   * .env file) and the directory of blue/green builds
+   */
+  getAppPaths(config) {
     const operatingSystem = config.aws?.operatingSystem || 'ubuntu';
-    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
-    const appDir = `/home/${defaultUser}/${config.projectName}`;
+    const user = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
+    return {
+      user,
+      appDir: `/home/${user}/${config.projectName}`,
+      releasesDir: `/srv/${config.projectName}/releases`
+    };
+  }
+
+  /**
+   * Create an empty directory for a blue/green build, so the color that is
+   * serving traffic keeps running its own code until the switch
+   * @returns {Object} { release, releaseDir }
+   */
+  async createRelease(host, config, sshOptions = {}) {
+    const { user, appDir, releasesDir } = this.getAppPaths(config);
+    const release = generateReleaseId(await this.listReleases(host, config, sshOptions));
+    const releaseDir = `${releasesDir}/${release}`;
+
+    await this.sshService.executeCommand(
+      host,
+      `mkdir -p ${appDir} && sudo mkdir -p ${releaseDir} && sudo chown ${user}:${user} ${releaseDir}`,
+      sshOptions
+    );
+    return { release, releaseDir };
+  }
+
+  async listReleases(host, config, sshOptions = {}) {
+    const { releasesDir } = this.getAppPaths(config);
+    const result = await this.sshService.executeCommand(host, `ls -1 ${releasesDir} 2>/dev/null || true`, sshOptions);
+    return parseReleaseList(result.stdout);
+  }
+
+  async removeRelease(host, config, release, sshOptions = {}) {
+    const { releasesDir } = this.getAppPaths(config);
+    await this.sshService.executeCommand(host, `sudo rm -rf ${releasesDir}/${release}`, sshOptions);
+  }
 
-    let serviceContent;
+  /**
+   * Remove blue/green builds beyond app.blueGreen.keepReleases (at least the two colors)
+   */
+  async pruneReleases(host, config, sshOptions = {}) {
+    const keep = Math.max(config.app?.blueGreen?.keepReleases || 5, 2);
+    const stale = (await this.listReleases(host, config, sshOptions)).slice(keep);
+    for (const release of stale) {
+      await this.removeRelease(host, config, release, sshOptions);
+    }
+    return stale;
+  }
+
+  /**
+   * Systemd unit for a Docker container, or for the Node.js app in the app directory
+   * @param {Object} config - Project configuration
+   * @param {Object} options - serviceName, extra environmentFiles (blue/green colors add their port)
+   *   and the workingDirectory of a blue/green build
+   */
+  generateServiceUnit(config, options = {}) {
+    const serviceName = options.serviceName || config.projectName;
 
     if (config.docker?.enabled) {
       // Systemd service for Docker container
-      serviceContent = `
+      return `
 [Unit]
 Description=${config.projectName} Docker Container
 After=docker.service
@@ -199,19 +248,26 @@ TimeoutStartSec=0
 [Install]
 WantedBy=multi-user.target
 `;
-    } else {
-      // Systemd service for Node.js application
-      serviceContent = `
+    }
+
+    // Systemd service for Node.js application
+    const { user, appDir } = this.getAppPaths(config);
+    const workingDirectory = options.workingDirectory || appDir;
+    const environmentFiles = [`${appDir}/.env`, ...options.environmentFiles || []]
+      .map(file => `EnvironmentFile=${file}`)
+      .join('\n');
+
+    return `
 [Unit]
 Description=${config.projectName} Node.js Application
 After=network.target
 
 [Service]
 Type=simple
-User=ubuntu
-WorkingDirectory=${appDir}
+User=${user}
+WorkingDirectory=${workingDirectory}
 Environment=NODE_ENV=production
-EnvironmentFile=${appDir}/.env
+${environmentFiles}
 ExecStart=/usr/bin/node index.js
 Restart=always
 RestartSec=10
@@ -222,7 +278,13 @@ SyslogIdentifier=${serviceName}
 [Install]
 WantedBy=multi-user.target
 `;
-    }
+  }
+
+  async setupProcessManagement(host, config, sshOptions = {}) {
+    logger.info(chalk.blue('⚙️  Setting up process management...'));
+
+    const serviceName = config.projectName;
+    const serviceContent = this.generateServiceUnit(config);
 
     // Write systemd service file
     const servicePath = `/etc/systemd/system/${serviceName}.service`;
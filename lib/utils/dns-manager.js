@@ -1,24 +1,60 @@
-const axios = require('axios');
+const path = require('path');
+const fs = require('fs-extra');
 const { logger } = require('./logger');
+const { createDNSProvider } = require('../dns');
+const { serializeZone, comparableData } = require('../dns/zone-file');
+const { addressRecordType, sameAddress } = require('./ipv6');
+const { AWS_CREDENTIAL_FIELDS } = require('../aws/credential-provider');
 const chalk = require('chalk');
 
 class DNSManager {
-  constructor(config) {
+  /**
+   * @param {Object} config - Deployment configuration (ssl.dnsProvider or dnsConfig.provider)
+   * @param {DNSProviderAdapter} provider - Optional adapter instance, mainly for tests
+   */
+  constructor(config, provider = null) {
     this.config = config;
-    this.apiToken = config?.ssl?.dnsProvider?.credentials?.token;
-    this.baseURL = 'https://api.digitalocean.com/v2';
-    
-    if (!this.apiToken) {
-      throw new Error('DigitalOcean API token not found in configuration');
+    this.providerConfig = config?.ssl?.dnsProvider || config?.dnsConfig?.provider;
+
+    // The wizard stores the provider name and its credentials side by side
+    if (typeof this.providerConfig === 'string') {
+      this.providerConfig = { name: this.providerConfig, credentials: config.dnsConfig?.credentials || {} };
     }
-    
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      headers: {
-        'Authorization': `Bearer ${this.apiToken}`,
-        'Content-Type': 'application/json'
+
+    if (!provider && !this.providerConfig) {
+      throw new Error('DNS provider not found in configuration');
+    }
+
+    this.provider = provider || createDNSProvider(this.withAWSCredentials(this.providerConfig));
+  }
+
+  /**
+   * Route53 reuses the deployment's AWS credentials (the ones EC2Manager and
+   * S3Manager get) unless the provider config carries its own keys or profile
+   */
+  withAWSCredentials(providerConfig) {
+    const name = providerConfig?.name || providerConfig?.type;
+    const credentials = providerConfig?.credentials || {};
+
+    if (name !== 'route53' || credentials.accessKeyId || credentials.profile || !this.config?.aws) {
+      return providerConfig;
+    }
+
+    const awsCredentials = {};
+    for (const field of AWS_CREDENTIAL_FIELDS) {
+      if (this.config.aws[field] !== undefined) {
+        awsCredentials[field] = this.config.aws[field];
+      }
+    }
+
+    return {
+      ...providerConfig,
+      credentials: {
+        ...credentials,
+        ...awsCredentials,
+        region: credentials.region || this.config.aws.region
       }
-    });
+    };
   }
 
   /**
@@ -68,12 +104,33 @@ class DNSManager {
   }
 
   /**
-   * Get all domains in the DigitalOcean account
+   * Resolve a domain to its zone and zone-relative record name using the
+   * provider's zone list, falling back to name parsing when zones can't be listed
+   */
+  async resolveDomain(domain) {
+    try {
+      const zone = await this.provider.findZoneForDomain(domain);
+      if (zone) {
+        return {
+          rootDomain: zone.name,
+          recordName: this.provider.toRelativeName(domain, zone.name),
+          isWildcard: domain.startsWith('*.'),
+          originalDomain: domain
+        };
+      }
+    } catch (error) {
+      logger.debug(`Zone lookup failed for ${domain}: ${error.message}`);
+    }
+
+    return this.parseDomain(domain);
+  }
+
+  /**
+   * Get all domains (zones) in the DNS provider account
    */
   async getAllDomains() {
     try {
-      const response = await this.client.get('/domains');
-      return response.data.domains || [];
+      return await this.provider.listZones();
     } catch (error) {
       throw new Error(`Failed to get domains: ${error.message}`);
     }
@@ -83,21 +140,13 @@ class DNSManager {
    * Get all DNS records for a domain
    */
   async getDNSRecords(domain) {
-    try {
-      const response = await this.client.get(`/domains/${domain}/records`);
-      return response.data.domain_records || [];
-    } catch (error) {
-      if (error.response?.status === 404) {
-        throw new Error(`Domain ${domain} not found in DigitalOcean DNS`);
-      }
-      throw new Error(`Failed to get DNS records: ${error.message}`);
-    }
+    return await this.provider.listRecords(domain);
   }
 
   /**
-   * Discover all A records pointing to the specified IP across all domains
+   * Discover all A (or, for an IPv6 address, AAAA) records pointing to the specified IP across all domains
    */
-  async discoverRecordsPointingToIP(targetIP) {
+  async discoverRecordsPointingToIP(targetIP, recordType = addressRecordType(targetIP)) {
     try {
       const allDomains = await this.getAllDomains();
       const discoveredRecords = [];
@@ -106,27 +155,20 @@ class DNSManager {
         try {
           const records = await this.getDNSRecords(domain.name);
           
-          // Find A records pointing to the target IP
+          // Find records pointing to the target IP
           const matchingRecords = records.filter(record => 
-            record.type === 'A' && record.data === targetIP
+            record.type === recordType && sameAddress(record.data, targetIP)
           );
 
           for (const record of matchingRecords) {
-            // Construct full domain name
-            let fullDomain;
-            if (record.name === '@') {
-              fullDomain = domain.name;
-            } else {
-              fullDomain = `${record.name}.${domain.name}`;
-            }
-
             discoveredRecords.push({
-              domain: fullDomain,
+              domain: this.provider.toFqdn(record.name, domain.name),
               rootDomain: domain.name,
               recordName: record.name,
-              recordType: 'A',
+              recordType,
               currentIP: record.data,
               recordId: record.id,
+              record,
               ttl: record.ttl,
               isDiscovered: true
             });
@@ -159,15 +201,12 @@ class DNSManager {
    */
   async createDNSRecord(domain, recordName, recordType, data, ttl = 3600) {
     try {
-      const recordData = {
-        type: recordType,
+      return await this.provider.createRecord(domain, {
         name: recordName,
-        data: data,
-        ttl: ttl
-      };
-
-      const response = await this.client.post(`/domains/${domain}/records`, recordData);
-      return response.data.domain_record;
+        type: recordType,
+        data,
+        ttl
+      });
     } catch (error) {
       throw new Error(`Failed to create DNS record: ${error.message}`);
     }
@@ -175,53 +214,263 @@ class DNSManager {
 
   /**
    * Update an existing DNS record
+   * @param {string} domain - Zone name
+   * @param {Object} record - Existing record as returned by getDNSRecords
    */
-  async updateDNSRecord(domain, recordId, data, ttl = 3600) {
+  async updateDNSRecord(domain, record, data, ttl = 3600) {
     try {
-      const recordData = {
-        data: data,
-        ttl: ttl
-      };
-
-      const response = await this.client.put(`/domains/${domain}/records/${recordId}`, recordData);
-      return response.data.domain_record;
+      return await this.provider.updateRecord(domain, record, { data, ttl });
     } catch (error) {
       throw new Error(`Failed to update DNS record: ${error.message}`);
     }
   }
 
+  /**
+   * Delete an existing DNS record
+   * @param {string} domain - Zone name
+   * @param {Object} record - Existing record as returned by getDNSRecords
+   */
+  async deleteDNSRecord(domain, record) {
+    try {
+      await this.provider.deleteRecord(domain, record);
+    } catch (error) {
+      throw new Error(`Failed to delete DNS record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete every A record that points to an IP (used when the instance is torn down)
+   * Pass options.ipv6Address to remove the instance's AAAA records as well.
+   */
+  async removeRecordsPointingToIP(targetIP, options = {}) {
+    const { dryRun = false, backupDir = null, ipv6Address = null } = options;
+    const records = await this.discoverRecordsPointingToIP(targetIP);
+    if (ipv6Address) {
+      records.push(...await this.discoverRecordsPointingToIP(ipv6Address, 'AAAA'));
+    }
+    const results = [];
+    let backups = [];
+
+    // Snapshot every zone we are about to change; no backup, no deletion
+    if (backupDir && !dryRun && records.length > 0) {
+      const zones = [...new Set(records.map(record => record.rootDomain))];
+      backups = await this.backupZones(zones, backupDir);
+    }
+
+    for (const record of records) {
+      if (dryRun) {
+        logger.info(chalk.cyan(`[DRY RUN] Would delete DNS record: ${record.domain} -> ${record.currentIP}`));
+        results.push({ success: true, action: 'dry_run', domain: record.domain, currentIP: record.currentIP });
+        continue;
+      }
+
+      try {
+        await this.deleteDNSRecord(record.rootDomain, record.record);
+        logger.success(chalk.green(`✅ DNS record deleted: ${record.domain} -> ${record.currentIP}`));
+        results.push({ success: true, action: 'deleted', domain: record.domain, currentIP: record.currentIP });
+      } catch (error) {
+        logger.error(chalk.red(`❌ Failed to delete DNS record ${record.domain}: ${error.message}`));
+        results.push({ success: false, error: error.message, domain: record.domain, currentIP: record.currentIP });
+      }
+    }
+
+    return {
+      success: results.every(r => r.success),
+      results,
+      backups,
+      summary: {
+        total: results.length,
+        deleted: results.filter(r => r.action === 'deleted').length,
+        failed: results.filter(r => !r.success).length
+      }
+    };
+  }
+
+  /**
+   * Snapshot a zone as provider-agnostic records
+   * @returns {Object} { zone, provider, exportedAt, records }
+   */
+  async exportZone(zoneName) {
+    const records = await this.getDNSRecords(zoneName);
+
+    return {
+      zone: zoneName,
+      provider: this.provider.constructor.providerName,
+      exportedAt: new Date().toISOString(),
+      records: records
+        .filter(record => record.type !== 'SOA')
+        .map(record => ({
+          name: record.name,
+          type: record.type,
+          data: record.data,
+          ttl: record.ttl,
+          ...(record.priority !== undefined ? { priority: record.priority } : {})
+        }))
+    };
+  }
+
+  /**
+   * Write BIND snapshots of zones to a directory
+   * @returns {Array} [{ zone, file }]
+   */
+  async backupZones(zoneNames, backupDir) {
+    await fs.ensureDir(backupDir);
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    const backups = [];
+
+    for (const zoneName of zoneNames) {
+      const snapshot = await this.exportZone(zoneName);
+      const file = path.join(backupDir, `${zoneName}-${timestamp}.zone`);
+      await fs.writeFile(file, serializeZone(snapshot, 'bind'));
+      logger.info(chalk.gray(`💾 Backed up ${zoneName} (${snapshot.records.length} records) to ${file}`));
+      backups.push({ zone: zoneName, file });
+    }
+
+    return backups;
+  }
+
+  /**
+   * Work out the changes that make a live zone match desired records
+   * Only name/type pairs that appear in the desired records are reconciled,
+   * unless prune is set, in which case every other live record is deleted too.
+   * The apex NS set and SOA belong to the provider and are never touched.
+   * @param {string} zoneName - Zone name
+   * @param {Array} desiredRecords - [{ name, type, data, ttl, priority? }]
+   * @returns {Object} { zone, create, update, delete, unchanged }
+   */
+  async planZoneChanges(zoneName, desiredRecords, options = {}) {
+    const { prune = false } = options;
+    const isManaged = record => record.type !== 'SOA' && !(record.type === 'NS' && record.name === '@');
+    const groupKey = record => `${record.name.toLowerCase()}/${record.type.toUpperCase()}`;
+
+    const live = (await this.getDNSRecords(zoneName)).filter(isManaged);
+    const desired = desiredRecords.filter(isManaged).map(record => ({
+      ...record,
+      name: record.name.toLowerCase(),
+      type: record.type.toUpperCase()
+    }));
+    const desiredGroups = new Set(desired.map(groupKey));
+
+    const plan = { zone: zoneName, create: [], update: [], delete: [], unchanged: [] };
+    const remainingLive = [...live];
+
+    // Exact matches first (same value), compare TTLs
+    const unmatchedDesired = [];
+    for (const record of desired) {
+      const index = remainingLive.findIndex(existing =>
+        groupKey(existing) === groupKey(record) && comparableData(existing) === comparableData(record)
+      );
+
+      if (index === -1) {
+        unmatchedDesired.push(record);
+        continue;
+      }
+
+      const [existing] = remainingLive.splice(index, 1);
+      if (record.ttl && existing.ttl && Number(record.ttl) !== Number(existing.ttl)) {
+        plan.update.push({ record: existing, changes: { data: existing.data, ttl: Number(record.ttl) } });
+      } else {
+        plan.unchanged.push(existing);
+      }
+    }
+
+    // Remaining values in the same name/type become in-place updates
+    for (const record of unmatchedDesired) {
+      const index = remainingLive.findIndex(existing => groupKey(existing) === groupKey(record));
+      if (index === -1) {
+        plan.create.push(record);
+        continue;
+      }
+
+      const [existing] = remainingLive.splice(index, 1);
+      plan.update.push({
+        record: existing,
+        changes: { data: record.data, ttl: record.ttl || existing.ttl, priority: record.priority }
+      });
+    }
+
+    plan.delete = remainingLive.filter(existing => prune || desiredGroups.has(groupKey(existing)));
+
+    return plan;
+  }
+
+  /**
+   * Apply a plan from planZoneChanges
+   */
+  async applyZonePlan(plan, options = {}) {
+    const { dryRun = false } = options;
+    const results = [];
+    const describe = record => `${this.provider.toFqdn(record.name, plan.zone)} ${record.type}`;
+
+    const steps = [
+      ...plan.delete.map(record => ({ action: 'delete', record, run: () => this.provider.deleteRecord(plan.zone, record) })),
+      ...plan.update.map(({ record, changes }) => ({ action: 'update', record, run: () => this.provider.updateRecord(plan.zone, record, changes) })),
+      ...plan.create.map(record => ({ action: 'create', record, run: () => this.provider.createRecord(plan.zone, record) }))
+    ];
+
+    for (const step of steps) {
+      if (dryRun) {
+        results.push({ success: true, action: step.action, dryRun: true, record: step.record });
+        continue;
+      }
+
+      try {
+        await step.run();
+        logger.success(chalk.green(`✅ ${step.action}d ${describe(step.record)}`));
+        results.push({ success: true, action: step.action, record: step.record });
+      } catch (error) {
+        logger.error(chalk.red(`❌ Failed to ${step.action} ${describe(step.record)}: ${error.message}`));
+        results.push({ success: false, action: step.action, record: step.record, error: error.message });
+      }
+    }
+
+    return {
+      success: results.every(r => r.success),
+      results,
+      summary: {
+        created: results.filter(r => r.success && r.action === 'create').length,
+        updated: results.filter(r => r.success && r.action === 'update').length,
+        deleted: results.filter(r => r.success && r.action === 'delete').length,
+        failed: results.filter(r => !r.success).length
+      }
+    };
+  }
+
   /**
    * Update or create DNS record for a domain
    */
   async updateDomainRecord(domain, targetIP, options = {}) {
     const { dryRun = false, ttl = 3600 } = options;
+    const recordType = addressRecordType(targetIP);
     
-    const domainInfo = this.parseDomain(domain);
+    const domainInfo = await this.resolveDomain(domain);
     const { rootDomain, recordName } = domainInfo;
 
     if (dryRun) {
-      logger.info(chalk.cyan(`[DRY RUN] Would update DNS record: ${domain} -> ${targetIP}`));
+      logger.info(chalk.cyan(`[DRY RUN] Would update DNS record: ${domain} ${recordType} -> ${targetIP}`));
       return {
         success: true,
         action: 'dry_run',
         domain: domain,
         recordName: recordName,
+        recordType: recordType,
         targetIP: targetIP
       };
     }
 
     try {
       // Find existing record
-      const existingRecord = await this.findDNSRecord(rootDomain, recordName, 'A');
+      const existingRecord = await this.findDNSRecord(rootDomain, recordName, recordType);
 
       if (existingRecord) {
-        if (existingRecord.data === targetIP) {
+        if (sameAddress(existingRecord.data, targetIP)) {
           logger.info(chalk.green(`✅ DNS record already up to date: ${domain} -> ${targetIP}`));
           return {
             success: true,
             action: 'no_change',
             domain: domain,
             recordName: recordName,
+            recordType: recordType,
             targetIP: targetIP,
             recordId: existingRecord.id
           };
@@ -229,7 +478,7 @@ class DNSManager {
 
         // Update existing record
         logger.info(chalk.blue(`🔄 Updating DNS record: ${domain} ${existingRecord.data} -> ${targetIP}`));
-        const updatedRecord = await this.updateDNSRecord(rootDomain, existingRecord.id, targetIP, ttl);
+        const updatedRecord = await this.updateDNSRecord(rootDomain, existingRecord, targetIP, ttl);
         
         logger.success(chalk.green(`✅ DNS record updated: ${domain} -> ${targetIP}`));
         return {
@@ -237,6 +486,7 @@ class DNSManager {
           action: 'updated',
           domain: domain,
           recordName: recordName,
+          recordType: recordType,
           targetIP: targetIP,
           previousIP: existingRecord.data,
           recordId: updatedRecord.id
@@ -244,7 +494,7 @@ class DNSManager {
       } else {
         // Create new record
         logger.info(chalk.blue(`➕ Creating DNS record: ${domain} -> ${targetIP}`));
-        const newRecord = await this.createDNSRecord(rootDomain, recordName, 'A', targetIP, ttl);
+        const newRecord = await this.createDNSRecord(rootDomain, recordName, recordType, targetIP, ttl);
         
         logger.success(chalk.green(`✅ DNS record created: ${domain} -> ${targetIP}`));
         return {
@@ -252,6 +502,7 @@ class DNSManager {
           action: 'created',
           domain: domain,
           recordName: recordName,
+          recordType: recordType,
           targetIP: targetIP,
           recordId: newRecord.id
         };
@@ -270,9 +521,10 @@ class DNSManager {
 
   /**
    * Update DNS records for all configured domains
+   * With options.ipv6Address, AAAA records are written next to the A records.
    */
   async updateAllDomains(targetIP, options = {}) {
-    const { dryRun = false } = options;
+    const { dryRun = false, ipv6Address = null } = options;
     const domains = this.config?.ssl?.domains || [];
     const results = [];
 
@@ -294,6 +546,15 @@ class DNSManager {
           });
         }
       }
+
+      if (ipv6Address) {
+        logger.info(chalk.blue(`🌐 Updating AAAA records for ${domains.length} configured domain(s) to IPv6: ${ipv6Address}`));
+
+        for (const domain of domains) {
+          const result = await this.updateDomainRecord(domain, ipv6Address, options);
+          results.push(result);
+        }
+      }
     }
 
     // Discover and update additional A records pointing to the old IP
@@ -326,7 +587,7 @@ class DNSManager {
             } else {
               // Update the discovered record
               logger.info(chalk.blue(`🔄 Updating discovered record: ${record.domain} -> ${targetIP}`));
-              await this.updateDNSRecord(record.rootDomain, record.recordId, targetIP);
+              await this.updateDNSRecord(record.rootDomain, record.record, targetIP);
               
               logger.success(chalk.green(`✅ Updated discovered record: ${record.domain} -> ${targetIP}`));
               results.push({
@@ -397,7 +658,7 @@ class DNSManager {
     // Process configured domains first
     for (const domain of domains) {
       try {
-        const domainInfo = this.parseDomain(domain);
+        const domainInfo = await this.resolveDomain(domain);
         const { rootDomain, recordName } = domainInfo;
         
         // First check for A record
@@ -527,13 +788,16 @@ class DNSManager {
   }
 
   /**
-   * Verify DNS propagation for a domain
+   * Verify DNS propagation for a domain (AAAA when expectedIP is an IPv6 address)
+   * @param {Object} options - { timeout, retryInterval, resolver } where resolver replaces dns.resolve4/resolve6
    */
   async verifyDNSPropagation(domain, expectedIP, options = {}) {
     const { timeout = 60000, retryInterval = 5000 } = options;
     const dns = require('dns').promises;
+    const recordType = addressRecordType(expectedIP);
+    const resolve = options.resolver || (recordType === 'AAAA' ? dns.resolve6 : dns.resolve4);
     
-    logger.info(chalk.blue(`🔍 Verifying DNS propagation for ${domain} -> ${expectedIP}`));
+    logger.info(chalk.blue(`🔍 Verifying DNS propagation for ${domain} ${recordType} -> ${expectedIP}`));
     
     const startTime = Date.now();
     let attempts = 0;
@@ -542,15 +806,16 @@ class DNSManager {
       attempts++;
       
       try {
-        const addresses = await dns.resolve4(domain);
-        const resolvedIP = addresses[0];
+        const addresses = await resolve(domain);
+        const resolvedIP = addresses.find(address => sameAddress(address, expectedIP)) || addresses[0];
         
-        if (resolvedIP === expectedIP) {
+        if (sameAddress(resolvedIP, expectedIP)) {
           const elapsed = Math.round((Date.now() - startTime) / 1000);
           logger.success(chalk.green(`✅ DNS propagation verified: ${domain} -> ${resolvedIP} (${elapsed}s)`));
           return {
             success: true,
             propagated: true,
+            recordType: recordType,
             resolvedIP: resolvedIP,
             attempts: attempts,
             elapsed: elapsed
@@ -571,6 +836,7 @@ class DNSManager {
     return {
       success: false,
       propagated: false,
+      recordType: recordType,
       timeout: true,
       attempts: attempts,
       elapsed: Math.round((Date.now() - startTime) / 1000)
@@ -339,7 +339,7 @@ EOF`;
       case 'route53':
         instructions += chalk.white(`1. Create an IAM user in AWS Console\n`);
         instructions += chalk.white(`2. Attach the "Route53FullAccess" policy\n`);
-        instructions += chalk.white(`3. Generate access keys for the user\n`);
+        instructions += chalk.white(`3. Generate access keys for the user (or reuse your deployment's AWS keys)\n`);
         instructions += chalk.white(`4. Add the credentials to your focal-deploy.yml:\n`);
         instructions += chalk.gray(`   ssl:\n`);
         instructions += chalk.gray(`     dnsProvider:\n`);
@@ -366,13 +366,15 @@ EOF`;
         instructions += chalk.white(`1. Log into your Namecheap account\n`);
         instructions += chalk.white(`2. Go to "Profile" → "Tools" → "Namecheap API"\n`);
         instructions += chalk.white(`3. Enable API access and get your API key\n`);
-        instructions += chalk.white(`4. Add the credentials to your focal-deploy.yml:\n`);
+        instructions += chalk.white(`4. Whitelist the public IP you run focal-deploy from\n`);
+        instructions += chalk.white(`5. Add the credentials to your focal-deploy.yml:\n`);
         instructions += chalk.gray(`   ssl:\n`);
         instructions += chalk.gray(`     dnsProvider:\n`);
         instructions += chalk.gray(`       name: namecheap\n`);
         instructions += chalk.gray(`       credentials:\n`);
         instructions += chalk.gray(`         username: "your-namecheap-username"\n`);
         instructions += chalk.gray(`         apiKey: "your-namecheap-api-key"\n`);
+        instructions += chalk.gray(`         clientIp: "your-whitelisted-ip"\n`);
         break;
 
       case 'godaddy':
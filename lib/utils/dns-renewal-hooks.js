@@ -0,0 +1,464 @@
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const chalk = require('chalk');
+const { logger } = require('./logger');
+const { DNSManager } = require('./dns-manager');
+
+const HOOK_DIR = '/etc/letsencrypt/focal-deploy';
+const AUTH_HOOK = `${HOOK_DIR}/auth-hook.sh`;
+const CLEANUP_HOOK = `${HOOK_DIR}/cleanup-hook.sh`;
+const STAGING_DIR = '.focal-deploy-dns-hooks';
+const PACKAGE_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_RENEW_BEFORE_DAYS = 30;
+
+// Seconds to wait for the TXT record on the authoritative name servers
+const PROPAGATION_TIMEOUTS = { godaddy: 900 };
+const DEFAULT_PROPAGATION_TIMEOUT = 300;
+
+const REQUIRE_PATTERN = /require\(\s*(['"])([^'"]+)\1\s*\)/g;
+const CERT_NAME_PATTERN = /^[A-Za-z0-9*._-]+$/;
+
+/**
+ * Certbot DNS-01 renewal hooks.
+ *
+ * Installs lib/dns/certbot-hook.js on the server together with a copy of the
+ * project's DNS provider adapter (built-in or third-party), and points
+ * certbot's --manual-auth-hook/--manual-cleanup-hook at it, so DNS-01 and
+ * wildcard certificates renew through the provider API without a human.
+ */
+class DNSRenewalHookService {
+  constructor(sshService) {
+    this.sshService = sshService;
+  }
+
+  static get hookDir() {
+    return HOOK_DIR;
+  }
+
+  /**
+   * Provider configuration the hooks would use, or null when the project has no usable DNS provider
+   */
+  static resolveProviderConfig(config) {
+    let manager;
+    try {
+      manager = new DNSManager(config);
+    } catch (error) {
+      return null;
+    }
+    return manager.withAWSCredentials(manager.providerConfig);
+  }
+
+  /**
+   * How long to wait for a challenge TXT record to reach the provider's name servers.
+   * Overridden with dnsProvider.options.propagationTimeout/propagationInterval (seconds).
+   */
+  static propagationSettings(providerConfig) {
+    const options = providerConfig.options || {};
+    return {
+      timeout: options.propagationTimeout ?? PROPAGATION_TIMEOUTS[providerConfig.name || providerConfig.type] ?? DEFAULT_PROPAGATION_TIMEOUT,
+      interval: options.propagationInterval ?? 10
+    };
+  }
+
+  /**
+   * Certbot flags that issue a certificate through the installed hooks
+   */
+  static certbotFlags() {
+    return [
+      '--manual',
+      '--preferred-challenges dns',
+      `--manual-auth-hook ${AUTH_HOOK}`,
+      `--manual-cleanup-hook ${CLEANUP_HOOK}`
+    ];
+  }
+
+  /**
+   * Collect the files that run the hook on the server.
+   * Local requires of the adapter are followed and rewritten to paths inside
+   * the bundle; package requires become dependencies of the bundle's package.json.
+   * @returns {{files: Array<{path, content, mode}>, dependencies: Object, adapter: string}}
+   */
+  buildBundle(providerConfig, nodePath = '/usr/bin/env node') {
+    const entry = this.resolveAdapterFile(providerConfig);
+    const sources = new Map();
+    const dependencies = {};
+
+    const collect = (file) => {
+      if (sources.has(file)) {
+        return;
+      }
+      const bundlePath = this.bundlePathFor(file);
+      sources.set(file, { path: bundlePath, content: null });
+
+      let content = fs.readFileSync(file, 'utf8');
+      if (file.endsWith('.js')) {
+        content = content.replace(REQUIRE_PATTERN, (match, quote, specifier) => {
+          if (specifier.startsWith('node:') || builtinModules.includes(specifier)) {
+            return match;
+          }
+          if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+            const resolved = require.resolve(path.resolve(path.dirname(file), specifier));
+            collect(resolved);
+            let relative = path.posix.relative(path.posix.dirname(bundlePath), this.bundlePathFor(resolved));
+            if (!relative.startsWith('.')) {
+              relative = `./${relative}`;
+            }
+            return `require(${quote}${relative}${quote})`;
+          }
+
+          const packageName = specifier.startsWith('@') ? specifier.split('/').slice(0, 2).join('/') : specifier.split('/')[0];
+          dependencies[packageName] = this.dependencyVersion(packageName);
+          return match;
+        });
+      }
+      sources.get(file).content = content;
+    };
+    collect(entry);
+
+    const providerName = providerConfig.name || providerConfig.type;
+    const options = { ...(providerConfig.options || {}) };
+    delete options.propagationTimeout;
+    delete options.propagationInterval;
+
+    const hookConfig = {
+      provider: { name: providerName, credentials: providerConfig.credentials || {}, options },
+      adapter: `./${this.bundlePathFor(entry)}`,
+      propagation: DNSRenewalHookService.propagationSettings(providerConfig)
+    };
+
+    const hookScript = (phase) => [
+      '#!/bin/sh',
+      `# Installed by focal-deploy: certbot DNS-01 ${phase} hook (${providerName})`,
+      `exec ${nodePath} ${HOOK_DIR}/certbot-hook.js ${phase}`,
+      ''
+    ].join('\n');
+
+    const files = [
+      { path: 'certbot-hook.js', content: fs.readFileSync(path.join(PACKAGE_ROOT, 'lib', 'dns', 'certbot-hook.js'), 'utf8'), mode: '644' },
+      ...Array.from(sources.values()).map(source => ({ ...source, mode: '644' })),
+      {
+        path: 'package.json',
+        content: JSON.stringify({ name: 'focal-deploy-dns-hooks', private: true, dependencies }, null, 2) + '\n',
+        mode: '644'
+      },
+      { path: 'config.json', content: JSON.stringify(hookConfig, null, 2) + '\n', mode: '600' },
+      { path: 'auth-hook.sh', content: hookScript('auth'), mode: '700' },
+      { path: 'cleanup-hook.sh', content: hookScript('cleanup'), mode: '700' }
+    ];
+
+    return { files, dependencies, adapter: hookConfig.adapter };
+  }
+
+  resolveAdapterFile(providerConfig) {
+    if (providerConfig.module) {
+      return require.resolve(path.resolve(process.cwd(), providerConfig.module));
+    }
+
+    const name = providerConfig.name || providerConfig.type;
+    const builtIn = path.join(PACKAGE_ROOT, 'lib', 'dns', 'providers', `${name}.js`);
+    if (!name || !fs.existsSync(builtIn)) {
+      throw new Error(`No adapter file for DNS provider "${name}" (set ssl.dnsProvider.module to the adapter's path)`);
+    }
+    return builtIn;
+  }
+
+  /**
+   * Location of a source file inside the bundle: focal-deploy's own files
+   * keep their lib/ layout, project files go under project/
+   */
+  bundlePathFor(file) {
+    const packageRelative = path.relative(PACKAGE_ROOT, file);
+    if (!packageRelative.startsWith('..') && !packageRelative.split(path.sep).includes('node_modules')) {
+      return packageRelative.split(path.sep).join('/');
+    }
+
+    const projectRelative = path.relative(process.cwd(), file);
+    if (projectRelative.startsWith('..') || path.isAbsolute(projectRelative)) {
+      throw new Error(`DNS provider adapter files must be inside the project directory: ${file}`);
+    }
+    return ['project', ...projectRelative.split(path.sep)].join('/');
+  }
+
+  /**
+   * Version range for a package the adapter requires, as declared by focal-deploy or the project
+   */
+  dependencyVersion(packageName) {
+    const manifests = [path.join(PACKAGE_ROOT, 'package.json'), path.join(process.cwd(), 'package.json')];
+
+    for (const manifest of manifests) {
+      let pkg;
+      try {
+        pkg = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+      } catch (error) {
+        continue;
+      }
+      if (pkg.name === packageName) {
+        return pkg.version;
+      }
+      const version = pkg.dependencies?.[packageName] || pkg.optionalDependencies?.[packageName];
+      if (version) {
+        return version;
+      }
+    }
+    return '*';
+  }
+
+  /**
+   * Install the hooks on the server and verify the provider credentials from there
+   * @returns {Object} { success, provider, hookDir, authHook, cleanupHook, credentials }
+   */
+  async install(host, config, sshOptions = {}, dryRun = false) {
+    const providerConfig = DNSRenewalHookService.resolveProviderConfig(config);
+    if (!providerConfig) {
+      throw new Error('No DNS provider configured (set ssl.dnsProvider in focal-deploy.yml)');
+    }
+    const providerName = providerConfig.name || providerConfig.type;
+
+    if (dryRun) {
+      logger.info(chalk.cyan(`[DRY RUN] Would install ${providerName} DNS-01 renewal hooks in ${HOOK_DIR}`));
+      return { success: true, provider: providerName, hookDir: HOOK_DIR, authHook: AUTH_HOOK, cleanupHook: CLEANUP_HOOK };
+    }
+
+    logger.info(chalk.blue(`🪝 Installing ${providerName} DNS-01 renewal hooks...`));
+
+    const nodeResult = await this.sshService.executeCommand(host, 'command -v node || true', sshOptions);
+    const nodePath = nodeResult.stdout.trim();
+    if (!nodePath) {
+      throw new Error('Node.js is required on the server for DNS-01 renewal hooks (sudo apt-get install -y nodejs npm)');
+    }
+
+    const bundle = this.buildBundle(providerConfig, nodePath);
+
+    // Stage in a private directory over SFTP so credentials never appear in a command line
+    const directories = [...new Set(bundle.files.map(file => path.posix.dirname(file.path)).filter(dir => dir !== '.'))];
+    await this.sshService.executeCommand(
+      host,
+      `rm -rf ~/${STAGING_DIR} && install -d -m 700 ~/${STAGING_DIR}` +
+        directories.map(dir => ` && mkdir -p ~/${STAGING_DIR}/${dir}`).join(''),
+      sshOptions
+    );
+    for (const file of bundle.files) {
+      await this.sshService.writeFile(host, `${STAGING_DIR}/${file.path}`, file.content, sshOptions);
+    }
+
+    const permissions = bundle.files.map(file => `sudo chmod ${file.mode} ${HOOK_DIR}/${file.path}`);
+    await this.sshService.executeCommand(host, [
+      `sudo install -d -m 700 -o root -g root ${HOOK_DIR}`,
+      `sudo rm -rf ${HOOK_DIR}/lib ${HOOK_DIR}/project`,
+      `sudo cp -r ~/${STAGING_DIR}/. ${HOOK_DIR}/`,
+      `sudo chown -R root:root ${HOOK_DIR}`,
+      ...permissions,
+      `rm -rf ~/${STAGING_DIR}`
+    ].join(' && '), sshOptions);
+
+    if (Object.keys(bundle.dependencies).length > 0) {
+      logger.info(chalk.blue(`📦 Installing hook dependencies: ${Object.keys(bundle.dependencies).join(', ')}`));
+      await this.sshService.executeCommand(
+        host,
+        `cd ${HOOK_DIR} && sudo npm install --omit=dev --no-audit --no-fund --loglevel=error`,
+        sshOptions
+      );
+    }
+
+    const credentials = await this.checkCredentials(host, sshOptions);
+    if (credentials.valid) {
+      logger.success(chalk.green(`✅ DNS-01 renewal hooks installed (${providerName} credentials verified from the server)`));
+    } else {
+      logger.warn(chalk.yellow(`⚠️  DNS-01 renewal hooks installed, but ${providerName} rejected the credentials from the server: ${credentials.error}`));
+    }
+
+    return {
+      success: true,
+      provider: providerName,
+      hookDir: HOOK_DIR,
+      authHook: AUTH_HOOK,
+      cleanupHook: CLEANUP_HOOK,
+      credentials
+    };
+  }
+
+  /**
+   * Run the installed hook's credential check on the server
+   */
+  async checkCredentials(host, sshOptions = {}) {
+    let output;
+    try {
+      output = (await this.sshService.executeCommand(host, `sudo node ${HOOK_DIR}/certbot-hook.js check`, sshOptions)).stdout;
+    } catch (error) {
+      output = error.stdout || '';
+      if (!output.trim()) {
+        return { valid: false, error: error.stderr?.trim() || error.message };
+      }
+    }
+
+    try {
+      const result = JSON.parse(output.trim().split('\n').pop());
+      return { valid: Boolean(result.valid), error: result.error || null };
+    } catch (error) {
+      return { valid: false, error: `Unexpected output from the hook: ${output.trim()}` };
+    }
+  }
+
+  /**
+   * Make certbot renew the given certificates through the hooks
+   */
+  async attachToCertificates(host, certNames, sshOptions = {}) {
+    const attached = [];
+
+    for (const certName of certNames) {
+      if (!CERT_NAME_PATTERN.test(certName)) {
+        logger.warn(chalk.yellow(`⚠️  Skipping certificate with unexpected name: ${certName}`));
+        continue;
+      }
+
+      await this.sshService.executeCommand(host, [
+        'sudo sed -i',
+        "-e '/^manual_auth_hook *=/d'",
+        "-e '/^manual_cleanup_hook *=/d'",
+        "-e '/^pref_challs *=/d'",
+        "-e 's/^authenticator *=.*/authenticator = manual/'",
+        `-e '/^\\[renewalparams\\]/a manual_auth_hook = ${AUTH_HOOK}\\nmanual_cleanup_hook = ${CLEANUP_HOOK}\\npref_challs = dns-01,'`,
+        `/etc/letsencrypt/renewal/${certName}.conf`
+      ].join(' '), sshOptions);
+
+      logger.success(chalk.green(`✅ ${certName} now renews through the DNS-01 hooks`));
+      attached.push(certName);
+    }
+
+    return attached;
+  }
+
+  /**
+   * Hook health and per-certificate renewal schedule, read in a single SSH round trip
+   */
+  async getStatus(host, sshOptions = {}, { checkCredentials = true } = {}) {
+    const script = [
+      'for f in /etc/letsencrypt/renewal/*.conf; do',
+      '  [ -f "$f" ] || continue',
+      '  name=$(basename "$f" .conf)',
+      '  echo "=== renewal $name"',
+      '  cat "$f"',
+      '  echo "=== enddate $name"',
+      '  cert=$(sed -n \'s/^cert *= *//p\' "$f")',
+      '  [ -n "$cert" ] && openssl x509 -enddate -noout -in "$cert" 2>/dev/null',
+      'done',
+      `if [ -f ${HOOK_DIR}/config.json ]; then echo "=== hook-config"; cat ${HOOK_DIR}/config.json; fi`,
+      `if [ -f ${HOOK_DIR}/hook-status.json ]; then echo "=== hook-status"; cat ${HOOK_DIR}/hook-status.json; fi`,
+      'echo "=== timer"',
+      'systemctl is-active snap.certbot.renew.timer certbot.timer 2>/dev/null',
+      'true'
+    ].join('\n');
+
+    const result = await this.sshService.executeCommand(host, `sudo sh -s << 'EOF'\n${script}\nEOF`, sshOptions);
+    const status = DNSRenewalHookService.parseStatus(result.stdout);
+
+    if (status.hooks.installed && checkCredentials) {
+      status.hooks.credentials = await this.checkCredentials(host, sshOptions);
+    }
+    return status;
+  }
+
+  /**
+   * Parse the output of the getStatus script
+   */
+  static parseStatus(output, now = new Date()) {
+    const sections = [];
+    for (const line of output.split('\n')) {
+      const marker = line.match(/^=== (\S+)(?: (.+))?$/);
+      if (marker) {
+        sections.push({ kind: marker[1], name: marker[2], lines: [] });
+      } else if (sections.length > 0) {
+        sections[sections.length - 1].lines.push(line);
+      }
+    }
+
+    const certificates = new Map();
+    const hooks = { installed: false, provider: null, lastRun: null, lastSuccess: null, lastFailure: null };
+    let timerActive = false;
+
+    for (const section of sections) {
+      const body = section.lines.join('\n');
+
+      if (section.kind === 'renewal') {
+        certificates.set(section.name, { name: section.name, ...DNSRenewalHookService.parseRenewalConf(body) });
+      } else if (section.kind === 'enddate' && certificates.has(section.name)) {
+        const enddate = body.match(/notAfter=(.+)/);
+        certificates.get(section.name).expiryDate = enddate ? new Date(enddate[1].trim()).toISOString() : null;
+      } else if (section.kind === 'hook-config') {
+        try {
+          const hookConfig = JSON.parse(body);
+          hooks.installed = true;
+          hooks.provider = hookConfig.provider?.name || null;
+        } catch (error) {
+          hooks.installed = true;
+        }
+      } else if (section.kind === 'hook-status') {
+        try {
+          Object.assign(hooks, JSON.parse(body));
+        } catch (error) {
+          // Unreadable status file, report no runs
+        }
+      } else if (section.kind === 'timer') {
+        timerActive = section.lines.some(line => line.trim() === 'active');
+      }
+    }
+
+    return {
+      hooks,
+      timerActive,
+      certificates: Array.from(certificates.values()).map(cert => ({
+        ...cert,
+        ...DNSRenewalHookService.nextRenewal(cert, now)
+      }))
+    };
+  }
+
+  /**
+   * Renewal-relevant settings from a certbot renewal .conf file
+   */
+  static parseRenewalConf(content) {
+    const values = {};
+    for (const line of content.split('\n')) {
+      const setting = line.match(/^\s*([a-z_]+)\s*=\s*(.*?)\s*$/);
+      if (setting && !(setting[1] in values)) {
+        values[setting[1]] = setting[2];
+      }
+    }
+
+    const renewBefore = (values.renew_before_expiry || '').match(/^(\d+)\s*days?$/);
+    const authenticator = values.authenticator || null;
+    const usesHooks = Boolean(values.manual_auth_hook && values.manual_auth_hook.startsWith(HOOK_DIR));
+
+    return {
+      authenticator,
+      challenge: authenticator === 'manual' ? (values.pref_challs || '').replace(/,$/, '') || 'dns-01' : authenticator,
+      usesHooks,
+      automatic: authenticator !== 'manual' || Boolean(values.manual_auth_hook),
+      renewBeforeDays: renewBefore ? parseInt(renewBefore[1], 10) : DEFAULT_RENEW_BEFORE_DAYS
+    };
+  }
+
+  /**
+   * When certbot will next try to renew a certificate: renew_before_expiry days
+   * before it expires, or on the next timer run once that point has passed
+   */
+  static nextRenewal(cert, now = new Date()) {
+    if (!cert.expiryDate) {
+      return { daysUntilExpiry: null, nextRenewal: null, renewalDue: false };
+    }
+
+    const day = 24 * 60 * 60 * 1000;
+    const expiry = new Date(cert.expiryDate);
+    const renewalDate = new Date(expiry.getTime() - cert.renewBeforeDays * day);
+    const renewalDue = renewalDate <= now;
+
+    return {
+      daysUntilExpiry: Math.ceil((expiry - now) / day),
+      nextRenewal: renewalDue ? 'next timer run' : renewalDate.toISOString(),
+      renewalDue
+    };
+  }
+}
+
+module.exports = { DNSRenewalHookService, HOOK_DIR };
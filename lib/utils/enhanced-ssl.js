@@ -1,6 +1,9 @@
 const chalk = require('chalk');
 const { logger } = require('./logger');
+const { nginxListenDirectives } = require('./ipv6');
 const { DNSProviderService } = require('./dns-provider');
+const { DNSRenewalHookService } = require('./dns-renewal-hooks');
+const { ACMESSLService, ACME_WEBROOT } = require('./acme-ssl');
 
 class EnhancedSSLService {
   constructor(sshService) {
@@ -17,6 +20,11 @@ class EnhancedSSLService {
    * @returns {Object} Certificate generation result
    */
   async generateSANCertificate(host, domainConfigs, email, sshOptions = {}, dryRun = false, config = null) {
+    // ssl.client: builtin issues the certificate from here instead of certbot on the server
+    if (ACMESSLService.isEnabled(config)) {
+      return new ACMESSLService(this.sshService).issueCertificate(host, domainConfigs, email, sshOptions, config, dryRun);
+    }
+
     if (dryRun) {
       logger.info(chalk.cyan(`[DRY RUN] Would generate SAN certificate for domains: ${domainConfigs.map(d => d.domain).join(', ')}`));
       return {
@@ -107,11 +115,57 @@ class EnhancedSSLService {
     }
   }
 
+  /**
+   * Generate certificate using DNS-01 challenge through the focal-deploy renewal hooks
+   */
+  async generateHookCertificate(host, domains, email, sshOptions = {}, config) {
+    const hookService = new DNSRenewalHookService(this.sshService);
+    const hooks = await hookService.install(host, config, sshOptions);
+    if (hooks.credentials && !hooks.credentials.valid) {
+      throw new Error(`${hooks.provider} credentials were rejected: ${hooks.credentials.error}`);
+    }
+
+    const certbotCommand = [
+      'sudo certbot certonly',
+      ...DNSRenewalHookService.certbotFlags(),
+      '--non-interactive',
+      '--agree-tos',
+      `--email ${email}`,
+      domains.map(domain => `-d '${domain}'`).join(' ')
+    ].join(' ');
+
+    logger.info(chalk.gray(`Executing: ${certbotCommand}`));
+    await this.sshService.executeCommand(host, certbotCommand, sshOptions);
+
+    const primaryDomain = domains[0];
+    logger.success(chalk.green(`✅ DNS-01 certificate generated with ${hooks.provider} renewal hooks`));
+    return {
+      success: true,
+      method: 'automatic-dns-01',
+      provider: hooks.provider,
+      certificatePath: `/etc/letsencrypt/live/${primaryDomain}/fullchain.pem`,
+      privateKeyPath: `/etc/letsencrypt/live/${primaryDomain}/privkey.pem`,
+      domains: domains,
+      challengeMethod: 'dns-01',
+      renewalHooks: { authHook: hooks.authHook, cleanupHook: hooks.cleanupHook }
+    };
+  }
+
   /**
    * Generate certificate using DNS-01 challenge (automatic or manual mode)
    */
   async generateDNSCertificate(host, domains, email, sshOptions = {}, config = null) {
     logger.info(chalk.blue(`🌍 Using DNS-01 challenge for domains: ${domains.join(', ')}`));
+
+    // Provider API hooks work for every DNS adapter and keep renewing without a human
+    if (config && DNSRenewalHookService.resolveProviderConfig(config)) {
+      try {
+        return await this.generateHookCertificate(host, domains, email, sshOptions, config);
+      } catch (error) {
+        logger.warn(chalk.yellow(`⚠️  DNS-01 with renewal hooks failed: ${error.message}`));
+        logger.info(chalk.blue('🔄 Falling back to the certbot DNS plugin...'));
+      }
+    }
     
     // Check if automatic DNS provider is configured
     if (config) {
@@ -223,7 +277,7 @@ class EnhancedSSLService {
   /**
    * Configure Nginx for multiple domains with SSL
    */
-  async configureMultiDomainNginxSSL(host, domainConfigs, appPort, certificatePath, privateKeyPath, sshOptions = {}, dryRun = false) {
+  async configureMultiDomainNginxSSL(host, domainConfigs, appPort, certificatePath, privateKeyPath, sshOptions = {}, dryRun = false, options = {}) {
     if (dryRun) {
       logger.info(chalk.cyan(`[DRY RUN] Would configure Nginx SSL for ${domainConfigs.length} domains`));
       return { success: true };
@@ -241,7 +295,8 @@ class EnhancedSSLService {
         domainConfigs, 
         appPort, 
         certificatePath, 
-        privateKeyPath
+        privateKeyPath,
+        options
       );
       
       // Use primary domain for config file name
@@ -274,8 +329,9 @@ class EnhancedSSLService {
 
   /**
    * Generate Nginx configuration for multiple domains
+   * @param {Object} options - { dualStack } to also listen on IPv6
    */
-  generateMultiDomainNginxSSLConfig(domainConfigs, appPort, certificatePath, privateKeyPath) {
+  generateMultiDomainNginxSSLConfig(domainConfigs, appPort, certificatePath, privateKeyPath, options = {}) {
     // Extract all domain names for server_name directive
     const allDomains = domainConfigs.map(config => config.domain);
     const serverNames = allDomains.join(' ');
@@ -293,14 +349,22 @@ class EnhancedSSLService {
     return `
 # HTTP to HTTPS redirect for all domains
 server {
-    listen 80;
+${nginxListenDirectives(80, '', options.dualStack)}
     server_name ${processedServerNames};
-    return 301 https://$server_name$request_uri;
+
+    # ACME HTTP-01 challenges (built-in ACME client)
+    location /.well-known/acme-challenge/ {
+        root ${ACME_WEBROOT};
+    }
+
+    location / {
+        return 301 https://$server_name$request_uri;
+    }
 }
 
 # HTTPS server for all domains
 server {
-    listen 443 ssl http2;
+${nginxListenDirectives(443, 'ssl http2', options.dualStack)}
     server_name ${processedServerNames};
 
     ssl_certificate ${certificatePath};
@@ -351,7 +415,7 @@ server {
   /**
    * Check SSL status for multiple domains
    */
-  async checkMultiDomainSSLStatus(host, domains, sshOptions = {}, dryRun = false) {
+  async checkMultiDomainSSLStatus(host, domains, sshOptions = {}, dryRun = false, certificatePath = null) {
     if (dryRun) {
       logger.info(chalk.cyan(`[DRY RUN] Would check SSL status for ${domains.length} domains`));
       return {
@@ -369,8 +433,8 @@ server {
     const primaryDomain = domains[0];
     
     try {
-      // Check if certificate exists (using primary domain path)
-      const certPath = `/etc/letsencrypt/live/${primaryDomain}/fullchain.pem`;
+      // Check if certificate exists (recorded path, or certbot's path for the primary domain)
+      const certPath = certificatePath || `/etc/letsencrypt/live/${primaryDomain}/fullchain.pem`;
       await this.sshService.executeCommand(host, `sudo test -f ${certPath}`, sshOptions);
       
       // Get certificate expiry date
@@ -2,11 +2,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 const { logger } = require('./logger');
+const { environmentFileName } = require('./environment');
 
 class EnhancedStateManager {
   constructor(stateDir = '.focal-deploy') {
     this.stateDir = stateDir;
-    this.stateFile = path.join(stateDir, 'state.json');
+    this.stateFile = path.join(stateDir, environmentFileName('state.json'));
   }
 
   /**
@@ -226,6 +227,7 @@ class EnhancedStateManager {
       domainConfigs: sslConfig.domainConfigs || [],
       challengeMethods: sslConfig.challengeMethods || {},
       certificatePath: sslConfig.certificatePath,
+      client: sslConfig.client || 'certbot',
       setupDate: sslConfig.setupDate,
       lastUpdated: sslConfig.lastUpdated
     };
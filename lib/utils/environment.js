@@ -0,0 +1,171 @@
+const path = require('path');
+const { ErrorHandler } = require('./errors');
+
+/**
+ * Named deployment environments (staging, production, ...)
+ *
+ * The active environment comes from the global --env flag or FOCAL_DEPLOY_ENV.
+ * Configuration is inherited: focal-deploy.yml and .focal-deploy/config.json
+ * hold the shared settings and `environments.<name>` holds per-environment
+ * overrides that are deep-merged on top (arrays are replaced, not merged).
+ * Without an active environment everything behaves as a single deployment.
+ */
+
+const ENVIRONMENT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,30}$/;
+
+// Identifiers of deployed resources belong to one environment and are never inherited
+const ENVIRONMENT_SCOPED_PATHS = [
+  'aws.instanceId',
+  'aws.publicIpAddress',
+  'aws.allocationId',
+  'aws.securityGroupId',
+  'aws.s3BucketName',
+  'infrastructure.ec2Instance'
+];
+
+// Set by the CLI's preAction hook, which also reports an invalid name
+let activeEnvironment = null;
+
+function setActiveEnvironment(name) {
+  if (name && !ENVIRONMENT_NAME_PATTERN.test(name)) {
+    throw ErrorHandler.createConfigError(
+      `Invalid environment name "${name}"`,
+      ['Use lowercase letters, digits and dashes (e.g. staging, production, qa-1)']
+    );
+  }
+  activeEnvironment = name || null;
+  return activeEnvironment;
+}
+
+function getActiveEnvironment() {
+  return activeEnvironment;
+}
+
+/**
+ * Per-environment variant of a state file name
+ * '.focal-deploy-state.json' -> '.focal-deploy-state.staging.json'
+ */
+function environmentFileName(fileName, environmentName = activeEnvironment) {
+  if (!environmentName) {
+    return fileName;
+  }
+  const extension = path.extname(fileName);
+  return `${fileName.slice(0, fileName.length - extension.length)}.${environmentName}${extension}`;
+}
+
+function getStateFilePath(projectRoot = process.cwd(), environmentName = activeEnvironment) {
+  return path.join(projectRoot, environmentFileName('.focal-deploy-state.json', environmentName));
+}
+
+function listEnvironments(config) {
+  return Object.keys(config?.environments || {});
+}
+
+/**
+ * Merge the active environment's overrides into a configuration
+ * @returns {Object} Merged configuration with environmentName set
+ */
+function applyEnvironment(config, environmentName = activeEnvironment) {
+  if (!config || !environmentName) {
+    return config;
+  }
+
+  const environments = config.environments || {};
+  if (!Object.prototype.hasOwnProperty.call(environments, environmentName)) {
+    const defined = listEnvironments(config);
+    throw ErrorHandler.createConfigError(
+      `Environment "${environmentName}" is not defined in the configuration`,
+      [
+        defined.length > 0 ? `Defined environments: ${defined.join(', ')}` : 'No environments are defined yet',
+        `Add an "environments.${environmentName}" section (it may be empty) to focal-deploy.yml or .focal-deploy/config.json`
+      ]
+    );
+  }
+
+  const { environments: _environments, ...base } = config;
+  return {
+    ...deepMerge(withoutScopedResources(base), environments[environmentName] || {}),
+    environmentName
+  };
+}
+
+/**
+ * Values in a merged configuration that differ from the shared base,
+ * i.e. what has to be stored under environments.<name> when saving
+ */
+function extractEnvironmentOverrides(baseConfig, mergedConfig) {
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(mergedConfig || {})) {
+    if (key === 'environments' || key === 'environmentName') {
+      continue;
+    }
+
+    const baseValue = baseConfig?.[key];
+    if (isPlainObject(value) && isPlainObject(baseValue)) {
+      const nested = extractEnvironmentOverrides(baseValue, value);
+      if (Object.keys(nested).length > 0) {
+        overrides[key] = nested;
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(baseValue)) {
+      overrides[key] = value;
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Prefix for AWS resource names: the project name, suffixed with the
+ * environment so staging and production never share a resource
+ */
+function getResourcePrefix(config, fallback = 'focal-deploy-project') {
+  const projectName = config?.project?.name || config?.projectName || fallback;
+  const environmentName = config?.environmentName || activeEnvironment;
+  return environmentName ? `${projectName}-${environmentName}` : projectName;
+}
+
+/**
+ * Value for the Environment tag on AWS resources
+ */
+function getEnvironmentTag(config) {
+  return config?.environmentName || activeEnvironment || 'production';
+}
+
+function withoutScopedResources(config) {
+  const result = { ...config };
+  for (const scopedPath of ENVIRONMENT_SCOPED_PATHS) {
+    const [section, key] = scopedPath.split('.');
+    if (isPlainObject(result[section]) && key in result[section]) {
+      const { [key]: _removed, ...rest } = result[section];
+      result[section] = rest;
+    }
+  }
+  return result;
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  setActiveEnvironment,
+  getActiveEnvironment,
+  environmentFileName,
+  getStateFilePath,
+  listEnvironments,
+  applyEnvironment,
+  extractEnvironmentOverrides,
+  getResourcePrefix,
+  getEnvironmentTag
+};
@@ -1,16 +1,24 @@
 const chalk = require('chalk');
+const { Logger } = require('./logger');
 
 class FocalDeployError extends Error {
-  constructor(message, suggestion = '', code = 'UNKNOWN_ERROR') {
+  constructor(message, suggestion = '', code = 'UNKNOWN_ERROR', suggestions = []) {
     super(message);
     this.name = 'FocalDeployError';
     this.code = code;
     this.suggestion = suggestion;
+    this.suggestions = suggestions;
   }
 }
 
 class ErrorHandler {
   static handle(error) {
+    // With --output json the error is part of the result document on stdout
+    if (Logger.isJSON()) {
+      Logger.printError(error);
+      return;
+    }
+
     if (error instanceof FocalDeployError) {
       console.error(chalk.red('\n❌ Error: ') + error.message);
       
@@ -84,6 +92,7 @@ class ErrorHandler {
     if (errorInfo) {
       return new FocalDeployError(
         errorInfo.message,
+        '',
         errorCode,
         errorInfo.suggestions
       );
@@ -92,6 +101,7 @@ class ErrorHandler {
     // Generic AWS error
     return new FocalDeployError(
       `AWS service error: ${originalError.message}`,
+      '',
       errorCode,
       [
         'Check your internet connection',
@@ -104,6 +114,7 @@ class ErrorHandler {
   static createValidationError(field, value, requirements) {
     return new FocalDeployError(
       `Invalid ${field}: ${value}`,
+      '',
       'VALIDATION_ERROR',
       requirements
     );
@@ -112,6 +123,7 @@ class ErrorHandler {
   static createConfigError(message, suggestions = []) {
     return new FocalDeployError(
       message,
+      '',
       'CONFIG_ERROR',
       suggestions
     );
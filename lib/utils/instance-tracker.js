@@ -2,12 +2,13 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { logger } = require('./logger');
+const { environmentFileName, getActiveEnvironment } = require('./environment');
 
 class InstanceTracker {
   constructor(projectRoot = process.cwd()) {
     this.projectRoot = projectRoot;
     this.stateDir = path.join(projectRoot, '.focal-deploy');
-    this.stateFile = path.join(this.stateDir, 'instance-state.json');
+    this.stateFile = path.join(this.stateDir, environmentFileName('instance-state.json'));
     this.globalStateFile = path.join(this.stateDir, 'global-instances.json');
     this.instanceId = null;
     this.state = null;
@@ -41,6 +42,7 @@ class InstanceTracker {
         instanceId: this.instanceId,
         projectRoot: this.projectRoot,
         projectName: config.projectName || path.basename(this.projectRoot),
+        environmentName: getActiveEnvironment(),
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         status: 'initializing',
@@ -187,6 +189,7 @@ class InstanceTracker {
         instanceId: this.instanceId,
         projectRoot: this.projectRoot,
         projectName: this.state.projectName,
+        environmentName: this.state.environmentName || null,
         createdAt: this.state.createdAt,
         updatedAt: this.state.updatedAt,
         status: this.state.status
@@ -258,7 +261,11 @@ class InstanceTracker {
       const orphaned = [];
 
       for (const [instanceId, instanceInfo] of Object.entries(instances)) {
-        const instanceStateFile = path.join(instanceInfo.projectRoot, '.focal-deploy', 'instance-state.json');
+        const instanceStateFile = path.join(
+          instanceInfo.projectRoot,
+          '.focal-deploy',
+          environmentFileName('instance-state.json', instanceInfo.environmentName || null)
+        );
         
         if (!fs.existsSync(instanceStateFile)) {
           orphaned.push(instanceId);
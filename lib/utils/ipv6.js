@@ -0,0 +1,68 @@
+const net = require('net');
+
+/**
+ * Dual-stack (IPv4 + IPv6) helpers
+ * Dual-stack is opt-in: `aws.ipv6: true` in focal-deploy.yml or
+ * `infrastructure.ipv6: true` in the wizard's .focal-deploy/config.json.
+ */
+
+function isDualStackEnabled(config) {
+  return config?.aws?.ipv6 === true || config?.infrastructure?.ipv6 === true;
+}
+
+/**
+ * DNS record type that holds an address: AAAA for IPv6, A otherwise
+ */
+function addressRecordType(address) {
+  return net.isIPv6(String(address || '')) ? 'AAAA' : 'A';
+}
+
+/**
+ * Compare addresses, ignoring IPv6 zero compression and case
+ */
+function sameAddress(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  return normalizeAddress(a) === normalizeAddress(b);
+}
+
+/**
+ * Canonical form of an address: IPv6 fully expanded and lowercased
+ */
+function normalizeAddress(address) {
+  return net.isIPv6(String(address)) ? expandIPv6(String(address)) : address;
+}
+
+function expandIPv6(address) {
+  const [head, tail = ''] = address.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = address.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(address.includes('::') ? missing : 0).fill('0'), ...tailGroups];
+  return groups.map(group => group.padStart(4, '0')).join(':');
+}
+
+/**
+ * nginx listen directives for a port, with the [::] twin when dual-stack is on
+ * @param {number} port - 80 or 443
+ * @param {string} params - Extra listen parameters (e.g. 'ssl http2')
+ * @param {boolean} dualStack - Also listen on IPv6
+ * @param {string} indent - Indentation for the generated lines
+ */
+function nginxListenDirectives(port, params = '', dualStack = false, indent = '    ') {
+  const suffix = params ? ` ${params}` : '';
+  const lines = [`${indent}listen ${port}${suffix};`];
+  if (dualStack) {
+    lines.push(`${indent}listen [::]:${port}${suffix};`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  isDualStackEnabled,
+  addressRecordType,
+  sameAddress,
+  normalizeAddress,
+  nginxListenDirectives
+};
@@ -1,55 +1,247 @@
 const chalk = require('chalk');
 const ora = require('ora');
+const util = require('util');
+
+const OUTPUT_FORMATS = ['text', 'json'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+const CONSOLE_LEVELS = [['log', 'info'], ['info', 'info'], ['warn', 'warn'], ['error', 'error'], ['debug', 'debug']];
+
+/**
+ * Output settings from the global --output and --log-level flags.
+ * With JSON output stdout carries a single result document per command and
+ * every log line goes to stderr as JSON.
+ */
+const settings = {
+  output: 'text',
+  level: process.env.DEBUG || process.env.NODE_ENV === 'development' ? 'debug' : 'info',
+  command: null,
+  resultPrinted: false,
+  lastError: null
+};
+
+/**
+ * Spinner stand-in for JSON output: state changes become log lines
+ */
+class JSONSpinner {
+  constructor(text) {
+    this.text = text;
+  }
+
+  start(text) {
+    Logger.write('info', text || this.text);
+    return this;
+  }
+
+  stop() {
+    return this;
+  }
+
+  succeed(text) {
+    Logger.write('info', text || this.text);
+    return this;
+  }
+
+  fail(text) {
+    Logger.write('error', text || this.text);
+    return this;
+  }
+
+  warn(text) {
+    Logger.write('warn', text || this.text);
+    return this;
+  }
+
+  info(text) {
+    Logger.write('info', text || this.text);
+    return this;
+  }
+}
 
 class Logger {
+  /**
+   * Apply the global output flags; called once before the command runs
+   * @param {Object} options - { output: 'text'|'json', level: 'debug'|'info'|'warn'|'error'|'silent', command }
+   * @returns {Function} restores the previous settings, console methods and exit handler
+   */
+  static configure(options = {}) {
+    const output = options.output || settings.output;
+    const level = options.level || settings.level;
+
+    if (!OUTPUT_FORMATS.includes(output)) {
+      throw new Error(`Unknown output format "${output}" (expected ${OUTPUT_FORMATS.join(' or ')})`);
+    }
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+    }
+
+    const previous = { ...settings };
+    settings.output = output;
+    settings.level = level;
+    settings.command = options.command || settings.command;
+
+    if (output !== 'json' || previous.output === 'json') {
+      return () => Object.assign(settings, previous);
+    }
+
+    // Commands print their human-readable reports with console.log; keep them off stdout
+    const consoleMethods = {};
+    for (const [method, methodLevel] of CONSOLE_LEVELS) {
+      const original = console[method];
+      consoleMethods[method] = original;
+      console[method] = (...args) => (Logger.isJSON() ? Logger.write(methodLevel, util.format(...args)) : original(...args));
+    }
+
+    // Commands that exit without a result (or exit early) still print one document
+    const printOnExit = code => {
+      if (settings.resultPrinted) {
+        return;
+      }
+      if (code === 0) {
+        Logger.printResult(null);
+      } else {
+        Logger.printError({ code: 'COMMAND_FAILED', message: settings.lastError || `Command exited with code ${code}` });
+      }
+    };
+    process.once('exit', printOnExit);
+
+    return () => {
+      Object.assign(console, consoleMethods);
+      process.removeListener('exit', printOnExit);
+      Object.assign(settings, previous);
+    };
+  }
+
+  static isJSON() {
+    return settings.output === 'json';
+  }
+
+  static isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+  }
+
+  /**
+   * Write a log line at a level: a JSON line on stderr with JSON output,
+   * otherwise the message with its icon on stdout
+   */
+  static write(level, message, icon) {
+    const text = String(message ?? '');
+    if (level === 'error') {
+      settings.lastError = text.replace(ANSI_PATTERN, '').replace(/^[^\w"'(]+/u, '').trim() || settings.lastError;
+    }
+    if (!Logger.isEnabled(level)) {
+      return;
+    }
+
+    if (Logger.isJSON()) {
+      const plain = text.replace(ANSI_PATTERN, '').trim();
+      if (plain) {
+        const line = { time: new Date().toISOString(), level, message: plain };
+        if (settings.command) {
+          line.command = settings.command;
+        }
+        process.stderr.write(`${JSON.stringify(line)}\n`);
+      }
+      return;
+    }
+
+    if (icon) {
+      console.log(icon, text);
+    } else {
+      console.log(text);
+    }
+  }
+
+  /**
+   * Print the command's result document on stdout (JSON output only)
+   */
+  static printResult(result) {
+    if (!Logger.isJSON() || settings.resultPrinted) {
+      return;
+    }
+    settings.resultPrinted = true;
+    process.stdout.write(`${JSON.stringify({ command: settings.command, success: true, result: result ?? null }, null, 2)}\n`);
+  }
+
+  /**
+   * Print the failure document on stdout (JSON output only), with the FocalDeployError code
+   */
+  static printError(error) {
+    if (!Logger.isJSON() || settings.resultPrinted) {
+      return;
+    }
+    settings.resultPrinted = true;
+    const details = {
+      code: error?.code || 'UNKNOWN_ERROR',
+      message: error?.message || String(error)
+    };
+    const suggestions = [error?.suggestion, ...(error?.suggestions || [])].filter(Boolean);
+    if (suggestions.length > 0) {
+      details.suggestions = suggestions;
+    }
+    process.stdout.write(`${JSON.stringify({ command: settings.command, success: false, error: details }, null, 2)}\n`);
+  }
+
+  /**
+   * Print a command's own --json report. With --output json the CLI prints the
+   * result document instead, so stdout still holds a single document.
+   */
+  static json(data) {
+    if (!Logger.isJSON()) {
+      console.log(JSON.stringify(data, null, 2));
+    }
+  }
+
   static info(message) {
-    console.log(chalk.cyan('ℹ️'), message);
+    Logger.write('info', message, chalk.cyan('ℹ️'));
   }
 
   static success(message) {
-    console.log(chalk.green('✅'), message);
+    Logger.write('info', message, chalk.green('✅'));
   }
 
   static error(message) {
-    console.log(chalk.red('❌'), message);
+    Logger.write('error', message, chalk.red('❌'));
   }
 
   static warning(message) {
-    console.log(chalk.yellow('⚠️'), message);
+    Logger.write('warn', message, chalk.yellow('⚠️'));
   }
 
   static warn(message) {
-    console.log(chalk.yellow('⚠️'), message);
+    Logger.write('warn', message, chalk.yellow('⚠️'));
   }
 
   static step(message) {
-    console.log(chalk.blue('🔄'), message);
+    Logger.write('info', message, chalk.blue('🔄'));
   }
 
   static debug(message) {
-    if (process.env.DEBUG || process.env.NODE_ENV === 'development') {
-      console.log(chalk.gray('🐛'), message);
-    }
+    Logger.write('debug', message, chalk.gray('🐛'));
   }
 
   static spinner(message) {
+    if (Logger.isJSON()) {
+      return new JSONSpinner(message);
+    }
     return ora({
       text: message,
       color: 'cyan',
-      spinner: 'dots'
+      spinner: 'dots',
+      isSilent: !Logger.isEnabled('info')
     });
   }
 
   static header(title) {
-    console.log('\n' + chalk.blue.bold('🚀 ' + title) + '\n');
+    Logger.write('info', '\n' + chalk.blue.bold('🚀 ' + title) + '\n');
   }
 
   static section(title) {
-    console.log('\n' + chalk.cyan.bold(title));
+    Logger.write('info', '\n' + chalk.cyan.bold(title));
   }
 
   static result(title, value) {
-    console.log(chalk.gray(title + ':'), chalk.green.bold(value));
+    Logger.write('info', `${chalk.gray(title + ':')} ${chalk.green.bold(value)}`);
   }
 }
 
@@ -64,7 +256,8 @@ const logger = {
   spinner: Logger.spinner,
   header: Logger.header,
   section: Logger.section,
-  result: Logger.result
+  result: Logger.result,
+  json: Logger.json
 };
 
-module.exports = { Logger, logger };
\ No newline at end of file
+module.exports = { Logger, logger, LOG_LEVELS, OUTPUT_FORMATS };
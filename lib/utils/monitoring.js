@@ -1,6 +1,12 @@
 const { SSHService } = require('./ssh');
 const { logger } = require('./logger');
+const { SSLWatchService } = require('./ssl-watch');
+const { buildAlertConfig } = require('../monitoring/alert-dispatcher');
 const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+const ALERT_DISPATCHER_SOURCE = path.join(__dirname, '..', 'monitoring', 'alert-dispatcher.js');
 
 class MonitoringService {
   constructor() {
@@ -30,6 +36,11 @@ class MonitoringService {
       // Setup cron job for periodic health checks
       await this.setupHealthCheckCron(host, config, sshOptions);
 
+      // Certificate expiry checks for the SSL domains, if any
+      if (options.sslDomains?.length > 0) {
+        await this.setupSSLExpiryCron(host, config, sshOptions, options.sslDomains);
+      }
+
       // Create health check log directory
       await this.sshService.createDirectory(host, `/var/log/${config.projectName}`, sshOptions);
       await this.sshService.executeCommand(
@@ -59,6 +70,8 @@ class MonitoringService {
 
 LOG_FILE="/var/log/${config.projectName}/health-check.log"
 APP_URL="http://localhost:${appPort}${healthEndpoint}"
+METRICS_FILE="/var/log/${config.projectName}/metrics.jsonl"
+ALERT_DISPATCHER="$(dirname "$0")/alert-dispatcher.js"
 TIMESTAMP=$(date '+%Y-%m-%d %H:%M:%S')
 
 # Function to log messages
@@ -66,16 +79,21 @@ log_message() {
     echo "[$TIMESTAMP] $1" >> "$LOG_FILE"
 }
 
-# Function to send alert (placeholder for future implementation)
-send_alert() {
-    local message="$1"
-    log_message "ALERT: $message"
-    # Future: Send to Slack, email, etc.
+# Thresholds, dedupe, rate limiting and delivery are handled by the alert dispatcher
+dispatch_alerts() {
+    if [ -f "$ALERT_DISPATCHER" ] && command -v node > /dev/null; then
+        node "$ALERT_DISPATCHER" evaluate "$@" >> "$LOG_FILE" 2>&1
+    else
+        log_message "⚠️  Alert dispatcher not installed; run focal-deploy monitor-setup"
+    fi
 }
 
 # Check if application is responding
 check_app_health() {
-    local response_code=$(curl -s -o /dev/null -w "%{http_code}" --max-time ${timeout} "$APP_URL" 2>/dev/null)
+    local result=$(curl -s -o /dev/null -w "%{http_code} %{time_total}" --max-time ${timeout} "$APP_URL" 2>/dev/null)
+    local response_code="\${result%% *}"
+    HTTP_STATUS="$response_code"
+    RESPONSE_TIME=$(echo "\${result#* }" | awk '{printf("%d", $1 * 1000)}')
     
     if [ "$response_code" = "200" ]; then
         log_message "✅ Health check passed - HTTP $response_code"
@@ -88,36 +106,37 @@ check_app_health() {
 
 # Check system resources
 check_system_resources() {
-    local cpu_usage=$(top -bn1 | grep "Cpu(s)" | awk '{print $2}' | awk -F'%' '{print $1}')
-    local memory_usage=$(free | grep Mem | awk '{printf("%.1f", $3/$2 * 100.0)}')
-    local disk_usage=$(df -h / | awk 'NR==2{printf "%s", $5}' | sed 's/%//')
-    
-    log_message "📊 System stats - CPU: ${cpu_usage}%, Memory: ${memory_usage}%, Disk: ${disk_usage}%"
+    CPU_USAGE=$(top -bn1 | grep "Cpu(s)" | awk '{print $2}' | awk -F'%' '{print $1}')
+    MEMORY_USAGE=$(free | grep Mem | awk '{printf("%.1f", $3/$2 * 100.0)}')
+    DISK_USAGE=$(df -h / | awk 'NR==2{printf "%s", $5}' | sed 's/%//')
     
-    # Alert thresholds
-    if (( $(echo "$cpu_usage > 80" | bc -l) )); then
-        send_alert "High CPU usage: ${cpu_usage}%"
-    fi
-    
-    if (( $(echo "$memory_usage > 85" | bc -l) )); then
-        send_alert "High memory usage: ${memory_usage}%"
-    fi
-    
-    if [ "$disk_usage" -gt 90 ]; then
-        send_alert "High disk usage: ${disk_usage}%"
+    log_message "📊 System stats - CPU: \${CPU_USAGE}%, Memory: \${MEMORY_USAGE}%, Disk: \${DISK_USAGE}%"
+}
+
+# Append a sample to the metrics history read by "focal-deploy monitor-report"
+json_number() {
+    if [[ "$1" =~ ^[0-9]+(\\.[0-9]+)?$ ]]; then
+        echo "$((10#\${1%%.*}))\${1#\${1%%.*}}"
+    else
+        echo null
     fi
 }
 
+record_metrics() {
+    printf '{"ts":%s,"cpu":%s,"memory":%s,"disk":%s,"responseTime":%s,"status":%s,"service":"%s"}\\n' \\
+        "$(date +%s)" "$(json_number "$CPU_USAGE")" "$(json_number "$MEMORY_USAGE")" "$(json_number "$DISK_USAGE")" \\
+        "$(json_number "$RESPONSE_TIME")" "$(json_number "\${HTTP_STATUS:-0}")" "\${SERVICE_STATUS:-unknown}" >> "$METRICS_FILE"
+}
+
 # Check service status
 check_service_status() {
-    local service_status=$(systemctl is-active ${config.projectName} 2>/dev/null)
+    SERVICE_STATUS=$(systemctl is-active ${config.projectName} 2>/dev/null)
     
-    if [ "$service_status" = "active" ]; then
+    if [ "$SERVICE_STATUS" = "active" ]; then
         log_message "✅ Service ${config.projectName} is active"
         return 0
     else
-        log_message "❌ Service ${config.projectName} is not active: $service_status"
-        send_alert "Service ${config.projectName} is not running"
+        log_message "❌ Service ${config.projectName} is not active: $SERVICE_STATUS"
         return 1
     fi
 }
@@ -140,14 +159,17 @@ main() {
     
     # Check system resources
     check_system_resources
+    record_metrics
     
     if [ $health_status -eq 0 ]; then
         log_message "✅ Overall health check passed"
     else
         log_message "❌ Overall health check failed"
-        send_alert "Health check failed for ${config.projectName}"
     fi
     
+    dispatch_alerts --cpu "$CPU_USAGE" --memory "$MEMORY_USAGE" --disk "$DISK_USAGE" \\
+        --service "\${SERVICE_STATUS:-unknown}" --http "\${HTTP_STATUS:-000}"
+    
     return $health_status
 }
 
@@ -181,6 +203,66 @@ main "$@"
     }
   }
 
+  /**
+   * Install the certificate expiry check next to the health check. It alerts
+   * through the alert dispatcher installed by setupBasicAlerting.
+   */
+  async setupSSLExpiryCron(host, config, sshOptions = {}, domains = []) {
+    logger.info(chalk.blue('🔒 Setting up SSL certificate expiry checks...'));
+
+    const schedule = config.alerts?.sslCheckSchedule || '17 6 * * *'; // Daily by default
+    const operatingSystem = sshOptions.operatingSystem || 'ubuntu';
+    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
+    const projectDir = `/home/${defaultUser}/${config.projectName}`;
+    const scriptPath = `${projectDir}/ssl-expiry-check.sh`;
+
+    const script = new SSLWatchService(config).generateServerScript(domains, {
+      alertDispatcher: `${projectDir}/alert-dispatcher.js`,
+      stateDir: `${projectDir}/.ssl-watch`,
+      logFile: `/var/log/${config.projectName}/ssl-watch.log`
+    });
+    const cronJob = `${schedule} ${scriptPath} >/dev/null 2>&1`;
+
+    try {
+      await this.sshService.writeFile(host, scriptPath, script, sshOptions);
+      await this.sshService.executeCommand(host, `chmod +x ${scriptPath}`, sshOptions);
+
+      // Replace an earlier entry so the domain list stays current
+      await this.sshService.executeCommand(
+        host,
+        `(crontab -l 2>/dev/null | grep -v '${scriptPath}'; echo "${cronJob}") | crontab -`,
+        sshOptions
+      );
+
+      logger.success(chalk.green(`✅ SSL expiry check scheduled for ${domains.join(', ')} (${schedule})`));
+    } catch (error) {
+      logger.error(chalk.red(`❌ Failed to setup SSL expiry check: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Send a test alert through the server's dispatcher to every configured channel
+   * @returns {Object} { channels, results: [{channel, target, ok, error?}] }
+   */
+  async sendTestAlert(host, config, options = {}) {
+    const { sshOptions = {} } = options;
+    const operatingSystem = sshOptions.operatingSystem || 'ubuntu';
+    const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
+    const dispatcherPath = `/home/${defaultUser}/${config.projectName}/alert-dispatcher.js`;
+
+    const result = await this.sshService.executeCommand(
+      host,
+      `test -f ${dispatcherPath} && node ${dispatcherPath} test || echo '{"missing":true}'`,
+      sshOptions
+    );
+    const output = JSON.parse(result.stdout.trim().split('\n').pop());
+    if (output.missing) {
+      throw new Error('The alert dispatcher is not installed on the server. Run "focal-deploy monitor-setup" first.');
+    }
+    return output;
+  }
+
   async getHealthStatus(host, config, options = {}) {
     const { dryRun = false, sshOptions = {} } = options;
     
@@ -233,6 +315,31 @@ main "$@"
     }
   }
 
+  /**
+   * Fetch the metrics history written by the health check since a point in time.
+   * Rotated files are included when they were written after `since`.
+   * @returns {string} metrics.jsonl content (see lib/monitoring/metrics.js)
+   */
+  async getMetrics(host, config, options = {}) {
+    const { since, sshOptions = {} } = options;
+    const logDir = `/var/log/${config.projectName}`;
+    const sinceEpoch = Math.floor(since.getTime() / 1000);
+
+    // Collect into a private file and download it, rather than printing the samples over exec
+    const collected = await this.sshService.executeCommand(
+      host,
+      `f=$(mktemp ~/.focal-deploy-metrics.XXXXXX) && find ${logDir} -maxdepth 1 -name 'metrics.jsonl*' -newermt @${sinceEpoch} -print0 2>/dev/null | xargs -0 -r zcat -f > "$f" && echo "$f"`,
+      sshOptions
+    );
+    const remoteFile = collected.stdout.trim();
+
+    try {
+      return await this.sshService.readFile(host, remoteFile, sshOptions);
+    } finally {
+      await this.sshService.executeCommand(host, `rm -f ${remoteFile}`, sshOptions);
+    }
+  }
+
   parseSystemStats(logs) {
     const lines = logs.split('\n');
     const statsLine = lines.reverse().find(line => line.includes('System stats'));
@@ -263,7 +370,7 @@ main "$@"
     logger.info(chalk.blue('📋 Setting up log rotation...'));
 
     const logrotateConfig = `
-/var/log/${config.projectName}/*.log {
+/var/log/${config.projectName}/*.log /var/log/${config.projectName}/metrics.jsonl {
     daily
     missingok
     rotate 30
@@ -335,24 +442,15 @@ main "$@"
 
     logger.info(chalk.blue('🚨 Setting up basic alerting...'));
 
-    // Create alert configuration file
-    const alertConfig = {
-      enabled: true,
-      thresholds: {
-        cpu: config.alerts?.cpu || 80,
-        memory: config.alerts?.memory || 85,
-        disk: config.alerts?.disk || 90
-      },
-      notifications: {
-        email: config.alerts?.email || null,
-        webhook: config.alerts?.webhook || null
-      }
-    };
+    // Create alert configuration file; it holds the SMTP password, so only the owner may read it
+    const alertConfig = buildAlertConfig(config);
 
     try {
       const operatingSystem = sshOptions.operatingSystem || 'ubuntu';
       const defaultUser = operatingSystem === 'debian' ? 'admin' : 'ubuntu';
-      const configPath = `/home/${defaultUser}/${config.projectName}/alert-config.json`;
+      const projectDir = `/home/${defaultUser}/${config.projectName}`;
+      const configPath = `${projectDir}/alert-config.json`;
+      await this.sshService.executeCommand(host, `touch ${configPath} && chmod 600 ${configPath}`, sshOptions);
       await this.sshService.writeFile(
         host,
         configPath,
@@ -360,8 +458,23 @@ main "$@"
         sshOptions
       );
 
+      // The dispatcher evaluates thresholds and delivers alerts for the health and SSL checks
+      await this.sshService.writeFile(
+        host,
+        `${projectDir}/alert-dispatcher.js`,
+        await fs.readFile(ALERT_DISPATCHER_SOURCE, 'utf8'),
+        sshOptions
+      );
+
+      const channels = ['webhook', 'slack', 'email'].filter(channel =>
+        channel === 'email' ? alertConfig.notifications.email && alertConfig.notifications.smtp : alertConfig.notifications[channel]);
       logger.success(chalk.green('✅ Basic alerting configured'));
-      logger.info(chalk.yellow('💡 Configure email or webhook in focal-deploy.yml for notifications'));
+      if (channels.length > 0) {
+        logger.info(chalk.blue(`📣 Alerts go to: ${channels.join(', ')}`));
+        logger.info(chalk.yellow('💡 Use "focal-deploy monitor-test-alert" to verify delivery'));
+      } else {
+        logger.info(chalk.yellow('💡 Configure a webhook, Slack or email (SMTP) in focal-deploy.yml for notifications'));
+      }
 
       return { success: true };
 
@@ -1,6 +1,7 @@
 const { Logger } = require('./logger');
 const { SSHService } = require('./ssh');
 const { SSMClient, SendCommandCommand, GetCommandInvocationCommand } = require('@aws-sdk/client-ssm');
+const { getAWSCredentials } = require('../aws/credential-provider');
 
 class OSDetector {
   constructor(config) {
@@ -8,10 +9,7 @@ class OSDetector {
     this.ssh = new SSHService();
     this.ssmClient = new SSMClient({
       region: config.aws?.region || 'us-east-1',
-      credentials: {
-        accessKeyId: config.aws?.accessKeyId,
-        secretAccessKey: config.aws?.secretAccessKey
-      }
+      credentials: getAWSCredentials(config.aws || {})
     });
   }
 
@@ -108,33 +106,24 @@ class OSDetector {
    * @returns {Promise<string|null>} Operating system or null if detection fails
    */
   async detectOSViaSSH(publicIp, connectionParams) {
-    try {
-      const sshConfig = {
-        host: publicIp,
-        port: connectionParams.port || 22,
-        username: connectionParams.username || 'ubuntu',
-        privateKey: connectionParams.privateKey,
-        readyTimeout: 30000,
-        ...connectionParams
-      };
-
-      await this.ssh.connect(sshConfig);
+    const sshOptions = this.getSSHOptions(connectionParams);
 
+    try {
       // Try to read /etc/os-release
       const osReleaseCommand = 'cat /etc/os-release 2>/dev/null || echo "not_found"';
-      const result = await this.ssh.executeCommand(osReleaseCommand);
+      const result = await this.ssh.executeCommand(publicIp, osReleaseCommand, sshOptions);
 
-      await this.ssh.disconnect();
-
-      if (result.includes('not_found')) {
+      if (result.stdout.includes('not_found')) {
         // Fallback methods
         return await this.detectOSFallback(publicIp, connectionParams);
       }
 
-      return this.parseOSFromOutput(result);
+      return this.parseOSFromOutput(result.stdout);
     } catch (error) {
       Logger.debug(`SSH OS detection failed: ${error.message}`);
       return null;
+    } finally {
+      this.ssh.disconnect(publicIp, sshOptions.port);
     }
   }
 
@@ -146,34 +135,41 @@ class OSDetector {
    */
   async detectOSFallback(publicIp, connectionParams) {
     try {
-      await this.ssh.connect({
-        host: publicIp,
-        port: connectionParams.port || 22,
-        username: connectionParams.username || 'ubuntu',
-        privateKey: connectionParams.privateKey,
-        readyTimeout: 30000,
-        ...connectionParams
-      });
-
       // Check for specific distribution files
       const commands = [
         'test -f /etc/debian_version && echo "debian" && exit 0',
         'test -f /etc/redhat-release && echo "rhel" && exit 0',
         'test -f /etc/amazon-release && echo "amazon-linux" && exit 0',
-        'uname -a | grep -i ubuntu && echo "ubuntu" && exit 0',
+        'uname -a | grep -qi ubuntu && echo "ubuntu" && exit 0',
         'echo "unknown"'
       ];
 
-      const result = await this.ssh.executeCommand(commands.join('; '));
-      await this.ssh.disconnect();
-
-      return result.trim();
+      const result = await this.ssh.executeCommand(publicIp, commands.join('; '), this.getSSHOptions(connectionParams));
+      return result.stdout.trim();
     } catch (error) {
       Logger.debug(`SSH fallback detection failed: ${error.message}`);
       return null;
     }
   }
 
+  /**
+   * SSHService options for a detection connection: the port and user from
+   * security.ssh, or port 22 and ubuntu for a server that was not hardened
+   * @param {object} connectionParams - SSH connection parameters
+   * @returns {object} Options for SSHService.executeCommand
+   */
+  getSSHOptions(connectionParams = {}) {
+    const sshConfig = this.config?.security?.ssh || {};
+    const port = connectionParams.port || sshConfig.customPort || 22;
+    return {
+      port,
+      isInitialConnection: port === 22,
+      username: connectionParams.username || sshConfig.deploymentUser || 'ubuntu',
+      privateKeyPath: connectionParams.privateKeyPath,
+      readyTimeout: 30000
+    };
+  }
+
   /**
    * Parse operating system from command output
    * @param {string} output - Command output containing OS information
@@ -0,0 +1,43 @@
+/**
+ * Release directory helpers
+ * Releases are named by a sortable UTC timestamp (e.g. 20250101123045), with
+ * a -2, -3... suffix when another release was created in the same second.
+ */
+
+const RELEASE_PATTERN = /^(\d{14})(?:-(\d+))?$/;
+
+function generateReleaseId(existingReleases = []) {
+  const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  let release = timestamp;
+  for (let suffix = 2; existingReleases.includes(release); suffix++) {
+    release = `${timestamp}-${suffix}`;
+  }
+  return release;
+}
+
+/**
+ * Release names from "ls -1" output of a releases directory, newest first
+ */
+function parseReleaseList(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .sort(compareReleases)
+    .reverse();
+}
+
+/**
+ * Order releases by timestamp, then by numeric suffix (so -10 comes after -2).
+ * Names in another format sort before all timestamped releases.
+ */
+function compareReleases(a, b) {
+  const left = RELEASE_PATTERN.exec(a);
+  const right = RELEASE_PATTERN.exec(b);
+  if (!left || !right) {
+    return left ? 1 : right ? -1 : a.localeCompare(b);
+  }
+  return left[1].localeCompare(right[1]) || Number(left[2] || 1) - Number(right[2] || 1);
+}
+
+module.exports = { generateReleaseId, parseReleaseList, compareReleases };
@@ -0,0 +1,466 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  GetBucketVersioningCommand,
+  PutBucketVersioningCommand,
+  PutBucketEncryptionCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { logger } = require('./logger');
+const { ErrorHandler, FocalDeployError } = require('./errors');
+const { applyEnvironment, getActiveEnvironment, environmentFileName, getStateFilePath } = require('./environment');
+const { getAWSCredentials } = require('../aws/credential-provider');
+
+/**
+ * Remote state backend in S3
+ *
+ * Selected with a `state` section in focal-deploy.yml:
+ *
+ *   state:
+ *     backend: s3
+ *     bucket: my-app-focal-state
+ *     region: us-east-1          # defaults to aws.region
+ *     prefix: my-app/            # defaults to "<project>/"
+ *
+ * Each environment's state files are stored under <prefix><environment>/ in a
+ * versioned bucket. Mutating commands take <prefix><environment>/state.lock
+ * with a conditional write before touching AWS and release it afterwards.
+ */
+class RemoteStateManager {
+  constructor(backendConfig, options = {}) {
+    this.bucket = backendConfig.bucket;
+    this.region = backendConfig.region || options.region || 'us-east-1';
+    this.prefix = normalizePrefix(backendConfig.prefix ?? `${options.projectName || 'focal-deploy'}/`);
+    this.environmentName = options.environmentName || getActiveEnvironment() || 'default';
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.client = new S3Client({
+      region: this.region,
+      credentials: options.credentials,
+      // S3-compatible endpoints (MinIO, LocalStack, test stubs) need path-style URLs
+      ...(backendConfig.endpoint ? { endpoint: backendConfig.endpoint, forcePathStyle: true } : {})
+    });
+  }
+
+  static isEnabled(config) {
+    return config?.state?.backend === 's3';
+  }
+
+  /**
+   * Remote state manager for the project in the current directory, or null
+   * when focal-deploy.yml does not select a remote backend
+   * @param {Object} options - projectRoot, credentials (defaults to the project's AWS credentials)
+   */
+  static async fromProject(options = {}) {
+    const projectRoot = options.projectRoot || process.cwd();
+    const configPath = path.join(projectRoot, 'focal-deploy.yml');
+    if (!await fs.pathExists(configPath)) {
+      return null;
+    }
+
+    const config = applyEnvironment(yaml.load(await fs.readFile(configPath, 'utf8')) || {});
+    if (!RemoteStateManager.isEnabled(config)) {
+      return null;
+    }
+
+    if (!config.state.bucket) {
+      throw ErrorHandler.createConfigError(
+        'Remote state backend "s3" needs a bucket',
+        ['Add state.bucket to focal-deploy.yml (e.g. my-app-focal-state)']
+      );
+    }
+
+    return new RemoteStateManager(config.state, {
+      projectRoot,
+      region: config.aws?.region,
+      projectName: config.project?.name,
+      credentials: options.credentials || await resolveCredentials(projectRoot, config)
+    });
+  }
+
+  /**
+   * Local state files that are mirrored to the backend
+   */
+  getStateFiles() {
+    return [
+      { name: 'state.json', path: getStateFilePath(this.projectRoot) },
+      { name: 'enhanced-state.json', path: path.join(this.projectRoot, '.focal-deploy', environmentFileName('state.json')) },
+      { name: 'deployment-state.json', path: path.join(this.projectRoot, '.focal-deploy', 'deployment', environmentFileName('deployment-state.json')) },
+      { name: 'instance-state.json', path: path.join(this.projectRoot, '.focal-deploy', environmentFileName('instance-state.json')) }
+    ];
+  }
+
+  objectKey(name) {
+    return `${this.prefix}${this.environmentName}/${name}`;
+  }
+
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}${this.environmentName}/`;
+  }
+
+  /**
+   * Create the state bucket if needed and make sure versioning is on
+   */
+  async ensureBucket() {
+    try {
+      try {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+      } catch (error) {
+        if (error.name !== 'NotFound' && error.$metadata?.httpStatusCode !== 404) {
+          throw error;
+        }
+
+        logger.info(chalk.blue(`🪣 Creating state bucket ${this.bucket}...`));
+        await this.client.send(new CreateBucketCommand({
+          Bucket: this.bucket,
+          ...(this.region !== 'us-east-1' ? { CreateBucketConfiguration: { LocationConstraint: this.region } } : {})
+        }));
+        await this.client.send(new PutBucketEncryptionCommand({
+          Bucket: this.bucket,
+          ServerSideEncryptionConfiguration: {
+            Rules: [{ ApplyServerSideEncryptionByDefault: { SSEAlgorithm: 'AES256' } }]
+          }
+        }));
+      }
+
+      const versioning = await this.client.send(new GetBucketVersioningCommand({ Bucket: this.bucket }));
+      if (versioning.Status !== 'Enabled') {
+        await this.client.send(new PutBucketVersioningCommand({
+          Bucket: this.bucket,
+          VersioningConfiguration: { Status: 'Enabled' }
+        }));
+      }
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * Current lock holder, or null when the state is unlocked
+   */
+  async getLock() {
+    const lock = await this.getObject(this.objectKey('state.lock'));
+    return lock ? JSON.parse(lock.body) : null;
+  }
+
+  /**
+   * Take the state lock; fails if someone else holds it
+   * @param {string} operation - Command taking the lock (e.g. 'up')
+   */
+  async acquireLock(operation) {
+    const lock = {
+      id: crypto.randomUUID(),
+      operation,
+      environment: this.environmentName,
+      who: `${os.userInfo().username}@${os.hostname()}`,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey('state.lock'),
+        Body: JSON.stringify(lock, null, 2),
+        ContentType: 'application/json',
+        IfNoneMatch: '*'
+      }));
+    } catch (error) {
+      if (!isConditionFailure(error)) {
+        throw ErrorHandler.createAWSError(error);
+      }
+
+      const holder = await this.getLock();
+      throw new FocalDeployError(
+        holder
+          ? `Remote state is locked by ${holder.who} (${holder.operation}, since ${holder.createdAt}, lock ID ${holder.id})`
+          : 'Remote state is locked by another operation',
+        holder
+          ? `Wait for the other operation to finish, or run "focal-deploy state unlock ${holder.id}" if it crashed`
+          : 'Try again in a moment',
+        'STATE_LOCKED'
+      );
+    }
+
+    logger.debug(`Acquired state lock ${lock.id} on ${this.describe()}`);
+    return lock;
+  }
+
+  /**
+   * Release a lock taken by acquireLock; a lock held by someone else is left alone
+   */
+  async releaseLock(lock) {
+    const current = await this.getLock();
+    if (!current) {
+      return false;
+    }
+    if (current.id !== lock.id) {
+      logger.warn(`State lock is now held by ${current.who} (${current.id}); not releasing it`);
+      return false;
+    }
+
+    await this.deleteObject(this.objectKey('state.lock'));
+    logger.debug(`Released state lock ${lock.id}`);
+    return true;
+  }
+
+  /**
+   * Remove a lock left behind by a crashed operation
+   * @param {string} lockId - Must match the current lock unless omitted
+   */
+  async forceUnlock(lockId = null) {
+    const current = await this.getLock();
+    if (!current) {
+      return null;
+    }
+    if (lockId && current.id !== lockId) {
+      throw new FocalDeployError(
+        `Lock ID ${lockId} does not match the current lock (${current.id}, held by ${current.who})`,
+        'Run "focal-deploy state unlock" without an ID to see the current lock',
+        'STATE_LOCK_MISMATCH'
+      );
+    }
+
+    await this.deleteObject(this.objectKey('state.lock'));
+    return current;
+  }
+
+  /**
+   * Download the remote state files, keeping a backup of local files that differ
+   */
+  async pull() {
+    const tracking = await this.loadTracking();
+    const results = [];
+
+    for (const file of this.getStateFiles()) {
+      const remote = await this.getObject(this.objectKey(file.name));
+      if (!remote) {
+        delete tracking[file.name];
+        results.push({ ...file, status: 'missing' });
+        continue;
+      }
+
+      let backupPath = null;
+      if (await fs.pathExists(file.path)) {
+        const local = await fs.readFile(file.path, 'utf8');
+        if (local === remote.body) {
+          tracking[file.name] = { etag: remote.etag, versionId: remote.versionId };
+          results.push({ ...file, status: 'unchanged', versionId: remote.versionId });
+          continue;
+        }
+        backupPath = `${file.path}.backup.${Date.now()}`;
+        await fs.copy(file.path, backupPath);
+      }
+
+      await fs.ensureDir(path.dirname(file.path));
+      await fs.writeFile(file.path, remote.body, 'utf8');
+      tracking[file.name] = { etag: remote.etag, versionId: remote.versionId };
+      results.push({ ...file, status: 'pulled', versionId: remote.versionId, backupPath });
+    }
+
+    await this.saveTracking(tracking);
+    return results;
+  }
+
+  /**
+   * Upload the local state files
+   *
+   * Uploads are conditional on the remote object being the one last pulled,
+   * so a push never silently overwrites a teammate's newer state.
+   * @param {Object} options - force: overwrite regardless of the remote version
+   */
+  async push(options = {}) {
+    const tracking = await this.loadTracking();
+    const results = [];
+
+    for (const file of this.getStateFiles()) {
+      if (!await fs.pathExists(file.path)) {
+        // A file that was pulled and then removed locally (e.g. by down) is removed remotely too;
+        // the bucket is versioned, so the previous state stays recoverable
+        if (tracking[file.name]) {
+          await this.deleteObject(this.objectKey(file.name));
+          delete tracking[file.name];
+          results.push({ ...file, status: 'deleted' });
+        } else {
+          results.push({ ...file, status: 'skipped' });
+        }
+        continue;
+      }
+
+      const body = await fs.readFile(file.path, 'utf8');
+      const known = tracking[file.name];
+      const condition = options.force ? {} : (known?.etag ? { IfMatch: known.etag } : { IfNoneMatch: '*' });
+
+      try {
+        const response = await this.client.send(new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: this.objectKey(file.name),
+          Body: body,
+          ContentType: 'application/json',
+          ...condition
+        }));
+        tracking[file.name] = { etag: response.ETag, versionId: response.VersionId };
+        results.push({ ...file, status: 'pushed', versionId: response.VersionId });
+      } catch (error) {
+        if (!isConditionFailure(error)) {
+          throw ErrorHandler.createAWSError(error);
+        }
+        throw new FocalDeployError(
+          `Remote ${file.name} has changed since it was last pulled`,
+          'Run "focal-deploy state pull" to get the latest state, or "focal-deploy state push --force" to overwrite it',
+          'STATE_CONFLICT'
+        );
+      }
+    }
+
+    await this.saveTracking(tracking);
+    return results;
+  }
+
+  /**
+   * Lock the state for a mutating command and pull the latest copy
+   * @param {string} operation - Command taking the lock (e.g. 'up')
+   * @returns {Object} Lock to pass to unlock()
+   */
+  async lock(operation) {
+    await this.ensureBucket();
+    const lock = await this.acquireLock(operation);
+    logger.info(chalk.blue(`🔒 Locked remote state ${this.describe()}`));
+
+    try {
+      await this.pull();
+    } catch (error) {
+      await this.releaseLock(lock);
+      throw error;
+    }
+    return lock;
+  }
+
+  /**
+   * Push the local state and release the lock taken by lock()
+   * State is pushed even after a failed command, since it may have created resources.
+   * A failed push is rethrown once the lock is released, so the command fails
+   * instead of leaving the remote state stale.
+   */
+  async unlock(lock) {
+    let pushError = null;
+    try {
+      await this.push();
+    } catch (error) {
+      pushError = error;
+    }
+    await this.releaseLock(lock);
+    logger.info(chalk.blue('🔓 Released remote state lock'));
+
+    if (pushError) {
+      throw new FocalDeployError(
+        `Failed to push state to ${this.describe()}: ${pushError.message}`,
+        pushError.code === 'STATE_CONFLICT'
+          ? 'The local state has this command\'s changes. Check what changed remotely, then run "focal-deploy state push --force" to upload it.'
+          : 'The local state has this command\'s changes. Run "focal-deploy state push" to upload it.',
+        pushError.code || 'STATE_PUSH_FAILED'
+      );
+    }
+  }
+
+  /**
+   * Run a mutating operation under the state lock: lock, pull, run, push, unlock
+   */
+  async withLock(operation, fn) {
+    const lock = await this.lock(operation);
+    try {
+      return await fn();
+    } finally {
+      await this.unlock(lock);
+    }
+  }
+
+  async getObject(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        body: await response.Body.transformToString(),
+        etag: response.ETag,
+        versionId: response.VersionId
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  async deleteObject(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      throw ErrorHandler.createAWSError(error);
+    }
+  }
+
+  /**
+   * ETags of the remote objects as of the last pull/push, per environment
+   */
+  getTrackingPath() {
+    return path.join(this.projectRoot, '.focal-deploy', environmentFileName('remote-state.json'));
+  }
+
+  async loadTracking() {
+    const trackingPath = this.getTrackingPath();
+    return await fs.pathExists(trackingPath) ? fs.readJson(trackingPath) : {};
+  }
+
+  async saveTracking(tracking) {
+    const trackingPath = this.getTrackingPath();
+    await fs.ensureDir(path.dirname(trackingPath));
+    await fs.writeJson(trackingPath, tracking, { spaces: 2 });
+  }
+}
+
+function normalizePrefix(prefix) {
+  const trimmed = String(prefix || '').replace(/^\/+/, '');
+  return trimmed && !trimmed.endsWith('/') ? `${trimmed}/` : trimmed;
+}
+
+function isConditionFailure(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return error.name === 'PreconditionFailed' || error.name === 'ConditionalRequestConflict' || status === 412 || status === 409;
+}
+
+/**
+ * AWS credentials for the backend: focal-deploy.yml, then the wizard's
+ * config.json, then the stored credentials; otherwise the SDK default chain
+ */
+async function resolveCredentials(projectRoot, config) {
+  if (hasOwnCredentialSource(config.aws)) {
+    return getAWSCredentials(config.aws);
+  }
+
+  const wizardConfigPath = path.join(projectRoot, '.focal-deploy', 'config.json');
+  if (await fs.pathExists(wizardConfigPath)) {
+    const wizardConfig = await fs.readJson(wizardConfigPath);
+    // configVersion 1 kept the keys under credentials.aws
+    const wizardAWS = wizardConfig.aws?.accessKeyId || wizardConfig.aws?.profile ? wizardConfig.aws : wizardConfig.credentials?.aws;
+    if (hasOwnCredentialSource(wizardAWS)) {
+      return getAWSCredentials({ region: config.aws?.region, ...wizardAWS });
+    }
+  }
+
+  const CredentialManager = require('./credentials');
+  const stored = await new CredentialManager().loadCredentials();
+  return getAWSCredentials(stored?.accessKeyId ? { region: config.aws?.region, ...stored } : { region: config.aws?.region });
+}
+
+function hasOwnCredentialSource(awsConfig) {
+  return Boolean(awsConfig && ((awsConfig.accessKeyId && awsConfig.secretAccessKey) || awsConfig.profile || awsConfig.roleArn));
+}
+
+module.exports = { RemoteStateManager };
@@ -250,6 +250,91 @@ class SSHService {
     });
   }
 
+  /**
+   * Run a long-lived command and hand its output to the caller as it arrives.
+   * Resolves once the channel is open with { done, close }: `done` settles when
+   * the channel or the connection closes, `close()` ends the channel.
+   * With options.pty the remote processes are hung up when the channel closes.
+   */
+  async streamCommand(host, command, options = {}, handlers = {}) {
+    const conn = await this.connect(host, options);
+
+    logger.info(chalk.cyan(`🔧 Streaming SSH command: ${command.split('\n')[0]}`));
+
+    return new Promise((resolve, reject) => {
+      conn.exec(command, { pty: options.pty || false }, (err, stream) => {
+        if (err) {
+          logger.error(chalk.red(`❌ SSH command execution failed: ${err.message}`));
+          return reject(err);
+        }
+
+        const done = new Promise(settle => {
+          let settled = false;
+          const finish = (code = null, signal = null) => {
+            if (!settled) {
+              settled = true;
+              conn.removeListener('close', onConnectionClose);
+              settle({ code, signal });
+            }
+          };
+          const onConnectionClose = () => finish(null, 'connection closed');
+          stream.on('close', finish);
+          conn.once('close', onConnectionClose);
+        });
+
+        // Decode as a stream so multi-byte characters split across chunks survive
+        stream.setEncoding('utf8');
+        stream.stderr.setEncoding('utf8');
+        stream.on('data', data => handlers.onData && handlers.onData(data));
+        stream.stderr.on('data', data => handlers.onStderr && handlers.onStderr(data));
+
+        resolve({ done, close: () => stream.close() });
+      });
+    });
+  }
+
+  /**
+   * Run a command with binary stdin and stdout, e.g. to stream an archive to
+   * or from the server. Resolves once the channel is open with { channel, done }:
+   * `channel` is a duplex stream (write to stdin, read stdout), `done` settles
+   * with { code, signal, stderr } when the command exits.
+   */
+  async pipeCommand(host, command, options = {}) {
+    const conn = await this.connect(host, options);
+
+    logger.info(chalk.cyan(`🔧 Piping SSH command: ${command.split('\n')[0]}`));
+
+    return new Promise((resolve, reject) => {
+      conn.exec(command, (err, channel) => {
+        if (err) {
+          logger.error(chalk.red(`❌ SSH command execution failed: ${err.message}`));
+          return reject(err);
+        }
+
+        let stderr = '';
+        channel.stderr.on('data', data => {
+          stderr += data.toString();
+        });
+
+        const done = new Promise(settle => {
+          let settled = false;
+          const finish = (code = null, signal = null) => {
+            if (!settled) {
+              settled = true;
+              conn.removeListener('close', onConnectionClose);
+              settle({ code, signal, stderr: stderr.trim() });
+            }
+          };
+          const onConnectionClose = () => finish(null, 'connection closed');
+          channel.on('close', finish);
+          conn.once('close', onConnectionClose);
+        });
+
+        resolve({ channel, done });
+      });
+    });
+  }
+
   async executeInteractiveCommand(host, command, options = {}) {
     const conn = await this.connect(host, options);
     
@@ -524,6 +609,37 @@ class SSHService {
     });
   }
 
+  /**
+   * Write a file readable only by the SSH user (mode 0600). The content goes
+   * over SFTP, never through a logged shell command; an existing file is
+   * restricted before it is overwritten.
+   */
+  async writePrivateFile(host, remotePath, content, options = {}) {
+    const conn = await this.connect(host, options);
+
+    return new Promise((resolve, reject) => {
+      conn.sftp((err, sftp) => {
+        if (err) {
+          return reject(err);
+        }
+
+        // Fails harmlessly when the file does not exist yet
+        sftp.chmod(remotePath, 0o600, () => {
+          const writeStream = sftp.createWriteStream(remotePath, { mode: 0o600 });
+
+          writeStream.on('error', reject);
+          writeStream.on('close', () => {
+            logger.info(chalk.green(`✅ File written: ${remotePath} (mode 600)`));
+            resolve();
+          });
+
+          writeStream.write(content);
+          writeStream.end();
+        });
+      });
+    });
+  }
+
   async readFile(host, remotePath, options = {}) {
     const conn = await this.connect(host, options);
     
@@ -0,0 +1,400 @@
+const tls = require('tls');
+const path = require('path');
+const fs = require('fs-extra');
+const forge = require('node-forge');
+const chalk = require('chalk');
+const { logger } = require('./logger');
+const { AlertDispatcher, buildAlertConfig } = require('../monitoring/alert-dispatcher');
+
+const DEFAULT_THRESHOLDS = [30, 14, 3];
+const HISTORY_FILE = path.join('.focal-deploy', 'ssl-watch.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+// Node's verification error codes, in words
+const CHAIN_PROBLEMS = {
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'Incomplete chain: the server does not send the intermediate certificate (serve fullchain.pem)',
+  UNABLE_TO_GET_ISSUER_CERT: 'Incomplete chain: the issuer certificate is missing',
+  UNABLE_TO_GET_ISSUER_CERT_LOCALLY: 'Incomplete chain: the issuer certificate is missing',
+  SELF_SIGNED_CERT_IN_CHAIN: 'Chain ends in an untrusted self-signed certificate',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'Certificate is self-signed',
+  CERT_HAS_EXPIRED: 'A certificate in the chain has expired',
+  CERT_NOT_YET_VALID: 'A certificate in the chain is not valid yet',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'Certificate does not cover this domain'
+};
+
+/**
+ * TLS certificate checks for every managed domain: remaining validity against
+ * the alert thresholds (alerts.sslThresholds, default 30/14/3 days), chain
+ * verification and the stapled OCSP response.
+ */
+class SSLWatchService {
+  constructor(config = {}) {
+    this.config = config;
+    this.thresholds = SSLWatchService.thresholds(config);
+  }
+
+  static thresholds(config) {
+    const configured = config?.alerts?.sslThresholds;
+    const values = Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_THRESHOLDS;
+    return values.map(Number).filter(value => value > 0).sort((a, b) => b - a);
+  }
+
+  /**
+   * Domains to watch: the state's domain configurations plus the SSL domains.
+   * Wildcards are checked through their base domain.
+   */
+  static async collectDomains(enhancedStateManager) {
+    const domainConfigs = await enhancedStateManager.getAllDomainConfigs();
+    const sslStatus = await enhancedStateManager.getSSLStatus();
+    const domains = [...Object.keys(domainConfigs), ...(sslStatus.domains || [])]
+      .map(domain => domain.replace(/^\*\./, ''));
+    return [...new Set(domains)];
+  }
+
+  /**
+   * Connect to the domain and read its certificate, chain status and stapled OCSP response
+   * @param {Object} options - { port, address (connect here instead of the domain), ca, timeout }
+   */
+  checkCertificate(domain, options = {}) {
+    const { port = 443, address = null, ca, timeout = 15000 } = options;
+
+    return new Promise((resolve, reject) => {
+      let ocspResponse = null;
+      const socket = tls.connect({
+        host: address || domain,
+        port,
+        servername: domain,
+        requestOCSP: true,
+        rejectUnauthorized: false,
+        ...(ca ? { ca } : {})
+      });
+
+      socket.setTimeout(timeout, () => socket.destroy(new Error(`Timed out connecting to ${domain}:${port}`)));
+      socket.on('OCSPResponse', response => { ocspResponse = response; });
+      socket.once('error', reject);
+      socket.once('secureConnect', () => {
+        const peer = socket.getPeerCertificate(true);
+        let chainLength = 0;
+        for (let cert = peer; cert && cert.raw; cert = cert.issuerCertificate === cert ? null : cert.issuerCertificate) {
+          chainLength++;
+        }
+
+        const result = {
+          domain,
+          validTo: peer.valid_to ? new Date(peer.valid_to).toISOString() : null,
+          issuer: peer.issuer?.O || peer.issuer?.CN || null,
+          subjectAltNames: (peer.subjectaltname || '').split(', ').filter(Boolean).map(name => name.replace(/^DNS:/, '')),
+          authorized: socket.authorized,
+          authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+          chainLength,
+          ocsp: SSLWatchService.parseOCSPResponse(ocspResponse)
+        };
+        socket.end();
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Read the certificate status from a DER OCSP response (RFC 6960)
+   * @returns {Object} { stapled, status: good|revoked|unknown|error, thisUpdate?, nextUpdate?, revokedAt? }
+   */
+  static parseOCSPResponse(buffer) {
+    if (!buffer || buffer.length === 0) {
+      return { stapled: false };
+    }
+
+    try {
+      const { asn1 } = forge;
+      const response = asn1.fromDer(buffer.toString('binary'));
+      const responseStatus = response.value[0].value.charCodeAt(0);
+      if (responseStatus !== 0) {
+        return { stapled: true, status: 'error', error: `OCSP responder status ${responseStatus}` };
+      }
+
+      const responseBytes = response.value[1].value[0];
+      const basic = asn1.fromDer(responseBytes.value[1].value);
+      const tbsResponseData = basic.value[0];
+      // version [0] is optional; responderID, producedAt and responses follow it
+      const offset = tbsResponseData.value[0].tagClass === asn1.Class.CONTEXT_SPECIFIC && tbsResponseData.value[0].type === 0 ? 1 : 0;
+      const single = tbsResponseData.value[offset + 2].value[0];
+
+      const certStatus = single.value[1];
+      const status = ['good', 'revoked', 'unknown'][certStatus.type] || 'unknown';
+      const result = {
+        stapled: true,
+        status,
+        thisUpdate: asn1.generalizedTimeToDate(single.value[2].value).toISOString()
+      };
+      const nextUpdate = single.value.find((item, index) => index > 2 && item.tagClass === asn1.Class.CONTEXT_SPECIFIC && item.type === 0);
+      if (nextUpdate) {
+        result.nextUpdate = asn1.generalizedTimeToDate(nextUpdate.value[0].value).toISOString();
+      }
+      if (status === 'revoked') {
+        result.revokedAt = asn1.generalizedTimeToDate(certStatus.value[0].value).toISOString();
+      }
+      return result;
+    } catch (error) {
+      return { stapled: true, status: 'error', error: `Unreadable OCSP response: ${error.message}` };
+    }
+  }
+
+  /**
+   * Classify a check result
+   * @returns {Object} { domain, level: ok|warning|critical|expired|error, daysRemaining, threshold, problems }
+   */
+  evaluate(result, now = new Date()) {
+    if (result.error) {
+      return { domain: result.domain, level: 'error', daysRemaining: null, threshold: null, problems: [result.error] };
+    }
+
+    const daysRemaining = Math.floor((new Date(result.validTo) - now) / DAY);
+    const crossed = this.thresholds.filter(threshold => daysRemaining <= threshold);
+    const threshold = crossed.length > 0 ? crossed[crossed.length - 1] : null;
+    const problems = [];
+
+    if (!result.authorized && result.authorizationError && result.authorizationError !== 'CERT_HAS_EXPIRED') {
+      problems.push(CHAIN_PROBLEMS[result.authorizationError] || `Chain verification failed: ${result.authorizationError}`);
+    }
+    if (result.ocsp?.stapled) {
+      if (result.ocsp.status === 'revoked') {
+        problems.push(`OCSP: certificate revoked at ${result.ocsp.revokedAt}`);
+      } else if (result.ocsp.status !== 'good') {
+        problems.push(`OCSP: ${result.ocsp.error || `status ${result.ocsp.status}`}`);
+      } else if (result.ocsp.nextUpdate && new Date(result.ocsp.nextUpdate) < now) {
+        problems.push(`OCSP: stapled response is stale (next update was ${result.ocsp.nextUpdate})`);
+      }
+    }
+
+    let level = 'ok';
+    if (daysRemaining < 0) {
+      level = 'expired';
+    } else if (result.ocsp?.status === 'revoked' || (threshold !== null && threshold === this.thresholds[this.thresholds.length - 1])) {
+      level = 'critical';
+    } else if (threshold !== null || problems.length > 0) {
+      level = 'warning';
+    }
+
+    return { domain: result.domain, level, daysRemaining, validTo: result.validTo, threshold, problems, ocsp: result.ocsp };
+  }
+
+  /**
+   * Check all domains; a failed connection becomes an "error" evaluation
+   */
+  async checkAll(domains, options = {}, now = new Date()) {
+    const evaluations = [];
+    for (const domain of domains) {
+      let result;
+      try {
+        result = await this.checkCertificate(domain, options);
+      } catch (error) {
+        result = { domain, error: error.message };
+      }
+      evaluations.push(this.evaluate(result, now));
+    }
+    return evaluations;
+  }
+
+  /**
+   * Pick the evaluations that need an alert: each threshold is alerted once per
+   * certificate (validTo), and problems are alerted when they change
+   * @returns {{alerts: Array, history: Object}}
+   */
+  static selectAlerts(evaluations, history = {}) {
+    const alerts = [];
+    const updated = { ...history };
+
+    for (const evaluation of evaluations) {
+      const previous = history[evaluation.domain] || {};
+      const sameCertificate = previous.validTo === evaluation.validTo;
+      const problemKey = evaluation.problems.join('\n');
+
+      const newThreshold = evaluation.threshold !== null &&
+        (!sameCertificate || previous.threshold === null || previous.threshold === undefined || evaluation.threshold < previous.threshold);
+      const newExpiry = evaluation.level === 'expired' && !(sameCertificate && previous.expired);
+      const newProblems = problemKey !== '' && problemKey !== previous.problems;
+
+      if (newThreshold || newExpiry || newProblems) {
+        alerts.push(evaluation);
+      }
+
+      updated[evaluation.domain] = {
+        validTo: evaluation.validTo || previous.validTo || null,
+        threshold: evaluation.threshold ?? (sameCertificate ? previous.threshold ?? null : null),
+        expired: evaluation.level === 'expired',
+        problems: problemKey,
+        checkedAt: new Date().toISOString()
+      };
+    }
+
+    return { alerts, history: updated };
+  }
+
+  static formatAlert(evaluation) {
+    const prefix = `SSL ${evaluation.domain}`;
+    const parts = [];
+    if (evaluation.level === 'expired') {
+      parts.push(`certificate EXPIRED ${-evaluation.daysRemaining} day(s) ago`);
+    } else if (evaluation.level === 'error') {
+      parts.push('check failed');
+    } else if (evaluation.daysRemaining !== null) {
+      parts.push(`certificate expires in ${evaluation.daysRemaining} day(s)`);
+    }
+    return `${prefix}: ${[...parts, ...evaluation.problems].join('; ')}`;
+  }
+
+  async loadHistory() {
+    const historyFile = path.join(process.cwd(), HISTORY_FILE);
+    return await fs.pathExists(historyFile) ? fs.readJson(historyFile) : {};
+  }
+
+  async saveHistory(history) {
+    const historyFile = path.join(process.cwd(), HISTORY_FILE);
+    await fs.ensureDir(path.dirname(historyFile));
+    await fs.writeJson(historyFile, history, { spaces: 2 });
+  }
+
+  /**
+   * Deliver alerts through the alert dispatcher's channels (webhook, Slack, SMTP).
+   * Dedupe happens in selectAlerts, so the dispatcher runs without its own state.
+   */
+  async sendAlerts(alerts) {
+    const dispatcher = new AlertDispatcher(buildAlertConfig(this.config));
+
+    for (const alert of alerts) {
+      const message = SSLWatchService.formatAlert(alert);
+      logger.warn(chalk.yellow(`🚨 ${message}`));
+
+      const results = await dispatcher.deliver({
+        key: `ssl:${alert.domain}`,
+        severity: alert.level === 'warning' ? 'warning' : 'critical',
+        message,
+        type: 'ssl-certificate',
+        details: {
+          domain: alert.domain,
+          level: alert.level,
+          daysRemaining: alert.daysRemaining,
+          validTo: alert.validTo,
+          problems: alert.problems
+        }
+      });
+      results.filter(result => !result.ok).forEach(result => {
+        logger.warn(chalk.yellow(`⚠️  Could not deliver alert to ${result.channel} (${result.target}): ${result.error}`));
+      });
+    }
+  }
+
+  /**
+   * Bash script run by cron on the server. Domains and thresholds are fixed at
+   * install time; alerts are delivered by the alert dispatcher next to alert-config.json.
+   */
+  generateServerScript(domains, paths) {
+    const projectName = this.config.projectName || this.config.project?.name;
+
+    return `#!/bin/bash
+
+# SSL certificate expiry check for ${projectName}
+# Generated by focal-deploy
+
+DOMAINS="${domains.join(' ')}"
+THRESHOLDS="${this.thresholds.join(' ')}"
+ALERT_DISPATCHER="${paths.alertDispatcher}"
+CRITICAL_DAYS="${this.thresholds[this.thresholds.length - 1]}"
+STATE_DIR="${paths.stateDir}"
+LOG_FILE="${paths.logFile}"
+TIMESTAMP=$(date '+%Y-%m-%d %H:%M:%S')
+
+mkdir -p "$STATE_DIR"
+
+log_message() {
+    echo "[$TIMESTAMP] $1" >> "$LOG_FILE"
+}
+
+send_alert() {
+    local domain="$1" severity="$2" message="$3"
+
+    log_message "ALERT: $message"
+    if [ -f "$ALERT_DISPATCHER" ] && command -v node > /dev/null; then
+        node "$ALERT_DISPATCHER" send --type ssl-certificate --key "ssl:$domain" --severity "$severity" --message "$message" >> "$LOG_FILE" 2>&1
+    else
+        log_message "Alert dispatcher not installed; run focal-deploy monitor-setup"
+    fi
+}
+
+check_domain() {
+    local domain="$1"
+    local state_file="$STATE_DIR/$domain"
+    local output
+    output=$(echo | timeout 20 openssl s_client -connect 127.0.0.1:443 -servername "$domain" -verify_hostname "$domain" -status 2>&1)
+
+    local enddate=$(echo "$output" | openssl x509 -noout -enddate 2>/dev/null | cut -d= -f2)
+    if [ -z "$enddate" ]; then
+        log_message "❌ $domain: no certificate served"
+        send_alert "$domain" critical "SSL $domain: no certificate served on port 443"
+        return 1
+    fi
+
+    local days=$(( ($(date -d "$enddate" +%s) - $(date +%s)) / 86400 ))
+    local problems=""
+    local verify=$(echo "$output" | sed -n 's/^ *Verify return code: \\([0-9]*\\) (\\(.*\\))/\\1 \\2/p' | tail -1)
+    case "$verify" in
+        "0 ok"|"") ;;
+        "21 "*|"20 "*|"2 "*) problems="Incomplete chain: the server does not send the intermediate certificate (serve fullchain.pem)" ;;
+        "62 "*) problems="Certificate does not cover this domain" ;;
+        "18 "*) problems="Certificate is self-signed" ;;
+        "10 "*) ;;
+        *) problems="Chain verification failed: \${verify#* }" ;;
+    esac
+    if echo "$output" | grep -q "Cert Status: revoked"; then
+        problems="\${problems:+$problems; }OCSP: certificate revoked"
+    elif echo "$output" | grep -q "OCSP Response Status:" && ! echo "$output" | grep -q "OCSP Response Status: successful"; then
+        problems="\${problems:+$problems; }OCSP: responder error"
+    fi
+
+    local threshold=""
+    for t in $THRESHOLDS; do
+        if [ "$days" -le "$t" ]; then
+            threshold="$t"
+        fi
+    done
+
+    local previous_enddate="" previous_threshold="" previous_problems=""
+    if [ -f "$state_file" ]; then
+        previous_enddate=$(sed -n 1p "$state_file")
+        previous_threshold=$(sed -n 2p "$state_file")
+        previous_problems=$(sed -n 3p "$state_file")
+    fi
+    [ "$previous_enddate" = "$enddate" ] || { previous_threshold=""; previous_problems=""; }
+
+    local message=""
+    if [ "$days" -lt 0 ]; then
+        [ "$previous_threshold" = "expired" ] || message="certificate EXPIRED $(( -days )) day(s) ago"
+        threshold="expired"
+    elif [ -n "$threshold" ] && { [ -z "$previous_threshold" ] || [ "$threshold" -lt "$previous_threshold" ]; }; then
+        message="certificate expires in $days day(s)"
+    else
+        threshold="\${previous_threshold:-$threshold}"
+    fi
+    if [ -n "$problems" ] && [ "$problems" != "$previous_problems" ]; then
+        message="\${message:+$message; }$problems"
+    fi
+
+    printf '%s\\n%s\\n%s\\n' "$enddate" "$threshold" "$problems" > "$state_file"
+    log_message "🔒 $domain: $days day(s) left\${problems:+, $problems}"
+    if [ -n "$message" ]; then
+        local severity=warning
+        if [ "$threshold" = "expired" ] || [ "$threshold" = "$CRITICAL_DAYS" ] || [[ "$problems" == *revoked* ]]; then
+            severity=critical
+        fi
+        send_alert "$domain" "$severity" "SSL $domain: $message"
+    fi
+}
+
+for domain in $DOMAINS; do
+    check_domain "$domain"
+done
+`;
+  }
+}
+
+module.exports = { SSLWatchService, DEFAULT_THRESHOLDS };
@@ -1,4 +1,6 @@
 const { logger } = require('./logger');
+const { nginxListenDirectives } = require('./ipv6');
+const { DNSRenewalHookService } = require('./dns-renewal-hooks');
 const chalk = require('chalk');
 
 class SSLService {
@@ -114,7 +116,7 @@ class SSLService {
     }
   }
 
-  async configureNginxSSL(host, domain, appPort, certificatePath, privateKeyPath, sshOptions = {}, dryRun = false) {
+  async configureNginxSSL(host, domain, appPort, certificatePath, privateKeyPath, sshOptions = {}, dryRun = false, options = {}) {
     if (dryRun) {
       logger.info(chalk.cyan(`[DRY RUN] Would configure Nginx SSL for ${domain}`));
       return { success: true };
@@ -127,7 +129,7 @@ class SSLService {
       logger.info(chalk.blue('🔐 Generating Diffie-Hellman parameters...'));
       await this.sshService.executeCommand(host, 'sudo openssl dhparam -out /etc/ssl/certs/dhparam.pem 2048', sshOptions);
       
-      const nginxConfig = this.generateNginxSSLConfig(domain, appPort, certificatePath, privateKeyPath);
+      const nginxConfig = this.generateNginxSSLConfig(domain, appPort, certificatePath, privateKeyPath, options);
       
       // Write nginx configuration
       const configPath = `/etc/nginx/sites-available/${domain}`;
@@ -153,16 +155,19 @@ class SSLService {
     }
   }
 
-  generateNginxSSLConfig(domain, appPort, certificatePath, privateKeyPath) {
+  /**
+   * @param {Object} options - { dualStack } to also listen on IPv6
+   */
+  generateNginxSSLConfig(domain, appPort, certificatePath, privateKeyPath, options = {}) {
     return `
 server {
-    listen 80;
+${nginxListenDirectives(80, '', options.dualStack)}
     server_name ${domain};
     return 301 https://$server_name$request_uri;
 }
 
 server {
-    listen 443 ssl http2;
+${nginxListenDirectives(443, 'ssl http2', options.dualStack)}
     server_name ${domain};
 
     ssl_certificate ${certificatePath};
@@ -227,7 +232,12 @@ server {
       await this.sshService.executeCommand(host, 'sudo openssl dhparam -out /etc/ssl/certs/dhparam.pem 2048', sshOptions);
 
       // Analyze existing certificates to determine renewal strategy
-      const certificateInfo = await this.analyzeCertificates(host, sshOptions);
+      let certificateInfo = await this.analyzeCertificates(host, sshOptions);
+
+      // Manual DNS-01 certificates renew on their own once the provider hooks are installed
+      if (certificateInfo.hasManualCertificates && DNSRenewalHookService.resolveProviderConfig(config)) {
+        certificateInfo = await this.enableHookRenewal(host, sshOptions, config, certificateInfo);
+      }
       
       if (certificateInfo.hasManualCertificates && certificateInfo.hasAutomaticCertificates) {
         logger.info(chalk.yellow('⚠️  Mixed certificate types detected (manual and automatic)'));
@@ -384,6 +394,30 @@ server {
     }
   }
 
+  /**
+   * Install the DNS-01 renewal hooks and switch the manual certificates over to them
+   */
+  async enableHookRenewal(host, sshOptions, config, certificateInfo) {
+    try {
+      const hookService = new DNSRenewalHookService(this.sshService);
+      await hookService.install(host, config, sshOptions);
+      const attached = await hookService.attachToCertificates(host, certificateInfo.manualCertificates, sshOptions);
+
+      const manualCertificates = certificateInfo.manualCertificates.filter(cert => !attached.includes(cert));
+      const automaticCertificates = [...certificateInfo.automaticCertificates, ...attached];
+      return {
+        ...certificateInfo,
+        manualCertificates,
+        automaticCertificates,
+        hasManualCertificates: manualCertificates.length > 0,
+        hasAutomaticCertificates: automaticCertificates.length > 0
+      };
+    } catch (error) {
+      logger.warn(chalk.yellow(`⚠️  Could not install DNS-01 renewal hooks: ${error.message}`));
+      return certificateInfo;
+    }
+  }
+
   /**
    * Analyze existing certificates to determine their challenge methods
    */
@@ -418,7 +452,11 @@ server {
             sshOptions
           );
           
-          if (configResult.stdout.includes('authenticator = manual') || 
+          // Manual certificates with an auth hook renew without a human
+          if (configResult.stdout.includes('manual_auth_hook')) {
+            certificateInfo.hasAutomaticCertificates = true;
+            certificateInfo.automaticCertificates.push(certName);
+          } else if (configResult.stdout.includes('authenticator = manual') || 
               configResult.stdout.includes('manual') ||
               configResult.stdout.includes('dns-01')) {
             certificateInfo.hasManualCertificates = true;
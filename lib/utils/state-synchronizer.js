@@ -2,12 +2,13 @@ const { Logger } = require('./logger');
 const fs = require('fs-extra');
 const path = require('path');
 const yaml = require('js-yaml');
+const { getStateFilePath } = require('./environment');
 
 class StateSynchronizer {
   constructor() {
     this.wizardConfigPath = path.join(process.cwd(), '.focal-deploy', 'config.json');
     this.yamlConfigPath = path.join(process.cwd(), 'focal-deploy.yml');
-    this.stateFilePath = path.join(process.cwd(), '.focal-deploy-state.json');
+    this.stateFilePath = getStateFilePath();
   }
 
   /**
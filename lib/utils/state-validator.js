@@ -8,6 +8,7 @@ const EC2Manager = require('../aws/ec2');
 const S3Manager = require('../aws/s3');
 const SecurityGroupManager = require('../aws/security-groups');
 const SSHKeyManager = require('../aws/ssh-keys');
+const { getAWSCredentials } = require('../aws/credential-provider');
 
 class StateValidator {
   constructor() {
@@ -166,16 +167,31 @@ class StateValidator {
     };
   }
 
+  /**
+   * AWS settings of the project in the current directory (keys, profile or
+   * role), or only the region outside a project
+   */
+  async loadAWSConfig(region) {
+    try {
+      const { ConfigLoader } = require('../config/loader');
+      const config = await new ConfigLoader().loadProjectConfig();
+      return { ...config.aws, region };
+    } catch (error) {
+      return { region };
+    }
+  }
+
   async validateAWSResources(state, stateFilePath) {
     const errors = [];
     
     try {
       // Initialize AWS managers
       const region = state.config?.region || 'us-east-1';
-      const ec2Manager = new EC2Manager(region);
-      const s3Manager = new S3Manager(region);
-      const sgManager = new SecurityGroupManager(region);
-      const sshManager = new SSHKeyManager(region);
+      const credentials = getAWSCredentials(await this.loadAWSConfig(region));
+      const ec2Manager = new EC2Manager(region, credentials);
+      const s3Manager = new S3Manager(region, credentials);
+      const sgManager = new SecurityGroupManager(region, credentials);
+      const sshManager = new SSHKeyManager(region, credentials);
       
       // Validate EC2 instance
       if (state.resources.ec2Instance?.instanceId) {
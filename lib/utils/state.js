@@ -1,10 +1,11 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('./logger');
+const { getStateFilePath } = require('./environment');
 
 class StateManager {
   constructor(stateFilePath = null) {
-    this.stateFilePath = stateFilePath || path.join(process.cwd(), '.focal-deploy-state.json');
+    this.stateFilePath = stateFilePath || getStateFilePath();
   }
 
   /**
@@ -378,6 +378,7 @@ pids
 
 # focal-deploy specific
 .focal-deploy-state.json
+.focal-deploy-state.*.json
 *.pem
 *.key
 
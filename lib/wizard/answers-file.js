@@ -0,0 +1,274 @@
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { FocalDeployError } = require('../utils/errors');
+const ConfigurationValidator = require('./configuration-validator');
+
+const ANSWERS_VERSION = 1;
+const SETUP_MODES = ['quick', 'advanced'];
+
+// Answer sections and the wizard step data each one replaces
+const SECTIONS = {
+  credentials: 'credentials',
+  project: 'projectConfig',
+  infrastructure: 'infrastructure',
+  dns: 'dnsConfig',
+  ssl: 'sslConfig',
+  security: 'security',
+  application: 'applicationConfig'
+};
+
+// Secrets are exported as environment variable references, never in clear text
+const SECRET_VARIABLES = {
+  aws: { accessKeyId: 'AWS_ACCESS_KEY_ID', secretAccessKey: 'AWS_SECRET_ACCESS_KEY', sessionToken: 'AWS_SESSION_TOKEN' },
+  github: { token: 'GITHUB_TOKEN' },
+  dns: { token: 'DNS_TOKEN', apiKey: 'DNS_API_KEY', apiSecret: 'DNS_API_SECRET', apiToken: 'DNS_API_TOKEN' }
+};
+
+// Fields the wizard derives while validating credentials
+const DERIVED_CREDENTIAL_FIELDS = ['validated', 'permissions', 'user', 'scopes', 'identity'];
+
+/**
+ * Answers File
+ * Feeds every wizard step from a file so "focal-deploy new" runs without prompts
+ * ("--answers"), and writes the answers of a wizard run ("--export-answers")
+ */
+class AnswersFile {
+  /**
+   * Load an answers file (YAML or JSON) and resolve ${VARIABLE} references
+   * @param {string} filePath - Answers file
+   * @param {Object} env - Environment for variable references
+   * @returns {Object} Answers
+   */
+  static async load(filePath, env = process.env) {
+    if (!await fs.pathExists(filePath)) {
+      throw new FocalDeployError(
+        `Answers file not found: ${filePath}`,
+        'Create one with "focal-deploy new <project-name> --export-answers answers.yml"',
+        'ANSWERS_NOT_FOUND'
+      );
+    }
+
+    let answers;
+    try {
+      answers = yaml.load(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new FocalDeployError(`Answers file ${filePath} is not valid YAML: ${error.message}`, '', 'ANSWERS_INVALID');
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      throw new FocalDeployError(`Answers file ${filePath} must contain a mapping of answers`, '', 'ANSWERS_INVALID');
+    }
+
+    const missing = [];
+    const resolved = AnswersFile.resolveVariables(answers, env, '', missing);
+    if (missing.length > 0) {
+      throw new FocalDeployError(
+        `Answers file ${filePath} references unset environment variables`,
+        '',
+        'ANSWERS_INVALID',
+        missing
+      );
+    }
+    return resolved;
+  }
+
+  /**
+   * Replace ${VARIABLE} references in every string value
+   */
+  static resolveVariables(value, env, location, missing) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (reference, name) => {
+        if (env[name] === undefined || env[name] === '') {
+          missing.push(`${location} references \${${name}}, which is not set`);
+          return reference;
+        }
+        return env[name];
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => AnswersFile.resolveVariables(item, env, `${location}[${index}]`, missing));
+    }
+    if (value && typeof value === 'object') {
+      const resolved = {};
+      for (const [key, item] of Object.entries(value)) {
+        resolved[key] = AnswersFile.resolveVariables(item, env, location ? `${location}.${key}` : key, missing);
+      }
+      return resolved;
+    }
+    return value;
+  }
+
+  /**
+   * Check that every step has its answers, then run ConfigurationValidator.validateAll.
+   * Throws with the full list of problems so nothing runs on an incomplete file.
+   * @param {Object} answers - Loaded answers
+   * @param {string} projectName - Project name from the command line (overrides answers.projectName)
+   * @returns {Object} { projectName, setupMode, warnings }
+   */
+  static async validate(answers, projectName) {
+    const errors = [];
+
+    if (answers.version !== ANSWERS_VERSION) {
+      errors.push(`version must be ${ANSWERS_VERSION} (found ${answers.version === undefined ? 'none' : answers.version})`);
+    }
+    if (!SETUP_MODES.includes(answers.setupMode)) {
+      errors.push(`setupMode must be one of ${SETUP_MODES.join(', ')}`);
+    }
+    const name = projectName || answers.projectName;
+    if (!name) {
+      errors.push('projectName is required (or pass the project name on the command line)');
+    }
+
+    for (const section of Object.keys(SECTIONS)) {
+      const value = answers[section];
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${section} is required`);
+      }
+    }
+
+    const credentials = answers.credentials || {};
+    if (!credentials.aws) {
+      errors.push('credentials.aws is required');
+    }
+    if (!credentials.github) {
+      errors.push('credentials.github is required (use "enabled: false" for local Git only)');
+    }
+    if (!credentials.dns) {
+      errors.push('credentials.dns is required (use "enabled: false" for manual DNS)');
+    }
+    if (answers.application && !answers.application.deploymentType) {
+      errors.push('application.deploymentType is required (git or manual)');
+    }
+
+    const stepData = AnswersFile.toStepData(answers, name);
+    const validator = new ConfigurationValidator();
+    const validation = await validator.validateAll({
+      credentials: stepData.credentials,
+      project: AnswersFile.projectView(stepData.projectConfig),
+      infrastructure: stepData.infrastructure,
+      security: stepData.security
+    });
+    errors.push(...validation.errors.filter(error => !errors.includes(error)));
+
+    if (errors.length > 0) {
+      throw new FocalDeployError(
+        `Answers file is incomplete or invalid (${errors.length} problem(s))`,
+        '',
+        'ANSWERS_INVALID',
+        errors
+      );
+    }
+
+    return { projectName: name, setupMode: answers.setupMode, warnings: validation.warnings };
+  }
+
+  /**
+   * The project fields ConfigurationValidator checks, from the project step data
+   */
+  static projectView(projectConfig) {
+    if (!projectConfig) {
+      return undefined;
+    }
+    return {
+      name: projectConfig.projectName,
+      type: projectConfig.application?.type,
+      domains: projectConfig.domains
+    };
+  }
+
+  /**
+   * Wizard step data for the answers. Credentials for the DNS and application
+   * steps are attached here, as the interactive steps do.
+   */
+  static toStepData(answers, projectName) {
+    const normalize = credentials => {
+      if (!credentials) {
+        return undefined;
+      }
+      const enabled = credentials.enabled !== false && (credentials.provider !== 'manual');
+      return { ...credentials, enabled };
+    };
+    const credentials = answers.credentials ? {
+      aws: answers.credentials.aws,
+      github: normalize(answers.credentials.github),
+      dns: normalize(answers.credentials.dns)
+    } : undefined;
+
+    const stepData = {
+      credentials,
+      projectConfig: answers.project ? {
+        projectName,
+        timestamp: new Date().toISOString(),
+        ...answers.project
+      } : undefined,
+      infrastructure: answers.infrastructure,
+      dnsConfig: answers.dns ? { ...answers.dns } : undefined,
+      sslConfig: answers.ssl,
+      security: answers.security,
+      applicationConfig: answers.application ? { ...answers.application } : undefined
+    };
+
+    if (stepData.projectConfig?.domains) {
+      stepData.projectConfig.domainConfig = stepData.projectConfig.domains;
+    }
+    if (stepData.dnsConfig?.enabled && credentials?.dns) {
+      stepData.dnsConfig.credentials = credentials.dns;
+    }
+    if (stepData.applicationConfig?.deploymentType === 'git' && credentials?.github?.enabled) {
+      stepData.applicationConfig.credentials = credentials.github;
+    }
+    return stepData;
+  }
+
+  /**
+   * Answers for the step data of a wizard run, with secrets as variable references
+   */
+  static fromStepData(stepData, { projectName, setupMode }) {
+    const credentials = {};
+    for (const service of ['aws', 'github', 'dns']) {
+      const source = stepData.credentials?.[service];
+      if (!source || (service !== 'aws' && source.enabled === false)) {
+        credentials[service] = source?.provider === 'manual' ? { provider: 'manual', enabled: false } : { enabled: false };
+        continue;
+      }
+      const exported = {};
+      for (const [key, value] of Object.entries(source)) {
+        if (DERIVED_CREDENTIAL_FIELDS.includes(key) || key === 'enabled') {
+          continue;
+        }
+        exported[key] = SECRET_VARIABLES[service][key] ? `\${${SECRET_VARIABLES[service][key]}}` : value;
+      }
+      credentials[service] = exported;
+    }
+
+    const { projectName: omittedName, timestamp, domainConfig, ...project } = stepData.projectConfig || {};
+    const { credentials: omittedDNS, ...dns } = stepData.dnsConfig || {};
+    const { credentials: omittedGitHub, ...application } = stepData.applicationConfig || {};
+
+    return {
+      version: ANSWERS_VERSION,
+      projectName,
+      setupMode,
+      credentials,
+      project,
+      infrastructure: stepData.infrastructure || {},
+      dns,
+      ssl: stepData.sslConfig || {},
+      security: stepData.security || {},
+      application
+    };
+  }
+
+  /**
+   * Write answers as YAML; secrets are references, so the file can be shared
+   */
+  static async save(filePath, answers) {
+    const variables = [...new Set(JSON.stringify(answers.credentials).match(/\$\{[A-Z_]+\}/g) || [])];
+    const header = [
+      '# focal-deploy answers file: run "focal-deploy new --answers <file>" to repeat this setup without prompts.',
+      variables.length > 0 ? `# Set these environment variables first: ${variables.map(variable => variable.slice(2, -1)).join(', ')}` : null
+    ].filter(Boolean).join('\n');
+    await fs.writeFile(filePath, `${header}\n${yaml.dump(answers, { noRefs: true, lineWidth: 120 })}`);
+  }
+}
+
+module.exports = AnswersFile;
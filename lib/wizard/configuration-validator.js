@@ -75,10 +75,11 @@ class ConfigurationValidator {
 
     // AWS credentials validation
     if (credentials.aws) {
-      if (!credentials.aws.accessKeyId) {
+      // A profile from ~/.aws/config replaces the keys
+      if (!credentials.aws.profile && !credentials.aws.accessKeyId) {
         errors.push('AWS Access Key ID is required');
       }
-      if (!credentials.aws.secretAccessKey) {
+      if (!credentials.aws.profile && !credentials.aws.secretAccessKey) {
         errors.push('AWS Secret Access Key is required');
       }
       if (!credentials.aws.region) {
@@ -107,6 +108,11 @@ class ConfigurationValidator {
               errors.push('GoDaddy API key and secret are required');
             }
             break;
+          case 'namecheap':
+            if (!credentials.dns.username || !credentials.dns.apiKey || !credentials.dns.clientIp) {
+              errors.push('Namecheap username, API key and whitelisted client IP are required');
+            }
+            break;
         }
       }
     }
@@ -3,6 +3,8 @@ const inquirer = require('inquirer');
 const ora = require('ora');
 const keytar = require('keytar');
 const { Logger } = require('../utils/logger');
+const CredentialManager = require('../utils/credentials');
+const { getAWSCredentials, isCredentialSourceError } = require('../aws/credential-provider');
 
 /**
  * Credential Collector - Securely collects and validates API credentials
@@ -52,6 +54,73 @@ class CredentialCollector {
     return credentials;
   }
 
+  /**
+   * Validate and store credentials from an answers file without prompting.
+   * Fails on the first invalid credential instead of offering a retry.
+   * @param {Object} answers - { aws, github, dns } step data from the answers file
+   * @returns {Object} Credentials in the same shape as collectAllCredentials
+   */
+  async useAnswers(answers) {
+    const credentials = {};
+    const aws = answers.aws.profile
+      ? { profile: answers.aws.profile, region: answers.aws.region }
+      : { accessKeyId: answers.aws.accessKeyId, secretAccessKey: answers.aws.secretAccessKey, region: answers.aws.region };
+    for (const field of ['roleArn', 'mfaSerial']) {
+      if (answers.aws[field]) {
+        aws[field] = answers.aws[field];
+      }
+    }
+
+    const spinner = this.logger.spinner('Validating AWS credentials...').start();
+    const awsValidation = await this.validateAWSCredentialsDetailed(aws);
+    if (!awsValidation.valid) {
+      spinner.fail('AWS credentials validation failed');
+      throw new Error(`AWS credentials from the answers file are invalid: ${awsValidation.error}`);
+    }
+    spinner.succeed('AWS credentials validated successfully');
+    if (aws.accessKeyId) {
+      await this.storeCredentials(this.getServiceKey('aws'), aws);
+    }
+    credentials.aws = { ...aws, validated: true, permissions: awsValidation.permissions };
+
+    if (answers.github?.enabled) {
+      const githubValidation = await this.validateGitHubCredentialsDetailed({ token: answers.github.token });
+      if (!githubValidation.valid) {
+        throw new Error(`GitHub token from the answers file is invalid: ${githubValidation.error}`);
+      }
+      console.log(chalk.green(`✓ Authenticated to GitHub as: ${githubValidation.user.login}`));
+      await this.storeCredentials(this.getServiceKey('github'), { token: answers.github.token });
+      await this.recordCredentials('github', { token: answers.github.token });
+      credentials.github = {
+        token: answers.github.token,
+        validated: true,
+        user: githubValidation.user,
+        scopes: githubValidation.scopes,
+        enabled: true
+      };
+    } else {
+      credentials.github = { enabled: false, validated: true };
+    }
+
+    if (answers.dns?.enabled) {
+      const { provider, enabled, ...dnsCredentials } = answers.dns;
+      const dnsValidation = await this.validateDNSCredentialsDetailed(provider, dnsCredentials);
+      if (!dnsValidation.valid) {
+        throw new Error(`${provider} credentials from the answers file are invalid: ${dnsValidation.error}`);
+      }
+      console.log(chalk.green(`✓ ${provider} credentials validated successfully`));
+      await this.storeCredentials(this.getServiceKey(`dns-${provider}`), dnsCredentials);
+      await this.recordCredentials(`dns-${provider}`, dnsCredentials);
+      credentials.dns = { provider, ...dnsCredentials, validated: true, enabled: true };
+    } else {
+      credentials.dns = answers.dns?.provider === 'manual'
+        ? { provider: 'manual', enabled: false, validated: true }
+        : { enabled: false, validated: true };
+    }
+
+    return credentials;
+  }
+
   /**
    * Collect AWS credentials with real-time validation
    */
@@ -157,6 +226,23 @@ class CredentialCollector {
       }
     ];
 
+    const { authMethod } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'authMethod',
+        message: 'How should focal-deploy sign in to AWS?',
+        choices: [
+          { name: '🔑 Access key ID and secret access key', value: 'keys', short: 'Access keys' },
+          { name: '👤 AWS profile from ~/.aws/config (SSO, assume-role)', value: 'profile', short: 'AWS profile' }
+        ],
+        default: process.env.AWS_PROFILE ? 'profile' : 'keys'
+      }
+    ]);
+
+    if (authMethod === 'profile') {
+      return await this.collectAWSProfile(awsQuestions.find(question => question.name === 'region'));
+    }
+
     let awsCredentials;
     let validationAttempts = 0;
     const maxValidationAttempts = 3;
@@ -216,6 +302,85 @@ class CredentialCollector {
     }
   }
 
+  /**
+   * Use a named profile from ~/.aws/config, optionally to assume another role.
+   * Nothing secret is stored: the profile name goes into the project
+   * configuration and the AWS CLI keeps the SSO session or keys.
+   */
+  async collectAWSProfile(regionQuestion) {
+    let validationAttempts = 0;
+    const maxValidationAttempts = 3;
+
+    while (validationAttempts < maxValidationAttempts) {
+      const answers = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'profile',
+          message: 'AWS profile name:',
+          default: process.env.AWS_PROFILE || 'default',
+          validate: (input) => input.trim().length > 0 || 'Profile name is required'
+        },
+        {
+          type: 'input',
+          name: 'roleArn',
+          message: 'IAM role to assume (optional):',
+          validate: (input) => !input.trim() || /^arn:aws[a-z-]*:iam::\d{12}:role\/.+$/.test(input.trim()) ||
+            'Enter a role ARN like arn:aws:iam::123456789012:role/deploy'
+        },
+        {
+          type: 'input',
+          name: 'mfaSerial',
+          message: 'MFA device ARN (optional):',
+          when: (current) => Boolean(current.roleArn.trim())
+        },
+        regionQuestion
+      ]);
+
+      const awsCredentials = { profile: answers.profile.trim(), region: answers.region };
+      if (answers.roleArn?.trim()) {
+        awsCredentials.roleArn = answers.roleArn.trim();
+      }
+      if (answers.mfaSerial?.trim()) {
+        awsCredentials.mfaSerial = answers.mfaSerial.trim();
+      }
+
+      // No spinner: SSO and MFA prompts may appear while the profile is resolved
+      console.log(chalk.gray(`Validating AWS profile "${awsCredentials.profile}"...`));
+      const validation = await this.validateAWSCredentialsDetailed(awsCredentials);
+
+      if (validation.valid) {
+        console.log(chalk.green(`✓ Signed in as ${validation.identity.arn}`));
+        return { ...awsCredentials, validated: true, permissions: validation.permissions };
+      }
+
+      validationAttempts++;
+      console.log(chalk.red(`\n❌ Validation Error: ${validation.error}`));
+      if (validation.suggestions?.length > 0) {
+        console.log(chalk.yellow('\n💡 Suggestions:'));
+        validation.suggestions.forEach(suggestion => {
+          console.log(chalk.white(`  • ${suggestion}`));
+        });
+      }
+
+      if (validationAttempts >= maxValidationAttempts) {
+        throw new Error(`AWS validation failed after ${maxValidationAttempts} attempts: ${validation.error}`);
+      }
+
+      const { retry } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'retry',
+          message: `Try again? (${maxValidationAttempts - validationAttempts} attempts remaining)`,
+          default: true
+        }
+      ]);
+
+      if (!retry) {
+        throw new Error('AWS credential collection cancelled by user');
+      }
+    }
+  }
+
   /**
    * Collect GitHub credentials with real-time validation
    */
@@ -369,6 +534,7 @@ class CredentialCollector {
         
         // Store credentials securely
         await this.storeCredentials(this.getServiceKey('github'), githubCredentials);
+        await this.recordCredentials('github', githubCredentials);
         
         return { 
           ...githubCredentials, 
@@ -441,6 +607,7 @@ class CredentialCollector {
           { name: 'DigitalOcean', value: 'digitalocean' },
           { name: 'Cloudflare', value: 'cloudflare' },
           { name: 'Route 53 (AWS)', value: 'route53' },
+          { name: 'Namecheap', value: 'namecheap' },
           { name: 'Other/Manual', value: 'manual' }
         ]
       }
@@ -512,6 +679,7 @@ class CredentialCollector {
         
         // Store credentials securely
         await this.storeCredentials(this.getServiceKey(`dns-${provider}`), dnsCredentials);
+        await this.recordCredentials(`dns-${provider}`, dnsCredentials);
         
         return { 
           provider, 
@@ -611,6 +779,31 @@ class CredentialCollector {
         console.log(chalk.yellow('💡 Route 53 will use your AWS credentials'));
         return { useAWSCredentials: true };
 
+      case 'namecheap':
+        console.log(chalk.yellow('💡 Enable API access at: https://ap.www.namecheap.com/settings/tools/apiaccess/'));
+        questions.push(
+          {
+            type: 'input',
+            name: 'username',
+            message: 'Namecheap Username:',
+            validate: (input) => input.length > 0 || 'Username is required'
+          },
+          {
+            type: 'password',
+            name: 'apiKey',
+            message: 'Namecheap API Key:',
+            mask: '*',
+            validate: (input) => input.length > 0 || 'API Key is required'
+          },
+          {
+            type: 'input',
+            name: 'clientIp',
+            message: 'Whitelisted client IP:',
+            validate: (input) => input.length > 0 || 'Client IP is required'
+          }
+        );
+        break;
+
       default:
         throw new Error(`Unsupported DNS provider: ${provider}`);
     }
@@ -732,6 +925,58 @@ class CredentialCollector {
         console.log(chalk.yellow('💡 Route 53 will use your AWS credentials'));
         return { useAWSCredentials: true };
 
+      case 'namecheap':
+        console.log(chalk.yellow('💡 Enable API access at: https://ap.www.namecheap.com/settings/tools/apiaccess/'));
+        console.log(chalk.gray('   API calls are only accepted from IPs whitelisted on that page'));
+        questions.push(
+          {
+            type: 'input',
+            name: 'username',
+            message: 'Namecheap Username:',
+            validate: async (input) => {
+              if (!input || input.length === 0) {
+                return 'Username is required';
+              }
+              return true;
+            }
+          },
+          {
+            type: 'password',
+            name: 'apiKey',
+            message: 'Namecheap API Key:',
+            mask: '*',
+            validate: async (input) => {
+              if (!input || input.length === 0) {
+                return 'API Key is required';
+              }
+
+              // Real-time format validation for Namecheap API keys
+              if (!/^[a-f0-9]{32}$/i.test(input)) {
+                return 'Invalid Namecheap API Key format (should be 32 hex characters)';
+              }
+
+              return true;
+            }
+          },
+          {
+            type: 'input',
+            name: 'clientIp',
+            message: 'Whitelisted client IP (your public IPv4 address):',
+            validate: async (input) => {
+              if (!input || input.length === 0) {
+                return 'Client IP is required';
+              }
+
+              if (!/^(\d{1,3}\.){3}\d{1,3}$/.test(input)) {
+                return 'Invalid IPv4 address';
+              }
+
+              return true;
+            }
+          }
+        );
+        break;
+
       default:
         throw new Error(`Unsupported DNS provider: ${provider}`);
     }
@@ -749,10 +994,7 @@ class CredentialCollector {
 
       const stsClient = new STSClient({
         region: credentials.region,
-        credentials: {
-          accessKeyId: credentials.accessKeyId,
-          secretAccessKey: credentials.secretAccessKey
-        }
+        credentials: getAWSCredentials(credentials)
       });
 
       // Test credentials with STS
@@ -761,10 +1003,7 @@ class CredentialCollector {
       // Test EC2 permissions
       const ec2Client = new EC2Client({
         region: credentials.region,
-        credentials: {
-          accessKeyId: credentials.accessKeyId,
-          secretAccessKey: credentials.secretAccessKey
-        }
+        credentials: getAWSCredentials(credentials)
       });
 
       await ec2Client.send(new DescribeRegionsCommand({}));
@@ -796,10 +1035,7 @@ class CredentialCollector {
 
       const stsClient = new STSClient({
         region: credentials.region,
-        credentials: {
-          accessKeyId: credentials.accessKeyId,
-          secretAccessKey: credentials.secretAccessKey
-        }
+        credentials: getAWSCredentials(credentials)
       });
 
       // Test credentials with STS
@@ -808,10 +1044,7 @@ class CredentialCollector {
       // Test EC2 permissions
       const ec2Client = new EC2Client({
         region: credentials.region,
-        credentials: {
-          accessKeyId: credentials.accessKeyId,
-          secretAccessKey: credentials.secretAccessKey
-        }
+        credentials: getAWSCredentials(credentials)
       });
 
       await ec2Client.send(new DescribeRegionsCommand({}));
@@ -821,10 +1054,7 @@ class CredentialCollector {
       try {
         const iamClient = new IAMClient({
           region: credentials.region,
-          credentials: {
-            accessKeyId: credentials.accessKeyId,
-            secretAccessKey: credentials.secretAccessKey
-          }
+          credentials: getAWSCredentials(credentials)
         });
         
         const userName = identity.Arn.split('/').pop();
@@ -847,7 +1077,9 @@ class CredentialCollector {
       const suggestions = [];
       let errorMessage = error.message;
 
-      if (error.name === 'InvalidUserID.NotFound') {
+      if (isCredentialSourceError(error)) {
+        suggestions.push(...[error.suggestion, ...error.suggestions].filter(Boolean));
+      } else if (error.name === 'InvalidUserID.NotFound') {
         errorMessage = 'Invalid AWS Access Key ID';
         suggestions.push('Verify your Access Key ID is correct');
         suggestions.push('Check if the key is active in AWS IAM console');
@@ -988,6 +1220,8 @@ class CredentialCollector {
           return await this.validateCloudflareCredentials(credentials);
         case 'route53':
           return { valid: true }; // Uses AWS credentials
+        case 'namecheap':
+          return await this.validateNamecheapCredentials(credentials);
         default:
           return { valid: false, error: 'Unsupported provider' };
       }
@@ -1017,6 +1251,8 @@ class CredentialCollector {
             valid: true, 
             info: 'Route 53 will use AWS credentials'
           };
+        case 'namecheap':
+          return await this.validateNamecheapCredentialsDetailed(credentials);
         default:
           throw new Error(`Unsupported DNS provider: ${provider}`);
       }
@@ -1203,6 +1439,45 @@ class CredentialCollector {
     }
   }
 
+  /**
+   * Validate Namecheap credentials with detailed feedback
+   */
+  async validateNamecheapCredentialsDetailed(credentials) {
+    const { createDNSProvider } = require('../dns');
+    const provider = createDNSProvider({ name: 'namecheap', credentials });
+    const result = await provider.verifyCredentials();
+
+    if (result.valid) {
+      return {
+        valid: true,
+        info: `Connected to Namecheap account ${credentials.username} with ${result.domains} domains`
+      };
+    }
+
+    const suggestions = [];
+    let errorMessage = result.error;
+
+    // Namecheap reports failures as numbered <Error> elements
+    if (result.code === '1011150') {
+      errorMessage = `Client IP ${credentials.clientIp} is not whitelisted for Namecheap API access`;
+      suggestions.push('Add the IP under Profile → Tools → Namecheap API Access → Whitelisted IPs');
+      suggestions.push('Make sure it is the public IP of the machine running focal-deploy');
+    } else if (result.code === '1011102' || result.code === '1010102' || result.code === '1010104') {
+      errorMessage = 'Invalid Namecheap API key or username';
+      suggestions.push('Verify your username and API key are correct');
+      suggestions.push('Check that API access is enabled for your account');
+    } else {
+      suggestions.push('Check your internet connection');
+      suggestions.push('Verify API access is enabled and your IP is whitelisted');
+    }
+
+    return {
+      valid: false,
+      error: errorMessage,
+      suggestions
+    };
+  }
+
   /**
    * Validate GoDaddy credentials
    */
@@ -1266,6 +1541,14 @@ class CredentialCollector {
     }
   }
 
+  /**
+   * Validate Namecheap credentials
+   */
+  async validateNamecheapCredentials(credentials) {
+    const { createDNSProvider } = require('../dns');
+    return await createDNSProvider({ name: 'namecheap', credentials }).verifyCredentials();
+  }
+
   /**
    * Store credentials securely
    */
@@ -1279,6 +1562,18 @@ class CredentialCollector {
     }
   }
 
+  /**
+   * Record GitHub and DNS tokens in the project credentials file, which
+   * "credentials status" and "credentials rotate" work from
+   */
+  async recordCredentials(service, credentials) {
+    try {
+      await new CredentialManager(this.projectName).saveServiceCredentials(service, credentials);
+    } catch (error) {
+      this.logger.warning(`Failed to record ${service} credentials: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieve stored credentials
    */
@@ -7,6 +7,8 @@ const { ApplicationDeploymentService } = require('../services/application-deploy
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const { CONFIG_VERSION } = require('../config/schema');
+const { environmentFileName } = require('../utils/environment');
 
 class DeploymentExecutor {
   constructor() {
@@ -44,14 +46,20 @@ class DeploymentExecutor {
     return `${sanitizedName}-sg-${timestamp}`;
   }
 
+  /**
+   * Resume state file of the active environment
+   */
+  getDeploymentStatePath(projectPath) {
+    return path.join(projectPath, '.focal-deploy', 'deployment', environmentFileName('deployment-state.json'));
+  }
+
   /**
    * Save deployment state to disk for resume functionality
    */
   async saveDeploymentState(projectPath, state) {
-    const stateDir = path.join(projectPath, '.focal-deploy', 'deployment');
-    await fs.ensureDir(stateDir);
+    const statePath = this.getDeploymentStatePath(projectPath);
+    await fs.ensureDir(path.dirname(statePath));
     
-    const statePath = path.join(stateDir, 'deployment-state.json');
     await fs.writeJson(statePath, {
       ...state,
       lastUpdated: new Date().toISOString()
@@ -64,7 +72,7 @@ class DeploymentExecutor {
    * Load deployment state from disk
    */
   async loadDeploymentState(projectPath) {
-    const statePath = path.join(projectPath, '.focal-deploy', 'deployment', 'deployment-state.json');
+    const statePath = this.getDeploymentStatePath(projectPath);
     
     if (await fs.pathExists(statePath)) {
       const state = await fs.readJson(statePath);
@@ -79,7 +87,7 @@ class DeploymentExecutor {
    * Clear deployment state after successful completion
    */
   async clearDeploymentState(projectPath) {
-    const statePath = path.join(projectPath, '.focal-deploy', 'deployment', 'deployment-state.json');
+    const statePath = this.getDeploymentStatePath(projectPath);
     
     if (await fs.pathExists(statePath)) {
       await fs.remove(statePath);
@@ -470,6 +478,7 @@ class DeploymentExecutor {
       ec2Instance: {
         instanceId: instanceId,
         publicIpAddress: publicIp,
+        ...(infrastructureResult?.ipv6Address ? { ipv6Address: infrastructureResult.ipv6Address } : {}),
         instanceType: config.infrastructure?.instanceType
       }
     };
@@ -487,6 +496,7 @@ class DeploymentExecutor {
     await fs.ensureDir(configDir);
     
     const config = {
+      configVersion: CONFIG_VERSION,
       project: {
         name: stepData.project?.name || 'focal-deploy-project',
         description: stepData.project?.description || 'Project deployed with focal-deploy'
@@ -494,7 +504,10 @@ class DeploymentExecutor {
       aws: {
         region: stepData.infrastructure?.region || 'us-east-1',
         accessKeyId: stepData.credentials?.aws?.accessKeyId,
-        secretAccessKey: stepData.credentials?.aws?.secretAccessKey
+        secretAccessKey: stepData.credentials?.aws?.secretAccessKey,
+        profile: stepData.credentials?.aws?.profile,
+        roleArn: stepData.credentials?.aws?.roleArn,
+        mfaSerial: stepData.credentials?.aws?.mfaSerial
       },
       infrastructure: {
         instanceType: stepData.infrastructure?.instanceType || stepData.infrastructure?.instance?.instanceType || 't3.micro',
@@ -596,6 +609,7 @@ class DeploymentExecutor {
         ...savedConfig.infrastructure,
         ec2Instance: {
           publicIpAddress: publicIp,
+          ipv6Address: infrastructureResult?.ipv6Address || savedConfig.infrastructure?.ec2Instance?.ipv6Address || null,
           instanceId: instanceId,
           instanceType: savedConfig.infrastructure?.instanceType
         }
@@ -30,7 +30,7 @@ class ProjectConfigurator {
     config.application = await this.configureApplication(setupMode);
     
     // Domain configuration
-    config.domains = await this.configureDomains(credentials.dns, setupMode);
+    config.domains = await this.configureDomains(credentials.dns, setupMode, credentials.aws);
     
     // Repository configuration
     config.repository = await this.configureRepository(projectName, credentials.github, setupMode);
@@ -600,8 +600,9 @@ class ProjectConfigurator {
 
   /**
    * Configure domain settings
+   * @param {Object} awsCredentials - Used to list Route53 hosted zones
    */
-  async configureDomains(dnsCredentials, setupMode = 'advanced') {
+  async configureDomains(dnsCredentials, setupMode = 'advanced', awsCredentials = null) {
     console.log(chalk.bold.cyan('\n🌐 Domain Configuration'));
     console.log();
 
@@ -666,14 +667,20 @@ class ProjectConfigurator {
             }
             break;
             
-          case 'route53':
-            // Route53 requires AWS SDK for proper authentication
-            console.log(chalk.yellow('⚠️  Route53 domain listing requires AWS SDK integration (not implemented in this version)'));
+          case 'route53': {
+            const { createDNSProvider } = require('../dns');
+            const provider = createDNSProvider({ name: 'route53', credentials: awsCredentials || {} });
+            const zones = await provider.listZones();
+            availableDomains = zones.map(zone => ({ name: zone.name }));
             break;
+          }
             
           case 'namecheap':
-            // Namecheap API has complex authentication requirements
-            console.log(chalk.yellow('⚠️  Namecheap domain listing requires additional API setup (not implemented in this version)'));
+            if (dnsCredentials.username && dnsCredentials.apiKey && dnsCredentials.clientIp) {
+              const { createDNSProvider } = require('../dns');
+              const provider = createDNSProvider({ name: 'namecheap', credentials: dnsCredentials });
+              availableDomains = (await provider.listZones()).map(zone => ({ name: zone.name }));
+            }
             break;
             
           default:
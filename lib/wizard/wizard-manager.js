@@ -10,6 +10,7 @@ const CredentialCollector = require('./credential-collector');
 const ProjectConfigurator = require('./project-configurator');
 const TemplateEngine = require('./template-engine');
 const EmergencyAccessManager = require('./emergency-access');
+const AnswersFile = require('./answers-file');
 
 /**
  * Wizard Manager - Orchestrates the complete setup wizard flow
@@ -38,6 +39,10 @@ class WizardManager {
     this.initialProjectName = projectName;
     this.initialTargetPath = targetPath;
     this.initialOptions = options;
+
+    // Answers file mode: every step is fed from validated answers and nothing prompts
+    this.answers = null;
+    this.exportAnswersPath = options.exportAnswers || null;
     
     // Initialize components - pass project name for project-specific credential storage
     this.credentialCollector = new CredentialCollector(projectName);
@@ -47,6 +52,13 @@ class WizardManager {
     this.repoTracker = new GitHubRepoTracker();
   }
 
+  /**
+   * Run every step from an answers file (already checked with AnswersFile.validate)
+   */
+  useAnswers(answers) {
+    this.answers = answers;
+  }
+
   /**
    * Start the wizard - main entry point
    */
@@ -165,6 +177,13 @@ class WizardManager {
    * Show welcome screen
    */
   async showWelcome() {
+    if (this.answers) {
+      this.wizardState.setupMode = this.answers.setupMode;
+      this.logger.info(`🧙 Running the ${this.answers.setupMode === 'quick' ? 'Quick' : 'Advanced'} Setup from the answers file (no prompts)`);
+      this.logger.info(`📁 Location: ${chalk.gray(this.wizardState.projectPath)}`);
+      return;
+    }
+
     console.clear();
     
     // ASCII Art Logo
@@ -290,6 +309,12 @@ class WizardManager {
             throw new Error(`Unknown wizard step: ${stepName}`);
         }
       } catch (error) {
+        // Without a terminal to ask, there is no retry or recovery menu
+        if (this.answers) {
+          this.logger.error(`Step ${stepName} failed: ${error.message}`);
+          throw error;
+        }
+
         attempt++;
         this.logger.error(`Step ${stepName} failed (attempt ${attempt}/${maxRetries}): ${error.message}`);
         
@@ -597,13 +622,39 @@ class WizardManager {
    * Collect and validate credentials
    */
   async collectCredentials() {
+    if (this.answers) {
+      this.stepData.credentials = await this.credentialCollector.useAnswers(this.answerStepData().credentials);
+      return;
+    }
     this.stepData.credentials = await this.credentialCollector.collectAllCredentials();
   }
 
+  /**
+   * Step data from the answers file, with the credentials validated in the credentials step
+   */
+  answerStepData() {
+    const stepData = AnswersFile.toStepData(this.answers, this.wizardState.projectName);
+    if (this.stepData.credentials) {
+      stepData.credentials = this.stepData.credentials;
+      if (stepData.dnsConfig?.credentials) {
+        stepData.dnsConfig.credentials = this.stepData.credentials.dns;
+      }
+      if (stepData.applicationConfig?.credentials) {
+        stepData.applicationConfig.credentials = this.stepData.credentials.github;
+      }
+    }
+    return stepData;
+  }
+
   /**
    * Configure project settings
    */
   async configureProject() {
+    if (this.answers) {
+      this.stepData.projectConfig = this.answerStepData().projectConfig;
+      return;
+    }
+
     this.stepData.projectConfig = await this.projectConfigurator.configure(
       this.wizardState.projectName,
       this.stepData.credentials,
@@ -620,6 +671,11 @@ class WizardManager {
    * Configure infrastructure settings
    */
   async configureInfrastructure() {
+    if (this.answers) {
+      this.stepData.infrastructure = this.answerStepData().infrastructure;
+      return;
+    }
+
     const InfrastructureConfigurator = require('./infrastructure-configurator');
     const configurator = new InfrastructureConfigurator();
     
@@ -633,6 +689,11 @@ class WizardManager {
    * Configure security settings
    */
   async configureSecurity() {
+    if (this.answers) {
+      this.stepData.security = this.answerStepData().security;
+      return;
+    }
+
     const SecurityConfigurator = require('./security-configurator');
     const configurator = new SecurityConfigurator();
     
@@ -655,6 +716,15 @@ class WizardManager {
     }
     
     this.stepData.validation = validation;
+
+    if (this.exportAnswersPath) {
+      const answers = AnswersFile.fromStepData(this.stepData, {
+        projectName: this.wizardState.projectName,
+        setupMode: this.wizardState.setupMode
+      });
+      await AnswersFile.save(this.exportAnswersPath, answers);
+      this.logger.success(`Answers written to ${this.exportAnswersPath} (secrets as environment variable references)`);
+    }
   }
 
   /**
@@ -791,6 +861,11 @@ class WizardManager {
    * Configure DNS settings
    */
   async configureDNS() {
+    if (this.answers) {
+      this.stepData.dnsConfig = this.answerStepData().dnsConfig;
+      return;
+    }
+
     console.log(chalk.bold.cyan('\n🌐 DNS Configuration'));
     console.log(chalk.gray('Configure domains and DNS provider settings'));
     console.log();
@@ -833,7 +908,8 @@ class WizardManager {
     const projectConfigurator = new ProjectConfigurator();
     const domainConfig = await projectConfigurator.configureDomains(
       this.stepData.credentials.dns, 
-      this.wizardState.setupMode
+      this.wizardState.setupMode,
+      this.stepData.credentials.aws
     );
 
     // If domain configuration was successful, use it
@@ -917,6 +993,11 @@ class WizardManager {
    * Configure SSL settings
    */
   async configureSSL() {
+    if (this.answers) {
+      this.stepData.sslConfig = this.answerStepData().sslConfig;
+      return;
+    }
+
     console.log(chalk.bold.cyan('\n🔒 SSL Certificate Configuration'));
     console.log(chalk.gray('Configure SSL certificates and Let\'s Encrypt settings'));
     console.log();
@@ -1022,6 +1103,11 @@ class WizardManager {
    * Configure application settings
    */
   async configureApplication() {
+    if (this.answers) {
+      this.stepData.applicationConfig = this.answerStepData().applicationConfig;
+      return;
+    }
+
     console.log(chalk.bold.cyan('\n🚀 Application Configuration'));
     console.log(chalk.gray('Configure Git repository and application deployment settings'));
     console.log();
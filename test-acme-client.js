@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the built-in ACME client
+ * Issues certificates against a local Pebble-style ACME stub, with an
+ * in-memory SSH server and DNS provider answering the challenges
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const forge = require('node-forge');
+const { ACMEClient } = require('./lib/acme/client');
+const { ACMESSLService, ACME_WEBROOT } = require('./lib/utils/acme-ssl');
+const { EnhancedSSLService } = require('./lib/utils/enhanced-ssl');
+const { DNSProviderAdapter } = require('./lib/dns/base-provider');
+
+const CHALLENGE_DIR = `${ACME_WEBROOT}/.well-known/acme-challenge`;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function createCA() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: 'Stub ACME CA' }]);
+  cert.setIssuer(cert.subject.attributes);
+  cert.sign(key, forge.md.sha256.create());
+  return { key, cert, pem: forge.pki.certificateToPem(cert) };
+}
+
+/**
+ * Pebble-style ACME server: verifies JWS signatures and nonces, and validates
+ * challenges by asking the test's fake SSH server and DNS provider
+ */
+async function startACMEStub({ readHTTPChallenge, readTXTRecords }) {
+  const ca = createCA();
+  const nonces = new Set();
+  const accounts = [];
+  const orders = [];
+  const authorizations = [];
+  const certificates = [];
+  const stats = { badNonceSent: 0, orders: 0 };
+  let failNextNonce = true;
+  let baseUrl;
+
+  const newNonce = () => {
+    const nonce = base64url(crypto.randomBytes(16));
+    nonces.add(nonce);
+    return nonce;
+  };
+  const thumbprint = (jwk) => base64url(crypto.createHash('sha256').update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y })).digest());
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Replay-Nonce': newNonce(), 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+  const problem = (res, status, type, detail) => send(res, status, { type: `urn:ietf:params:acme:error:${type}`, detail }, { 'Content-Type': 'application/problem+json' });
+
+  const verifyJWS = (req, body) => {
+    const jws = JSON.parse(body);
+    const header = JSON.parse(Buffer.from(jws.protected, 'base64').toString());
+    if (header.url !== `${baseUrl}${req.url}`) {
+      return { error: ['unauthorized', `url mismatch: ${header.url}`] };
+    }
+    if (!nonces.delete(header.nonce)) {
+      return { error: ['badNonce', 'unknown nonce'] };
+    }
+    const account = header.kid ? accounts.find(candidate => candidate.url === header.kid) : null;
+    const jwk = header.jwk || account?.jwk;
+    if (!jwk || (req.url !== '/new-account' && !account)) {
+      return { error: ['accountDoesNotExist', 'unknown account'] };
+    }
+    const valid = crypto.verify('sha256', Buffer.from(`${jws.protected}.${jws.payload}`), {
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      dsaEncoding: 'ieee-p1363'
+    }, Buffer.from(jws.signature, 'base64'));
+    if (!valid) {
+      return { error: ['malformed', 'bad signature'] };
+    }
+    return { jwk, account, payload: jws.payload ? JSON.parse(Buffer.from(jws.payload, 'base64').toString()) : null };
+  };
+
+  const validate = async (authz, challenge, account) => {
+    const keyAuthorization = `${challenge.token}.${thumbprint(account.jwk)}`;
+    let ok;
+    if (challenge.type === 'http-01') {
+      ok = (await readHTTPChallenge(authz.identifier.value, challenge.token)) === keyAuthorization;
+    } else {
+      const expected = base64url(crypto.createHash('sha256').update(keyAuthorization).digest());
+      ok = (await readTXTRecords(`_acme-challenge.${authz.identifier.value}`)).includes(expected);
+    }
+    challenge.status = ok ? 'valid' : 'invalid';
+    authz.status = challenge.status;
+    if (!ok) {
+      challenge.error = { type: 'urn:ietf:params:acme:error:unauthorized', detail: `Incorrect validation for ${authz.identifier.value}` };
+    }
+    const order = orders.find(candidate => candidate.authorizations.includes(authz.url));
+    if (order.authorizations.every(url => authorizations.find(candidate => candidate.url === url).status === 'valid')) {
+      order.status = 'ready';
+    } else if (!ok) {
+      order.status = 'invalid';
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      if (req.method === 'GET' && req.url === '/dir') {
+        return send(res, 200, {
+          newNonce: `${baseUrl}/new-nonce`,
+          newAccount: `${baseUrl}/new-account`,
+          newOrder: `${baseUrl}/new-order`,
+          meta: { termsOfService: `${baseUrl}/terms` }
+        });
+      }
+      if (req.method === 'HEAD' && req.url === '/new-nonce') {
+        res.writeHead(200, { 'Replay-Nonce': newNonce() });
+        return res.end();
+      }
+      if (req.method !== 'POST' || req.headers['content-type'] !== 'application/jose+json') {
+        return problem(res, 405, 'malformed', 'expected a JWS POST');
+      }
+
+      const jws = verifyJWS(req, body);
+      if (jws.error) {
+        return problem(res, jws.error[0] === 'badNonce' ? 400 : 403, ...jws.error);
+      }
+      const { payload, account } = jws;
+
+      if (req.url === '/new-account') {
+        const existing = accounts.find(candidate => thumbprint(candidate.jwk) === thumbprint(jws.jwk));
+        if (existing) {
+          return send(res, 200, { status: 'valid', contact: existing.contact }, { Location: existing.url });
+        }
+        if (!payload.termsOfServiceAgreed) {
+          return problem(res, 403, 'userActionRequired', 'terms of service must be agreed');
+        }
+        const created = { url: `${baseUrl}/acct/${accounts.length + 1}`, jwk: jws.jwk, contact: payload.contact };
+        accounts.push(created);
+        return send(res, 201, { status: 'valid', contact: created.contact }, { Location: created.url });
+      }
+
+      if (req.url === '/new-order') {
+        // Pebble rejects nonces at random; make sure the client retries
+        if (failNextNonce) {
+          failNextNonce = false;
+          stats.badNonceSent++;
+          return problem(res, 400, 'badNonce', 'stale nonce');
+        }
+        stats.orders++;
+        const id = orders.length + 1;
+        const order = {
+          id,
+          status: 'pending',
+          identifiers: payload.identifiers,
+          authorizations: [],
+          finalize: `${baseUrl}/finalize/${id}`,
+          url: `${baseUrl}/order/${id}`
+        };
+        for (const identifier of payload.identifiers) {
+          const wildcard = identifier.value.startsWith('*.');
+          const authzId = authorizations.length + 1;
+          const types = wildcard ? ['dns-01'] : ['http-01', 'dns-01'];
+          authorizations.push({
+            url: `${baseUrl}/authz/${authzId}`,
+            status: 'pending',
+            identifier: { type: 'dns', value: identifier.value.replace(/^\*\./, '') },
+            wildcard,
+            challenges: types.map((type, index) => ({
+              type,
+              url: `${baseUrl}/chall/${authzId}-${index}`,
+              token: base64url(crypto.randomBytes(24)),
+              status: 'pending'
+            }))
+          });
+          order.authorizations.push(`${baseUrl}/authz/${authzId}`);
+        }
+        orders.push(order);
+        return send(res, 201, order, { Location: order.url });
+      }
+
+      let match = req.url.match(/^\/authz\/(\d+)$/);
+      if (match) {
+        const { url, ...authz } = authorizations[match[1] - 1];
+        return send(res, 200, authz);
+      }
+
+      match = req.url.match(/^\/chall\/(\d+)-(\d+)$/);
+      if (match) {
+        const authz = authorizations[match[1] - 1];
+        const challenge = authz.challenges[match[2]];
+        challenge.status = 'processing';
+        setTimeout(() => validate(authz, challenge, account), 20);
+        return send(res, 200, challenge);
+      }
+
+      match = req.url.match(/^\/order\/(\d+)$/);
+      if (match) {
+        return send(res, 200, orders[match[1] - 1]);
+      }
+
+      match = req.url.match(/^\/finalize\/(\d+)$/);
+      if (match) {
+        const order = orders[match[1] - 1];
+        if (order.status !== 'ready') {
+          return problem(res, 403, 'orderNotReady', `order is ${order.status}`);
+        }
+        const der = Buffer.from(payload.csr, 'base64').toString('binary');
+        const csr = forge.pki.certificationRequestFromAsn1(forge.asn1.fromDer(der));
+        const altNames = csr.getAttribute({ name: 'extensionRequest' }).extensions
+          .find(extension => extension.name === 'subjectAltName').altNames.map(name => name.value);
+        if (!csr.verify() || altNames.sort().join() !== order.identifiers.map(identifier => identifier.value).sort().join()) {
+          return problem(res, 400, 'badCSR', 'CSR does not match the order');
+        }
+
+        const cert = forge.pki.createCertificate();
+        cert.publicKey = csr.publicKey;
+        cert.serialNumber = String(certificates.length + 10);
+        cert.validity.notBefore = new Date();
+        cert.validity.notAfter = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+        cert.setSubject(csr.subject.attributes);
+        cert.setIssuer(ca.cert.subject.attributes);
+        cert.setExtensions([{ name: 'subjectAltName', altNames: altNames.map(value => ({ type: 2, value })) }]);
+        cert.sign(ca.key, forge.md.sha256.create());
+        certificates.push(forge.pki.certificateToPem(cert) + ca.pem);
+
+        order.status = 'processing';
+        order.certificate = `${baseUrl}/cert/${certificates.length}`;
+        setTimeout(() => { order.status = 'valid'; }, 20);
+        return send(res, 200, order);
+      }
+
+      match = req.url.match(/^\/cert\/(\d+)$/);
+      if (match) {
+        if (req.headers.accept !== 'application/pem-certificate-chain') {
+          return problem(res, 406, 'malformed', 'unsupported Accept header');
+        }
+        return send(res, 200, certificates[match[1] - 1], { 'Content-Type': 'application/pem-certificate-chain' });
+      }
+
+      return problem(res, 404, 'malformed', `unknown resource ${req.url}`);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return { server, directoryUrl: `${baseUrl}/dir`, accounts, stats, caPem: ca.pem };
+}
+
+/**
+ * SSH service backed by an in-memory file system: understands the tee/rm/install
+ * commands the ACME service sends and serves the webroot like nginx would
+ */
+function createFakeSSH() {
+  const files = {};
+  const staged = {};
+  const modes = {};
+  const commands = [];
+  return {
+    files,
+    modes,
+    commands,
+    async executeCommand(host, command) {
+      commands.push(command);
+      let match = command.match(/^printf '%s' '([^']+)' \| sudo tee (\S+) > \/dev\/null/);
+      if (match) {
+        files[match[2]] = match[1];
+      } else if ((match = command.match(/^sudo tee (\S+) > \/dev\/null << 'EOF'\n([\s\S]*)\nEOF$/))) {
+        files[match[1]] = match[2];
+      } else if (command.startsWith('sudo rm -f ')) {
+        command.replace(/ && .*/, '').split(' ').slice(3).forEach(file => delete files[file]);
+      } else if (command.includes('grep -rqs')) {
+        return { code: 0, stdout: 'no\n', stderr: '' };
+      }
+      for (const install of command.matchAll(/sudo install -m (\d+) -o root -g root ~\/(\S+) (\S+)/g)) {
+        files[install[3]] = staged[install[2]];
+        modes[install[3]] = install[1];
+      }
+      return { code: 0, stdout: '', stderr: '' };
+    },
+    async writeFile(host, remotePath, content) {
+      staged[remotePath] = content;
+    }
+  };
+}
+
+class MemoryDNSProvider extends DNSProviderAdapter {
+  constructor() {
+    super({}, {});
+    this.records = [];
+  }
+
+  static get displayName() {
+    return 'Memory DNS';
+  }
+
+  async verifyCredentials() {
+    return { valid: true };
+  }
+
+  async listZones() {
+    return [{ id: 'example.com', name: 'example.com' }];
+  }
+
+  async listRecords() {
+    return this.records;
+  }
+
+  async createRecord(zoneName, record) {
+    const created = { ...record, id: String(this.records.length + 1) };
+    this.records.push(created);
+    return created;
+  }
+
+  async updateRecord(zoneName, record) {
+    return record;
+  }
+
+  async deleteRecord(zoneName, record) {
+    this.records = this.records.filter(existing => existing.id !== record.id);
+  }
+}
+
+function createService(ssh, dns) {
+  const service = new ACMESSLService(ssh);
+  service.createDNSManager = () => ({ provider: dns, providerConfig: { name: 'memory', options: { propagationTimeout: 0 } } });
+  return service;
+}
+
+async function testACMEClient() {
+  const originalCwd = process.cwd();
+  const originalHome = process.env.HOME;
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-acme-'));
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-acme-home-'));
+  const ssh = createFakeSSH();
+  const dns = new MemoryDNSProvider();
+  const stub = await startACMEStub({
+    readHTTPChallenge: async (domain, token) => (domain === 'broken.example.com' ? null : ssh.files[`${CHALLENGE_DIR}/${token}`]),
+    readTXTRecords: async (fqdn) => dns.records
+      .filter(record => record.type === 'TXT' && `${record.name}.example.com` === fqdn)
+      .map(record => record.data)
+  });
+
+  try {
+    console.log(chalk.blue('🧪 Testing the built-in ACME client...'));
+    process.chdir(projectDir);
+    process.env.HOME = home;
+
+    const config = { ssl: { client: 'builtin', acmeDirectory: stub.directoryUrl } };
+    const domainConfigs = [
+      { domain: 'example.com', challengeMethod: 'http-01' },
+      { domain: '*.example.com', challengeMethod: 'dns-01' }
+    ];
+
+    // Test 1: mixed HTTP-01 and DNS-01 order is validated, finalized and uploaded
+    const result = await createService(ssh, dns).issueCertificate('203.0.113.10', domainConfigs, 'admin@example.com', {}, config);
+    const directory = '/etc/ssl/focal-deploy/example.com';
+    if (result.certificatePath !== `${directory}/fullchain.pem` || result.privateKeyPath !== `${directory}/privkey.pem` ||
+        result.challengeMethod !== 'dns-01') {
+      throw new Error(`Unexpected result: ${JSON.stringify(result)}`);
+    }
+    const fullchain = ssh.files[`${directory}/fullchain.pem`];
+    const leaf = forge.pki.certificateFromPem(ssh.files[`${directory}/cert.pem`]);
+    const sans = leaf.getExtension('subjectAltName').altNames.map(name => name.value).sort();
+    if ((fullchain.match(/BEGIN CERTIFICATE/g) || []).length !== 2 || ssh.files[`${directory}/chain.pem`].trim() !== stub.caPem.trim() ||
+        sans.join() !== '*.example.com,example.com') {
+      throw new Error('Issued certificate chain is incomplete');
+    }
+    const privateKey = crypto.createPrivateKey(ssh.files[`${directory}/privkey.pem`]);
+    if (crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }) !==
+        crypto.createPublicKey(forge.pki.certificateToPem(leaf)).export({ type: 'spki', format: 'pem' })) {
+      throw new Error('Private key does not match the certificate');
+    }
+    if (ssh.modes[`${directory}/privkey.pem`] !== '600' || ssh.modes[`${directory}/fullchain.pem`] !== '644') {
+      throw new Error(`Unexpected file modes: ${JSON.stringify(ssh.modes)}`);
+    }
+    console.log(chalk.green('✅ Certificate issued for HTTP-01 and DNS-01 domains and uploaded'));
+
+    // Test 2: challenge responses and the temporary nginx block are removed again
+    const leftovers = Object.keys(ssh.files).filter(file => file.startsWith(CHALLENGE_DIR) || file.startsWith('/etc/nginx/'));
+    if (leftovers.length !== 0 || dns.records.length !== 0) {
+      throw new Error(`Challenge responses left behind: ${leftovers.join(', ')} ${JSON.stringify(dns.records)}`);
+    }
+    if (!ssh.commands.some(command => command.includes('focal-deploy-acme.conf') && command.includes('location /.well-known/acme-challenge/')) ||
+        ssh.commands.some(command => command.includes('BEGIN PRIVATE KEY'))) {
+      throw new Error('Expected a temporary nginx block, and no private key in SSH commands');
+    }
+    console.log(chalk.green('✅ Challenge responses cleaned up'));
+
+    // Test 3: the account is saved privately outside the project and reused; badNonce is retried
+    const accountFile = path.join(home, '.focal-deploy', 'acme-accounts.json');
+    const saved = await fs.readJson(accountFile);
+    if (!saved[stub.directoryUrl]?.url || ((await fs.stat(accountFile)).mode & 0o777) !== 0o600 ||
+        await fs.pathExists(path.join(projectDir, '.focal-deploy', 'acme-accounts.json'))) {
+      throw new Error('Account was not saved privately');
+    }
+    // An account saved in the project by an earlier version is moved, not registered again
+    await fs.outputJson(path.join(projectDir, '.focal-deploy', 'acme-accounts.json'), saved);
+    await fs.remove(accountFile);
+    await createService(ssh, dns).issueCertificate('203.0.113.10', [{ domain: 'www.example.com', challengeMethod: 'http-01' }], 'admin@example.com', {}, config);
+    if (stub.accounts.length !== 1 || stub.stats.badNonceSent !== 1 || stub.stats.orders !== 2) {
+      throw new Error(`Unexpected account reuse: ${JSON.stringify(stub.stats)} accounts=${stub.accounts.length}`);
+    }
+    if (!(await fs.pathExists(accountFile)) || await fs.pathExists(path.join(projectDir, '.focal-deploy', 'acme-accounts.json'))) {
+      throw new Error('The project account file should be moved to the home directory');
+    }
+    console.log(chalk.green('✅ Account reused and stale nonce retried'));
+
+    // Test 4: failed validation is reported and still cleaned up
+    try {
+      await createService(ssh, dns).issueCertificate('203.0.113.10', [{ domain: 'broken.example.com', challengeMethod: 'http-01' }], 'admin@example.com', {}, config);
+      throw new Error('Issuance should fail when validation fails');
+    } catch (error) {
+      if (!error.message.includes('authorization for broken.example.com is invalid') || !error.message.includes('Incorrect validation')) {
+        throw error;
+      }
+    }
+    if (Object.keys(ssh.files).some(file => file.startsWith(CHALLENGE_DIR))) {
+      throw new Error('Challenge file left behind after a failed validation');
+    }
+    console.log(chalk.green('✅ Failed validation reported'));
+
+    // Test 5: ssl with client: builtin skips certbot, and nginx serves the challenge webroot
+    const enhanced = new EnhancedSSLService(ssh);
+    const dryRun = await enhanced.generateSANCertificate('203.0.113.10', domainConfigs, 'admin@example.com', {}, true, config);
+    const nginx = enhanced.generateMultiDomainNginxSSLConfig(domainConfigs, 3000, dryRun.certificatePath, dryRun.privateKeyPath);
+    if (dryRun.method !== 'acme' || dryRun.privateKeyPath !== `${directory}/privkey.pem` ||
+        !nginx.includes(`root ${ACME_WEBROOT};`) || !nginx.includes(`ssl_certificate ${directory}/fullchain.pem;`)) {
+      throw new Error('ssl does not route to the built-in client');
+    }
+    const client = new ACMEClient({ directoryUrl: stub.directoryUrl });
+    if (client.keyAuthorization('token').split('.')[1] !== client.thumbprint || client.dnsChallengeValue('token').length !== 43) {
+      throw new Error('Unexpected key authorization');
+    }
+    console.log(chalk.green('✅ ssl uses the built-in client when configured'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    stub.server.close();
+    process.chdir(originalCwd);
+    process.env.HOME = originalHome;
+    await fs.remove(projectDir);
+    await fs.remove(home);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testACMEClient();
+}
+
+module.exports = { testACMEClient };
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the monitoring alert dispatcher
+ * Delivers alerts to a local HTTP sink (generic and Slack-compatible webhooks)
+ * and a local SMTP sink, and checks dedupe, rate limiting and the server scripts
+ */
+
+const chalk = require('chalk');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const { AlertDispatcher, buildAlertConfig, evaluate, EVALUATED_KEYS } = require('./lib/monitoring/alert-dispatcher');
+const { MonitoringService } = require('./lib/utils/monitoring');
+
+const MINUTE = 60 * 1000;
+
+function startHTTPSink() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.statusCode = req.url === '/broken' ? 500 : 200;
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}` })));
+}
+
+/**
+ * Minimal SMTP server: EHLO, AUTH PLAIN, MAIL, RCPT, DATA, QUIT
+ */
+function startSMTPSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    const session = { auth: null, from: null, to: [] };
+    socket.write('220 sink ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...session, data: data.join('\r\n') });
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (line.startsWith('EHLO')) {
+          socket.write('250-sink\r\n250-8BITMIME\r\n250 AUTH PLAIN\r\n');
+        } else if (line.startsWith('AUTH PLAIN ')) {
+          session.auth = Buffer.from(line.slice(11), 'base64').toString().split('\0').slice(1);
+          socket.write(session.auth[1] === 'secret' ? '235 ok\r\n' : '535 bad credentials\r\n');
+        } else if (line.startsWith('MAIL FROM:')) {
+          session.from = line.slice(10);
+          socket.write('250 ok\r\n');
+        } else if (line.startsWith('RCPT TO:')) {
+          session.to.push(line.slice(8));
+          socket.write('250 ok\r\n');
+        } else if (line === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('502 unknown\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port })));
+}
+
+function decodeMessage(data) {
+  const [headers, body] = data.split('\r\n\r\n');
+  const subject = headers.match(/^Subject: (.*)$/m)[1];
+  const decodedSubject = subject.replace(/=\?UTF-8\?B\?(.*)\?=/, (match, encoded) => Buffer.from(encoded, 'base64').toString());
+  return { subject: decodedSubject, body: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString() };
+}
+
+async function testAlertDispatcher() {
+  console.log(chalk.blue('🧪 Testing the alert dispatcher...\n'));
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-deploy-alerts-'));
+  const httpSink = await startHTTPSink();
+  const smtpSink = await startSMTPSink();
+
+  try {
+    const config = {
+      projectName: 'demo',
+      alerts: {
+        cpu: 70,
+        webhook: `${httpSink.url}/hook`,
+        slack: `${httpSink.url}/slack`,
+        email: 'ops@example.test, oncall@example.test',
+        smtp: { host: '127.0.0.1', port: smtpSink.port, username: 'alerts', password: 'secret', from: 'alerts@example.test', allowInsecureAuth: true },
+        rateLimit: { max: 3 }
+      }
+    };
+    const alertConfig = buildAlertConfig(config);
+
+    // Test 1: thresholds and health check failures
+    const alerts = evaluate(alertConfig, { cpu: '75.5', memory: '40.0', disk: '91', service: 'failed', http: '000' });
+    if (alerts.map(alert => alert.key).join() !== 'cpu,disk,service,health' ||
+        alerts[0].message !== 'High CPU usage: 75.5% (threshold 70%)' || alerts[3].message !== 'Health check failed: HTTP no response' ||
+        alerts[2].severity !== 'critical' || evaluate(alertConfig, { cpu: '12', memory: '20', disk: '30', service: 'active', http: '200' }).length !== 0) {
+      throw new Error(`Unexpected evaluation: ${JSON.stringify(alerts)}`);
+    }
+    if (alertConfig.rateLimit.minutes !== 60 || alertConfig.dedupeMinutes !== 60 || alertConfig.notifications.smtp.secure !== false) {
+      throw new Error('Defaults missing from the alert config');
+    }
+    console.log(chalk.green('✅ Thresholds and health check failures evaluated'));
+
+    // Test 2: delivery to the generic webhook, Slack-compatible webhook and SMTP
+    let now = new Date('2026-01-01T10:00:00Z');
+    const stateFile = path.join(workDir, 'alert-state.json');
+    const dispatcher = new AlertDispatcher(alertConfig, { stateFile, hostname: 'web-1', now: () => now });
+    const cpu = alerts[0];
+    let outcomes = await dispatcher.dispatch([cpu], EVALUATED_KEYS);
+    if (outcomes[0].status !== 'sent' || outcomes[0].results.length !== 3 || !outcomes[0].results.every(result => result.ok)) {
+      throw new Error(`Delivery failed: ${JSON.stringify(outcomes)}`);
+    }
+    const webhook = httpSink.received.find(item => item.path === '/hook').body;
+    const slack = httpSink.received.find(item => item.path === '/slack').body;
+    if (webhook.text !== '[demo] High CPU usage: 75.5% (threshold 70%)' || webhook.key !== 'cpu' || webhook.host !== 'web-1' || webhook.severity !== 'warning' ||
+        slack.text !== webhook.text || slack.attachments[0].color !== 'warning') {
+      throw new Error(`Unexpected webhook payloads: ${JSON.stringify(httpSink.received)}`);
+    }
+    const mail = smtpSink.messages[0];
+    const { subject, body } = decodeMessage(mail.data);
+    if (mail.auth.join() !== 'alerts,secret' || mail.from !== '<alerts@example.test>' || mail.to.join() !== '<ops@example.test>,<oncall@example.test>' ||
+        subject !== '[demo] WARNING: High CPU usage: 75.5% (threshold 70%)' || !body.includes('Host: web-1')) {
+      throw new Error(`Unexpected e-mail: ${JSON.stringify(mail)}`);
+    }
+    console.log(chalk.green('✅ Alerts delivered to webhook, Slack and SMTP'));
+
+    // Test 3: dedupe per key, escalation, reminders and recovery notices
+    now = new Date(now.getTime() + 5 * MINUTE);
+    outcomes = await dispatcher.dispatch([{ ...cpu, message: 'High CPU usage: 80% (threshold 70%)' }], EVALUATED_KEYS);
+    if (outcomes[0].status !== 'deduplicated') {
+      throw new Error('Repeated alert not deduplicated');
+    }
+    outcomes = await dispatcher.dispatch([{ ...cpu, severity: 'critical' }], EVALUATED_KEYS);
+    if (outcomes[0].status !== 'sent') {
+      throw new Error('Escalation not sent');
+    }
+    now = new Date(now.getTime() + 61 * MINUTE);
+    outcomes = await dispatcher.dispatch([{ ...cpu, severity: 'critical' }], EVALUATED_KEYS);
+    if (outcomes[0].status !== 'sent') {
+      throw new Error('Reminder not sent after the dedupe window');
+    }
+    outcomes = await dispatcher.dispatch([], EVALUATED_KEYS);
+    if (outcomes.length !== 1 || outcomes[0].alert.severity !== 'resolved' || !outcomes[0].alert.message.startsWith('Resolved: High CPU usage') ||
+        httpSink.received[httpSink.received.length - 1].body.attachments[0].color !== 'good' || (await dispatcher.dispatch([], EVALUATED_KEYS)).length !== 0) {
+      throw new Error(`Recovery not reported once: ${JSON.stringify(outcomes)}`);
+    }
+    console.log(chalk.green('✅ Alerts deduplicated, escalated and resolved'));
+
+    // Test 4: rate limit, with the suppressed count in the next alert
+    now = new Date(now.getTime() + 120 * MINUTE);
+    outcomes = await dispatcher.dispatch(alerts, EVALUATED_KEYS);
+    if (outcomes.map(outcome => outcome.status).join() !== 'sent,sent,sent,rate-limited') {
+      throw new Error(`Rate limit not applied: ${outcomes.map(outcome => outcome.status)}`);
+    }
+    now = new Date(now.getTime() + 61 * MINUTE);
+    outcomes = await dispatcher.dispatch([alerts[3]], []);
+    const latest = httpSink.received.filter(item => item.path === '/hook').pop().body;
+    if (outcomes[0].status !== 'sent' || latest.suppressed !== 1 || !latest.text.endsWith('(1 earlier alert(s) suppressed by the rate limit)')) {
+      throw new Error('Suppressed alerts not reported');
+    }
+    console.log(chalk.green('✅ Alerts rate limited'));
+
+    // Test 5: failures are reported per channel; no password over plaintext without allowInsecureAuth
+    const broken = new AlertDispatcher(buildAlertConfig({
+      projectName: 'demo',
+      alerts: { webhook: `${httpSink.url}/broken`, email: 'ops@example.test', smtp: { host: '127.0.0.1', port: smtpSink.port, username: 'alerts', password: 'secret' } }
+    }));
+    const results = await broken.deliver({ key: 'test', severity: 'info', message: 'Test' });
+    if (results[0].ok || results[0].error !== 'HTTP 500' || results[1].ok || !results[1].error.includes('refusing to send the SMTP password')) {
+      throw new Error(`Unexpected failure results: ${JSON.stringify(results)}`);
+    }
+    console.log(chalk.green('✅ Delivery failures reported per channel'));
+
+    // Test 6: the server copy runs from alert-config.json next to it
+    const serverDir = path.join(workDir, 'server');
+    await fs.ensureDir(serverDir);
+    await fs.copy(path.join(__dirname, 'lib', 'monitoring', 'alert-dispatcher.js'), path.join(serverDir, 'alert-dispatcher.js'));
+    await fs.writeJson(path.join(serverDir, 'alert-config.json'), alertConfig);
+    const run = args => util.promisify(execFile)('node', [path.join(serverDir, 'alert-dispatcher.js'), ...args]);
+    const before = httpSink.received.length;
+    const evaluated = await run(['evaluate', '--cpu', '12', '--memory', '20', '--disk', '95', '--service', 'active', '--http', '200']);
+    const repeated = await run(['evaluate', '--cpu', '12', '--memory', '20', '--disk', '96', '--service', 'active', '--http', '200']);
+    const test = JSON.parse((await run(['test'])).stdout);
+    if (!/ALERT warning disk: High disk usage: 95% .* -> sent: webhook ok, slack ok, email ok/.test(evaluated.stdout) ||
+        !repeated.stdout.includes('-> deduplicated') || !(await fs.pathExists(path.join(serverDir, 'alert-state.json'))) ||
+        test.channels.join() !== 'webhook,slack,email' || !test.results.every(result => result.ok) || httpSink.received.length !== before + 4) {
+      throw new Error(`Unexpected dispatcher output: ${evaluated.stdout} ${repeated.stdout} ${JSON.stringify(test)}`);
+    }
+    console.log(chalk.green('✅ Server dispatcher evaluates, dedupes and sends test alerts'));
+
+    // Test 7: monitor-setup installs the dispatcher and the health check calls it
+    const monitoring = new MonitoringService();
+    const commands = [];
+    const files = {};
+    monitoring.sshService = {
+      writeFile: async (host, file, content) => { files[file] = content; },
+      executeCommand: async (host, command) => {
+        commands.push(command);
+        return { code: 0, stdout: command.includes(' test') ? JSON.stringify(test) : '', stderr: '' };
+      }
+    };
+    await monitoring.setupBasicAlerting('203.0.113.10', config, { sshOptions: { operatingSystem: 'ubuntu' } });
+    const uploaded = JSON.parse(files['/home/ubuntu/demo/alert-config.json']);
+    if (uploaded.notifications.smtp.password !== 'secret' || !commands.includes('touch /home/ubuntu/demo/alert-config.json && chmod 600 /home/ubuntu/demo/alert-config.json') ||
+        !files['/home/ubuntu/demo/alert-dispatcher.js']?.includes('class AlertDispatcher')) {
+      throw new Error('Alerting not installed');
+    }
+    const scriptFile = path.join(workDir, 'health-check.sh');
+    await fs.writeFile(scriptFile, monitoring.generateHealthCheckScript(config));
+    await util.promisify(execFile)('bash', ['-n', scriptFile]);
+    const script = await fs.readFile(scriptFile, 'utf8');
+    if (!script.includes('node "$ALERT_DISPATCHER" evaluate "$@"') || !script.includes('--service "${SERVICE_STATUS:-unknown}" --http "${HTTP_STATUS:-000}"') ||
+        script.includes('Future: Send')) {
+      throw new Error('Health check does not use the dispatcher');
+    }
+    const remote = await monitoring.sendTestAlert('203.0.113.10', config, { sshOptions: {} });
+    if (remote.results.length !== 3) {
+      throw new Error('Remote test alert not parsed');
+    }
+    console.log(chalk.green('✅ Health check routes alerts through the dispatcher'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    httpSink.server.close();
+    smtpSink.server.close();
+    await fs.remove(workDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testAlertDispatcher();
+}
+
+module.exports = { testAlertDispatcher };
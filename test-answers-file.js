@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for non-interactive "new --answers" files
+ * Covers loading with environment references, validation before anything runs,
+ * and exporting the answers of a wizard run without secrets
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AnswersFile = require('./lib/wizard/answers-file');
+
+const ANSWERS = `
+version: 1
+projectName: my-app
+setupMode: quick
+credentials:
+  aws:
+    accessKeyId: \${AWS_ACCESS_KEY_ID}
+    secretAccessKey: \${AWS_SECRET_ACCESS_KEY}
+    region: us-east-1
+  github:
+    token: \${GITHUB_TOKEN}
+  dns:
+    enabled: false
+project:
+  application:
+    type: nodejs
+  domains:
+    enabled: false
+infrastructure:
+  region: us-east-1
+  instance:
+    instanceType: t3.small
+dns:
+  enabled: false
+ssl:
+  enabled: false
+security:
+  ssh:
+    keyPairName: my-app-key
+application:
+  deploymentType: git
+  repository: https://github.com/example/my-app.git
+`;
+
+const ENV = {
+  AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE',
+  AWS_SECRET_ACCESS_KEY: 'secret-value',
+  GITHUB_TOKEN: 'ghp_example'
+};
+
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code}, but nothing was thrown`);
+}
+
+async function testAnswersFile() {
+  console.log(chalk.blue('🧪 Testing answers files...\n'));
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-answers-'));
+
+  try {
+    const file = path.join(dir, 'answers.yml');
+    await fs.writeFile(file, ANSWERS);
+
+    // Test 1: ${VAR} references are resolved, and unset ones are all reported
+    const answers = await AnswersFile.load(file, ENV);
+    if (answers.credentials.aws.secretAccessKey !== 'secret-value' || answers.credentials.github.token !== 'ghp_example') {
+      throw new Error(`References not resolved: ${JSON.stringify(answers.credentials)}`);
+    }
+    const unset = await expectError(AnswersFile.load(file, { AWS_ACCESS_KEY_ID: 'AKIAEXAMPLE' }), 'ANSWERS_INVALID');
+    if (unset.suggestions.length !== 2 || !unset.suggestions[0].includes('credentials.aws.secretAccessKey') || !unset.suggestions[1].includes('${GITHUB_TOKEN}')) {
+      throw new Error(`Unexpected missing variables: ${JSON.stringify(unset.suggestions)}`);
+    }
+    await expectError(AnswersFile.load(path.join(dir, 'missing.yml'), ENV), 'ANSWERS_NOT_FOUND');
+    console.log(chalk.green('✅ Environment references resolved, unset ones reported'));
+
+    // Test 2: a complete file passes validation
+    const validated = await AnswersFile.validate(answers, undefined);
+    if (validated.projectName !== 'my-app' || validated.setupMode !== 'quick') {
+      throw new Error(`Unexpected validation result: ${JSON.stringify(validated)}`);
+    }
+    const overridden = await AnswersFile.validate(answers, 'other-app');
+    if (overridden.projectName !== 'other-app') {
+      throw new Error('Command line project name should win');
+    }
+    console.log(chalk.green('✅ Complete answers file validated'));
+
+    // Test 3: missing answers fail fast with every problem listed
+    const incomplete = JSON.parse(JSON.stringify(answers));
+    delete incomplete.ssl;
+    delete incomplete.credentials.dns;
+    delete incomplete.security.ssh.keyPairName;
+    incomplete.infrastructure.instance = {};
+    incomplete.setupMode = 'expert';
+    const invalid = await expectError(AnswersFile.validate(incomplete, undefined), 'ANSWERS_INVALID');
+    const expected = [
+      'setupMode must be one of quick, advanced',
+      'ssl is required',
+      'credentials.dns is required (use "enabled: false" for manual DNS)',
+      'EC2 instance type is required',
+      'SSH key pair name is required'
+    ];
+    const missing = expected.filter(problem => !invalid.suggestions.includes(problem));
+    if (missing.length > 0) {
+      throw new Error(`Problems not reported: ${missing.join(', ')} (got ${JSON.stringify(invalid.suggestions)})`);
+    }
+    console.log(chalk.green('✅ Incomplete answers rejected with every problem'));
+
+    // Test 4: step data gets credentials attached the way the wizard steps do
+    const stepData = AnswersFile.toStepData(answers, 'my-app');
+    if (stepData.credentials.dns.enabled !== false || stepData.credentials.github.enabled !== true ||
+        stepData.applicationConfig.credentials.token !== 'ghp_example' || stepData.dnsConfig.credentials ||
+        stepData.projectConfig.projectName !== 'my-app') {
+      throw new Error(`Unexpected step data: ${JSON.stringify(stepData)}`);
+    }
+    console.log(chalk.green('✅ Answers converted to wizard step data'));
+
+    // Test 5: exported answers keep secrets out and load back
+    stepData.credentials.aws.validated = true;
+    stepData.credentials.aws.user = { arn: 'arn:aws:iam::123456789012:user/deploy' };
+    const exported = AnswersFile.fromStepData(stepData, { projectName: 'my-app', setupMode: 'quick' });
+    const exportFile = path.join(dir, 'exported.yml');
+    await AnswersFile.save(exportFile, exported);
+    const text = await fs.readFile(exportFile, 'utf8');
+    if (text.includes('secret-value') || text.includes('ghp_example') || text.includes('AKIAEXAMPLE') || text.includes('arn:aws') ||
+        !text.includes('AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, GITHUB_TOKEN')) {
+      throw new Error(`Exported answers leak secrets or miss the header:\n${text}`);
+    }
+    const reloaded = await AnswersFile.load(exportFile, ENV);
+    await AnswersFile.validate(reloaded, undefined);
+    if (reloaded.credentials.aws.secretAccessKey !== 'secret-value' || reloaded.application.credentials || reloaded.project.timestamp) {
+      throw new Error(`Unexpected reloaded answers: ${JSON.stringify(reloaded)}`);
+    }
+    console.log(chalk.green('✅ Exported answers use variable references and load back'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testAnswersFile();
+}
+
+module.exports = { testAnswersFile };
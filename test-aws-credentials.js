@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for AWS profile, SSO and assume-role credentials
+ * Uses AWS config files in a temporary HOME and a stubbed STS client
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { STSClient } = require('@aws-sdk/client-sts');
+
+const AWS_CONFIG = `[profile dev]
+region = eu-west-1
+
+[profile sso-dev]
+sso_start_url = https://example.awsapps.com/start
+sso_region = us-east-1
+sso_account_id = 123456789012
+sso_role_name = Deploy
+`;
+
+const AWS_SHARED_CREDENTIALS = `[dev]
+aws_access_key_id = AKIAPROFILEDEV00000
+aws_secret_access_key = profile-dev-secret
+`;
+
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code}, but no error was thrown`);
+}
+
+async function testAWSCredentials() {
+  console.log(chalk.blue('🧪 Testing AWS credential sources...\n'));
+
+  const originalCwd = process.cwd();
+  const originalEnv = { ...process.env };
+  const originalSend = STSClient.prototype.send;
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-aws-'));
+
+  await fs.outputFile(path.join(home, '.aws', 'config'), AWS_CONFIG);
+  await fs.outputFile(path.join(home, '.aws', 'credentials'), AWS_SHARED_CREDENTIALS);
+  process.env.HOME = home;
+  process.env.AWS_CONFIG_FILE = path.join(home, '.aws', 'config');
+  process.env.AWS_SHARED_CREDENTIALS_FILE = path.join(home, '.aws', 'credentials');
+  for (const name of ['AWS_PROFILE', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'FOCAL_DEPLOY_MFA_CODE']) {
+    delete process.env[name];
+  }
+
+  const {
+    setCredentialOptions,
+    getAWSCredentials,
+    getCallerIdentity,
+    describeCredentialSource,
+    hasCredentialSource
+  } = require('./lib/aws/credential-provider');
+  const { ConfigLoader } = require('./lib/config/loader');
+  const { validateConfigSchema, formatSchemaError } = require('./lib/config/schema');
+  const { DNSManager } = require('./lib/utils/dns-manager');
+
+  try {
+    // Test 1: named profiles, and --profile takes precedence over keys in the configuration
+    const configured = { region: 'us-east-1', accessKeyId: 'AKIACONFIGURED00000', secretAccessKey: 'configured-secret' };
+    const fromKeys = await getAWSCredentials(configured)();
+    const fromProfile = await getAWSCredentials({ region: 'us-east-1', profile: 'dev' })();
+    setCredentialOptions({ profile: 'dev' });
+    const fromFlag = await getAWSCredentials(configured)();
+    const flagSource = describeCredentialSource(configured);
+    setCredentialOptions({});
+    if (fromKeys.accessKeyId !== 'AKIACONFIGURED00000' || fromProfile.accessKeyId !== 'AKIAPROFILEDEV00000' ||
+        fromFlag.secretAccessKey !== 'profile-dev-secret' || flagSource !== 'profile "dev"' ||
+        describeCredentialSource(configured) !== 'access key AKIA…0000') {
+      throw new Error(`Unexpected credentials: ${JSON.stringify({ fromKeys, fromProfile, fromFlag, flagSource })}`);
+    }
+    if (getAWSCredentials({ profile: 'dev' }) !== getAWSCredentials({ profile: 'dev' })) {
+      throw new Error('Providers should be shared between managers with the same source');
+    }
+    console.log(chalk.green('✅ Profiles resolve from ~/.aws and --profile overrides configured keys'));
+
+    // Test 2: unknown profiles, expired SSO sessions and MFA without a terminal are explained
+    await expectError(getAWSCredentials({ profile: 'missing' })(), 'AWS_PROFILE_NOT_FOUND');
+    const ssoError = await expectError(getAWSCredentials({ profile: 'sso-dev' })(), 'AWS_SSO_LOGIN_REQUIRED');
+    if (ssoError.suggestion !== 'Run "aws sso login --profile sso-dev" and try again.') {
+      throw new Error(`Unexpected SSO suggestion: ${ssoError.suggestion}`);
+    }
+    STSClient.prototype.send = async () => {
+      throw new Error('STS should not be called without an MFA code');
+    };
+    await expectError(getAWSCredentials({
+      profile: 'dev',
+      roleArn: 'arn:aws:iam::210987654321:role/deploy',
+      mfaSerial: 'arn:aws:iam::123456789012:mfa/dev'
+    })(), 'AWS_MFA_REQUIRED');
+    console.log(chalk.green('✅ Profile, SSO and MFA problems are reported with a fix'));
+
+    // Test 3: --role-arn assumes the role once with the MFA code, validate reports the identity
+    const calls = [];
+    STSClient.prototype.send = async function (command) {
+      const credentials = await this.config.credentials();
+      calls.push({ name: command.constructor.name, input: command.input, accessKeyId: credentials.accessKeyId });
+      if (command.constructor.name === 'AssumeRoleCommand') {
+        return {
+          Credentials: {
+            AccessKeyId: 'ASIAASSUMED0000000',
+            SecretAccessKey: 'assumed-secret',
+            SessionToken: 'assumed-token',
+            Expiration: new Date(Date.now() + 3600 * 1000)
+          }
+        };
+      }
+      return {
+        Arn: 'arn:aws:sts::210987654321:assumed-role/deploy/focal-deploy',
+        Account: '210987654321',
+        UserId: 'AROAEXAMPLE:focal-deploy'
+      };
+    };
+    process.env.FOCAL_DEPLOY_MFA_CODE = '123456';
+    setCredentialOptions({ profile: 'dev', roleArn: 'arn:aws:iam::210987654321:role/deploy', mfaSerial: 'arn:aws:iam::123456789012:mfa/dev' });
+    const assumed = await getAWSCredentials({ region: 'eu-west-1' })();
+    const again = await getAWSCredentials({ region: 'eu-west-1' })();
+    const identity = await getCallerIdentity({ region: 'eu-west-1' });
+    setCredentialOptions({});
+    const assumeCalls = calls.filter(call => call.name === 'AssumeRoleCommand');
+    if (assumed.sessionToken !== 'assumed-token' || again !== assumed || assumeCalls.length !== 1 ||
+        assumeCalls[0].accessKeyId !== 'AKIAPROFILEDEV00000' || assumeCalls[0].input.TokenCode !== '123456' ||
+        assumeCalls[0].input.SerialNumber !== 'arn:aws:iam::123456789012:mfa/dev' ||
+        calls.find(call => call.name === 'GetCallerIdentityCommand')?.accessKeyId !== 'ASIAASSUMED0000000') {
+      throw new Error(`Unexpected STS calls: ${JSON.stringify(calls)}`);
+    }
+    if (identity.account !== '210987654321' ||
+        identity.source !== 'role arn:aws:iam::210987654321:role/deploy assumed with profile "dev"') {
+      throw new Error(`Unexpected identity: ${JSON.stringify(identity)}`);
+    }
+    console.log(chalk.green('✅ Roles are assumed once with the MFA code and STS reports the identity'));
+
+    // Test 4: configurations with a profile instead of keys load and validate
+    const project = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-aws-project-'));
+    process.chdir(project);
+    await fs.outputJson(path.join(project, '.focal-deploy', 'config.json'), {
+      configVersion: 2,
+      project: { name: 'my-app' },
+      aws: { region: 'eu-west-1', profile: 'dev', roleArn: 'arn:aws:iam::210987654321:role/deploy' },
+      infrastructure: { instanceType: 't3.small' }
+    });
+    const deployConfig = await new ConfigLoader().loadProjectConfig({ requireCredentials: true });
+    const yamlConfig = new ConfigLoader().validateConfig({ project: { name: 'my-app' }, aws: { region: 'eu-west-1', profile: 'dev' } });
+    if (deployConfig.aws.profile !== 'dev' || deployConfig.aws.roleArn !== 'arn:aws:iam::210987654321:role/deploy' ||
+        deployConfig.aws.accessKeyId || !hasCredentialSource(yamlConfig.aws) || hasCredentialSource({ region: 'eu-west-1' })) {
+      throw new Error(`Unexpected configuration: ${JSON.stringify(deployConfig)}`);
+    }
+    const schemaErrors = validateConfigSchema({
+      configVersion: 2,
+      project: { name: 'my-app' },
+      aws: { region: 'eu-west-1', profile: 'dev', roleArn: 'deploy', durationSeconds: 60 }
+    }, 'yaml').map(formatSchemaError);
+    if (!schemaErrors.some(error => error.startsWith('aws.roleArn:')) || !schemaErrors.includes('aws.durationSeconds: must be at least 900 (found 60)')) {
+      throw new Error(`Unexpected schema errors: ${schemaErrors.join('; ')}`);
+    }
+    const dnsManager = new DNSManager({ ...deployConfig, ssl: { dnsProvider: { name: 'route53' } } });
+    const dnsConfig = dnsManager.withAWSCredentials(dnsManager.providerConfig);
+    if (dnsConfig.credentials.profile !== 'dev' || dnsConfig.credentials.region !== 'eu-west-1' || dnsConfig.credentials.accessKeyId) {
+      throw new Error(`Route53 should reuse the profile: ${JSON.stringify(dnsConfig)}`);
+    }
+    process.chdir(originalCwd);
+    await fs.remove(project);
+    console.log(chalk.green('✅ Profile configurations load, validate and reach Route53'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    STSClient.prototype.send = originalSend;
+    setCredentialOptions({});
+    process.chdir(originalCwd);
+    process.env = originalEnv;
+    await fs.remove(home);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testAWSCredentials();
+}
+
+module.exports = { testAWSCredentials };
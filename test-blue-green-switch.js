@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for blue/green deploys
+ * Uses a fake SSH service to check unit start order, nginx upstream rewrite and drain
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ApplicationDeploymentService } = require('./lib/services/application-deployment-service');
+const { EnhancedStateManager } = require('./lib/utils/enhanced-state');
+const { DeploymentService } = require('./lib/utils/deployment');
+
+class FakeSSHService {
+  constructor({ healthy = true } = {}) {
+    this.healthy = healthy;
+    this.commands = [];
+  }
+
+  async executeCommand(host, command) {
+    this.commands.push(command);
+
+    if (command.includes('systemctl is-active')) {
+      return { code: 0, stdout: 'active', stderr: '' };
+    }
+    if (command.startsWith('curl ')) {
+      return { code: 0, stdout: this.healthy ? '200' : '502', stderr: '' };
+    }
+    return { code: 0, stdout: '', stderr: '' };
+  }
+}
+
+async function testBlueGreenSwitch() {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-bluegreen-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing blue/green switch...'));
+
+    const config = {
+      projectName: 'demo-app',
+      security: { ssh: { deploymentUser: 'deploy' } },
+      dnsConfig: { domains: ['example.com'] },
+      applicationConfig: {
+        port: 3000,
+        blueGreen: { enabled: true, drainSeconds: 0 }
+      }
+    };
+
+    const service = new ApplicationDeploymentService();
+    service.stateManager = new EnhancedStateManager(stateDir);
+
+    // First switch moves traffic from the legacy single unit to green
+    service.sshService = new FakeSSHService();
+    const first = await service.switchBlueGreen('127.0.0.1', config, {}, '/home/deploy/releases/1');
+    if (first.color !== 'green' || first.port !== 3001) {
+      throw new Error(`Expected green on 3001, got ${first.color} on ${first.port}`);
+    }
+
+    const commands = service.sshService.commands;
+    const upstreamIndex = commands.findIndex(cmd => cmd.includes('conf.d/demo-app_app.conf') && cmd.includes('127.0.0.1:3001'));
+    const healthIndex = commands.findIndex(cmd => cmd.startsWith('curl ') && cmd.includes(':3001'));
+    const stopIndex = commands.findIndex(cmd => cmd.includes('systemctl stop demo-app '));
+    if (healthIndex === -1 || upstreamIndex < healthIndex || stopIndex < upstreamIndex) {
+      throw new Error('Expected health check, then upstream rewrite, then old unit stop');
+    }
+    console.log(chalk.green('✅ Legacy unit → green switch in the right order'));
+
+    // Second switch goes back to blue
+    service.sshService = new FakeSSHService();
+    const second = await service.switchBlueGreen('127.0.0.1', config, {}, '/home/deploy/releases/2');
+    if (second.color !== 'blue' || second.previousColor !== 'green') {
+      throw new Error(`Expected green → blue, got ${second.previousColor} → ${second.color}`);
+    }
+    console.log(chalk.green('✅ Green → blue switch'));
+
+    // An unhealthy build must not take traffic
+    service.sshService = new FakeSSHService({ healthy: false });
+    try {
+      await service.switchBlueGreen('127.0.0.1', config, {}, '/home/deploy/releases/3');
+      throw new Error('Expected unhealthy build to be rejected');
+    } catch (error) {
+      if (!error.message.includes('failed health check')) {
+        throw error;
+      }
+    }
+    if (service.sshService.commands.some(cmd => cmd.includes('conf.d/demo-app_app.conf'))) {
+      throw new Error('Nginx upstream was rewritten for an unhealthy build');
+    }
+
+    const state = await service.stateManager.loadState();
+    if (state.blueGreen.activeColor !== 'blue') {
+      throw new Error('Active color should still be blue');
+    }
+    console.log(chalk.green('✅ Unhealthy build rejected, traffic stays on blue'));
+
+    // app-deploy colors run each build from its own release directory, as the app-deploy user
+    const deploymentService = new DeploymentService();
+    const releases = ['20250101000000', '20250102000000', '20250103000000'];
+    const releaseCommands = [];
+    deploymentService.sshService = {
+      executeCommand: async (host, command) => {
+        releaseCommands.push(command);
+        return { code: 0, stdout: command.startsWith('ls -1 ') ? releases.join('\n') : '', stderr: '' };
+      }
+    };
+    const appConfig = { projectName: 'demo-app', aws: { operatingSystem: 'ubuntu' }, app: { blueGreen: { keepReleases: 2 } } };
+    const { release, releaseDir } = await deploymentService.createRelease('127.0.0.1', appConfig, {});
+    if (!releaseDir.startsWith('/srv/demo-app/releases/') || releases.includes(release) ||
+        !releaseCommands.includes(`mkdir -p /home/ubuntu/demo-app && sudo mkdir -p ${releaseDir} && sudo chown ubuntu:ubuntu ${releaseDir}`)) {
+      throw new Error(`Unexpected release directory: ${releaseDir} (${releaseCommands.join('; ')})`);
+    }
+    const written = [];
+    Object.assign(deploymentService.sshService, {
+      createDirectory: async () => {},
+      writePrivateFile: async () => {},
+      writeFile: async (host, remotePath) => written.push(remotePath)
+    });
+    await deploymentService.deployApplication('127.0.0.1', appConfig, { skipProcessManagement: true, appDir: releaseDir });
+    if (!written.includes(`${releaseDir}/index.js`) || written.some(file => file.startsWith('/home/'))) {
+      throw new Error(`The build should be written to the release directory: ${written.join(', ')}`);
+    }
+
+    service.sshService = new FakeSSHService();
+    await service.switchBlueGreen('127.0.0.1', config, {}, releaseDir, false,
+      (serviceName, environmentFiles) => deploymentService.generateServiceUnit(appConfig, { serviceName, environmentFiles, workingDirectory: releaseDir }));
+    const unit = service.sshService.commands.find(cmd => cmd.includes('/etc/systemd/system/demo-app-green.service'));
+    if (!unit.includes('User=ubuntu') || !unit.includes(`WorkingDirectory=${releaseDir}`) ||
+        !unit.includes('EnvironmentFile=/home/ubuntu/demo-app/.env') ||
+        !unit.includes('EnvironmentFile=/etc/focal-deploy/demo-app-green.env') || unit.includes('/home/deploy')) {
+      throw new Error(`Color unit should run the new build as the app-deploy user: ${unit}`);
+    }
+
+    releases.push(release);
+    const pruned = await deploymentService.pruneReleases('127.0.0.1', appConfig, {});
+    if (pruned.join() !== '20250102000000,20250101000000' || !releaseCommands.includes('sudo rm -rf /srv/demo-app/releases/20250101000000')) {
+      throw new Error(`Only builds beyond keepReleases should be removed: ${pruned}`);
+    }
+    console.log(chalk.green('✅ app-deploy builds each color into its own release directory'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.remove(stateDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testBlueGreenSwitch();
+}
+
+module.exports = { testBlueGreenSwitch };
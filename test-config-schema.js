@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the configuration schema, the shared loader and "config migrate"
+ * Works in a temporary project directory with unversioned (configVersion 1) files
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ConfigLoader } = require('./lib/config/loader');
+const { CONFIG_VERSION, validateConfigSchema, formatSchemaError } = require('./lib/config/schema');
+const { migrateConfig } = require('./lib/config/migrations');
+const { configMigrate } = require('./lib/commands/config');
+const { Logger } = require('./lib/utils/logger');
+
+const LEGACY_YAML = {
+  project: { name: 'my-app', description: 'My app', version: '1.0.0' },
+  aws: { region: 'us-east-1', accessKeyId: 'AKIAEXAMPLE', secretAccessKey: 'secret', instanceType: 't3.small', keyPairName: 'my-app-key', volumeSize: 20 },
+  ssl: { provider: 'letsencrypt', email: 'admin@example.com', domains: ['example.com', '*.example.com'] },
+  monitoring: { healthCheckUrl: '/status', healthCheckInterval: 30 },
+  environments: {
+    staging: { aws: { instanceType: 't3.micro' }, monitoring: { healthCheckUrl: '/staging-status' } }
+  }
+};
+
+const LEGACY_WIZARD = {
+  projectName: 'my-app',
+  credentials: { aws: { accessKeyId: 'AKIAWIZARD', secretAccessKey: 'wizard-secret' } },
+  infrastructure: { region: 'eu-west-1', instanceType: 't3.small', keyPairName: 'my-app-key', operatingSystem: 'debian', ipv6: true },
+  application: { type: 'nodejs', port: 8080, healthCheckPath: '/health', useDocker: false },
+  security: { ssh: { customPort: 2847, deploymentUser: 'deploy' } }
+};
+
+async function testConfigSchema() {
+  console.log(chalk.blue('🧪 Testing configuration schema and migration...\n'));
+
+  const originalCwd = process.cwd();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-config-'));
+  const restoreLogger = Logger.configure({ level: 'silent' });
+
+  try {
+    // Test 1: unversioned files are upgraded in memory and match the schema
+    const yamlMigration = migrateConfig(LEGACY_YAML, 'yaml');
+    const wizardMigration = migrateConfig(LEGACY_WIZARD, 'json');
+    if (yamlMigration.fromVersion !== 1 || yamlMigration.config.configVersion !== CONFIG_VERSION ||
+        yamlMigration.config.health.endpoint !== '/status' || yamlMigration.config.monitoring.healthCheckUrl !== undefined ||
+        yamlMigration.config.environments.staging.health.endpoint !== '/staging-status' || LEGACY_YAML.monitoring.healthCheckUrl !== '/status') {
+      throw new Error(`Unexpected YAML migration: ${JSON.stringify(yamlMigration)}`);
+    }
+    if (wizardMigration.config.aws.region !== 'eu-west-1' || wizardMigration.config.aws.accessKeyId !== 'AKIAWIZARD' ||
+        wizardMigration.config.credentials || wizardMigration.config.project.name !== 'my-app' ||
+        !wizardMigration.changes.includes('infrastructure.region moved to aws.region')) {
+      throw new Error(`Unexpected config.json migration: ${JSON.stringify(wizardMigration)}`);
+    }
+    const migratedErrors = [...validateConfigSchema(yamlMigration.config, 'yaml'), ...validateConfigSchema(wizardMigration.config, 'json')];
+    if (migratedErrors.length > 0) {
+      throw new Error(`Migrated files fail the schema: ${migratedErrors.map(formatSchemaError).join('; ')}`);
+    }
+    console.log(chalk.green('✅ configVersion 1 files migrate to a valid configVersion 2'));
+
+    // Test 2: schema errors carry the exact path of the value
+    const invalid = JSON.parse(JSON.stringify(yamlMigration.config));
+    invalid.aws.region = 'mars';
+    invalid.ssl.domains.push('not a domain');
+    invalid.app = { port: '3000', blueGreen: { ports: { green: 70000 } } };
+    invalid.alerts = { smtp: { port: 587 } };
+    invalid.environments.Staging = {};
+    delete invalid.project.name;
+    const errors = validateConfigSchema(invalid, 'yaml').map(formatSchemaError);
+    const expected = [
+      'project.name: is required',
+      'aws.region: "mars" does not match ^[a-z]{2}(-gov)?-[a-z]+-[0-9]+$',
+      'app.port: must be an integer (found a string)',
+      'app.blueGreen.ports.green: must be at most 65535 (found 70000)',
+      'alerts.smtp.host: is required',
+      'environments.Staging: name does not match ^[a-z0-9][a-z0-9-]{0,30}$'
+    ];
+    const missing = expected.filter(error => !errors.includes(error));
+    if (missing.length > 0 || !errors.some(error => error.startsWith('ssl.domains[2]: "not a domain" does not match'))) {
+      throw new Error(`Missing errors: ${missing.join('; ')} (got ${errors.join('; ')})`);
+    }
+    console.log(chalk.green('✅ Schema errors report exact paths'));
+
+    // Test 3: one loader maps config.json for every command
+    process.chdir(dir);
+    await fs.outputJson(path.join(dir, '.focal-deploy', 'config.json'), {
+      ...LEGACY_WIZARD,
+      environments: { staging: { infrastructure: { instanceType: 't3.micro' } } }
+    });
+    const deployConfig = await new ConfigLoader().loadProjectConfig();
+    if (deployConfig.project.name !== 'my-app' || deployConfig.aws.region !== 'eu-west-1' || deployConfig.aws.accessKeyId !== 'AKIAWIZARD' ||
+        deployConfig.aws.operatingSystem !== 'debian' || deployConfig.aws.ipv6 !== true || deployConfig.project.port !== 8080) {
+      throw new Error(`Unexpected deployment config: ${JSON.stringify(deployConfig)}`);
+    }
+    const { setActiveEnvironment } = require('./lib/utils/environment');
+    setActiveEnvironment('staging');
+    const stagingConfig = await new ConfigLoader().loadProjectConfig();
+    setActiveEnvironment(null);
+    if (stagingConfig.aws.instanceType !== 't3.micro' || stagingConfig.environmentName !== 'staging') {
+      throw new Error(`Environment not applied: ${JSON.stringify(stagingConfig)}`);
+    }
+    console.log(chalk.green('✅ Shared loader maps config.json and applies environments'));
+
+    // Test 4: invalid files are rejected on load with every problem listed
+    await fs.outputJson(path.join(dir, '.focal-deploy', 'config.json'), {
+      ...LEGACY_WIZARD,
+      application: { ...LEGACY_WIZARD.application, port: 0 },
+      security: { ssh: { customPort: 'ssh' } }
+    });
+    let loadError;
+    try {
+      await new ConfigLoader().loadProjectConfig();
+    } catch (error) {
+      loadError = error;
+    }
+    if (loadError?.code !== 'CONFIG_SCHEMA_INVALID' || !loadError.suggestions.includes('application.port: must be at least 1 (found 0)') ||
+        !loadError.suggestions.includes('security.ssh.customPort: must be an integer (found a string)')) {
+      throw new Error(`Unexpected load error: ${loadError && JSON.stringify(loadError.suggestions)}`);
+    }
+    console.log(chalk.green('✅ Loader rejects files that do not match the schema'));
+
+    // Test 5: config migrate rewrites both files once and keeps backups
+    await fs.outputJson(path.join(dir, '.focal-deploy', 'config.json'), LEGACY_WIZARD);
+    await fs.writeFile(path.join(dir, 'focal-deploy.yml'), yaml.dump(LEGACY_YAML));
+    const dryRun = await configMigrate({ dryRun: true });
+    if (dryRun.files.some(file => file.written) || yaml.load(await fs.readFile(path.join(dir, 'focal-deploy.yml'), 'utf8')).configVersion) {
+      throw new Error('Dry run wrote files');
+    }
+    const result = await configMigrate();
+    const migratedYaml = yaml.load(await fs.readFile(path.join(dir, 'focal-deploy.yml'), 'utf8'));
+    const migratedWizard = await fs.readJson(path.join(dir, '.focal-deploy', 'config.json'));
+    if (result.files.length !== 2 || migratedYaml.configVersion !== CONFIG_VERSION || migratedYaml.health.endpoint !== '/status' ||
+        migratedWizard.aws.secretAccessKey !== 'wizard-secret' || migratedWizard.credentials ||
+        !await fs.pathExists(path.join(dir, 'focal-deploy.yml.v1.bak')) || !await fs.pathExists(path.join(dir, '.focal-deploy', 'config.json.v1.bak'))) {
+      throw new Error(`Unexpected migration result: ${JSON.stringify(result)}`);
+    }
+    const again = await configMigrate();
+    if (again.files.some(file => file.written)) {
+      throw new Error('Migrating a current file should not rewrite it');
+    }
+    let newer;
+    try {
+      migrateConfig({ ...migratedYaml, configVersion: CONFIG_VERSION + 1 }, 'yaml');
+    } catch (error) {
+      newer = error;
+    }
+    if (newer?.code !== 'CONFIG_VERSION_UNSUPPORTED') {
+      throw new Error('Configurations from a newer version should be refused');
+    }
+    console.log(chalk.green('✅ config migrate upgrades files once and keeps backups'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    restoreLogger();
+    process.chdir(originalCwd);
+    await fs.remove(dir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testConfigSchema();
+}
+
+module.exports = { testConfigSchema };
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for credential encryption, the master passphrase and
+ * credentials lock/unlock
+ * Uses a temporary HOME and runtime directory
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code}, but no error was thrown`);
+}
+
+// AES-256-CBC as written by earlier versions
+function legacyEncrypt(keyHex, text) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(keyHex, 'hex'), iv);
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+async function testCredentialEncryption() {
+  console.log(chalk.blue('🧪 Testing credential encryption...\n'));
+
+  const originalEnv = { ...process.env };
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-crypt-'));
+
+  process.env.HOME = home;
+  process.env.XDG_RUNTIME_DIR = path.join(home, 'run');
+  delete process.env.FOCAL_DEPLOY_PASSPHRASE;
+  delete process.env.FOCAL_DEPLOY_NEW_PASSPHRASE;
+
+  const CredentialManager = require('./lib/utils/credentials');
+  const { VaultSecretsBackend } = require('./lib/secrets/backends/vault');
+  const { credentialsStatus, credentialsUnlock, credentialsLock, credentialsPassphrase } = require('./lib/commands/credentials');
+  const { getKeyFile } = require('./lib/utils/credential-key');
+  const { Logger } = require('./lib/utils/logger');
+
+  const restoreLogger = Logger.configure({ level: 'error' });
+
+  try {
+    // Test 1: files written by earlier versions are upgraded to GCM when read
+    console.log(chalk.yellow('1. Testing migration of existing files...'));
+    const legacyKey = crypto.randomBytes(32).toString('hex');
+    await fs.outputFile(getKeyFile(), legacyKey);
+    const manager = new CredentialManager('my-app');
+    await fs.outputJson(manager.credentialsFile, {
+      accessKeyId: legacyEncrypt(legacyKey, 'AKIALEGACYLEGACY0000'),
+      secretAccessKey: legacyEncrypt(legacyKey, 'legacy-secret'),
+      region: 'eu-west-1',
+      savedAt: '2026-01-01T00:00:00.000Z',
+      projectName: 'my-app',
+      services: { github: { data: legacyEncrypt(legacyKey, JSON.stringify({ token: 'ghp_legacy' })), savedAt: '2026-01-01T00:00:00.000Z' } }
+    });
+    const vault = new VaultSecretsBackend({ project: 'my-app' });
+    await fs.outputJson(vault.vaultFile, {
+      version: 1,
+      project: 'my-app',
+      scopes: { default: { DATABASE_URL: { value: legacyEncrypt(legacyKey, 'postgres://legacy'), updatedAt: '2026-01-01T00:00:00.000Z' } } }
+    });
+
+    const loaded = await manager.loadCredentials();
+    if (loaded.accessKeyId !== 'AKIALEGACYLEGACY0000' || loaded.secretAccessKey !== 'legacy-secret') {
+      throw new Error(`Legacy credentials should still decrypt: ${JSON.stringify(loaded)}`);
+    }
+    const upgraded = await fs.readJson(manager.credentialsFile);
+    if (![upgraded.accessKeyId, upgraded.secretAccessKey, upgraded.services.github.data].every(value => value.startsWith('v2:')) || upgraded.savedAt !== '2026-01-01T00:00:00.000Z') {
+      throw new Error(`Credentials file should be re-encrypted in place: ${JSON.stringify(upgraded)}`);
+    }
+    if ((await manager.loadServiceCredentials('github')).token !== 'ghp_legacy') {
+      throw new Error('Service credentials should survive the upgrade');
+    }
+    if (await vault.get('DATABASE_URL') !== 'postgres://legacy' || !(await fs.readJson(vault.vaultFile)).scopes.default.DATABASE_URL.value.startsWith('v2:')) {
+      throw new Error('Vault values should be upgraded when read');
+    }
+    console.log(chalk.green('✅ CBC values are decrypted and rewritten with AES-256-GCM'));
+
+    // Test 2: modified ciphertext is rejected
+    console.log(chalk.yellow('\n2. Testing integrity checks...'));
+    const tampered = await fs.readJson(manager.credentialsFile);
+    const last = tampered.secretAccessKey.slice(-1);
+    tampered.secretAccessKey = tampered.secretAccessKey.slice(0, -1) + (last === '0' ? '1' : '0');
+    await fs.writeJson(manager.credentialsFile, tampered);
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_INTEGRITY');
+    await new CredentialManager('my-app').saveCredentials({ accessKeyId: 'AKIACURRENTCURRENT00', secretAccessKey: 'current-secret', region: 'eu-west-1' });
+    console.log(chalk.green('✅ Tampered values fail instead of decrypting to garbage'));
+
+    // Test 3: the master passphrase protects the key
+    console.log(chalk.yellow('\n3. Testing the master passphrase...'));
+    process.env.FOCAL_DEPLOY_NEW_PASSPHRASE = 'short';
+    await expectError(credentialsPassphrase({}), 'CREDENTIALS_PASSPHRASE_WEAK');
+    process.env.FOCAL_DEPLOY_NEW_PASSPHRASE = PASSPHRASE;
+    await credentialsPassphrase({});
+    delete process.env.FOCAL_DEPLOY_NEW_PASSPHRASE;
+
+    const keyFile = await fs.readFile(getKeyFile(), 'utf8');
+    if (keyFile.includes(legacyKey) || JSON.parse(keyFile).kdf.name !== 'scrypt' || ((await fs.stat(getKeyFile())).mode & 0o777) !== 0o600) {
+      throw new Error(`Key file should hold the wrapped key only: ${keyFile}`);
+    }
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_LOCKED');
+    process.env.FOCAL_DEPLOY_PASSPHRASE = 'wrong passphrase';
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_PASSPHRASE_INVALID');
+    process.env.FOCAL_DEPLOY_PASSPHRASE = PASSPHRASE;
+    if ((await new CredentialManager('my-app').loadCredentials()).secretAccessKey !== 'current-secret') {
+      throw new Error('FOCAL_DEPLOY_PASSPHRASE should unlock the same key');
+    }
+    const status = await credentialsStatus({ json: true });
+    if (!status.key.passphrase || status.key.unlockedUntil !== null || status.credentials.length !== 2) {
+      throw new Error(`Status should work without unlocking: ${JSON.stringify(status)}`);
+    }
+    console.log(chalk.green('✅ The key is wrapped with scrypt and unlocked by the passphrase only'));
+
+    // Test 4: unlock/lock sessions
+    console.log(chalk.yellow('\n4. Testing credentials unlock/lock...'));
+    await expectError(credentialsUnlock({ timeout: '0' }), 'INVALID_OPTION');
+    const unlocked = await credentialsUnlock({ timeout: '5' });
+    delete process.env.FOCAL_DEPLOY_PASSPHRASE;
+    const remaining = new Date(unlocked.expiresAt) - Date.now();
+    if (remaining < 4 * 60 * 1000 || remaining > 5 * 60 * 1000) {
+      throw new Error(`Unexpected session expiry: ${unlocked.expiresAt}`);
+    }
+    const sessionDir = (await fs.readdir(process.env.XDG_RUNTIME_DIR))[0];
+    const sessionFile = path.join(process.env.XDG_RUNTIME_DIR, sessionDir, 'session.json');
+    if (((await fs.stat(sessionFile)).mode & 0o777) !== 0o600) {
+      throw new Error('Session file should have mode 600');
+    }
+    if ((await new VaultSecretsBackend({ project: 'my-app' }).get('DATABASE_URL')) !== 'postgres://legacy' || (await credentialsStatus({ json: true })).key.unlockedUntil !== unlocked.expiresAt) {
+      throw new Error('An unlocked session should not need the passphrase');
+    }
+
+    // Sessions expire, and a passphrase change invalidates them
+    const session = await fs.readJson(sessionFile);
+    await fs.writeJson(sessionFile, { ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_LOCKED');
+    await fs.writeJson(sessionFile, session);
+    process.env.FOCAL_DEPLOY_NEW_PASSPHRASE = `${PASSPHRASE} 2`;
+    await credentialsPassphrase({});
+    delete process.env.FOCAL_DEPLOY_NEW_PASSPHRASE;
+    await fs.writeJson(sessionFile, session);
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_LOCKED');
+
+    process.env.FOCAL_DEPLOY_PASSPHRASE = `${PASSPHRASE} 2`;
+    await credentialsUnlock({});
+    delete process.env.FOCAL_DEPLOY_PASSPHRASE;
+    const locked = await credentialsLock();
+    if (!locked.wasUnlocked || await fs.pathExists(sessionFile)) {
+      throw new Error('lock should remove the session');
+    }
+    await expectError(new CredentialManager('my-app').loadCredentials(), 'CREDENTIALS_LOCKED');
+
+    process.env.FOCAL_DEPLOY_PASSPHRASE = `${PASSPHRASE} 2`;
+    await credentialsPassphrase({ remove: true });
+    delete process.env.FOCAL_DEPLOY_PASSPHRASE;
+    if ((await new CredentialManager('my-app').loadCredentials()).accessKeyId !== 'AKIACURRENTCURRENT00' || (await fs.readFile(getKeyFile(), 'utf8')) !== legacyKey) {
+      throw new Error('Removing the passphrase should restore the plain key');
+    }
+    await expectError(credentialsUnlock({}), 'CREDENTIALS_NOT_PROTECTED');
+    console.log(chalk.green('✅ Sessions unlock until they expire, are locked, or the passphrase changes'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    restoreLogger();
+    process.env = originalEnv;
+    await fs.remove(home);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testCredentialEncryption();
+}
+
+module.exports = { testCredentialEncryption };
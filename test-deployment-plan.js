@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for "focal-deploy plan" and "focal-deploy up --plan"
+ * Runs the planner and the plan applier against in-memory AWS managers
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DeploymentPlanner } = require('./lib/utils/deployment-planner');
+const { UpCommand } = require('./lib/commands/up');
+const { StateManager } = require('./lib/utils/state');
+const SecurityGroupManager = require('./lib/aws/security-groups');
+const S3Manager = require('./lib/aws/s3');
+const IAMManager = require('./lib/aws/iam');
+
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw new Error(`Expected ${code}, got ${error.code}: ${error.message}`);
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code}, but no error was thrown`);
+}
+
+function sampleConfig() {
+  return {
+    project: { name: 'my-app' },
+    aws: { region: 'us-east-1', instanceType: 't3.small', keyPairName: 'my-app-key' },
+    security: { ssh: { customPort: 2847 } }
+  };
+}
+
+/**
+ * In-memory AWS account with one deployment that matches sampleConfig()
+ */
+function createFakeAWS() {
+  const aws = {
+    keyPairs: new Set(['my-app-key']),
+    securityGroups: {},
+    buckets: {},
+    roles: { 'my-app-ssm-role': [...IAMManager.SSM_POLICY_ARNS] },
+    instances: { 'i-1': { instanceType: 't3.small', state: 'running', securityGroupIds: ['sg-1'], publicIpAddress: '203.0.113.10' } },
+    calls: []
+  };
+  let nextId = 2;
+
+  const securityGroupManager = {
+    generateSecurityGroupRules: SecurityGroupManager.prototype.generateSecurityGroupRules,
+    createRule: SecurityGroupManager.prototype.createRule,
+    async getSecurityGroupInfo(id) {
+      const group = aws.securityGroups[id];
+      if (!group) {
+        throw Object.assign(new Error(`The security group '${id}' does not exist`), { name: 'InvalidGroup.NotFound' });
+      }
+      return {
+        groupId: id,
+        inboundRules: group.rules.map(rule => ({
+          protocol: rule.IpProtocol,
+          fromPort: rule.FromPort,
+          toPort: rule.ToPort,
+          sources: [...(rule.IpRanges || []).map(range => range.CidrIp), ...(rule.Ipv6Ranges || []).map(range => range.CidrIpv6)]
+        }))
+      };
+    },
+    async createSecurityGroup(config) {
+      const id = `sg-${nextId++}`;
+      aws.securityGroups[id] = { rules: this.generateSecurityGroupRules(config) };
+      aws.calls.push(`createSecurityGroup ${id}`);
+      return { securityGroupId: id };
+    },
+    async addRule(id, rule) {
+      aws.securityGroups[id].rules.push(rule);
+      aws.calls.push(`addRule ${id} ${rule.FromPort}`);
+    },
+    async removeRule(id, rule) {
+      const group = aws.securityGroups[id];
+      group.rules = group.rules.filter(candidate => candidate.FromPort !== rule.FromPort || candidate.IpRanges[0]?.CidrIp !== rule.IpRanges[0]?.CidrIp);
+      aws.calls.push(`removeRule ${id} ${rule.FromPort}`);
+    }
+  };
+  aws.securityGroups['sg-1'] = { rules: securityGroupManager.generateSecurityGroupRules(sampleConfig()) };
+
+  const s3Manager = {
+    generateBucketPolicy: S3Manager.prototype.generateBucketPolicy,
+    async getAccountId() {
+      return '123456789012';
+    },
+    async bucketExists(name) {
+      return Boolean(aws.buckets[name]);
+    },
+    async getBucketVersioning(name) {
+      return aws.buckets[name].versioning;
+    },
+    async getBucketPolicy(name) {
+      return aws.buckets[name].policy;
+    },
+    async configureBucket(name) {
+      aws.buckets[name] = { versioning: 'Enabled', policy: this.generateBucketPolicy(name, '123456789012') };
+      aws.calls.push(`configureBucket ${name}`);
+    }
+  };
+  aws.buckets['my-app-bucket'] = { versioning: 'Enabled', policy: s3Manager.generateBucketPolicy('my-app-bucket', '123456789012') };
+
+  const ec2Manager = {
+    async getInstanceInfo(id) {
+      const instance = aws.instances[id];
+      if (!instance) {
+        throw Object.assign(new Error(`The instance ID '${id}' does not exist`), { name: 'InvalidInstanceID.NotFound' });
+      }
+      return { instanceId: id, ...instance };
+    },
+    async changeInstanceType(id, instanceType) {
+      // A stopped instance gets a new public IP when it starts again
+      aws.instances[id].instanceType = instanceType;
+      aws.instances[id].publicIpAddress = '203.0.113.20';
+      aws.calls.push(`changeInstanceType ${id} ${instanceType}`);
+      return { instanceId: id, ...aws.instances[id] };
+    },
+    async setSecurityGroups(id, securityGroupIds) {
+      aws.instances[id].securityGroupIds = securityGroupIds;
+      aws.calls.push(`setSecurityGroups ${id} ${securityGroupIds.join(',')}`);
+    }
+  };
+
+  const sshKeyManager = {
+    async keyPairExists(name) {
+      return aws.keyPairs.has(name);
+    }
+  };
+
+  const iamManager = {
+    async getRoleIfExists(name) {
+      return aws.roles[name] ? { RoleName: name } : null;
+    },
+    async getRoleInfo(name) {
+      return { roleName: name, attachedPolicies: aws.roles[name].map(policyArn => ({ policyArn })) };
+    },
+    async createSSMRole(prefix) {
+      aws.roles[`${prefix}-ssm-role`] = [...IAMManager.SSM_POLICY_ARNS];
+      aws.calls.push(`createSSMRole ${prefix}`);
+    }
+  };
+
+  aws.managers = { securityGroupManager, s3Manager, ec2Manager, sshKeyManager, iamManager };
+  return aws;
+}
+
+function deployedState() {
+  return {
+    resources: {
+      sshKey: { keyPairName: 'my-app-key' },
+      securityGroup: { securityGroupId: 'sg-1' },
+      s3Bucket: { bucketName: 'my-app-bucket' },
+      ec2Instance: { instanceId: 'i-1', publicIpAddress: '203.0.113.10' }
+    }
+  };
+}
+
+/**
+ * UpCommand wired to the fake account and a temporary state file
+ */
+function createUpCommand(aws, config, stateDir) {
+  const upCommand = new UpCommand();
+  upCommand.stateManager = new StateManager();
+  upCommand.stateManager.stateFilePath = path.join(stateDir, '.focal-deploy-state.json');
+  upCommand.loadConfiguration = async () => JSON.parse(JSON.stringify(config));
+  upCommand.validateCredentials = async () => {};
+  upCommand.initializeManagers = () => aws.managers;
+  upCommand.updateConfiguration = async () => {};
+  upCommand.displayResults = () => {};
+  return upCommand;
+}
+
+function summaryOf(plan) {
+  return plan.actions
+    .filter(action => action.action !== 'no-op')
+    .map(action => `${action.action} ${action.resource}`)
+    .sort();
+}
+
+async function testDeploymentPlan() {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-plan-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing plan and apply...'));
+
+    // Test 1: a deployment that matches its configuration has nothing to do
+    let aws = createFakeAWS();
+    const clean = await new DeploymentPlanner(sampleConfig(), aws.managers).createPlan(deployedState());
+    if (clean.summary.create + clean.summary.update + clean.summary.delete !== 0 || clean.summary['no-op'] !== 5) {
+      throw new Error(`Expected an empty plan, got ${JSON.stringify(clean.summary)}`);
+    }
+    console.log(chalk.green('✅ No changes when AWS matches the configuration'));
+
+    // Test 2: drift in every resource type is reported with a reason
+    aws.securityGroups['sg-1'].rules.push({ IpProtocol: 'tcp', FromPort: 3306, ToPort: 3306, IpRanges: [{ CidrIp: '0.0.0.0/0' }] });
+    aws.securityGroups['sg-1'].rules = aws.securityGroups['sg-1'].rules.filter(rule => rule.FromPort !== 443);
+    aws.securityGroups['sg-1'].rules.push({ IpProtocol: 'tcp', FromPort: 22, ToPort: 22, IpRanges: [{ CidrIp: '10.0.0.0/8' }] });
+    aws.buckets['my-app-bucket'].versioning = 'Suspended';
+    aws.roles['my-app-ssm-role'] = aws.roles['my-app-ssm-role'].slice(1);
+    aws.keyPairs.clear();
+    const config = { ...sampleConfig(), aws: { ...sampleConfig().aws, instanceType: 't3.medium' } };
+    const drifted = await new DeploymentPlanner(config, aws.managers).createPlan(deployedState());
+    const expected = ['create securityGroupRule', 'create sshKey', 'delete securityGroupRule', 'update ec2Instance', 'update iamRole', 'update s3Bucket'];
+    if (JSON.stringify(summaryOf(drifted)) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected plan: ${JSON.stringify(summaryOf(drifted))}`);
+    }
+    const instance = drifted.actions.find(action => action.resource === 'ec2Instance');
+    const removed = drifted.actions.find(action => action.action === 'delete');
+    if (instance.changes.instanceType.to !== 't3.medium' || !instance.reasons[0].includes('t3.small → t3.medium') ||
+        removed.rule.fromPort !== 3306 || !removed.reasons[0].includes('not in the configuration')) {
+      throw new Error(`Unexpected actions: ${JSON.stringify(drifted.actions)}`);
+    }
+    console.log(chalk.green('✅ Drift reported as create/update/delete with reasons'));
+
+    // Test 3: the fingerprint ignores the creation time but not the actions
+    const again = await new DeploymentPlanner(config, aws.managers).createPlan(deployedState());
+    again.createdAt = new Date(0).toISOString();
+    if (DeploymentPlanner.fingerprint(again) !== DeploymentPlanner.fingerprint(drifted) ||
+        DeploymentPlanner.fingerprint(clean) === DeploymentPlanner.fingerprint(drifted)) {
+      throw new Error('Fingerprint should only depend on the planned actions');
+    }
+    console.log(chalk.green('✅ Plan fingerprint is stable'));
+
+    // Test 4: "up --plan" applies exactly the saved plan
+    const planPath = path.join(stateDir, 'plan.json');
+    aws.keyPairs.add('my-app-key');
+    await fs.writeJson(planPath, await new DeploymentPlanner(config, aws.managers).createPlan(deployedState()));
+    await fs.writeJson(path.join(stateDir, '.focal-deploy-state.json'), deployedState());
+    await createUpCommand(aws, config, stateDir).execute({ plan: planPath });
+    if (process.exitCode) {
+      throw new Error('Applying the plan failed');
+    }
+    const after = await new DeploymentPlanner(config, aws.managers).createPlan(deployedState());
+    if (summaryOf(after).length !== 0 || aws.instances['i-1'].instanceType !== 't3.medium' ||
+        !aws.calls.includes('removeRule sg-1 3306') || !aws.calls.includes('addRule sg-1 443')) {
+      throw new Error(`Plan not fully applied: ${JSON.stringify(summaryOf(after))} ${aws.calls.join(', ')}`);
+    }
+    console.log(chalk.green('✅ Saved plan applied'));
+
+    // Test 5: a plan is refused once AWS no longer matches it
+    aws = createFakeAWS();
+    await fs.writeJson(planPath, await new DeploymentPlanner(config, aws.managers).createPlan(deployedState()));
+    aws.instances['i-1'].instanceType = 't3.large';
+    await expectError(createUpCommand(aws, config, stateDir).execute({ plan: planPath }), 'PLAN_STALE');
+    if (aws.calls.length !== 0) {
+      throw new Error('A stale plan must not be applied');
+    }
+    console.log(chalk.green('✅ Stale plan refused'));
+
+    // Test 6: a missing security group is recreated and attached to the instance
+    aws = createFakeAWS();
+    delete aws.securityGroups['sg-1'];
+    await fs.writeJson(planPath, await new DeploymentPlanner(sampleConfig(), aws.managers).createPlan(deployedState()));
+    await fs.writeJson(path.join(stateDir, '.focal-deploy-state.json'), deployedState());
+    await createUpCommand(aws, sampleConfig(), stateDir).execute({ plan: planPath });
+    const newGroupId = aws.calls.find(call => call.startsWith('createSecurityGroup')).split(' ')[1];
+    const savedState = await fs.readJson(path.join(stateDir, '.focal-deploy-state.json'));
+    if (process.exitCode || aws.instances['i-1'].securityGroupIds[0] !== newGroupId ||
+        savedState.resources.securityGroup.securityGroupId !== newGroupId) {
+      throw new Error(`Expected ${newGroupId} to be attached and saved: ${aws.calls.join(', ')}`);
+    }
+    console.log(chalk.green('✅ Replacement security group attached'));
+
+    // Test 7: a new instance type restarts the instance, so DNS follows its new IP
+    aws = createFakeAWS();
+    const dnsConfig = { ...config, ssl: { dnsProvider: { name: 'cloudflare' }, domains: ['example.com'] } };
+    const resized = await new DeploymentPlanner(dnsConfig, aws.managers).createPlan(deployedState());
+    if (!summaryOf(resized).includes('update dnsRecords')) {
+      throw new Error(`Changing the instance type should update DNS: ${JSON.stringify(summaryOf(resized))}`);
+    }
+    await fs.writeJson(planPath, resized);
+    await fs.writeJson(path.join(stateDir, '.focal-deploy-state.json'), deployedState());
+    const resizeCommand = createUpCommand(aws, dnsConfig, stateDir);
+    resizeCommand.updateDNSRecords = async (dnsSettings, publicIpAddress) => ({ success: true, targetIP: publicIpAddress });
+    const resizedResources = await resizeCommand.execute({ plan: planPath });
+    if (resizedResources.dnsRecords.targetIP !== '203.0.113.20' || resizedResources.ec2Instance.publicIpAddress !== '203.0.113.20') {
+      throw new Error(`DNS should point at the new IP: ${JSON.stringify(resizedResources)}`);
+    }
+    console.log(chalk.green('✅ DNS updated after an instance type change'));
+
+    // Test 8: applying stops at the first failed action and records it
+    aws = createFakeAWS();
+    aws.buckets['my-app-bucket'].versioning = 'Suspended';
+    aws.managers.s3Manager.configureBucket = async () => {
+      throw new Error('Access Denied');
+    };
+    await fs.writeJson(planPath, await new DeploymentPlanner(config, aws.managers).createPlan(deployedState()));
+    await fs.writeJson(path.join(stateDir, '.focal-deploy-state.json'), deployedState());
+    try {
+      await createUpCommand(aws, config, stateDir).execute({ plan: planPath });
+      throw new Error('A failed action should fail the apply');
+    } catch (error) {
+      if (error.message !== 'Access Denied') {
+        throw error;
+      }
+    }
+    const failedState = await fs.readJson(path.join(stateDir, '.focal-deploy-state.json'));
+    if (failedState.status !== 'failed' || failedState.failedAction !== 'update s3Bucket' || aws.calls.some(call => call.startsWith('changeInstanceType'))) {
+      throw new Error(`Later actions should not run after a failure: ${aws.calls.join(', ')} ${JSON.stringify(failedState)}`);
+    }
+    console.log(chalk.green('✅ Apply stops at the first failed action'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(stateDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDeploymentPlan();
+}
+
+module.exports = { testDeploymentPlan };
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the pluggable DNS provider adapters
+ * Runs DNSManager against a local DigitalOcean-style HTTP stub and a third-party adapter module
+ */
+
+const chalk = require('chalk');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DNSManager } = require('./lib/utils/dns-manager');
+const { DNSManagementService } = require('./lib/services/dns-management-service');
+const { DNSProviderAdapter, registerDNSProvider } = require('./lib/dns');
+
+function startDigitalOceanStub() {
+  const records = {
+    'example.com': [
+      { id: 1, type: 'A', name: '@', data: '10.0.0.1', ttl: 3600 },
+      { id: 2, type: 'A', name: 'old', data: '10.0.0.9', ttl: 3600 }
+    ]
+  };
+  let nextId = 3;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(payload ? JSON.stringify(payload) : '');
+      };
+
+      if (req.headers.authorization !== 'Bearer test-token') {
+        return send(401, { message: 'Unable to authenticate you' });
+      }
+      if (url.pathname === '/account') {
+        return send(200, { account: { email: 'ops@example.com' } });
+      }
+      if (url.pathname === '/domains') {
+        return send(200, { domains: Object.keys(records).map(name => ({ name })) });
+      }
+
+      const match = url.pathname.match(/^\/domains\/([^/]+)\/records(?:\/(\d+))?$/);
+      if (!match || !records[match[1]]) {
+        return send(404, { message: 'not found' });
+      }
+
+      const zone = records[match[1]];
+      const id = match[2] ? Number(match[2]) : null;
+
+      if (req.method === 'GET') {
+        return send(200, { domain_records: zone });
+      }
+      if (req.method === 'POST') {
+        const record = { id: nextId++, ...JSON.parse(body) };
+        zone.push(record);
+        return send(201, { domain_record: record });
+      }
+      const record = zone.find(r => r.id === id);
+      if (!record) {
+        return send(404, { message: 'record not found' });
+      }
+      if (req.method === 'PUT') {
+        Object.assign(record, JSON.parse(body));
+        return send(200, { domain_record: record });
+      }
+      if (req.method === 'DELETE') {
+        zone.splice(zone.indexOf(record), 1);
+        return send(204);
+      }
+      return send(405, { message: 'method not allowed' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, records, port: server.address().port }));
+  });
+}
+
+async function testDNSProviderAdapters() {
+  const { server, records, port } = await startDigitalOceanStub();
+  const moduleDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-dns-adapter-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing DNS provider adapters...'));
+
+    const config = {
+      ssl: {
+        domains: ['example.com', 'api.example.com'],
+        dnsProvider: {
+          name: 'digitalocean',
+          credentials: { token: 'test-token' },
+          options: { baseURL: `http://127.0.0.1:${port}` }
+        }
+      }
+    };
+
+    const dnsManager = new DNSManager(config);
+
+    // Test 1: credentials
+    const verification = await dnsManager.provider.verifyCredentials();
+    if (!verification.valid) {
+      throw new Error(`Expected credentials to verify: ${verification.error}`);
+    }
+    console.log(chalk.green('✅ Credentials verified through the adapter'));
+
+    // Test 2: update + create
+    const updated = await dnsManager.updateDomainRecord('example.com', '10.0.0.2');
+    const created = await dnsManager.updateDomainRecord('api.example.com', '10.0.0.2');
+    if (updated.action !== 'updated' || created.action !== 'created') {
+      throw new Error(`Unexpected actions: ${updated.action}, ${created.action}`);
+    }
+    console.log(chalk.green('✅ Records updated and created'));
+
+    // Test 3: status
+    const status = await dnsManager.getDNSStatus('10.0.0.2');
+    if (status.summary.matching !== 2) {
+      throw new Error(`Expected 2 matching records, got ${status.summary.matching}`);
+    }
+    console.log(chalk.green('✅ DNS status reports matching records'));
+
+    // Test 4: cleanup on teardown
+    const cleanup = await dnsManager.removeRecordsPointingToIP('10.0.0.2');
+    if (cleanup.summary.deleted !== 2 || records['example.com'].length !== 1) {
+      throw new Error('Expected both records pointing at the instance to be deleted');
+    }
+    console.log(chalk.green('✅ Records pointing to the instance deleted'));
+
+    // Test 5: third-party adapter loaded from a local module path
+    const modulePath = path.join(moduleDir, 'memory-dns.js');
+    await fs.writeFile(modulePath, `
+const { DNSProviderAdapter } = require(${JSON.stringify(path.join(__dirname, 'lib/dns'))});
+class MemoryDNSProvider extends DNSProviderAdapter {
+  static get displayName() { return 'Memory DNS'; }
+  static get requiredCredentials() { return ['key']; }
+  async verifyCredentials() { return { valid: true }; }
+  async listZones() { return [{ id: 'zone-1', name: 'example.org' }]; }
+  async listRecords() { return this.records || []; }
+  async createRecord(zone, record) { this.records = [{ id: 'r1', ...record }]; return this.records[0]; }
+  async updateRecord(zone, record, changes) { return Object.assign(record, changes); }
+  async deleteRecord() { this.records = []; }
+}
+module.exports = MemoryDNSProvider;
+`);
+
+    const customManager = new DNSManager({
+      ssl: { dnsProvider: { name: 'memory', module: modulePath, credentials: { key: 'x' } } }
+    });
+    const customResult = await customManager.updateDomainRecord('www.example.org', '10.0.0.3');
+    if (customResult.action !== 'created' || customResult.recordName !== 'www') {
+      throw new Error('Expected third-party adapter to create www record');
+    }
+
+    const validation = new DNSManagementService().validateDNSProvider({
+      name: 'memory', module: modulePath, credentials: {}
+    });
+    if (validation.valid) {
+      throw new Error('Expected missing third-party credentials to fail validation');
+    }
+
+    // An adapter that inherits the base class stubs is rejected up front
+    class IncompleteDNSProvider extends DNSProviderAdapter {
+      async listZones() { return []; }
+    }
+    try {
+      registerDNSProvider(IncompleteDNSProvider, 'incomplete');
+      throw new Error('Expected an adapter without its own methods to be rejected');
+    } catch (error) {
+      if (!error.message.includes('missing required methods: verifyCredentials, listRecords')) {
+        throw error;
+      }
+    }
+    console.log(chalk.green('✅ Third-party adapter loaded and validated'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    await fs.remove(moduleDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDNSProviderAdapters();
+}
+
+module.exports = { testDNSProviderAdapters };
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the certbot DNS-01 renewal hooks
+ * Builds the hook bundle for a third-party adapter, runs it the way certbot
+ * does, and installs it through a recording SSH service
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { DNSRenewalHookService, HOOK_DIR } = require('./lib/utils/dns-renewal-hooks');
+const { SSLService } = require('./lib/utils/ssl');
+
+// Third-party adapter keeping its records in a JSON file, so separate hook processes share them
+function fileAdapterSource() {
+  return `const fs = require('fs');
+const { DNSProviderAdapter } = require(${JSON.stringify(path.join(__dirname, 'lib', 'dns', 'base-provider'))});
+const { zoneNames } = require('./zones');
+
+class FileDNSProvider extends DNSProviderAdapter {
+  static get providerName() { return 'file'; }
+  static get displayName() { return 'File DNS'; }
+  load() { return fs.existsSync(this.options.storeFile) ? JSON.parse(fs.readFileSync(this.options.storeFile, 'utf8')) : []; }
+  save(records) { fs.writeFileSync(this.options.storeFile, JSON.stringify(records)); }
+  async verifyCredentials() { return this.credentials.apiKey === 'good' ? { valid: true } : { valid: false, error: 'bad key' }; }
+  async listZones() { return zoneNames.map(name => ({ id: name, name })); }
+  async listRecords(zoneName) { return this.load().filter(record => record.zone === zoneName); }
+  async createRecord(zoneName, record) { const records = this.load(); const created = { ...record, zone: zoneName, id: String(records.length + 1) }; this.save([...records, created]); return created; }
+  async updateRecord(zoneName, record) { return record; }
+  async deleteRecord(zoneName, record) { this.save(this.load().filter(existing => existing.id !== record.id)); }
+}
+
+module.exports = { FileDNSProvider };
+`;
+}
+
+function createRecordingSSH({ checkOutput = '{"provider":"digitalocean","valid":true}', renewalConf = '' } = {}) {
+  const commands = [];
+  const writes = [];
+  return {
+    commands,
+    writes,
+    async executeCommand(host, command) {
+      commands.push(command);
+      if (command.startsWith('command -v node')) {
+        return { code: 0, stdout: '/usr/bin/node\n', stderr: '' };
+      }
+      if (command.includes('certbot-hook.js check')) {
+        return { code: 0, stdout: `${checkOutput}\n`, stderr: '' };
+      }
+      if (command === 'sudo certbot certificates') {
+        return { code: 0, stdout: 'Found the following certs:\n  Certificate Name: example.com\n    Domains: example.com *.example.com\n', stderr: '' };
+      }
+      if (command.includes('/etc/letsencrypt/renewal -name')) {
+        return { code: 0, stdout: renewalConf, stderr: '' };
+      }
+      if (command.includes('systemctl is-active')) {
+        return { code: 0, stdout: 'active\n', stderr: '' };
+      }
+      return { code: 0, stdout: '', stderr: '' };
+    },
+    async writeFile(host, remotePath, content) {
+      writes.push({ path: remotePath, content });
+    }
+  };
+}
+
+async function materialize(bundle, dir) {
+  for (const file of bundle.files) {
+    await fs.outputFile(path.join(dir, file.path), file.content);
+  }
+}
+
+async function testDNSRenewalHooks() {
+  const originalCwd = process.cwd();
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-dns-hooks-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing DNS-01 renewal hooks...'));
+
+    process.chdir(projectDir);
+    await fs.outputFile(path.join(projectDir, 'dns', 'file-provider.js'), fileAdapterSource());
+    await fs.outputFile(path.join(projectDir, 'dns', 'zones.js'), "module.exports = { zoneNames: ['example.com'] };\n");
+    const storeFile = path.join(projectDir, 'records.json');
+    const hookService = new DNSRenewalHookService(createRecordingSSH());
+
+    // Test 1: third-party adapter is bundled with its local requires rewritten
+    const bundle = hookService.buildBundle({
+      name: 'file',
+      module: './dns/file-provider.js',
+      credentials: { apiKey: 'good' },
+      options: { storeFile, propagationTimeout: 0 }
+    });
+    const paths = bundle.files.map(file => file.path).sort();
+    const expected = ['auth-hook.sh', 'certbot-hook.js', 'cleanup-hook.sh', 'config.json', 'lib/dns/base-provider.js', 'package.json', 'project/dns/file-provider.js', 'project/dns/zones.js'];
+    if (JSON.stringify(paths) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected bundle files: ${paths.join(', ')}`);
+    }
+    const adapterFile = bundle.files.find(file => file.path === 'project/dns/file-provider.js');
+    if (!adapterFile.content.includes("require(\"../../lib/dns/base-provider.js\")") || !adapterFile.content.includes("require('./zones.js')")) {
+      throw new Error(`Local requires were not rewritten:\n${adapterFile.content}`);
+    }
+    const configFile = bundle.files.find(file => file.path === 'config.json');
+    if (configFile.mode !== '600' || Object.keys(bundle.dependencies).length !== 0) {
+      throw new Error('config.json must be private and the adapter has no package dependencies');
+    }
+    console.log(chalk.green('✅ Third-party adapter bundled'));
+
+    // Test 2: the bundle runs the way certbot calls it
+    const hookDir = path.join(projectDir, 'hook');
+    await materialize(bundle, hookDir);
+    const env = { ...process.env, CERTBOT_DOMAIN: '*.example.com', CERTBOT_VALIDATION: 'token-123' };
+    const hookScript = path.join(hookDir, 'certbot-hook.js');
+
+    await execFile(process.execPath, [hookScript, 'auth'], { env, timeout: 20000 });
+    const created = await fs.readJson(storeFile);
+    if (created.length !== 1 || created[0].name !== '_acme-challenge' || created[0].type !== 'TXT' || created[0].data !== 'token-123') {
+      throw new Error(`Unexpected records after auth: ${JSON.stringify(created)}`);
+    }
+    await execFile(process.execPath, [hookScript, 'cleanup'], { env, timeout: 20000 });
+    if ((await fs.readJson(storeFile)).length !== 0) {
+      throw new Error('cleanup should remove the challenge record');
+    }
+    const check = await execFile(process.execPath, [hookScript, 'check'], { timeout: 20000 });
+    if (!JSON.parse(check.stdout).valid) {
+      throw new Error(`Credential check failed: ${check.stdout}`);
+    }
+    const hookStatus = await fs.readJson(path.join(hookDir, 'hook-status.json'));
+    if (hookStatus.lastRun.phase !== 'cleanup' || !hookStatus.lastSuccess.success || hookStatus.lastFailure) {
+      throw new Error(`Unexpected hook status: ${JSON.stringify(hookStatus)}`);
+    }
+    try {
+      await execFile(process.execPath, [hookScript, 'auth'], { env: { ...process.env, CERTBOT_DOMAIN: 'other.org', CERTBOT_VALIDATION: 'x' }, timeout: 20000 });
+      throw new Error('auth for an unknown zone should fail');
+    } catch (error) {
+      if (!error.stderr || !error.stderr.includes('No zone for other.org')) {
+        throw error;
+      }
+    }
+    console.log(chalk.green('✅ auth, cleanup and check hooks work against the adapter'));
+
+    // Test 3: built-in adapters bring their package dependencies
+    const builtIn = hookService.buildBundle({ name: 'digitalocean', credentials: { token: 'do-token' } });
+    if (builtIn.dependencies.axios !== require('./package.json').dependencies.axios ||
+        !builtIn.files.some(file => file.path === 'lib/dns/providers/digitalocean.js') ||
+        JSON.parse(builtIn.files.find(file => file.path === 'config.json').content).propagation.timeout !== 300 ||
+        hookService.buildBundle({ name: 'godaddy', credentials: { apiKey: 'k', apiSecret: 's' } })
+          .files.find(file => file.path === 'config.json').content.indexOf('"timeout": 900') === -1) {
+      throw new Error('Unexpected built-in bundle');
+    }
+    console.log(chalk.green('✅ Built-in adapter bundled with its dependencies'));
+
+    // Test 4: install stages over SFTP, locks down the files and verifies credentials
+    const ssh = createRecordingSSH();
+    const config = { ssl: { dnsProvider: { name: 'digitalocean', credentials: { token: 'do-secret-token' } } } };
+    const installed = await new DNSRenewalHookService(ssh).install('203.0.113.10', config, {});
+    if (!installed.credentials.valid || installed.provider !== 'digitalocean') {
+      throw new Error(`Unexpected install result: ${JSON.stringify(installed)}`);
+    }
+    if (ssh.commands.some(command => command.includes('do-secret-token'))) {
+      throw new Error('Credentials must not appear in SSH commands');
+    }
+    const authHook = ssh.writes.find(write => write.path.endsWith('/auth-hook.sh'));
+    if (!ssh.writes.some(write => write.path.endsWith('/config.json') && write.content.includes('do-secret-token')) ||
+        !authHook.content.includes(`exec /usr/bin/node ${HOOK_DIR}/certbot-hook.js auth`) ||
+        !ssh.commands.some(command => command.includes(`sudo chmod 600 ${HOOK_DIR}/config.json`)) ||
+        !ssh.commands.some(command => command.includes(`cd ${HOOK_DIR} && sudo npm install`))) {
+      throw new Error(`Unexpected install commands:\n${ssh.commands.join('\n')}`);
+    }
+    await new DNSRenewalHookService(ssh).attachToCertificates('203.0.113.10', ['example.com', 'bad;name'], {});
+    const sed = ssh.commands.find(command => command.startsWith('sudo sed -i'));
+    if (!sed.includes(`manual_auth_hook = ${HOOK_DIR}/auth-hook.sh`) || !sed.endsWith('/etc/letsencrypt/renewal/example.com.conf') ||
+        ssh.commands.some(command => command.includes('bad;name'))) {
+      throw new Error(`Unexpected renewal conf edit: ${sed}`);
+    }
+    console.log(chalk.green('✅ Hooks installed and attached to certificates'));
+
+    // Test 5: setupSSLRenewal moves manual DNS-01 certificates onto the hooks
+    const renewalSSH = createRecordingSSH({ renewalConf: '[renewalparams]\nauthenticator = manual\npref_challs = dns-01,\n' });
+    const renewal = await new SSLService(renewalSSH).setupSSLRenewal('203.0.113.10', {}, false, config);
+    if (renewal.certificateInfo.hasManualCertificates || !renewal.certificateInfo.automaticCertificates.includes('example.com') ||
+        !renewalSSH.commands.includes('sudo certbot renew --dry-run')) {
+      throw new Error(`Manual certificate was not switched to the hooks: ${JSON.stringify(renewal.certificateInfo)}`);
+    }
+    console.log(chalk.green('✅ Manual DNS-01 certificates renew automatically'));
+
+    // Test 6: ssl-status parsing reports hook health and the next renewal date
+    const now = new Date('2026-03-01T00:00:00Z');
+    const status = DNSRenewalHookService.parseStatus([
+      '=== renewal example.com',
+      'version = 2.9.0',
+      'cert = /etc/letsencrypt/live/example.com/cert.pem',
+      '[renewalparams]',
+      'authenticator = manual',
+      `manual_auth_hook = ${HOOK_DIR}/auth-hook.sh`,
+      'pref_challs = dns-01,',
+      '=== enddate example.com',
+      'notAfter=May 20 12:00:00 2026 GMT',
+      '=== renewal legacy.org',
+      'renew_before_expiry = 45 days',
+      '[renewalparams]',
+      'authenticator = manual',
+      '=== enddate legacy.org',
+      'notAfter=Mar 20 12:00:00 2026 GMT',
+      '=== hook-config',
+      '{"provider":{"name":"digitalocean","credentials":{"token":"x"}}}',
+      '=== hook-status',
+      '{"lastRun":{"phase":"auth","success":false,"error":"401"}}',
+      '=== timer',
+      'inactive',
+      'active'
+    ].join('\n'), now);
+    const [hooked, legacy] = status.certificates;
+    if (!status.hooks.installed || status.hooks.provider !== 'digitalocean' || status.hooks.credentials || !status.timerActive ||
+        status.hooks.lastRun.error !== '401' ||
+        !hooked.usesHooks || !hooked.automatic || hooked.challenge !== 'dns-01' || hooked.nextRenewal !== '2026-04-20T12:00:00.000Z' ||
+        legacy.automatic || legacy.nextRenewal !== 'next timer run' || !legacy.renewalDue || legacy.daysUntilExpiry !== 20) {
+      throw new Error(`Unexpected status: ${JSON.stringify(status)}`);
+    }
+    console.log(chalk.green('✅ Renewal status parsed'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    await fs.remove(projectDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDNSRenewalHooks();
+}
+
+module.exports = { testDNSRenewalHooks };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for DNS zone export/import and drift plans
+ * Runs DNSManager against an in-memory adapter
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DNSManager } = require('./lib/utils/dns-manager');
+const { DNSProviderAdapter } = require('./lib/dns/base-provider');
+const { serializeZone, parseZone, detectZoneFormat } = require('./lib/dns/zone-file');
+
+class MemoryDNSProvider extends DNSProviderAdapter {
+  constructor(zones) {
+    super({}, {});
+    this.zones = zones;
+    this.nextId = 100;
+  }
+
+  static get providerName() {
+    return 'memory';
+  }
+
+  static get displayName() {
+    return 'Memory';
+  }
+
+  async listZones() {
+    return Object.keys(this.zones).map(name => ({ id: name, name }));
+  }
+
+  async listRecords(zoneName) {
+    return this.zones[zoneName].map(record => ({ ...record }));
+  }
+
+  async createRecord(zoneName, record) {
+    const created = { id: this.nextId++, name: record.name, type: record.type, data: record.data, ttl: record.ttl };
+    if (record.priority !== undefined) {
+      created.priority = record.priority;
+    }
+    this.zones[zoneName].push(created);
+    return created;
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    const existing = this.zones[zoneName].find(candidate => candidate.id === record.id);
+    Object.assign(existing, { data: changes.data, ttl: changes.ttl });
+    if (changes.priority !== undefined) {
+      existing.priority = changes.priority;
+    }
+    return existing;
+  }
+
+  async deleteRecord(zoneName, record) {
+    this.zones[zoneName] = this.zones[zoneName].filter(candidate => candidate.id !== record.id);
+  }
+}
+
+function sampleZones() {
+  return {
+    'example.com': [
+      { id: 1, name: '@', type: 'SOA', data: 'ns1.example.net. hostmaster.example.com. 1 7200 3600 1209600 3600', ttl: 3600 },
+      { id: 2, name: '@', type: 'NS', data: 'ns1.example.net', ttl: 86400 },
+      { id: 3, name: '@', type: 'A', data: '10.0.0.1', ttl: 300 },
+      { id: 4, name: 'www', type: 'CNAME', data: 'example.com', ttl: 300 },
+      { id: 5, name: '@', type: 'MX', data: 'mail.example.com', priority: 10, ttl: 3600 },
+      { id: 6, name: '@', type: 'TXT', data: `v=spf1 ${'include:_spf.example.com '.repeat(12)}~all`, ttl: 3600 },
+      { id: 7, name: 'legacy', type: 'A', data: '10.0.0.7', ttl: 300 }
+    ]
+  };
+}
+
+async function testDNSZoneFiles() {
+  const backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-dns-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing DNS zone export, import and plans...'));
+
+    // Test 1: exports round-trip through BIND and YAML
+    const provider = new MemoryDNSProvider(sampleZones());
+    const dnsManager = new DNSManager({}, provider);
+    const snapshot = await dnsManager.exportZone('example.com');
+    if (snapshot.records.some(record => record.type === 'SOA') || snapshot.provider !== 'memory') {
+      throw new Error('Expected export without SOA records');
+    }
+
+    const bind = serializeZone(snapshot, 'bind');
+    if (!bind.includes('$ORIGIN example.com.') || !/MX\s+10 mail\.example\.com\./.test(bind) || !/www\s+300\s+IN\s+CNAME\s+example\.com\./.test(bind)) {
+      throw new Error(`Unexpected BIND output:\n${bind}`);
+    }
+
+    for (const format of ['bind', 'yaml']) {
+      const parsed = parseZone(serializeZone(snapshot, format), format);
+      const plan = await dnsManager.planZoneChanges(parsed.zone, parsed.records);
+      if (parsed.zone !== 'example.com' || plan.create.length + plan.update.length + plan.delete.length !== 0) {
+        throw new Error(`${format} round trip produced changes: ${JSON.stringify(plan)}`);
+      }
+    }
+    if (detectZoneFormat('zone.yml') !== 'yaml' || detectZoneFormat('example.com.zone') !== 'bind') {
+      throw new Error('Unexpected format detection');
+    }
+    console.log(chalk.green('✅ Zones round-trip through BIND and YAML'));
+
+    // Test 2: hand-written BIND files with directives and multi-line records
+    const handWritten = parseZone([
+      '$ORIGIN example.org.',
+      '$TTL 600',
+      '@   IN SOA ns1.example.org. admin.example.org. (',
+      '        2024010101 ; serial',
+      '        7200 3600 1209600 3600 )',
+      '@       IN  A     10.1.0.1',
+      '        IN  TXT   "hello; world"',
+      'api 60  IN  A     10.1.0.2 ; comment',
+      'mail.example.org.  IN  MX  5 mx.example.org.'
+    ].join('\n'), 'bind');
+    const [apexA, apexTxt, api, mx] = handWritten.records;
+    if (handWritten.records.length !== 4 || apexA.ttl !== 600 || apexTxt.name !== '@' || apexTxt.data !== 'hello; world' ||
+        api.ttl !== 60 || mx.name !== 'mail' || mx.priority !== 5 || mx.data !== 'mx.example.org.') {
+      throw new Error(`Unexpected parse: ${JSON.stringify(handWritten.records)}`);
+    }
+    console.log(chalk.green('✅ BIND directives, comments and parentheses parsed'));
+
+    // Test 3: plans create, update, delete and leave other records alone
+    const desired = [
+      { name: '@', type: 'A', data: '10.0.0.2', ttl: 300 },
+      { name: 'www', type: 'CNAME', data: 'example.com.', ttl: 600 },
+      { name: 'api', type: 'A', data: '10.0.0.2', ttl: 300 },
+      { name: '@', type: 'MX', data: 'mail.example.com', priority: 10, ttl: 3600 }
+    ];
+    const plan = await dnsManager.planZoneChanges('example.com', desired);
+    const updatedApex = plan.update.find(({ record }) => record.type === 'A');
+    const updatedWww = plan.update.find(({ record }) => record.type === 'CNAME');
+    if (plan.create.length !== 1 || plan.create[0].name !== 'api' || plan.update.length !== 2 ||
+        updatedApex.changes.data !== '10.0.0.2' || updatedWww.changes.ttl !== 600 ||
+        plan.delete.length !== 0 || plan.unchanged.length !== 1) {
+      throw new Error(`Unexpected plan: ${JSON.stringify(plan)}`);
+    }
+
+    const pruned = await dnsManager.planZoneChanges('example.com', desired, { prune: true });
+    const prunedNames = pruned.delete.map(record => `${record.name}/${record.type}`).sort();
+    if (JSON.stringify(prunedNames) !== JSON.stringify(['@/TXT', 'legacy/A'])) {
+      throw new Error(`Unexpected prune plan: ${prunedNames.join(', ')}`);
+    }
+    console.log(chalk.green('✅ Change plans computed (SOA and apex NS untouched)'));
+
+    // Test 4: dry runs change nothing, applying reaches the desired state
+    const dryRun = await dnsManager.applyZonePlan(pruned, { dryRun: true });
+    if (dryRun.results.length !== 5 || provider.zones['example.com'].length !== 7) {
+      throw new Error('Dry run should not change records');
+    }
+
+    const applied = await dnsManager.applyZonePlan(pruned);
+    const after = await dnsManager.planZoneChanges('example.com', desired, { prune: true });
+    if (!applied.success || applied.summary.created !== 1 || applied.summary.updated !== 2 || applied.summary.deleted !== 2 ||
+        after.create.length + after.update.length + after.delete.length !== 0) {
+      throw new Error(`Unexpected apply result: ${JSON.stringify(applied.summary)}`);
+    }
+    console.log(chalk.green('✅ Plans applied'));
+
+    // Test 5: teardown backs up zones before deleting
+    const teardownProvider = new MemoryDNSProvider(sampleZones());
+    const teardown = await new DNSManager({}, teardownProvider).removeRecordsPointingToIP('10.0.0.1', { backupDir });
+    const backupFiles = await fs.readdir(backupDir);
+    if (teardown.summary.deleted !== 1 || teardown.backups.length !== 1 || backupFiles.length !== 1 || !/^example\.com-\d{8}T\d{6}\.zone$/.test(backupFiles[0])) {
+      throw new Error(`Unexpected teardown: ${JSON.stringify({ summary: teardown.summary, backupFiles })}`);
+    }
+    const restored = parseZone(await fs.readFile(path.join(backupDir, backupFiles[0]), 'utf8'), 'bind');
+    if (!restored.records.some(record => record.type === 'A' && record.name === '@' && record.data === '10.0.0.1')) {
+      throw new Error('Backup should contain the deleted record');
+    }
+
+    // A failed backup must stop the deletion
+    const blocked = new MemoryDNSProvider(sampleZones());
+    const blockedFile = path.join(backupDir, 'not-a-directory');
+    await fs.writeFile(blockedFile, '');
+    try {
+      await new DNSManager({}, blocked).removeRecordsPointingToIP('10.0.0.1', { backupDir: blockedFile });
+      throw new Error('Expected backup failure to abort cleanup');
+    } catch (error) {
+      if (blocked.zones['example.com'].length !== 7) {
+        throw new Error('Records were deleted without a backup');
+      }
+    }
+    console.log(chalk.green('✅ Zones backed up before teardown'));
+
+    // Test 6: config.json-style provider settings
+    const wizardManager = new DNSManager({ dnsConfig: { enabled: true, provider: 'digitalocean', credentials: { token: 'token' } } });
+    if (wizardManager.provider.constructor.providerName !== 'digitalocean') {
+      throw new Error('Expected wizard dnsConfig to select the DigitalOcean adapter');
+    }
+    console.log(chalk.green('✅ Wizard DNS configuration accepted'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(backupDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testDNSZoneFiles();
+}
+
+module.exports = { testDNSZoneFiles };
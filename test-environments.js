@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for named environments
+ * Covers config inheritance, per-environment state files, scoped saving and resource names
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { execFileSync } = require('child_process');
+const { ConfigLoader } = require('./lib/config/loader');
+const { StateManager } = require('./lib/utils/state');
+const S3Manager = require('./lib/aws/s3');
+const DeploymentExecutor = require('./lib/wizard/deployment-executor');
+const {
+  setActiveEnvironment,
+  applyEnvironment,
+  getResourcePrefix,
+  getEnvironmentTag
+} = require('./lib/utils/environment');
+
+function sampleConfig() {
+  return {
+    project: { name: 'my-app' },
+    aws: {
+      region: 'us-east-1',
+      accessKeyId: 'AKIAEXAMPLE',
+      secretAccessKey: 'secret',
+      instanceType: 't3.small',
+      instanceId: 'i-production'
+    },
+    ssl: { domains: ['example.com', 'www.example.com'], email: 'admin@example.com' },
+    app: { branch: 'main', environment: { LOG_LEVEL: 'info', API_URL: 'https://api.example.com' } },
+    environments: {
+      staging: {
+        aws: { instanceType: 't3.micro' },
+        ssl: { domains: ['staging.example.com'] },
+        app: { branch: 'develop', environment: { API_URL: 'https://api.staging.example.com' } }
+      },
+      production: {}
+    }
+  };
+}
+
+async function testEnvironments() {
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-env-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing named environments...'));
+
+    // Test 1: overrides are merged over the shared configuration
+    const staging = applyEnvironment(sampleConfig(), 'staging');
+    if (staging.environmentName !== 'staging' || staging.environments ||
+        staging.aws.instanceType !== 't3.micro' || staging.aws.region !== 'us-east-1' ||
+        staging.ssl.domains.length !== 1 || staging.ssl.email !== 'admin@example.com' ||
+        staging.app.branch !== 'develop' || staging.app.environment.LOG_LEVEL !== 'info' ||
+        staging.app.environment.API_URL !== 'https://api.staging.example.com') {
+      throw new Error(`Unexpected merged configuration: ${JSON.stringify(staging)}`);
+    }
+    if (staging.aws.instanceId) {
+      throw new Error('Resource IDs must not be inherited from the shared configuration');
+    }
+
+    const shared = applyEnvironment(sampleConfig(), null);
+    if (shared.aws.instanceId !== 'i-production' || !shared.environments) {
+      throw new Error('Without an environment the configuration should be unchanged');
+    }
+    console.log(chalk.green('✅ Environment overrides inherited and merged'));
+
+    // Test 2: unknown and invalid environments are rejected
+    try {
+      applyEnvironment(sampleConfig(), 'qa');
+      throw new Error('Expected an unknown environment to be rejected');
+    } catch (error) {
+      if (!error.message.includes('"qa" is not defined')) {
+        throw error;
+      }
+    }
+    try {
+      setActiveEnvironment('Prod/1');
+      throw new Error('Expected an invalid environment name to be rejected');
+    } catch (error) {
+      if (!error.message.includes('Invalid environment name')) {
+        throw error;
+      }
+    }
+    // Only the CLI validates FOCAL_DEPLOY_ENV, so loading the module (and --help) never throws
+    execFileSync(process.execPath, ['-e', "require('./lib/utils/environment')"], {
+      cwd: __dirname,
+      env: { ...process.env, FOCAL_DEPLOY_ENV: 'Prod/1' },
+      stdio: 'pipe'
+    });
+    console.log(chalk.green('✅ Unknown and invalid environments rejected'));
+
+    // Test 3: each environment has its own state file
+    const executor = new DeploymentExecutor();
+    setActiveEnvironment('staging');
+    const stagingState = new StateManager();
+    const stagingResume = executor.getDeploymentStatePath(projectDir);
+    setActiveEnvironment(null);
+    const defaultState = new StateManager();
+    const defaultResume = executor.getDeploymentStatePath(projectDir);
+    if (path.basename(stagingState.stateFilePath) !== '.focal-deploy-state.staging.json' ||
+        path.basename(defaultState.stateFilePath) !== '.focal-deploy-state.json') {
+      throw new Error(`Unexpected state files: ${stagingState.stateFilePath}, ${defaultState.stateFilePath}`);
+    }
+    if (path.basename(stagingResume) !== 'deployment-state.staging.json' || path.basename(defaultResume) !== 'deployment-state.json') {
+      throw new Error(`Unexpected resume state files: ${stagingResume}, ${defaultResume}`);
+    }
+    console.log(chalk.green('✅ Per-environment state files'));
+
+    // Test 4: loading and saving focal-deploy.yml for an environment
+    const loader = new ConfigLoader();
+    loader.configPath = path.join(projectDir, 'focal-deploy.yml');
+    await fs.writeFile(loader.configPath, yaml.dump(sampleConfig()), 'utf8');
+
+    setActiveEnvironment('staging');
+    const loaded = await loader.load();
+    loaded.aws.instanceId = 'i-staging';
+    loaded.aws.securityGroupId = 'sg-staging';
+    await loader.save(loaded);
+    setActiveEnvironment(null);
+
+    const saved = yaml.load(await fs.readFile(loader.configPath, 'utf8'));
+    const savedStaging = saved.environments.staging;
+    if (saved.aws.instanceId !== 'i-production' || saved.aws.instanceType !== 't3.small' || saved.aws.securityGroupId ||
+        savedStaging.aws.instanceId !== 'i-staging' || savedStaging.aws.securityGroupId !== 'sg-staging' ||
+        savedStaging.aws.instanceType !== 't3.micro' || savedStaging.aws.region ||
+        savedStaging.app.environment.LOG_LEVEL || !saved.environments.production) {
+      throw new Error(`Unexpected saved configuration:\n${yaml.dump(saved)}`);
+    }
+    console.log(chalk.green('✅ Saving writes only the environment overrides'));
+
+    // Test 5: resource names and tags include the environment
+    const s3Manager = new S3Manager('us-east-1', { accessKeyId: 'x', secretAccessKey: 'y' });
+    const bucketName = s3Manager.generateBucketName(getResourcePrefix({ project: { name: 'a'.repeat(30) }, environmentName: 'b'.repeat(31) }), 'ap-southeast-2');
+    if (getResourcePrefix(staging) !== 'my-app-staging' || getResourcePrefix(shared) !== 'my-app' ||
+        getEnvironmentTag(staging) !== 'staging' || getEnvironmentTag(shared) !== 'production' ||
+        bucketName.length > 63 || bucketName.includes('--')) {
+      throw new Error(`Unexpected resource naming: ${getResourcePrefix(staging)}, ${bucketName}`);
+    }
+    console.log(chalk.green('✅ Resource names and tags include the environment'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    setActiveEnvironment(null);
+    await fs.remove(projectDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testEnvironments();
+}
+
+module.exports = { testEnvironments };
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for opt-in IPv6 dual-stack support
+ * Covers security group rules, AAAA records, AAAA verification and nginx listen directives
+ */
+
+const chalk = require('chalk');
+const SecurityGroupManager = require('./lib/aws/security-groups');
+const { DNSManager } = require('./lib/utils/dns-manager');
+const { DNSProviderAdapter } = require('./lib/dns/base-provider');
+const { SSLService } = require('./lib/utils/ssl');
+const { EnhancedSSLService } = require('./lib/utils/enhanced-ssl');
+const { isDualStackEnabled, sameAddress } = require('./lib/utils/ipv6');
+
+class MemoryDNSProvider extends DNSProviderAdapter {
+  constructor(records) {
+    super({}, {});
+    this.records = records;
+    this.nextId = 100;
+  }
+
+  async listZones() {
+    return [{ id: 'example.com', name: 'example.com' }];
+  }
+
+  async listRecords() {
+    return this.records.map(record => ({ ...record }));
+  }
+
+  async createRecord(zoneName, record) {
+    const created = { id: this.nextId++, name: record.name, type: record.type, data: record.data, ttl: record.ttl };
+    this.records.push(created);
+    return created;
+  }
+
+  async updateRecord(zoneName, record, changes) {
+    const existing = this.records.find(candidate => candidate.id === record.id);
+    Object.assign(existing, { data: changes.data, ttl: changes.ttl });
+    return existing;
+  }
+
+  async deleteRecord(zoneName, record) {
+    this.records = this.records.filter(candidate => candidate.id !== record.id);
+  }
+}
+
+async function testIPv6DualStack() {
+  try {
+    console.log(chalk.blue('🧪 Testing IPv6 dual-stack support...'));
+
+    // Test 1: opt-in flag
+    if (isDualStackEnabled({ aws: {} }) || !isDualStackEnabled({ aws: { ipv6: true } }) || !isDualStackEnabled({ infrastructure: { ipv6: true } })) {
+      throw new Error('Unexpected dual-stack detection');
+    }
+    console.log(chalk.green('✅ Dual-stack is opt-in'));
+
+    // Test 2: security group rules
+    const sgManager = new SecurityGroupManager('us-east-1', { accessKeyId: 'x', secretAccessKey: 'y' });
+    const config = { aws: { ipv6: true }, deployment: { port: 8080 }, database: { port: 5432 } };
+    const ipv4Rules = sgManager.generateSecurityGroupRules({ ...config, aws: {} });
+    const dualRules = sgManager.generateSecurityGroupRules(config);
+    if (ipv4Rules.some(rule => rule.Ipv6Ranges)) {
+      throw new Error('IPv4-only config should not open IPv6 ranges');
+    }
+    const ipv6Ports = dualRules.filter(rule => rule.Ipv6Ranges?.[0]?.CidrIpv6 === '::/0').map(rule => rule.FromPort);
+    if (JSON.stringify(ipv6Ports) !== JSON.stringify([22, 2847, 80, 443, 8080])) {
+      throw new Error(`Unexpected IPv6 ports: ${ipv6Ports.join(', ')}`);
+    }
+
+    const mixedRule = sgManager.createRule('tcp', 443, 443, ['0.0.0.0/0', '::/0'], 'HTTPS access');
+    if (mixedRule.IpRanges.length !== 1 || mixedRule.Ipv6Ranges?.[0]?.CidrIpv6 !== '::/0') {
+      throw new Error(`createRule should split IPv4 and IPv6 CIDRs: ${JSON.stringify(mixedRule)}`);
+    }
+    console.log(chalk.green('✅ IPv6 ingress rules generated for public ports only'));
+
+    // Test 3: AAAA records next to A records, removed on teardown
+    const provider = new MemoryDNSProvider([
+      { id: 1, name: '@', type: 'A', data: '203.0.113.10', ttl: 300 },
+      { id: 2, name: 'www', type: 'AAAA', data: '2600:1f18:0:0:0:0:0:99', ttl: 300 }
+    ]);
+    const dnsManager = new DNSManager({ ssl: { domains: ['example.com', 'www.example.com'] } }, provider);
+    const update = await dnsManager.updateAllDomains('203.0.113.10', { ipv6Address: '2600:1f18::1' });
+    const aaaa = provider.records.filter(record => record.type === 'AAAA');
+    if (!update.success || aaaa.length !== 2 || !aaaa.every(record => sameAddress(record.data, '2600:1f18::1'))) {
+      throw new Error(`Unexpected AAAA records: ${JSON.stringify(provider.records)}`);
+    }
+
+    const unchanged = await dnsManager.updateDomainRecord('example.com', '2600:1F18:0::1');
+    if (unchanged.action !== 'no_change' || unchanged.recordType !== 'AAAA') {
+      throw new Error(`Expected equivalent IPv6 notation to match, got ${unchanged.action}`);
+    }
+
+    const cleanup = await dnsManager.removeRecordsPointingToIP('203.0.113.10', { ipv6Address: '2600:1f18::1' });
+    if (cleanup.summary.deleted !== 4 || provider.records.length !== 0) {
+      throw new Error(`Expected A and AAAA records to be deleted: ${JSON.stringify(cleanup.summary)}`);
+    }
+    console.log(chalk.green('✅ AAAA records created and removed'));
+
+    // Test 4: AAAA propagation checks use resolve6
+    const lookups = [];
+    const resolver = async (domain) => {
+      lookups.push(domain);
+      return ['2600:1f18:0:0:0:0:0:1'];
+    };
+    const verification = await dnsManager.verifyDNSPropagation('example.com', '2600:1f18::1', { resolver, timeout: 1000 });
+    if (!verification.success || verification.recordType !== 'AAAA' || lookups.length !== 1) {
+      throw new Error(`Unexpected AAAA verification: ${JSON.stringify(verification)}`);
+    }
+    console.log(chalk.green('✅ AAAA propagation verified'));
+
+    // Test 5: nginx listens on [::] only when dual-stack is on
+    const sslService = Object.create(SSLService.prototype);
+    const single = sslService.generateNginxSSLConfig('example.com', 3000, '/cert.pem', '/key.pem', { dualStack: true });
+    const legacy = sslService.generateNginxSSLConfig('example.com', 3000, '/cert.pem', '/key.pem');
+    const multi = Object.create(EnhancedSSLService.prototype).generateMultiDomainNginxSSLConfig(
+      [{ domain: 'example.com' }, { domain: 'www.example.com' }], 3000, '/cert.pem', '/key.pem', { dualStack: true }
+    );
+    for (const nginxConfig of [single, multi]) {
+      if (!nginxConfig.includes('    listen [::]:80;') || !nginxConfig.includes('    listen [::]:443 ssl http2;')) {
+        throw new Error(`Expected IPv6 listen directives:\n${nginxConfig}`);
+      }
+    }
+    if (legacy.includes('[::]')) {
+      throw new Error('IPv4-only nginx config should not listen on [::]');
+    }
+    console.log(chalk.green('✅ nginx listens on IPv4 and IPv6'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testIPv6DualStack();
+}
+
+module.exports = { testIPv6DualStack };
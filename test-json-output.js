@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for --output json and --log-level
+ * Runs small programs in child processes (the settings are process-wide) and
+ * checks that stdout holds exactly one document and stderr only JSON lines
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { FocalDeployError, ErrorHandler } = require('./lib/utils/errors');
+const { Logger } = require('./lib/utils/logger');
+
+const root = __dirname;
+
+function runIn(source, cwd) {
+  const script = `
+    const { Logger, logger } = require(${JSON.stringify(path.join(root, 'lib/utils/logger'))});
+    const { ErrorHandler, FocalDeployError } = require(${JSON.stringify(path.join(root, 'lib/utils/errors'))});
+    const chalk = require(${JSON.stringify(require.resolve('chalk'))});
+    ${source}
+  `;
+  return new Promise(resolve => {
+    execFile(process.execPath, ['-e', script], { cwd, timeout: 20000, env: { ...process.env, FORCE_COLOR: '1', DEBUG: '' } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function jsonLines(text) {
+  return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+async function testJSONOutput() {
+  console.log(chalk.blue('🧪 Testing JSON output and log levels...\n'));
+
+  // The child programs run outside the repository so nothing they write lands in tracked files
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-json-output-'));
+  const run = source => runIn(source, dir);
+
+  try {
+    // Test 1: logs go to stderr as JSON lines, stdout holds the result document
+    const success = await run(`
+      Logger.configure({ output: 'json', level: 'info', command: 'status' });
+      logger.info(chalk.blue('🔍 Checking status...'));
+      console.log(chalk.bold('Report table row'));
+      logger.debug('hidden');
+      const spinner = Logger.spinner('Loading configuration...');
+      spinner.text = 'Checking AWS resources...';
+      spinner.succeed('Status check completed');
+      Logger.json({ printed: 'twice' });
+      Logger.printResult({ overall: 'healthy' });
+      Logger.printResult({ overall: 'second' });
+    `);
+    const document = JSON.parse(success.stdout);
+    if (success.code !== 0 || document.command !== 'status' || !document.success || document.result.overall !== 'healthy') {
+      throw new Error(`Unexpected result document: ${success.stdout}`);
+    }
+    const logs = jsonLines(success.stderr);
+    if (logs.map(line => `${line.level}:${line.message}`).join('|') !== 'info:🔍 Checking status...|info:Report table row|info:Status check completed' ||
+        logs.some(line => line.command !== 'status' || Number.isNaN(Date.parse(line.time)))) {
+      throw new Error(`Unexpected log lines: ${success.stderr}`);
+    }
+    console.log(chalk.green('✅ One result document on stdout, JSON log lines on stderr'));
+
+    // Test 2: errors carry the FocalDeployError code and suggestions
+    const failure = await run(`
+      Logger.configure({ output: 'json', command: 'dns-status' });
+      ErrorHandler.handle(new FocalDeployError('Remote state is locked', 'Run "focal-deploy state unlock"', 'STATE_LOCKED'));
+      process.exit(1);
+    `);
+    const error = JSON.parse(failure.stdout);
+    if (failure.code !== 1 || error.success || error.error.code !== 'STATE_LOCKED' ||
+        error.error.message !== 'Remote state is locked' || error.error.suggestions[0] !== 'Run "focal-deploy state unlock"') {
+      throw new Error(`Unexpected error document: ${failure.stdout}`);
+    }
+    console.log(chalk.green('✅ Error document includes the error code'));
+
+    // Test 3: commands that exit on their own still print one document
+    const exited = await run(`
+      Logger.configure({ output: 'json', command: 'app-restart' });
+      logger.error(chalk.red('❌ Failed to restart application: connection refused'));
+      process.exit(1);
+    `);
+    const quiet = await run(`
+      Logger.configure({ output: 'json', level: 'silent', command: 'init' });
+      logger.warn('not shown');
+    `);
+    const exitedDocument = JSON.parse(exited.stdout);
+    if (exitedDocument.error.code !== 'COMMAND_FAILED' || exitedDocument.error.message !== 'Failed to restart application: connection refused' ||
+        JSON.parse(quiet.stdout).result !== null || quiet.stderr !== '') {
+      throw new Error(`Unexpected fallback documents: ${exited.stdout} ${quiet.stdout} ${quiet.stderr}`);
+    }
+    console.log(chalk.green('✅ Early exits and silent runs print a document'));
+
+    // Test 4: text output honours the log level
+    const text = await run(`
+      Logger.configure({ level: 'warn' });
+      logger.info('hidden info');
+      logger.warn('shown warning');
+      Logger.json({ report: true });
+      Logger.printResult({ ignored: true });
+    `);
+    if (text.stdout.includes('hidden info') || !text.stdout.includes('shown warning') || !text.stdout.includes('"report": true') || text.stdout.includes('ignored')) {
+      throw new Error(`Unexpected text output: ${text.stdout}`);
+    }
+    const invalid = await run(`
+      try { Logger.configure({ output: 'yaml' }); } catch (error) { console.log(error.message); }
+    `);
+    if (!invalid.stdout.startsWith('Unknown output format "yaml"')) {
+      throw new Error(`Invalid format accepted: ${invalid.stdout}`);
+    }
+    console.log(chalk.green('✅ Text output filtered by log level'));
+
+    // Test 5: the restore function undoes JSON mode for the rest of the process
+    const consoleLog = console.log;
+    const exitListeners = process.listenerCount('exit');
+    const restore = Logger.configure({ output: 'json', level: 'warn', command: 'status' });
+    if (console.log === consoleLog || process.listenerCount('exit') !== exitListeners + 1) {
+      throw new Error('JSON output did not take over the console');
+    }
+    restore();
+    if (console.log !== consoleLog || process.listenerCount('exit') !== exitListeners || Logger.isJSON() || !Logger.isEnabled('info')) {
+      throw new Error('JSON output was not restored');
+    }
+    console.log(chalk.green('✅ Restoring the settings puts the console and exit handler back'));
+
+    // Test 6: error factories set the code and suggestions in the right places
+    const awsError = ErrorHandler.createAWSError({ Code: 'UnauthorizedOperation', message: 'denied' });
+    const validationError = ErrorHandler.createValidationError('region', 'mars-1', ['Use an AWS region such as us-east-1']);
+    const configError = ErrorHandler.createConfigError('Bad config', ['Run "focal-deploy init"']);
+    if (!(awsError instanceof FocalDeployError) || awsError.code !== 'UnauthorizedOperation' || awsError.suggestion !== '' || awsError.suggestions.length !== 3 ||
+        validationError.code !== 'VALIDATION_ERROR' || validationError.suggestions[0] !== 'Use an AWS region such as us-east-1' ||
+        configError.code !== 'CONFIG_ERROR' || configError.suggestions.length !== 1) {
+      throw new Error(`Unexpected error factory results: ${JSON.stringify([awsError, validationError, configError])}`);
+    }
+    console.log(chalk.green('✅ Error factories set codes and suggestions'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testJSONOutput();
+}
+
+module.exports = { testJSONOutput };
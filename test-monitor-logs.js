@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for monitor-logs streaming
+ * Checks parsing and filters, resumes a dropped stream against a stand-in
+ * for SSH, and runs the generated tail script on local files
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const { LogStream, parseTimestamp, detectLevel } = require('./lib/monitoring/log-stream');
+
+const config = { projectName: 'demo' };
+
+function journalLine(cursor, time, priority, message) {
+  return `app\t${JSON.stringify({ __CURSOR: cursor, __REALTIME_TIMESTAMP: String(time * 1000), PRIORITY: String(priority), MESSAGE: message })}`;
+}
+
+async function testMonitorLogs() {
+  console.log(chalk.blue('🧪 Testing monitor-logs streaming...\n'));
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-deploy-logs-'));
+
+  try {
+    // Test 1: timestamps and levels of each source
+    const access = '203.0.113.7 - - [01/Mar/2026:13:00:05 +0100] "GET /api HTTP/1.1" 502 157 "-" "curl/8.0"';
+    const error = '2026/03/01 12:00:06 [crit] 812#812: *3 connect() failed (111: Connection refused)';
+    const fail2ban = '2026-03-01 12:00:07,123 fail2ban.actions [611]: NOTICE [sshd] Ban 198.51.100.4';
+    const health = '[2026-03-01 12:00:08] ❌ Application is not responding';
+    const expected = Date.UTC(2026, 2, 1, 12, 0, 5);
+    if (parseTimestamp('nginx-access', access) !== expected || parseTimestamp('nginx-error', error) !== expected + 1000 ||
+        parseTimestamp('fail2ban', fail2ban) !== expected + 2000 || parseTimestamp('health', health) !== expected + 3000 ||
+        parseTimestamp('health', '    at Server.listen') !== null) {
+      throw new Error('Timestamps parsed incorrectly');
+    }
+    const levels = [
+      detectLevel('nginx-access', access), detectLevel('nginx-access', access.replace('502', '404')), detectLevel('nginx-access', access.replace('502', '200')),
+      detectLevel('nginx-error', error), detectLevel('fail2ban', fail2ban), detectLevel('health', health), detectLevel('health', '[2026-03-01 12:00:08] ⚠️ High CPU usage: 91%')
+    ];
+    if (levels.join() !== 'error,warning,info,error,notice,error,warning') {
+      throw new Error(`Unexpected levels: ${levels}`);
+    }
+    console.log(chalk.green('✅ Timestamps and levels parsed for every source'));
+
+    // Test 2: --source, --level, --grep and --since
+    try {
+      new LogStream(null, config, { sources: ['app', 'syslog'] });
+      throw new Error('Accepted an unknown source');
+    } catch (err) {
+      if (!err.message.startsWith('Unknown log source(s): syslog')) {
+        throw err;
+      }
+    }
+    const filtered = new LogStream(null, config, {
+      sources: ['app', 'nginx-error'], level: 'warning', grep: 'REFUSED|timeout', since: new Date(expected - 60000)
+    });
+    const script = filtered.buildScript();
+    if (!script.includes(`journalctl -u 'demo' --no-pager -o json --since @${(expected - 60000) / 1000} -n all`) ||
+        !script.includes("tail -n 5000 '/var/log/nginx/error.log'") || script.includes('fail2ban') || script.includes(' -f')) {
+      throw new Error(`Unexpected script:\n${script}`);
+    }
+    const shown = [];
+    filtered.createLineHandler(entry => shown.push(entry))([
+      journalLine('c1', expected, 3, 'Upstream timeout'),
+      journalLine('c2', expected, 6, 'Request timeout handled'),
+      journalLine('c3', expected - 120000, 3, 'Old timeout'),
+      `nginx-error\t${error}`,
+      'nginx-error\t    upstream: "http://127.0.0.1:3000/"',
+      `fail2ban\t${fail2ban}`,
+      'Connection to host closed.',
+      ''
+    ].join('\r\n'));
+    if (shown.map(entry => `${entry.source}:${entry.level}:${entry.time}`).join() !== `app:error:${expected},nginx-error:error:${expected + 1000}`) {
+      throw new Error(`Unexpected filtered entries: ${JSON.stringify(shown)}`);
+    }
+    console.log(chalk.green('✅ Source, level, pattern and time filters applied'));
+
+    // Test 3: a dropped stream resumes after the last line without repeats
+    const commands = [];
+    const chunks = [
+      [journalLine('c1', 100, 6, 'first'), `health\t[2026-03-01 12:00:08] ok 1`, `health\t[2026-03-01 12:00:08] ok 2`, ''].join('\n'),
+      [journalLine('c2', 200, 6, 'second'), `health\t[2026-03-01 12:00:08] ok 1`, `health\t[2026-03-01 12:00:08] ok 2`,
+        `health\t[2026-03-01 12:00:09] ok 3`, ''].join('\n')
+    ];
+    const logStream = new LogStream({
+      streamCommand: async (host, command, options, handlers) => {
+        commands.push({ command, options });
+        if (commands.length === 2) {
+          throw new Error('connect ETIMEDOUT');
+        }
+        const chunk = chunks.shift();
+        let close;
+        const done = new Promise(resolve => { close = resolve; });
+        setImmediate(() => {
+          handlers.onData(chunk.slice(0, 10));
+          handlers.onData(chunk.slice(10));
+          if (chunks.length === 0) {
+            logStream.stop();
+          }
+          close({ code: null });
+        });
+        return { done, close: () => close({ code: null }) };
+      }
+    }, config, { sources: ['app', 'health'] });
+    const received = [];
+    const statuses = [];
+    await logStream.follow('203.0.113.10', { username: 'ubuntu' }, entry => received.push(entry.message),
+      (status, details) => statuses.push(details.delay ? `${status}:${details.delay}` : status), 5);
+    if (received.join('|') !== 'first|[2026-03-01 12:00:08] ok 1|[2026-03-01 12:00:08] ok 2|second|[2026-03-01 12:00:09] ok 3') {
+      throw new Error(`Unexpected resumed lines: ${received.join('|')}`);
+    }
+    if (statuses.join() !== 'connected,reconnecting:5,error,reconnecting:10,connected' || commands.length !== 3 ||
+        !commands[0].options.pty || !commands[0].command.includes('-n 10 -f') ||
+        !commands[2].command.includes("--after-cursor='c1' -f") || !commands[2].command.includes('tail -n 1000 -F')) {
+      throw new Error(`Unexpected reconnect: ${statuses} ${commands.map(entry => entry.command).join('\n')}`);
+    }
+    console.log(chalk.green('✅ Dropped stream resumed from the journald cursor and last file line'));
+
+    // Test 4: the generated script tails local files with source tags
+    const accessLog = path.join(workDir, 'access.log');
+    const healthLog = path.join(workDir, "it's health.log");
+    await fs.writeFile(accessLog, 'old\nrecent\n');
+    await fs.writeFile(healthLog, '[2026-03-01 12:00:08] ok\n');
+    const local = new LogStream(null, config, {
+      lines: 1,
+      sourceDefinitions: [
+        { name: 'nginx-access', type: 'file', path: accessLog },
+        { name: 'health', type: 'file', path: healthLog },
+        { name: 'fail2ban', type: 'file', path: path.join(workDir, 'missing.log') }
+      ]
+    });
+    execFileSync('bash', ['-n', '-c', local.buildCommand({ follow: true })]);
+    const output = execFileSync('bash', ['-c', local.buildScript()], { encoding: 'utf8', timeout: 10000 });
+    if (output.split('\n').sort().join('|') !== `|health\t[2026-03-01 12:00:08] ok|nginx-access\trecent`) {
+      throw new Error(`Unexpected one-shot output: ${JSON.stringify(output)}`);
+    }
+
+    const child = spawn('bash', ['-c', local.buildScript({ follow: true })], { detached: true });
+    let followed = '';
+    child.stdout.on('data', data => { followed += data; });
+    try {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      await fs.appendFile(accessLog, 'appended\n');
+      const deadline = Date.now() + 5000;
+      while (!followed.includes('nginx-access\tappended') && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    } finally {
+      process.kill(-child.pid, 'SIGTERM');
+    }
+    if (!followed.includes('nginx-access\tappended')) {
+      throw new Error(`Appended line not followed: ${JSON.stringify(followed)}`);
+    }
+    console.log(chalk.green('✅ Generated script tails and follows every source'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(workDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testMonitorLogs();
+}
+
+module.exports = { testMonitorLogs };
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the metrics history and monitor-report
+ * Records samples with the health check's own shell functions, collects
+ * rotated files with a local stand-in for SSH, and checks the summary
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const { exec, execFile } = require('child_process');
+const fs = require('fs-extra');
+const { parseDuration, parseSamples, percentile, summarize, toCSV } = require('./lib/monitoring/metrics');
+const { MonitoringService } = require('./lib/utils/monitoring');
+
+const MINUTE = 60 * 1000;
+
+function sampleLine(time, values) {
+  return JSON.stringify({ ts: Math.floor(time.getTime() / 1000), cpu: 10, memory: 40, disk: 60, responseTime: 20, status: 200, service: 'active', ...values });
+}
+
+async function testMonitorReport() {
+  console.log(chalk.blue('🧪 Testing metrics history and monitor-report...\n'));
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-deploy-metrics-'));
+
+  try {
+    // Test 1: durations
+    if (parseDuration('24h') !== 24 * 60 * MINUTE || parseDuration('30m') !== 30 * MINUTE || parseDuration('2w') !== 14 * 24 * 60 * MINUTE) {
+      throw new Error('Durations parsed incorrectly');
+    }
+    for (const invalid of ['24', '0h', 'yesterday']) {
+      try {
+        parseDuration(invalid);
+        throw new Error(`Accepted invalid duration ${invalid}`);
+      } catch (error) {
+        if (!error.message.startsWith('Invalid duration')) {
+          throw error;
+        }
+      }
+    }
+    console.log(chalk.green('✅ Durations parsed'));
+
+    // Test 2: min/avg/p95, uptime and incidents
+    const until = new Date('2026-03-01T12:00:00Z');
+    const since = new Date(until.getTime() - 100 * 5 * MINUTE);
+    const lines = [sampleLine(new Date(since.getTime() - 10 * MINUTE), { cpu: 99 }), 'not json', '{"ts":"bad"}'];
+    for (let i = 0; i < 100; i++) {
+      const time = new Date(since.getTime() + (i + 1) * 5 * MINUTE);
+      const values = { cpu: i + 1, responseTime: i === 50 ? null : 20 };
+      if (i >= 10 && i < 13) {
+        Object.assign(values, { status: 0, service: 'failed' });
+      }
+      if (i >= 97) {
+        Object.assign(values, { status: 502 });
+      }
+      lines.push(sampleLine(time, values));
+    }
+    const samples = parseSamples(lines.reverse().join('\n'));
+    const report = summarize(samples, { since, until });
+    if (samples.length !== 101 || report.samples !== 100 || samples[0].cpu !== 99) {
+      throw new Error(`Unexpected samples: ${samples.length}/${report.samples}`);
+    }
+    if (report.metrics.cpu.min !== 1 || report.metrics.cpu.avg !== 50.5 || report.metrics.cpu.p95 !== 95 || report.metrics.cpu.max !== 100 ||
+        report.metrics.responseTime.avg !== 20 || percentile([5, 1, 3], 50) !== 3) {
+      throw new Error(`Unexpected statistics: ${JSON.stringify(report.metrics)}`);
+    }
+    if (report.uptime.percent !== 94 || report.incidents.length !== 2) {
+      throw new Error(`Unexpected uptime: ${JSON.stringify(report.uptime)} ${JSON.stringify(report.incidents)}`);
+    }
+    const [outage, ongoing] = report.incidents;
+    if (outage.reason !== 'service failed' || outage.samples !== 3 || outage.durationMinutes !== 15 || outage.ongoing ||
+        ongoing.reason !== 'HTTP 502' || !ongoing.ongoing || ongoing.durationMinutes !== 10) {
+      throw new Error(`Unexpected incidents: ${JSON.stringify(report.incidents)}`);
+    }
+    console.log(chalk.green('✅ Statistics, uptime and incidents summarized'));
+
+    // Test 3: CSV export
+    const csv = toCSV(samples.slice(1, 3)).split('\n');
+    if (csv[0] !== 'timestamp,cpu,memory,disk,responseTime,status,service,healthy' ||
+        csv[1] !== `${new Date(since.getTime() + 5 * MINUTE).toISOString()},1,40,60,20,200,active,true` || csv.length !== 4) {
+      throw new Error(`Unexpected CSV: ${csv.join('|')}`);
+    }
+    console.log(chalk.green('✅ Samples exported as CSV'));
+
+    // Test 4: the health check appends samples the parser reads
+    const monitoring = new MonitoringService();
+    const script = monitoring.generateHealthCheckScript({ projectName: 'demo' });
+    const functions = script.slice(script.indexOf('json_number()'), script.indexOf('# Check service status'));
+    const metricsFile = path.join(workDir, 'recorded.jsonl');
+    await util.promisify(execFile)('bash', ['-c', [
+      functions,
+      `METRICS_FILE='${metricsFile}'`,
+      'CPU_USAGE=3.10 MEMORY_USAGE=41.2 DISK_USAGE=08 RESPONSE_TIME=18 HTTP_STATUS=200 SERVICE_STATUS=active record_metrics',
+      'CPU_USAGE="us," MEMORY_USAGE=41.2 DISK_USAGE=8 RESPONSE_TIME=10001 HTTP_STATUS=000 SERVICE_STATUS=inactive record_metrics'
+    ].join('\n')]);
+    const recorded = parseSamples(await fs.readFile(metricsFile, 'utf8'));
+    if (recorded.length !== 2 || recorded[0].cpu !== 3.1 || recorded[0].disk !== 8 || !recorded[0].healthy ||
+        recorded[1].cpu !== null || recorded[1].status !== 0 || recorded[1].healthy || !script.includes('record_metrics\n')) {
+      throw new Error(`Unexpected recorded samples: ${JSON.stringify(recorded)}`);
+    }
+    console.log(chalk.green('✅ Health check records parseable samples'));
+
+    // Test 5: rotated and compressed files are collected when written inside the window
+    const logDir = path.join(workDir, 'log');
+    const home = path.join(workDir, 'home');
+    await fs.ensureDir(logDir);
+    await fs.ensureDir(home);
+    const now = Date.now();
+    const files = {
+      'metrics.jsonl': [sampleLine(new Date(now - 10 * MINUTE), { cpu: 1 })],
+      'metrics.jsonl.1': [sampleLine(new Date(now - 26 * 60 * MINUTE), { cpu: 2 })],
+      'metrics.jsonl.2.gz': [sampleLine(new Date(now - 50 * 60 * MINUTE), { cpu: 3 }), sampleLine(new Date(now - 47 * 60 * MINUTE), { cpu: 5 })],
+      'metrics.jsonl.3.gz': [sampleLine(new Date(now - 74 * 60 * MINUTE), { cpu: 4 })]
+    };
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(logDir, name);
+      const text = `${content.join('\n')}\n`;
+      await fs.writeFile(file, name.endsWith('.gz') ? zlib.gzipSync(text) : text);
+      const mtime = new Date(JSON.parse(content[content.length - 1]).ts * 1000 + MINUTE);
+      await fs.utimes(file, mtime, mtime);
+    }
+
+    const commands = [];
+    monitoring.sshService = {
+      executeCommand: async (host, command) => {
+        commands.push(command);
+        const { stdout } = await util.promisify(exec)(command.replace('/var/log/demo', logDir), { env: { ...process.env, HOME: home }, shell: '/bin/bash' });
+        return { code: 0, stdout, stderr: '' };
+      },
+      readFile: async (host, file) => fs.readFile(file, 'utf8')
+    };
+    const content = await monitoring.getMetrics('203.0.113.10', { projectName: 'demo' }, { since: new Date(now - 48 * 60 * MINUTE), sshOptions: {} });
+    const collected = parseSamples(content).map(sample => sample.cpu).sort();
+    if (collected.join() !== '1,2,3,5' || (await fs.readdir(home)).length !== 0 || !commands[1].startsWith('rm -f ')) {
+      throw new Error(`Unexpected collection: ${collected} ${commands}`);
+    }
+    console.log(chalk.green('✅ Rotated metrics collected for the window'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await fs.remove(workDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testMonitorReport();
+}
+
+module.exports = { testMonitorReport };
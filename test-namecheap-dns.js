@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Namecheap DNS adapter
+ * Runs DNSManager against a local stub of the Namecheap XML API
+ */
+
+const chalk = require('chalk');
+const http = require('http');
+const { DNSManager } = require('./lib/utils/dns-manager');
+const { createDNSProvider } = require('./lib/dns');
+
+function startNamecheapStub() {
+  const hosts = {
+    'example.com': [
+      { HostId: '1', Name: '@', Type: 'A', Address: '10.0.0.1', TTL: '1800' },
+      { HostId: '2', Name: 'old', Type: 'A', Address: '10.0.0.9', TTL: '1800' },
+      { HostId: '3', Name: '@', Type: 'MX', Address: 'mail.example.com.', TTL: '1800', MXPref: '10' }
+    ]
+  };
+  let nextId = 4;
+  const setHostsCalls = [];
+
+  const respond = (res, status, body) => {
+    res.writeHead(200, { 'Content-Type': 'text/xml' });
+    res.end(`<?xml version="1.0" encoding="utf-8"?>
+<ApiResponse Status="${status}" xmlns="http://api.namecheap.com/xml.response">
+  ${body}
+</ApiResponse>`);
+  };
+  const fail = (res, number, message) => {
+    respond(res, 'ERROR', `<Errors><Error Number="${number}">${message}</Error></Errors>`);
+  };
+  const attributes = record => Object.entries(record).map(([key, value]) => `${key}="${value}"`).join(' ');
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = req.method === 'POST'
+        ? new URLSearchParams(body)
+        : new URL(req.url, 'http://localhost').searchParams;
+
+      if (params.get('ApiKey') !== 'test-key' || params.get('UserName') !== 'ops') {
+        return fail(res, '1011102', 'API Key is invalid or API access has not been enabled');
+      }
+      if (params.get('ClientIp') !== '203.0.113.10') {
+        return fail(res, '1011150', 'Invalid request IP');
+      }
+
+      const domain = `${params.get('SLD')}.${params.get('TLD')}`;
+
+      switch (params.get('Command')) {
+        case 'namecheap.domains.getList':
+          return respond(res, 'OK', `<CommandResponse Type="namecheap.domains.getList">
+    <DomainGetListResult>
+      <Domain ID="100" Name="example.com" IsOurDNS="true" />
+      <Domain ID="101" Name="external.net" IsOurDNS="false" />
+    </DomainGetListResult>
+    <Paging><TotalItems>2</TotalItems><CurrentPage>1</CurrentPage><PageSize>100</PageSize></Paging>
+  </CommandResponse>`);
+
+        case 'namecheap.domains.dns.getHosts':
+          if (!hosts[domain]) {
+            return fail(res, '2019166', 'Domain not found');
+          }
+          return respond(res, 'OK', `<CommandResponse Type="namecheap.domains.dns.getHosts">
+    <DomainDNSGetHostsResult Domain="${domain}" EmailType="MX" IsUsingOurDNS="true">
+      ${hosts[domain].map(host => `<host ${attributes(host)} />`).join('\n      ')}
+    </DomainDNSGetHostsResult>
+  </CommandResponse>`);
+
+        case 'namecheap.domains.dns.setHosts': {
+          if (req.method !== 'POST') {
+            return fail(res, '1010000', 'setHosts must be sent as POST');
+          }
+          const updated = [];
+          for (let n = 1; params.has(`HostName${n}`); n++) {
+            updated.push({
+              HostId: String(nextId++),
+              Name: params.get(`HostName${n}`),
+              Type: params.get(`RecordType${n}`),
+              Address: params.get(`Address${n}`),
+              TTL: params.get(`TTL${n}`),
+              ...(params.get(`MXPref${n}`) ? { MXPref: params.get(`MXPref${n}`) } : {})
+            });
+          }
+          hosts[domain] = updated;
+          setHostsCalls.push({ domain, emailType: params.get('EmailType') });
+          return respond(res, 'OK', `<CommandResponse Type="namecheap.domains.dns.setHosts">
+    <DomainDNSSetHostsResult Domain="${domain}" IsSuccess="true" />
+  </CommandResponse>`);
+        }
+
+        default:
+          return fail(res, '1010101', 'Unknown command');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, hosts, setHostsCalls, port: server.address().port }));
+  });
+}
+
+async function testNamecheapDNS() {
+  const { server, hosts, setHostsCalls, port } = await startNamecheapStub();
+  const baseURL = `http://127.0.0.1:${port}/xml.response`;
+  const credentials = { username: 'ops', apiKey: 'test-key', clientIp: '203.0.113.10' };
+
+  try {
+    console.log(chalk.blue('🧪 Testing Namecheap DNS adapter...'));
+
+    // Test 1: credential validation, including the IP whitelist error
+    const verification = await createDNSProvider({ name: 'namecheap', credentials, options: { baseURL } })
+      .verifyCredentials();
+    if (!verification.valid || verification.domains !== 2) {
+      throw new Error(`Expected credentials to verify: ${verification.error}`);
+    }
+
+    const rejected = await createDNSProvider({
+      name: 'namecheap',
+      credentials: { ...credentials, clientIp: '198.51.100.1' },
+      options: { baseURL }
+    }).verifyCredentials();
+    if (rejected.valid || rejected.code !== '1011150') {
+      throw new Error('Expected a non-whitelisted client IP to be rejected');
+    }
+    console.log(chalk.green('✅ Credentials verified and IP whitelist errors reported'));
+
+    const dnsManager = new DNSManager({
+      ssl: {
+        domains: ['example.com', 'api.example.com'],
+        dnsProvider: { name: 'namecheap', credentials, options: { baseURL } }
+      }
+    });
+
+    // Test 2: only zones on Namecheap DNS are listed
+    const zones = await dnsManager.getAllDomains();
+    if (zones.length !== 1 || zones[0].name !== 'example.com') {
+      throw new Error(`Expected only example.com, got ${zones.map(z => z.name).join(', ')}`);
+    }
+    console.log(chalk.green('✅ Zones listed'));
+
+    // Test 3: update + create keep unrelated hosts
+    const updated = await dnsManager.updateDomainRecord('example.com', '10.0.0.2');
+    const created = await dnsManager.updateDomainRecord('api.example.com', '10.0.0.2');
+    if (updated.action !== 'updated' || created.action !== 'created') {
+      throw new Error(`Unexpected actions: ${updated.action}, ${created.action}`);
+    }
+    const mx = hosts['example.com'].find(host => host.Type === 'MX');
+    if (!mx || mx.MXPref !== '10' || setHostsCalls.some(call => call.emailType !== 'MX')) {
+      throw new Error('Expected MX host to survive setHosts with EmailType=MX');
+    }
+    if (hosts['example.com'].length !== 4) {
+      throw new Error(`Expected 4 hosts after create, got ${hosts['example.com'].length}`);
+    }
+    console.log(chalk.green('✅ Records updated and created without losing other hosts'));
+
+    // Test 4: dns-status
+    const status = await dnsManager.getDNSStatus('10.0.0.2');
+    if (status.summary.matching !== 2) {
+      throw new Error(`Expected 2 matching records, got ${status.summary.matching}`);
+    }
+    console.log(chalk.green('✅ DNS status reports matching records'));
+
+    // Test 5: cleanup on teardown (host IDs change after every setHosts)
+    const cleanup = await dnsManager.removeRecordsPointingToIP('10.0.0.2');
+    if (cleanup.summary.deleted !== 2 || cleanup.summary.failed !== 0) {
+      throw new Error(`Expected 2 deletions, got ${JSON.stringify(cleanup.summary)}`);
+    }
+    const remaining = hosts['example.com'].map(host => `${host.Type}:${host.Name}`).sort();
+    if (remaining.join(',') !== 'A:old,MX:@') {
+      throw new Error(`Unexpected remaining hosts: ${remaining.join(',')}`);
+    }
+    console.log(chalk.green('✅ Records pointing to the instance deleted'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testNamecheapDNS();
+}
+
+module.exports = { testNamecheapDNS };
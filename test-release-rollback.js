@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for release-based deploys and rollback
+ * Uses a fake SSH service that simulates the releases directory and current symlink
+ */
+
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ApplicationDeploymentService } = require('./lib/services/application-deployment-service');
+const { parseReleaseList } = require('./lib/utils/releases');
+const { RollbackCommand } = require('./lib/commands/rollback');
+const { setActiveEnvironment } = require('./lib/utils/environment');
+const { EnhancedStateManager } = require('./lib/utils/enhanced-state');
+
+class FakeSSHService {
+  constructor() {
+    this.releases = new Set();
+    this.current = null;
+    this.commands = [];
+  }
+
+  async executeCommand(host, command) {
+    this.commands.push(command);
+
+    if (command.startsWith('ls -1 ')) {
+      return { code: 0, stdout: [...this.releases].join('\n'), stderr: '' };
+    }
+    if (command.startsWith('readlink ')) {
+      return { code: 0, stdout: this.current ? `/home/deploy/releases/${this.current}` : '', stderr: '' };
+    }
+    if (command.startsWith('test -d ') && command.includes('ln -sfn')) {
+      const release = command.match(/releases\/(\d+)/)[1];
+      if (!this.releases.has(release)) {
+        throw new Error(`Command failed with exit code 1: no such release ${release}`);
+      }
+      this.current = release;
+    }
+    if (command.startsWith('rm -rf ')) {
+      command.replace('rm -rf ', '').split(' ').forEach(dir => this.releases.delete(path.posix.basename(dir)));
+    }
+    if (command.includes('systemctl is-active')) {
+      return { code: 0, stdout: 'active', stderr: '' };
+    }
+    if (command.startsWith('curl ')) {
+      return { code: 0, stdout: '200', stderr: '' };
+    }
+    return { code: 0, stdout: '', stderr: '' };
+  }
+}
+
+async function testReleaseRollback() {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-releases-'));
+
+  try {
+    console.log(chalk.blue('🧪 Testing release-based deploys and rollback...'));
+
+    const service = new ApplicationDeploymentService();
+    const fakeSSH = new FakeSSHService();
+    service.sshService = fakeSSH;
+    service.stateManager = new EnhancedStateManager(stateDir);
+
+    const config = {
+      projectName: 'demo-app',
+      security: { ssh: { deploymentUser: 'deploy' } },
+      applicationConfig: { keepReleases: 2, port: 3000 }
+    };
+
+    // Simulate three deploys recorded in history
+    for (const release of ['20250101000000', '20250102000000', '20250103000000']) {
+      fakeSSH.releases.add(release);
+      await service.activateRelease('127.0.0.1', config, release, {});
+      await service.pruneReleases('127.0.0.1', config, {});
+      await service.stateManager.addDeployment({ type: 'release', release });
+    }
+
+    const remaining = await service.listReleases('127.0.0.1', config, {});
+    console.log(chalk.white(`   Releases kept: ${remaining.join(', ')}`));
+    if (remaining.length !== 2 || remaining[0] !== '20250103000000') {
+      throw new Error('Expected only the two newest releases to be kept');
+    }
+
+    // Roll back to the previous release from history
+    const result = await service.rollbackRelease('127.0.0.1', config, {});
+    if (result.release !== '20250102000000' || fakeSSH.current !== '20250102000000') {
+      throw new Error(`Expected rollback to 20250102000000, got ${result.release}`);
+    }
+    console.log(chalk.green(`✅ Rolled back from ${result.from} to ${result.release}`));
+
+    if (!fakeSSH.commands.includes('sudo systemctl restart demo-app')) {
+      throw new Error('Expected the systemd unit to be restarted');
+    }
+
+    // Rolling back to a release that was pruned must fail
+    try {
+      await service.rollbackRelease('127.0.0.1', config, {}, { to: '20250101000000' });
+      throw new Error('Expected rollback to a pruned release to fail');
+    } catch (error) {
+      if (!error.message.includes('not found on server')) {
+        throw error;
+      }
+      console.log(chalk.green('✅ Rollback to pruned release rejected'));
+    }
+
+    // Two deploys in the same second get distinct, sortable release IDs
+    const first = service.generateReleaseId();
+    const taken = [first, `${first}-2`];
+    const next = service.generateReleaseId(taken);
+    if (taken.includes(next) || [...taken, next].sort().pop() !== next) {
+      throw new Error(`Expected a new release after ${taken.join(', ')}, got ${next}`);
+    }
+    // Suffixes are compared as numbers, so the tenth deploy of a second is still the newest
+    const crowded = [first, ...Array.from({ length: 9 }, (_, index) => `${first}-${index + 2}`)];
+    const eleventh = service.generateReleaseId(crowded);
+    const ordered = parseReleaseList([...crowded, eleventh, '20250101000000'].join('\n'));
+    if (crowded.includes(eleventh) || ordered[0] !== eleventh || ordered[1] !== `${first}-10` || ordered[9] !== `${first}-2` ||
+        ordered[10] !== first || ordered[11] !== '20250101000000') {
+      throw new Error(`Unexpected release order: ${ordered.join(', ')}`);
+    }
+
+    // The cloned release is owned by the deployment user
+    fakeSSH.commands = [];
+    await service.cloneRepository('127.0.0.1', { repository: 'https://example.com/demo.git' }, `/home/deploy/releases/${next}`, {}, 'deploy');
+    if (!fakeSSH.commands.includes(`sudo chown -R deploy:deploy /home/deploy/releases/${next}`)) {
+      throw new Error(`Expected the release to be chowned: ${fakeSSH.commands.join('; ')}`);
+    }
+    console.log(chalk.green(`✅ Release ${next} does not reuse an existing directory and is owned by deploy`));
+
+    // rollback loads the project configuration and state of the active environment
+    const projectDir = path.join(stateDir, 'project');
+    await fs.outputFile(path.join(projectDir, 'focal-deploy.yml'), [
+      'configVersion: 2',
+      'project:',
+      '  name: demo-app',
+      'aws:',
+      '  region: us-east-1',
+      '  accessKeyId: AKIAEXAMPLE',
+      '  secretAccessKey: secret',
+      'environments:',
+      '  staging:',
+      '    aws:',
+      '      instanceType: t3.micro',
+      ''
+    ].join('\n'));
+    await fs.outputJson(path.join(projectDir, '.focal-deploy-state.staging.json'), {
+      resources: { ec2Instance: { publicIpAddress: '203.0.113.20' }, sshKey: { privateKeyPath: '/keys/demo-app-staging.pem' } }
+    });
+    const originalCwd = process.cwd();
+    process.chdir(projectDir);
+    setActiveEnvironment('staging');
+    try {
+      const rollbackConfig = await new RollbackCommand().loadConfiguration();
+      if (rollbackConfig.projectName !== 'demo-app' || rollbackConfig.environmentName !== 'staging' ||
+          rollbackConfig.infrastructure.ec2Instance.publicIpAddress !== '203.0.113.20' || rollbackConfig.sshOptions.privateKeyPath !== '/keys/demo-app-staging.pem') {
+        throw new Error(`Unexpected rollback configuration: ${JSON.stringify(rollbackConfig)}`);
+      }
+    } finally {
+      setActiveEnvironment(null);
+      process.chdir(originalCwd);
+    }
+    console.log(chalk.green('✅ rollback uses the project configuration and the environment\'s state'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await fs.remove(stateDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testReleaseRollback();
+}
+
+module.exports = { testReleaseRollback };
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the S3 remote state backend
+ * Runs RemoteStateManager against a local S3-compatible stub
+ */
+
+const chalk = require('chalk');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { RemoteStateManager } = require('./lib/utils/remote-state');
+const { setActiveEnvironment } = require('./lib/utils/environment');
+
+/**
+ * Minimal path-style S3: buckets, versioning flag and conditional object writes
+ */
+function startS3Stub() {
+  const buckets = {};
+  let nextVersion = 1;
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [bucketName, ...keyParts] = url.pathname.slice(1).split('/');
+      const key = decodeURIComponent(keyParts.join('/'));
+      const bucket = buckets[bucketName];
+
+      if (!key) {
+        if (req.method === 'HEAD') {
+          res.writeHead(bucket ? 200 : 404);
+          return res.end();
+        }
+        if (req.method === 'PUT' && url.searchParams.has('versioning')) {
+          bucket.versioning = Buffer.concat(chunks).toString().includes('<Status>Enabled</Status>');
+          res.writeHead(200);
+          return res.end();
+        }
+        if (req.method === 'GET' && url.searchParams.has('versioning')) {
+          res.writeHead(200, { 'Content-Type': 'application/xml' });
+          return res.end(`<VersioningConfiguration>${bucket.versioning ? '<Status>Enabled</Status>' : ''}</VersioningConfiguration>`);
+        }
+        if (req.method === 'PUT' && url.searchParams.has('encryption')) {
+          bucket.encrypted = true;
+          res.writeHead(200);
+          return res.end();
+        }
+        if (req.method === 'PUT') {
+          buckets[bucketName] = { objects: {}, versions: [], versioning: false, encrypted: false };
+          res.writeHead(200);
+          return res.end();
+        }
+      }
+
+      if (!bucket) {
+        return sendError(res, 404, 'NoSuchBucket');
+      }
+      const existing = bucket.objects[key];
+
+      if (req.method === 'GET') {
+        if (!existing) {
+          return sendError(res, 404, 'NoSuchKey');
+        }
+        res.writeHead(200, { ETag: existing.etag, 'x-amz-version-id': existing.versionId, 'Content-Type': 'application/json' });
+        return res.end(existing.body);
+      }
+
+      if (req.method === 'PUT') {
+        if (req.headers['if-none-match'] === '*' && existing) {
+          return sendError(res, 412, 'PreconditionFailed');
+        }
+        if (req.headers['if-match'] && (!existing || existing.etag !== req.headers['if-match'])) {
+          return sendError(res, 412, 'PreconditionFailed');
+        }
+        const body = Buffer.concat(chunks).toString();
+        const object = {
+          body,
+          etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+          versionId: `v${nextVersion++}`
+        };
+        bucket.objects[key] = object;
+        bucket.versions.push({ key, ...object });
+        res.writeHead(200, { ETag: object.etag, 'x-amz-version-id': object.versionId });
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        delete bucket.objects[key];
+        res.writeHead(204);
+        return res.end();
+      }
+
+      sendError(res, 400, 'NotImplemented');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, buckets, endpoint: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+async function createProject(root, endpoint) {
+  await fs.ensureDir(root);
+  await fs.writeFile(path.join(root, 'focal-deploy.yml'), yaml.dump({
+    project: { name: 'my-app' },
+    aws: { region: 'us-east-1', accessKeyId: 'AKIAEXAMPLE', secretAccessKey: 'secret' },
+    state: { backend: 's3', bucket: 'my-app-state', endpoint },
+    environments: { staging: {} }
+  }));
+  return RemoteStateManager.fromProject({ projectRoot: root });
+}
+
+async function expectError(promise, code) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.code !== code) {
+      throw error;
+    }
+    return error;
+  }
+  throw new Error(`Expected ${code}`);
+}
+
+async function testRemoteState() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-remote-state-'));
+  const { server, buckets, endpoint } = await startS3Stub();
+
+  try {
+    console.log(chalk.blue('🧪 Testing S3 remote state backend...'));
+
+    // Test 1: backend selected from focal-deploy.yml, bucket created with versioning
+    const alice = await createProject(path.join(workDir, 'alice'), endpoint);
+    const bob = await createProject(path.join(workDir, 'bob'), endpoint);
+    if (!alice || await RemoteStateManager.fromProject({ projectRoot: path.join(workDir, 'none') }) !== null) {
+      throw new Error('Expected the backend only where focal-deploy.yml selects it');
+    }
+    await alice.ensureBucket();
+    if (!buckets['my-app-state']?.versioning || !buckets['my-app-state'].encrypted) {
+      throw new Error('Expected a versioned, encrypted state bucket');
+    }
+    console.log(chalk.green('✅ State bucket created with versioning'));
+
+    // Test 2: state pushed by one teammate is pulled by another
+    const aliceStateFile = path.join(alice.projectRoot, '.focal-deploy-state.json');
+    await fs.writeJson(aliceStateFile, { resources: { ec2Instance: { instanceId: 'i-123' } } });
+    await alice.withLock('up', async () => {});
+    const pulled = await bob.pull();
+    const bobState = await fs.readJson(path.join(bob.projectRoot, '.focal-deploy-state.json'));
+    if (bobState.resources.ec2Instance.instanceId !== 'i-123' || pulled[0].status !== 'pulled' ||
+        !buckets['my-app-state'].objects['my-app/default/state.json']) {
+      throw new Error(`Unexpected pull: ${JSON.stringify(pulled)}`);
+    }
+    console.log(chalk.green('✅ State shared through the backend'));
+
+    // Test 3: a second mutation waits for the lock
+    const aliceLock = await alice.lock('up');
+    const locked = await expectError(bob.withLock('up', async () => {
+      throw new Error('Must not run while locked');
+    }), 'STATE_LOCKED');
+    if (!locked.message.includes(aliceLock.id) || !locked.suggestion.includes(`state unlock ${aliceLock.id}`)) {
+      throw new Error(`Unexpected lock error: ${locked.message}`);
+    }
+    await fs.writeJson(aliceStateFile, { resources: { ec2Instance: { instanceId: 'i-456' } } });
+    await alice.unlock(aliceLock);
+    if (await alice.getLock() !== null) {
+      throw new Error('Lock should be released');
+    }
+    const remote = JSON.parse(buckets['my-app-state'].objects['my-app/default/state.json'].body);
+    if (remote.resources.ec2Instance.instanceId !== 'i-456') {
+      throw new Error('State should be pushed when the lock is released');
+    }
+    console.log(chalk.green('✅ Concurrent operations blocked by the lock'));
+
+    // Test 4: stale pushes are rejected unless forced
+    await fs.writeJson(path.join(bob.projectRoot, '.focal-deploy-state.json'), { stale: true });
+    await expectError(bob.push(), 'STATE_CONFLICT');
+    await bob.pull();
+    const backups = (await fs.readdir(bob.projectRoot)).filter(name => name.startsWith('.focal-deploy-state.json.backup.'));
+    if (backups.length !== 1) {
+      throw new Error('Pull should keep a backup of the differing local state');
+    }
+    await fs.writeJson(path.join(bob.projectRoot, '.focal-deploy-state.json'), { resources: {}, note: 'bob' });
+    await bob.push();
+    await fs.writeJson(aliceStateFile, { stale: true });
+    await expectError(alice.push(), 'STATE_CONFLICT');
+    await alice.push({ force: true });
+    console.log(chalk.green('✅ Stale pushes rejected'));
+
+    // Test 5: unlocking a crashed operation's lock
+    const crashed = await alice.acquireLock('up');
+    await expectError(bob.forceUnlock('not-the-lock'), 'STATE_LOCK_MISMATCH');
+    const removed = await bob.forceUnlock(crashed.id);
+    if (removed.id !== crashed.id || await bob.getLock() !== null) {
+      throw new Error('Expected the lock to be removed');
+    }
+    console.log(chalk.green('✅ Stale locks can be removed'));
+
+    // Test 6: a failed push at unlock fails the command, after releasing the lock
+    const conflictLock = await alice.lock('up');
+    await fs.writeJson(path.join(bob.projectRoot, '.focal-deploy-state.json'), { resources: {}, note: 'bob again' });
+    await bob.push({ force: true });
+    await fs.writeJson(aliceStateFile, { resources: { ec2Instance: { instanceId: 'i-789' } } });
+    const conflict = await expectError(alice.unlock(conflictLock), 'STATE_CONFLICT');
+    if (!conflict.suggestion.includes('state push --force') || await alice.getLock() !== null) {
+      throw new Error(`Unexpected unlock failure: ${conflict.message} (${conflict.suggestion})`);
+    }
+    await alice.push({ force: true });
+    console.log(chalk.green('✅ Failed pushes are reported'));
+
+    // Test 7: the instance record is shared with the other state files
+    await fs.outputJson(path.join(alice.projectRoot, '.focal-deploy', 'instance-state.json'), { instanceId: 'focal-1234' });
+    await alice.withLock('up', async () => {});
+    await bob.pull();
+    if ((await fs.readJson(path.join(bob.projectRoot, '.focal-deploy', 'instance-state.json'))).instanceId !== 'focal-1234') {
+      throw new Error('instance-state.json should be pulled');
+    }
+    console.log(chalk.green('✅ Instance state shared'));
+
+    // Test 8: environments are stored separately and down removes the remote copy
+    setActiveEnvironment('staging');
+    const staging = await RemoteStateManager.fromProject({ projectRoot: alice.projectRoot });
+    await fs.writeJson(path.join(alice.projectRoot, '.focal-deploy-state.staging.json'), { environment: 'staging' });
+    await staging.withLock('up', async () => {});
+    if (!buckets['my-app-state'].objects['my-app/staging/state.json']) {
+      throw new Error('Expected staging state under its own prefix');
+    }
+    await staging.withLock('down', async () => {
+      await fs.remove(path.join(alice.projectRoot, '.focal-deploy-state.staging.json'));
+    });
+    if (buckets['my-app-state'].objects['my-app/staging/state.json'] || !buckets['my-app-state'].objects['my-app/default/state.json']) {
+      throw new Error('Removing staging state should not touch the default environment');
+    }
+    if (!buckets['my-app-state'].versions.some(version => version.key === 'my-app/staging/state.json')) {
+      throw new Error('Previous versions should be kept');
+    }
+    console.log(chalk.green('✅ Per-environment remote state'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    setActiveEnvironment(null);
+    server.close();
+    await fs.remove(workDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testRemoteState();
+}
+
+module.exports = { testRemoteState };
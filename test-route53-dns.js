@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Route53 DNS adapter on the v3 SDK
+ * Runs DNSManager against a local stub of the Route53 REST API
+ */
+
+const chalk = require('chalk');
+const http = require('http');
+const { DNSManager } = require('./lib/utils/dns-manager');
+const Route53Manager = require('./lib/aws/route53');
+
+const XMLNS = 'https://route53.amazonaws.com/doc/2013-04-01/';
+
+function startRoute53Stub() {
+  const zones = [
+    { id: 'ZPUBLIC', name: 'example.com.', private: false },
+    { id: 'ZPRIVATE', name: 'example.com.', private: true },
+    { id: 'ZAPI', name: 'api.example.com.', private: false }
+  ];
+  const recordSets = {
+    ZPUBLIC: [
+      { name: 'example.com.', type: 'A', ttl: 300, values: ['10.0.0.1'] },
+      { name: 'example.com.', type: 'NS', ttl: 172800, values: ['ns-1.awsdns-00.com.'] },
+      { name: '\\052.example.com.', type: 'A', ttl: 300, values: ['10.0.0.9'] }
+    ],
+    ZPRIVATE: [],
+    ZAPI: []
+  };
+  const changes = {};
+  const getChangeCalls = {};
+  let nextChange = 1;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'text/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+  };
+  const fail = (res, status, code, message) => {
+    send(res, status, `<ErrorResponse xmlns="${XMLNS}"><Error><Type>Sender</Type><Code>${code}</Code><Message>${message}</Message></Error><RequestId>stub</RequestId></ErrorResponse>`);
+  };
+  const changeInfo = change => `<ChangeInfo><Id>/change/${change.id}</Id><Status>${change.status}</Status><SubmittedAt>2024-01-01T00:00:00.000Z</SubmittedAt></ChangeInfo>`;
+  const recordSetXml = set => `<ResourceRecordSet><Name>${set.name}</Name><Type>${set.type}</Type><TTL>${set.ttl}</TTL><ResourceRecords>${set.values.map(value => `<ResourceRecord><Value>${value}</Value></ResourceRecord>`).join('')}</ResourceRecords></ResourceRecordSet>`;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (!/Credential=AKIDTEST\//.test(req.headers.authorization || '')) {
+        return fail(res, 403, 'InvalidClientTokenId', 'The security token included in the request is invalid.');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'GET' && url.pathname === '/2013-04-01/hostedzone') {
+        return send(res, 200, `<ListHostedZonesResponse xmlns="${XMLNS}"><HostedZones>${zones.map(zone =>
+          `<HostedZone><Id>/hostedzone/${zone.id}</Id><Name>${zone.name}</Name><CallerReference>${zone.id}</CallerReference><Config><PrivateZone>${zone.private}</PrivateZone></Config><ResourceRecordSetCount>${recordSets[zone.id].length}</ResourceRecordSetCount></HostedZone>`
+        ).join('')}</HostedZones><IsTruncated>false</IsTruncated><MaxItems>100</MaxItems></ListHostedZonesResponse>`);
+      }
+
+      const rrsetMatch = url.pathname.match(/^\/2013-04-01\/hostedzone\/([^/]+)\/rrset\/?$/);
+      if (rrsetMatch && req.method === 'GET') {
+        return send(res, 200, `<ListResourceRecordSetsResponse xmlns="${XMLNS}"><ResourceRecordSets>${recordSets[rrsetMatch[1]].map(recordSetXml).join('')}</ResourceRecordSets><IsTruncated>false</IsTruncated><MaxItems>300</MaxItems></ListResourceRecordSetsResponse>`);
+      }
+
+      if (rrsetMatch && req.method === 'POST') {
+        const sets = recordSets[rrsetMatch[1]];
+        for (const changeXml of body.match(/<Change>[\s\S]*?<\/Change>/g) || []) {
+          const action = changeXml.match(/<Action>(\w+)<\/Action>/)[1];
+          const name = changeXml.match(/<Name>([^<]+)<\/Name>/)[1].replace(/\.?$/, '.').replace(/^\*/, '\\052');
+          const type = changeXml.match(/<Type>(\w+)<\/Type>/)[1];
+          const ttl = Number(changeXml.match(/<TTL>(\d+)<\/TTL>/)?.[1]);
+          const values = Array.from(changeXml.matchAll(/<Value>([^<]+)<\/Value>/g), match => match[1]);
+          const index = sets.findIndex(set => set.name === name && set.type === type);
+
+          if (action === 'DELETE') {
+            if (index === -1) {
+              return fail(res, 400, 'InvalidChangeBatch', `Tried to delete resource record set [name='${name}', type='${type}'] but it was not found`);
+            }
+            sets.splice(index, 1);
+          } else if (index === -1) {
+            sets.push({ name, type, ttl, values });
+          } else {
+            sets[index] = { name, type, ttl, values };
+          }
+        }
+
+        const change = { id: `C${nextChange++}`, status: 'PENDING' };
+        changes[change.id] = change;
+        return send(res, 200, `<ChangeResourceRecordSetsResponse xmlns="${XMLNS}">${changeInfo(change)}</ChangeResourceRecordSetsResponse>`);
+      }
+
+      const changeMatch = url.pathname.match(/^\/2013-04-01\/change\/([^/]+)$/);
+      if (changeMatch && changes[changeMatch[1]]) {
+        const change = changes[changeMatch[1]];
+        // Report PENDING once, then INSYNC
+        getChangeCalls[change.id] = (getChangeCalls[change.id] || 0) + 1;
+        if (getChangeCalls[change.id] > 1) {
+          change.status = 'INSYNC';
+        }
+        return send(res, 200, `<GetChangeResponse xmlns="${XMLNS}">${changeInfo(change)}</GetChangeResponse>`);
+      }
+
+      return fail(res, 404, 'NoSuchHostedZone', `No resource at ${url.pathname}`);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, recordSets, changes, getChangeCalls, port: server.address().port }));
+  });
+}
+
+async function testRoute53DNS() {
+  const { server, recordSets, changes, getChangeCalls, port } = await startRoute53Stub();
+  const endpoint = `http://127.0.0.1:${port}`;
+
+  try {
+    console.log(chalk.blue('🧪 Testing Route53 DNS adapter (SDK v3)...'));
+
+    // Test 1: hosted-zone discovery picks the most specific public zone
+    const manager = new Route53Manager('us-east-1', { accessKeyId: 'AKIDTEST', secretAccessKey: 'secret' }, { endpoint });
+    const apexZone = await manager.findRoute53HostedZone('www.example.com');
+    const apiZone = await manager.findRoute53HostedZone('v1.api.example.com');
+    const missing = await manager.findRoute53HostedZone('example.org');
+    if (apexZone?.id !== '/hostedzone/ZPUBLIC' || apiZone?.name !== 'api.example.com' || missing !== null) {
+      throw new Error(`Unexpected hosted zones: ${JSON.stringify({ apexZone, apiZone, missing })}`);
+    }
+    console.log(chalk.green('✅ Hosted zones discovered'));
+
+    // Test 2: credentials fall back to the deployment's aws section
+    const config = {
+      aws: { region: 'eu-west-1', accessKeyId: 'AKIDTEST', secretAccessKey: 'secret' },
+      ssl: {
+        domains: ['example.com', 'www.example.com'],
+        dnsProvider: { name: 'route53', options: { endpoint, syncInterval: 10 } }
+      }
+    };
+    const dnsManager = new DNSManager(config);
+    const verification = await dnsManager.provider.verifyCredentials();
+    if (!verification.valid) {
+      throw new Error(`Expected credentials to verify: ${verification.error}`);
+    }
+
+    const rejected = await new DNSManager({
+      ssl: { dnsProvider: { name: 'route53', credentials: { accessKeyId: 'AKIDBAD', secretAccessKey: 'x' }, options: { endpoint } } }
+    }).provider.verifyCredentials();
+    if (rejected.valid) {
+      throw new Error('Expected invalid access key to be rejected');
+    }
+    console.log(chalk.green('✅ AWS credentials reused from the aws section'));
+
+    // Test 3: UPSERT change batches wait for INSYNC
+    const updated = await dnsManager.updateDomainRecord('example.com', '10.0.0.2');
+    const created = await dnsManager.updateDomainRecord('www.example.com', '10.0.0.2');
+    if (updated.action !== 'updated' || created.action !== 'created') {
+      throw new Error(`Unexpected actions: ${updated.action}, ${created.action}`);
+    }
+    const pending = Object.values(changes).filter(change => change.status !== 'INSYNC');
+    if (pending.length > 0 || Object.values(getChangeCalls).some(calls => calls < 2)) {
+      throw new Error('Expected every change to be polled until INSYNC');
+    }
+    console.log(chalk.green('✅ Records upserted and synced'));
+
+    // Test 4: dns-status, including the \052-escaped wildcard
+    const status = await dnsManager.getDNSStatus('10.0.0.2');
+    if (status.summary.matching !== 2) {
+      throw new Error(`Expected 2 matching records, got ${status.summary.matching}`);
+    }
+    const wildcard = (await dnsManager.getDNSRecords('example.com')).find(record => record.name === '*');
+    if (!wildcard || wildcard.data !== '10.0.0.9') {
+      throw new Error('Expected wildcard record to be unescaped');
+    }
+    console.log(chalk.green('✅ DNS status reports matching records'));
+
+    // Test 5: cleanup on teardown
+    const cleanup = await dnsManager.removeRecordsPointingToIP('10.0.0.2');
+    if (cleanup.summary.deleted !== 2 || cleanup.summary.failed !== 0 || recordSets.ZPUBLIC.length !== 2) {
+      throw new Error(`Expected 2 deletions, got ${JSON.stringify(cleanup.summary)}`);
+    }
+    console.log(chalk.green('✅ Records pointing to the instance deleted'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testRoute53DNS();
+}
+
+module.exports = { testRoute53DNS };
@@ -6,6 +6,9 @@
  */
 
 const chalk = require('chalk');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
 const { DomainDetectionService } = require('./lib/utils/domain-detection');
 const { ChallengeMethodService } = require('./lib/utils/challenge-method');
 const { EnhancedSSLService } = require('./lib/utils/enhanced-ssl');
@@ -16,7 +19,9 @@ class SSLEnhancementTester {
     this.domainDetection = new DomainDetectionService();
     this.challengeMethod = new ChallengeMethodService();
     this.enhancedSSL = new EnhancedSSLService();
-    this.stateManager = new EnhancedStateManager('.test-focal-deploy');
+    // State is written to a temp dir, never to the working tree
+    this.stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'focal-ssl-state-'));
+    this.stateManager = new EnhancedStateManager(this.stateDir);
   }
 
   async runAllTests() {
@@ -32,7 +37,9 @@ class SSLEnhancementTester {
       console.log(chalk.green('\n✅ All tests completed successfully!'));
     } catch (error) {
       console.error(chalk.red(`\n❌ Test failed: ${error.message}`));
-      process.exit(1);
+      process.exitCode = 1;
+    } finally {
+      await fs.remove(this.stateDir);
     }
   }
 
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for SSL certificate expiry monitoring
+ * Checks local TLS servers with generated certificate chains, stapled OCSP
+ * responses and an HTTP sink standing in for the alert webhook
+ */
+
+const chalk = require('chalk');
+const crypto = require('crypto');
+const http = require('http');
+const tls = require('tls');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const forge = require('node-forge');
+const { SSLWatchService } = require('./lib/utils/ssl-watch');
+const { MonitoringService } = require('./lib/utils/monitoring');
+
+const DAY = 24 * 60 * 60 * 1000;
+const { asn1 } = forge;
+
+function issueCertificate(commonName, issuer, { days = 90, altNames = null, ca = false } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = crypto.randomBytes(8).toString('hex').replace(/^[89a-f]/, '1');
+  cert.validity.notBefore = new Date(Date.now() - DAY);
+  cert.validity.notAfter = new Date(Date.now() + days * DAY);
+  cert.setSubject([{ name: 'commonName', value: commonName }]);
+  cert.setIssuer(issuer ? issuer.cert.subject.attributes : cert.subject.attributes);
+  cert.setExtensions(ca
+    ? [{ name: 'basicConstraints', cA: true }, { name: 'keyUsage', keyCertSign: true, cRLSign: true }]
+    : [{ name: 'subjectAltName', altNames: (altNames || [commonName]).map(value => ({ type: 2, value })) }]);
+  cert.sign(issuer ? issuer.key : key, forge.md.sha256.create());
+  return { key, cert, pem: forge.pki.certificateToPem(cert), keyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+}
+
+/**
+ * DER OCSP response with a single response for the certificate
+ */
+function ocspResponse(status, { thisUpdate = new Date(), nextUpdate = new Date(Date.now() + DAY) } = {}) {
+  const time = date => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(date));
+  const certStatus = {
+    good: asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, false, ''),
+    revoked: asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [time(new Date(Date.now() - DAY))]),
+    unknown: asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, '')
+  }[status];
+
+  const certId = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer('1.3.14.3.2.26').getBytes())
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, '\x00'.repeat(20)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, '\x00'.repeat(20)),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, '\x01')
+  ]);
+  const single = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    certId,
+    certStatus,
+    time(thisUpdate),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [time(nextUpdate)])
+  ]);
+  const tbsResponseData = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, '\x00'.repeat(20))
+    ]),
+    time(new Date()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [single])
+  ]);
+  const basic = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    tbsResponseData,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer('1.2.840.113549.1.1.11').getBytes())
+    ]),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, '\x00')
+  ]);
+  const response = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.ENUMERATED, false, '\x00'),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer('1.3.6.1.5.5.7.48.1.1').getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(basic).getBytes())
+      ])
+    ])
+  ]);
+  return Buffer.from(asn1.toDer(response).getBytes(), 'binary');
+}
+
+function startTLSServer(leaf, chain, ocsp = null) {
+  const server = tls.createServer({ key: leaf.keyPem, cert: [leaf.pem, ...chain.map(cert => cert.pem)].join('') }, socket => socket.end());
+  if (ocsp) {
+    server.on('OCSPRequest', (certificate, issuer, callback) => callback(null, ocsp));
+  }
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function startWebhookSink() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` })));
+}
+
+async function testSSLWatch() {
+  console.log(chalk.blue('🧪 Testing SSL certificate expiry monitoring...\n'));
+
+  const originalCwd = process.cwd();
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'focal-deploy-ssl-watch-'));
+  const servers = [];
+  const sink = await startWebhookSink();
+
+  try {
+    process.chdir(projectDir);
+
+    const root = issueCertificate('Test Root CA', null, { days: 3650, ca: true });
+    const intermediate = issueCertificate('Test Intermediate CA', root, { days: 1825, ca: true });
+    const expiring = issueCertificate('app.example.test', intermediate, { days: 10, altNames: ['app.example.test', 'www.example.test'] });
+    const healthy = issueCertificate('api.example.test', intermediate, { days: 80 });
+
+    const config = { projectName: 'demo', alerts: { webhook: sink.url } };
+    const watch = new SSLWatchService(config);
+    const ca = root.pem;
+
+    // Test 1: full chain, remaining validity against the default thresholds
+    const fullChain = await startTLSServer(expiring, [intermediate]);
+    servers.push(fullChain);
+    const options = { address: '127.0.0.1', port: fullChain.address().port, ca };
+    const result = await watch.checkCertificate('app.example.test', options);
+    const evaluation = watch.evaluate(result);
+    if (!result.authorized || result.chainLength < 2 || !result.subjectAltNames.includes('www.example.test')) {
+      throw new Error(`Unexpected certificate details: ${JSON.stringify(result)}`);
+    }
+    if (evaluation.level !== 'warning' || evaluation.threshold !== 14 || evaluation.daysRemaining !== 9 || evaluation.problems.length !== 0) {
+      throw new Error(`Unexpected evaluation: ${JSON.stringify(evaluation)}`);
+    }
+    if (watch.evaluate(result, new Date(Date.now() + 8 * DAY)).level !== 'critical' || watch.evaluate(result, new Date(Date.now() + 11 * DAY)).level !== 'expired') {
+      throw new Error('Critical/expired levels not detected');
+    }
+    console.log(chalk.green('✅ Expiry measured against the 30/14/3 day thresholds'));
+
+    // Test 2: chain problems (missing intermediate, hostname not covered)
+    const leafOnly = await startTLSServer(healthy, []);
+    servers.push(leafOnly);
+    const incomplete = watch.evaluate(await watch.checkCertificate('api.example.test', { address: '127.0.0.1', port: leafOnly.address().port, ca }));
+    if (incomplete.level !== 'warning' || incomplete.threshold !== null || !incomplete.problems[0]?.startsWith('Incomplete chain')) {
+      throw new Error(`Incomplete chain not flagged: ${JSON.stringify(incomplete)}`);
+    }
+    const mismatch = watch.evaluate(await watch.checkCertificate('shop.example.test', options));
+    if (!mismatch.problems.includes('Certificate does not cover this domain')) {
+      throw new Error(`Hostname mismatch not flagged: ${JSON.stringify(mismatch)}`);
+    }
+    console.log(chalk.green('✅ Incomplete chains and hostname mismatches flagged'));
+
+    // Test 3: stapled OCSP responses
+    const revokedServer = await startTLSServer(healthy, [intermediate], ocspResponse('revoked'));
+    servers.push(revokedServer);
+    const revoked = watch.evaluate(await watch.checkCertificate('api.example.test', { address: '127.0.0.1', port: revokedServer.address().port, ca }));
+    if (revoked.level !== 'critical' || revoked.ocsp.status !== 'revoked' || !revoked.problems[0]?.startsWith('OCSP: certificate revoked')) {
+      throw new Error(`Revoked staple not flagged: ${JSON.stringify(revoked)}`);
+    }
+    const good = SSLWatchService.parseOCSPResponse(ocspResponse('good'));
+    const stale = watch.evaluate({ ...result, ocsp: SSLWatchService.parseOCSPResponse(ocspResponse('good', { thisUpdate: new Date(Date.now() - 9 * DAY), nextUpdate: new Date(Date.now() - 2 * DAY) })) });
+    if (good.status !== 'good' || !good.nextUpdate || !stale.problems[0]?.includes('stale') ||
+        SSLWatchService.parseOCSPResponse(Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x06])).status !== 'error' ||
+        SSLWatchService.parseOCSPResponse(null).stapled !== false || result.ocsp.stapled !== false) {
+      throw new Error('OCSP responses parsed incorrectly');
+    }
+    console.log(chalk.green('✅ Revoked and stale OCSP staples flagged'));
+
+    // Test 4: each threshold alerts once per certificate; problems alert when they change
+    let state = SSLWatchService.selectAlerts([evaluation, watch.evaluate({ ...result, domain: 'api.example.test', validTo: new Date(Date.now() + 80 * DAY).toISOString() })], {});
+    if (state.alerts.map(alert => alert.domain).join() !== 'app.example.test') {
+      throw new Error('First crossing not alerted');
+    }
+    state = SSLWatchService.selectAlerts([evaluation], state.history);
+    if (state.alerts.length !== 0) {
+      throw new Error('Same threshold alerted twice');
+    }
+    const critical = watch.evaluate(result, new Date(Date.now() + 8 * DAY));
+    state = SSLWatchService.selectAlerts([critical], state.history);
+    if (state.alerts.length !== 1 || state.alerts[0].threshold !== 3) {
+      throw new Error('Lower threshold not alerted');
+    }
+    state = SSLWatchService.selectAlerts([incomplete], state.history);
+    const repeat = SSLWatchService.selectAlerts([incomplete], state.history);
+    if (state.alerts.length !== 1 || repeat.alerts.length !== 0) {
+      throw new Error('Problem alerts not deduplicated');
+    }
+    const renewed = { ...evaluation, validTo: new Date(Date.now() + 25 * DAY).toISOString(), threshold: 30 };
+    if (SSLWatchService.selectAlerts([renewed], state.history).alerts.length !== 1) {
+      throw new Error('New certificate did not reset the alert history');
+    }
+    console.log(chalk.green('✅ Alerts deduplicated per threshold and certificate'));
+
+    // Test 5: webhook delivery and history on disk
+    await watch.saveHistory(state.history);
+    if (!(await watch.loadHistory())['api.example.test']) {
+      throw new Error('History not saved');
+    }
+    await watch.sendAlerts([critical, revoked]);
+    if (sink.received.length !== 2 || sink.received[0].level !== 'critical' || sink.received[0].daysRemaining !== 1 ||
+        !sink.received[0].text.startsWith('[demo] SSL app.example.test: certificate expires in 1 day(s)') ||
+        !sink.received[1].problems[0].startsWith('OCSP: certificate revoked')) {
+      throw new Error(`Unexpected webhook payloads: ${JSON.stringify(sink.received)}`);
+    }
+    const unreachable = await watch.checkAll(['down.example.test'], { address: '127.0.0.1', port: 1, timeout: 2000 });
+    if (unreachable[0].level !== 'error') {
+      throw new Error('Connection failure not reported');
+    }
+    console.log(chalk.green('✅ Alerts delivered to the webhook'));
+
+    // Test 6: domains from state, and the server-side cron installed by monitor-setup
+    const stateManager = {
+      getAllDomainConfigs: async () => ({ 'example.test': {}, '*.example.test': {} }),
+      getSSLStatus: async () => ({ enabled: true, domains: ['example.test', 'www.example.test'] })
+    };
+    const domains = await SSLWatchService.collectDomains(stateManager);
+    if (domains.join() !== 'example.test,www.example.test') {
+      throw new Error(`Unexpected domains: ${domains}`);
+    }
+
+    const monitoring = new MonitoringService();
+    const commands = [];
+    const files = {};
+    monitoring.sshService = {
+      writeFile: async (host, file, content) => { files[file] = content; },
+      executeCommand: async (host, command) => { commands.push(command); return { code: 0, stdout: '', stderr: '' }; }
+    };
+    await monitoring.setupSSLExpiryCron('203.0.113.10', { ...config, alerts: { sslThresholds: [21, 7] } }, { operatingSystem: 'debian' }, domains);
+    const script = files['/home/admin/demo/ssl-expiry-check.sh'];
+    if (!script || !script.includes('DOMAINS="example.test www.example.test"') || !script.includes('THRESHOLDS="21 7"') ||
+        !script.includes('ALERT_DISPATCHER="/home/admin/demo/alert-dispatcher.js"') ||
+        !script.includes('send --type ssl-certificate --key "ssl:$domain"') || !script.includes('CRITICAL_DAYS="7"') || !script.includes('-status')) {
+      throw new Error('Unexpected expiry check script');
+    }
+    const cron = commands.find(command => command.includes('crontab -'));
+    if (!cron || !cron.includes("grep -v '/home/admin/demo/ssl-expiry-check.sh'") || !cron.includes('17 6 * * * /home/admin/demo/ssl-expiry-check.sh')) {
+      throw new Error(`Unexpected cron entry: ${cron}`);
+    }
+    const scriptFile = path.join(projectDir, 'ssl-expiry-check.sh');
+    await fs.writeFile(scriptFile, script);
+    execFileSync('bash', ['-n', scriptFile]);
+
+    console.log(chalk.green('✅ Server-side expiry check installed next to the health check'));
+
+    console.log(chalk.green('\n🎉 Test completed successfully!'));
+
+  } catch (error) {
+    console.error(chalk.red(`❌ Test failed: ${error.message}`));
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    servers.forEach(server => server.close());
+    sink.server.close();
+    process.chdir(originalCwd);
+    await fs.remove(projectDir);
+  }
+}
+
+// Run test if called directly
+if (require.main === module) {
+  testSSLWatch();
+}
+
+module.exports = { testSSLWatch };